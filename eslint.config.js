@@ -195,7 +195,10 @@ module.exports = [
         languageOptions: {
             globals: {
                 // Additional Node.js globals for main process
-                global: 'readonly'
+                global: 'readonly',
+                AbortController: 'readonly',
+                AbortSignal: 'readonly',
+                TextDecoder: 'readonly'
             }
         }
     },
@@ -286,6 +289,8 @@ module.exports = [
                 process: 'readonly',
                 Buffer: 'readonly',
                 global: 'readonly',
+                TextEncoder: 'readonly',
+                ReadableStream: 'readonly',
 
                 // Browser globals for renderer tests
                 window: 'readonly',
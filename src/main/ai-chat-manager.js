@@ -6,15 +6,55 @@
  * - Google Gemini (Gemini 1.5 Pro, Gemini 1.5 Flash)
  * - Groq (Llama 3, Mixtral - fast inference)
  * - Local LLM servers (LM Studio, Ollama, etc.)
+ *
+ * Responses can be requested whole (sendMessage) or streamed over SSE (sendMessageStream).
+ * Conversations are kept as threads in an AIChatThreadStore; the active thread is
+ * sent along with each message, trimmed to fit a token budget.
+ * Passages of workspace notes relevant to the question are found by a
+ * WorkspaceRetriever and sent as numbered sources the answer can cite.
+ * Edit commands defined in the workspace (see ai-command-library.js) run with
+ * their own provider, model and temperature when they set them.
  */
 
 const { net } = require('electron');
+const { readSSEStream } = require('./utils/sse-parser');
+const { renderPromptTemplate } = require('./ai-command-library');
+const { toSourceLink } = require('./ai-chat-thread-store');
 
 /**
  * Default timeout for AI API requests (30 seconds)
  */
 const API_REQUEST_TIMEOUT_MS = 30000;
 
+/**
+ * Default budget, in estimated tokens, for the system message and history sent with a request
+ */
+const DEFAULT_HISTORY_TOKEN_BUDGET = 8000;
+
+/**
+ * Default number of workspace passages sent with a question
+ */
+const DEFAULT_RETRIEVAL_MAX_CHUNKS = 6;
+
+/**
+ * Default embedding model requested from the local server
+ */
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+
+/**
+ * Longest passage text sent as a source, in characters
+ */
+const MAX_SOURCE_LENGTH = 1500;
+
+/**
+ * Rough token count of a text (about four characters per token)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
 /**
  * Creates an AbortSignal that times out after the specified duration
  * @param {number} ms - Timeout in milliseconds
@@ -24,6 +64,16 @@ function createTimeoutSignal(ms = API_REQUEST_TIMEOUT_MS) {
     return AbortSignal.timeout(ms);
 }
 
+/**
+ * Error thrown when a streaming request is cancelled by the user
+ */
+class StreamAbortedError extends Error {
+    constructor() {
+        super('Response generation stopped');
+        this.name = 'StreamAbortedError';
+    }
+}
+
 /**
  * Validates a URL string for safe network requests
  * @param {string} url - The URL to validate
@@ -52,10 +102,24 @@ function validateUrl(url, allowedProtocols = ['http:', 'https:']) {
 }
 
 class AIChatManager {
-    constructor(configStore) {
+    /**
+     * @param {Object} configStore
+     * @param {import('./ai-chat-thread-store')|null} [threadStore] - Where threads are saved; without it
+     *   the conversation is kept in memory only
+     * @param {import('./workspace-retriever')|null} [retriever] - Finds workspace notes relevant to a question;
+     *   without it only the open document is sent
+     */
+    constructor(configStore, threadStore = null, retriever = null) {
         this.configStore = configStore;
+        this.threadStore = threadStore;
+        this.retriever = retriever;
+        // Messages of the active thread, oldest first
         this.conversationHistory = [];
-        this.maxHistoryLength = 20;
+        this.activeThreadId = null;
+        // AbortController of the in-flight streaming request (null when idle)
+        this.activeStreamController = null;
+        // Settles once the last streaming request has recorded its answer
+        this.activeStreamSettled = Promise.resolve();
 
         // Provider configurations
         this.providerConfigs = {
@@ -192,48 +256,239 @@ class AIChatManager {
     }
 
     /**
-     * Clear conversation history
+     * Get the workspace retrieval settings
+     * @returns {{enabled: boolean, maxChunks: number, embeddings: boolean, embeddingModel: string}}
+     */
+    getRetrievalSettings() {
+        return {
+            // Off until turned on: passages of other notes are sent to the chosen provider
+            enabled: this.configStore.get('ai.retrieval.enabled') === true,
+            maxChunks: this.configStore.get('ai.retrieval.maxChunks') || DEFAULT_RETRIEVAL_MAX_CHUNKS,
+            embeddings: this.configStore.get('ai.retrieval.embeddings') === true,
+            embeddingModel: this.configStore.get('ai.retrieval.embeddingModel') || DEFAULT_EMBEDDING_MODEL
+        };
+    }
+
+    /**
+     * Update the workspace retrieval settings; omitted fields are left unchanged
+     * @param {{enabled?: boolean, maxChunks?: number, embeddings?: boolean, embeddingModel?: string}} settings
      */
-    clearHistory() {
+    setRetrievalSettings(settings) {
+        if (typeof settings.enabled === 'boolean') {
+            this.configStore.set('ai.retrieval.enabled', settings.enabled);
+        }
+        if (Number.isInteger(settings.maxChunks) && settings.maxChunks > 0) {
+            this.configStore.set('ai.retrieval.maxChunks', settings.maxChunks);
+        }
+        if (typeof settings.embeddings === 'boolean') {
+            this.configStore.set('ai.retrieval.embeddings', settings.embeddings);
+        }
+        if (typeof settings.embeddingModel === 'string') {
+            this.configStore.set('ai.retrieval.embeddingModel', settings.embeddingModel.trim());
+        }
+    }
+
+    /**
+     * Find the workspace passages relevant to a question
+     * Retrieval errors never fail the question; it is then answered without sources.
+     * @param {string} question
+     * @param {string|null} [documentPath] - Open document, left out since it is sent whole
+     * @returns {Promise<import('./workspace-retriever').RetrievedNote[]>}
+     */
+    async findRelevantNotes(question, documentPath = null) {
+        const settings = this.getRetrievalSettings();
+
+        if (!this.retriever || !settings.enabled) {
+            return [];
+        }
+
+        try {
+            return await this.retriever.retrieve(question, {
+                limit: settings.maxChunks,
+                excludePath: documentPath,
+                embed: settings.embeddings ? texts => this.fetchEmbeddings(texts, settings.embeddingModel) : null,
+                embeddingModel: settings.embeddingModel
+            });
+        } catch (error) {
+            console.warn('[AI Chat] Could not search the workspace notes:', error.message);
+
+            return [];
+        }
+    }
+
+    /**
+     * Embed texts with the local server's OpenAI-compatible embeddings endpoint
+     * @param {string[]} texts
+     * @param {string} [model]
+     * @returns {Promise<number[][]>} One vector per text, in order
+     * @throws {Error} If the server fails or returns an unexpected response
+     */
+    async fetchEmbeddings(texts, model = this.getRetrievalSettings().embeddingModel) {
+        const baseUrl = this.getLocalServerUrl().replace(/\/$/, '');
+        const response = await net.fetch(`${baseUrl}/v1/embeddings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.buildLocalHeaders() },
+            signal: createTimeoutSignal(),
+            body: JSON.stringify({ model, input: texts })
+        });
+
+        if (!response.ok) {
+            throw new Error(await this.parseErrorResponse(response));
+        }
+
+        const data = await response.json();
+
+        if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+            throw new Error('Embedding server returned an unexpected response');
+        }
+
+        return data.data
+            .slice()
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+    }
+
+    /**
+     * Make a saved thread the active conversation
+     * @param {string} threadId
+     * @returns {Promise<import('./ai-chat-thread-store').ChatThread>}
+     */
+    async openThread(threadId) {
+        const thread = await this.threadStore.getThread(threadId);
+
+        this.activeThreadId = thread.id;
+        this.conversationHistory = thread.messages.map(({ role, content }) => ({ role, content }));
+
+        return thread;
+    }
+
+    /**
+     * Start a new thread and make it the active conversation
+     * @param {string} [title] - Left empty to name the thread after its first question
+     * @param {string|null} [documentPath] - Document the thread belongs to
+     * @returns {Promise<import('./ai-chat-thread-store').ChatThread>}
+     */
+    async createThread(title = '', documentPath = null) {
+        const thread = await this.threadStore.createThread({ title, documentPath });
+
+        this.activeThreadId = thread.id;
         this.conversationHistory = [];
+
+        return thread;
+    }
+
+    /**
+     * Delete a thread; deleting the active one leaves no active conversation
+     * @param {string} threadId
+     */
+    async deleteThread(threadId) {
+        await this.threadStore.deleteThread(threadId);
+
+        if (this.activeThreadId === threadId) {
+            this.activeThreadId = null;
+            this.conversationHistory = [];
+        }
+    }
+
+    /**
+     * Clear the messages of the active conversation
+     */
+    async clearHistory() {
+        this.conversationHistory = [];
+
+        if (this.threadStore && this.activeThreadId) {
+            await this.threadStore.clearMessages(this.activeThreadId);
+        }
     }
 
     /**
      * Add message to conversation history
      * @param {string} role
      * @param {string} content
+     * @param {string|null} [threadId] - Thread the message belongs to, which may no longer be active
+     * @param {Array<Object>|null} [sources] - Notes an answer could cite, saved with the message
      */
-    addToHistory(role, content) {
-        this.conversationHistory.push({ role, content });
+    async addToHistory(role, content, threadId = this.activeThreadId, sources = null) {
+        if (this.threadStore && threadId) {
+            await this.threadStore.appendMessage(threadId, role, content, sources);
+        }
 
-        if (this.conversationHistory.length > this.maxHistoryLength) {
-            this.conversationHistory = this.conversationHistory.slice(-this.maxHistoryLength);
+        if (threadId === this.activeThreadId) {
+            this.conversationHistory.push({ role, content });
         }
     }
 
     /**
      * Remove last message from history
+     * @param {string|null} [threadId] - Thread the message belongs to, which may no longer be active
      */
-    removeLastFromHistory() {
-        if (this.conversationHistory.length > 0) {
+    async removeLastFromHistory(threadId = this.activeThreadId) {
+        if (threadId === this.activeThreadId && this.conversationHistory.length > 0) {
             this.conversationHistory.pop();
         }
+
+        if (this.threadStore && threadId) {
+            await this.threadStore.removeLastMessage(threadId);
+        }
+    }
+
+    /**
+     * Build the messages of a request: the system message and as much recent history
+     * as fits the token budget. The newest message is always sent, and the history
+     * starts with a question, as Anthropic and Gemini require.
+     * @param {string} systemMessage
+     * @returns {Array<{role: string, content: string}>}
+     */
+    buildRequestMessages(systemMessage) {
+        const budget = this.configStore.get('ai.historyTokenBudget') || DEFAULT_HISTORY_TOKEN_BUDGET;
+        let remaining = budget - estimateTokens(systemMessage);
+        let start = this.conversationHistory.length;
+
+        while (start > 0) {
+            const tokens = estimateTokens(this.conversationHistory[start - 1].content);
+
+            if (tokens > remaining && start < this.conversationHistory.length) {
+                break;
+            }
+            remaining -= tokens;
+            start--;
+        }
+
+        while (start < this.conversationHistory.length - 1 && this.conversationHistory[start].role !== 'user') {
+            start++;
+        }
+
+        return [
+            { role: 'system', content: systemMessage },
+            ...this.conversationHistory.slice(start)
+        ];
+    }
+
+    /**
+     * Start a general thread when a message is sent with no active conversation
+     * @returns {Promise<string|null>} Id of the active thread, null without a thread store
+     */
+    async ensureActiveThread() {
+        if (this.threadStore && !this.activeThreadId) {
+            await this.createThread();
+        }
+
+        return this.activeThreadId;
     }
 
     /**
      * Get the API endpoint URL based on provider
+     * @param {string} [provider] - Optional provider, defaults to current
+     * @param {string} [model] - Optional model, defaults to the one selected for the provider
      * @returns {string}
      */
-    getApiEndpoint() {
-        const provider = this.getProvider();
-
+    getApiEndpoint(provider = this.getProvider(), model = this.getModel(provider)) {
         if (provider === 'local') {
             const baseUrl = this.getLocalServerUrl().replace(/\/$/, '');
             return `${baseUrl}/v1/chat/completions`;
         }
 
         if (provider === 'gemini') {
-            const model = this.getModel();
             return `${this.providerConfigs.gemini.endpoint}/${model}:generateContent`;
         }
 
@@ -243,10 +498,10 @@ class AIChatManager {
 
     /**
      * Build request headers based on provider
+     * @param {string} [provider] - Optional provider, defaults to current
      * @returns {Object}
      */
-    buildHeaders() {
-        const provider = this.getProvider();
+    buildHeaders(provider = this.getProvider()) {
         const headers = {
             'Content-Type': 'application/json'
         };
@@ -257,7 +512,7 @@ class AIChatManager {
                 headers['Authorization'] = `Bearer ${localApiKey}`;
             }
         } else if (provider === 'anthropic') {
-            const apiKey = this.getApiKey();
+            const apiKey = this.getApiKey(provider);
             if (apiKey) {
                 headers['x-api-key'] = apiKey;
                 headers['anthropic-version'] = '2023-06-01';
@@ -266,7 +521,7 @@ class AIChatManager {
             // Gemini uses API key in URL, not headers
         } else {
             // OpenAI and Groq use Bearer token
-            const apiKey = this.getApiKey();
+            const apiKey = this.getApiKey(provider);
             if (apiKey) {
                 headers['Authorization'] = `Bearer ${apiKey}`;
             }
@@ -301,9 +556,10 @@ class AIChatManager {
     /**
      * Convert messages to Gemini format
      * @param {Array} messages - OpenAI format messages
+     * @param {number} [temperature=0.7]
      * @returns {Object} - Gemini request body
      */
-    convertToGeminiFormat(messages) {
+    convertToGeminiFormat(messages, temperature = 0.7) {
         let systemInstruction = '';
         const contents = [];
 
@@ -321,7 +577,7 @@ class AIChatManager {
         const body = {
             contents,
             generationConfig: {
-                temperature: 0.7,
+                temperature,
                 maxOutputTokens: 2048
             }
         };
@@ -337,43 +593,57 @@ class AIChatManager {
     /**
      * Make API request
      * @param {Array} messages
+     * @param {Object} [options]
+     * @param {boolean} [options.stream=false] - Request a Server-Sent Events response
+     * @param {AbortSignal} [options.signal] - Signal used instead of the default timeout
+     * @param {string} [options.provider] - Provider used instead of the selected one
+     * @param {string} [options.model] - Model used instead of the one selected for the provider
+     * @param {number} [options.temperature] - Sampling temperature; 0.7 by default, the provider's default for Anthropic
      * @returns {Promise<Response>}
      */
-    async makeApiRequest(messages) {
-        const provider = this.getProvider();
+    async makeApiRequest(messages, options = {}) {
+        const provider = options.provider || this.getProvider();
+        const model = options.model || this.getModel(provider);
 
         if (provider === 'anthropic') {
-            return this.makeAnthropicRequest(messages);
+            return this.makeAnthropicRequest(messages, { ...options, provider, model });
         }
 
         if (provider === 'gemini') {
-            return this.makeGeminiRequest(messages);
+            return this.makeGeminiRequest(messages, { ...options, provider, model });
+        }
+
+        const body = {
+            model,
+            messages: messages,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: 2048
+        };
+
+        if (options.stream) {
+            body.stream = true;
         }
 
         // OpenAI, Groq, and Local use the same format
-        return net.fetch(this.getApiEndpoint(), {
+        return net.fetch(this.getApiEndpoint(provider, model), {
             method: 'POST',
-            headers: this.buildHeaders(),
-            signal: createTimeoutSignal(),
-            body: JSON.stringify({
-                model: this.getModel(),
-                messages: messages,
-                temperature: 0.7,
-                max_tokens: 2048
-            })
+            headers: this.buildHeaders(provider),
+            signal: options.signal || createTimeoutSignal(),
+            body: JSON.stringify(body)
         });
     }
 
     /**
      * Make Anthropic API request
      * @param {Array} messages
+     * @param {Object} [options] - See makeApiRequest
      * @returns {Promise<Response>}
      */
-    async makeAnthropicRequest(messages) {
+    async makeAnthropicRequest(messages, options = {}) {
         const { system, messages: anthropicMessages } = this.convertToAnthropicFormat(messages);
 
         const body = {
-            model: this.getModel(),
+            model: options.model || this.getModel('anthropic'),
             max_tokens: 2048,
             messages: anthropicMessages
         };
@@ -382,10 +652,18 @@ class AIChatManager {
             body.system = system;
         }
 
-        return net.fetch(this.getApiEndpoint(), {
+        if (options.temperature !== undefined) {
+            body.temperature = options.temperature;
+        }
+
+        if (options.stream) {
+            body.stream = true;
+        }
+
+        return net.fetch(this.getApiEndpoint('anthropic', body.model), {
             method: 'POST',
-            headers: this.buildHeaders(),
-            signal: createTimeoutSignal(),
+            headers: this.buildHeaders('anthropic'),
+            signal: options.signal || createTimeoutSignal(),
             body: JSON.stringify(body)
         });
     }
@@ -393,17 +671,22 @@ class AIChatManager {
     /**
      * Make Gemini API request
      * @param {Array} messages
+     * @param {Object} [options] - See makeApiRequest
      * @returns {Promise<Response>}
      */
-    async makeGeminiRequest(messages) {
-        const body = this.convertToGeminiFormat(messages);
-        const apiKey = this.getApiKey();
-        const endpoint = `${this.getApiEndpoint()}?key=${apiKey}`;
+    async makeGeminiRequest(messages, options = {}) {
+        const body = this.convertToGeminiFormat(messages, options.temperature ?? 0.7);
+        const apiKey = this.getApiKey('gemini');
+        const baseEndpoint = this.getApiEndpoint('gemini', options.model || this.getModel('gemini'));
+        // Streaming uses a different method and needs alt=sse to get SSE framing
+        const endpoint = options.stream
+            ? `${baseEndpoint.replace(/:generateContent$/, ':streamGenerateContent')}?alt=sse&key=${apiKey}`
+            : `${baseEndpoint}?key=${apiKey}`;
 
         return net.fetch(endpoint, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            signal: createTimeoutSignal(),
+            signal: options.signal || createTimeoutSignal(),
             body: JSON.stringify(body)
         });
     }
@@ -411,10 +694,10 @@ class AIChatManager {
     /**
      * Parse response based on provider
      * @param {Object} data - Response data
+     * @param {string} [provider] - Provider that answered, defaults to current
      * @returns {string} - Assistant message content
      */
-    parseResponseContent(data) {
-        const provider = this.getProvider();
+    parseResponseContent(data, provider = this.getProvider()) {
 
         if (provider === 'anthropic') {
             return data.content?.[0]?.text || '';
@@ -428,63 +711,122 @@ class AIChatManager {
         return data.choices?.[0]?.message?.content || '';
     }
 
+    /**
+     * Parse the text delta of a streamed event based on provider
+     * @param {Object} data - Parsed JSON payload of an SSE event
+     * @returns {string} - Text chunk (empty when the event carries no text)
+     * @throws {Error} If the event reports a provider error
+     */
+    parseStreamDelta(data) {
+        if (data?.error) {
+            throw new Error(data.error.message || 'AI service returned an error');
+        }
+
+        const provider = this.getProvider();
+
+        if (provider === 'anthropic') {
+            return data.type === 'content_block_delta' ? (data.delta?.text || '') : '';
+        }
+
+        if (provider === 'gemini') {
+            const parts = data.candidates?.[0]?.content?.parts || [];
+
+            return parts.map(part => part.text || '').join('');
+        }
+
+        // OpenAI, Groq, Local
+        return data.choices?.[0]?.delta?.content || '';
+    }
+
+    /**
+     * Build the error result returned when the current provider has no API key
+     * @returns {{success: false, error: string}|null} - Null when a key is configured or not required
+     */
+    checkApiKeyConfigured() {
+        const provider = this.getProvider();
+
+        // Local servers don't require an API key
+        if (provider === 'local' || this.getApiKey()) {
+            return null;
+        }
+
+        const providerNames = {
+            openai: 'OpenAI',
+            anthropic: 'Anthropic',
+            gemini: 'Google Gemini',
+            groq: 'Groq'
+        };
+
+        return {
+            success: false,
+            error: `API key not configured. Please set your ${providerNames[provider] || provider} API key in settings.`
+        };
+    }
+
+    /**
+     * Extract an error message from a failed API response
+     * @param {Response} response
+     * @returns {Promise<string>}
+     */
+    async parseErrorResponse(response) {
+        const errorData = await response.json().catch(() => ({}));
+
+        // Handle provider-specific error formats
+        if (errorData.error?.message) {
+            return errorData.error.message;
+        }
+        if (errorData.error?.error?.message) {
+            return errorData.error.error.message;
+        }
+        // Gemini streaming errors arrive as an array of error objects
+        if (Array.isArray(errorData) && errorData[0]?.error?.message) {
+            return errorData[0].error.message;
+        }
+
+        return `API error: ${response.status}`;
+    }
+
     /**
      * Send a message and get a response
      * @param {string} userMessage - The user's message
      * @param {string} documentContent - Current document content for context
-     * @returns {Promise<{success: boolean, message?: string, error?: string}>}
+     * @param {string|null} selectedText - Text selected in the editor
+     * @param {Object} [options]
+     * @param {string|null} [options.documentPath] - Path of the open document
+     * @returns {Promise<{success: boolean, message?: string, sources?: Array<Object>, error?: string}>}
      */
-    async sendMessage(userMessage, documentContent = '', selectedText = null) {
-        const provider = this.getProvider();
-
+    async sendMessage(userMessage, documentContent = '', selectedText = null, options = {}) {
         // Check API key (not required for local)
-        if (provider !== 'local' && !this.getApiKey()) {
-            const providerNames = {
-                openai: 'OpenAI',
-                anthropic: 'Anthropic',
-                gemini: 'Google Gemini',
-                groq: 'Groq'
-            };
-            return {
-                success: false,
-                error: `API key not configured. Please set your ${providerNames[provider] || provider} API key in settings.`
-            };
+        const apiKeyError = this.checkApiKeyConfigured();
+
+        if (apiKeyError) {
+            return apiKeyError;
         }
 
-        try {
-            const systemMessage = this.buildSystemMessage(documentContent, selectedText);
+        const threadId = await this.ensureActiveThread();
 
-            this.addToHistory('user', userMessage);
+        await this.addToHistory('user', userMessage, threadId);
 
-            const messages = [
-                { role: 'system', content: systemMessage },
-                ...this.conversationHistory
-            ];
+        try {
+            const sources = this.toSources(await this.findRelevantNotes(userMessage, options.documentPath));
+            const systemMessage = this.buildSystemMessage(documentContent, selectedText, sources);
+            const messages = this.buildRequestMessages(systemMessage);
 
             const response = await this.makeApiRequest(messages);
 
             if (!response.ok) {
-                this.removeLastFromHistory();
-                const errorData = await response.json().catch(() => ({}));
-
-                // Handle provider-specific error formats
-                let errorMessage = `API error: ${response.status}`;
-                if (errorData.error?.message) {
-                    errorMessage = errorData.error.message;
-                } else if (errorData.error?.error?.message) {
-                    errorMessage = errorData.error.error.message;
-                }
+                await this.removeLastFromHistory(threadId);
 
                 return {
                     success: false,
-                    error: errorMessage
+                    error: await this.parseErrorResponse(response)
                 };
             }
 
             const data = await response.json();
             const assistantMessage = this.parseResponseContent(data);
 
-            this.addToHistory('assistant', assistantMessage);
+            await this.addToHistory('assistant', assistantMessage, threadId, sources);
 
             // Check if the response contains content to apply to editor
             const applyContent = this.extractApplyContent(assistantMessage);
@@ -492,10 +834,11 @@ class AIChatManager {
             return {
                 success: true,
                 message: assistantMessage,
-                applyContent: applyContent
+                applyContent: applyContent,
+                sources: this.toSourceLinks(sources)
             };
         } catch (error) {
-            this.removeLastFromHistory();
+            await this.removeLastFromHistory(threadId);
             console.error('AI API error:', error);
 
             return {
@@ -505,6 +848,181 @@ class AIChatManager {
         }
     }
 
+    /**
+     * Send a message and stream the response as it is generated
+     * Chunks are delivered through onChunk; the resolved result has the same
+     * shape as sendMessage. Generation can be stopped with abortStream(), in
+     * which case the partial answer is kept and the result has aborted: true.
+     * @param {string} userMessage - The user's message
+     * @param {string} documentContent - Current document content for context
+     * @param {string|null} selectedText - Text selected in the editor
+     * @param {(chunk: string) => void} onChunk - Called with each text delta
+     * @param {Object} [options] - See sendMessage
+     * @returns {Promise<{success: boolean, message?: string, applyContent?: Object, sources?: Array<Object>,
+     *   aborted?: boolean, error?: string}>}
+     */
+    async sendMessageStream(userMessage, documentContent = '', selectedText = null, onChunk = () => { },
+        options = {}) {
+        const apiKeyError = this.checkApiKeyConfigured();
+
+        if (apiKeyError) {
+            return apiKeyError;
+        }
+
+        // Only one response is generated at a time. The previous one records its
+        // partial answer before this question is added, so the history stays in order.
+        this.abortStream();
+
+        const controller = new AbortController();
+        const stream = this.activeStreamSettled.then(() => {
+            return this.streamMessage(controller, userMessage, documentContent, selectedText, onChunk, options);
+        });
+
+        this.activeStreamController = controller;
+        this.activeStreamSettled = stream.then(() => { }, () => { });
+        return stream;
+    }
+
+    /**
+     * Stream the response to a message, once no other response is being generated
+     * @param {AbortController} controller - Aborts the request; may be aborted before it starts
+     * @param {string} userMessage
+     * @param {string} documentContent
+     * @param {string|null} selectedText
+     * @param {(chunk: string) => void} onChunk
+     * @param {Object} options
+     * @returns {Promise<Object>} See sendMessageStream
+     * @private
+     */
+    async streamMessage(controller, userMessage, documentContent, selectedText, onChunk, options) {
+        if (controller.signal.aborted) {
+            return { success: false, aborted: true, error: 'Response generation stopped' };
+        }
+
+        const threadId = await this.ensureActiveThread();
+
+        await this.addToHistory('user', userMessage, threadId);
+
+        let idleTimer = null;
+        let assistantMessage = '';
+        let sources = [];
+
+        // Abort when the server stops sending data, rather than capping the total duration
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                controller.abort(new Error('AI service stopped responding'));
+            }, API_REQUEST_TIMEOUT_MS);
+        };
+
+        try {
+            sources = this.toSources(await this.findRelevantNotes(userMessage, options.documentPath));
+
+            const systemMessage = this.buildSystemMessage(documentContent, selectedText, sources);
+            const messages = this.buildRequestMessages(systemMessage);
+
+            resetIdleTimer();
+            const response = await this.makeApiRequest(messages, { stream: true, signal: controller.signal });
+
+            if (!response.ok) {
+                await this.removeLastFromHistory(threadId);
+
+                return {
+                    success: false,
+                    error: await this.parseErrorResponse(response)
+                };
+            }
+
+            await readSSEStream(response.body, ({ data }) => {
+                resetIdleTimer();
+
+                if (data === '[DONE]') {
+                    return;
+                }
+
+                let payload;
+
+                try {
+                    payload = JSON.parse(data);
+                } catch {
+                    console.warn('[AI Chat] Ignoring malformed stream event');
+                    return;
+                }
+
+                const chunk = this.parseStreamDelta(payload);
+
+                if (chunk) {
+                    assistantMessage += chunk;
+                    onChunk(chunk);
+                }
+            });
+
+            return await this.completeStreamedMessage(assistantMessage, false, threadId, sources);
+        } catch (error) {
+            if (controller.signal.aborted && controller.signal.reason instanceof StreamAbortedError) {
+                return await this.completeStreamedMessage(assistantMessage, true, threadId, sources);
+            }
+
+            await this.removeLastFromHistory(threadId);
+            console.error('AI API streaming error:', error);
+
+            return {
+                success: false,
+                error: (controller.signal.aborted && controller.signal.reason?.message) ||
+                    error.message || 'Failed to communicate with AI service'
+            };
+        } finally {
+            clearTimeout(idleTimer);
+            if (this.activeStreamController === controller) {
+                this.activeStreamController = null;
+            }
+        }
+    }
+
+    /**
+     * Record a streamed answer in the history and build the final result
+     * @param {string} assistantMessage - Accumulated response text
+     * @param {boolean} aborted - Whether generation was stopped by the user
+     * @param {string|null} [threadId] - Thread the answer belongs to
+     * @param {Array<Object>} [sources] - Numbered notes sent with the question
+     * @returns {Promise<{success: boolean, message?: string, applyContent?: Object, sources?: Array<Object>,
+     *   aborted: boolean, error?: string}>}
+     */
+    async completeStreamedMessage(assistantMessage, aborted, threadId = this.activeThreadId, sources = []) {
+        if (!assistantMessage) {
+            await this.removeLastFromHistory(threadId);
+
+            return aborted
+                ? { success: false, aborted: true, error: 'Response generation stopped' }
+                : { success: false, aborted: false, error: 'AI service returned an empty response' };
+        }
+
+        await this.addToHistory('assistant', assistantMessage, threadId, sources);
+
+        return {
+            success: true,
+            message: assistantMessage,
+            // A stopped response may contain an unterminated apply block, which is not applied
+            applyContent: this.extractApplyContent(assistantMessage),
+            sources: this.toSourceLinks(sources),
+            aborted
+        };
+    }
+
+    /**
+     * Stop the in-flight streaming request, if any
+     * @returns {boolean} Whether a request was aborted
+     */
+    abortStream() {
+        if (!this.activeStreamController) {
+            return false;
+        }
+
+        this.activeStreamController.abort(new StreamAbortedError());
+        this.activeStreamController = null;
+        return true;
+    }
+
     /**
      * Extract content marked for application to editor
      * @param {string} message - The AI response message
@@ -512,7 +1030,7 @@ class AIChatManager {
      */
     extractApplyContent(message) {
         // Match the apply markers with optional mode attribute
-        const applyRegex = /<<<APPLY_TO_EDITOR(?:\s+mode="(replace|insert|append)")?>>>([\s\S]*?)<<<END_APPLY>>>/;
+        const applyRegex = /<<<APPLY_TO_EDITOR(?:\s+mode="(replace|insert|append|patch)")?>>>([\s\S]*?)<<<END_APPLY>>>/;
         const match = message.match(applyRegex);
 
         if (!match) {
@@ -534,13 +1052,33 @@ class AIChatManager {
         };
     }
 
+    /**
+     * Number retrieved notes as the sources of an answer
+     * @param {import('./workspace-retriever').RetrievedNote[]} notes
+     * @returns {Array<Object>} The notes with a 1-based number
+     */
+    toSources(notes) {
+        return notes.map((note, index) => ({ number: index + 1, ...note }));
+    }
+
+    /**
+     * Strip the text of sources, keeping what is needed to show and open them
+     * @param {Array<Object>} sources
+     * @returns {Array<{number: number, filePath: string, relativePath: string, startLine: number,
+     *   endLine: number, heading: string}>}
+     */
+    toSourceLinks(sources) {
+        return sources.map(toSourceLink);
+    }
+
     /**
      * Build the system message with document context
      * @param {string} documentContent
      * @param {string|null} selectedText
+     * @param {Array<Object>} [sources] - Numbered workspace notes relevant to the question
      * @returns {string}
      */
-    buildSystemMessage(documentContent, selectedText = null) {
+    buildSystemMessage(documentContent, selectedText = null, sources = []) {
         let systemMessage = `You are a helpful writing assistant integrated into a Markdown editor called MD Editor Pro. 
 Your role is to help users with their markdown documents - answering questions, suggesting improvements, 
 helping with formatting, generating content, and providing writing assistance.
@@ -558,21 +1096,37 @@ MODES AVAILABLE:
 - mode="replace" - Replaces the ENTIRE document with the new content
 - mode="insert" - Inserts content at the cursor position
 - mode="append" - Adds content at the end of the document
+- mode="patch" - Changes specific parts of the document with search/replace blocks
 
 CRITICAL RULES FOR PARTIAL EDITS (when user asks to edit a specific part WITHOUT selecting text):
 When the user asks to edit/rewrite/improve a SPECIFIC PART of the document (like "rewrite the introduction", 
 "improve the second paragraph", "fix the conclusion"), you MUST:
-1. Use mode="replace" 
-2. Return the COMPLETE document with ONLY that specific part modified
-3. Keep all other parts of the document EXACTLY as they are
-4. This ensures the edit is applied correctly without losing any content
-
-Example - User asks "rewrite the first paragraph to be more engaging":
+1. Use mode="patch" and do NOT repeat the rest of the document
+2. Write one block per change: the exact text to change, copied character for character from the document, 
+then its replacement
+3. Anchor each block to the heading of the section it is in with section="## Heading" when there is one
+4. Keep the search text short but unique within its section
+5. To add content at the end of a section, leave the search text empty
+
+Block format:
+<<<SEARCH section="## Heading">>>
+exact text to change
+<<<REPLACE>>>
+replacement text
+<<<END_REPLACE>>>
+
+Example - User asks "rewrite the first paragraph of the introduction to be more engaging":
 "I've improved the first paragraph:"
-<<<APPLY_TO_EDITOR mode="replace">>>
-[The entire document with only the first paragraph changed, everything else identical]
+<<<APPLY_TO_EDITOR mode="patch">>>
+<<<SEARCH section="## Introduction">>>
+The original first paragraph, exactly as in the document.
+<<<REPLACE>>>
+The rewritten, more engaging paragraph.
+<<<END_REPLACE>>>
 <<<END_APPLY>>>
 
+Use mode="replace" with the complete document only when the whole document is rewritten.
+
 CRITICAL RULES FOR SELECTED TEXT (when user has text selected):
 When the user has SELECTED TEXT and asks to edit/rewrite/modify it:
 - Return ONLY the replacement for the selected portion, NOT the entire document
@@ -615,7 +1169,7 @@ When asked to edit, rewrite, or modify, apply changes ONLY to this selected text
             systemMessage += `
 
 NOTE: The user has NOT selected any specific text. If they ask to edit a specific part of the document 
-(like a paragraph, section, or sentence), you must return the COMPLETE document with only that part modified.`;
+(like a paragraph, section, or sentence), use mode="patch" with search/replace blocks for only that part.`;
         }
 
         if (documentContent && documentContent.trim()) {
@@ -631,6 +1185,27 @@ ${documentContent.length > 8000 ? '\n[Document truncated...]' : ''}
 Use this context to provide relevant assistance. When editing specific parts, preserve all other content exactly.`;
         }
 
+        if (sources.length > 0) {
+            const notes = sources.map(source => {
+                const location = `${source.relativePath} (lines ${source.startLine}-${source.endLine})`;
+                const text = source.text.length > MAX_SOURCE_LENGTH
+                    ? `${source.text.substring(0, MAX_SOURCE_LENGTH)}\n[Passage truncated...]`
+                    : source.text;
+
+                return `[${source.number}] ${location}\n${text}`;
+            });
+
+            systemMessage += `
+
+The following passages from other notes in the user's workspace may be relevant to the question:
+
+---WORKSPACE NOTES---
+${notes.join('\n\n')}
+---END WORKSPACE NOTES---
+
+When your answer uses information from these notes, cite them with their number in square brackets, like [1] or [2][3], right after the statement they support. Only cite notes you actually used, and do not cite them inside content for the editor. Ignore notes that are not relevant.`;
+        }
+
         return systemMessage;
     }
 
@@ -907,7 +1482,8 @@ Use this context to provide relevant assistance. When editing specific parts, pr
                 serverUrl: this.getLocalServerUrl(),
                 apiKey: this.getLocalApiKey() || '',
                 model: this.configStore.get('ai.local.model') || 'default'
-            }
+            },
+            retrieval: this.getRetrievalSettings()
         };
     }
 
@@ -920,15 +1496,6 @@ Use this context to provide relevant assistance. When editing specific parts, pr
      * @returns {Promise<{success: boolean, result?: string, error?: string}>}
      */
     async transformText(selectedText, command, customPrompt = '', targetLanguage = 'English') {
-        const provider = this.getProvider();
-
-        if (provider !== 'local' && !this.getApiKey()) {
-            return {
-                success: false,
-                error: 'API key not configured. Please set your API key in AI Chat settings.'
-            };
-        }
-
         const prompts = {
             'rewrite': `Rewrite the following text to improve clarity and flow while maintaining the same meaning. Keep the same language as the original. Return ONLY the rewritten text, no explanations:\n\n${selectedText}`,
             'summarize': `Summarize the following text concisely. Keep the same language as the original. Return ONLY the summary, no explanations:\n\n${selectedText}`,
@@ -942,13 +1509,55 @@ Use this context to provide relevant assistance. When editing specific parts, pr
 
         const prompt = prompts[command] || prompts['rewrite'];
 
+        return this.completePrompt(prompt);
+    }
+
+    /**
+     * Run a user-defined AI command on the editor content
+     * @param {import('./ai-command-library').AICommand} command
+     * @param {Object} values - Values of the template variables: selection, document, title, language
+     * @returns {Promise<{success: boolean, result?: string, error?: string}>}
+     */
+    async runCommand(command, values) {
+        const prompt = renderPromptTemplate(command.prompt, {
+            ...values,
+            language: command.language || values.language
+        });
+
+        return this.completePrompt(prompt, {
+            provider: command.provider,
+            model: command.model,
+            temperature: command.temperature
+        });
+    }
+
+    /**
+     * Send a single instruction and return the text of the answer
+     * @param {string} prompt
+     * @param {Object} [options] - provider, model and temperature; see makeApiRequest
+     * @returns {Promise<{success: boolean, result?: string, error?: string}>}
+     */
+    async completePrompt(prompt, options = {}) {
+        const provider = options.provider || this.getProvider();
+
+        if (!this.providerConfigs[provider]) {
+            return { success: false, error: `Unknown AI provider: ${provider}` };
+        }
+
+        if (provider !== 'local' && !this.getApiKey(provider)) {
+            return {
+                success: false,
+                error: 'API key not configured. Please set your API key in AI Chat settings.'
+            };
+        }
+
         try {
             const messages = [
                 { role: 'system', content: 'You are a helpful writing assistant. Follow the instructions precisely and return only the requested output without any additional commentary or explanations.' },
                 { role: 'user', content: prompt }
             ];
 
-            const response = await this.makeApiRequest(messages);
+            const response = await this.makeApiRequest(messages, { ...options, provider });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
@@ -964,7 +1573,7 @@ Use this context to provide relevant assistance. When editing specific parts, pr
             }
 
             const data = await response.json();
-            const result = this.parseResponseContent(data);
+            const result = this.parseResponseContent(data, provider);
 
             return { success: true, result: result.trim() };
         } catch (error) {
@@ -0,0 +1,334 @@
+/**
+ * Tests for AIChatManager conversation threads, history trimming and workspace notes
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReadableStream } from 'stream/web';
+import { TextEncoder } from 'util';
+
+const fetch = vi.fn();
+
+// The manager loads electron through CommonJS require, which vi.mock does not intercept
+const require = createRequire(import.meta.url);
+const electronPath = require.resolve('electron');
+
+require.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: { net: { fetch } }
+};
+
+const AIChatManager = require('./ai-chat-manager.js');
+const AIChatThreadStore = require('./ai-chat-thread-store.js');
+
+/**
+ * A successful OpenAI response
+ */
+function reply(content) {
+    return { ok: true, json: async () => ({ choices: [{ message: { content } }] }) };
+}
+
+/**
+ * A streamed OpenAI response; it stays open until aborted unless done is set
+ */
+function streamReply(init, content, done = true) {
+    const event = `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+    return {
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode(event));
+                if (done) {
+                    controller.close();
+                } else {
+                    init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+                }
+            }
+        })
+    };
+}
+
+describe('AIChatManager', () => {
+    let threadsDirectory;
+    let config;
+    let store;
+    let manager;
+
+    const sentMessages = () => JSON.parse(fetch.mock.calls.at(-1)[1].body).messages;
+
+    beforeEach(() => {
+        threadsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-ai-chat-'));
+        config = { 'ai.provider': 'openai', 'ai.openai.apiKey': 'sk-test' };
+        store = new AIChatThreadStore(threadsDirectory);
+        manager = new AIChatManager({ get: key => config[key], set: (key, value) => { config[key] = value; } }, store);
+        fetch.mockReset();
+    });
+
+    afterEach(() => {
+        fs.rmSync(threadsDirectory, { recursive: true, force: true });
+    });
+
+    describe('threads', () => {
+        it('saves the conversation in a new thread', async () => {
+            fetch.mockResolvedValue(reply('Hello!'));
+
+            const result = await manager.sendMessage('Hi', '');
+            const [thread] = await store.listThreads();
+
+            expect(result).toMatchObject({ success: true, message: 'Hello!' });
+            expect(thread).toMatchObject({ id: manager.activeThreadId, title: 'Hi', messageCount: 2 });
+        });
+
+        it('sends the history of the opened thread only', async () => {
+            const first = await manager.createThread('First');
+
+            fetch.mockResolvedValue(reply('One'));
+            await manager.sendMessage('Question one', '');
+
+            await manager.createThread('Second');
+            await manager.sendMessage('Question two', '');
+
+            expect(sentMessages().map(message => message.content).slice(1)).toEqual(['Question two']);
+
+            await manager.openThread(first.id);
+            await manager.sendMessage('Follow-up', '');
+
+            expect(sentMessages().map(message => message.content).slice(1)).toEqual(['Question one', 'One', 'Follow-up']);
+        });
+
+        it('removes the question when the request fails', async () => {
+            const thread = await manager.createThread();
+
+            fetch.mockResolvedValue({ ok: false, status: 500, json: async () => ({ error: { message: 'Server error' } }) });
+
+            const result = await manager.sendMessage('Hi', '');
+
+            expect(result.success).toBe(false);
+            expect(manager.conversationHistory).toEqual([]);
+            expect((await store.getThread(thread.id)).messages).toEqual([]);
+        });
+
+        it('records a stopped answer before the next question', async () => {
+            fetch
+                .mockImplementationOnce(async (url, init) => streamReply(init, 'Partial', false))
+                .mockImplementationOnce(async (url, init) => streamReply(init, 'Done'));
+
+            let firstChunk;
+            const chunkReceived = new Promise(resolve => { firstChunk = resolve; });
+            const first = manager.sendMessageStream('One', '', null, firstChunk);
+
+            await chunkReceived;
+
+            const [firstResult, secondResult] = await Promise.all([first, manager.sendMessageStream('Two', '')]);
+
+            expect(firstResult).toMatchObject({ success: true, message: 'Partial', aborted: true });
+            expect(secondResult).toMatchObject({ success: true, message: 'Done', aborted: false });
+            expect(manager.conversationHistory.map(message => message.content)).toEqual(['One', 'Partial', 'Two', 'Done']);
+            expect((await store.getThread(manager.activeThreadId)).messages).toHaveLength(4);
+        });
+
+        it('clears and deletes the active thread', async () => {
+            fetch.mockResolvedValue(reply('Hello!'));
+            await manager.sendMessage('Hi', '');
+
+            const threadId = manager.activeThreadId;
+
+            await manager.clearHistory();
+            expect((await store.getThread(threadId)).messages).toEqual([]);
+
+            await manager.deleteThread(threadId);
+            expect(manager.activeThreadId).toBeNull();
+            expect(await store.listThreads()).toEqual([]);
+        });
+    });
+
+    describe('workspace notes', () => {
+        const note = {
+            filePath: '/workspace/meetings/planning.md',
+            relativePath: 'meetings/planning.md',
+            startLine: 4,
+            endLine: 9,
+            heading: 'Planning',
+            text: 'We decided to use Postgres.'
+        };
+        let retriever;
+
+        beforeEach(() => {
+            retriever = { retrieve: vi.fn().mockResolvedValue([note]) };
+            manager = new AIChatManager({ get: key => config[key], set: (key, value) => { config[key] = value; } },
+                store, retriever);
+            manager.setRetrievalSettings({ enabled: true });
+            fetch.mockResolvedValue(reply('Postgres [1]'));
+        });
+
+        it('sends the relevant notes as numbered sources and returns them', async () => {
+            const result = await manager.sendMessage('What database?', '', null, { documentPath: '/workspace/a.md' });
+
+            const options = expect.objectContaining({ limit: 6, excludePath: '/workspace/a.md', embed: null });
+
+            expect(retriever.retrieve).toHaveBeenCalledWith('What database?', options);
+            expect(sentMessages()[0].content).toContain('[1] meetings/planning.md (lines 4-9)\nWe decided to use Postgres.');
+            expect(result.sources).toEqual([{
+                number: 1,
+                filePath: note.filePath,
+                relativePath: note.relativePath,
+                startLine: 4,
+                endLine: 9,
+                heading: 'Planning'
+            }]);
+            expect((await store.getThread(manager.activeThreadId)).messages[1].sources).toEqual(result.sources);
+        });
+
+        it('is off until turned on', async () => {
+            delete config['ai.retrieval.enabled'];
+            expect(manager.getRetrievalSettings().enabled).toBe(false);
+
+            const result = await manager.sendMessage('What database?', '');
+
+            expect(retriever.retrieve).not.toHaveBeenCalled();
+            expect(result.sources).toEqual([]);
+            expect(sentMessages()[0].content).not.toContain('WORKSPACE NOTES');
+        });
+
+        it('answers without sources when retrieval fails', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            retriever.retrieve.mockRejectedValue(new Error('Disk error'));
+
+            const result = await manager.sendMessage('What database?', '');
+
+            expect(result).toMatchObject({ success: true, sources: [] });
+            warn.mockRestore();
+        });
+
+        it('embeds with the local server when embeddings are enabled', async () => {
+            manager.setRetrievalSettings({ embeddings: true, embeddingModel: 'embed-small' });
+            await manager.sendMessage('What database?', '');
+
+            const { embed, embeddingModel } = retriever.retrieve.mock.calls[0][1];
+
+            fetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] })
+            });
+
+            expect(embeddingModel).toBe('embed-small');
+            expect(await embed(['a', 'b'])).toEqual([[1, 0], [0, 1]]);
+            expect(fetch.mock.calls.at(-1)[0]).toBe('http://localhost:1234/v1/embeddings');
+            expect(JSON.parse(fetch.mock.calls.at(-1)[1].body)).toEqual({ model: 'embed-small', input: ['a', 'b'] });
+        });
+    });
+
+    describe('buildRequestMessages', () => {
+        beforeEach(() => {
+            manager = new AIChatManager({ get: key => config[key] });
+        });
+
+        it('keeps the newest messages that fit the token budget', () => {
+            config['ai.historyTokenBudget'] = 100;
+            manager.conversationHistory = [
+                { role: 'user', content: 'a'.repeat(200) },
+                { role: 'assistant', content: 'b'.repeat(200) },
+                { role: 'user', content: 'c'.repeat(100) },
+                { role: 'assistant', content: 'd'.repeat(100) },
+                { role: 'user', content: 'e'.repeat(100) }
+            ];
+
+            const messages = manager.buildRequestMessages('s'.repeat(40));
+
+            expect(messages.map(message => message.content[0])).toEqual(['s', 'c', 'd', 'e']);
+        });
+
+        it('starts the history with a question', () => {
+            config['ai.historyTokenBudget'] = 60;
+            manager.conversationHistory = [
+                { role: 'user', content: 'a'.repeat(100) },
+                { role: 'assistant', content: 'b'.repeat(100) },
+                { role: 'user', content: 'c'.repeat(100) }
+            ];
+
+            expect(manager.buildRequestMessages('').slice(1).map(message => message.content[0])).toEqual(['c']);
+        });
+
+        it('always sends the newest message', () => {
+            config['ai.historyTokenBudget'] = 10;
+            manager.conversationHistory = [{ role: 'user', content: 'x'.repeat(1000) }];
+
+            expect(manager.buildRequestMessages('system')).toHaveLength(2);
+        });
+
+        it('keeps the conversation in memory without a thread store', async () => {
+            fetch.mockResolvedValue(reply('Hello!'));
+
+            await manager.sendMessage('Hi', '');
+
+            expect(manager.activeThreadId).toBeNull();
+            expect(manager.conversationHistory).toEqual([
+                { role: 'user', content: 'Hi' },
+                { role: 'assistant', content: 'Hello!' }
+            ]);
+        });
+    });
+
+    describe('extractApplyContent', () => {
+        beforeEach(() => {
+            manager = new AIChatManager({ get: key => config[key] });
+        });
+
+        it('extracts patches of search/replace blocks', () => {
+            const patch = '<<<SEARCH section="## Intro">>>\nOld\n<<<REPLACE>>>\nNew\n<<<END_REPLACE>>>';
+
+            expect(manager.extractApplyContent(`Done:\n<<<APPLY_TO_EDITOR mode="patch">>>\n${patch}\n<<<END_APPLY>>>`))
+                .toEqual({ content: patch, mode: 'patch', displayMessage: 'Done:' });
+        });
+
+        it('replaces the document when no mode is given', () => {
+            expect(manager.extractApplyContent('<<<APPLY_TO_EDITOR>>>\n# Doc\n<<<END_APPLY>>>'))
+                .toEqual({ content: '# Doc', mode: 'replace', displayMessage: null });
+        });
+    });
+
+    describe('runCommand', () => {
+        const command = { id: 'tldr', prompt: 'Summarize "{{title}}" in {{language}}:\n{{selection}}', language: 'French' };
+
+        it('sends the rendered prompt with the current provider by default', async () => {
+            fetch.mockResolvedValue(reply(' Court. '));
+
+            const result = await manager.runCommand(command, { selection: 'Long text', title: 'Notes', language: 'German' });
+
+            expect(result).toEqual({ success: true, result: 'Court.' });
+            expect(fetch.mock.calls.at(-1)[0]).toBe('https://api.openai.com/v1/chat/completions');
+            expect(sentMessages().at(-1).content).toBe('Summarize "Notes" in French:\nLong text');
+        });
+
+        it('uses the provider, model and temperature of the command', async () => {
+            config['ai.anthropic.apiKey'] = 'sk-ant';
+            fetch.mockResolvedValue({ ok: true, json: async () => ({ content: [{ text: 'Short' }] }) });
+
+            const result = await manager.runCommand(
+                { ...command, provider: 'anthropic', model: 'claude-test', temperature: 0.1 },
+                { selection: 'Long text' }
+            );
+            const [url, request] = fetch.mock.calls.at(-1);
+
+            expect(result).toEqual({ success: true, result: 'Short' });
+            expect(url).toBe('https://api.anthropic.com/v1/messages');
+            expect(request.headers['x-api-key']).toBe('sk-ant');
+            expect(JSON.parse(request.body)).toMatchObject({ model: 'claude-test', temperature: 0.1 });
+        });
+
+        it('fails without a key for the provider of the command or with an unknown provider', async () => {
+            expect((await manager.runCommand({ ...command, provider: 'groq' }, {})).success).toBe(false);
+            expect((await manager.runCommand({ ...command, provider: 'nope' }, {})).error).toBe('Unknown AI provider: nope');
+            expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+});
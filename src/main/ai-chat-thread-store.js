@@ -0,0 +1,369 @@
+/**
+ * AI Chat Thread Store
+ * Keeps AI chat conversations on disk under userData, so they survive restarts.
+ *
+ * Each thread is one JSON file named after its id, holding a title, the
+ * document it is bound to (null for general threads) and its messages.
+ * Threads can be listed per document and exported to markdown.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Untitled threads are named after the start of their first question
+const MAX_TITLE_LENGTH = 60;
+
+// Thread ids are generated here and used as file names, so anything else is rejected
+const THREAD_ID_PATTERN = /^[a-z0-9]+-[a-f0-9]{8}$/;
+
+// Content the assistant marked for the editor, exported as a code block
+const APPLY_BLOCK_PATTERN = /<<<APPLY_TO_EDITOR(?:\s+mode="[a-z]+")?>>>\n?([\s\S]*?)\n?<<<END_APPLY>>>/g;
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'user'|'assistant'} role
+ * @property {string} content
+ * @property {number} timestamp - Time in milliseconds
+ * @property {Array<Object>} [sources] - Workspace notes the answer could cite, numbered from 1
+ */
+
+/**
+ * @typedef {Object} ChatThread
+ * @property {string} id
+ * @property {string} title - Empty until named or until the first question is asked
+ * @property {string|null} documentPath - Absolute path of the bound document
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {ChatMessage[]} messages - Oldest first
+ */
+
+/**
+ * @typedef {Object} ChatThreadSummary
+ * @property {string} id
+ * @property {string} title
+ * @property {string|null} documentPath
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number} messageCount
+ */
+
+/**
+ * Keep what is needed to show and open a source, leaving out its text
+ * @param {Object} source - Numbered workspace note sent with a question
+ * @returns {{number: number, filePath: string, relativePath: string, startLine: number,
+ *   endLine: number, heading: string}}
+ */
+function toSourceLink({ number, filePath, relativePath, startLine, endLine, heading }) {
+    return { number, filePath, relativePath, startLine, endLine, heading };
+}
+
+/**
+ * Title for an untitled thread, taken from its first question
+ * @param {string} content - First user message
+ * @returns {string}
+ */
+function titleFromMessage(content) {
+    const line = content.replace(/\s+/g, ' ').trim();
+
+    return line.length > MAX_TITLE_LENGTH ? `${line.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : line;
+}
+
+/**
+ * Format a thread as a markdown document
+ * @param {ChatThread} thread
+ * @returns {string}
+ */
+function formatThreadAsMarkdown(thread) {
+    const lines = [`# ${thread.title || 'AI Chat'}`, ''];
+
+    if (thread.documentPath) {
+        lines.push(`Document: \`${thread.documentPath}\``, '');
+    }
+
+    for (const message of thread.messages) {
+        const time = new Date(message.timestamp).toLocaleString();
+        const content = message.content.replace(APPLY_BLOCK_PATTERN, (match, applied) => {
+            return '```markdown\n' + applied.trim() + '\n```';
+        });
+
+        lines.push(`## ${message.role === 'user' ? 'You' : 'Assistant'} (${time})`, '', content.trim(), '');
+
+        if (message.sources?.length) {
+            message.sources.forEach(source => {
+                lines.push(`- [${source.number}] \`${source.relativePath}\`, line ${source.startLine}`);
+            });
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+class AIChatThreadStore {
+    /**
+     * @param {string} threadsDirectory - Directory where threads are kept (under userData)
+     */
+    constructor(threadsDirectory) {
+        if (!threadsDirectory) {
+            throw new Error('Chat threads directory is required');
+        }
+
+        this.threadsDirectory = threadsDirectory;
+        // Pending operation per thread, so concurrent updates do not interleave
+        this.queues = new Map();
+    }
+
+    /**
+     * List threads, most recently updated first
+     * @param {string|null} [documentPath] - When given, only general threads and those bound to
+     *   this document; null lists the general threads only
+     * @returns {Promise<ChatThreadSummary[]>}
+     */
+    async listThreads(documentPath) {
+        let files;
+
+        try {
+            files = await fs.readdir(this.threadsDirectory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw new Error(`Failed to list chat threads: ${error.message}`, { cause: error });
+        }
+
+        const boundTo = documentPath ? path.resolve(documentPath) : null;
+        const threads = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => this._readThread(file.slice(0, -'.json'.length))));
+
+        return threads
+            .filter(thread => thread && (
+                documentPath === undefined || thread.documentPath === null || thread.documentPath === boundTo
+            ))
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages.length }));
+    }
+
+    /**
+     * Create an empty thread
+     * @param {Object} [options]
+     * @param {string} [options.title] - Left empty to name the thread after its first question
+     * @param {string|null} [options.documentPath] - Document the thread belongs to
+     * @returns {Promise<ChatThread>}
+     */
+    async createThread({ title = '', documentPath = null } = {}) {
+        const now = Date.now();
+        const thread = {
+            id: `${now.toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+            title: String(title || '').trim(),
+            documentPath: documentPath ? path.resolve(documentPath) : null,
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+
+        await this._enqueue(thread.id, () => this._writeThread(thread));
+
+        return thread;
+    }
+
+    /**
+     * Get a thread with its messages
+     * @param {string} id
+     * @returns {Promise<ChatThread>}
+     */
+    getThread(id) {
+        return this._enqueue(id, () => this._getThread(id));
+    }
+
+    /**
+     * Rename a thread
+     * @param {string} id
+     * @param {string} title
+     * @returns {Promise<ChatThread>}
+     */
+    renameThread(id, title) {
+        return this._update(id, thread => {
+            thread.title = String(title || '').trim();
+        });
+    }
+
+    /**
+     * Delete a thread
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    deleteThread(id) {
+        return this._enqueue(id, () => fs.rm(this._getThreadFile(id), { force: true }));
+    }
+
+    /**
+     * Add a message at the end of a thread
+     * @param {string} id
+     * @param {'user'|'assistant'} role
+     * @param {string} content
+     * @param {Array<Object>|null} [sources] - Workspace notes the answer could cite
+     * @returns {Promise<ChatThread>}
+     */
+    appendMessage(id, role, content, sources = null) {
+        return this._update(id, thread => {
+            const message = { role, content, timestamp: Date.now() };
+
+            if (sources?.length) {
+                message.sources = sources.map(toSourceLink);
+            }
+            thread.messages.push(message);
+
+            if (!thread.title && role === 'user') {
+                thread.title = titleFromMessage(content);
+            }
+        });
+    }
+
+    /**
+     * Remove the last message of a thread, e.g. a question that got no answer
+     * @param {string} id
+     * @returns {Promise<ChatThread>}
+     */
+    removeLastMessage(id) {
+        return this._update(id, thread => {
+            thread.messages.pop();
+        });
+    }
+
+    /**
+     * Remove every message of a thread, keeping its title and document
+     * @param {string} id
+     * @returns {Promise<ChatThread>}
+     */
+    clearMessages(id) {
+        return this._update(id, thread => {
+            thread.messages = [];
+        });
+    }
+
+    /**
+     * Format a thread as a markdown document
+     * @param {string} id
+     * @returns {Promise<{thread: ChatThread, markdown: string}>}
+     */
+    async exportToMarkdown(id) {
+        const thread = await this.getThread(id);
+
+        return { thread, markdown: formatThreadAsMarkdown(thread) };
+    }
+
+    /**
+     * Change a thread and save it
+     * @param {string} id
+     * @param {(thread: ChatThread) => void} change
+     * @returns {Promise<ChatThread>}
+     * @private
+     */
+    _update(id, change) {
+        return this._enqueue(id, async () => {
+            const thread = await this._getThread(id);
+
+            change(thread);
+            thread.updatedAt = Date.now();
+            await this._writeThread(thread);
+
+            return thread;
+        });
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<ChatThread>}
+     * @private
+     */
+    async _getThread(id) {
+        const thread = await this._readThread(id);
+
+        if (!thread) {
+            throw new Error(`Chat thread not found: ${id}`);
+        }
+
+        return thread;
+    }
+
+    /**
+     * Read a thread file
+     * @param {string} id
+     * @returns {Promise<ChatThread|null>} Null when missing or unreadable
+     * @private
+     */
+    async _readThread(id) {
+        try {
+            const data = JSON.parse(await fs.readFile(this._getThreadFile(id), 'utf-8'));
+
+            if (data.id === id && Array.isArray(data.messages)) {
+                return data;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Discarding unreadable chat thread:', error.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Write a thread through a temporary file
+     * @param {ChatThread} thread
+     * @private
+     */
+    async _writeThread(thread) {
+        const threadFile = this._getThreadFile(thread.id);
+        const tempFile = `${threadFile}.tmp`;
+
+        try {
+            await fs.mkdir(this.threadsDirectory, { recursive: true });
+            await fs.writeFile(tempFile, JSON.stringify(thread));
+            await fs.rename(tempFile, threadFile);
+        } catch (error) {
+            await fs.rm(tempFile, { force: true });
+            throw new Error(`Failed to save chat thread: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {string}
+     * @private
+     */
+    _getThreadFile(id) {
+        return path.join(this.threadsDirectory, `${id}.json`);
+    }
+
+    /**
+     * Run an operation after the pending ones of the same thread
+     * @param {string} id
+     * @param {Function} operation - Returns a promise
+     * @returns {Promise<*>}
+     * @private
+     */
+    _enqueue(id, operation) {
+        if (typeof id !== 'string' || !THREAD_ID_PATTERN.test(id)) {
+            return Promise.reject(new Error('Invalid chat thread id'));
+        }
+
+        const result = (this.queues.get(id) || Promise.resolve()).then(operation);
+        const settled = result.catch(() => {});
+
+        this.queues.set(id, settled);
+        settled.then(() => {
+            if (this.queues.get(id) === settled) {
+                this.queues.delete(id);
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = AIChatThreadStore;
+module.exports.formatThreadAsMarkdown = formatThreadAsMarkdown;
+module.exports.toSourceLink = toSourceLink;
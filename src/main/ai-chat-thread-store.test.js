@@ -0,0 +1,151 @@
+/**
+ * Tests for AIChatThreadStore
+ */
+
+const { describe, it, expect, beforeEach, afterEach, vi } = globalThis;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIChatThreadStore = require('./ai-chat-thread-store');
+
+describe('AIChatThreadStore', () => {
+    let threadsDirectory;
+    let store;
+    const documentPath = path.resolve('/notes/todo.md');
+
+    beforeEach(() => {
+        threadsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-ai-chats-'));
+        store = new AIChatThreadStore(threadsDirectory);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        fs.rmSync(threadsDirectory, { recursive: true, force: true });
+    });
+
+    it('requires a threads directory', () => {
+        expect(() => new AIChatThreadStore()).toThrow('Chat threads directory is required');
+    });
+
+    it('saves messages to disk', async () => {
+        const thread = await store.createThread({ documentPath });
+
+        await store.appendMessage(thread.id, 'user', 'What is missing?');
+        await store.appendMessage(thread.id, 'assistant', 'A conclusion.');
+
+        const reopened = await new AIChatThreadStore(threadsDirectory).getThread(thread.id);
+
+        expect(reopened.documentPath).toBe(documentPath);
+        expect(reopened.messages.map(({ role, content }) => ({ role, content }))).toEqual([
+            { role: 'user', content: 'What is missing?' },
+            { role: 'assistant', content: 'A conclusion.' }
+        ]);
+    });
+
+    it('names untitled threads after their first question', async () => {
+        const thread = await store.createThread();
+        const updated = await store.appendMessage(thread.id, 'user', `Summarize\n${'the document '.repeat(10)}`);
+
+        expect(updated.title).toMatch(/^Summarize the document the document/);
+        expect(updated.title.length).toBeLessThanOrEqual(60);
+        expect(updated.title.endsWith('…')).toBe(true);
+
+        await store.renameThread(thread.id, ' Summary ');
+        await store.appendMessage(thread.id, 'user', 'Another question');
+
+        expect((await store.getThread(thread.id)).title).toBe('Summary');
+    });
+
+    it('lists general threads and those of the document, most recent first', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+        const general = await store.createThread({ title: 'General' });
+        vi.setSystemTime(new Date('2026-03-01T10:01:00Z'));
+        const bound = await store.createThread({ title: 'Todo', documentPath });
+        const other = await store.createThread({ title: 'Other', documentPath: path.resolve('/notes/other.md') });
+
+        vi.setSystemTime(new Date('2026-03-01T10:02:00Z'));
+        await store.appendMessage(general.id, 'user', 'Latest');
+
+        expect((await store.listThreads(documentPath)).map(thread => thread.id)).toEqual([general.id, bound.id]);
+        expect((await store.listThreads(null)).map(thread => thread.id)).toEqual([general.id]);
+        expect(await store.listThreads()).toHaveLength(3);
+        expect((await store.listThreads()).find(thread => thread.id === other.id)).toMatchObject({
+            title: 'Other',
+            messageCount: 0
+        });
+    });
+
+    it('returns no threads before any was saved', async () => {
+        expect(await new AIChatThreadStore(path.join(threadsDirectory, 'missing')).listThreads()).toEqual([]);
+    });
+
+    it('removes the last message and clears threads', async () => {
+        const thread = await store.createThread({ title: 'Draft' });
+
+        await store.appendMessage(thread.id, 'user', 'One');
+        await store.appendMessage(thread.id, 'user', 'Two');
+        expect((await store.removeLastMessage(thread.id)).messages).toHaveLength(1);
+
+        const cleared = await store.clearMessages(thread.id);
+
+        expect(cleared.messages).toEqual([]);
+        expect(cleared.title).toBe('Draft');
+    });
+
+    it('deletes threads', async () => {
+        const thread = await store.createThread();
+
+        await store.deleteThread(thread.id);
+
+        expect(await store.listThreads()).toEqual([]);
+        await expect(store.getThread(thread.id)).rejects.toThrow(`Chat thread not found: ${thread.id}`);
+    });
+
+    it('keeps concurrent appends in order', async () => {
+        const thread = await store.createThread();
+
+        await Promise.all(['a', 'b', 'c', 'd'].map(content => store.appendMessage(thread.id, 'user', content)));
+
+        expect((await store.getThread(thread.id)).messages.map(message => message.content)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('rejects ids that are not thread ids', async () => {
+        await expect(store.getThread('../../etc/passwd')).rejects.toThrow('Invalid chat thread id');
+        await expect(store.deleteThread('')).rejects.toThrow('Invalid chat thread id');
+    });
+
+    it('skips unreadable thread files when listing', async () => {
+        const thread = await store.createThread();
+
+        fs.writeFileSync(path.join(threadsDirectory, 'lr0abc-0badf00d.json'), '{ broken');
+
+        expect((await store.listThreads()).map(listed => listed.id)).toEqual([thread.id]);
+    });
+
+    it('exports threads to markdown', async () => {
+        const thread = await store.createThread({ title: 'Review', documentPath });
+
+        await store.appendMessage(thread.id, 'user', 'Improve the intro');
+        await store.appendMessage(thread.id, 'assistant',
+            'Here it is:\n<<<APPLY_TO_EDITOR mode="insert">>>\n# Intro\n<<<END_APPLY>>>');
+
+        const { markdown } = await store.exportToMarkdown(thread.id);
+
+        expect(markdown).toMatch(/^# Review\n\nDocument: `.*todo\.md`\n\n## You \(.+\)\n\nImprove the intro\n\n## Assistant/);
+        expect(markdown).toContain('Here it is:\n```markdown\n# Intro\n```');
+    });
+
+    it('saves the sources of answers without their text', async () => {
+        const thread = await store.createThread();
+        const source = { number: 1, relativePath: 'notes/plan.md', startLine: 3, endLine: 8, text: 'Use Postgres' };
+
+        await store.appendMessage(thread.id, 'assistant', 'Postgres [1]', [source]);
+
+        const [message] = (await store.getThread(thread.id)).messages;
+        const { markdown } = await store.exportToMarkdown(thread.id);
+
+        expect(message.sources).toEqual([{ number: 1, relativePath: 'notes/plan.md', startLine: 3, endLine: 8 }]);
+        expect(markdown).toContain('Postgres [1]\n\n- [1] `notes/plan.md`, line 3\n');
+    });
+});
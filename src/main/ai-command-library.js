@@ -0,0 +1,244 @@
+/**
+ * AI Command Library
+ * Reads the AI edit commands a team defines for a workspace. Commands are
+ * shared as a JSON file in the workspace (.md-editor/ai-commands.json):
+ *
+ *   {
+ *     "commands": [
+ *       {
+ *         "id": "meeting-summary",
+ *         "name": "Summarize meeting",
+ *         "description": "Decisions and action items",
+ *         "prompt": "List the decisions and action items of {{selection}}",
+ *         "provider": "openai",
+ *         "model": "gpt-4o",
+ *         "temperature": 0.2
+ *       }
+ *     ]
+ *   }
+ *
+ * Prompts are templates; {{selection}}, {{document}}, {{title}} and
+ * {{language}} are replaced with the values of the editor when a command runs.
+ * Provider, model and temperature are optional and default to the AI settings.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Path of the commands file, relative to the workspace root
+ */
+const COMMANDS_FILE = path.join('.md-editor', 'ai-commands.json');
+
+/**
+ * Variables a prompt template can use
+ */
+const TEMPLATE_VARIABLES = ['selection', 'document', 'title', 'language'];
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z]+)\s*\}\}/g;
+
+/**
+ * Content of a new commands file
+ */
+const SAMPLE_COMMANDS = {
+    commands: [
+        {
+            id: 'action-items',
+            name: 'Extract action items',
+            description: 'Task list of the action items in the selection',
+            prompt: 'List the action items in the following notes from "{{title}}" as a markdown task list. '
+                + 'Return ONLY the list:\n\n{{selection}}',
+            temperature: 0.2
+        },
+        {
+            id: 'translate-document',
+            name: 'Translate document',
+            description: 'Translation of the whole document',
+            prompt: 'Translate the following markdown document to {{language}}, keeping its formatting. '
+                + 'Return ONLY the translation:\n\n{{document}}'
+        }
+    ]
+};
+
+/**
+ * @typedef {Object} AICommand
+ * @property {string} id - Unique within the file
+ * @property {string} name - Label shown in the menus
+ * @property {string} description
+ * @property {string} prompt - Prompt template
+ * @property {string[]} variables - Template variables the prompt uses
+ * @property {string} [provider] - AI provider, defaults to the selected one
+ * @property {string} [model] - Model, defaults to the one selected for the provider
+ * @property {number} [temperature] - Sampling temperature, between 0 and 2
+ * @property {string} [language] - Value of {{language}}; asked when the command runs if missing
+ */
+
+/**
+ * Get the template variables a prompt uses
+ * @param {string} template
+ * @returns {string[]} Known variables, in order of first use
+ */
+function getTemplateVariables(template) {
+    const variables = [];
+
+    for (const [, name] of template.matchAll(VARIABLE_PATTERN)) {
+        if (TEMPLATE_VARIABLES.includes(name) && !variables.includes(name)) {
+            variables.push(name);
+        }
+    }
+
+    return variables;
+}
+
+/**
+ * Replace the variables of a prompt template
+ * @param {string} template
+ * @param {Object<string, string>} values - Values by variable name
+ * @returns {string} The prompt; unknown variables are left as they are
+ */
+function renderPromptTemplate(template, values) {
+    return template.replace(VARIABLE_PATTERN, (match, name) => {
+        return TEMPLATE_VARIABLES.includes(name) ? String(values[name] ?? '') : match;
+    });
+}
+
+/**
+ * Check a command read from the file
+ * @param {*} command
+ * @returns {string|null} What is wrong with it, null when it is valid
+ */
+function validateCommand(command) {
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+        return 'must be an object';
+    }
+    if (typeof command.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/i.test(command.id)) {
+        return '"id" must contain only letters, digits and dashes';
+    }
+
+    for (const key of ['name', 'prompt']) {
+        if (typeof command[key] !== 'string' || !command[key].trim()) {
+            return `"${key}" must be a non-empty string`;
+        }
+    }
+    for (const key of ['description', 'provider', 'model', 'language']) {
+        if (command[key] !== undefined && typeof command[key] !== 'string') {
+            return `"${key}" must be a string`;
+        }
+    }
+
+    const { temperature } = command;
+
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+        return '"temperature" must be a number between 0 and 2';
+    }
+
+    return null;
+}
+
+class AICommandLibrary {
+    /**
+     * @param {Object} workspaceManager - WorkspaceManager instance
+     */
+    constructor(workspaceManager) {
+        this.workspaceManager = workspaceManager;
+    }
+
+    /**
+     * Get the path of the commands file of the open workspace
+     * @returns {string|null} null when no workspace is open
+     */
+    getCommandsFile() {
+        const workspacePath = this.workspaceManager.getWorkspacePath();
+
+        return workspacePath ? path.join(workspacePath, COMMANDS_FILE) : null;
+    }
+
+    /**
+     * Read the commands of the open workspace
+     * Invalid commands are left out and reported, so one mistake does not hide the whole library.
+     * @returns {Promise<{commands: AICommand[], errors: string[], filePath: string|null}>}
+     */
+    async getCommands() {
+        const filePath = this.getCommandsFile();
+        const commands = [];
+        const errors = [];
+        let data;
+
+        if (!filePath) {
+            return { commands, errors, filePath };
+        }
+
+        try {
+            data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                errors.push(error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message);
+            }
+            return { commands, errors, filePath };
+        }
+
+        if (!data || !Array.isArray(data.commands)) {
+            errors.push('The file must contain a "commands" array');
+            return { commands, errors, filePath };
+        }
+
+        data.commands.forEach((command, index) => {
+            const problem = validateCommand(command);
+
+            if (problem) {
+                errors.push(`Command ${index + 1}: ${problem}`);
+            } else if (commands.some(existing => existing.id === command.id)) {
+                errors.push(`Command ${index + 1}: the id "${command.id}" is already used`);
+            } else {
+                commands.push({
+                    ...command,
+                    name: command.name.trim(),
+                    description: command.description || '',
+                    variables: getTemplateVariables(command.prompt)
+                });
+            }
+        });
+
+        return { commands, errors, filePath };
+    }
+
+    /**
+     * Get a command of the open workspace by id
+     * @param {string} id
+     * @returns {Promise<AICommand|null>}
+     */
+    async getCommand(id) {
+        const { commands } = await this.getCommands();
+
+        return commands.find(command => command.id === id) || null;
+    }
+
+    /**
+     * Create the commands file of the open workspace with sample commands, unless it exists
+     * @returns {Promise<{filePath: string, created: boolean}>}
+     */
+    async createCommandsFile() {
+        const filePath = this.getCommandsFile();
+
+        if (!filePath) {
+            throw new Error('No workspace is open');
+        }
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        try {
+            await fs.writeFile(filePath, `${JSON.stringify(SAMPLE_COMMANDS, null, 4)}\n`, { flag: 'wx' });
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                return { filePath, created: false };
+            }
+            throw error;
+        }
+
+        return { filePath, created: true };
+    }
+}
+
+module.exports = AICommandLibrary;
+module.exports.COMMANDS_FILE = COMMANDS_FILE;
+module.exports.getTemplateVariables = getTemplateVariables;
+module.exports.renderPromptTemplate = renderPromptTemplate;
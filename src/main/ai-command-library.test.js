@@ -0,0 +1,131 @@
+/**
+ * Tests for AICommandLibrary
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const AICommandLibrary = require('./ai-command-library');
+const { COMMANDS_FILE, getTemplateVariables, renderPromptTemplate } = AICommandLibrary;
+
+describe('prompt templates', () => {
+    it('lists the known variables a prompt uses', () => {
+        expect(getTemplateVariables('{{ language }}: {{selection}} {{title}} {{selection}} {{author}}'))
+            .toEqual(['language', 'selection', 'title']);
+    });
+
+    it('replaces the known variables and keeps the others', () => {
+        const prompt = renderPromptTemplate('Translate {{title}} to {{ language }}:\n{{document}} {{author}}', {
+            title: 'Notes',
+            language: 'French'
+        });
+
+        expect(prompt).toBe('Translate Notes to French:\n {{author}}');
+    });
+});
+
+describe('AICommandLibrary', () => {
+    let workspacePath;
+    let workspaceManager;
+    let library;
+
+    const writeCommands = data => {
+        const filePath = path.join(workspacePath, COMMANDS_FILE);
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+    };
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-ai-commands-'));
+        workspaceManager = { getWorkspacePath: () => workspacePath };
+        library = new AICommandLibrary(workspaceManager);
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+    });
+
+    it('has no commands without a workspace or a commands file', async () => {
+        expect(await library.getCommands()).toEqual({
+            commands: [],
+            errors: [],
+            filePath: path.join(workspacePath, COMMANDS_FILE)
+        });
+
+        workspaceManager.getWorkspacePath = () => null;
+        expect(await library.getCommands()).toEqual({ commands: [], errors: [], filePath: null });
+    });
+
+    it('reads the commands with the variables their prompt uses', async () => {
+        writeCommands({
+            commands: [{ id: 'tldr', name: ' TL;DR ', prompt: 'Summarize {{selection}}', model: 'gpt-4o', temperature: 0 }]
+        });
+
+        const { commands, errors } = await library.getCommands();
+
+        expect(errors).toEqual([]);
+        expect(commands).toEqual([{
+            id: 'tldr',
+            name: 'TL;DR',
+            description: '',
+            prompt: 'Summarize {{selection}}',
+            model: 'gpt-4o',
+            temperature: 0,
+            variables: ['selection']
+        }]);
+        expect(await library.getCommand('tldr')).toMatchObject({ id: 'tldr' });
+        expect(await library.getCommand('other')).toBeNull();
+    });
+
+    it('leaves out invalid commands and reports them', async () => {
+        writeCommands({
+            commands: [
+                { id: 'ok', name: 'Ok', prompt: 'Go' },
+                { id: 'has space', name: 'Bad id', prompt: 'Go' },
+                { id: 'no-prompt', name: 'No prompt' },
+                { id: 'hot', name: 'Hot', prompt: 'Go', temperature: 5 },
+                { id: 'ok', name: 'Again', prompt: 'Go' }
+            ]
+        });
+
+        const { commands, errors } = await library.getCommands();
+
+        expect(commands.map(command => command.id)).toEqual(['ok']);
+        expect(errors).toEqual([
+            'Command 2: "id" must contain only letters, digits and dashes',
+            'Command 3: "prompt" must be a non-empty string',
+            'Command 4: "temperature" must be a number between 0 and 2',
+            'Command 5: the id "ok" is already used'
+        ]);
+    });
+
+    it('reports files that cannot be read as commands', async () => {
+        writeCommands('{ "commands": [');
+        expect((await library.getCommands()).errors[0]).toMatch(/^Invalid JSON/);
+
+        writeCommands({ commands: {} });
+        expect((await library.getCommands()).errors).toEqual(['The file must contain a "commands" array']);
+    });
+
+    it('creates a file of sample commands once', async () => {
+        const created = await library.createCommandsFile();
+
+        expect(created).toEqual({ filePath: path.join(workspacePath, COMMANDS_FILE), created: true });
+        expect((await library.getCommands()).commands.length).toBeGreaterThan(0);
+
+        writeCommands({ commands: [] });
+        expect((await library.createCommandsFile()).created).toBe(false);
+        expect((await library.getCommands()).commands).toEqual([]);
+    });
+
+    it('cannot create a commands file without a workspace', async () => {
+        workspaceManager.getWorkspacePath = () => null;
+
+        await expect(library.createCommandsFile()).rejects.toThrow('No workspace is open');
+    });
+});
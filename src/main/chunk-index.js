@@ -0,0 +1,270 @@
+/**
+ * Chunk Index
+ * Splits markdown documents into passages (chunks) that follow the heading
+ * structure, and ranks them for a free-text question with BM25. Unlike the
+ * search index, a chunk matches when it contains any of the question's words,
+ * so natural-language questions find the passages that answer them.
+ */
+
+const crypto = require('crypto');
+const { tokenize } = require('./search-index');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// A section longer than this is split at paragraph breaks
+const MAX_CHUNK_WORDS = 200;
+
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_REGEX = /^\s*(```|~~~)/;
+const FRONT_MATTER_REGEX = /^---\r?\n[\s\S]*?\r?\n---(\r?\n|$)/;
+
+// Words too common to tell passages apart (English and Portuguese)
+const STOP_WORDS = new Set([
+    'a about all an and any are as at be been but by can did do does for from had has have how i if in into is',
+    'it its me my no not of on or our so that the their them there these they this to us was we were what when',
+    'where which who why will with you your',
+    'o os um uma de da dos das e em na nos nas que para por com se ao aos foi é ser sobre qual quais quando',
+    'onde como nós eu meu minha nosso nossa isso isto esse essa este esta'
+].join(' ').split(' '));
+
+/**
+ * @typedef {Object} Chunk
+ * @property {number} startLine - First line, 1-based
+ * @property {number} endLine - Last line, 1-based
+ * @property {string} heading - Headings the chunk is under, outermost first, joined with " > "
+ * @property {string} text - Content of the lines
+ */
+
+/**
+ * Split a markdown document into chunks
+ * Every heading starts a chunk; sections longer than MAX_CHUNK_WORDS are
+ * split at blank lines outside code blocks. Front matter is left out.
+ * @param {string} content - Document content
+ * @returns {Chunk[]}
+ */
+function chunkMarkdown(content) {
+    const frontMatter = content.match(FRONT_MATTER_REGEX);
+    const offset = frontMatter ? frontMatter[0].split('\n').length - 1 : 0;
+    const lines = content.slice(frontMatter ? frontMatter[0].length : 0).split(/\r?\n/);
+    const chunks = [];
+    const headings = [];
+    let current = null;
+    let inFence = false;
+
+    const flush = () => {
+        if (current) {
+            // Trailing blank lines are not part of the chunk
+            while (current.lines.length > 0 && current.lines[current.lines.length - 1].trim() === '') {
+                current.lines.pop();
+            }
+
+            chunks.push({
+                startLine: current.startLine,
+                endLine: current.startLine + current.lines.length - 1,
+                heading: current.heading,
+                text: current.lines.join('\n').trim()
+            });
+        }
+        current = null;
+    };
+
+    lines.forEach((line, index) => {
+        const lineNumber = offset + index + 1;
+        const heading = inFence ? null : line.match(HEADING_REGEX);
+
+        if (FENCE_REGEX.test(line)) {
+            inFence = !inFence;
+        }
+
+        if (heading) {
+            flush();
+            headings.splice(heading[1].length - 1);
+            headings[heading[1].length - 1] = heading[2];
+        } else if (current && !inFence && line.trim() === '' && current.words >= MAX_CHUNK_WORDS) {
+            flush();
+            return;
+        }
+
+        if (!current) {
+            // Blank lines between chunks belong to none
+            if (line.trim() === '') {
+                return;
+            }
+            current = { startLine: lineNumber, heading: headings.filter(Boolean).join(' > '), lines: [], words: 0 };
+        }
+
+        current.lines.push(line);
+        current.words += tokenize(line).length;
+    });
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Lowercase terms of a text without stop words
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toTerms(text) {
+    return tokenize(text)
+        .map(token => token.term)
+        .filter(term => !STOP_WORDS.has(term));
+}
+
+class ChunkIndex {
+    constructor() {
+        this.files = new Map(); // Map<id, {mtimeMs, size, chunks}>
+        this.documentFrequency = new Map(); // Map<term, number of chunks>
+        this.chunkCount = 0;
+        this.totalLength = 0;
+    }
+
+    /**
+     * Check whether a file is indexed with the given file stats
+     * @param {string} id - File id (workspace-relative path)
+     * @param {{mtimeMs: number, size: number}} stats - Current file stats
+     * @returns {boolean}
+     */
+    isUpToDate(id, stats) {
+        const file = this.files.get(id);
+
+        return Boolean(file) && file.mtimeMs === stats.mtimeMs && file.size === stats.size;
+    }
+
+    /**
+     * Get the ids of all indexed files
+     * @returns {string[]}
+     */
+    getFileIds() {
+        return Array.from(this.files.keys());
+    }
+
+    /**
+     * Chunk and index a file, replacing its previous chunks
+     * @param {string} id - File id (workspace-relative path, forward slashes)
+     * @param {string} content - File content
+     * @param {{mtimeMs: number, size: number}} [stats] - File stats used to detect changes
+     */
+    setFile(id, content, stats = { mtimeMs: 0, size: 0 }) {
+        this.removeFile(id);
+
+        // The file name counts as part of every chunk, so "meeting notes" finds meeting-notes.md
+        const nameTerms = toTerms(id.split('/').pop().replace(/\.(md|markdown)$/i, ''));
+        const chunks = chunkMarkdown(content).map(chunk => {
+            const terms = Object.create(null);
+            const allTerms = [...nameTerms, ...toTerms(chunk.text)];
+
+            allTerms.forEach(term => {
+                terms[term] = (terms[term] || 0) + 1;
+            });
+
+            return {
+                ...chunk,
+                hash: crypto.createHash('sha1').update(`${id}\n${chunk.text}`).digest('hex'),
+                length: allTerms.length,
+                terms
+            };
+        });
+
+        for (const chunk of chunks) {
+            for (const term of Object.keys(chunk.terms)) {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            }
+            this.totalLength += chunk.length;
+        }
+
+        this.chunkCount += chunks.length;
+        this.files.set(id, { mtimeMs: stats.mtimeMs, size: stats.size, chunks });
+    }
+
+    /**
+     * Remove a file and its chunks
+     * @param {string} id - File id
+     * @returns {boolean} True if the file was indexed
+     */
+    removeFile(id) {
+        const file = this.files.get(id);
+
+        if (!file) {
+            return false;
+        }
+
+        for (const chunk of file.chunks) {
+            for (const term of Object.keys(chunk.terms)) {
+                const count = this.documentFrequency.get(term) - 1;
+
+                if (count === 0) {
+                    this.documentFrequency.delete(term);
+                } else {
+                    this.documentFrequency.set(term, count);
+                }
+            }
+            this.totalLength -= chunk.length;
+        }
+
+        this.chunkCount -= file.chunks.length;
+        this.files.delete(id);
+        return true;
+    }
+
+    /**
+     * Every indexed chunk with the id of its file
+     * @returns {Array<{id: string, chunk: Object}>}
+     */
+    getChunks() {
+        const all = [];
+
+        for (const [id, file] of this.files) {
+            file.chunks.forEach(chunk => all.push({ id, chunk }));
+        }
+
+        return all;
+    }
+
+    /**
+     * Rank the chunks containing any word of a question
+     * @param {string} question - Free text
+     * @param {Object} [options]
+     * @param {number} [options.limit=20] - Maximum number of results
+     * @returns {Array<{id: string, chunk: Object, score: number}>} Best first
+     */
+    search(question, { limit = 20 } = {}) {
+        const terms = Array.from(new Set(toTerms(question))).filter(term => this.documentFrequency.has(term));
+
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const averageLength = this.totalLength / this.chunkCount || 1;
+        const results = [];
+
+        for (const { id, chunk } of this.getChunks()) {
+            let score = 0;
+
+            for (const term of terms) {
+                const frequency = chunk.terms[term];
+
+                if (frequency) {
+                    const chunksWithTerm = this.documentFrequency.get(term);
+                    const idf = Math.log(1 + (this.chunkCount - chunksWithTerm + 0.5) / (chunksWithTerm + 0.5));
+                    const norm = frequency + K1 * (1 - B + B * chunk.length / averageLength);
+
+                    score += idf * (frequency * (K1 + 1)) / norm;
+                }
+            }
+
+            if (score > 0) {
+                results.push({ id, chunk, score });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id) || a.chunk.startLine - b.chunk.startLine)
+            .slice(0, limit);
+    }
+}
+
+module.exports = { ChunkIndex, chunkMarkdown, MAX_CHUNK_WORDS };
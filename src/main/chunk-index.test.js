@@ -0,0 +1,92 @@
+/**
+ * ChunkIndex Tests
+ * Tests for the passage index behind the AI chat workspace retrieval
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+const { ChunkIndex, chunkMarkdown, MAX_CHUNK_WORDS } = require('./chunk-index');
+
+describe('chunkMarkdown', () => {
+    it('starts a chunk at every heading and keeps the heading path', () => {
+        const chunks = chunkMarkdown('Intro line\n\n# Project\n\nOverview\n\n## Decisions\n\nUse SQLite\n');
+
+        expect(chunks).toEqual([
+            { startLine: 1, endLine: 1, heading: '', text: 'Intro line' },
+            { startLine: 3, endLine: 5, heading: 'Project', text: '# Project\n\nOverview' },
+            { startLine: 7, endLine: 9, heading: 'Project > Decisions', text: '## Decisions\n\nUse SQLite' }
+        ]);
+    });
+
+    it('skips front matter and keeps the line numbers of the file', () => {
+        const [chunk] = chunkMarkdown('---\ntitle: Notes\n---\n# Notes\nBody');
+
+        expect(chunk).toMatchObject({ startLine: 4, endLine: 5, heading: 'Notes' });
+    });
+
+    it('ignores headings inside code blocks', () => {
+        const chunks = chunkMarkdown('# Setup\n\n```bash\n# install\nnpm ci\n```');
+
+        expect(chunks).toHaveLength(1);
+        expect(chunks[0].heading).toBe('Setup');
+    });
+
+    it('splits long sections at paragraph breaks', () => {
+        const paragraph = 'word '.repeat(MAX_CHUNK_WORDS).trim();
+        const chunks = chunkMarkdown(`# Long\n${paragraph}\n\n${paragraph}`);
+
+        expect(chunks.map(chunk => [chunk.startLine, chunk.endLine, chunk.heading])).toEqual([
+            [1, 2, 'Long'],
+            [4, 4, 'Long']
+        ]);
+    });
+});
+
+describe('ChunkIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new ChunkIndex();
+        index.setFile('meetings/2024-05-planning.md', '# Planning\n\nWe decided to move the database to Postgres.\n');
+        index.setFile('notes/ideas.md', '# Ideas\n\nA dark theme for the editor.\n\n# Database\n\nMaybe index notes.\n');
+    });
+
+    it('ranks the passages containing any word of a question', () => {
+        const results = index.search('What did we decide about the database?');
+
+        expect(results.map(result => [result.id, result.chunk.heading])).toEqual([
+            ['notes/ideas.md', 'Database'],
+            ['meetings/2024-05-planning.md', 'Planning']
+        ]);
+    });
+
+    it('matches words of the file name', () => {
+        const [result] = index.search('planning');
+
+        expect(result.id).toBe('meetings/2024-05-planning.md');
+    });
+
+    it('ignores questions made of stop words only', () => {
+        expect(index.search('what is the')).toEqual([]);
+    });
+
+    it('replaces and removes the chunks of a file', () => {
+        index.setFile('notes/ideas.md', 'Nothing here');
+        expect(index.search('theme')).toEqual([]);
+
+        index.removeFile('meetings/2024-05-planning.md');
+        expect(index.search('postgres')).toEqual([]);
+        expect(index.getFileIds()).toEqual(['notes/ideas.md']);
+        expect(index.documentFrequency.has('postgres')).toBe(false);
+    });
+
+    it('tracks file stats', () => {
+        index.setFile('a.md', 'Text', { mtimeMs: 10, size: 4 });
+
+        expect(index.isUpToDate('a.md', { mtimeMs: 10, size: 4 })).toBe(true);
+        expect(index.isUpToDate('a.md', { mtimeMs: 11, size: 4 })).toBe(false);
+        expect(index.isUpToDate('b.md', { mtimeMs: 10, size: 4 })).toBe(false);
+    });
+});
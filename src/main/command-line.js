@@ -0,0 +1,96 @@
+/**
+ * Command line parsing
+ *
+ * Usage: md-editor-pro [options] [paths...]
+ *   paths                      Files to open; a folder is opened as workspace
+ *   -w, --workspace <folder>   Open a folder as workspace
+ *   -g, --goto <file:line>     Open a file at a line
+ *   -n, --new                  Start a new untitled document
+ *
+ * Unknown options are ignored, since Chromium adds its own switches to the
+ * arguments forwarded to a running instance.
+ */
+
+/**
+ * Get the arguments given by the user, without the executable and, when the
+ * app runs unpackaged (`electron .`), the app path
+ * @param {string[]} argv - process.argv of the launch
+ * @param {boolean} isDefaultApp - process.defaultApp, true when running unpackaged
+ * @returns {string[]}
+ */
+function getUserArgs(argv, isDefaultApp) {
+    return argv.slice(isDefaultApp ? 2 : 1);
+}
+
+/**
+ * Split `file:line` or `file:line:column` into path and line.
+ * Drive letters (`C:\notes.md:3`) are left in the path.
+ * @param {string} spec - Path, optionally followed by a position
+ * @returns {{path: string, line: number|null}}
+ */
+function splitPosition(spec) {
+    const match = /^(.+?):(\d+)(?::\d+)?$/.exec(spec);
+
+    if (!match) {
+        return { path: spec, line: null };
+    }
+
+    return { path: match[1], line: Math.max(1, parseInt(match[2], 10)) };
+}
+
+/**
+ * Parse the user arguments
+ * @param {string[]} args - Arguments without executable, see getUserArgs
+ * @returns {{workspace: string|null, paths: string[], gotos: Array<{path: string, line: number|null}>, newFile: boolean}}
+ *   `paths` are the positional arguments, files or folders not yet told apart
+ */
+function parseCommandLine(args) {
+    const result = { workspace: null, paths: [], gotos: [], newFile: false };
+    let optionsEnded = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (optionsEnded || !arg.startsWith('-') || arg === '-') {
+            result.paths.push(arg);
+            continue;
+        }
+        if (arg === '--') {
+            optionsEnded = true;
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const name = equals === -1 ? arg : arg.slice(0, equals);
+        // Options taking a value accept both `--name value` and `--name=value`
+        const takeValue = () => (equals === -1 ? args[++i] : arg.slice(equals + 1));
+
+        switch (name) {
+            case '-w':
+            case '--workspace': {
+                const value = takeValue();
+
+                if (value) result.workspace = value;
+                break;
+            }
+            case '-g':
+            case '--goto': {
+                const value = takeValue();
+
+                if (value) result.gotos.push(splitPosition(value));
+                break;
+            }
+            case '-n':
+            case '--new':
+                result.newFile = true;
+                break;
+            default:
+                // Chromium and Electron switches, e.g. --allow-file-access-from-files
+                break;
+        }
+    }
+
+    return result;
+}
+
+module.exports = { getUserArgs, splitPosition, parseCommandLine };
@@ -0,0 +1,53 @@
+/**
+ * Command line parsing tests
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { getUserArgs, splitPosition, parseCommandLine } = require('./command-line');
+
+describe('getUserArgs', () => {
+    it('drops the executable, and the app path when unpackaged', () => {
+        expect(getUserArgs(['/opt/md-editor-pro', 'a.md'], false)).toEqual(['a.md']);
+        expect(getUserArgs(['/usr/bin/electron', '.', 'a.md'], true)).toEqual(['a.md']);
+    });
+});
+
+describe('splitPosition', () => {
+    it('splits a trailing line and ignores the column', () => {
+        expect(splitPosition('notes/todo.md:12')).toEqual({ path: 'notes/todo.md', line: 12 });
+        expect(splitPosition('notes/todo.md:12:4')).toEqual({ path: 'notes/todo.md', line: 12 });
+        expect(splitPosition('notes/todo.md')).toEqual({ path: 'notes/todo.md', line: null });
+    });
+
+    it('keeps Windows drive letters in the path', () => {
+        expect(splitPosition('C:\\notes\\todo.md:3')).toEqual({ path: 'C:\\notes\\todo.md', line: 3 });
+        expect(splitPosition('C:\\notes\\todo.md')).toEqual({ path: 'C:\\notes\\todo.md', line: null });
+    });
+});
+
+describe('parseCommandLine', () => {
+    it('collects paths, workspace, gotos and --new', () => {
+        const parsed = parseCommandLine(['a.md', '--workspace', 'notes', '--goto=b.md:7', '-n', 'docs']);
+
+        expect(parsed).toEqual({
+            workspace: 'notes',
+            paths: ['a.md', 'docs'],
+            gotos: [{ path: 'b.md', line: 7 }],
+            newFile: true
+        });
+    });
+
+    it('ignores unknown switches and treats everything after -- as paths', () => {
+        const parsed = parseCommandLine(['--allow-file-access-from-files', '--', '--new']);
+
+        expect(parsed.paths).toEqual(['--new']);
+        expect(parsed.newFile).toBe(false);
+    });
+
+    it('ignores options missing their value', () => {
+        expect(parseCommandLine(['--goto'])).toEqual({ workspace: null, paths: [], gotos: [], newFile: false });
+    });
+});
@@ -64,11 +64,29 @@ class ConfigStore {
                 typewriter: {
                     enabled: false
                 },
+                // Front matter settings
+                frontMatter: {
+                    showInPreview: true
+                },
                 // Image paste settings
                 imagePaste: {
                     enabled: true,
                     saveToAssets: true,
-                    assetsFolder: './assets'
+                    assetsFolder: './assets',
+                    // {document}, {original}, {date}, {time} and {timestamp} are replaced
+                    fileNamePattern: 'image-{timestamp}',
+                    promptForName: false,
+                    // Downscale to maxWidth and recompress JPEGs
+                    optimize: false,
+                    maxWidth: 1920,
+                    jpegQuality: 85,
+                    // Reuse an identical image already in the assets folder
+                    deduplicate: true
+                },
+                // Last-used PDF export options, overall and by workspace path
+                pdfExport: {
+                    lastUsed: null,
+                    workspaces: {}
                 }
             }
         });
@@ -163,6 +181,10 @@ class ConfigStore {
             activeTabId: null
         });
         this.store.set('recentFiles', []);
+        this.store.set('pdfExport', {
+            lastUsed: null,
+            workspaces: {}
+        });
     }
 
     // ========== Auto-Save Methods (Requirements: 1.6, 1.7) ==========
@@ -715,7 +737,9 @@ class ConfigStore {
 
     /**
      * Get image paste configuration
-     * @returns {{enabled: boolean, saveToAssets: boolean, assetsFolder: string}} Image paste configuration
+     * @returns {{enabled: boolean, saveToAssets: boolean, assetsFolder: string, fileNamePattern: string,
+     *   promptForName: boolean, optimize: boolean, maxWidth: number, jpegQuality: number, deduplicate: boolean}}
+     *   Image paste configuration
      */
     getImagePasteConfig() {
         return this.store.get('imagePaste');
@@ -777,6 +801,39 @@ class ConfigStore {
         }
         this.store.set('imagePaste.assetsFolder', folder);
     }
+
+    // ========== PDF Export Methods ==========
+
+    /**
+     * Get the last-used PDF export options of a workspace
+     * Falls back to the options used last anywhere, e.g. for a workspace never exported from.
+     * @param {string|null} workspacePath - Path of the open workspace, null without one
+     * @returns {Object|null} PDF options, null if PDF was never exported
+     */
+    getPdfExportOptions(workspacePath) {
+        // Read the whole map; workspace paths contain dots, which electron-store treats as key separators
+        const workspaces = this.store.get('pdfExport.workspaces') || {};
+
+        return (workspacePath && workspaces[workspacePath]) || this.store.get('pdfExport.lastUsed') || null;
+    }
+
+    /**
+     * Remember the PDF export options used in a workspace
+     * @param {string|null} workspacePath - Path of the open workspace, null without one
+     * @param {Object} options - PDF options
+     */
+    setPdfExportOptions(workspacePath, options) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error(`Invalid PDF export options: ${options}. Must be an object`);
+        }
+
+        this.store.set('pdfExport.lastUsed', options);
+        if (workspacePath) {
+            const workspaces = this.store.get('pdfExport.workspaces') || {};
+
+            this.store.set('pdfExport.workspaces', { ...workspaces, [workspacePath]: options });
+        }
+    }
 }
 
 module.exports = ConfigStore;
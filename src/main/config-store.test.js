@@ -359,6 +359,31 @@ describe('ConfigStore', () => {
         });
     });
 
+    describe('PDF Export Configuration', () => {
+        it('should return null before PDF was ever exported', () => {
+            expect(configStore.getPdfExportOptions('/projects/notes')).toBeNull();
+        });
+
+        it('should remember options per workspace', () => {
+            configStore.setPdfExportOptions('/projects/notes.v2', { pageSize: 'Letter' });
+            configStore.setPdfExportOptions('/projects/book', { pageSize: 'Legal' });
+
+            expect(configStore.getPdfExportOptions('/projects/notes.v2')).toEqual({ pageSize: 'Letter' });
+            expect(configStore.getPdfExportOptions('/projects/book')).toEqual({ pageSize: 'Legal' });
+        });
+
+        it('should fall back to the last-used options', () => {
+            configStore.setPdfExportOptions(null, { pageSize: 'Letter' });
+
+            expect(configStore.getPdfExportOptions('/projects/new')).toEqual({ pageSize: 'Letter' });
+            expect(configStore.getPdfExportOptions(null)).toEqual({ pageSize: 'Letter' });
+        });
+
+        it('should throw error for invalid options', () => {
+            expect(() => configStore.setPdfExportOptions(null, 'A4')).toThrow('Must be an object');
+        });
+    });
+
     describe('Existing Configuration Methods', () => {
         it('should maintain backward compatibility with theme methods', () => {
             configStore.setTheme('dark');
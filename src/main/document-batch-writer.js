@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * DocumentBatchWriter - Applies edits to several documents as one operation.
+ *
+ * Documents open in tabs are read from their tab buffer. When applying,
+ * unsaved tabs only get their buffer updated, while every other document is
+ * written to disk atomically; a failed write restores the files already
+ * written, so a batch is applied completely or not at all.
+ */
+class DocumentBatchWriter {
+    /**
+     * @param {Object} tabManager - TabManager holding the content of open documents
+     * @param {Object} fileWatcherManager - FileWatcherManager notified about our own writes
+     */
+    constructor(tabManager, fileWatcherManager) {
+        if (!tabManager) {
+            throw new Error('TabManager is required');
+        }
+        this.tabManager = tabManager;
+        this.fileWatcherManager = fileWatcherManager || null;
+    }
+
+    /**
+     * Read the current content of a document, preferring an open tab over the disk
+     * @param {string} filePath - Absolute file path
+     * @returns {Promise<{content: string, tabId: string|null}|null>} null if the file cannot be read
+     */
+    async read(filePath) {
+        const tab = this.tabManager.getAllTabs().find(candidate => candidate.filePath === filePath);
+
+        if (tab) {
+            return { content: tab.content, tabId: tab.id };
+        }
+
+        try {
+            return { content: await fs.readFile(filePath, 'utf-8'), tabId: null };
+        } catch (error) {
+            console.warn(`Skipping unreadable file: ${filePath}`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Replace the content of every document of the batch.
+     * Fails without changing anything if a document no longer has its
+     * expected original content.
+     * @param {Array<{filePath: string, originalContent: string, newContent: string}>} files - Documents to change
+     * @returns {Promise<Array<{tabId: string, content: string, isModified: boolean}>>} Open tabs that changed
+     */
+    async apply(files) {
+        const sources = [];
+
+        for (const file of files) {
+            const source = await this.read(file.filePath);
+
+            if (!source || source.content !== file.originalContent) {
+                throw new Error(`${path.basename(file.filePath)} changed in the meantime, no file was updated`);
+            }
+            sources.push({ ...file, tabId: source.tabId });
+        }
+
+        // Unsaved tabs only get their buffer updated; everything else is written to disk
+        const diskFiles = sources.filter(file => !file.tabId || !this.tabManager.isTabModified(file.tabId));
+        const written = [];
+
+        try {
+            for (const file of diskFiles) {
+                await this._writeAtomic(file.filePath, file.newContent);
+                written.push(file);
+            }
+        } catch (error) {
+            await this._rollback(written);
+            throw error;
+        }
+
+        const updatedTabs = [];
+
+        for (const file of sources) {
+            if (file.tabId && this.tabManager.updateTabContent(file.tabId, file.newContent)) {
+                updatedTabs.push({
+                    tabId: file.tabId,
+                    content: file.newContent,
+                    isModified: this.tabManager.isTabModified(file.tabId)
+                });
+            }
+        }
+
+        return updatedTabs;
+    }
+
+    /**
+     * Write a file through a temporary sibling and a rename, so readers
+     * never see a half-written document
+     * @param {string} filePath - Destination path
+     * @param {string} content - Content to write
+     * @private
+     */
+    async _writeAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        try {
+            await fs.writeFile(tempPath, content, 'utf-8');
+            await fs.rename(tempPath, filePath);
+            // Only a write that reached the disk is ours; the watcher checks after a debounce
+            if (this.fileWatcherManager) {
+                this.fileWatcherManager.recordWrite(filePath, content);
+            }
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Restore the original content of files written before a failure
+     * @param {Array<{filePath: string, originalContent: string}>} files - Files to restore
+     * @private
+     */
+    async _rollback(files) {
+        for (const file of files) {
+            try {
+                await this._writeAtomic(file.filePath, file.originalContent);
+            } catch (error) {
+                console.error(`Failed to restore ${file.filePath} after a failed batch write:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = DocumentBatchWriter;
@@ -0,0 +1,255 @@
+/**
+ * Document Importer - converts Word, OpenDocument and HTML files to markdown
+ * Documents are converted to HTML first (mammoth for .docx, the ODT converter
+ * for .odt) and then to markdown with the converter used for pasted HTML.
+ * Every document gets a markdown path next to the imported file, not yet
+ * saved, and its embedded images are saved to the assets folder next to it.
+ */
+
+const { dialog, BrowserWindow } = require('electron');
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+const mammoth = require('mammoth');
+const HtmlToMarkdownConverter = require('../renderer/features/html-to-markdown');
+const { convertOdtToHtml } = require('./odt-converter');
+const { detectImageFormat } = require('./file-manager');
+
+/** File types offered by the import dialog */
+const IMPORT_EXTENSIONS = ['docx', 'odt', 'html', 'htm'];
+
+/** File extensions of image content types */
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp',
+    'image/tiff': 'tiff',
+    'image/x-emf': 'emf',
+    'image/x-wmf': 'wmf'
+};
+
+/** Word paragraph styles named after a callout type become callouts */
+const DOCX_STYLE_MAP = ['Note', 'Tip', 'Important', 'Warning', 'Caution'].map(name => {
+    return `p[style-name='${name}'] => div.callout.callout-${name.toLowerCase()} > p:fresh`;
+});
+
+const DATA_URI_REGEX = /^data:(image\/[\w.+-]+);base64,([\s\S]*)$/i;
+const IMG_SRC_REGEX = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])([\s\S]*?)\2/gi;
+
+/**
+ * Get the file extension of an image content type or file name
+ * @param {string} contentType - e.g. 'image/jpeg'
+ * @param {string} [fileName] - Used when the content type is unknown
+ * @returns {string}
+ */
+function getImageExtension(contentType, fileName) {
+    const fromName = fileName ? path.extname(fileName).slice(1).toLowerCase() : '';
+
+    return IMAGE_EXTENSIONS[(contentType || '').toLowerCase()] || fromName || 'png';
+}
+
+/**
+ * DocumentImporter class converts documents into new markdown documents
+ */
+class DocumentImporter {
+    /**
+     * @param {import('./file-manager')} fileManager - Saves extracted images to the assets folder
+     */
+    constructor(fileManager) {
+        this.fileManager = fileManager;
+        this.converter = new HtmlToMarkdownConverter();
+    }
+
+    /**
+     * Ask for documents and convert them
+     * @returns {Promise<{documents: Array<{title: string, sourcePath: string, filePath: string, content: string}>,
+     *   errors: Array<{sourcePath: string, error: string}>}|null>} Null if the user cancelled
+     */
+    async importDocuments() {
+        const result = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
+            title: 'Import',
+            properties: ['openFile', 'multiSelections'],
+            filters: [
+                { name: 'Documents', extensions: IMPORT_EXTENSIONS },
+                { name: 'Word Documents', extensions: ['docx'] },
+                { name: 'OpenDocument Text', extensions: ['odt'] },
+                { name: 'Web Pages', extensions: ['html', 'htm'] }
+            ]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        const documents = [];
+        const errors = [];
+
+        // One failing document does not stop the others
+        for (const filePath of result.filePaths) {
+            try {
+                documents.push(await this.importFile(filePath));
+            } catch (error) {
+                console.error(`Error importing ${filePath}:`, error);
+                errors.push({ sourcePath: filePath, error: error.message });
+            }
+        }
+
+        return { documents, errors };
+    }
+
+    /**
+     * Convert a document to markdown
+     * Images are saved relative to the returned markdown path, a file next to the
+     * document that does not exist yet.
+     * @param {string} filePath - Path of a .docx, .odt, .html or .htm file
+     * @returns {Promise<{title: string, sourcePath: string, filePath: string, content: string}>}
+     * @throws {Error} If the file type is not supported or conversion fails
+     */
+    async importFile(filePath) {
+        const { dir, name, ext } = path.parse(filePath);
+        const markdownPath = await this._getMarkdownPath(dir, name);
+        const saveImage = async (buffer, extension) => {
+            const saved = await this.fileManager.saveImageToAssets(buffer, markdownPath, extension);
+
+            return saved.relativePath;
+        };
+        let html;
+
+        switch (ext.slice(1).toLowerCase()) {
+            case 'docx':
+                html = await this._convertDocx(filePath, saveImage);
+                break;
+            case 'odt':
+                html = await convertOdtToHtml(await fs.readFile(filePath), {
+                    convertImage: (buffer, contentType) => saveImage(buffer, getImageExtension(contentType))
+                });
+                break;
+            case 'html':
+            case 'htm':
+                html = await this._readHtml(filePath, saveImage);
+                break;
+            default:
+                throw new Error(`Unsupported file type: ${ext || path.basename(filePath)}`);
+        }
+
+        return { title: name, sourcePath: filePath, filePath: markdownPath, content: this.converter.convert(html) };
+    }
+
+    /**
+     * Path for the markdown of an imported document that does not replace an existing file
+     * @param {string} dir - Folder of the imported document
+     * @param {string} name - Name of the imported document without extension
+     * @param {number} [counter=1] - Number of the candidate to try
+     * @returns {Promise<string>} `<name>.md`, or `<name>-2.md`, `<name>-3.md`, ... when taken
+     * @private
+     */
+    _getMarkdownPath(dir, name, counter = 1) {
+        const markdownPath = path.join(dir, counter === 1 ? `${name}.md` : `${name}-${counter}.md`);
+
+        return fs.access(markdownPath).then(() => this._getMarkdownPath(dir, name, counter + 1), () => markdownPath);
+    }
+
+    /**
+     * Convert a Word document to HTML, saving its images
+     * @param {string} filePath
+     * @param {(buffer: Buffer, extension: string) => Promise<string>} saveImage
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _convertDocx(filePath, saveImage) {
+        const result = await mammoth.convertToHtml({ path: filePath }, {
+            styleMap: DOCX_STYLE_MAP,
+            convertImage: mammoth.images.imgElement(async (image) => {
+                return { src: await saveImage(await image.readAsBuffer(), getImageExtension(image.contentType)) };
+            })
+        });
+
+        for (const message of result.messages.filter(entry => entry.type === 'error')) {
+            console.warn(`Importing ${filePath}: ${message.message}`);
+        }
+
+        return result.value;
+    }
+
+    /**
+     * Read an HTML file, keeping the main content of saved web pages and saving
+     * images embedded as data URIs or stored next to the page
+     * @param {string} filePath
+     * @param {(buffer: Buffer, extension: string) => Promise<string>} saveImage
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _readHtml(filePath, saveImage) {
+        let html = await fs.readFile(filePath, 'utf-8');
+
+        html = html.replace(/<head\b[\s\S]*?<\/head>/i, '');
+
+        // Web clippings: the article without the site navigation around it
+        const main = html.match(/<main\b[^>]*>([\s\S]*)<\/main>/i) || html.match(/<article\b[^>]*>([\s\S]*)<\/article>/i);
+
+        if (main) {
+            html = main[1];
+        }
+        html = html.replace(/<nav\b[\s\S]*?<\/nav>/gi, '');
+
+        const sources = new Map();
+
+        for (const match of html.matchAll(IMG_SRC_REGEX)) {
+            const src = match[3];
+
+            if (!sources.has(src)) {
+                sources.set(src, await this._saveHtmlImage(src, path.dirname(filePath), saveImage));
+            }
+        }
+
+        return html.replace(IMG_SRC_REGEX, (match, start, quote, src) => `${start}${quote}${sources.get(src)}${quote}`);
+    }
+
+    /**
+     * Save an image of an HTML file to the assets folder; remote images and local
+     * files outside the folder of the HTML file or that are not images keep their URL
+     * @param {string} src - Image source as written in the HTML
+     * @param {string} baseDir - Folder of the HTML file
+     * @param {(buffer: Buffer, extension: string) => Promise<string>} saveImage
+     * @returns {Promise<string>} New image source
+     * @private
+     */
+    async _saveHtmlImage(src, baseDir, saveImage) {
+        const dataUri = src.match(DATA_URI_REGEX);
+
+        try {
+            if (dataUri) {
+                return await saveImage(Buffer.from(dataUri[2], 'base64'), getImageExtension(dataUri[1]));
+            }
+
+            const decoded = src.replace(/&amp;/g, '&');
+            let imagePath = null;
+
+            if (/^file:/i.test(decoded)) {
+                imagePath = fileURLToPath(decoded);
+            } else if (!/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(decoded)) {
+                imagePath = path.resolve(baseDir, decodeURI(decoded.split(/[?#]/)[0]));
+            }
+            const relativePath = imagePath ? path.relative(baseDir, imagePath) : '';
+
+            if (relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+                const buffer = await fs.readFile(imagePath);
+                const extension = detectImageFormat(buffer);
+
+                if (!extension) {
+                    throw new Error('Not a supported image');
+                }
+                return await saveImage(buffer, extension);
+            }
+        } catch (error) {
+            console.warn(`Keeping image ${src.slice(0, 100)} as is:`, error.message);
+        }
+
+        return src;
+    }
+}
+
+module.exports = { DocumentImporter, IMPORT_EXTENSIONS };
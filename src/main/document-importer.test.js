@@ -0,0 +1,253 @@
+/**
+ * Tests for DocumentImporter
+ * Imports generated Word, OpenDocument and HTML files from a temporary folder.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const showOpenDialog = vi.fn();
+
+// The importer loads electron through CommonJS require, which vi.mock does not intercept
+const require = createRequire(import.meta.url);
+const electronPath = require.resolve('electron');
+
+require.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: { dialog: { showOpenDialog }, BrowserWindow: { getFocusedWindow: () => null }, app: { getPath: () => os.tmpdir() } }
+};
+
+const JSZip = require('jszip');
+const docx = require('docx');
+const FileManager = require('./file-manager.js');
+const { DocumentImporter } = require('./document-importer.js');
+
+// 1×1 PNG
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+/**
+ * Build an ODT package around the given body
+ */
+async function createOdt(body) {
+    const zip = new JSZip();
+
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.text');
+    zip.file('content.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+    xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"
+    xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"
+    xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"
+    xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"
+    xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"
+    xmlns:xlink="http://www.w3.org/1999/xlink"
+    xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"><office:automatic-styles><style:style style:name="T1" style:family="text"><style:text-properties fo:font-weight="bold"/></style:style><text:list-style style:name="L1"><text:list-level-style-number text:level="1"/></text:list-style></office:automatic-styles><office:body><office:text>${body}</office:text></office:body></office:document-content>`);
+    zip.file('Pictures/logo.png', PNG);
+
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('DocumentImporter', () => {
+    let tempDir;
+    let importer;
+
+    const assets = () => fs.readdirSync(path.join(tempDir, 'assets'));
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'md-import-'));
+        importer = new DocumentImporter(new FileManager(null, { getImagePasteConfig: () => ({}), getAssetsFolder: () => './assets' }));
+        showOpenDialog.mockReset();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('Word documents', () => {
+        it('converts headings, formatting, tables, footnotes and images', async () => {
+            const document = new docx.Document({
+                footnotes: { 1: { children: [new docx.Paragraph('A footnote.')] } },
+                sections: [{
+                    children: [
+                        new docx.Paragraph({ text: 'Report', heading: docx.HeadingLevel.HEADING_1 }),
+                        new docx.Paragraph({
+                            children: [
+                                new docx.TextRun('Some '),
+                                new docx.TextRun({ text: 'bold', bold: true }),
+                                new docx.TextRun(' text'),
+                                new docx.FootnoteReferenceRun(1)
+                            ]
+                        }),
+                        new docx.Table({
+                            rows: [
+                                new docx.TableRow({ children: ['Name', 'Value'].map(text => new docx.TableCell({ children: [new docx.Paragraph(text)] })) }),
+                                new docx.TableRow({ children: ['a', '1'].map(text => new docx.TableCell({ children: [new docx.Paragraph(text)] })) })
+                            ]
+                        }),
+                        new docx.Paragraph({
+                            children: [new docx.ImageRun({ type: 'png', data: PNG, transformation: { width: 10, height: 10 } })]
+                        })
+                    ]
+                }]
+            });
+            const filePath = path.join(tempDir, 'report.docx');
+
+            fs.writeFileSync(filePath, await docx.Packer.toBuffer(document));
+
+            const result = await importer.importFile(filePath);
+
+            expect(result.title).toBe('report');
+            expect(result.filePath).toBe(path.join(tempDir, 'report.md'));
+            expect(result.content).toContain('# Report');
+            expect(result.content).toContain('Some **bold** text[^1]');
+            expect(result.content).toContain('[^1]: A footnote.');
+            expect(result.content).toContain('| Name | Value |\n| --- | --- |\n| a | 1 |');
+            expect(result.content).toMatch(/!\[\]\(\.\/assets\/image-\d+\.png\)/);
+            expect(assets()).toHaveLength(1);
+        });
+    });
+
+    describe('OpenDocument texts', () => {
+        it('converts headings, formatting, lists, tables, footnotes and images', async () => {
+            const filePath = path.join(tempDir, 'notes.odt');
+
+            fs.writeFileSync(filePath, await createOdt(
+                '<text:h text:outline-level="2">Notes</text:h>'
+                + '<text:p>Plain and <text:span text:style-name="T1">strong</text:span>'
+                + '<text:note text:note-class="footnote"><text:note-citation>1</text:note-citation>'
+                + '<text:note-body><text:p>The note.</text:p></text:note-body></text:note>'
+                + ' with a <text:a xlink:href="https://example.com">link</text:a>.</text:p>'
+                + '<text:list text:style-name="L1"><text:list-item><text:p>First</text:p></text:list-item>'
+                + '<text:list-item><text:p>Second</text:p></text:list-item></text:list>'
+                + '<table:table><table:table-header-rows><table:table-row><table:table-cell><text:p>H</text:p></table:table-cell>'
+                + '</table:table-row></table:table-header-rows><table:table-row><table:table-cell><text:p>C</text:p></table:table-cell>'
+                + '</table:table-row></table:table>'
+                + '<text:p><draw:frame><draw:image xlink:href="Pictures/logo.png"/><svg:title>Logo</svg:title></draw:frame></text:p>'
+            ));
+
+            const result = await importer.importFile(filePath);
+
+            expect(result.content).toContain('## Notes');
+            expect(result.content).toContain('Plain and **strong**[^1] with a [link](https://example.com).');
+            expect(result.content).toMatch(/1\.\s+First\n2\.\s+Second/);
+            expect(result.content).toContain('| H |\n| --- |\n| C |');
+            expect(result.content).toMatch(/!\[Logo\]\(\.\/assets\/image-\d+\.png\)/);
+            expect(result.content).toContain('[^1]: The note.');
+            expect(assets()).toHaveLength(1);
+        });
+
+        it('rejects files that are not OpenDocument texts', async () => {
+            const filePath = path.join(tempDir, 'broken.odt');
+            const zip = new JSZip();
+
+            zip.file('readme.txt', 'nothing');
+            fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+
+            await expect(importer.importFile(filePath)).rejects.toThrow('content.xml is missing');
+        });
+    });
+
+    describe('HTML files', () => {
+        it('keeps the article of saved web pages and saves its images', async () => {
+            const filePath = path.join(tempDir, 'clipping.html');
+
+            fs.mkdirSync(path.join(tempDir, 'clipping_files'));
+            fs.writeFileSync(path.join(tempDir, 'clipping_files', 'photo.png'), PNG);
+            fs.writeFileSync(filePath, `<html><head><title>Clipping</title><style>p { color: red; }</style></head><body>
+                <nav><a href="/">Home</a></nav>
+                <article>
+                    <h1>Article</h1>
+                    <p><img src="clipping_files/photo.png" alt="Photo"> <img src="data:image/png;base64,${PNG.toString('base64')}" alt="Inline"></p>
+                    <p><img src="https://example.com/remote.png" alt="Remote"></p>
+                    <div class="admonition warning"><p class="admonition-title">Warning</p><p>Careful.</p></div>
+                </article>
+                <footer>Copyright</footer>
+            </body></html>`);
+
+            const result = await importer.importFile(filePath);
+
+            expect(result.content).not.toContain('Home');
+            expect(result.content).not.toContain('Copyright');
+            expect(result.content).toContain('# Article');
+            // Both images have the same content, so they share one file
+            expect(result.content).toMatch(/!\[Photo\]\((\.\/assets\/image-\d+\.png)\) !\[Inline\]\(\1\)/);
+            expect(result.content).toContain('![Remote](https://example.com/remote.png)');
+            expect(result.content).toContain('> [!WARNING]\n> Careful.');
+            expect(assets()).toHaveLength(1);
+        });
+
+        it('only saves images of the folder of the page', async () => {
+            const pageDir = path.join(tempDir, 'page');
+            const filePath = path.join(pageDir, 'clipping.html');
+            const secretPath = path.join(tempDir, 'secret.png');
+
+            fs.mkdirSync(pageDir);
+            fs.writeFileSync(secretPath, PNG);
+            fs.writeFileSync(path.join(pageDir, 'notes.png'), 'not an image');
+            fs.writeFileSync(filePath, `<p><img src="${pathToFileURL(secretPath).href}" alt="Outside">`
+                + '<img src="../secret.png" alt="Parent"><img src="notes.png" alt="Text"></p>');
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const result = await importer.importFile(filePath);
+
+            expect(result.content).toContain(`![Outside](${pathToFileURL(secretPath).href})`);
+            expect(result.content).toContain('![Parent](../secret.png)');
+            expect(result.content).toContain('![Text](notes.png)');
+            expect(fs.existsSync(path.join(pageDir, 'assets'))).toBe(false);
+        });
+    });
+
+    it('does not choose the path of an existing markdown file', async () => {
+        const filePath = path.join(tempDir, 'page.html');
+
+        fs.writeFileSync(filePath, '<p>Text</p>');
+        fs.writeFileSync(path.join(tempDir, 'page.md'), 'Existing');
+
+        const result = await importer.importFile(filePath);
+
+        expect(result.filePath).toBe(path.join(tempDir, 'page-2.md'));
+        expect(fs.existsSync(result.filePath)).toBe(false);
+    });
+
+    it('rejects unsupported file types', async () => {
+        await expect(importer.importFile(path.join(tempDir, 'notes.rtf'))).rejects.toThrow('Unsupported file type: .rtf');
+    });
+
+    describe('importDocuments', () => {
+        it('returns null when the dialog is cancelled', async () => {
+            showOpenDialog.mockResolvedValue({ canceled: true, filePaths: [] });
+
+            await expect(importer.importDocuments()).resolves.toBeNull();
+        });
+
+        it('imports every chosen file and reports the ones that fail', async () => {
+            const htmlPath = path.join(tempDir, 'page.html');
+            const brokenPath = path.join(tempDir, 'broken.docx');
+
+            fs.writeFileSync(htmlPath, '<p>Hello <em>world</em></p>');
+            fs.writeFileSync(brokenPath, 'not a zip');
+            showOpenDialog.mockResolvedValue({ canceled: false, filePaths: [htmlPath, brokenPath] });
+
+            const result = await importer.importDocuments();
+
+            expect(result.documents).toEqual([{
+                title: 'page',
+                sourcePath: htmlPath,
+                filePath: path.join(tempDir, 'page.md'),
+                content: 'Hello *world*'
+            }]);
+            expect(result.errors).toHaveLength(1);
+            expect(result.errors[0].sourcePath).toBe(brokenPath);
+        });
+    });
+});
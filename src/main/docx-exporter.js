@@ -0,0 +1,687 @@
+/**
+ * DOCX Exporter - Word documents from markdown
+ * Walks the markdown-it token stream of a document and builds a Word document
+ * with the `docx` library: headings, lists (including task lists), tables,
+ * code blocks, block quotes, callouts, footnotes and images. Mermaid diagrams
+ * and KaTeX math have no Word equivalent and are embedded as PNG images.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { fileURLToPath } = require('url');
+const {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    ExternalHyperlink,
+    FootnoteReferenceRun,
+    HeadingLevel,
+    ImageRun,
+    LevelFormat,
+    PageBreak,
+    Packer,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType
+} = require('docx');
+const { parseFrontMatter, formatPropertyValue } = require('../renderer/advanced-markdown/front-matter');
+
+/** Widest image in pixels, the width of an A4/Letter page between default margins */
+const MAX_IMAGE_WIDTH = 600;
+
+/** Remote images that do not download in time are replaced by their alt text */
+const REMOTE_IMAGE_TIMEOUT_MS = 10000;
+
+const CODE_FONT = 'Consolas';
+const CODE_SHADING = { type: ShadingType.CLEAR, fill: 'F6F8FA', color: 'auto' };
+const LINK_PATTERN = /^(?:https?|mailto):/i;
+const ORDERED_LIST_REFERENCE = 'ordered-list';
+// Twips per nesting level of lists, block quotes and callouts
+const INDENT_STEP = 720;
+
+const HEADING_LEVELS = {
+    h1: HeadingLevel.HEADING_1,
+    h2: HeadingLevel.HEADING_2,
+    h3: HeadingLevel.HEADING_3,
+    h4: HeadingLevel.HEADING_4,
+    h5: HeadingLevel.HEADING_5,
+    h6: HeadingLevel.HEADING_6
+};
+
+const ALIGNMENTS = {
+    left: AlignmentType.LEFT,
+    center: AlignmentType.CENTER,
+    right: AlignmentType.RIGHT
+};
+
+// Border colors of callouts and block quotes, as in the preview
+const CALLOUT_COLORS = {
+    NOTE: '0969DA',
+    TIP: '1A7F37',
+    IMPORTANT: '8250DF',
+    WARNING: '9A6700',
+    CAUTION: 'CF222E'
+};
+const QUOTE_COLOR = 'D0D7DE';
+
+// Ordered lists count 1., a., i. and repeat for deeper levels
+const ORDERED_FORMATS = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN];
+
+/**
+ * Read the pixel size of a PNG, JPEG, GIF or BMP image
+ * @param {Buffer} data - Image file content
+ * @returns {{type: 'png'|'jpg'|'gif'|'bmp', width: number, height: number}|null} Null for other formats
+ */
+function getImageInfo(data) {
+    if (data.length > 24 && data.readUInt32BE(0) === 0x89504e47) {
+        return { type: 'png', width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+    if (data.length > 10 && data.toString('ascii', 0, 4) === 'GIF8') {
+        return { type: 'gif', width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+    if (data.length > 26 && data.toString('ascii', 0, 2) === 'BM') {
+        return { type: 'bmp', width: data.readInt32LE(18), height: Math.abs(data.readInt32LE(22)) };
+    }
+    if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8) {
+        // The size is in the first start-of-frame segment
+        let offset = 2;
+
+        while (offset + 9 < data.length && data[offset] === 0xff) {
+            const marker = data[offset + 1];
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+            if (isStartOfFrame) {
+                return { type: 'jpg', width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + data.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether file content is an SVG image
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function isSvg(data) {
+    return /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i
+        .test(data.toString('utf-8', 0, 1024));
+}
+
+/**
+ * Create the numbering definitions of ordered lists
+ * @returns {Object} `numbering` option of a docx Document
+ */
+function createNumbering() {
+    return {
+        config: [{
+            reference: ORDERED_LIST_REFERENCE,
+            levels: Array.from({ length: 9 }, (unused, level) => ({
+                level,
+                format: ORDERED_FORMATS[level % ORDERED_FORMATS.length],
+                text: `%${level + 1}.`,
+                alignment: AlignmentType.START,
+                style: { paragraph: { indent: { left: INDENT_STEP * (level + 1), hanging: 360 } } }
+            }))
+        }]
+    };
+}
+
+class DocxExporter {
+    /**
+     * @param {import('markdown-it')} md - Parser configured with the export plugins
+     * @param {Object} renderers - Offline renderers, see export-prerender
+     * @param {Function} renderers.renderMermaidDiagrams - (sources, theme) => Promise<Array<{svg?, error?}>>
+     * @param {Function} renderers.renderKatexToString - (latex, displayMode) => HTML
+     * @param {Function} renderers.renderFragmentsToImages - (fragments, css) => Promise<Array<{data, width, height}|null>>
+     * @param {Function} [renderers.getKatexCSS] - () => Promise<string>, KaTeX stylesheet with embedded fonts
+     * @param {Function} [renderers.fetch] - Downloads remote images, e.g. Electron's net.fetch; without it they keep their alt text
+     */
+    constructor(md, renderers) {
+        if (!md) {
+            throw new Error('Markdown parser is required');
+        }
+        if (!renderers) {
+            throw new Error('Renderers are required');
+        }
+
+        this.md = md;
+        this.renderers = renderers;
+    }
+
+    /**
+     * Convert markdown to a Word document
+     * @param {string} content - Markdown content
+     * @param {Object} [options]
+     * @param {string|null} [options.baseDirectory] - Folder that relative image paths are resolved against
+     * @returns {Promise<Buffer>} DOCX file content
+     */
+    async render(content, options = {}) {
+        const tokens = this.md.parse(content, {});
+        const state = {
+            media: await this._prepareMedia(tokens, options.baseDirectory || null),
+            footnotes: {},
+            listCount: 0
+        };
+        const footnoteStart = tokens.findIndex(token => token.type === 'footnote_block_open');
+        const bodyTokens = footnoteStart === -1 ? tokens : tokens.slice(0, footnoteStart);
+
+        if (footnoteStart !== -1) {
+            this._convertFootnotes(tokens.slice(footnoteStart), state);
+        }
+
+        const children = this._convertBlocks(bodyTokens, state);
+        const frontMatter = parseFrontMatter(content);
+        const properties = frontMatter ? frontMatter.data : {};
+        const document = new Document({
+            creator: formatPropertyValue(properties.author) || 'MD Editor Pro',
+            title: formatPropertyValue(properties.title) || undefined,
+            description: formatPropertyValue(properties.description) || undefined,
+            keywords: formatPropertyValue(properties.keywords || properties.tags) || undefined,
+            numbering: createNumbering(),
+            footnotes: state.footnotes,
+            sections: [{ children: children.length > 0 ? children : [new Paragraph('')] }]
+        });
+
+        return Packer.toBuffer(document);
+    }
+
+    /**
+     * Load the images of a document and render its diagrams and math to images
+     * @param {Object[]} tokens - markdown-it tokens
+     * @param {string|null} baseDirectory
+     * @returns {Promise<Map<Object, {type: string, data: Buffer, width: number, height: number}>>}
+     *   Image of each image, Mermaid and math token, missing when it could not be loaded or rendered
+     * @private
+     */
+    async _prepareMedia(tokens, baseDirectory) {
+        const media = new Map();
+        const images = [];
+        const mermaid = [];
+        const math = [];
+
+        for (const token of tokens) {
+            if (token.type === 'fence' && token.info.trim() === 'mermaid' && token.content.trim()) {
+                mermaid.push(token);
+            } else if (token.type === 'math_block') {
+                math.push(token);
+            }
+            for (const child of token.children || []) {
+                if (child.type === 'image') images.push(child);
+                else if (child.type === 'math_inline') math.push(child);
+            }
+        }
+
+        // Fragments of HTML rasterized in one pass: SVG images, diagrams and math
+        const fragments = [];
+        const addFragment = (token, html) => fragments.push({ token, html });
+
+        await Promise.all(images.map(async (token) => {
+            const data = await this._loadImage(token.attrGet('src'), baseDirectory);
+            const info = data && getImageInfo(data);
+
+            if (info) {
+                media.set(token, { ...info, data });
+            } else if (data && isSvg(data)) {
+                addFragment(token, `<img src="data:image/svg+xml;base64,${data.toString('base64')}">`);
+            }
+        }));
+
+        if (mermaid.length > 0) {
+            let results = [];
+
+            try {
+                results = await this.renderers.renderMermaidDiagrams(mermaid.map(token => token.content.trim()), 'light');
+            } catch (error) {
+                // The diagrams are exported as code instead
+                console.error('Failed to pre-render Mermaid diagrams:', error);
+            }
+            mermaid.forEach((token, index) => {
+                if (results[index] && results[index].svg) addFragment(token, results[index].svg);
+            });
+        }
+
+        math.forEach(token => addFragment(token, this.renderers.renderKatexToString(token.content, token.type === 'math_block')));
+
+        if (fragments.length === 0) {
+            return media;
+        }
+
+        try {
+            const css = math.length > 0 && this.renderers.getKatexCSS ? await this.renderers.getKatexCSS() : '';
+            const rendered = await this.renderers.renderFragmentsToImages(fragments.map(fragment => fragment.html), css);
+
+            fragments.forEach(({ token }, index) => {
+                if (rendered[index]) media.set(token, { type: 'png', ...rendered[index] });
+            });
+        } catch (error) {
+            // Diagrams and math are exported as their source instead
+            console.error('Failed to render images for DOCX export:', error);
+        }
+
+        return media;
+    }
+
+    /**
+     * Read an image from disk, a data URI or the web
+     * @param {string} src - Image source as written in the markdown
+     * @param {string|null} baseDirectory
+     * @returns {Promise<Buffer|null>} Null when the image cannot be read
+     * @private
+     */
+    async _loadImage(src, baseDirectory) {
+        try {
+            const dataUri = src.match(/^data:[^,]*?(;base64)?,(.*)$/s);
+
+            if (dataUri) {
+                return dataUri[1] ? Buffer.from(dataUri[2], 'base64') : Buffer.from(decodeURIComponent(dataUri[2]));
+            }
+            if (/^https?:/i.test(src)) {
+                if (!this.renderers.fetch) {
+                    return null;
+                }
+
+                const response = await this.renderers.fetch(src, { signal: AbortSignal.timeout(REMOTE_IMAGE_TIMEOUT_MS) });
+
+                return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+            }
+
+            // Paths are URL-encoded by the markdown parser, e.g. spaces become %20
+            const filePath = src.startsWith('file:') ? fileURLToPath(src) : decodeURI(src);
+
+            if (!path.isAbsolute(filePath) && !baseDirectory) {
+                return null;
+            }
+            return await fs.readFile(path.resolve(baseDirectory || '', filePath));
+        } catch (error) {
+            console.error(`Failed to load image ${src} for DOCX export:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Convert the footnote definitions at the end of the token stream
+     * @param {Object[]} tokens - Tokens from `footnote_block_open` on
+     * @param {Object} state - Conversion state; receives the footnotes
+     * @private
+     */
+    _convertFootnotes(tokens, state) {
+        let start = -1;
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'footnote_open') {
+                start = index;
+            } else if (token.type === 'footnote_close' && start !== -1) {
+                const id = tokens[start].meta.id;
+                // Word footnotes hold paragraphs only
+                const children = this._convertBlocks(tokens.slice(start + 1, index), state)
+                    .filter(child => child instanceof Paragraph);
+
+                // Word numbers footnotes from 1, markdown-it from 0
+                state.footnotes[id + 1] = { children };
+                start = -1;
+            }
+        });
+    }
+
+    /**
+     * Convert block tokens to paragraphs and tables
+     * @param {Object[]} tokens
+     * @param {Object} state - Conversion state
+     * @returns {Array<Paragraph|Table>}
+     * @private
+     */
+    _convertBlocks(tokens, state) {
+        const children = [];
+        // Open lists, list items, block quotes and callouts around the current block
+        const containers = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            switch (token.type) {
+                case 'heading_open':
+                    children.push(new Paragraph({
+                        ...this._getBlockOptions(containers),
+                        heading: HEADING_LEVELS[token.tag],
+                        children: this._convertInline(tokens[i + 1].children, state)
+                    }));
+                    i += 2;
+                    break;
+                case 'paragraph_open':
+                    children.push(new Paragraph({
+                        ...this._getBlockOptions(containers),
+                        children: this._convertInline(tokens[i + 1].children, state)
+                    }));
+                    i += 2;
+                    break;
+                case 'bullet_list_open':
+                case 'ordered_list_open':
+                    containers.push({ type: 'list', ordered: token.type === 'ordered_list_open', instance: ++state.listCount });
+                    break;
+                case 'list_item_open':
+                    containers.push({
+                        type: 'item',
+                        marked: false,
+                        task: (token.attrGet('class') || '').includes('task-list-item')
+                    });
+                    break;
+                case 'blockquote_open':
+                    containers.push({ type: 'quote', color: QUOTE_COLOR });
+                    break;
+                case 'callout_open':
+                    containers.push({ type: 'quote', color: CALLOUT_COLORS[token.info.type] || CALLOUT_COLORS.NOTE, shaded: true });
+                    children.push(this._createCalloutTitle(token.info, containers));
+                    break;
+                case 'bullet_list_close':
+                case 'ordered_list_close':
+                case 'list_item_close':
+                case 'blockquote_close':
+                case 'callout_close':
+                    containers.pop();
+                    break;
+                case 'fence':
+                case 'code_block':
+                    children.push(this._convertCodeBlock(token, state, containers));
+                    break;
+                case 'math_block':
+                    children.push(this._convertMathBlock(token, state, containers));
+                    break;
+                case 'table_open': {
+                    const end = tokens.findIndex((candidate, index) => index > i && candidate.type === 'table_close');
+
+                    children.push(this._convertTable(tokens.slice(i, end + 1), state));
+                    i = end;
+                    break;
+                }
+                case 'hr':
+                    children.push(new Paragraph({ thematicBreak: true }));
+                    break;
+                case 'page_break':
+                    children.push(new Paragraph({ children: [new PageBreak()] }));
+                    break;
+                default:
+                    // Front matter becomes document properties; footnote anchors have no Word equivalent
+                    break;
+            }
+        }
+
+        return children;
+    }
+
+    /**
+     * Get the paragraph options of a block inside lists, block quotes and callouts
+     * The first paragraph of a list item carries its bullet or number.
+     * @param {Object[]} containers - Enclosing containers, outermost first
+     * @param {boolean} [markItem=true] - Whether the block may carry the list marker
+     * @returns {Object} docx Paragraph options
+     * @private
+     */
+    _getBlockOptions(containers, markItem = true) {
+        const options = {};
+        const lists = containers.filter(container => container.type === 'list');
+        const quotes = containers.filter(container => container.type === 'quote');
+        const item = containers[containers.length - 1];
+        let indent = INDENT_STEP * (lists.length + quotes.length);
+
+        if (item && item.type === 'item' && !item.marked && !item.task && markItem) {
+            const list = lists[lists.length - 1];
+            const level = Math.min(lists.length - 1, 8);
+
+            item.marked = true;
+            indent = 0;
+            if (list.ordered) {
+                options.numbering = { reference: ORDERED_LIST_REFERENCE, level, instance: list.instance };
+            } else {
+                options.bullet = { level };
+            }
+        }
+        if (indent > 0) {
+            options.indent = { left: indent };
+        }
+        if (quotes.length > 0) {
+            const quote = quotes[quotes.length - 1];
+
+            options.border = { left: { style: BorderStyle.SINGLE, size: 18, color: quote.color, space: 8 } };
+            if (quote.shaded) {
+                options.shading = { type: ShadingType.CLEAR, fill: 'F6F8FA', color: 'auto' };
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * @param {{type: string, title: string, config: {icon: string}}} info - Callout token info
+     * @param {Object[]} containers - Enclosing containers, including the callout
+     * @returns {Paragraph}
+     * @private
+     */
+    _createCalloutTitle(info, containers) {
+        return new Paragraph({
+            ...this._getBlockOptions(containers, false),
+            children: [new TextRun({
+                text: `${info.config.icon} ${info.title}`,
+                bold: true,
+                color: CALLOUT_COLORS[info.type] || CALLOUT_COLORS.NOTE
+            })]
+        });
+    }
+
+    /**
+     * Convert a code block, or the image of a Mermaid diagram
+     * @param {Object} token - `fence` or `code_block` token
+     * @param {Object} state
+     * @param {Object[]} containers
+     * @returns {Paragraph}
+     * @private
+     */
+    _convertCodeBlock(token, state, containers) {
+        const image = state.media.get(token);
+
+        if (image) {
+            return new Paragraph({
+                ...this._getBlockOptions(containers, false),
+                alignment: AlignmentType.CENTER,
+                children: [this._createImageRun(image, 'Mermaid diagram')]
+            });
+        }
+
+        const lines = token.content.replace(/\n$/, '').split('\n');
+
+        return new Paragraph({
+            ...this._getBlockOptions(containers, false),
+            shading: CODE_SHADING,
+            children: lines.map((line, index) => new TextRun({
+                text: line,
+                font: CODE_FONT,
+                size: 19,
+                break: index > 0 ? 1 : undefined
+            }))
+        });
+    }
+
+    /**
+     * Convert display math to an image, or to its LaTeX source if it could not be rendered
+     * @param {Object} token - `math_block` token
+     * @param {Object} state
+     * @param {Object[]} containers
+     * @returns {Paragraph}
+     * @private
+     */
+    _convertMathBlock(token, state, containers) {
+        const image = state.media.get(token);
+
+        return new Paragraph({
+            ...this._getBlockOptions(containers, false),
+            alignment: AlignmentType.CENTER,
+            children: [image
+                ? this._createImageRun(image, token.content)
+                : new TextRun({ text: `$$${token.content}$$`, font: CODE_FONT })]
+        });
+    }
+
+    /**
+     * Convert a table; alignment comes from the separator row
+     * @param {Object[]} tokens - From `table_open` to `table_close`
+     * @param {Object} state
+     * @returns {Table}
+     * @private
+     */
+    _convertTable(tokens, state) {
+        const rows = [];
+        let cells = [];
+        let isHeader = false;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'thead_open') {
+                isHeader = true;
+            } else if (token.type === 'thead_close') {
+                isHeader = false;
+            } else if (token.type === 'tr_open') {
+                cells = [];
+            } else if (token.type === 'tr_close') {
+                rows.push(new TableRow({ tableHeader: isHeader, children: cells }));
+            } else if (token.type === 'th_open' || token.type === 'td_open') {
+                const align = (token.attrGet('style') || '').match(/text-align:(\w+)/);
+
+                cells.push(new TableCell({
+                    margins: { top: 60, bottom: 60, left: 100, right: 100 },
+                    shading: isHeader ? CODE_SHADING : undefined,
+                    children: [new Paragraph({
+                        alignment: align ? ALIGNMENTS[align[1]] : undefined,
+                        children: this._convertInline(tokens[i + 1].children, state, { bold: isHeader })
+                    })]
+                }));
+                i += 2;
+            }
+        }
+
+        return new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows });
+    }
+
+    /**
+     * Convert inline tokens to runs
+     * @param {Object[]} tokens - Children of an `inline` token
+     * @param {Object} state
+     * @param {Object} [baseStyle] - Run options applied to all text, e.g. bold in table headers
+     * @returns {Array<TextRun|ImageRun|ExternalHyperlink|FootnoteReferenceRun>}
+     * @private
+     */
+    _convertInline(tokens, state, baseStyle = {}) {
+        const runs = [];
+        const style = { ...baseStyle };
+        let link = null;
+
+        const push = run => (link ? link.children : runs).push(run);
+        const text = (value, extra = {}) => new TextRun({
+            text: value,
+            ...style,
+            ...(link && link.external ? { style: 'Hyperlink' } : {}),
+            ...extra
+        });
+
+        for (const token of tokens || []) {
+            switch (token.type) {
+                case 'text':
+                    push(text(token.content));
+                    break;
+                case 'code_inline':
+                    push(text(token.content, { font: CODE_FONT, shading: CODE_SHADING }));
+                    break;
+                case 'strong_open':
+                case 'strong_close':
+                    style.bold = token.nesting === 1 || baseStyle.bold;
+                    break;
+                case 'em_open':
+                case 'em_close':
+                    style.italics = token.nesting === 1;
+                    break;
+                case 's_open':
+                case 's_close':
+                    style.strike = token.nesting === 1;
+                    break;
+                case 'softbreak':
+                    push(text(' '));
+                    break;
+                case 'hardbreak':
+                    push(new TextRun({ break: 1 }));
+                    break;
+                case 'link_open': {
+                    const href = token.attrGet('href') || '';
+
+                    link = { href, external: LINK_PATTERN.test(href), children: [] };
+                    break;
+                }
+                case 'link_close':
+                    if (link) {
+                        if (link.external) runs.push(new ExternalHyperlink({ link: link.href, children: link.children }));
+                        else runs.push(...link.children);
+                    }
+                    link = null;
+                    break;
+                case 'image': {
+                    const image = state.media.get(token);
+                    const alt = token.content || token.attrGet('alt') || '';
+
+                    push(image ? this._createImageRun(image, alt) : text(alt ? `[${alt}]` : '[image]', { italics: true }));
+                    break;
+                }
+                case 'math_inline': {
+                    const image = state.media.get(token);
+
+                    push(image ? this._createImageRun(image, token.content) : text(`$${token.content}$`, { font: CODE_FONT }));
+                    break;
+                }
+                case 'wiki_link': {
+                    const { target, heading, alias } = token.meta;
+
+                    push(text(alias || (heading ? `${target} > ${heading}` : target), { underline: {} }));
+                    break;
+                }
+                case 'footnote_ref':
+                    push(new FootnoteReferenceRun(token.meta.id + 1));
+                    break;
+                case 'html_inline':
+                    // Task list checkboxes are the only inline HTML the parser emits
+                    if (token.content.includes('task-list-item-checkbox')) {
+                        push(text(/\schecked/.test(token.content) ? '☑ ' : '☐ '));
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * @param {{type: string, data: Buffer, width: number, height: number}} image
+     * @param {string} description - Alternative text
+     * @returns {ImageRun}
+     * @private
+     */
+    _createImageRun(image, description) {
+        const scale = Math.min(1, MAX_IMAGE_WIDTH / image.width);
+
+        return new ImageRun({
+            type: image.type,
+            data: image.data,
+            transformation: {
+                width: Math.round(image.width * scale),
+                height: Math.round(image.height * scale)
+            },
+            altText: { name: description, description, title: description }
+        });
+    }
+}
+
+module.exports = { DocxExporter, getImageInfo };
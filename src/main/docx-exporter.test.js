@@ -0,0 +1,187 @@
+/**
+ * Tests for DocxExporter
+ * Converts markdown and inspects the XML parts of the generated Word document.
+ *
+ * @vitest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const markdownit = require('markdown-it');
+const markdownitTaskLists = require('markdown-it-task-lists');
+const markdownItFootnote = require('markdown-it-footnote');
+const markdownItKatex = require('../renderer/advanced-markdown/markdown-it-katex-plugin');
+const markdownItCallouts = require('../renderer/advanced-markdown/markdown-it-callout-plugin');
+const markdownItPageBreak = require('../renderer/advanced-markdown/markdown-it-page-break-plugin');
+const { markdownItFrontMatter } = require('../renderer/advanced-markdown/front-matter');
+const { DocxExporter, getImageInfo } = require('./docx-exporter');
+
+// 1×1 PNG
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+/**
+ * Read the XML parts of a DOCX file
+ */
+async function unpack(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const read = name => (zip.file(name) ? zip.file(name).async('string') : '');
+
+    return {
+        document: await read('word/document.xml'),
+        footnotes: await read('word/footnotes.xml'),
+        core: await read('docProps/core.xml'),
+        media: Object.keys(zip.files).filter(name => name.startsWith('word/media/') && !name.endsWith('/'))
+    };
+}
+
+describe('DocxExporter', () => {
+    let renderers;
+    let exporter;
+    let folder;
+
+    beforeEach(() => {
+        const md = markdownit({ linkify: true })
+            .enable(['table', 'strikethrough'])
+            .use(markdownitTaskLists)
+            .use(markdownItFootnote)
+            .use(markdownItPageBreak)
+            .use(markdownItFrontMatter, { show: false })
+            .use(markdownItKatex)
+            .use(markdownItCallouts);
+
+        renderers = {
+            renderMermaidDiagrams: vi.fn().mockResolvedValue([{ svg: '<svg></svg>' }]),
+            renderKatexToString: vi.fn(latex => `<span class="katex">${latex}</span>`),
+            renderFragmentsToImages: vi.fn(async fragments => fragments.map(() => ({ data: PNG, width: 40, height: 20 }))),
+            getKatexCSS: vi.fn().mockResolvedValue('.katex {}')
+        };
+        exporter = new DocxExporter(md, renderers);
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'md-docx-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it('requires a parser and renderers', () => {
+        expect(() => new DocxExporter()).toThrow('Markdown parser is required');
+        expect(() => new DocxExporter({})).toThrow('Renderers are required');
+    });
+
+    it('converts headings, emphasis, links and code', async () => {
+        const { document } = await unpack(await exporter.render(
+            '# Title\n\nSome **bold**, *italic*, ~~gone~~ and `code` with a [link](https://example.com).\n\n```js\nconst a = 1;\nconst b = 2;\n```'
+        ));
+
+        expect(document).toContain('<w:pStyle w:val="Heading1"/>');
+        expect(document).toMatch(/<w:b\/>.*bold/);
+        expect(document).toMatch(/<w:i\/>.*italic/);
+        expect(document).toMatch(/<w:strike\/>.*gone/);
+        expect(document).toContain('<w:hyperlink');
+        expect(document).toContain('Consolas');
+        expect(document).toContain('const a = 1;');
+        expect(document).toContain('<w:br/>');
+    });
+
+    it('converts bullet, ordered and task lists', async () => {
+        const { document } = await unpack(await exporter.render('- one\n  1. nested\n\n1. first\n\n- [x] done\n- [ ] todo'));
+
+        expect(document.match(/<w:numPr>/g)).toHaveLength(3);
+        expect(document).toContain('<w:ilvl w:val="1"/>');
+        expect(document).toContain('☑ ');
+        expect(document).toContain('☐ ');
+    });
+
+    it('converts tables with header rows and alignment', async () => {
+        const { document } = await unpack(await exporter.render('| Name | Count |\n|:-----|------:|\n| a | 1 |'));
+
+        expect(document).toContain('<w:tbl>');
+        expect(document).toContain('<w:tblHeader/>');
+        expect(document).toContain('<w:jc w:val="right"/>');
+    });
+
+    it('converts block quotes and callouts with a left border', async () => {
+        const { document } = await unpack(await exporter.render('> quoted\n\n> [!WARNING]\n> Careful'));
+
+        expect(document).toContain('w:color="D0D7DE"');
+        expect(document).toContain('w:color="9A6700"');
+        expect(document).toContain('Warning');
+        expect(document).toContain('Careful');
+    });
+
+    it('converts page break markers to page breaks', async () => {
+        const { document } = await unpack(await exporter.render('One\n\n\\pagebreak\n\nTwo'));
+
+        expect(document).toContain('<w:br w:type="page"/>');
+    });
+
+    it('converts footnotes to Word footnotes', async () => {
+        const { document, footnotes } = await unpack(await exporter.render('Text[^a] and more.\n\n[^a]: The note.'));
+
+        expect(document).toContain('<w:footnoteReference w:id="1"/>');
+        expect(footnotes).toContain('The note.');
+    });
+
+    it('embeds Mermaid diagrams and math as images', async () => {
+        const { document, media } = await unpack(await exporter.render('```mermaid\ngraph TD\nA-->B\n```\n\nInline $x^2$.\n\n$$\ny = 1\n$$'));
+
+        expect(renderers.renderMermaidDiagrams).toHaveBeenCalledWith(['graph TD\nA-->B'], 'light');
+        expect(renderers.renderFragmentsToImages).toHaveBeenCalledWith(
+            ['<svg></svg>', '<span class="katex">x^2</span>', '<span class="katex">y = 1</span>'],
+            '.katex {}'
+        );
+        expect(media.length).toBeGreaterThan(0);
+        expect(document.match(/<w:drawing>/g)).toHaveLength(3);
+    });
+
+    it('falls back to the source when diagrams and math cannot be rendered', async () => {
+        renderers.renderFragmentsToImages.mockRejectedValue(new Error('no window'));
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const { document } = await unpack(await exporter.render('```mermaid\ngraph TD\n```\n\nInline $x^2$.'));
+
+        expect(document).not.toContain('<w:drawing>');
+        expect(document).toContain('graph TD');
+        expect(document).toContain('$x^2$');
+    });
+
+    it('embeds local images relative to the document and keeps the alt text of missing ones', async () => {
+        fs.writeFileSync(path.join(folder, 'my image.png'), PNG);
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        const { document, media } = await unpack(await exporter.render(
+            '![Local](my%20image.png) ![Missing](missing.png)',
+            { baseDirectory: folder }
+        ));
+
+        expect(media).toHaveLength(1);
+        expect(document).toContain('descr="Local"');
+        expect(document).toContain('[Missing]');
+    });
+
+    it('uses front matter as document properties', async () => {
+        const { document, core } = await unpack(await exporter.render('---\ntitle: Report\nauthor: Ana\n---\n\nBody'));
+
+        expect(core).toContain('<dc:title>Report</dc:title>');
+        expect(core).toContain('<dc:creator>Ana</dc:creator>');
+        expect(document).not.toContain('title: Report');
+    });
+
+    describe('getImageInfo', () => {
+        it('reads the size of PNG and GIF images', () => {
+            const gif = Buffer.from('R0lGODlhAwACAIAAAP///wAAACwAAAAAAwACAAACAoRRADs=', 'base64');
+
+            expect(getImageInfo(PNG)).toEqual({ type: 'png', width: 1, height: 1 });
+            expect(getImageInfo(gif)).toEqual({ type: 'gif', width: 3, height: 2 });
+        });
+
+        it('returns null for unknown formats', () => {
+            expect(getImageInfo(Buffer.from('<svg></svg>'))).toBeNull();
+        });
+    });
+});
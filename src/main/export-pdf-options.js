@@ -0,0 +1,164 @@
+/**
+ * Export PDF Options - page setup for PDF export
+ * Validates the options chosen in the PDF export dialog and turns them into
+ * Electron printToPDF options, including header and footer templates.
+ */
+
+/** Page sizes offered in the export dialog */
+const PAGE_SIZES = ['A4', 'Letter', 'Legal'];
+
+/** Page size that keeps the size set by the document's @page rule */
+const AUTO_PAGE_SIZE = 'auto';
+
+/** Margins in inches */
+const MAX_MARGIN = 3;
+
+/** Scale range accepted by printToPDF */
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 2;
+
+/**
+ * Default PDF options; they match the page setup used before options existed
+ */
+const DEFAULT_PDF_OPTIONS = {
+    pageSize: AUTO_PAGE_SIZE,
+    landscape: false,
+    margins: { top: 0.5, bottom: 0.5, left: 0.5, right: 0.5 },
+    scale: 1,
+    headerTemplate: '',
+    footerTemplate: '',
+    tableOfContents: false
+};
+
+/**
+ * Placeholders of header and footer templates; {title} is replaced with the
+ * document title, the others are filled in by Chromium on every page
+ */
+const TEMPLATE_PLACEHOLDERS = {
+    date: '<span class="date"></span>',
+    page: '<span class="pageNumber"></span>',
+    pages: '<span class="totalPages"></span>'
+};
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+}
+
+/**
+ * Clamp a number into a range, falling back when it is not a number
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+
+    if (value === null || value === '' || !Number.isFinite(number)) {
+        return fallback;
+    }
+
+    return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Fill in missing or invalid PDF options with defaults
+ * @param {Object} [options] - Options chosen in the export dialog or persisted
+ * @returns {typeof DEFAULT_PDF_OPTIONS} Complete, valid options
+ */
+function normalizePdfOptions(options) {
+    const source = options && typeof options === 'object' ? options : {};
+    const margins = source.margins && typeof source.margins === 'object' ? source.margins : {};
+    const normalized = {
+        pageSize: PAGE_SIZES.includes(source.pageSize) ? source.pageSize : AUTO_PAGE_SIZE,
+        landscape: source.landscape === true,
+        margins: {},
+        scale: clamp(source.scale, MIN_SCALE, MAX_SCALE, DEFAULT_PDF_OPTIONS.scale),
+        headerTemplate: typeof source.headerTemplate === 'string' ? source.headerTemplate : '',
+        footerTemplate: typeof source.footerTemplate === 'string' ? source.footerTemplate : '',
+        tableOfContents: source.tableOfContents === true
+    };
+
+    for (const side of Object.keys(DEFAULT_PDF_OPTIONS.margins)) {
+        normalized.margins[side] = clamp(margins[side], 0, MAX_MARGIN, DEFAULT_PDF_OPTIONS.margins[side]);
+    }
+
+    return normalized;
+}
+
+/**
+ * Build a printToPDF header or footer from a template such as "{title} — {page} / {pages}"
+ * @param {string} template - Text with {title}, {date}, {page} and {pages} placeholders
+ * @param {string} title - Document title
+ * @returns {string} HTML for printToPDF; an empty element when the template is empty,
+ *   since Chromium prints its own header or footer otherwise
+ */
+function buildHeaderFooterTemplate(template, title) {
+    if (!template || !template.trim()) {
+        return '<span></span>';
+    }
+
+    const html = escapeHtml(template).replace(/\{(title|date|page|pages)\}/g, (match, name) => {
+        return name === 'title' ? escapeHtml(title) : TEMPLATE_PLACEHOLDERS[name];
+    });
+
+    // Header and footer templates do not inherit any page styles
+    return `<div style="width: 100%; padding: 0 0.5in; font-size: 9px; color: #666; text-align: center; `
+        + `font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif;">${html}</div>`;
+}
+
+/**
+ * Convert PDF options to Electron printToPDF options. Without an explicit page
+ * size a document @page { size } rule wins, as it did before options existed
+ * @param {Object} options - PDF options, normalized first
+ * @param {string} title - Document title for the {title} placeholder
+ * @returns {Electron.PrintToPDFOptions}
+ */
+function toPrintToPDFOptions(options, title) {
+    const pdfOptions = normalizePdfOptions(options);
+    const displayHeaderFooter = Boolean(pdfOptions.headerTemplate.trim() || pdfOptions.footerTemplate.trim());
+    const explicitPageSize = pdfOptions.pageSize !== AUTO_PAGE_SIZE;
+    const printOptions = {
+        printBackground: true,
+        preferCSSPageSize: !explicitPageSize,
+        landscape: pdfOptions.landscape,
+        scale: pdfOptions.scale,
+        margins: { ...pdfOptions.margins },
+        displayHeaderFooter,
+        generateDocumentOutline: pdfOptions.tableOfContents
+    };
+
+    if (explicitPageSize) {
+        printOptions.pageSize = pdfOptions.pageSize;
+    }
+
+    if (displayHeaderFooter) {
+        printOptions.headerTemplate = buildHeaderFooterTemplate(pdfOptions.headerTemplate, title);
+        printOptions.footerTemplate = buildHeaderFooterTemplate(pdfOptions.footerTemplate, title);
+    }
+
+    return printOptions;
+}
+
+module.exports = {
+    PAGE_SIZES,
+    AUTO_PAGE_SIZE,
+    DEFAULT_PDF_OPTIONS,
+    normalizePdfOptions,
+    buildHeaderFooterTemplate,
+    toPrintToPDFOptions
+};
@@ -0,0 +1,101 @@
+/**
+ * Tests for export-pdf-options module
+ * Validates PDF option defaults and their conversion to printToPDF options
+ *
+ * @vitest-environment node
+ */
+
+const {
+    DEFAULT_PDF_OPTIONS,
+    normalizePdfOptions,
+    buildHeaderFooterTemplate,
+    toPrintToPDFOptions
+} = require('./export-pdf-options');
+
+describe('export-pdf-options', () => {
+    describe('normalizePdfOptions', () => {
+        it('returns the defaults when nothing was chosen', () => {
+            expect(normalizePdfOptions()).toEqual(DEFAULT_PDF_OPTIONS);
+            expect(normalizePdfOptions(null)).toEqual(DEFAULT_PDF_OPTIONS);
+        });
+
+        it('keeps valid options', () => {
+            const options = {
+                pageSize: 'Letter',
+                landscape: true,
+                margins: { top: 1, bottom: 1, left: 0.75, right: 0.75 },
+                scale: 0.8,
+                headerTemplate: '{title}',
+                footerTemplate: '{page} / {pages}',
+                tableOfContents: true
+            };
+
+            expect(normalizePdfOptions(options)).toEqual(options);
+        });
+
+        it('replaces invalid values and clamps out of range numbers', () => {
+            const options = normalizePdfOptions({
+                pageSize: 'A0',
+                landscape: 'yes',
+                margins: { top: -1, bottom: 10, left: 'wide' },
+                scale: 5,
+                headerTemplate: 42
+            });
+
+            expect(options.pageSize).toBe('auto');
+            expect(options.landscape).toBe(false);
+            expect(options.margins).toEqual({ top: 0, bottom: 3, left: 0.5, right: 0.5 });
+            expect(options.scale).toBe(2);
+            expect(options.headerTemplate).toBe('');
+        });
+    });
+
+    describe('buildHeaderFooterTemplate', () => {
+        it('replaces placeholders and escapes the text', () => {
+            const html = buildHeaderFooterTemplate('{title} <draft> — {date} — {page}/{pages}', 'Q&A');
+
+            expect(html).toContain('Q&amp;A &lt;draft&gt;');
+            expect(html).toContain('<span class="date"></span>');
+            expect(html).toContain('<span class="pageNumber"></span>/<span class="totalPages"></span>');
+            expect(html).toContain('font-size: 9px');
+        });
+
+        it('returns an empty element for empty templates', () => {
+            expect(buildHeaderFooterTemplate('  ', 'Title')).toBe('<span></span>');
+        });
+    });
+
+    describe('toPrintToPDFOptions', () => {
+        it('keeps the previous page setup by default', () => {
+            const options = toPrintToPDFOptions({}, 'Title');
+
+            expect(options).toMatchObject({
+                printBackground: true,
+                preferCSSPageSize: true,
+                landscape: false,
+                scale: 1,
+                margins: { top: 0.5, bottom: 0.5, left: 0.5, right: 0.5 },
+                displayHeaderFooter: false,
+                generateDocumentOutline: false
+            });
+            expect(options.headerTemplate).toBeUndefined();
+            expect(options.pageSize).toBeUndefined();
+        });
+
+        it('lets an explicit page size override the document @page size', () => {
+            const options = toPrintToPDFOptions({ pageSize: 'Legal' }, 'Title');
+
+            expect(options.preferCSSPageSize).toBe(false);
+            expect(options.pageSize).toBe('Legal');
+        });
+
+        it('shows headers and footers when either template is set', () => {
+            const options = toPrintToPDFOptions({ footerTemplate: 'Page {page}', tableOfContents: true }, 'Title');
+
+            expect(options.displayHeaderFooter).toBe(true);
+            expect(options.headerTemplate).toBe('<span></span>');
+            expect(options.footerTemplate).toContain('Page <span class="pageNumber"></span>');
+            expect(options.generateDocumentOutline).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,293 @@
+/**
+ * Export Pre-Renderer - Offline rendering of Mermaid and KaTeX for export
+ * Renders diagrams and math at export time using the bundled libraries so
+ * exported HTML/PDF files are self-contained and make no network requests.
+ * Formats without HTML support (e.g. DOCX) embed them as PNG images instead.
+ */
+
+const { BrowserWindow } = require('electron');
+const fs = require('fs').promises;
+const path = require('path');
+const katex = require('katex');
+
+const MERMAID_SCRIPT_PATH = path.join(__dirname, '../../node_modules/mermaid/dist/mermaid.min.js');
+const KATEX_FONTS_DIR = path.join(__dirname, '../../node_modules/katex/dist/fonts');
+
+/** Maximum time allowed for rendering all diagrams of a document */
+const MERMAID_RENDER_TIMEOUT_MS = 30000;
+
+/** Page size used to rasterize HTML fragments; larger fragments are scaled down to fit */
+const RASTER_PAGE_WIDTH = 1600;
+const RASTER_PAGE_HEIGHT = 2400;
+
+/**
+ * Escapes HTML special characters to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+}
+
+/**
+ * Render a LaTeX expression to static KaTeX HTML
+ * Falls back to the escaped source wrapped in its delimiters on failure
+ * @param {string} latex - LaTeX source
+ * @param {boolean} displayMode - Whether to render as display (block) math
+ * @returns {string} Rendered HTML
+ */
+function renderKatexToString(latex, displayMode) {
+    const delimiter = displayMode ? '$$' : '$';
+
+    try {
+        return katex.renderToString(latex, {
+            displayMode,
+            throwOnError: false,
+            output: 'htmlAndMathml'
+        });
+    } catch (error) {
+        console.error('KaTeX pre-render error:', error);
+        return '<span class="katex-error">' + escapeHtml(delimiter + latex + delimiter) + '</span>';
+    }
+}
+
+/**
+ * Replace KaTeX font URLs in a stylesheet with embedded WOFF2 data URIs
+ * The woff/ttf fallbacks are dropped since every supported engine reads WOFF2.
+ * @param {string} css - KaTeX stylesheet (katex.min.css)
+ * @param {string} [fontsDir] - Directory containing the KaTeX font files
+ * @returns {Promise<string>} Stylesheet with inlined fonts
+ */
+async function inlineKatexFonts(css, fontsDir = KATEX_FONTS_DIR) {
+    if (!css) {
+        return css;
+    }
+
+    const woff2Pattern = /url\(fonts\/([\w-]+)\.woff2\)/g;
+    const fontNames = new Set();
+    let match;
+
+    while ((match = woff2Pattern.exec(css)) !== null) {
+        fontNames.add(match[1]);
+    }
+
+    try {
+        const dataUris = new Map();
+
+        await Promise.all([...fontNames].map(async (fontName) => {
+            try {
+                const data = await fs.readFile(path.join(fontsDir, `${fontName}.woff2`));
+
+                dataUris.set(fontName, `data:font/woff2;base64,${data.toString('base64')}`);
+            } catch (error) {
+                console.error(`Failed to inline KaTeX font ${fontName}:`, error);
+            }
+        }));
+
+        return css
+            // Drop woff/ttf fallbacks that would otherwise point at missing relative files
+            .replace(/,url\(fonts\/[\w-]+\.(?:woff|ttf)\) format\("(?:woff|truetype)"\)/g, '')
+            .replace(woff2Pattern, (full, fontName) => {
+                return dataUris.has(fontName) ? `url(${dataUris.get(fontName)})` : full;
+            });
+    } catch (error) {
+        console.error('Failed to inline KaTeX fonts:', error);
+        return css;
+    }
+}
+
+/**
+ * Build the in-page script that renders a list of diagrams with Mermaid
+ * @param {string[]} diagrams - Mermaid sources
+ * @param {string} theme - Export theme ('light' or 'dark')
+ * @returns {string} Script source evaluating to a Promise of results
+ */
+function buildMermaidRenderScript(diagrams, theme) {
+    return `(async () => {
+        mermaid.initialize({
+            startOnLoad: false,
+            theme: ${JSON.stringify(theme === 'dark' ? 'dark' : 'default')},
+            securityLevel: 'strict',
+            logLevel: 'error'
+        });
+        const sources = ${JSON.stringify(diagrams)};
+        const results = [];
+        for (let i = 0; i < sources.length; i++) {
+            try {
+                const { svg } = await mermaid.render('export-mermaid-' + i, sources[i]);
+                results.push({ svg });
+            } catch (error) {
+                results.push({ error: (error && error.message) || 'Unknown error' });
+            }
+        }
+        return results;
+    })()`;
+}
+
+/**
+ * Render Mermaid diagrams to inline SVG strings
+ * Uses a hidden, sandboxed window that loads the bundled Mermaid library,
+ * so no network access is required.
+ * @param {string[]} diagrams - Mermaid sources
+ * @param {string} [theme='light'] - Export theme ('light' or 'dark')
+ * @returns {Promise<Array<{svg?: string, error?: string}>>} One result per diagram
+ */
+async function renderMermaidDiagrams(diagrams, theme = 'light') {
+    if (!Array.isArray(diagrams) || diagrams.length === 0) {
+        return [];
+    }
+
+    const mermaidSource = await fs.readFile(MERMAID_SCRIPT_PATH, 'utf-8');
+
+    const renderWindow = new BrowserWindow({
+        show: false,
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            sandbox: true,
+            webSecurity: true,
+            allowRunningInsecureContent: false
+        }
+    });
+
+    let timeoutId = null;
+
+    try {
+        await renderWindow.loadURL('data:text/html;charset=utf-8,<!DOCTYPE html><html><head></head><body></body></html>');
+        await renderWindow.webContents.executeJavaScript(mermaidSource);
+
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => {
+                reject(new Error('Timed out rendering Mermaid diagrams'));
+            }, MERMAID_RENDER_TIMEOUT_MS);
+        });
+
+        return await Promise.race([
+            renderWindow.webContents.executeJavaScript(buildMermaidRenderScript(diagrams, theme)),
+            timeout
+        ]);
+    } finally {
+        clearTimeout(timeoutId);
+        if (!renderWindow.isDestroyed()) {
+            renderWindow.destroy();
+        }
+    }
+}
+
+/**
+ * Build the HTML replacing a Mermaid placeholder with its rendering result
+ * @param {{svg?: string, error?: string}|undefined} result - Rendering result
+ * @returns {string} HTML fragment
+ */
+function renderMermaidResult(result) {
+    if (result && result.svg) {
+        return '<div class="mermaid mermaid-rendered">' + result.svg + '</div>';
+    }
+
+    const message = result && result.error ? result.error : 'Diagram could not be rendered';
+
+    return '<div class="mermaid-error"><strong>Mermaid Syntax Error:</strong><pre>' +
+        escapeHtml(message) + '</pre></div>';
+}
+
+/**
+ * Build the in-page script that shows one fragment and measures it
+ * @param {string} html - Fragment markup
+ * @returns {string} Script source evaluating to a Promise of the fragment size in pixels
+ */
+function buildFragmentMeasureScript(html) {
+    return `(async () => {
+        const element = document.getElementById('fragment');
+        element.innerHTML = ${JSON.stringify(html)};
+        await document.fonts.ready;
+        await Promise.all(Array.from(element.querySelectorAll('img')).map(image => image.decode().catch(() => {})));
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+        const rect = element.getBoundingClientRect();
+        return { width: Math.ceil(rect.width), height: Math.ceil(rect.height) };
+    })()`;
+}
+
+/**
+ * Rasterize HTML fragments (e.g. Mermaid SVG or KaTeX HTML) to PNG images
+ * Uses a hidden, sandboxed offscreen window; fragments are rendered one at a
+ * time on a white background.
+ * @param {string[]} fragments - HTML markup of each fragment
+ * @param {string} [css=''] - Stylesheet applied to the fragments (e.g. KaTeX CSS with inlined fonts)
+ * @returns {Promise<Array<{data: Buffer, width: number, height: number}|null>>} One PNG per fragment,
+ *   null for fragments that rendered empty
+ */
+async function renderFragmentsToImages(fragments, css = '') {
+    if (!Array.isArray(fragments) || fragments.length === 0) {
+        return [];
+    }
+
+    const renderWindow = new BrowserWindow({
+        show: false,
+        width: RASTER_PAGE_WIDTH,
+        height: RASTER_PAGE_HEIGHT,
+        useContentSize: true,
+        webPreferences: {
+            offscreen: true,
+            nodeIntegration: false,
+            contextIsolation: true,
+            sandbox: true,
+            webSecurity: true,
+            allowRunningInsecureContent: false
+        }
+    });
+
+    try {
+        const page = `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>
+            html, body { margin: 0; background: #fff; color: #24292e; font-size: 16px; }
+            #fragment { display: inline-block; padding: 4px; }
+            #fragment svg, #fragment img { max-width: ${RASTER_PAGE_WIDTH - 8}px; max-height: ${RASTER_PAGE_HEIGHT - 8}px; }
+            .katex-display { margin: 0; }
+            ${css}
+        </style></head><body><div id="fragment"></div></body></html>`;
+
+        await renderWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(page)}`);
+
+        const images = [];
+
+        for (const fragment of fragments) {
+            const size = await renderWindow.webContents.executeJavaScript(buildFragmentMeasureScript(fragment));
+            const width = Math.min(size.width, RASTER_PAGE_WIDTH);
+            const height = Math.min(size.height, RASTER_PAGE_HEIGHT);
+
+            if (width === 0 || height === 0) {
+                images.push(null);
+                continue;
+            }
+
+            const image = await renderWindow.webContents.capturePage({ x: 0, y: 0, width, height });
+
+            images.push({ data: image.toPNG(), width, height });
+        }
+
+        return images;
+    } finally {
+        if (!renderWindow.isDestroyed()) {
+            renderWindow.destroy();
+        }
+    }
+}
+
+module.exports = {
+    MERMAID_RENDER_TIMEOUT_MS,
+    escapeHtml,
+    renderKatexToString,
+    inlineKatexFonts,
+    buildMermaidRenderScript,
+    renderMermaidDiagrams,
+    renderMermaidResult,
+    buildFragmentMeasureScript,
+    renderFragmentsToImages
+};
@@ -0,0 +1,220 @@
+/**
+ * Tests for export-prerender module
+ * Validates offline rendering of KaTeX and Mermaid for self-contained exports
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const mockWindows = [];
+let executeJavaScriptMock = vi.fn();
+const capturePageMock = vi.fn();
+
+/**
+ * Minimal BrowserWindow stand-in that records what is executed in the page
+ */
+class MockBrowserWindow {
+    constructor(options) {
+        this.options = options;
+        this.destroyed = false;
+        this.loadURL = vi.fn().mockResolvedValue();
+        this.webContents = {
+            executeJavaScript: executeJavaScriptMock,
+            capturePage: capturePageMock
+        };
+        mockWindows.push(this);
+    }
+
+    isDestroyed() {
+        return this.destroyed;
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+// Patch the require cache for 'electron' BEFORE importing export-prerender.js
+const require_ = createRequire(import.meta.url);
+const electronPath = require_.resolve('electron');
+
+require_.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: {
+        BrowserWindow: MockBrowserWindow
+    }
+};
+
+const {
+    escapeHtml,
+    renderKatexToString,
+    inlineKatexFonts,
+    buildMermaidRenderScript,
+    renderMermaidDiagrams,
+    renderMermaidResult,
+    renderFragmentsToImages
+} = await import('./export-prerender.js');
+
+describe('export-prerender', () => {
+    beforeEach(() => {
+        mockWindows.length = 0;
+        executeJavaScriptMock = vi.fn().mockResolvedValue(undefined);
+        capturePageMock.mockReset();
+    });
+
+    describe('escapeHtml', () => {
+        it('escapes HTML special characters', () => {
+            expect(escapeHtml('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#039;&amp;&#039;&lt;/a&gt;');
+        });
+    });
+
+    describe('renderKatexToString', () => {
+        it('renders inline math to static KaTeX HTML', () => {
+            const html = renderKatexToString('x^2', false);
+
+            expect(html).toContain('class="katex"');
+            expect(html).not.toContain('katex-display');
+            expect(html).toContain('<math');
+        });
+
+        it('renders display math in display mode', () => {
+            const html = renderKatexToString('\\frac{a}{b}', true);
+
+            expect(html).toContain('katex-display');
+        });
+
+        it('does not throw on invalid LaTeX', () => {
+            expect(() => renderKatexToString('\\invalidcommand{', false)).not.toThrow();
+        });
+    });
+
+    describe('inlineKatexFonts', () => {
+        const css = '@font-face{font-family:KaTeX_AMS;src:url(fonts/KaTeX_AMS-Regular.woff2) format("woff2"),' +
+            'url(fonts/KaTeX_AMS-Regular.woff) format("woff"),url(fonts/KaTeX_AMS-Regular.ttf) format("truetype")}';
+
+        it('replaces woff2 URLs with data URIs and drops other formats', async () => {
+            const result = await inlineKatexFonts(css);
+
+            expect(result).toMatch(/src:url\(data:font\/woff2;base64,[A-Za-z0-9+/=]+\) format\("woff2"\)\}/);
+            expect(result).not.toContain('fonts/');
+        });
+
+        it('keeps the original URL when a font file cannot be read', async () => {
+            const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+            const result = await inlineKatexFonts(css, '/nonexistent/fonts');
+
+            expect(result).toContain('url(fonts/KaTeX_AMS-Regular.woff2)');
+            expect(result).not.toContain('.ttf');
+            consoleSpy.mockRestore();
+        });
+
+        it('returns empty input unchanged', async () => {
+            expect(await inlineKatexFonts('')).toBe('');
+        });
+    });
+
+    describe('buildMermaidRenderScript', () => {
+        it('embeds diagram sources as JSON and uses strict security', () => {
+            const script = buildMermaidRenderScript(['graph TD\n A-->"B"'], 'light');
+
+            expect(script).toContain(JSON.stringify(['graph TD\n A-->"B"']));
+            expect(script).toContain("securityLevel: 'strict'");
+            expect(script).toContain('"default"');
+        });
+
+        it('uses the dark Mermaid theme for dark exports', () => {
+            expect(buildMermaidRenderScript(['graph TD'], 'dark')).toContain('"dark"');
+        });
+    });
+
+    describe('renderMermaidDiagrams', () => {
+        it('returns an empty array without creating a window when there are no diagrams', async () => {
+            expect(await renderMermaidDiagrams([])).toEqual([]);
+            expect(mockWindows).toHaveLength(0);
+        });
+
+        it('renders diagrams in a sandboxed hidden window and destroys it', async () => {
+            const results = [{ svg: '<svg></svg>' }];
+
+            // Loading the library resolves undefined; the render script resolves results
+            executeJavaScriptMock
+                .mockResolvedValueOnce(undefined)
+                .mockResolvedValueOnce(results);
+
+            expect(await renderMermaidDiagrams(['graph TD\n A-->B'], 'light')).toEqual(results);
+            const win = mockWindows[0];
+
+            expect(win.options.show).toBe(false);
+            expect(win.options.webPreferences.sandbox).toBe(true);
+            expect(win.options.webPreferences.nodeIntegration).toBe(false);
+            expect(win.loadURL.mock.calls[0][0]).toMatch(/^data:text\/html/);
+            expect(win.webContents.executeJavaScript).toHaveBeenCalledTimes(2);
+            expect(win.webContents.executeJavaScript.mock.calls[0][0]).toContain('mermaid');
+            expect(win.destroyed).toBe(true);
+        });
+
+        it('destroys the window when rendering fails', async () => {
+            executeJavaScriptMock.mockRejectedValueOnce(new Error('load failed'));
+
+            await expect(renderMermaidDiagrams(['graph TD'], 'light')).rejects.toThrow('load failed');
+            expect(mockWindows[0].destroyed).toBe(true);
+        });
+    });
+
+    describe('renderFragmentsToImages', () => {
+        it('returns an empty array without creating a window when there are no fragments', async () => {
+            expect(await renderFragmentsToImages([])).toEqual([]);
+            expect(mockWindows).toHaveLength(0);
+        });
+
+        it('captures each fragment at its size in an offscreen window', async () => {
+            const png = Buffer.from('png');
+
+            executeJavaScriptMock
+                .mockResolvedValueOnce({ width: 120, height: 40 })
+                .mockResolvedValueOnce({ width: 0, height: 0 });
+            capturePageMock.mockResolvedValue({ toPNG: () => png });
+
+            const images = await renderFragmentsToImages(['<svg></svg>', '<span></span>'], '.katex { }');
+            const win = mockWindows[0];
+
+            expect(images).toEqual([{ data: png, width: 120, height: 40 }, null]);
+            expect(win.options.webPreferences.offscreen).toBe(true);
+            expect(win.options.webPreferences.sandbox).toBe(true);
+            expect(decodeURIComponent(win.loadURL.mock.calls[0][0])).toContain('.katex { }');
+            expect(win.webContents.executeJavaScript.mock.calls[0][0]).toContain(JSON.stringify('<svg></svg>'));
+            expect(capturePageMock).toHaveBeenCalledTimes(1);
+            expect(capturePageMock).toHaveBeenCalledWith({ x: 0, y: 0, width: 120, height: 40 });
+            expect(win.destroyed).toBe(true);
+        });
+
+        it('destroys the window when rendering fails', async () => {
+            executeJavaScriptMock.mockRejectedValueOnce(new Error('render failed'));
+
+            await expect(renderFragmentsToImages(['<b>x</b>'])).rejects.toThrow('render failed');
+            expect(mockWindows[0].destroyed).toBe(true);
+        });
+    });
+
+    describe('renderMermaidResult', () => {
+        it('wraps rendered SVG', () => {
+            expect(renderMermaidResult({ svg: '<svg id="a"></svg>' }))
+                .toBe('<div class="mermaid mermaid-rendered"><svg id="a"></svg></div>');
+        });
+
+        it('renders an escaped error message', () => {
+            const html = renderMermaidResult({ error: 'Parse error <here>' });
+
+            expect(html).toContain('mermaid-error');
+            expect(html).toContain('Parse error &lt;here&gt;');
+        });
+
+        it('renders a generic error for missing results', () => {
+            expect(renderMermaidResult(undefined)).toContain('Diagram could not be rendered');
+        });
+    });
+});
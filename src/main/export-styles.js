@@ -288,6 +288,42 @@ function generateCSS(theme = 'light') {
                 border: 0;
             }
             
+            /* Page breaks and table of contents */
+            .page-break {
+                margin: 2em 0;
+                border-top: 2px dashed ${c.border};
+            }
+            
+            @media print {
+                .page-break {
+                    margin: 0;
+                    border: 0;
+                    break-after: page;
+                }
+            }
+            
+            .toc-title {
+                margin-top: 0;
+                font-size: 1.5em;
+                font-weight: 600;
+                color: ${c.heading};
+            }
+            
+            .toc ul {
+                list-style: none;
+                padding-left: 0;
+            }
+            
+            .toc li {
+                margin: 0.25em 0;
+            }
+            
+            .toc .toc-level-2 { padding-left: 1.5em; }
+            .toc .toc-level-3 { padding-left: 3em; }
+            .toc .toc-level-4,
+            .toc .toc-level-5,
+            .toc .toc-level-6 { padding-left: 4.5em; }
+            
             /* Task list styles */
             .task-list-item {
                 list-style-type: none;
@@ -512,4 +548,134 @@ function generateCalloutCSS(theme = 'light') {
         `;
 }
 
-module.exports = { generateCSS, generateCalloutCSS, getThemeColors, THEME_COLORS };
+/**
+ * Generates the layout of website exports: a navigation sidebar with search
+ * next to the page content. Applied on top of generateCSS().
+ * @param {string} theme - Theme to use ('light' or 'dark')
+ * @returns {string} CSS styles
+ */
+function generateSiteCSS(theme = 'light') {
+    const c = getThemeColors(theme);
+
+    return `
+            body.site {
+                display: flex;
+                max-width: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .site-sidebar {
+                position: sticky;
+                top: 0;
+                flex-shrink: 0;
+                width: 280px;
+                height: 100vh;
+                overflow-y: auto;
+                padding: 1.5rem 1rem;
+                border-right: 1px solid ${c.border};
+                font-size: 0.9rem;
+            }
+
+            .site-title {
+                display: block;
+                margin-bottom: 1rem;
+                color: ${c.heading};
+                font-size: 1.1rem;
+                font-weight: 600;
+                text-decoration: none;
+            }
+
+            .site-search {
+                width: 100%;
+                margin-bottom: 1rem;
+                padding: 0.4rem 0.6rem;
+                border: 1px solid ${c.border};
+                border-radius: 4px;
+                background-color: ${c.bg};
+                color: ${c.text};
+                font: inherit;
+            }
+
+            .site-nav ul,
+            .site-search-results {
+                list-style: none;
+                margin: 0;
+                padding-left: 1rem;
+            }
+
+            .site-nav > ul,
+            .site-search-results {
+                padding-left: 0;
+            }
+
+            .site-nav li {
+                margin: 0.2rem 0;
+            }
+
+            .site-nav a {
+                color: ${c.text};
+                text-decoration: none;
+            }
+
+            .site-nav a:hover {
+                color: ${c.link};
+            }
+
+            .site-nav a[aria-current="page"] {
+                color: ${c.link};
+                font-weight: 600;
+            }
+
+            .site-nav summary {
+                cursor: pointer;
+                color: ${c.heading};
+            }
+
+            .site-search-results li {
+                margin-bottom: 0.75rem;
+            }
+
+            .site-search-results p {
+                margin: 0.2rem 0 0;
+                color: ${c.muted};
+                font-size: 0.8rem;
+            }
+
+            .site-content {
+                flex: 1;
+                min-width: 0;
+                max-width: 800px;
+                margin: 0 auto;
+                padding: 2rem;
+            }
+
+            .site-backlinks,
+            .site-index {
+                margin-top: 3rem;
+                padding-top: 1rem;
+                border-top: 1px solid ${c.hr};
+            }
+
+            .site-index-path {
+                color: ${c.muted};
+                font-size: 0.85em;
+            }
+
+            @media (max-width: 720px) {
+                body.site {
+                    display: block;
+                }
+
+                .site-sidebar {
+                    position: static;
+                    width: auto;
+                    height: auto;
+                    border-right: none;
+                    border-bottom: 1px solid ${c.border};
+                }
+            }
+        `;
+}
+
+module.exports = { generateCSS, generateCalloutCSS, generateSiteCSS, getThemeColors, THEME_COLORS };
@@ -1,32 +1,66 @@
 /**
- * Exporter - HTML and PDF Export Manager
- * Handles exporting markdown documents to HTML and PDF formats
+ * Exporter - Document Export Manager
+ * Handles exporting markdown documents through a registry of export formats.
+ * HTML, PDF and Word (DOCX) are built in; every registered format gets a menu
+ * entry, a command palette command and an `export:<id>` IPC channel.
+ * Mermaid diagrams and KaTeX math are pre-rendered by default so exports are self-contained
  * Requirements: 5.1, 5.2, 5.3, 1.5, 1.6, 2.6, 2.7, 3.8, 3.9
  */
 
-const { dialog, BrowserWindow } = require('electron');
+const { dialog, BrowserWindow, net } = require('electron');
 const fs = require('fs').promises;
 const path = require('path');
 const markdownit = require('markdown-it');
 const markdownitTaskLists = require('markdown-it-task-lists');
+const markdownItFootnote = require('markdown-it-footnote');
 const hljs = require('highlight.js');
 
 // Advanced markdown plugins
 const markdownItMermaid = require('../renderer/advanced-markdown/markdown-it-mermaid-plugin');
 const markdownItKatex = require('../renderer/advanced-markdown/markdown-it-katex-plugin');
 const markdownItCallouts = require('../renderer/advanced-markdown/markdown-it-callout-plugin');
+const markdownItPageBreak = require('../renderer/advanced-markdown/markdown-it-page-break-plugin');
+const { markdownItFrontMatter, parseFrontMatter, formatPropertyValue } = require('../renderer/advanced-markdown/front-matter');
+const { markdownItWikiLinks, resolveWikiLink, slugifyHeading } = require('../renderer/advanced-markdown/wiki-links');
 
 // Export styles (extracted CSS generation)
 const { generateCSS, generateCalloutCSS } = require('./export-styles');
 
+// Offline pre-rendering of Mermaid/KaTeX for self-contained exports
+const {
+    escapeHtml,
+    renderKatexToString,
+    inlineKatexFonts,
+    renderMermaidDiagrams,
+    renderMermaidResult,
+    renderFragmentsToImages
+} = require('./export-prerender');
+const { DocxExporter } = require('./docx-exporter');
+const { normalizePdfOptions, toPrintToPDFOptions } = require('./export-pdf-options');
+
+/** Placeholder emitted for Mermaid diagrams that are pre-rendered after markdown rendering */
+const MERMAID_PLACEHOLDER_REGEX = /<div class="mermaid-export" data-diagram-index="(\d+)"><\/div>/g;
+
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} id - Format ID, e.g. 'docx'; also names its IPC channel and menu action
+ * @property {string} label - Display name, e.g. 'Word Document'
+ * @property {string} filterName - Name of the save dialog file filter
+ * @property {string[]} extensions - File extensions, the first one is the default
+ * @property {(content: string, theme: string, options: Object) => Promise<string|Buffer>} render -
+ *   Produces the file content; options include `filePath`, the path of the exported document if saved
+ */
+
 /**
  * Exporter class manages document export operations
- * Provides methods for exporting to HTML and PDF formats
+ * Provides methods for exporting to every registered format
  */
 class Exporter {
     constructor(windowManager, advancedMarkdownManager) {
         this.windowManager = windowManager;
         this.advancedMarkdownManager = advancedMarkdownManager;
+        /** @type {Map<string, ExportFormat>} */
+        this.formats = new Map();
 
         // Initialize markdown-it with CommonMark preset and GFM extensions
         this.md = markdownit({
@@ -47,10 +81,88 @@ class Exporter {
             }
         })
             .enable(['table', 'strikethrough'])  // Enable GFM extensions
-            .use(markdownitTaskLists);           // Enable task lists
+            .use(markdownitTaskLists)            // Enable task lists
+            .use(markdownItFootnote)             // Enable footnotes
+            .use(markdownItPageBreak)            // \pagebreak starts a new page
+            .use(markdownItFrontMatter, { show: false }) // Front matter becomes document metadata
+            .use(markdownItWikiLinks, {          // [[Note]] links to Note.md, or to its match in env.wikiNotes
+                resolve: (target, env) => {
+                    return env.wikiNotes ? resolveWikiLink(target, env.wikiNotes, env.currentFilePath) : undefined;
+                }
+            })
+            .use(this._createHeadingAnchorsPlugin()); // Heading IDs for the table of contents
 
         // Initialize advanced markdown plugins if manager is provided
         this._initializeAdvancedPlugins();
+
+        this.docxExporter = new DocxExporter(this.md, {
+            renderMermaidDiagrams: (diagrams, theme) => (this._isFeatureEnabled('mermaid') ? renderMermaidDiagrams(diagrams, theme) : []),
+            renderKatexToString,
+            renderFragmentsToImages,
+            getKatexCSS: () => this._getKatexCSS(true),
+            fetch: (url, options) => net.fetch(url, options)
+        });
+        this._registerBuiltInFormats();
+    }
+
+    /**
+     * Register the HTML, PDF and Word formats
+     * @private
+     */
+    _registerBuiltInFormats() {
+        this.registerFormat({
+            id: 'html',
+            label: 'HTML',
+            filterName: 'HTML Files',
+            extensions: ['html', 'htm'],
+            render: (content, theme, options) => this._buildDocument(content, theme, options.selfContained !== false)
+        });
+        this.registerFormat({
+            id: 'pdf',
+            label: 'PDF',
+            filterName: 'PDF Files',
+            extensions: ['pdf'],
+            render: (content, theme, options) => this._renderPDF(content, theme, options)
+        });
+        this.registerFormat({
+            id: 'docx',
+            label: 'Word Document',
+            filterName: 'Word Documents',
+            extensions: ['docx'],
+            render: (content, theme, options) => this.docxExporter.render(this._preprocessMarkdown(content), {
+                baseDirectory: options.filePath ? path.dirname(options.filePath) : null
+            })
+        });
+    }
+
+    /**
+     * Register an export format
+     * Formats registered before the menu and IPC handlers are set up appear in both.
+     * @param {ExportFormat} format
+     * @throws {Error} If the format is incomplete or its ID is taken
+     */
+    registerFormat(format) {
+        if (!format || !/^[a-z0-9-]+$/.test(format.id || '')) {
+            throw new Error('Export format ID must be lowercase letters, digits and dashes');
+        }
+        if (typeof format.render !== 'function' || !Array.isArray(format.extensions) || format.extensions.length === 0) {
+            throw new Error(`Export format ${format.id} needs a render function and file extensions`);
+        }
+        if (this.formats.has(format.id)) {
+            throw new Error(`Export format already registered: ${format.id}`);
+        }
+
+        this.formats.set(format.id, format);
+    }
+
+    /**
+     * Get the registered export formats
+     * @returns {Array<{id: string, label: string, extensions: string[]}>} In registration order
+     */
+    getFormats() {
+        return Array.from(this.formats.values(), ({ id, label, extensions }) => {
+            return { id, label, extensions: [...extensions] };
+        });
     }
 
     /**
@@ -128,6 +240,7 @@ class Exporter {
 
         if (this.advancedMarkdownManager.isFeatureEnabled('katex')) {
             this.md.use(markdownItKatex);
+            this.md.use(this._createKatexExportPlugin());
         }
 
         if (this.advancedMarkdownManager.isFeatureEnabled('callouts')) {
@@ -135,9 +248,47 @@ class Exporter {
         }
     }
 
+    /**
+     * Create a plugin that gives headings unique IDs and collects them in
+     * env.headings for the table of contents
+     * @returns {Function} markdown-it plugin function
+     * @private
+     */
+    _createHeadingAnchorsPlugin() {
+        return function (md) {
+            md.core.ruler.push('heading_anchors', (state) => {
+                const counts = new Map();
+
+                state.env.headings = [];
+                state.tokens.forEach((token, index) => {
+                    if (token.type !== 'heading_open') {
+                        return;
+                    }
+
+                    const inline = state.tokens[index + 1];
+                    const text = (inline.children || [])
+                        .filter(child => child.type === 'text' || child.type === 'code_inline')
+                        .map(child => child.content)
+                        .join('')
+                        .trim();
+                    const slug = slugifyHeading(text);
+                    const count = counts.get(slug) || 0;
+                    const id = count > 0 ? `${slug}-${count}` : slug;
+
+                    counts.set(slug, count + 1);
+                    token.attrSet('id', id);
+                    state.env.headings.push({ level: Number(token.tag.slice(1)), text, id });
+                });
+            });
+        };
+    }
+
     /**
      * Create a Mermaid plugin optimized for export (HTML/PDF)
-     * Generates HTML compatible with Mermaid CDN auto-initialization
+     * Generates HTML compatible with Mermaid CDN auto-initialization, or, when
+     * rendering a self-contained document (env.selfContained), collects the
+     * diagram sources in env.mermaidDiagrams and emits indexed placeholders
+     * that are replaced with pre-rendered SVG.
      * @returns {Function} markdown-it plugin function
      * @private
      */
@@ -157,6 +308,14 @@ class Exporter {
                         return '<div class="mermaid-error">Empty Mermaid diagram</div>\n';
                     }
 
+                    if (env && env.selfContained) {
+                        env.mermaidDiagrams = env.mermaidDiagrams || [];
+                        env.mermaidDiagrams.push(code);
+
+                        return '<div class="mermaid-export" data-diagram-index="' +
+                            (env.mermaidDiagrams.length - 1) + '"></div>\n';
+                    }
+
                     // Generate HTML compatible with Mermaid CDN
                     // The 'mermaid' class triggers auto-rendering
                     return '<div class="mermaid">\n' + code + '\n</div>\n';
@@ -167,16 +326,49 @@ class Exporter {
         };
     }
 
+    /**
+     * Create a KaTeX plugin for export that renders math to static HTML
+     * when rendering a self-contained document (env.selfContained), and falls
+     * back to the placeholder renderers of markdown-it-katex-plugin otherwise.
+     * Must be used after markdownItKatex.
+     * @returns {Function} markdown-it plugin function
+     * @private
+     */
+    _createKatexExportPlugin() {
+        return function (md) {
+            const placeholderInline = md.renderer.rules.math_inline;
+            const placeholderBlock = md.renderer.rules.math_block;
+
+            md.renderer.rules.math_inline = function (tokens, idx, options, env, self) {
+                if (env && env.selfContained) {
+                    return renderKatexToString(tokens[idx].content, false);
+                }
+
+                return placeholderInline(tokens, idx, options, env, self);
+            };
+
+            md.renderer.rules.math_block = function (tokens, idx, options, env, self) {
+                if (env && env.selfContained) {
+                    return '<div class="katex-block">' + renderKatexToString(tokens[idx].content, true) + '</div>\n';
+                }
+
+                return placeholderBlock(tokens, idx, options, env, self);
+            };
+        };
+    }
+
     /**
      * Get KaTeX CSS content
+     * @param {boolean} [inlineFonts=false] - Embed the KaTeX fonts as data URIs
      * @returns {Promise<string>} KaTeX CSS content
      * @private
      */
-    async _getKatexCSS() {
+    async _getKatexCSS(inlineFonts = false) {
         try {
             const katexCssPath = path.join(__dirname, '../../node_modules/katex/dist/katex.min.css');
+            const css = await fs.readFile(katexCssPath, 'utf-8');
 
-            return await fs.readFile(katexCssPath, 'utf-8');
+            return inlineFonts ? await inlineKatexFonts(css) : css;
         } catch (error) {
             console.error('Failed to load KaTeX CSS:', error);
             return '';
@@ -206,18 +398,19 @@ class Exporter {
 
     /**
      * Get Mermaid initialization script for export
+     * Only used for non self-contained exports, which load Mermaid from the CDN
      * @returns {string} Mermaid initialization script
      * @private
      */
     _getMermaidScript() {
-        if (!this.advancedMarkdownManager || !this.advancedMarkdownManager.isFeatureEnabled('mermaid')) {
+        if (!this._isFeatureEnabled('mermaid')) {
             return '';
         }
 
         return `
             <script src="https://cdn.jsdelivr.net/npm/mermaid@11.4.1/dist/mermaid.min.js" integrity="sha384-Yz4MHpGMK5FYmVMJiUgBMWXsKsJfBOVJwFkqOKBMELRbDDRMiOGhCMnGGMdxzOp" crossorigin="anonymous"></script>
             <script>
-                mermaid.initialize({ 
+                mermaid.initialize({
                     startOnLoad: true,
                     theme: 'default',
                     securityLevel: 'strict'
@@ -227,55 +420,18 @@ class Exporter {
     }
 
     /**
-     * Exports markdown content to a standalone HTML file
-     * @param {string} content - Markdown content to export
-     * @param {string} theme - Theme to use ('light' or 'dark')
-     * @returns {Promise<string>} Path to the exported HTML file
-     * @throws {Error} If export fails
+     * Get KaTeX CDN script and client-side initialization for export
+     * Only used for non self-contained exports
+     * @returns {string} KaTeX scripts
+     * @private
      */
-    async exportToHTML(content, theme = 'light') {
-        const window = this.windowManager.getMainWindow();
-
-        if (!window) {
-            throw new Error('No window available for dialog');
+    _getKatexScript() {
+        if (!this._isFeatureEnabled('katex')) {
+            return '';
         }
 
-        try {
-            // Pre-process markdown to fix table formatting issues
-            const cleanedContent = this._preprocessMarkdown(content);
-
-            // Render markdown to HTML
-            const htmlContent = this.md.render(cleanedContent);
-
-            // Get KaTeX CSS if KaTeX is enabled
-            let katexCSS = '';
-
-            if (this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('katex')) {
-                katexCSS = await this._getKatexCSS();
-            }
-
-            // Get callout CSS if callouts are enabled
-            let calloutCSS = '';
-
-            if (this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('callouts')) {
-                calloutCSS = this._generateCalloutCSS(theme);
-            }
-
-            // Generate complete HTML document with CSS
-            const fullHTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Exported Markdown</title>
-    <style>
-        ${this._generateCSS(theme)}
-        ${calloutCSS}
-    </style>
-    ${katexCSS ? `<style>${katexCSS}</style>` : ''}
-    ${this._getMermaidScript()}
-    ${this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('katex') ? '<script src="https://cdn.jsdelivr.net/npm/katex@0.16.25/dist/katex.min.js"></script>' : ''}
-    ${this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('katex') ? `<script>
+        return `<script src="https://cdn.jsdelivr.net/npm/katex@0.16.25/dist/katex.min.js"></script>
+    <script>
         document.addEventListener('DOMContentLoaded', function() {
             // Render inline math
             document.querySelectorAll('.katex-inline').forEach(function(element) {
@@ -288,7 +444,7 @@ class Exporter {
                     }
                 }
             });
-            
+
             // Render block math
             document.querySelectorAll('.katex-block').forEach(function(element) {
                 const latex = element.getAttribute('data-katex');
@@ -301,19 +457,243 @@ class Exporter {
                 }
             });
         });
-    </script>` : ''}
+    </script>`;
+    }
+
+    /**
+     * Check whether an advanced markdown feature is enabled
+     * @param {string} featureName - Feature name ('mermaid', 'katex', or 'callouts')
+     * @returns {boolean} Whether the feature is enabled
+     * @private
+     */
+    _isFeatureEnabled(featureName) {
+        return Boolean(this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled(featureName));
+    }
+
+    /**
+     * Render markdown to the HTML body of an exported document
+     * In self-contained mode, math is rendered to static KaTeX HTML and
+     * Mermaid diagrams are pre-rendered to inline SVG.
+     * @param {string} content - Markdown content
+     * @param {string} theme - Theme to use ('light' or 'dark')
+     * @param {boolean} selfContained - Whether to pre-render Mermaid/KaTeX
+     * @param {string|null} [tableOfContentsTitle=null] - Start with a table of contents of this title
+     * @param {Object} [pageEnv={}] - Extra markdown-it environment, see renderPage()
+     * @returns {Promise<string>} Rendered HTML
+     * @private
+     */
+    async _renderBody(content, theme, selfContained, tableOfContentsTitle = null, pageEnv = {}) {
+        // Pre-process markdown to fix table formatting issues
+        const cleanedContent = this._preprocessMarkdown(content);
+        const env = { ...pageEnv, selfContained, mermaidDiagrams: [] };
+
+        // Render markdown to HTML
+        let htmlContent = this.md.render(cleanedContent, env);
+
+        if (tableOfContentsTitle && env.headings.length > 0) {
+            htmlContent = this._buildTableOfContents(env.headings, tableOfContentsTitle) + htmlContent;
+        }
+
+        if (!selfContained || env.mermaidDiagrams.length === 0) {
+            return htmlContent;
+        }
+
+        let results = [];
+
+        try {
+            results = await renderMermaidDiagrams(env.mermaidDiagrams, theme);
+        } catch (error) {
+            // Keep exporting; each diagram is replaced by an error block instead
+            console.error('Failed to pre-render Mermaid diagrams:', error);
+        }
+
+        return htmlContent.replace(MERMAID_PLACEHOLDER_REGEX, (placeholder, index) => {
+            return renderMermaidResult(results[Number(index)]);
+        });
+    }
+
+    /**
+     * Render markdown to self-contained HTML for one page of a multi-page export
+     * @param {string} content - Markdown content
+     * @param {string} [theme='light'] - Theme to use ('light' or 'dark')
+     * @param {Object} [env={}] - markdown-it environment; `currentFilePath` and `wikiNotes`
+     *   (notes as returned by LinkAnalyzerManager.listNotes) resolve wiki links to relative paths
+     * @returns {Promise<string>} Rendered HTML body
+     */
+    async renderPage(content, theme = 'light', env = {}) {
+        return this._renderBody(content, theme, true, null, env);
+    }
+
+    /**
+     * Get the stylesheet of exported documents, with the KaTeX fonts embedded
+     * @param {string} [theme='light'] - Theme to use ('light' or 'dark')
+     * @returns {Promise<string>} CSS styles
+     */
+    async getStylesheet(theme = 'light') {
+        const styles = [this._generateCSS(theme)];
+
+        if (this._isFeatureEnabled('callouts')) {
+            styles.push(this._generateCalloutCSS(theme));
+        }
+        if (this._isFeatureEnabled('katex')) {
+            styles.push(await this._getKatexCSS(true));
+        }
+
+        return styles.join('\n');
+    }
+
+    /**
+     * Build a table of contents linking to the headings, followed by a page break
+     * @param {Array<{level: number, text: string, id: string}>} headings - Headings collected while rendering
+     * @param {string} title - Title of the table of contents
+     * @returns {string} Table of contents markup
+     * @private
+     */
+    _buildTableOfContents(headings, title) {
+        const topLevel = Math.min(...headings.map(heading => heading.level));
+        const items = headings.map(heading => {
+            return `<li class="toc-level-${heading.level - topLevel + 1}"><a href="#${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a></li>`;
+        });
+
+        return `<nav class="toc">
+<p class="toc-title">${escapeHtml(title)}</p>
+<ul>
+${items.join('\n')}
+</ul>
+</nav>
+<div class="page-break"></div>
+`;
+    }
+
+    /**
+     * Get the title of a document: its front matter title, or else its file name
+     * @param {string} content - Markdown content
+     * @param {string|null} [filePath] - Path of the document if saved
+     * @returns {string} Title, empty for untitled documents without front matter
+     * @private
+     */
+    _getDocumentTitle(content, filePath) {
+        const frontMatter = parseFrontMatter(content);
+        const title = frontMatter ? formatPropertyValue(frontMatter.data.title) : '';
+
+        return title || (filePath ? path.parse(filePath).name : '');
+    }
+
+    /**
+     * Build the <title> and <meta> tags of an exported document from its front matter.
+     * The title also becomes the title of exported PDFs.
+     * @param {string} content - Markdown content
+     * @returns {string} Head markup
+     * @private
+     */
+    _buildMetadataTags(content) {
+        const frontMatter = parseFrontMatter(content);
+        const properties = frontMatter ? frontMatter.data : {};
+        const title = formatPropertyValue(properties.title) || 'Exported Markdown';
+        const tags = [`<title>${escapeHtml(title)}</title>`];
+        const metaNames = {
+            author: properties.author,
+            description: properties.description,
+            keywords: properties.keywords || properties.tags
+        };
+
+        for (const [name, value] of Object.entries(metaNames)) {
+            const text = formatPropertyValue(value);
+
+            if (text) {
+                tags.push(`<meta name="${name}" content="${escapeHtml(text)}">`);
+            }
+        }
+
+        return tags.join('\n    ');
+    }
+
+    /**
+     * Build a complete standalone HTML document for export
+     * @param {string} content - Markdown content
+     * @param {string} theme - Theme to use ('light' or 'dark')
+     * @param {boolean} selfContained - Whether to produce a document without external requests
+     * @param {string} [extraHead=''] - Additional markup appended to <head>
+     * @param {string|null} [tableOfContentsTitle=null] - Start with a table of contents of this title
+     * @returns {Promise<string>} Full HTML document
+     * @private
+     */
+    async _buildDocument(content, theme, selfContained, extraHead = '', tableOfContentsTitle = null) {
+        const htmlContent = await this._renderBody(content, theme, selfContained, tableOfContentsTitle);
+
+        // Get KaTeX CSS if KaTeX is enabled (fonts embedded when self-contained)
+        let katexCSS = '';
+
+        if (this._isFeatureEnabled('katex')) {
+            katexCSS = await this._getKatexCSS(selfContained);
+        }
+
+        // Get callout CSS if callouts are enabled
+        let calloutCSS = '';
+
+        if (this._isFeatureEnabled('callouts')) {
+            calloutCSS = this._generateCalloutCSS(theme);
+        }
+
+        // External scripts are only needed when rendering happens client-side
+        const scripts = selfContained ? '' : `${this._getMermaidScript()}
+    ${this._getKatexScript()}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${this._buildMetadataTags(content)}
+    <style>
+        ${this._generateCSS(theme)}
+        ${calloutCSS}
+    </style>
+    ${katexCSS ? `<style>${katexCSS}</style>` : ''}
+    ${scripts}
+    ${extraHead}
 </head>
 <body>
     ${htmlContent}
 </body>
 </html>`;
+    }
+
+    /**
+     * Exports markdown content to a file of a registered format
+     * @param {string} formatId - ID of a registered format
+     * @param {string} content - Markdown content to export
+     * @param {string} theme - Theme to use ('light' or 'dark')
+     * @param {Object} [options] - Export options, passed on to the format
+     * @param {string|null} [options.filePath] - Path of the exported document; names the exported
+     *   file and resolves relative image paths
+     * @param {boolean} [options.selfContained=true] - Pre-render Mermaid/KaTeX so the
+     *   file makes no external requests; when false, CDN scripts render them on load
+     * @returns {Promise<string|null>} Path to the exported file, null if the user cancelled
+     * @throws {Error} If the format is unknown or export fails
+     */
+    async export(formatId, content, theme = 'light', options = {}) {
+        const format = this.formats.get(formatId);
+
+        if (!format) {
+            throw new Error(`Unknown export format: ${formatId}`);
+        }
+
+        const window = this.windowManager.getMainWindow();
+
+        if (!window) {
+            throw new Error('No window available for dialog');
+        }
+
+        try {
+            const baseName = options.filePath ? path.parse(options.filePath).name : 'document';
 
             // Show save dialog
             const result = await dialog.showSaveDialog(window, {
-                title: 'Export to HTML',
-                defaultPath: 'document.html',
+                title: `Export to ${format.label}`,
+                defaultPath: `${baseName}.${format.extensions[0]}`,
                 filters: [
-                    { name: 'HTML Files', extensions: ['html', 'htm'] },
+                    { name: format.filterName, extensions: format.extensions },
                     { name: 'All Files', extensions: ['*'] }
                 ]
             });
@@ -324,99 +704,67 @@ class Exporter {
             }
 
             const filePath = result.filePath;
+            const data = await format.render(content, theme, options);
 
-            // Write HTML file
-            await fs.writeFile(filePath, fullHTML, 'utf-8');
+            // Write the exported file; text formats are UTF-8
+            await fs.writeFile(filePath, data, typeof data === 'string' ? 'utf-8' : undefined);
 
             return filePath;
         } catch (error) {
+            console.error(`Error exporting to ${format.label}:`, error);
             if (error.code === 'EACCES' || error.code === 'EPERM') {
-                throw new Error(`Permission denied: Cannot write to file`);
+                throw new Error(`Permission denied: Cannot write to file`, { cause: error });
             } else if (error.code === 'ENOSPC') {
-                throw new Error(`Disk full: Cannot export file`);
+                throw new Error(`Disk full: Cannot export file`, { cause: error });
             } else {
-                throw new Error(`Failed to export HTML: ${error.message}`);
+                throw new Error(`Failed to export ${format.label}: ${error.message}`, { cause: error });
             }
         }
     }
 
     /**
-     * Exports markdown content to PDF using Electron's printToPDF API
+     * Exports markdown content to a standalone HTML file
      * @param {string} content - Markdown content to export
      * @param {string} theme - Theme to use ('light' or 'dark')
-     * @returns {Promise<string>} Path to the exported PDF file
+     * @param {Object} [options] - Export options, see export()
+     * @returns {Promise<string|null>} Path to the exported HTML file
      * @throws {Error} If export fails
      */
-    async exportToPDF(content, theme = 'light') {
-        const window = this.windowManager.getMainWindow();
-
-        if (!window) {
-            throw new Error('No window available for dialog');
-        }
-
-        try {
-            // Pre-process markdown to fix table formatting issues
-            const cleanedContent = this._preprocessMarkdown(content);
-
-            // Render markdown to HTML
-            const htmlContent = this.md.render(cleanedContent);
-
-            // Get KaTeX CSS if KaTeX is enabled
-            let katexCSS = '';
-
-            if (this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('katex')) {
-                katexCSS = await this._getKatexCSS();
-            }
+    async exportToHTML(content, theme = 'light', options = {}) {
+        return this.export('html', content, theme, options);
+    }
 
-            // Get callout CSS if callouts are enabled
-            let calloutCSS = '';
+    /**
+     * Exports markdown content to PDF using Electron's printToPDF API
+     * @param {string} content - Markdown content to export
+     * @param {string} theme - Theme to use ('light' or 'dark')
+     * @param {Object} [options] - Export options, see export()
+     * @returns {Promise<string|null>} Path to the exported PDF file
+     * @throws {Error} If export fails
+     */
+    async exportToPDF(content, theme = 'light', options = {}) {
+        return this.export('pdf', content, theme, options);
+    }
 
-            if (this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('callouts')) {
-                calloutCSS = this._generateCalloutCSS(theme);
-            }
+    /**
+     * Render markdown content to PDF data in a hidden window
+     * @param {string} content - Markdown content
+     * @param {string} theme - Theme to use ('light' or 'dark')
+     * @param {Object} options - Export options
+     * @param {boolean} [options.selfContained=true] - Pre-render Mermaid/KaTeX so
+     *   PDF generation does not depend on network access
+     * @param {Object} [options.pdf] - Page setup, see export-pdf-options
+     * @param {string} [options.tableOfContentsTitle='Contents'] - Title of the generated table of contents
+     * @returns {Promise<Buffer>} PDF data
+     * @private
+     */
+    async _renderPDF(content, theme, options) {
+        const selfContained = options.selfContained !== false;
+        const pdfOptions = normalizePdfOptions(options.pdf);
+        const tableOfContentsTitle = pdfOptions.tableOfContents ? (options.tableOfContentsTitle || 'Contents') : null;
 
-            // Generate complete HTML document with CSS
-            const fullHTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Exported Markdown</title>
-    <style>
-        ${this._generateCSS(theme)}
-        ${calloutCSS}
-    </style>
-    ${katexCSS ? `<style>${katexCSS}</style>` : ''}
-    ${this._getMermaidScript()}
-    ${this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('katex') ? '<script src="https://cdn.jsdelivr.net/npm/katex@0.16.25/dist/katex.min.js"></script>' : ''}
-    ${this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('katex') ? `<script>
-        document.addEventListener('DOMContentLoaded', function() {
-            // Render inline math
-            document.querySelectorAll('.katex-inline').forEach(function(element) {
-                const latex = element.getAttribute('data-katex');
-                if (latex) {
-                    try {
-                        katex.render(latex, element, { throwOnError: false, displayMode: false });
-                    } catch (e) {
-                        element.textContent = '$' + latex + '$';
-                    }
-                }
-            });
-            
-            // Render block math
-            document.querySelectorAll('.katex-block').forEach(function(element) {
-                const latex = element.getAttribute('data-katex');
-                if (latex) {
-                    try {
-                        katex.render(latex, element, { throwOnError: false, displayMode: true });
-                    } catch (e) {
-                        element.textContent = '$$' + latex + '$$';
-                    }
-                }
-            });
-        });
-    </script>` : ''}
-    <script>
+        // Generate complete HTML document with CSS
+        const fullHTML = await this._buildDocument(content, theme, selfContained, `<script>
         document.addEventListener('DOMContentLoaded', function() {
             document.querySelectorAll('table').forEach(function(table) {
                 var wrapper = document.createElement('div');
@@ -431,89 +779,53 @@ class Exporter {
                 }
             });
         });
-    </script>
-</head>
-<body>
-    ${htmlContent}
-</body>
-</html>`;
-
-            // Show save dialog
-            const result = await dialog.showSaveDialog(window, {
-                title: 'Export to PDF',
-                defaultPath: 'document.pdf',
-                filters: [
-                    { name: 'PDF Files', extensions: ['pdf'] },
-                    { name: 'All Files', extensions: ['*'] }
-                ]
-            });
-
-            // User cancelled the dialog
-            if (result.canceled || !result.filePath) {
-                return null;
+    </script>`, tableOfContentsTitle);
+
+        // Create a hidden window for PDF generation with minimal privileges
+        const pdfWindow = new BrowserWindow({
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                sandbox: true,
+                webSecurity: true,
+                allowRunningInsecureContent: false
             }
+        });
 
-            const filePath = result.filePath;
-
-            // Create a hidden window for PDF generation with minimal privileges
-            const pdfWindow = new BrowserWindow({
-                show: false,
-                webPreferences: {
-                    nodeIntegration: false,
-                    contextIsolation: true,
-                    sandbox: true,
-                    webSecurity: true,
-                    allowRunningInsecureContent: false
-                }
-            });
-
+        try {
             // Load HTML content
             await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(fullHTML)}`);
 
-            // Wait for content to be ready (longer wait for Mermaid and KaTeX rendering)
-            const hasMermaid = this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('mermaid');
-            const hasKatex = this.advancedMarkdownManager && this.advancedMarkdownManager.isFeatureEnabled('katex');
-            const waitTime = hasMermaid ? 3000 : (hasKatex ? 2000 : 500);
+            // Wait for content to be ready (longer wait for client-side Mermaid and KaTeX rendering)
+            let waitTime = 500;
+
+            if (!selfContained) {
+                if (this._isFeatureEnabled('mermaid')) {
+                    waitTime = 3000;
+                } else if (this._isFeatureEnabled('katex')) {
+                    waitTime = 2000;
+                }
+            }
 
             await new Promise(resolve => {
                 setTimeout(resolve, waitTime);
             });
 
             // Generate PDF
-            const pdfData = await pdfWindow.webContents.printToPDF({
-                printBackground: true,
-                preferCSSPageSize: true,
-                margins: {
-                    top: 0.5,
-                    bottom: 0.5,
-                    left: 0.5,
-                    right: 0.5
-                },
-                pageSize: 'A4'
-            });
-
+            return await pdfWindow.webContents.printToPDF(
+                toPrintToPDFOptions(pdfOptions, this._getDocumentTitle(content, options.filePath))
+            );
+        } finally {
             // Close the hidden window
             pdfWindow.close();
-
-            // Write PDF file
-            await fs.writeFile(filePath, pdfData);
-
-            return filePath;
-        } catch (error) {
-            if (error.code === 'EACCES' || error.code === 'EPERM') {
-                throw new Error(`Permission denied: Cannot write to file`);
-            } else if (error.code === 'ENOSPC') {
-                throw new Error(`Disk full: Cannot export file`);
-            } else {
-                throw new Error(`Failed to export PDF: ${error.message}`);
-            }
         }
     }
 
     /**
      * Cleanup method to release resources
      * Exporter doesn't hold persistent resources (no timers, event listeners, or file handles).
-     * The markdown-it instance and window manager reference don't require explicit cleanup.
+     * The markdown-it instance, format registry and window manager reference don't require explicit cleanup.
      * This method is provided for consistency with the component pattern.
      */
     // eslint-disable-next-line custom/component-resource-cleanup
@@ -0,0 +1,303 @@
+/**
+ * File History Manager
+ * Keeps a local history of every saved version of a document under userData,
+ * so earlier versions can be compared and restored after the file was overwritten.
+ *
+ * Each document gets a folder named after a hash of its path, holding an
+ * `index.json` with the list of snapshots and one file per distinct content.
+ * Saving the same content again adds no snapshot, and versions with identical
+ * content share one file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { diffLines, summarizeDiff } = require('../renderer/features/line-diff');
+
+// Snapshots kept per document by default
+const DEFAULT_MAX_ENTRIES = 50;
+
+// Snapshots older than this are dropped by default
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+// Snapshots of larger files are not kept (5 MB)
+const MAX_SNAPSHOT_SIZE = 5 * 1024 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Snapshot id, unique per document
+ * @property {number} timestamp - Save time in milliseconds
+ * @property {string} hash - SHA-1 of the content
+ * @property {number} size - Content length in characters
+ * @property {number} added - Lines added since the previous snapshot
+ * @property {number} removed - Lines removed since the previous snapshot
+ */
+
+class FileHistoryManager {
+    /**
+     * @param {string} historyDirectory - Directory where history is kept (under userData)
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries] - Snapshots kept per document
+     * @param {number} [options.maxAgeDays] - Days after which snapshots are dropped; 0 keeps them
+     */
+    constructor(historyDirectory, options = {}) {
+        if (!historyDirectory) {
+            throw new Error('History directory is required');
+        }
+
+        this.historyDirectory = historyDirectory;
+        this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+        this.maxAgeDays = options.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS;
+        // Pending operation per document folder, so concurrent saves do not interleave
+        this.queues = new Map();
+    }
+
+    /**
+     * Record the content of a document as just saved
+     * @param {string} filePath - Absolute path of the document
+     * @param {string} content - Saved content
+     * @returns {Promise<HistoryEntry|null>} The new snapshot, or null when the content did not change
+     */
+    recordSnapshot(filePath, content) {
+        if (typeof content !== 'string' || content.length > MAX_SNAPSHOT_SIZE) {
+            return Promise.resolve(null);
+        }
+
+        return this._enqueue(filePath, () => this._recordSnapshot(filePath, content));
+    }
+
+    /**
+     * Get the snapshots of a document
+     * @param {string} filePath - Absolute path of the document
+     * @returns {Promise<HistoryEntry[]>} Newest first
+     */
+    getHistory(filePath) {
+        return this._enqueue(filePath, () => this._readIndex(filePath))
+            .then(index => index.entries.slice().reverse());
+    }
+
+    /**
+     * Get the content of a snapshot
+     * @param {string} filePath - Absolute path of the document
+     * @param {string} id - Snapshot id
+     * @returns {Promise<{entry: HistoryEntry, content: string}>}
+     */
+    getSnapshot(filePath, id) {
+        return this._enqueue(filePath, () => this._getSnapshot(filePath, id));
+    }
+
+    /**
+     * Delete the whole history of a document
+     * @param {string} filePath - Absolute path of the document
+     * @returns {Promise<void>}
+     */
+    clearHistory(filePath) {
+        return this._enqueue(filePath, () => fs.rm(this._getDocumentDirectory(filePath), {
+            recursive: true,
+            force: true
+        }));
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {string} content
+     * @returns {Promise<HistoryEntry|null>}
+     * @private
+     */
+    async _recordSnapshot(filePath, content) {
+        const documentDirectory = this._getDocumentDirectory(filePath);
+        const hash = crypto.createHash('sha1').update(content).digest('hex');
+
+        try {
+            const index = await this._readIndex(filePath);
+            const previous = index.entries[index.entries.length - 1];
+
+            if (previous && previous.hash === hash) {
+                return null;
+            }
+
+            const previousContent = previous ? await this._readContent(filePath, previous.hash) : '';
+            const { added, removed } = previous
+                ? summarizeDiff(diffLines(previousContent, content))
+                : { added: content === '' ? 0 : content.split('\n').length, removed: 0 };
+            const timestamp = Date.now();
+            const entry = { id: `${timestamp}-${hash.slice(0, 8)}`, timestamp, hash, size: content.length, added, removed };
+
+            await fs.mkdir(documentDirectory, { recursive: true });
+            await fs.writeFile(this._getContentFile(filePath, hash), content, 'utf-8');
+
+            index.entries.push(entry);
+            const dropped = this._applyRetention(index.entries, timestamp);
+
+            index.entries = index.entries.filter(kept => !dropped.includes(kept));
+            await this._writeIndex(filePath, index);
+            await this._removeUnusedContent(filePath, index.entries, dropped);
+
+            return entry;
+        } catch (error) {
+            throw new Error(`Failed to record file history: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {string} id
+     * @returns {Promise<{entry: HistoryEntry, content: string}>}
+     * @private
+     */
+    async _getSnapshot(filePath, id) {
+        const index = await this._readIndex(filePath);
+        const entry = index.entries.find(candidate => candidate.id === id);
+
+        if (!entry) {
+            throw new Error(`Snapshot not found: ${id}`);
+        }
+
+        try {
+            return { entry, content: await this._readContent(filePath, entry.hash) };
+        } catch (error) {
+            throw new Error(`Failed to read snapshot: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Pick the entries dropped by the retention limits; the newest is always kept
+     * @param {HistoryEntry[]} entries - Oldest first
+     * @param {number} now - Current time in milliseconds
+     * @returns {HistoryEntry[]}
+     * @private
+     */
+    _applyRetention(entries, now) {
+        const newest = entries[entries.length - 1];
+        const overLimit = Math.max(0, entries.length - Math.max(1, this.maxEntries));
+
+        return entries.filter((entry, i) => entry !== newest && (
+            i < overLimit ||
+            (this.maxAgeDays > 0 && now - entry.timestamp > this.maxAgeDays * DAY_MS)
+        ));
+    }
+
+    /**
+     * Delete content files no longer referenced by any entry
+     * @param {string} filePath
+     * @param {HistoryEntry[]} entries - Remaining entries
+     * @param {HistoryEntry[]} dropped - Removed entries
+     * @private
+     */
+    async _removeUnusedContent(filePath, entries, dropped) {
+        const used = new Set(entries.map(entry => entry.hash));
+        const unused = new Set(dropped.map(entry => entry.hash).filter(hash => !used.has(hash)));
+
+        try {
+            await Promise.all([...unused].map(hash => fs.rm(this._getContentFile(filePath, hash), { force: true })));
+        } catch (error) {
+            console.warn('Failed to remove old file history:', error.message);
+        }
+    }
+
+    /**
+     * Read the snapshot list of a document
+     * @param {string} filePath
+     * @returns {Promise<{filePath: string, entries: HistoryEntry[]}>}
+     * @private
+     */
+    async _readIndex(filePath) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(this._getDocumentDirectory(filePath), 'index.json'), 'utf-8'));
+
+            if (data.filePath === path.resolve(filePath) && Array.isArray(data.entries)) {
+                return data;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Discarding unreadable file history:', error.message);
+            }
+        }
+
+        return { filePath: path.resolve(filePath), entries: [] };
+    }
+
+    /**
+     * Write the snapshot list through a temporary file
+     * @param {string} filePath
+     * @param {Object} index
+     * @private
+     */
+    async _writeIndex(filePath, index) {
+        const indexFile = path.join(this._getDocumentDirectory(filePath), 'index.json');
+        const tempFile = `${indexFile}.tmp`;
+
+        try {
+            await fs.writeFile(tempFile, JSON.stringify(index));
+            await fs.rename(tempFile, indexFile);
+        } catch (error) {
+            await fs.rm(tempFile, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {string} hash
+     * @returns {Promise<string>}
+     * @private
+     */
+    _readContent(filePath, hash) {
+        return fs.readFile(this._getContentFile(filePath, hash), 'utf-8');
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {string} hash
+     * @returns {string}
+     * @private
+     */
+    _getContentFile(filePath, hash) {
+        return path.join(this._getDocumentDirectory(filePath), `${hash}.md`);
+    }
+
+    /**
+     * Folder holding the history of a document
+     * @param {string} filePath
+     * @returns {string}
+     * @private
+     */
+    _getDocumentDirectory(filePath) {
+        const hash = crypto.createHash('sha1')
+            .update(path.resolve(filePath))
+            .digest('hex')
+            .slice(0, 16);
+
+        return path.join(this.historyDirectory, hash);
+    }
+
+    /**
+     * Run an operation after the pending ones of the same document
+     * @param {string} filePath
+     * @param {Function} operation - Returns a promise
+     * @returns {Promise<*>}
+     * @private
+     */
+    _enqueue(filePath, operation) {
+        if (!filePath || typeof filePath !== 'string') {
+            return Promise.reject(new Error('Invalid file path'));
+        }
+
+        const key = this._getDocumentDirectory(filePath);
+        const result = (this.queues.get(key) || Promise.resolve()).then(operation);
+        const settled = result.catch(() => {});
+
+        this.queues.set(key, settled);
+        settled.then(() => {
+            if (this.queues.get(key) === settled) {
+                this.queues.delete(key);
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = FileHistoryManager;
@@ -0,0 +1,124 @@
+/**
+ * Tests for FileHistoryManager
+ */
+
+const { describe, it, expect, beforeEach, afterEach, vi } = globalThis;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileHistoryManager = require('./file-history-manager');
+
+describe('FileHistoryManager', () => {
+    let historyDirectory;
+    let manager;
+    const filePath = path.resolve('/notes/todo.md');
+
+    beforeEach(() => {
+        historyDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-history-'));
+        manager = new FileHistoryManager(historyDirectory);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        fs.rmSync(historyDirectory, { recursive: true, force: true });
+    });
+
+    it('requires a history directory', () => {
+        expect(() => new FileHistoryManager()).toThrow('History directory is required');
+    });
+
+    it('records snapshots newest first with diff stats', async () => {
+        const first = await manager.recordSnapshot(filePath, 'one\ntwo');
+        const second = await manager.recordSnapshot(filePath, 'one\nthree\nfour');
+
+        expect(first).toMatchObject({ added: 2, removed: 0, size: 7 });
+        expect(second).toMatchObject({ added: 2, removed: 1 });
+
+        const history = await manager.getHistory(filePath);
+
+        expect(history.map(entry => entry.id)).toEqual([second.id, first.id]);
+        expect((await manager.getSnapshot(filePath, first.id)).content).toBe('one\ntwo');
+    });
+
+    it('skips saves that did not change the content', async () => {
+        await manager.recordSnapshot(filePath, 'same');
+
+        expect(await manager.recordSnapshot(filePath, 'same')).toBeNull();
+        expect(await manager.getHistory(filePath)).toHaveLength(1);
+    });
+
+    it('stores identical versions once', async () => {
+        await manager.recordSnapshot(filePath, 'a');
+        await manager.recordSnapshot(filePath, 'b');
+        await manager.recordSnapshot(filePath, 'a');
+
+        const [documentDirectory] = fs.readdirSync(historyDirectory);
+        const files = fs.readdirSync(path.join(historyDirectory, documentDirectory));
+
+        expect(await manager.getHistory(filePath)).toHaveLength(3);
+        expect(files.filter(file => file.endsWith('.md'))).toHaveLength(2);
+    });
+
+    it('keeps at most maxEntries snapshots and removes unused content', async () => {
+        manager = new FileHistoryManager(historyDirectory, { maxEntries: 2 });
+
+        const first = await manager.recordSnapshot(filePath, 'v1');
+
+        await manager.recordSnapshot(filePath, 'v2');
+        await manager.recordSnapshot(filePath, 'v3');
+
+        const history = await manager.getHistory(filePath);
+
+        expect(history).toHaveLength(2);
+        await expect(manager.getSnapshot(filePath, first.id)).rejects.toThrow('Snapshot not found');
+        expect(fs.existsSync(path.join(historyDirectory, fs.readdirSync(historyDirectory)[0], `${first.hash}.md`)))
+            .toBe(false);
+    });
+
+    it('drops snapshots older than maxAgeDays but keeps the newest', async () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+        manager = new FileHistoryManager(historyDirectory, { maxAgeDays: 7 });
+
+        await manager.recordSnapshot(filePath, 'old');
+        vi.setSystemTime(new Date('2026-01-20T00:00:00Z'));
+        await manager.recordSnapshot(filePath, 'new');
+
+        const history = await manager.getHistory(filePath);
+
+        expect(history).toHaveLength(1);
+        expect((await manager.getSnapshot(filePath, history[0].id)).content).toBe('new');
+    });
+
+    it('keeps the history of each document apart', async () => {
+        await manager.recordSnapshot(filePath, 'todo');
+        await manager.recordSnapshot(path.resolve('/notes/done.md'), 'done');
+
+        expect(await manager.getHistory(filePath)).toHaveLength(1);
+        expect(await manager.getHistory(path.resolve('/notes/other.md'))).toEqual([]);
+    });
+
+    it('records concurrent saves in order', async () => {
+        await Promise.all([
+            manager.recordSnapshot(filePath, 'a'),
+            manager.recordSnapshot(filePath, 'b'),
+            manager.recordSnapshot(filePath, 'c')
+        ]);
+
+        const history = await manager.getHistory(filePath);
+        const contents = await Promise.all(history.map(entry => manager.getSnapshot(filePath, entry.id)));
+
+        expect(contents.map(snapshot => snapshot.content)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('clears the history of a document', async () => {
+        await manager.recordSnapshot(filePath, 'text');
+        await manager.clearHistory(filePath);
+
+        expect(await manager.getHistory(filePath)).toEqual([]);
+    });
+
+    it('rejects invalid file paths', async () => {
+        await expect(manager.getHistory('')).rejects.toThrow('Invalid file path');
+    });
+});
@@ -1,9 +1,93 @@
-const { dialog } = require('electron');
+const { dialog, nativeImage } = require('electron');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./utils/logger');
 const log = logger.child('FileManager');
 
+/**
+ * Image paste settings used when the config has none
+ * fileNamePattern placeholders: {document}, {original}, {date}, {time}, {timestamp}
+ */
+const IMAGE_SETTINGS_DEFAULTS = {
+    fileNamePattern: 'image-{timestamp}',
+    optimize: false,
+    maxWidth: 1920,
+    jpegQuality: 85,
+    deduplicate: true
+};
+
+/** Extensions of the files that pasted images are deduplicated against */
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg']);
+
+/**
+ * Detects the format of image data from its signature
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} File extension, null if the format is not supported
+ */
+function detectImageFormat(buffer) {
+    const startsWith = (bytes, offset = 0) => buffer.length >= offset + bytes.length
+        && buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+    if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return 'png';
+    }
+    if (startsWith([0xFF, 0xD8, 0xFF])) {
+        return 'jpg';
+    }
+    if (startsWith([0x47, 0x49, 0x46, 0x38])) {
+        return 'gif';
+    }
+    if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) {
+        return 'webp';
+    }
+
+    // SVG is text: an optional XML declaration, comments or doctype before the root element
+    const head = buffer.subarray(0, 1024).toString('utf-8')
+        .replace(/^\uFEFF/, '');
+
+    if (/^\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(head)) {
+        return 'svg';
+    }
+
+    return null;
+}
+
+/**
+ * Removes characters that are not allowed in file names
+ * @param {string} [name]
+ * @returns {string} Name with whitespace turned into dashes, empty if nothing is left
+ */
+function sanitizeFileName(name) {
+    return String(name || '')
+        .replace(/[<>:"/\\|?*]|\p{Cc}/gu, '')
+        .replace(/\s+/g, '-')
+        .replace(/^[.-]+|[.-]+$/g, '');
+}
+
+/**
+ * Builds an image file name from a pattern
+ * @param {string} pattern - e.g. '{document}-{date}'
+ * @param {string|null} currentFilePath - The markdown file path, for {document}
+ * @param {string} [originalName] - Name of the dropped file, for {original}
+ * @param {Date} now
+ * @returns {string} File name without extension
+ */
+function formatImageName(pattern, currentFilePath, originalName, now) {
+    const pad = value => String(value).padStart(2, '0');
+    const values = {
+        document: currentFilePath ? path.parse(currentFilePath).name : 'untitled',
+        original: originalName ? path.parse(originalName).name : 'image',
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+        timestamp: String(now.getTime())
+    };
+    const name = String(pattern || IMAGE_SETTINGS_DEFAULTS.fileNamePattern)
+        .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+    return sanitizeFileName(name) || `image-${values.timestamp}`;
+}
+
 /**
  * FileManager - Handles file operations (open, save, saveAs)
  * Implements secure file handling with path validation
@@ -25,6 +109,7 @@ class FileManager {
         this.windowManager = windowManager;
         this.configStore = configStore;
         this.currentFilePath = null;
+        this.imageHashes = new Map(); // Map<filePath, { mtimeMs, size, hash }>
     }
 
     /**
@@ -228,10 +313,11 @@ class FileManager {
     /**
      * Shows a save dialog and saves content to the selected location
      * @param {string} content - The content to save
+     * @param {string} [defaultName] - File name suggested in the dialog
      * @returns {Promise<string>} The path where the file was saved
      * @throws {Error} If file writing fails
      */
-    async saveFileAs(content) {
+    async saveFileAs(content, defaultName = 'untitled.md') {
         try {
             const window = this.windowManager.getMainWindow();
 
@@ -242,7 +328,7 @@ class FileManager {
             // Show save dialog
             const result = await dialog.showSaveDialog(window, {
                 title: 'Save Markdown File',
-                defaultPath: 'untitled.md',
+                defaultPath: defaultName,
                 filters: [
                     { name: 'Markdown Files', extensions: ['md', 'markdown'] },
                     { name: 'Text Files', extensions: ['txt'] },
@@ -356,13 +442,79 @@ class FileManager {
     }
 
     /**
-     * Saves an image from clipboard to the assets folder
+     * Saves an image from clipboard or a dropped image file to the assets folder
+     * The format is detected from the data; PNG, JPEG, GIF, WebP and SVG are accepted.
      * @param {Buffer|Uint8Array|Array} imageBuffer - The image data as a buffer
      * @param {string} currentFilePath - The current markdown file path (to determine relative path)
-     * @returns {Promise<{success: boolean, imagePath: string, relativePath: string}>} The saved image path
+     * @param {Object} [options]
+     * @param {string} [options.fileName] - File name chosen by the user, without extension
+     * @param {string} [options.originalName] - Name of the dropped file, used by the {original} placeholder
+     * @returns {Promise<{success: boolean, imagePath: string, relativePath: string, deduplicated: boolean}>}
+     *   The saved image path; deduplicated is true when an identical image already was in the assets folder
+     * @throws {Error} If the data is not a supported image or saving fails
+     */
+    async saveImageFromClipboard(imageBuffer, currentFilePath, options = {}) {
+        const buffer = this._toImageBuffer(imageBuffer);
+        const extension = detectImageFormat(buffer);
+
+        if (!extension) {
+            throw new Error('Invalid image data: unsupported image format (expected PNG, JPEG, GIF, WebP or SVG)');
+        }
+
+        return this._writeImageToAssets(buffer, currentFilePath, extension, options);
+    }
+
+    /**
+     * Saves image data to the assets folder, e.g. images extracted from imported documents
+     * @param {Buffer|Uint8Array|Array} imageBuffer - The image data as a buffer
+     * @param {string|null} currentFilePath - The markdown file path (to determine relative path)
+     * @param {string} extension - File extension of the image, without dot
+     * @returns {Promise<{success: boolean, imagePath: string, relativePath: string, deduplicated: boolean}>}
+     *   The saved image path
      * @throws {Error} If image saving fails
      */
-    async saveImageFromClipboard(imageBuffer, currentFilePath) {
+    async saveImageToAssets(imageBuffer, currentFilePath, extension) {
+        return this._writeImageToAssets(this._toImageBuffer(imageBuffer), currentFilePath, extension);
+    }
+
+    /**
+     * Name the next image would get from the file name pattern, offered when asking for a name
+     * @param {string|null} currentFilePath - The markdown file path
+     * @param {string} [originalName] - Name of the dropped file
+     * @returns {string} File name without extension
+     */
+    suggestImageName(currentFilePath, originalName) {
+        const { fileNamePattern } = this._getImageSettings();
+
+        return formatImageName(fileNamePattern, currentFilePath, originalName, new Date());
+    }
+
+    /**
+     * Markdown link target of a file dropped into a document
+     * @param {string} targetPath - Absolute path of the dropped file
+     * @param {string|null} currentFilePath - The markdown file path; links of unsaved documents are absolute
+     * @returns {string} URL-encoded path, relative to the document when possible
+     */
+    getFileLink(targetPath, currentFilePath) {
+        const safePath = this._validateFilePath(targetPath);
+        let link = currentFilePath ? path.relative(path.dirname(currentFilePath), safePath) : safePath;
+
+        link = link.replace(/\\/g, '/');
+        if (currentFilePath && !link.startsWith('../') && !path.isAbsolute(link)) {
+            link = './' + link;
+        }
+
+        return encodeURI(link).replace(/[()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    /**
+     * Converts and validates image data
+     * @param {Buffer|Uint8Array|Array} imageBuffer - The image data
+     * @returns {Buffer}
+     * @throws {Error} If the data is not a buffer, empty or too large
+     * @private
+     */
+    _toImageBuffer(imageBuffer) {
         // Convert to Buffer if needed
         if (!Buffer.isBuffer(imageBuffer)) {
             if (imageBuffer instanceof Uint8Array || Array.isArray(imageBuffer)) {
@@ -384,16 +536,132 @@ class FileManager {
             throw new Error(`Image too large (${sizeMB} MB). Maximum allowed size is ${limitMB} MB.`);
         }
 
-        // Validate PNG signature (first 8 bytes)
-        const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+        return imageBuffer;
+    }
+
+    /**
+     * Image paste settings merged over the defaults; settings saved by older versions lack the newer keys
+     * @returns {typeof IMAGE_SETTINGS_DEFAULTS & {assetsFolder: string}}
+     * @private
+     */
+    _getImageSettings() {
+        const settings = { ...IMAGE_SETTINGS_DEFAULTS, ...(this.configStore ? this.configStore.getImagePasteConfig() : null) };
+
+        settings.assetsFolder = (this.configStore && this.configStore.getAssetsFolder()) || './assets';
+
+        return settings;
+    }
+
+    /**
+     * Downscales images wider than the maximum width and recompresses JPEGs
+     * GIFs may be animated and WebP and SVG cannot be re-encoded, so only PNG and JPEG are optimized.
+     * @param {Buffer} imageBuffer - Validated image data
+     * @param {string} extension - File extension of the image
+     * @param {{maxWidth: number, jpegQuality: number}} settings
+     * @returns {Buffer} The optimized image, or the original when optimizing does not make it smaller
+     * @private
+     */
+    _optimizeImage(imageBuffer, extension, { maxWidth, jpegQuality }) {
+        const isJpeg = extension === 'jpg' || extension === 'jpeg';
+
+        if (extension !== 'png' && !isJpeg) {
+            return imageBuffer;
+        }
+
+        let image = nativeImage.createFromBuffer(imageBuffer);
+
+        if (image.isEmpty()) {
+            return imageBuffer;
+        }
+
+        const { width } = image.getSize();
+        const resized = maxWidth > 0 && width > maxWidth;
+
+        if (resized) {
+            image = image.resize({ width: maxWidth, quality: 'best' });
+        }
+
+        const optimized = isJpeg ? image.toJPEG(jpegQuality) : image.toPNG();
+
+        return resized || optimized.length < imageBuffer.length ? optimized : imageBuffer;
+    }
+
+    /**
+     * Finds an image in the assets folder with the same content
+     * @param {string} assetsPath - Absolute path of the assets folder
+     * @param {Buffer} imageBuffer - Image data
+     * @returns {Promise<string|null>} Path of the identical image
+     * @private
+     */
+    async _findDuplicateImage(assetsPath, imageBuffer) {
+        const hash = crypto.createHash('sha256').update(imageBuffer)
+            .digest('hex');
+        const entries = await fs.readdir(assetsPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (!entry.isFile() || !IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+                continue;
+            }
+
+            const entryPath = path.join(assetsPath, entry.name);
+            const stats = await fs.stat(entryPath);
+
+            // Only files of the same size can match, which avoids hashing most of the folder
+            if (stats.size === imageBuffer.length && await this._getImageHash(entryPath, stats) === hash) {
+                return entryPath;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Hashes an image of the assets folder, reusing the hash while the file is unchanged
+     * @param {string} imagePath - Absolute path of the image
+     * @param {import('fs').Stats} stats - Current stats of the image
+     * @returns {Promise<string|null>} SHA-256 hash of the image, null if it cannot be read
+     * @private
+     */
+    async _getImageHash(imagePath, stats) {
+        const cached = this.imageHashes.get(imagePath);
+
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached.hash;
+        }
+
+        try {
+            const hash = crypto.createHash('sha256').update(await fs.readFile(imagePath))
+                .digest('hex');
+
+            this.imageHashes.set(imagePath, { mtimeMs: stats.mtimeMs, size: stats.size, hash });
 
-        if (imageBuffer.length < 8 || !imageBuffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
-            throw new Error('Invalid image data: not a valid PNG file');
+            return hash;
+        } catch {
+            this.imageHashes.delete(imagePath);
+
+            return null;
         }
+    }
 
+    /**
+     * Writes an image to the assets folder under a unique name
+     * The image is optimized and deduplicated according to the image paste settings.
+     * @param {Buffer} imageBuffer - Validated image data
+     * @param {string|null} currentFilePath - The markdown file path (to determine relative path)
+     * @param {string} extension - File extension of the image, without dot
+     * @param {{fileName?: string, originalName?: string}} [options] - See saveImageFromClipboard
+     * @returns {Promise<{success: boolean, imagePath: string, relativePath: string, deduplicated: boolean}>}
+     *   The saved image path
+     * @private
+     */
+    async _writeImageToAssets(imageBuffer, currentFilePath, extension, options = {}) {
         try {
-            // Get assets folder configuration
-            const assetsFolder = this.configStore ? this.configStore.getAssetsFolder() : './assets';
+            const settings = this._getImageSettings();
+            const assetsFolder = settings.assetsFolder;
+
+            if (settings.optimize) {
+                imageBuffer = this._optimizeImage(imageBuffer, extension, settings);
+            }
 
             // Determine the base directory (where the markdown file is, or current working directory)
             let baseDir;
@@ -409,20 +677,36 @@ class FileManager {
             // Ensure assets directory exists
             await fs.mkdir(assetsPath, { recursive: true });
 
-            // Generate unique filename with timestamp
-            const timestamp = Date.now();
-            const filename = `image-${timestamp}.png`;
-            const fullPath = path.join(assetsPath, filename);
-
-            // Save the image
-            await fs.writeFile(fullPath, imageBuffer);
+            let fullPath = settings.deduplicate ? await this._findDuplicateImage(assetsPath, imageBuffer) : null;
+            const deduplicated = fullPath !== null;
+
+            if (!deduplicated) {
+                // Several images can get the same name, e.g. within a millisecond
+                const name = sanitizeFileName(options.fileName)
+                    || formatImageName(settings.fileNamePattern, currentFilePath, options.originalName, new Date());
+
+                fullPath = path.join(assetsPath, `${name}.${extension}`);
+
+                for (let suffix = 1; ; suffix++) {
+                    try {
+                        // Save the image, never overwriting an existing one
+                        await fs.writeFile(fullPath, imageBuffer, { flag: 'wx' });
+                        break;
+                    } catch (error) {
+                        if (error.code !== 'EEXIST') {
+                            throw error;
+                        }
+                        fullPath = path.join(assetsPath, `${name}-${suffix}.${extension}`);
+                    }
+                }
+            }
 
             // Calculate relative path from markdown file to image
             let relativePath;
             if (currentFilePath) {
                 relativePath = path.relative(path.dirname(currentFilePath), fullPath);
             } else {
-                relativePath = path.join(assetsFolder, filename);
+                relativePath = path.join(assetsFolder, path.basename(fullPath));
             }
 
             // Normalize path separators for markdown (use forward slashes)
@@ -436,7 +720,8 @@ class FileManager {
             return {
                 success: true,
                 imagePath: fullPath,
-                relativePath: relativePath
+                relativePath: relativePath,
+                deduplicated
             };
         } catch (error) {
             if (error.code === 'EACCES' || error.code === 'EPERM') {
@@ -460,3 +745,4 @@ class FileManager {
 }
 
 module.exports = FileManager;
+module.exports.detectImageFormat = detectImageFormat;
@@ -289,15 +289,14 @@ describe('FileManager - File save-load round trip', () => {
         });
 
         it('should generate unique filenames with timestamp', async () => {
-            const imageBuffer = createTestPngBuffer();
             const currentFilePath = path.join(testDir, 'document.md');
 
-            const result1 = await fileManager.saveImageFromClipboard(imageBuffer, currentFilePath);
+            const result1 = await fileManager.saveImageFromClipboard(createTestPngBuffer(), currentFilePath);
 
             // Wait 1ms to ensure different timestamp
             await new Promise(resolve => setTimeout(resolve, 1));
 
-            const result2 = await fileManager.saveImageFromClipboard(imageBuffer, currentFilePath);
+            const result2 = await fileManager.saveImageFromClipboard(Buffer.from([...PNG_HEADER, 0x00]), currentFilePath);
 
             expect(result1.imagePath).not.toBe(result2.imagePath);
             expect(result1.relativePath).not.toBe(result2.relativePath);
@@ -311,13 +310,108 @@ describe('FileManager - File save-load round trip', () => {
             ).rejects.toThrow('Invalid image data: must be a Buffer, Uint8Array, or Array');
         });
 
-        it('should throw error for non-PNG data', async () => {
-            const notPng = Buffer.from([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08]);
+        it('should throw error for data that is not a supported image', async () => {
+            const notImage = Buffer.from([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08]);
             const currentFilePath = path.join(testDir, 'document.md');
 
             await expect(
-                fileManager.saveImageFromClipboard(notPng, currentFilePath)
-            ).rejects.toThrow('Invalid image data: not a valid PNG file');
+                fileManager.saveImageFromClipboard(notImage, currentFilePath)
+            ).rejects.toThrow('Invalid image data: unsupported image format');
+        });
+
+        it('should detect JPEG, GIF, WebP and SVG images', async () => {
+            const currentFilePath = path.join(testDir, 'document.md');
+            const images = {
+                jpg: Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]),
+                gif: Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'),
+                webp: Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]),
+                svg: Buffer.from('<?xml version="1.0"?>\n<!-- icon -->\n<svg xmlns="http://www.w3.org/2000/svg"></svg>')
+            };
+
+            for (const [extension, buffer] of Object.entries(images)) {
+                const result = await fileManager.saveImageFromClipboard(buffer, currentFilePath);
+
+                expect(result.relativePath).toMatch(new RegExp(`^\\./assets/image-\\d+(-\\d+)?\\.${extension}$`));
+            }
+        });
+
+        it('should reuse an identical image already in the assets folder', async () => {
+            const currentFilePath = path.join(testDir, 'document.md');
+
+            const result1 = await fileManager.saveImageFromClipboard(createTestPngBuffer(), currentFilePath);
+            const result2 = await fileManager.saveImageFromClipboard(createTestPngBuffer(), path.join(testDir, 'other.md'));
+
+            expect(result1.deduplicated).toBe(false);
+            expect(result2.deduplicated).toBe(true);
+            expect(result2.imagePath).toBe(result1.imagePath);
+            expect(await fs.readdir(path.join(testDir, 'assets'))).toHaveLength(1);
+        });
+
+        it('should only compare against unchanged images of the assets folder', async () => {
+            const currentFilePath = path.join(testDir, 'document.md');
+            const assetsPath = path.join(testDir, 'assets');
+            const image = createTestPngBuffer();
+
+            await fs.mkdir(assetsPath);
+            await fs.writeFile(path.join(assetsPath, 'copy.bin'), image);
+
+            const result1 = await fileManager.saveImageFromClipboard(image, currentFilePath);
+
+            expect(result1.deduplicated).toBe(false);
+            expect(fileManager.imageHashes.size).toBe(0);
+
+            const result2 = await fileManager.saveImageFromClipboard(image, currentFilePath);
+
+            expect(result2.deduplicated).toBe(true);
+            expect(fileManager.imageHashes.get(result1.imagePath).hash).toHaveLength(64);
+
+            // A changed image is hashed again instead of matching its old content
+            const changed = Buffer.from(image);
+
+            changed[changed.length - 1] ^= 0xFF;
+            await fs.writeFile(result1.imagePath, changed);
+            await fs.utimes(result1.imagePath, new Date(), new Date(Date.now() + 60000));
+
+            const result3 = await fileManager.saveImageFromClipboard(image, currentFilePath);
+
+            expect(result3.deduplicated).toBe(false);
+            expect(result3.imagePath).not.toBe(result1.imagePath);
+        });
+
+        it('should keep duplicates when deduplication is off', async () => {
+            const configStore = {
+                getImagePasteConfig: () => ({ deduplicate: false }),
+                getAssetsFolder: () => './assets'
+            };
+            const manager = new FileManager(mockWindowManager, configStore);
+            const currentFilePath = path.join(testDir, 'document.md');
+
+            await manager.saveImageFromClipboard(createTestPngBuffer(), currentFilePath);
+            await manager.saveImageFromClipboard(createTestPngBuffer(), currentFilePath);
+
+            expect(await fs.readdir(path.join(testDir, 'assets'))).toHaveLength(2);
+        });
+
+        it('should name images after the file name pattern', async () => {
+            const configStore = {
+                getImagePasteConfig: () => ({ fileNamePattern: '{document}-{original}-{date}' }),
+                getAssetsFolder: () => 'images'
+            };
+            const manager = new FileManager(mockWindowManager, configStore);
+            const currentFilePath = path.join(testDir, 'Meeting Notes.md');
+
+            const result = await manager.saveImageFromClipboard(createTestPngBuffer(), currentFilePath, { originalName: 'Screen Shot.png' });
+
+            expect(result.relativePath).toMatch(/^\.\/images\/Meeting-Notes-Screen-Shot-\d{4}-\d{2}-\d{2}\.png$/);
+            expect(manager.suggestImageName(null, undefined)).toMatch(/^untitled-image-\d{4}-\d{2}-\d{2}$/);
+        });
+
+        it('should use a file name chosen by the user without path characters', async () => {
+            const currentFilePath = path.join(testDir, 'document.md');
+
+            const result = await fileManager.saveImageFromClipboard(createTestPngBuffer(), currentFilePath, { fileName: '../my diagram' });
+
+            expect(result.relativePath).toBe('./assets/my-diagram.png');
         });
 
         it('should throw error for empty buffer', async () => {
@@ -358,4 +452,22 @@ describe('FileManager - File save-load round trip', () => {
             expect(result.relativePath).toMatch(/assets[\/\\]image-\d+\.png$/);
         });
     });
+
+    describe('getFileLink', () => {
+        it('should link files relative to the document', () => {
+            const link = fileManager.getFileLink(path.join(testDir, 'files', 'Q3 report (final).pdf'), path.join(testDir, 'notes', 'a.md'));
+
+            expect(link).toBe('../files/Q3%20report%20%28final%29.pdf');
+        });
+
+        it('should link files next to the document with ./', () => {
+            expect(fileManager.getFileLink(path.join(testDir, 'data.csv'), path.join(testDir, 'a.md'))).toBe('./data.csv');
+        });
+
+        it('should use absolute paths for unsaved documents', () => {
+            const target = path.join(testDir, 'data.csv');
+
+            expect(fileManager.getFileLink(target, null)).toBe(encodeURI(target.replace(/\\/g, '/')));
+        });
+    });
 });
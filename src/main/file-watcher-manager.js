@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+const log = logger.child('FileWatcher');
+
+/**
+ * FileWatcherManager - Detects changes made on disk to files open in tabs
+ * Watches the parent directory of each file so atomic saves (write to a temp
+ * file + rename, as done by git and most editors) are detected as well.
+ * Writes made by the app itself are recorded first and never reported.
+ */
+class FileWatcherManager {
+    /**
+     * Delay used to coalesce bursts of file system events (ms)
+     */
+    static DEBOUNCE_MS = 300;
+
+    constructor(windowManager, tabManager) {
+        if (!windowManager) {
+            throw new Error('WindowManager is required');
+        }
+        if (!tabManager) {
+            throw new Error('TabManager is required');
+        }
+        this.windowManager = windowManager;
+        this.tabManager = tabManager;
+        this.watchedFiles = new Map(); // Map<filePath, { hash, deleted, timer }>
+        this.directoryWatchers = new Map(); // Map<dirPath, { watcher, files: Set<string> }>
+    }
+
+    /**
+     * Watch exactly the files currently open in tabs
+     * Called whenever tabs are created, closed, restored or saved under a new path
+     */
+    syncWithTabs() {
+        const openFiles = new Map(); // Map<filePath, content of an unmodified tab or null>
+
+        for (const tab of this.tabManager.getAllTabs()) {
+            if (!tab.filePath) {
+                continue;
+            }
+
+            const filePath = path.resolve(tab.filePath);
+
+            if (!openFiles.has(filePath) || !tab.isModified) {
+                openFiles.set(filePath, tab.isModified ? null : tab.content);
+            }
+        }
+
+        for (const filePath of Array.from(this.watchedFiles.keys())) {
+            if (!openFiles.has(filePath)) {
+                this.unwatchFile(filePath);
+            }
+        }
+
+        for (const [filePath, knownContent] of openFiles) {
+            this.watchFile(filePath, knownContent);
+        }
+    }
+
+    /**
+     * Start watching a file
+     * When the content shown in the editor is known (unmodified tab), the file is
+     * checked right away so changes made while it was closed (e.g. tabs restored
+     * from a previous session) are reported as well.
+     * @param {string} filePath - Absolute file path
+     * @param {string|null} [knownContent] - Content the editor believes is on disk
+     */
+    watchFile(filePath, knownContent = null) {
+        const resolvedPath = path.resolve(filePath);
+
+        if (this.watchedFiles.has(resolvedPath)) {
+            return;
+        }
+
+        const entry = { hash: null, deleted: false, timer: null };
+
+        this.watchedFiles.set(resolvedPath, entry);
+        this._addToDirectoryWatcher(resolvedPath);
+
+        if (typeof knownContent === 'string') {
+            entry.hash = this._hash(knownContent);
+            this._scheduleCheck(resolvedPath);
+            return;
+        }
+
+        // Record the current disk content as the baseline for comparisons
+        this._readHash(resolvedPath).then((hash) => {
+            if (entry.hash === null) {
+                entry.hash = hash;
+            }
+        }).catch((error) => {
+            log.debug('Could not read baseline for watched file', { filePath: resolvedPath, error: error.message });
+        });
+    }
+
+    /**
+     * Stop watching a file
+     * @param {string} filePath - Absolute file path
+     */
+    unwatchFile(filePath) {
+        const resolvedPath = path.resolve(filePath);
+        const entry = this.watchedFiles.get(resolvedPath);
+
+        if (!entry) {
+            return;
+        }
+
+        clearTimeout(entry.timer);
+        this.watchedFiles.delete(resolvedPath);
+        this._removeFromDirectoryWatcher(resolvedPath);
+    }
+
+    /**
+     * Record content the app has just written, so the resulting
+     * file system event is not reported as an external change.
+     * Events are only checked after DEBOUNCE_MS, so recording right
+     * after the write completes is in time.
+     * @param {string} filePath - File being written
+     * @param {string} content - Content being written
+     */
+    recordWrite(filePath, content) {
+        const entry = this.watchedFiles.get(path.resolve(filePath));
+
+        if (entry) {
+            entry.hash = this._hash(content);
+            entry.deleted = false;
+        }
+    }
+
+    /**
+     * Get the list of watched file paths
+     * @returns {string[]}
+     */
+    getWatchedFiles() {
+        return Array.from(this.watchedFiles.keys());
+    }
+
+    /**
+     * Stop all watchers and release resources
+     */
+    cleanup() {
+        for (const entry of this.watchedFiles.values()) {
+            clearTimeout(entry.timer);
+        }
+        for (const { watcher } of this.directoryWatchers.values()) {
+            watcher.close();
+        }
+        this.watchedFiles.clear();
+        this.directoryWatchers.clear();
+    }
+
+    /**
+     * Register a file with the watcher of its parent directory
+     * @param {string} filePath - Resolved file path
+     * @private
+     */
+    _addToDirectoryWatcher(filePath) {
+        const dirPath = path.dirname(filePath);
+        const existing = this.directoryWatchers.get(dirPath);
+
+        if (existing) {
+            existing.files.add(filePath);
+            return;
+        }
+
+        try {
+            const watcher = fs.watch(dirPath, { persistent: false }, (eventType, fileName) => {
+                this._handleDirectoryEvent(dirPath, fileName);
+            });
+
+            watcher.on('error', (error) => {
+                log.warn('Directory watcher failed', { dirPath, error: error.message });
+                this._closeDirectoryWatcher(dirPath);
+            });
+
+            this.directoryWatchers.set(dirPath, { watcher, files: new Set([filePath]) });
+        } catch (error) {
+            log.warn('Could not watch directory', { dirPath, error: error.message });
+        }
+    }
+
+    /**
+     * Unregister a file from its directory watcher, closing it when unused
+     * @param {string} filePath - Resolved file path
+     * @private
+     */
+    _removeFromDirectoryWatcher(filePath) {
+        const dirPath = path.dirname(filePath);
+        const existing = this.directoryWatchers.get(dirPath);
+
+        if (!existing) {
+            return;
+        }
+
+        existing.files.delete(filePath);
+        if (existing.files.size === 0) {
+            this._closeDirectoryWatcher(dirPath);
+        }
+    }
+
+    /**
+     * Close a directory watcher
+     * @param {string} dirPath - Directory path
+     * @private
+     */
+    _closeDirectoryWatcher(dirPath) {
+        const existing = this.directoryWatchers.get(dirPath);
+
+        if (existing) {
+            existing.watcher.close();
+            this.directoryWatchers.delete(dirPath);
+        }
+    }
+
+    /**
+     * Handle a raw event from a directory watcher
+     * Some platforms omit the file name, in which case every watched file
+     * in the directory is checked.
+     * @param {string} dirPath - Watched directory
+     * @param {string|null} fileName - Name of the changed entry
+     * @private
+     */
+    _handleDirectoryEvent(dirPath, fileName) {
+        const watcherEntry = this.directoryWatchers.get(dirPath);
+
+        if (!watcherEntry) {
+            return;
+        }
+
+        const candidates = fileName
+            ? [path.join(dirPath, fileName.toString())]
+            : Array.from(watcherEntry.files);
+
+        for (const filePath of candidates) {
+            if (this.watchedFiles.has(filePath)) {
+                this._scheduleCheck(filePath);
+            }
+        }
+    }
+
+    /**
+     * Debounce checks for a file
+     * @param {string} filePath - Resolved file path
+     * @private
+     */
+    _scheduleCheck(filePath) {
+        const entry = this.watchedFiles.get(filePath);
+
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            this._checkFile(filePath).catch((error) => {
+                log.error('Error checking watched file', error);
+            });
+        }, FileWatcherManager.DEBOUNCE_MS);
+    }
+
+    /**
+     * Compare the disk content of a file with the last known version
+     * and notify the renderer when it differs
+     * @param {string} filePath - Resolved file path
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _checkFile(filePath) {
+        const entry = this.watchedFiles.get(filePath);
+
+        if (!entry) {
+            return;
+        }
+
+        let content;
+
+        try {
+            content = await fs.promises.readFile(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                if (!entry.deleted) {
+                    entry.deleted = true;
+                    entry.hash = null;
+                    this._notify({ filePath, type: 'deleted' });
+                }
+                return;
+            }
+            throw error;
+        }
+
+        // The file may have been unwatched while reading
+        if (this.watchedFiles.get(filePath) !== entry) {
+            return;
+        }
+
+        const hash = this._hash(content);
+
+        if (hash === entry.hash && !entry.deleted) {
+            return;
+        }
+
+        entry.hash = hash;
+        entry.deleted = false;
+        this._notify({ filePath, type: 'changed', content });
+    }
+
+    /**
+     * Send a change notification to the renderer
+     * @param {{filePath: string, type: 'changed'|'deleted', content?: string}} change
+     * @private
+     */
+    _notify(change) {
+        const mainWindow = this.windowManager.getMainWindow();
+
+        log.info('External file change detected', { filePath: change.filePath, type: change.type });
+
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('file:external-change', change);
+        }
+    }
+
+    /**
+     * Read a file and hash its content
+     * @param {string} filePath - File path
+     * @returns {Promise<string>}
+     * @private
+     */
+    _readHash(filePath) {
+        return fs.promises.readFile(filePath, 'utf-8').then(content => this._hash(content));
+    }
+
+    /**
+     * Hash file content
+     * @param {string} content
+     * @returns {string}
+     * @private
+     */
+    _hash(content) {
+        return crypto.createHash('sha1').update(content, 'utf-8').digest('hex');
+    }
+}
+
+module.exports = FileWatcherManager;
@@ -0,0 +1,194 @@
+/**
+ * FileWatcherManager Tests
+ * Tests for external file change detection
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const FileWatcherManager = require('./file-watcher-manager');
+
+describe('FileWatcherManager', () => {
+    let tempDir;
+    let filePath;
+    let tabs;
+    let send;
+    let watcher;
+
+    /**
+     * Wait until the baseline hash of a watched file has been read
+     */
+    async function waitForBaseline(target) {
+        await vi.waitFor(() => {
+            expect(watcher.watchedFiles.get(target).hash).not.toBeNull();
+        });
+    }
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'md-watcher-'));
+        filePath = path.join(tempDir, 'doc.md');
+        fs.writeFileSync(filePath, '# Original');
+
+        tabs = [{ id: 'tab-1', filePath }];
+        send = vi.fn();
+
+        const windowManager = {
+            getMainWindow: () => ({ isDestroyed: () => false, webContents: { send } })
+        };
+        const tabManager = { getAllTabs: () => tabs };
+
+        watcher = new FileWatcherManager(windowManager, tabManager);
+    });
+
+    afterEach(() => {
+        watcher.cleanup();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('constructor', () => {
+        it('requires a WindowManager and a TabManager', () => {
+            expect(() => new FileWatcherManager()).toThrow('WindowManager is required');
+            expect(() => new FileWatcherManager({})).toThrow('TabManager is required');
+        });
+    });
+
+    describe('syncWithTabs', () => {
+        it('watches the files of all tabs with a path', () => {
+            tabs.push({ id: 'tab-2', filePath: null });
+
+            watcher.syncWithTabs();
+
+            expect(watcher.getWatchedFiles()).toEqual([filePath]);
+            expect(watcher.directoryWatchers.size).toBe(1);
+        });
+
+        it('stops watching files whose tabs were closed', () => {
+            watcher.syncWithTabs();
+            tabs = [];
+
+            watcher.syncWithTabs();
+
+            expect(watcher.getWatchedFiles()).toEqual([]);
+            expect(watcher.directoryWatchers.size).toBe(0);
+        });
+
+        it('reports files that changed while their unmodified tab was closed', async () => {
+            tabs = [{ id: 'tab-1', filePath, isModified: false, content: '# Stale' }];
+
+            watcher.syncWithTabs();
+
+            await vi.waitFor(() => {
+                expect(send).toHaveBeenCalledWith('file:external-change', {
+                    filePath,
+                    type: 'changed',
+                    content: '# Original'
+                });
+            });
+        });
+
+        it('shares one directory watcher between files in the same folder', () => {
+            const otherPath = path.join(tempDir, 'other.md');
+
+            fs.writeFileSync(otherPath, 'other');
+            tabs.push({ id: 'tab-2', filePath: otherPath });
+
+            watcher.syncWithTabs();
+
+            expect(watcher.getWatchedFiles()).toHaveLength(2);
+            expect(watcher.directoryWatchers.size).toBe(1);
+        });
+    });
+
+    describe('change detection', () => {
+        it('notifies the renderer when the file content changes on disk', async () => {
+            watcher.syncWithTabs();
+            await waitForBaseline(filePath);
+
+            fs.writeFileSync(filePath, '# Changed elsewhere');
+            await watcher._checkFile(filePath);
+
+            expect(send).toHaveBeenCalledWith('file:external-change', {
+                filePath,
+                type: 'changed',
+                content: '# Changed elsewhere'
+            });
+        });
+
+        it('does not notify when the content is unchanged', async () => {
+            watcher.syncWithTabs();
+            await waitForBaseline(filePath);
+
+            await watcher._checkFile(filePath);
+
+            expect(send).not.toHaveBeenCalled();
+        });
+
+        it('ignores writes recorded by the app itself', async () => {
+            watcher.syncWithTabs();
+            await waitForBaseline(filePath);
+
+            watcher.recordWrite(filePath, '# Saved by app');
+            fs.writeFileSync(filePath, '# Saved by app');
+            await watcher._checkFile(filePath);
+
+            expect(send).not.toHaveBeenCalled();
+        });
+
+        it('notifies once when the file is deleted', async () => {
+            watcher.syncWithTabs();
+            await waitForBaseline(filePath);
+
+            fs.unlinkSync(filePath);
+            await watcher._checkFile(filePath);
+            await watcher._checkFile(filePath);
+
+            expect(send).toHaveBeenCalledTimes(1);
+            expect(send).toHaveBeenCalledWith('file:external-change', { filePath, type: 'deleted' });
+        });
+
+        it('notifies when a deleted file is recreated', async () => {
+            watcher.syncWithTabs();
+            await waitForBaseline(filePath);
+
+            fs.unlinkSync(filePath);
+            await watcher._checkFile(filePath);
+            fs.writeFileSync(filePath, '# Original');
+            await watcher._checkFile(filePath);
+
+            expect(send).toHaveBeenLastCalledWith('file:external-change', {
+                filePath,
+                type: 'changed',
+                content: '# Original'
+            });
+        });
+
+        it('detects changes through the directory watcher', async () => {
+            watcher.syncWithTabs();
+            await waitForBaseline(filePath);
+
+            fs.writeFileSync(filePath, '# From another editor');
+
+            await vi.waitFor(() => {
+                expect(send).toHaveBeenCalledWith('file:external-change', expect.objectContaining({
+                    filePath,
+                    type: 'changed'
+                }));
+            }, { timeout: 3000 });
+        });
+    });
+
+    describe('cleanup', () => {
+        it('closes all watchers', () => {
+            watcher.syncWithTabs();
+
+            watcher.cleanup();
+
+            expect(watcher.getWatchedFiles()).toEqual([]);
+            expect(watcher.directoryWatchers.size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,332 @@
+/**
+ * Git Manager
+ * Version control for the open workspace, by running the local `git` binary.
+ * Reports the status of changed files and stages, unstages and commits them.
+ *
+ * Paths given to and returned by this manager are absolute; git itself works
+ * with paths relative to the repository root, which may be above the workspace.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Output of `git status` and `git show` is buffered in memory (20 MB)
+const MAX_OUTPUT = 20 * 1024 * 1024;
+
+/**
+ * @typedef {Object} GitFileStatus
+ * @property {string} path - Absolute path of the file
+ * @property {string} relativePath - Path relative to the repository root, with forward slashes
+ * @property {string|null} originalPath - Absolute path before a rename, null otherwise
+ * @property {string} index - Status letter in the index (staged), ' ' when unchanged
+ * @property {string} workingTree - Status letter in the working tree (unstaged), ' ' when unchanged
+ * @property {'modified'|'added'|'deleted'|'renamed'|'untracked'|'conflicted'} status - Summary for display
+ * @property {boolean} staged - Whether the file has staged changes
+ * @property {boolean} unstaged - Whether the file has changes not staged yet
+ */
+
+/**
+ * @typedef {Object} GitStatus
+ * @property {boolean} isRepository - Whether the workspace is inside a git repository
+ * @property {string|null} root - Repository root
+ * @property {string|null} branch - Current branch, null when HEAD is detached
+ * @property {number} ahead - Commits not pushed to the upstream branch
+ * @property {number} behind - Commits not pulled from the upstream branch
+ * @property {GitFileStatus[]} files - Changed files
+ */
+
+// Both sides of a merge conflict, as reported by `git status`
+const CONFLICT_CODES = new Set(['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU']);
+
+class GitManager {
+    /**
+     * @param {import('./workspace-manager')} workspaceManager - Provides the workspace folder
+     * @param {Object} [options]
+     * @param {string} [options.gitPath] - Git executable
+     */
+    constructor(workspaceManager, options = {}) {
+        if (!workspaceManager) {
+            throw new Error('WorkspaceManager is required');
+        }
+
+        this.workspaceManager = workspaceManager;
+        this.gitPath = options.gitPath || 'git';
+    }
+
+    /**
+     * Get the status of the workspace repository
+     * @returns {Promise<GitStatus>}
+     */
+    async getStatus() {
+        const root = await this._getRoot();
+
+        if (!root) {
+            return { isRepository: false, root: null, branch: null, ahead: 0, behind: 0, files: [] };
+        }
+
+        try {
+            const output = await this._run(['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all'], root);
+
+            return { isRepository: true, root, ...this._parseStatus(output, root) };
+        } catch (error) {
+            throw new Error(`Failed to read git status: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Stage files for the next commit, including deletions
+     * @param {string[]} filePaths - Absolute paths
+     * @returns {Promise<void>}
+     */
+    async stage(filePaths) {
+        const root = await this._requireRoot();
+
+        await this._run(['add', '-A', '--', ...this._toRelativePaths(filePaths, root)], root);
+    }
+
+    /**
+     * Remove files from the next commit, keeping their changes in the working tree
+     * @param {string[]} filePaths - Absolute paths
+     * @returns {Promise<void>}
+     */
+    async unstage(filePaths) {
+        const root = await this._requireRoot();
+
+        await this._run(['reset', '-q', '--', ...this._toRelativePaths(filePaths, root)], root);
+    }
+
+    /**
+     * Commit the staged changes
+     * @param {string} message - Commit message
+     * @returns {Promise<{hash: string}>} Abbreviated hash of the new commit
+     */
+    async commit(message) {
+        if (typeof message !== 'string' || message.trim() === '') {
+            throw new Error('Commit message is required');
+        }
+
+        const root = await this._requireRoot();
+
+        await this._run(['commit', '-q', '-m', message.trim()], root);
+        return { hash: (await this._run(['rev-parse', '--short', 'HEAD'], root)).trim() };
+    }
+
+    /**
+     * Get the content of a file of the workspace repository in the last commit
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<string|null>} Null when the workspace is not a repository or the file is not committed
+     * @throws {Error} If the file is outside the workspace repository
+     */
+    async getHeadContent(filePath) {
+        const root = await this._getRoot();
+
+        if (!root) {
+            return null;
+        }
+
+        const [relativePath] = this._toRelativePaths([filePath], root);
+
+        try {
+            return await this._run(['show', `HEAD:${relativePath}`], root);
+        } catch {
+            // Untracked, newly added or no commit yet
+            return null;
+        }
+    }
+
+    /**
+     * Get both sides of the changes of a file since the last commit
+     * @param {string} filePath - Absolute path
+     * @returns {Promise<{headContent: string, workingContent: string}>} Empty strings for missing sides
+     * @throws {Error} If the file is outside the workspace repository
+     */
+    async getDiff(filePath) {
+        // Only files of the repository may be read, whatever path the renderer sends
+        this._toRelativePaths([filePath], await this._requireRoot());
+
+        try {
+            const headContent = await this.getHeadContent(filePath);
+            const workingContent = await fs.readFile(filePath, 'utf-8').catch(error => {
+                if (error.code === 'ENOENT') return '';
+                throw error;
+            });
+
+            return { headContent: headContent ?? '', workingContent };
+        } catch (error) {
+            throw new Error(`Failed to read changes of ${path.basename(filePath)}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Parse `git status --porcelain=v1 -z --branch`
+     * @param {string} output
+     * @param {string} root - Repository root
+     * @returns {{branch: string|null, ahead: number, behind: number, files: GitFileStatus[]}}
+     * @private
+     */
+    _parseStatus(output, root) {
+        const tokens = output.split('\0');
+        const result = { branch: null, ahead: 0, behind: 0, files: [] };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.startsWith('## ')) {
+                Object.assign(result, this._parseBranch(token.slice(3)));
+                continue;
+            }
+            if (token.length < 4) {
+                continue;
+            }
+
+            const index = token[0];
+            const workingTree = token[1];
+            const relativePath = token.slice(3);
+            // Renames and copies are followed by the original path
+            const originalPath = index === 'R' || index === 'C' ? tokens[++i] : null;
+
+            result.files.push({
+                path: path.join(root, relativePath),
+                relativePath,
+                originalPath: originalPath ? path.join(root, originalPath) : null,
+                index,
+                workingTree,
+                status: this._summarize(index, workingTree),
+                staged: index !== ' ' && index !== '?' && !CONFLICT_CODES.has(index + workingTree),
+                unstaged: workingTree !== ' '
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse the branch line, e.g. `main...origin/main [ahead 1, behind 2]`
+     * @param {string} line - Line without the leading `## `
+     * @returns {{branch: string|null, ahead: number, behind: number}}
+     * @private
+     */
+    _parseBranch(line) {
+        const unborn = line.match(/^No commits yet on (.+)$/);
+
+        if (unborn) {
+            return { branch: unborn[1], ahead: 0, behind: 0 };
+        }
+
+        const ahead = line.match(/\[.*ahead (\d+)/);
+        const behind = line.match(/\[.*behind (\d+)/);
+        const name = line.split('...')[0].split(' ')[0];
+
+        return {
+            branch: name === 'HEAD' ? null : name,
+            ahead: ahead ? Number(ahead[1]) : 0,
+            behind: behind ? Number(behind[1]) : 0
+        };
+    }
+
+    /**
+     * @param {string} index
+     * @param {string} workingTree
+     * @returns {string}
+     * @private
+     */
+    _summarize(index, workingTree) {
+        if (CONFLICT_CODES.has(index + workingTree)) return 'conflicted';
+        if (index === '?') return 'untracked';
+        if (index === 'D' || workingTree === 'D') return 'deleted';
+        if (index === 'R') return 'renamed';
+        if (index === 'A') return 'added';
+        return 'modified';
+    }
+
+    /**
+     * Convert absolute paths to repository paths, refusing paths outside of it
+     * @param {string[]} filePaths
+     * @param {string} root
+     * @returns {string[]}
+     * @private
+     */
+    _toRelativePaths(filePaths, root) {
+        if (!Array.isArray(filePaths) || filePaths.length === 0) {
+            throw new Error('No files given');
+        }
+
+        return filePaths.map(filePath => {
+            const relativePath = path.relative(root, path.resolve(filePath));
+
+            if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+                throw new Error(`Not in the repository: ${filePath}`);
+            }
+            return relativePath.split(path.sep).join('/');
+        });
+    }
+
+    /**
+     * Find the repository root of a folder
+     * @param {string} [folderPath] - Defaults to the workspace folder
+     * @returns {Promise<string|null>} Null outside of a repository
+     * @private
+     */
+    async _getRoot(folderPath = this.workspaceManager.getWorkspacePath()) {
+        if (!folderPath) {
+            return null;
+        }
+
+        try {
+            // Derived from the folder's place in the repository rather than `--show-toplevel`,
+            // so the root is spelled like the workspace paths even through symbolic links
+            const prefix = (await this._run(['rev-parse', '--show-prefix'], folderPath)).trim();
+            const depth = prefix.split('/').filter(Boolean).length;
+
+            return path.resolve(folderPath, ...Array(depth).fill('..'));
+        } catch (error) {
+            // A missing git binary is reported; anything else means "not a repository"
+            if (error.gitMissing) {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _requireRoot() {
+        const root = await this._getRoot();
+
+        if (!root) {
+            throw new Error('The workspace is not a git repository');
+        }
+        return root;
+    }
+
+    /**
+     * Run git and resolve with its output
+     * @param {string[]} args
+     * @param {string} cwd
+     * @returns {Promise<string>}
+     * @private
+     */
+    _run(args, cwd) {
+        return new Promise((resolve, reject) => {
+            execFile(this.gitPath, args, { cwd, maxBuffer: MAX_OUTPUT, windowsHide: true }, (error, stdout, stderr) => {
+                if (!error) {
+                    resolve(stdout);
+                    return;
+                }
+
+                const gitMissing = error.code === 'ENOENT' && error.path === this.gitPath;
+                const wrapped = gitMissing
+                    ? new Error('Git is not installed or not on the PATH', { cause: error })
+                    : new Error((stderr || error.message).trim(), { cause: error });
+
+                wrapped.gitMissing = gitMissing;
+                reject(wrapped);
+            });
+        });
+    }
+}
+
+module.exports = GitManager;
@@ -0,0 +1,162 @@
+/**
+ * Tests for GitManager
+ * Runs the local git binary against temporary repositories.
+ */
+
+const { describe, it, expect, beforeEach, afterEach } = globalThis;
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitManager = require('./git-manager');
+
+/**
+ * Run git in a folder, with a fixed identity so commits work anywhere
+ */
+function git(cwd, ...args) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+        cwd,
+        encoding: 'utf-8'
+    });
+}
+
+describe('GitManager', () => {
+    let repository;
+    let workspacePath;
+    let manager;
+
+    const write = (relativePath, content) => {
+        fs.mkdirSync(path.dirname(path.join(repository, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(repository, relativePath), content);
+    };
+
+    beforeEach(() => {
+        repository = fs.mkdtempSync(path.join(os.tmpdir(), 'md-git-'));
+        workspacePath = repository;
+        git(repository, 'init', '-q', '-b', 'main');
+        git(repository, 'config', 'user.name', 'Test');
+        git(repository, 'config', 'user.email', 'test@example.com');
+        write('notes.md', 'one\ntwo\n');
+        git(repository, 'add', '.');
+        git(repository, 'commit', '-q', '-m', 'initial');
+        manager = new GitManager({ getWorkspacePath: () => workspacePath });
+    });
+
+    afterEach(() => {
+        fs.rmSync(repository, { recursive: true, force: true });
+    });
+
+    it('requires a workspace manager', () => {
+        expect(() => new GitManager()).toThrow('WorkspaceManager is required');
+    });
+
+    it('reports folders outside of a repository', async () => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-no-git-'));
+
+        try {
+            expect(await manager.getStatus()).toMatchObject({ isRepository: false, files: [] });
+        } finally {
+            fs.rmSync(workspacePath, { recursive: true, force: true });
+        }
+    });
+
+    it('reports modified, untracked and staged files', async () => {
+        write('notes.md', 'one\nchanged\n');
+        write('drafts/new.md', 'new');
+        write('staged.md', 'staged');
+        git(repository, 'add', 'staged.md');
+
+        const status = await manager.getStatus();
+        const byName = Object.fromEntries(status.files.map(file => [file.relativePath, file]));
+
+        expect(status).toMatchObject({ isRepository: true, root: path.resolve(repository), branch: 'main' });
+        expect(byName['notes.md']).toMatchObject({ status: 'modified', staged: false, unstaged: true });
+        expect(byName['drafts/new.md']).toMatchObject({
+            status: 'untracked',
+            path: path.join(repository, 'drafts', 'new.md')
+        });
+        expect(byName['staged.md']).toMatchObject({ status: 'added', staged: true, unstaged: false });
+    });
+
+    it('reports renames with their original path', async () => {
+        git(repository, 'mv', 'notes.md', 'renamed.md');
+
+        const [file] = (await manager.getStatus()).files;
+
+        expect(file).toMatchObject({
+            status: 'renamed',
+            relativePath: 'renamed.md',
+            originalPath: path.join(repository, 'notes.md')
+        });
+    });
+
+    it('stages, unstages and commits files', async () => {
+        const filePath = path.join(repository, 'notes.md');
+
+        write('notes.md', 'one\nchanged\n');
+        await manager.stage([filePath]);
+        expect((await manager.getStatus()).files[0]).toMatchObject({ staged: true, unstaged: false });
+
+        await manager.unstage([filePath]);
+        expect((await manager.getStatus()).files[0]).toMatchObject({ staged: false, unstaged: true });
+
+        await manager.stage([filePath]);
+        const { hash } = await manager.commit('Change notes');
+
+        expect(hash).toMatch(/^[0-9a-f]+$/);
+        expect((await manager.getStatus()).files).toEqual([]);
+        expect(git(repository, 'log', '-1', '--format=%s').trim()).toBe('Change notes');
+    });
+
+    it('stages deleted files', async () => {
+        fs.rmSync(path.join(repository, 'notes.md'));
+
+        await manager.stage([path.join(repository, 'notes.md')]);
+
+        expect((await manager.getStatus()).files[0]).toMatchObject({ status: 'deleted', staged: true });
+    });
+
+    it('requires a commit message', async () => {
+        await expect(manager.commit('  ')).rejects.toThrow('Commit message is required');
+    });
+
+    it('reports git errors', async () => {
+        await expect(manager.commit('Nothing staged')).rejects.toThrow();
+    });
+
+    it('refuses paths outside of the repository', async () => {
+        const elsewhere = path.join(os.tmpdir(), 'elsewhere.md');
+
+        await expect(manager.stage([elsewhere])).rejects.toThrow('Not in the repository');
+        await expect(manager.getHeadContent(elsewhere)).rejects.toThrow('Not in the repository');
+        await expect(manager.getDiff(path.join(repository, '..', 'elsewhere.md'))).rejects.toThrow('Not in the repository');
+    });
+
+    it('works from a workspace inside the repository', async () => {
+        write('docs/guide.md', 'guide');
+        workspacePath = path.join(repository, 'docs');
+
+        const status = await manager.getStatus();
+
+        expect(status.root).toBe(path.resolve(repository));
+        expect(status.files.map(file => file.path)).toEqual([path.join(repository, 'docs', 'guide.md')]);
+    });
+
+    it('reads the committed content of a file', async () => {
+        write('notes.md', 'edited');
+        write('new.md', 'new');
+
+        expect(await manager.getHeadContent(path.join(repository, 'notes.md'))).toBe('one\ntwo\n');
+        expect(await manager.getHeadContent(path.join(repository, 'new.md'))).toBeNull();
+        expect(await manager.getDiff(path.join(repository, 'notes.md')))
+            .toEqual({ headContent: 'one\ntwo\n', workingContent: 'edited' });
+        expect(await manager.getDiff(path.join(repository, 'new.md')))
+            .toEqual({ headContent: '', workingContent: 'new' });
+    });
+
+    it('reports a missing git binary', async () => {
+        manager = new GitManager({ getWorkspacePath: () => workspacePath }, { gitPath: 'git-does-not-exist' });
+
+        await expect(manager.getStatus()).rejects.toThrow('Git is not installed');
+    });
+});
@@ -2,18 +2,51 @@
  * Global Search Manager
  * Handles searching text across all files in the workspace
  * Requirements: Global search functionality
+ *
+ * Searches are answered from a persistent inverted index (see search-index.js)
+ * kept up to date on save and through a recursive workspace watcher. For plain
+ * text the index only picks the files to read, which are then searched as before.
+ * Regex searches still scan every file.
  */
 
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { SearchIndex, hasQuerySyntax, parseQuery, tokenize } = require('./search-index');
+
+// Files read to build result previews; lower-ranked matches are dropped
+const MAX_RESULT_FILES = 200;
+
+// Delay before writing the index to disk after a change
+const SAVE_DELAY = 2000;
 
 class GlobalSearchManager {
-    constructor(workspaceManager) {
+    /**
+     * @param {Object} workspaceManager - WorkspaceManager instance
+     * @param {Object} [options]
+     * @param {string} [options.indexDirectory] - Directory where indexes are persisted (under userData);
+     *   without it the index lives in memory only
+     */
+    constructor(workspaceManager, options = {}) {
         this.workspaceManager = workspaceManager;
+        this.indexDirectory = options.indexDirectory || null;
+        this.index = null;
+        this.indexedWorkspace = null;
+        this.watcher = null;
+        this.dirtyPaths = new Set();
+        this.needsFullScan = true;
+        this.hasUnsavedChanges = false;
+        this.saveTimer = null;
+        this.updateQueue = Promise.resolve();
     }
 
     /**
      * Search for text in all markdown files in the workspace
+     * Plain text is matched as a substring, as it always was. A query using
+     * `"exact phrases"`, `prefix*` or the `path:`, `tag:` and `heading:` filters
+     * is matched word by word instead; without `wholeWord`, its words are also
+     * matched as prefixes. Results are ranked, best match first.
      * @param {string} searchText - Text to search for
      * @param {Object} options - Search options
      * @param {boolean} options.caseSensitive - Whether search is case sensitive
@@ -32,6 +65,65 @@ class GlobalSearchManager {
             throw new Error('Search text cannot be empty');
         }
 
+        const query = hasQuerySyntax(searchText) ? parseQuery(searchText) : null;
+        const canUseIndex = query
+            ? query.terms.length > 0 || query.phrases.length > 0 ||
+                Object.values(query.filters).some(values => values.length > 0)
+            : tokenize(searchText).length > 0;
+
+        // Regexes and searches without any word (e.g. "->") cannot use the index
+        if (options.useRegex || !canUseIndex) {
+            return this.scanWorkspace(workspacePath, searchText, options);
+        }
+
+        await this.updateIndex(workspacePath);
+
+        const hits = query
+            ? this.index.search(query, { prefixTerms: !options.wholeWord })
+            : this.index.findContaining(searchText);
+        const results = [];
+        let truncated = false;
+
+        for (const hit of hits) {
+            if (results.length === MAX_RESULT_FILES) {
+                truncated = true;
+                break;
+            }
+
+            const filePath = path.join(workspacePath, ...hit.id.split('/'));
+            const matches = query
+                ? await this.findQueryMatches(filePath, query, options)
+                : await this.searchInFile(filePath, searchText, options);
+
+            if (matches.length > 0) {
+                results.push({
+                    filePath,
+                    relativePath: path.relative(workspacePath, filePath),
+                    score: hit.score,
+                    matches
+                });
+            }
+        }
+
+        return {
+            success: true,
+            results,
+            totalMatches: results.reduce((sum, file) => sum + file.matches.length, 0),
+            totalFiles: results.length,
+            truncated,
+            searchText,
+            options
+        };
+    }
+
+    /**
+     * Search by reading every markdown file in the workspace
+     * @param {string} workspacePath - Workspace root
+     * @param {string} searchText - Text or regex to search for
+     * @param {Object} options - Search options
+     * @returns {Promise<Object>} Search results
+     */
+    async scanWorkspace(workspacePath, searchText, options = {}) {
         const results = [];
         const files = await this.getAllMarkdownFiles(workspacePath);
 
@@ -57,6 +149,363 @@ class GlobalSearchManager {
         };
     }
 
+    /**
+     * Bring the index of a workspace up to date
+     * Loads the persisted index when the workspace changes, then re-indexes the
+     * files reported by the watcher, or every changed file when not watching.
+     * @param {string} workspacePath - Workspace root
+     * @returns {Promise<void>}
+     */
+    updateIndex(workspacePath) {
+        return this._enqueue(() => this._updateIndex(workspacePath));
+    }
+
+    /**
+     * Index the content of a file that was just saved by the app
+     * @param {string} filePath - Absolute file path
+     * @param {string} content - Saved content
+     * @returns {Promise<void>}
+     */
+    updateFile(filePath, content) {
+        return this._enqueue(() => this._updateFile(filePath, content));
+    }
+
+    /**
+     * Run an index change after the pending ones
+     * Serializing them means a save never interleaves with a rebuild and
+     * concurrent searches never index the same file twice.
+     * @param {Function} task - Async index change
+     * @returns {Promise<void>}
+     * @private
+     */
+    _enqueue(task) {
+        this.updateQueue = this.updateQueue
+            .catch(() => {})
+            .then(task);
+        return this.updateQueue;
+    }
+
+    /**
+     * Index a saved file, see updateFile
+     * @param {string} filePath - Absolute file path
+     * @param {string} content - Saved content
+     * @private
+     */
+    async _updateFile(filePath, content) {
+        const id = this._toDocumentId(filePath);
+
+        if (!id || !this.isMarkdownFile(filePath)) {
+            return;
+        }
+
+        try {
+            const stats = await fs.stat(filePath);
+
+            this.index.addDocument(id, content, stats);
+            this.dirtyPaths.delete(filePath);
+            this._scheduleSave();
+        } catch (error) {
+            console.warn('Could not index saved file:', filePath, error.message);
+            this.dirtyPaths.add(filePath);
+        }
+    }
+
+    /**
+     * Stop watching and write pending index changes to disk
+     */
+    cleanup() {
+        this._stopWatching();
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        if (this.hasUnsavedChanges && this.indexDirectory && this.indexedWorkspace) {
+            try {
+                fsSync.mkdirSync(this.indexDirectory, { recursive: true });
+                fsSync.writeFileSync(this._getIndexFile(this.indexedWorkspace), JSON.stringify(this._serializeIndex()));
+                this.hasUnsavedChanges = false;
+            } catch (error) {
+                console.error('Error saving search index:', error);
+            }
+        }
+    }
+
+    /**
+     * Update the index, see updateIndex
+     * @param {string} workspacePath - Workspace root
+     * @private
+     */
+    async _updateIndex(workspacePath) {
+        if (this.indexedWorkspace !== workspacePath) {
+            await this._switchWorkspace(workspacePath);
+        }
+
+        if (this.needsFullScan) {
+            this.dirtyPaths.clear();
+            await this._indexDirectory(workspacePath, workspacePath);
+            this.needsFullScan = this.watcher === null;
+            return;
+        }
+
+        const dirtyPaths = Array.from(this.dirtyPaths);
+
+        this.dirtyPaths.clear();
+        for (const changedPath of dirtyPaths) {
+            await this._indexChangedPath(changedPath);
+        }
+    }
+
+    /**
+     * Save the index of the previous workspace and load the one of the new workspace
+     * @param {string} workspacePath - New workspace root
+     * @private
+     */
+    async _switchWorkspace(workspacePath) {
+        this._stopWatching();
+        if (this.hasUnsavedChanges) {
+            await this._saveIndex();
+        }
+
+        this.index = await this._loadIndex(workspacePath) || new SearchIndex();
+        this.indexedWorkspace = workspacePath;
+        this.dirtyPaths.clear();
+        this.needsFullScan = true;
+        this._startWatching(workspacePath);
+    }
+
+    /**
+     * Re-index every markdown file under a directory whose stats changed,
+     * and drop documents under it that no longer exist
+     * @param {string} dirPath - Directory to index
+     * @param {string} workspacePath - Workspace root
+     * @private
+     */
+    async _indexDirectory(dirPath, workspacePath) {
+        const files = await this.getAllMarkdownFiles(dirPath);
+        const seen = new Set();
+
+        for (const filePath of files) {
+            const id = this._toDocumentId(filePath);
+
+            seen.add(id);
+            await this._indexFile(filePath, id);
+        }
+
+        const prefix = dirPath === workspacePath ? '' : `${this._toDocumentId(dirPath)}/`;
+
+        for (const id of this.index.getDocumentIds()) {
+            if (id.startsWith(prefix) && !seen.has(id)) {
+                this.index.removeDocument(id);
+                this._scheduleSave();
+            }
+        }
+    }
+
+    /**
+     * Handle a path reported by the watcher: a file, a folder, or something deleted
+     * @param {string} changedPath - Absolute path
+     * @private
+     */
+    async _indexChangedPath(changedPath) {
+        const id = this._toDocumentId(changedPath);
+
+        if (!id) {
+            return;
+        }
+
+        let stats;
+
+        try {
+            stats = await fs.stat(changedPath);
+        } catch {
+            // Deleted or moved away: forget the file and anything that was inside it
+            const removed = this.index.getDocumentIds().filter(docId => docId === id || docId.startsWith(`${id}/`));
+
+            removed.forEach(docId => this.index.removeDocument(docId));
+            if (removed.length > 0) {
+                this._scheduleSave();
+            }
+            return;
+        }
+
+        if (stats.isDirectory()) {
+            await this._indexDirectory(changedPath, this.indexedWorkspace);
+        } else if (this.isMarkdownFile(changedPath)) {
+            await this._indexFile(changedPath, id, stats);
+        }
+    }
+
+    /**
+     * Index one file unless its size and modification time are unchanged
+     * @param {string} filePath - Absolute path
+     * @param {string} id - Document id
+     * @param {fs.Stats} [knownStats] - Stats already read by the caller
+     * @private
+     */
+    async _indexFile(filePath, id, knownStats) {
+        try {
+            const stats = knownStats || await fs.stat(filePath);
+
+            if (this.index.isUpToDate(id, stats)) {
+                return;
+            }
+
+            const content = await fs.readFile(filePath, 'utf-8');
+
+            this.index.addDocument(id, content, stats);
+            this._scheduleSave();
+        } catch (error) {
+            console.warn('Could not index file:', filePath, error.message);
+        }
+    }
+
+    /**
+     * Watch the whole workspace so changes made outside the app are re-indexed
+     * Falls back to a full stat scan on every search when watching is not possible.
+     * @param {string} workspacePath - Workspace root
+     * @private
+     */
+    _startWatching(workspacePath) {
+        try {
+            this.watcher = fsSync.watch(workspacePath, { recursive: true }, (eventType, fileName) => {
+                if (!fileName) {
+                    this.needsFullScan = true;
+                    return;
+                }
+
+                const parts = fileName.toString().split(/[\\/]/);
+
+                if (!parts.some(part => part.startsWith('.') || part === 'node_modules')) {
+                    this.dirtyPaths.add(path.join(workspacePath, ...parts));
+                }
+            });
+            this.watcher.on('error', (error) => {
+                console.warn('Search index watcher stopped:', error.message);
+                this._stopWatching();
+                this.needsFullScan = true;
+            });
+        } catch (error) {
+            console.warn('Could not watch workspace for search indexing:', error.message);
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Close the workspace watcher
+     * @private
+     */
+    _stopWatching() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Get the file a workspace index is persisted to
+     * @param {string} workspacePath - Workspace root
+     * @returns {string}
+     * @private
+     */
+    _getIndexFile(workspacePath) {
+        const hash = crypto.createHash('sha1')
+            .update(workspacePath)
+            .digest('hex')
+            .slice(0, 16);
+
+        return path.join(this.indexDirectory, `${hash}.json`);
+    }
+
+    /**
+     * Load the persisted index of a workspace
+     * @param {string} workspacePath - Workspace root
+     * @returns {Promise<SearchIndex|null>} null when missing, outdated or unreadable
+     * @private
+     */
+    async _loadIndex(workspacePath) {
+        if (!this.indexDirectory) {
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this._getIndexFile(workspacePath), 'utf-8'));
+
+            return data.workspacePath === workspacePath ? SearchIndex.fromJSON(data) : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Discarding unreadable search index:', error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Write the index to disk through a temporary file
+     * @private
+     */
+    async _saveIndex() {
+        if (!this.indexDirectory || !this.indexedWorkspace) {
+            return;
+        }
+
+        const indexFile = this._getIndexFile(this.indexedWorkspace);
+        const tempFile = `${indexFile}.tmp`;
+
+        try {
+            this.hasUnsavedChanges = false;
+            await fs.mkdir(this.indexDirectory, { recursive: true });
+            await fs.writeFile(tempFile, JSON.stringify(this._serializeIndex()));
+            await fs.rename(tempFile, indexFile);
+        } catch (error) {
+            this.hasUnsavedChanges = true;
+            console.error('Error saving search index:', error);
+        }
+    }
+
+    /**
+     * Debounce writing the index after a change
+     * @private
+     */
+    _scheduleSave() {
+        this.hasUnsavedChanges = true;
+        if (!this.indexDirectory) {
+            return;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._saveIndex();
+        }, SAVE_DELAY);
+    }
+
+    /**
+     * Serialize the index together with its workspace
+     * @returns {Object}
+     * @private
+     */
+    _serializeIndex() {
+        return { ...this.index.toJSON(), workspacePath: this.indexedWorkspace };
+    }
+
+    /**
+     * Convert an absolute path to the id used by the index
+     * @param {string} filePath - Absolute path
+     * @returns {string|null} Workspace-relative path with forward slashes, or null outside the indexed workspace
+     * @private
+     */
+    _toDocumentId(filePath) {
+        if (!this.index || !this.indexedWorkspace) {
+            return null;
+        }
+
+        const relativePath = path.relative(this.indexedWorkspace, filePath);
+
+        if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            return null;
+        }
+        return relativePath.split(path.sep).join('/');
+    }
+
     /**
      * Get all markdown files in a directory recursively
      * Uses Node.js 24+ recursive readdir for better performance
@@ -165,6 +614,143 @@ class GlobalSearchManager {
         }
     }
 
+    /**
+     * Find the lines of a file matching an index query, for result previews
+     * Words and phrases are highlighted; filter-only queries highlight the
+     * matching headings and tags, or fall back to the first line.
+     * @param {string} filePath - File path
+     * @param {Object} query - Parsed query (see parseQuery)
+     * @param {Object} options - Search options
+     * @returns {Promise<Array>} Matches in the same shape as searchInFile
+     */
+    async findQueryMatches(filePath, query, options = {}) {
+        let content;
+
+        try {
+            content = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            console.error('Error searching in file:', filePath, error);
+            return [];
+        }
+
+        const lines = content.split('\n');
+        const hasText = query.terms.length > 0 || query.phrases.length > 0;
+        const matches = [];
+
+        lines.forEach((line, lineIndex) => {
+            const lineMatches = hasText
+                ? this._matchQueryWords(line, query, options)
+                : this._matchQueryFilters(line, query.filters);
+
+            if (lineMatches.length > 0) {
+                matches.push({ line: lineIndex + 1, lineText: line, matches: lineMatches });
+            }
+        });
+
+        if (matches.length === 0 && !(hasText && options.caseSensitive)) {
+            const lineIndex = Math.max(0, lines.findIndex(line => line.trim() !== ''));
+
+            matches.push({ line: lineIndex + 1, lineText: lines[lineIndex], matches: [] });
+        }
+
+        return matches;
+    }
+
+    /**
+     * Highlight the query words and phrases within a line
+     * @param {string} line - Line text
+     * @param {Object} query - Parsed query
+     * @param {Object} options - Search options
+     * @returns {Array<{start: number, end: number, text: string}>}
+     * @private
+     */
+    _matchQueryWords(line, query, options) {
+        const tokens = tokenize(line);
+        const ranges = [];
+        const sameWord = (token, word, raw, prefix) => {
+            const [value, expected] = options.caseSensitive ? [token.raw, raw] : [token.term, word];
+
+            return prefix ? value.startsWith(expected) : value === expected;
+        };
+
+        tokens.forEach((token, index) => {
+            const prefixTerms = !options.wholeWord;
+
+            if (query.terms.some(item => sameWord(token, item.term, item.raw, item.prefix || prefixTerms))) {
+                ranges.push([token.index, token.index + token.raw.length]);
+            }
+
+            for (const phrase of query.phrases) {
+                const words = tokens.slice(index, index + phrase.terms.length);
+
+                if (words.length === phrase.terms.length &&
+                    words.every((word, offset) => sameWord(word, phrase.terms[offset], phrase.raw[offset], false))) {
+                    const last = words[words.length - 1];
+
+                    ranges.push([token.index, last.index + last.raw.length]);
+                }
+            }
+        });
+
+        return this._toLineMatches(line, ranges);
+    }
+
+    /**
+     * Highlight the headings and tags matched by filters within a line
+     * @param {string} line - Line text
+     * @param {{heading: string[], tag: string[]}} filters - Query filters
+     * @returns {Array<{start: number, end: number, text: string}>}
+     * @private
+     */
+    _matchQueryFilters(line, filters) {
+        const lowerLine = line.toLowerCase();
+        const ranges = [];
+
+        if (/^#{1,6}\s/.test(line)) {
+            for (const value of filters.heading) {
+                const start = lowerLine.indexOf(value);
+
+                if (start !== -1) {
+                    ranges.push([start, start + value.length]);
+                }
+            }
+        }
+
+        for (const value of filters.tag) {
+            let start = lowerLine.indexOf(`#${value}`);
+
+            while (start !== -1) {
+                ranges.push([start, start + value.length + 1]);
+                start = lowerLine.indexOf(`#${value}`, start + 1);
+            }
+        }
+
+        return this._toLineMatches(line, ranges);
+    }
+
+    /**
+     * Merge overlapping ranges into sorted line matches
+     * @param {string} line - Line text
+     * @param {Array<[number, number]>} ranges - Start and end offsets
+     * @returns {Array<{start: number, end: number, text: string}>}
+     * @private
+     */
+    _toLineMatches(line, ranges) {
+        const merged = [];
+
+        ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const previous = merged[merged.length - 1];
+
+            if (previous && start <= previous.end) {
+                previous.end = Math.max(previous.end, end);
+            } else {
+                merged.push({ start, end });
+            }
+        });
+
+        return merged.map(({ start, end }) => ({ start, end, text: line.slice(start, end) }));
+    }
+
     /**
      * Create search pattern from text and options
      * @param {string} searchText - Text to search for
@@ -2,7 +2,10 @@
  * Tests for GlobalSearchManager
  */
 
-const { describe, it, expect, beforeEach, vi } = globalThis;
+const { describe, it, expect, beforeEach, afterEach, vi } = globalThis;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const GlobalSearchManager = require('./global-search-manager');
 
 describe('GlobalSearchManager', () => {
@@ -90,4 +93,137 @@ describe('GlobalSearchManager', () => {
                 .rejects.toThrow('Search text cannot be empty');
         });
     });
+
+    describe('indexed search', () => {
+        let workspacePath;
+        let indexDirectory;
+
+        const file = (...parts) => path.join(workspacePath, ...parts);
+
+        beforeEach(() => {
+            workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-search-'));
+            indexDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-search-index-'));
+            fs.mkdirSync(file('notes'));
+            fs.writeFileSync(file('notes', 'fox.md'), '# Fox\n\nThe quick brown fox.\nA fox again. #animals');
+            fs.writeFileSync(file('notes', 'bear.md'), '# Bear\n\nA brown bear.');
+            fs.writeFileSync(file('readme.md'), 'Configuration notes');
+
+            mockWorkspaceManager.getWorkspacePath.mockReturnValue(workspacePath);
+            globalSearchManager = new GlobalSearchManager(mockWorkspaceManager, { indexDirectory });
+        });
+
+        afterEach(() => {
+            globalSearchManager.cleanup();
+            fs.rmSync(workspacePath, { recursive: true, force: true });
+            fs.rmSync(indexDirectory, { recursive: true, force: true });
+        });
+
+        it('keeps the result shape expected by the search panel', async () => {
+            const result = await globalSearchManager.searchInWorkspace('fox');
+
+            expect(result).toMatchObject({ success: true, totalFiles: 1, totalMatches: 3, searchText: 'fox' });
+            expect(result.results[0]).toMatchObject({
+                filePath: file('notes', 'fox.md'),
+                relativePath: path.join('notes', 'fox.md')
+            });
+            expect(result.results[0].matches[1]).toEqual({
+                line: 3,
+                lineText: 'The quick brown fox.',
+                matches: [{ start: 16, end: 19, text: 'fox' }]
+            });
+        });
+
+        it('ranks files and highlights phrases', async () => {
+            const result = await globalSearchManager.searchInWorkspace('"brown fox"');
+
+            expect(result.results.map(entry => entry.relativePath)).toEqual([path.join('notes', 'fox.md')]);
+            expect(result.results[0].matches[0].matches).toEqual([{ start: 10, end: 19, text: 'brown fox' }]);
+        });
+
+        it('matches plain text anywhere in words unless whole word is set', async () => {
+            const inside = await globalSearchManager.searchInWorkspace('figur');
+            const whole = await globalSearchManager.searchInWorkspace('figur', { wholeWord: true });
+
+            expect(inside.results[0].matches[0].matches).toEqual([{ start: 3, end: 8, text: 'figur' }]);
+            expect(whole.totalFiles).toBe(0);
+        });
+
+        it('matches plain text as a whole, not word by word', async () => {
+            fs.writeFileSync(file('code.md'), 'Call foo.bar() here');
+            fs.writeFileSync(file('apart.md'), 'foo and bar');
+
+            const result = await globalSearchManager.searchInWorkspace('foo.bar');
+
+            expect(result.results.map(entry => entry.relativePath)).toEqual(['code.md']);
+        });
+
+        it('matches word prefixes in queries unless whole word is set', async () => {
+            const prefix = await globalSearchManager.searchInWorkspace('config path:readme');
+            const whole = await globalSearchManager.searchInWorkspace('config path:readme', { wholeWord: true });
+
+            expect(prefix.totalFiles).toBe(1);
+            expect(whole.totalFiles).toBe(0);
+        });
+
+        it('respects case sensitivity', async () => {
+            const result = await globalSearchManager.searchInWorkspace('Fox', { caseSensitive: true });
+
+            expect(result.results[0].matches).toEqual([
+                { line: 1, lineText: '# Fox', matches: [{ start: 2, end: 5, text: 'Fox' }] }
+            ]);
+        });
+
+        it('supports filter-only queries', async () => {
+            const result = await globalSearchManager.searchInWorkspace('tag:animals');
+
+            expect(result.results[0].matches[0]).toMatchObject({ line: 4, matches: [{ start: 13, end: 21, text: '#animals' }] });
+        });
+
+        it('re-indexes files saved by the app', async () => {
+            await globalSearchManager.searchInWorkspace('fox');
+            fs.writeFileSync(file('readme.md'), 'A wolf');
+            await globalSearchManager.updateFile(file('readme.md'), 'A wolf');
+
+            const result = await globalSearchManager.searchInWorkspace('wolf');
+
+            expect(result.totalFiles).toBe(1);
+        });
+
+        it('picks up files changed outside the app', async () => {
+            await globalSearchManager.searchInWorkspace('fox');
+            fs.writeFileSync(file('notes', 'new.md'), 'A lynx');
+            fs.rmSync(file('notes', 'bear.md'));
+            // Report the changes directly instead of waiting for the watcher
+            globalSearchManager.dirtyPaths.add(file('notes', 'new.md'));
+            globalSearchManager.dirtyPaths.add(file('notes', 'bear.md'));
+
+            expect((await globalSearchManager.searchInWorkspace('lynx')).totalFiles).toBe(1);
+            expect((await globalSearchManager.searchInWorkspace('bear')).totalFiles).toBe(0);
+        });
+
+        it('persists the index and reuses it for unchanged files', async () => {
+            await globalSearchManager.searchInWorkspace('fox');
+            globalSearchManager.cleanup();
+
+            const reloaded = new GlobalSearchManager(mockWorkspaceManager, { indexDirectory });
+            const readFile = vi.spyOn(fs.promises, 'readFile');
+
+            try {
+                await reloaded.updateIndex(workspacePath);
+
+                expect(reloaded.index.size).toBe(3);
+                expect(readFile.mock.calls.map(call => call[0])).toEqual([expect.stringContaining(indexDirectory)]);
+            } finally {
+                readFile.mockRestore();
+                reloaded.cleanup();
+            }
+        });
+
+        it('falls back to scanning files for regex searches', async () => {
+            const result = await globalSearchManager.searchInWorkspace('br.wn', { useRegex: true });
+
+            expect(result.totalFiles).toBe(2);
+            expect(globalSearchManager.index).toBeNull();
+        });
+    });
 });
@@ -15,12 +15,25 @@ const AdvancedMarkdownManager = require('./advanced-markdown-manager');
 const WorkspaceManager = require('./workspace-manager');
 const GlobalSearchManager = require('./global-search-manager');
 const LinkAnalyzerManager = require('./link-analyzer-manager');
+const LinkRefactorManager = require('./link-refactor-manager');
+const WorkspaceReplaceManager = require('./workspace-replace-manager');
 const AutoUpdater = require('./auto-updater');
 const AIChatManager = require('./ai-chat-manager');
+const AIChatThreadStore = require('./ai-chat-thread-store');
+const WorkspaceRetriever = require('./workspace-retriever');
+const AICommandLibrary = require('./ai-command-library');
 const AIAutocompleteManager = require('./ai-autocomplete-manager');
 const IssueReporterManager = require('./issue-reporter-manager');
 const WhatsNewManager = require('./whats-new-manager');
 const SnippetManager = require('./snippet-manager');
+const FileWatcherManager = require('./file-watcher-manager');
+const LaunchManager = require('./launch-manager');
+const FileHistoryManager = require('./file-history-manager');
+const RecoveryJournal = require('./recovery-journal');
+const GitManager = require('./git-manager');
+const { SiteExporter } = require('./site-exporter');
+const { DocumentImporter } = require('./document-importer');
+const { getUserArgs } = require('./command-line');
 const path = require('path');
 const { createApplicationMenu, updateMenuItemChecked } = require('./menu');
 const logger = require('./utils/logger');
@@ -28,6 +41,25 @@ const LogFileSink = require('./utils/log-file-sink');
 const MainErrorBoundary = require('./error-boundary');
 const MetricsCollector = require('./metrics-collector');
 
+/**
+ * Single instance lock
+ * A second launch (e.g. `md-editor-pro notes/todo.md` or double-clicking a
+ * .md file) forwards its arguments to the running instance and quits.
+ * The arguments travel as additional data because Chromium may reorder argv.
+ * Checked before anything is created, so a second instance never touches the
+ * config, history or recovery files of the running one.
+ */
+const hasSingleInstanceLock = app.requestSingleInstanceLock({
+    args: getUserArgs(process.argv, process.defaultApp),
+    workingDirectory: process.cwd()
+});
+
+if (!hasSingleInstanceLock) {
+    // app.quit() only quits once the event loop runs; stop before the rest of this module
+    app.quit();
+    process.exit(0);
+}
+
 // Sandbox disabled to allow nodeIntegration in renderer
 // Note: This is less secure and should be replaced with a bundler in production
 // app.enableSandbox();
@@ -45,19 +77,38 @@ const fileManager = new FileManager(windowManager, configStore);
 const advancedMarkdownManager = new AdvancedMarkdownManager(configStore);
 const exporter = new Exporter(windowManager, advancedMarkdownManager);
 const tabManager = new TabManager(configStore);
+const fileWatcherManager = new FileWatcherManager(windowManager, tabManager);
 const keyboardShortcutManager = new KeyboardShortcutManager(configStore);
 const templateManager = new TemplateManager(configStore);
 const workspaceManager = new WorkspaceManager(configStore);
-const globalSearchManager = new GlobalSearchManager(workspaceManager);
+const globalSearchManager = new GlobalSearchManager(workspaceManager, {
+    indexDirectory: path.join(app.getPath('userData'), 'search-index')
+});
 const linkAnalyzerManager = new LinkAnalyzerManager(workspaceManager);
-const aiChatManager = new AIChatManager(configStore);
+const linkRefactorManager = new LinkRefactorManager(workspaceManager, linkAnalyzerManager, tabManager, fileWatcherManager);
+const workspaceReplaceManager = new WorkspaceReplaceManager(workspaceManager, globalSearchManager, tabManager, fileWatcherManager);
+const aiChatThreadStore = new AIChatThreadStore(path.join(app.getPath('userData'), 'ai-chats'));
+const workspaceRetriever = new WorkspaceRetriever(workspaceManager, globalSearchManager, {
+    embeddingsDirectory: path.join(app.getPath('userData'), 'ai-embeddings')
+});
+const aiChatManager = new AIChatManager(configStore, aiChatThreadStore, workspaceRetriever);
+const aiCommandLibrary = new AICommandLibrary(workspaceManager);
 const aiAutocompleteManager = new AIAutocompleteManager(configStore);
 const issueReporterManager = new IssueReporterManager(windowManager);
 const whatsNewManager = new WhatsNewManager(configStore, app.getVersion(), path.join(app.getAppPath(), 'RELEASE-NOTES.md'));
 const snippetManager = new SnippetManager(configStore);
+const launchManager = new LaunchManager(windowManager);
+const fileHistoryManager = new FileHistoryManager(path.join(app.getPath('userData'), 'history'));
+const recoveryJournal = new RecoveryJournal(path.join(app.getPath('userData'), 'recovery'), tabManager);
+const gitManager = new GitManager(workspaceManager);
+const siteExporter = new SiteExporter(exporter, workspaceManager, linkAnalyzerManager);
+const documentImporter = new DocumentImporter(fileManager);
 let autoUpdater = null;
 let metricsCollector = null;
 
+// "Don't Save" on close must not bring the changes back through hot exit
+windowManager.onDiscardChanges = () => recoveryJournal.discardUnsaved();
+
 /**
  * Helper to refresh the application menu
  */
@@ -75,21 +126,32 @@ function registerIPCHandlers() {
         ipcMain,
         fileManager,
         exporter,
+        siteExporter,
+        documentImporter,
         configStore,
         tabManager,
+        fileWatcherManager,
         templateManager,
         keyboardShortcutManager,
         workspaceManager,
         globalSearchManager,
+        workspaceReplaceManager,
         linkAnalyzerManager,
+        linkRefactorManager,
         advancedMarkdownManager,
         aiChatManager,
+        aiChatThreadStore,
+        aiCommandLibrary,
         aiAutocompleteManager,
         issueReporterManager,
         whatsNewManager,
         windowManager,
         autoUpdater,
         snippetManager,
+        launchManager,
+        fileHistoryManager,
+        recoveryJournal,
+        gitManager,
         logger,
         metricsCollector,
         refreshMenu,
@@ -116,8 +178,60 @@ function registerIPCHandlers() {
     require('./ipc/image-handlers').register(deps);
     require('./ipc/snippet-handlers').register(deps);
     require('./ipc/observability-handlers').register(deps);
+    require('./ipc/launch-handlers').register(deps);
+    require('./ipc/history-handlers').register(deps);
+    require('./ipc/recovery-handlers').register(deps);
+    require('./ipc/git-handlers').register(deps);
+    require('./ipc/import-handlers').register(deps);
 }
 
+/**
+ * Shows the main window, creating it again if it was closed (macOS)
+ */
+function showMainWindow() {
+    if (windowManager.getMainWindow() === null) {
+        // The new renderer asks for queued launch requests once it has loaded
+        launchManager.resetRenderer();
+        windowManager.createMainWindow();
+    } else {
+        windowManager.focusMainWindow();
+    }
+}
+
+/**
+ * Opens the files and folders given on a command line
+ * @param {string[]} args - User arguments, without executable
+ * @param {string} workingDirectory - Directory relative paths are resolved against
+ */
+function handleCommandLine(args, workingDirectory) {
+    launchManager.handleCommandLine(args, workingDirectory).catch(error => {
+        logger.error('Failed to handle command line arguments', error);
+    });
+}
+
+app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    showMainWindow();
+
+    if (additionalData && Array.isArray(additionalData.args)) {
+        handleCommandLine(additionalData.args, additionalData.workingDirectory || workingDirectory);
+    } else {
+        handleCommandLine(getUserArgs(argv, process.defaultApp), workingDirectory);
+    }
+});
+
+/**
+ * Open file handler (macOS)
+ * Files opened from Finder or dropped on the dock icon; may fire before ready
+ */
+app.on('open-file', (event, filePath) => {
+    event.preventDefault();
+    launchManager.openFile(filePath);
+
+    if (app.isReady()) {
+        showMainWindow();
+    }
+});
+
 /**
  * App ready handler
  * Creates the main window when Electron has finished initialization
@@ -125,11 +239,18 @@ function registerIPCHandlers() {
 app.whenReady().then(() => {
     registerIPCHandlers();
 
+    // Read what the previous session left unsaved before the renderer restores its tabs
+    recoveryJournal.load();
+    recoveryJournal.start();
+
     // Create application menu (autoUpdater passed as null initially, rebuilt after init)
     createApplicationMenu(windowManager, fileManager, exporter, configStore, null, issueReporterManager);
 
     windowManager.createMainWindow();
 
+    // Queued until the renderer has restored its session
+    handleCommandLine(getUserArgs(process.argv, process.defaultApp), process.cwd());
+
     // Initialize auto-updater after window is created
     autoUpdater = new AutoUpdater(windowManager);
 
@@ -150,11 +271,22 @@ app.whenReady().then(() => {
     // On macOS, re-create window when dock icon is clicked and no windows are open
     app.on('activate', () => {
         if (windowManager.getMainWindow() === null) {
-            windowManager.createMainWindow();
+            showMainWindow();
         }
     });
 });
 
+/**
+ * Will quit handler
+ * Releases file system watchers and stores unsaved tabs before the process exits
+ */
+app.on('will-quit', () => {
+    fileWatcherManager.cleanup();
+    globalSearchManager.cleanup();
+    tabManager.saveTabs();
+    recoveryJournal.compact();
+});
+
 /**
  * Window all closed handler
  * Quits the app when all windows are closed, except on macOS
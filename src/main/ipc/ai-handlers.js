@@ -1,10 +1,12 @@
 /**
  * IPC Handlers — AI Chat & Autocomplete Operations
- * Handles: ai:send-message, ai:clear-history, ai:get-api-key, ai:set-api-key,
- *          ai:get-model, ai:set-model, ai:get-models, ai:get-provider, ai:set-provider,
+ * Handles: ai:send-message, ai:send-message-stream, ai:abort-stream, ai:clear-history,
+ *          ai:list-threads, ai:create-thread, ai:open-thread, ai:rename-thread, ai:delete-thread, ai:export-thread,
+ *          ai:get-api-key, ai:set-api-key, ai:get-model, ai:set-model, ai:get-models, ai:get-provider, ai:set-provider,
  *          ai:get-local-url, ai:set-local-url, ai:get-local-api-key, ai:set-local-api-key,
  *          ai:fetch-local-models, ai:test-local-connection, ai:test-api-key,
- *          ai:get-settings, ai:transform-text,
+ *          ai:get-settings, ai:set-retrieval-settings, ai:transform-text,
+ *          ai:get-commands, ai:run-command, ai:create-commands-file,
  *          ai-autocomplete:get-suggestion, ai-autocomplete:get-settings,
  *          ai-autocomplete:set-enabled, ai-autocomplete:set-debounce,
  *          ai-autocomplete:set-min-chars, ai-autocomplete:set-max-tokens
@@ -16,21 +18,73 @@ const { createIPCHandler } = require('../utils/ipc-utils');
  * Registra IPC handlers para operações de AI chat e autocomplete
  * @param {Object} deps - Dependências
  * @param {import('../ai-chat-manager')} deps.aiChatManager - Instância do AIChatManager
+ * @param {import('../ai-chat-thread-store')} deps.aiChatThreadStore - Instância do AIChatThreadStore
+ * @param {import('../ai-command-library')} deps.aiCommandLibrary - Instância do AICommandLibrary
  * @param {import('../ai-autocomplete-manager')} deps.aiAutocompleteManager - Instância do AIAutocompleteManager
+ * @param {import('../file-manager')} deps.fileManager - Instância do FileManager
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
-function register({ aiChatManager, aiAutocompleteManager, ipcMain }) {
+function register({ aiChatManager, aiChatThreadStore, aiCommandLibrary, aiAutocompleteManager, fileManager, ipcMain }) {
     // ── AI Chat operations ──
 
-    ipcMain.handle('ai:send-message', createIPCHandler(async (event, message, documentContent, selectedText) => {
-        return await aiChatManager.sendMessage(message, documentContent, selectedText);
+    ipcMain.handle('ai:send-message', createIPCHandler(async (event, message, documentContent, selectedText, options) => {
+        return await aiChatManager.sendMessage(message, documentContent, selectedText, options);
     }, 'sending AI message'));
 
+    // Streams the response: each text delta is pushed on 'ai:stream-chunk' tagged with
+    // the renderer-provided requestId, and the final result is returned like ai:send-message
+    ipcMain.handle('ai:send-message-stream', createIPCHandler(async (event, requestId, message, documentContent, selectedText, options) => {
+        const sender = event.sender;
+
+        return await aiChatManager.sendMessageStream(message, documentContent, selectedText, (chunk) => {
+            if (sender && !sender.isDestroyed()) {
+                sender.send('ai:stream-chunk', requestId, chunk);
+            }
+        }, options);
+    }, 'streaming AI message'));
+
+    ipcMain.handle('ai:abort-stream', createIPCHandler(async () => {
+        return { success: true, aborted: aiChatManager.abortStream() };
+    }, 'aborting AI stream'));
+
     ipcMain.handle('ai:clear-history', createIPCHandler(async () => {
-        aiChatManager.clearHistory();
+        await aiChatManager.clearHistory();
         return { success: true };
     }, 'clearing AI history'));
 
+    // ── AI Chat threads ──
+
+    ipcMain.handle('ai:list-threads', createIPCHandler(async (event, documentPath) => {
+        const threads = await aiChatThreadStore.listThreads(documentPath);
+
+        return { success: true, threads, activeThreadId: aiChatManager.activeThreadId };
+    }, 'listing AI chat threads'));
+
+    ipcMain.handle('ai:create-thread', createIPCHandler(async (event, title, documentPath) => {
+        return { success: true, thread: await aiChatManager.createThread(title, documentPath) };
+    }, 'creating AI chat thread'));
+
+    ipcMain.handle('ai:open-thread', createIPCHandler(async (event, threadId) => {
+        return { success: true, thread: await aiChatManager.openThread(threadId) };
+    }, 'opening AI chat thread'));
+
+    ipcMain.handle('ai:rename-thread', createIPCHandler(async (event, threadId, title) => {
+        return { success: true, thread: await aiChatThreadStore.renameThread(threadId, title) };
+    }, 'renaming AI chat thread'));
+
+    ipcMain.handle('ai:delete-thread', createIPCHandler(async (event, threadId) => {
+        await aiChatManager.deleteThread(threadId);
+        return { success: true };
+    }, 'deleting AI chat thread'));
+
+    ipcMain.handle('ai:export-thread', createIPCHandler(async (event, threadId) => {
+        const { thread, markdown } = await aiChatThreadStore.exportToMarkdown(threadId);
+        const fileName = `${(thread.title || 'ai-chat').replace(/[\\/:*?"<>|]/g, '-')}.md`;
+        const filePath = await fileManager.saveFileAs(markdown, fileName);
+
+        return filePath ? { success: true, filePath } : { success: false, cancelled: true };
+    }, 'exporting AI chat thread'));
+
     ipcMain.handle('ai:get-api-key', createIPCHandler(async () => {
         return aiChatManager.getApiKey() || '';
     }, 'getting API key'));
@@ -96,10 +150,33 @@ function register({ aiChatManager, aiAutocompleteManager, ipcMain }) {
         return aiChatManager.getSettings();
     }, 'getting AI settings'));
 
+    ipcMain.handle('ai:set-retrieval-settings', createIPCHandler(async (event, settings) => {
+        aiChatManager.setRetrievalSettings(settings || {});
+        return { success: true };
+    }, 'setting AI workspace retrieval'));
+
     ipcMain.handle('ai:transform-text', createIPCHandler(async (event, text, command, customPrompt, targetLanguage) => {
         return await aiChatManager.transformText(text, command, customPrompt, targetLanguage);
     }, 'transforming text'));
 
+    ipcMain.handle('ai:get-commands', createIPCHandler(async () => {
+        return { success: true, ...await aiCommandLibrary.getCommands() };
+    }, 'reading AI commands'));
+
+    ipcMain.handle('ai:run-command', createIPCHandler(async (event, commandId, values) => {
+        const command = await aiCommandLibrary.getCommand(commandId);
+
+        if (!command) {
+            return { success: false, error: `AI command not found: ${commandId}` };
+        }
+
+        return await aiChatManager.runCommand(command, values || {});
+    }, 'running AI command'));
+
+    ipcMain.handle('ai:create-commands-file', createIPCHandler(async () => {
+        return { success: true, ...await aiCommandLibrary.createCommandsFile() };
+    }, 'creating AI commands file'));
+
     // ── AI Autocomplete operations ──
 
     ipcMain.handle('ai-autocomplete:get-suggestion', createIPCHandler(async (event, textBefore, textAfter) => {
@@ -9,14 +9,23 @@ const { register } = require('./ai-handlers');
 
 describe('ai-handlers', () => {
     let aiChatManager;
+    let aiChatThreadStore;
+    let aiCommandLibrary;
     let aiAutocompleteManager;
+    let fileManager;
     let ipcMain;
     let handlers;
 
     beforeEach(() => {
         aiChatManager = {
             sendMessage: vi.fn(),
+            sendMessageStream: vi.fn(),
+            abortStream: vi.fn(),
             clearHistory: vi.fn(),
+            createThread: vi.fn(),
+            openThread: vi.fn(),
+            deleteThread: vi.fn(),
+            activeThreadId: 't1',
             getApiKey: vi.fn(),
             setApiKey: vi.fn(),
             getModel: vi.fn(),
@@ -32,7 +41,25 @@ describe('ai-handlers', () => {
             testLocalConnection: vi.fn(),
             testApiKey: vi.fn(),
             getSettings: vi.fn(),
-            transformText: vi.fn()
+            setRetrievalSettings: vi.fn(),
+            transformText: vi.fn(),
+            runCommand: vi.fn()
+        };
+
+        aiChatThreadStore = {
+            listThreads: vi.fn(),
+            renameThread: vi.fn(),
+            exportToMarkdown: vi.fn()
+        };
+
+        aiCommandLibrary = {
+            getCommands: vi.fn(),
+            getCommand: vi.fn(),
+            createCommandsFile: vi.fn()
+        };
+
+        fileManager = {
+            saveFileAs: vi.fn()
         };
 
         aiAutocompleteManager = {
@@ -48,7 +75,7 @@ describe('ai-handlers', () => {
             handle: vi.fn()
         };
 
-        register({ aiChatManager, aiAutocompleteManager, ipcMain });
+        register({ aiChatManager, aiChatThreadStore, aiCommandLibrary, aiAutocompleteManager, fileManager, ipcMain });
 
         // Collect registered handlers by channel name
         handlers = {};
@@ -57,12 +84,20 @@ describe('ai-handlers', () => {
         }
     });
 
-    it('registers all 24 AI IPC handlers', () => {
-        expect(ipcMain.handle).toHaveBeenCalledTimes(24);
+    it('registers all 36 AI IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(36);
 
-        // AI Chat handlers (18)
+        // AI Chat handlers (30)
         expect(handlers['ai:send-message']).toBeDefined();
+        expect(handlers['ai:send-message-stream']).toBeDefined();
+        expect(handlers['ai:abort-stream']).toBeDefined();
         expect(handlers['ai:clear-history']).toBeDefined();
+        expect(handlers['ai:list-threads']).toBeDefined();
+        expect(handlers['ai:create-thread']).toBeDefined();
+        expect(handlers['ai:open-thread']).toBeDefined();
+        expect(handlers['ai:rename-thread']).toBeDefined();
+        expect(handlers['ai:delete-thread']).toBeDefined();
+        expect(handlers['ai:export-thread']).toBeDefined();
         expect(handlers['ai:get-api-key']).toBeDefined();
         expect(handlers['ai:set-api-key']).toBeDefined();
         expect(handlers['ai:get-model']).toBeDefined();
@@ -78,7 +113,11 @@ describe('ai-handlers', () => {
         expect(handlers['ai:test-local-connection']).toBeDefined();
         expect(handlers['ai:test-api-key']).toBeDefined();
         expect(handlers['ai:get-settings']).toBeDefined();
+        expect(handlers['ai:set-retrieval-settings']).toBeDefined();
         expect(handlers['ai:transform-text']).toBeDefined();
+        expect(handlers['ai:get-commands']).toBeDefined();
+        expect(handlers['ai:run-command']).toBeDefined();
+        expect(handlers['ai:create-commands-file']).toBeDefined();
 
         // AI Autocomplete handlers (6)
         expect(handlers['ai-autocomplete:get-suggestion']).toBeDefined();
@@ -96,9 +135,9 @@ describe('ai-handlers', () => {
             const mockResult = { success: true, response: 'Hello!' };
             aiChatManager.sendMessage.mockResolvedValue(mockResult);
 
-            const result = await handlers['ai:send-message']({}, 'hi', '# Doc', 'selected');
+            const result = await handlers['ai:send-message']({}, 'hi', '# Doc', 'selected', { documentPath: '/a.md' });
 
-            expect(aiChatManager.sendMessage).toHaveBeenCalledWith('hi', '# Doc', 'selected');
+            expect(aiChatManager.sendMessage).toHaveBeenCalledWith('hi', '# Doc', 'selected', { documentPath: '/a.md' });
             expect(result).toEqual(mockResult);
         });
 
@@ -109,6 +148,59 @@ describe('ai-handlers', () => {
         });
     });
 
+    describe('ai:send-message-stream', () => {
+        it('forwards chunks to the sender tagged with the request id', async () => {
+            const sender = { send: vi.fn(), isDestroyed: vi.fn(() => false) };
+            const mockResult = { success: true, message: 'Hello!', applyContent: null, aborted: false };
+
+            aiChatManager.sendMessageStream.mockImplementation(async (message, doc, selection, onChunk) => {
+                onChunk('Hel');
+                onChunk('lo!');
+                return mockResult;
+            });
+
+            const result = await handlers['ai:send-message-stream']({ sender }, 'req-1', 'hi', '# Doc', null,
+                { documentPath: '/a.md' });
+
+            expect(aiChatManager.sendMessageStream).toHaveBeenCalledWith('hi', '# Doc', null, expect.any(Function),
+                { documentPath: '/a.md' });
+            expect(sender.send).toHaveBeenNthCalledWith(1, 'ai:stream-chunk', 'req-1', 'Hel');
+            expect(sender.send).toHaveBeenNthCalledWith(2, 'ai:stream-chunk', 'req-1', 'lo!');
+            expect(result).toEqual(mockResult);
+        });
+
+        it('does not send chunks to a destroyed sender', async () => {
+            const sender = { send: vi.fn(), isDestroyed: vi.fn(() => true) };
+
+            aiChatManager.sendMessageStream.mockImplementation(async (message, doc, selection, onChunk) => {
+                onChunk('ignored');
+                return { success: true, message: 'ignored' };
+            });
+
+            await handlers['ai:send-message-stream']({ sender }, 'req-2', 'hi', '', null);
+
+            expect(sender.send).not.toHaveBeenCalled();
+        });
+
+        it('throws when sendMessageStream throws', async () => {
+            aiChatManager.sendMessageStream.mockRejectedValue(new Error('stream error'));
+
+            await expect(handlers['ai:send-message-stream']({ sender: null }, 'req-3', 'hi', '', null))
+                .rejects.toThrow('stream error');
+        });
+    });
+
+    describe('ai:abort-stream', () => {
+        it('aborts the in-flight stream and reports whether one was running', async () => {
+            aiChatManager.abortStream.mockReturnValue(true);
+
+            const result = await handlers['ai:abort-stream']({});
+
+            expect(aiChatManager.abortStream).toHaveBeenCalledOnce();
+            expect(result).toEqual({ success: true, aborted: true });
+        });
+    });
+
     describe('ai:clear-history', () => {
         it('calls clearHistory and returns success', async () => {
             const result = await handlers['ai:clear-history']({});
@@ -118,6 +210,87 @@ describe('ai-handlers', () => {
         });
     });
 
+    describe('ai:list-threads', () => {
+        it('returns the threads of the document and the active thread', async () => {
+            const threads = [{ id: 't1', title: 'Outline', documentPath: '/notes/a.md', messageCount: 2 }];
+
+            aiChatThreadStore.listThreads.mockResolvedValue(threads);
+
+            const result = await handlers['ai:list-threads']({}, '/notes/a.md');
+
+            expect(aiChatThreadStore.listThreads).toHaveBeenCalledWith('/notes/a.md');
+            expect(result).toEqual({ success: true, threads, activeThreadId: 't1' });
+        });
+    });
+
+    describe('ai:create-thread', () => {
+        it('creates and activates a thread', async () => {
+            const thread = { id: 't2', title: '', documentPath: '/notes/a.md', messages: [] };
+
+            aiChatManager.createThread.mockResolvedValue(thread);
+
+            const result = await handlers['ai:create-thread']({}, '', '/notes/a.md');
+
+            expect(aiChatManager.createThread).toHaveBeenCalledWith('', '/notes/a.md');
+            expect(result).toEqual({ success: true, thread });
+        });
+    });
+
+    describe('ai:open-thread', () => {
+        it('opens the thread', async () => {
+            const thread = { id: 't1', messages: [] };
+
+            aiChatManager.openThread.mockResolvedValue(thread);
+
+            expect(await handlers['ai:open-thread']({}, 't1')).toEqual({ success: true, thread });
+            expect(aiChatManager.openThread).toHaveBeenCalledWith('t1');
+        });
+
+        it('throws when the thread does not exist', async () => {
+            aiChatManager.openThread.mockRejectedValue(new Error('Chat thread not found: t9'));
+
+            await expect(handlers['ai:open-thread']({}, 't9')).rejects.toThrow('Chat thread not found: t9');
+        });
+    });
+
+    describe('ai:rename-thread', () => {
+        it('renames the thread', async () => {
+            const thread = { id: 't1', title: 'Ideas' };
+
+            aiChatThreadStore.renameThread.mockResolvedValue(thread);
+
+            expect(await handlers['ai:rename-thread']({}, 't1', 'Ideas')).toEqual({ success: true, thread });
+            expect(aiChatThreadStore.renameThread).toHaveBeenCalledWith('t1', 'Ideas');
+        });
+    });
+
+    describe('ai:delete-thread', () => {
+        it('deletes the thread', async () => {
+            expect(await handlers['ai:delete-thread']({}, 't1')).toEqual({ success: true });
+            expect(aiChatManager.deleteThread).toHaveBeenCalledWith('t1');
+        });
+    });
+
+    describe('ai:export-thread', () => {
+        it('saves the thread as markdown named after its title', async () => {
+            aiChatThreadStore.exportToMarkdown.mockResolvedValue({ thread: { title: 'Q&A: intro/outro' }, markdown: '# Q&A' });
+            fileManager.saveFileAs.mockResolvedValue('/exports/chat.md');
+
+            const result = await handlers['ai:export-thread']({}, 't1');
+
+            expect(fileManager.saveFileAs).toHaveBeenCalledWith('# Q&A', 'Q&A- intro-outro.md');
+            expect(result).toEqual({ success: true, filePath: '/exports/chat.md' });
+        });
+
+        it('reports a cancelled dialog', async () => {
+            aiChatThreadStore.exportToMarkdown.mockResolvedValue({ thread: { title: '' }, markdown: '# AI Chat' });
+            fileManager.saveFileAs.mockResolvedValue(null);
+
+            expect(await handlers['ai:export-thread']({}, 't1')).toEqual({ success: false, cancelled: true });
+            expect(fileManager.saveFileAs).toHaveBeenCalledWith('# AI Chat', 'ai-chat.md');
+        });
+    });
+
     describe('ai:get-api-key', () => {
         it('returns the API key', async () => {
             aiChatManager.getApiKey.mockReturnValue('sk-test-key');
@@ -298,6 +471,15 @@ describe('ai-handlers', () => {
         });
     });
 
+    describe('ai:set-retrieval-settings', () => {
+        it('updates the workspace retrieval settings', async () => {
+            const result = await handlers['ai:set-retrieval-settings']({}, { enabled: false });
+
+            expect(aiChatManager.setRetrievalSettings).toHaveBeenCalledWith({ enabled: false });
+            expect(result).toEqual({ success: true });
+        });
+    });
+
     describe('ai:transform-text', () => {
         it('calls transformText with all arguments', async () => {
             const mockResult = { success: true, text: 'transformed' };
@@ -316,6 +498,50 @@ describe('ai-handlers', () => {
         });
     });
 
+    describe('ai:get-commands', () => {
+        it('returns the commands of the workspace and the problems found', async () => {
+            const library = { commands: [{ id: 'tldr' }], errors: ['Command 2: must be an object'], filePath: '/ws/x' };
+            aiCommandLibrary.getCommands.mockResolvedValue(library);
+
+            expect(await handlers['ai:get-commands']({})).toEqual({ success: true, ...library });
+        });
+    });
+
+    describe('ai:run-command', () => {
+        it('runs the command with the values of the editor', async () => {
+            const command = { id: 'tldr', prompt: '{{selection}}' };
+            aiCommandLibrary.getCommand.mockResolvedValue(command);
+            aiChatManager.runCommand.mockResolvedValue({ success: true, result: 'Short' });
+
+            const result = await handlers['ai:run-command']({}, 'tldr', { selection: 'Long' });
+
+            expect(aiCommandLibrary.getCommand).toHaveBeenCalledWith('tldr');
+            expect(aiChatManager.runCommand).toHaveBeenCalledWith(command, { selection: 'Long' });
+            expect(result).toEqual({ success: true, result: 'Short' });
+        });
+
+        it('fails when the command no longer exists', async () => {
+            aiCommandLibrary.getCommand.mockResolvedValue(null);
+
+            const result = await handlers['ai:run-command']({}, 'gone', {});
+
+            expect(result.success).toBe(false);
+            expect(aiChatManager.runCommand).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('ai:create-commands-file', () => {
+        it('returns the path of the commands file', async () => {
+            aiCommandLibrary.createCommandsFile.mockResolvedValue({ filePath: '/ws/.md-editor/ai-commands.json', created: true });
+
+            expect(await handlers['ai:create-commands-file']({})).toEqual({
+                success: true,
+                filePath: '/ws/.md-editor/ai-commands.json',
+                created: true
+            });
+        });
+    });
+
     // ── AI Autocomplete handlers ──
 
     describe('ai-autocomplete:get-suggestion', () => {
@@ -1,19 +1,25 @@
 /**
  * IPC Handlers — Export Operations
- * Handles: export:html, export:pdf
+ * Handles: export:formats, export:document, export:<format> (export:html, export:pdf, export:docx, ...),
+ *   export:pdf-options, export:save-pdf-options, export:site
  */
 
 const { createIPCHandler } = require('../utils/ipc-utils');
+const { normalizePdfOptions } = require('../export-pdf-options');
 
 /**
  * Registra IPC handlers para operações de exportação
+ * Cada formato registrado no Exporter recebe seu próprio canal export:<id>.
  * @param {Object} deps - Dependências
  * @param {import('../exporter')} deps.exporter - Instância do Exporter
+ * @param {import('../config-store')} deps.configStore - Instância do ConfigStore
+ * @param {import('../workspace-manager')} deps.workspaceManager - Instância do WorkspaceManager
+ * @param {import('../site-exporter').SiteExporter} deps.siteExporter - Instância do SiteExporter
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
-function register({ exporter, ipcMain }) {
-    ipcMain.handle('export:html', createIPCHandler(async (event, content, theme = 'light') => {
-        const filePath = await exporter.exportToHTML(content, theme);
+function register({ exporter, configStore, workspaceManager, siteExporter, ipcMain }) {
+    const exportDocument = async (formatId, content, theme = 'light', options = {}) => {
+        const filePath = await exporter.export(formatId, content, theme, options);
 
         if (filePath) {
             return { success: true, filePath };
@@ -21,18 +27,42 @@ function register({ exporter, ipcMain }) {
             // User cancelled the export
             return { success: false, cancelled: true };
         }
-    }, 'exporting to HTML'));
+    };
 
-    ipcMain.handle('export:pdf', createIPCHandler(async (event, content, theme = 'light') => {
-        const filePath = await exporter.exportToPDF(content, theme);
+    ipcMain.handle('export:formats', createIPCHandler(async () => {
+        return { success: true, formats: exporter.getFormats() };
+    }, 'getting export formats'));
 
-        if (filePath) {
-            return { success: true, filePath };
-        } else {
-            // User cancelled the export
-            return { success: false, cancelled: true };
-        }
-    }, 'exporting to PDF'));
+    ipcMain.handle('export:document', createIPCHandler(async (event, formatId, content, theme, options) => {
+        return exportDocument(formatId, content, theme, options);
+    }, 'exporting document'));
+
+    // Opções de PDF usadas por último, lembradas por workspace
+    ipcMain.handle('export:pdf-options', createIPCHandler(async () => {
+        const options = configStore.getPdfExportOptions(workspaceManager.getWorkspacePath());
+
+        return { success: true, options: normalizePdfOptions(options) };
+    }, 'getting PDF export options'));
+
+    ipcMain.handle('export:save-pdf-options', createIPCHandler(async (event, options) => {
+        const normalized = normalizePdfOptions(options);
+
+        configStore.setPdfExportOptions(workspaceManager.getWorkspacePath(), normalized);
+        return { success: true, options: normalized };
+    }, 'saving PDF export options'));
+
+    // Exporta o workspace inteiro como site estático
+    ipcMain.handle('export:site', createIPCHandler(async (event, theme, options) => {
+        const result = await siteExporter.exportWorkspace(theme, options);
+
+        return result ? { success: true, ...result } : { success: false, cancelled: true };
+    }, 'exporting workspace as website'));
+
+    for (const format of exporter.getFormats()) {
+        ipcMain.handle(`export:${format.id}`, createIPCHandler(async (event, content, theme, options) => {
+            return exportDocument(format.id, content, theme, options);
+        }, `exporting to ${format.label}`));
+    }
 }
 
 module.exports = { register };
@@ -9,19 +9,36 @@ const { register } = require('./export-handlers');
 
 describe('export-handlers', () => {
     let exporter;
+    let configStore;
+    let workspaceManager;
+    let siteExporter;
     let ipcMain;
     let handlers;
 
     beforeEach(() => {
         exporter = {
-            exportToHTML: vi.fn(),
-            exportToPDF: vi.fn()
+            getFormats: vi.fn().mockReturnValue([
+                { id: 'html', label: 'HTML', extensions: ['html', 'htm'] },
+                { id: 'pdf', label: 'PDF', extensions: ['pdf'] },
+                { id: 'docx', label: 'Word Document', extensions: ['docx'] }
+            ]),
+            export: vi.fn()
+        };
+        configStore = {
+            getPdfExportOptions: vi.fn().mockReturnValue({ pageSize: 'Letter' }),
+            setPdfExportOptions: vi.fn()
+        };
+        workspaceManager = {
+            getWorkspacePath: vi.fn().mockReturnValue('/projects/notes')
+        };
+        siteExporter = {
+            exportWorkspace: vi.fn()
         };
         ipcMain = {
             handle: vi.fn()
         };
 
-        register({ exporter, ipcMain });
+        register({ exporter, configStore, workspaceManager, siteExporter, ipcMain });
 
         // Collect registered handlers by channel name
         handlers = {};
@@ -30,75 +47,158 @@ describe('export-handlers', () => {
         }
     });
 
-    it('registers all 2 export IPC handlers', () => {
-        expect(ipcMain.handle).toHaveBeenCalledTimes(2);
+    it('registers all 8 export IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(8);
+        expect(handlers['export:site']).toBeDefined();
+        expect(handlers['export:formats']).toBeDefined();
+        expect(handlers['export:document']).toBeDefined();
+        expect(handlers['export:pdf-options']).toBeDefined();
+        expect(handlers['export:save-pdf-options']).toBeDefined();
         expect(handlers['export:html']).toBeDefined();
         expect(handlers['export:pdf']).toBeDefined();
+        expect(handlers['export:docx']).toBeDefined();
+    });
+
+    describe('export:formats', () => {
+        it('returns the registered formats', async () => {
+            const result = await handlers['export:formats']({});
+
+            expect(result.success).toBe(true);
+            expect(result.formats.map(format => format.id)).toEqual(['html', 'pdf', 'docx']);
+        });
+    });
+
+    describe('export:document', () => {
+        it('exports to the requested format with options', async () => {
+            exporter.export.mockResolvedValue('/exported/doc.docx');
+
+            const result = await handlers['export:document']({}, 'docx', '# Hello', 'dark', { filePath: '/notes/doc.md' });
+
+            expect(exporter.export).toHaveBeenCalledWith('docx', '# Hello', 'dark', { filePath: '/notes/doc.md' });
+            expect(result).toEqual({ success: true, filePath: '/exported/doc.docx' });
+        });
+
+        it('throws for unknown formats', async () => {
+            exporter.export.mockRejectedValue(new Error('Unknown export format: odt'));
+
+            await expect(handlers['export:document']({}, 'odt', '# Hello')).rejects.toThrow('Unknown export format');
+        });
+    });
+
+    describe('export:pdf-options', () => {
+        it('returns the options last used in the workspace, completed with defaults', async () => {
+            const result = await handlers['export:pdf-options']({});
+
+            expect(configStore.getPdfExportOptions).toHaveBeenCalledWith('/projects/notes');
+            expect(result.success).toBe(true);
+            expect(result.options.pageSize).toBe('Letter');
+            expect(result.options.margins).toEqual({ top: 0.5, bottom: 0.5, left: 0.5, right: 0.5 });
+        });
+    });
+
+    describe('export:save-pdf-options', () => {
+        it('saves validated options for the workspace', async () => {
+            const result = await handlers['export:save-pdf-options']({}, { pageSize: 'Legal', scale: 9 });
+
+            expect(configStore.setPdfExportOptions).toHaveBeenCalledWith('/projects/notes', expect.objectContaining({
+                pageSize: 'Legal',
+                scale: 2
+            }));
+            expect(result.options.scale).toBe(2);
+        });
+    });
+
+    describe('export:site', () => {
+        it('exports the workspace and returns where', async () => {
+            siteExporter.exportWorkspace.mockResolvedValue({ outputPath: '/sites/notes', pageCount: 12 });
+
+            const result = await handlers['export:site']({}, 'dark', { labels: { search: 'Pesquisar' } });
+
+            expect(siteExporter.exportWorkspace).toHaveBeenCalledWith('dark', { labels: { search: 'Pesquisar' } });
+            expect(result).toEqual({ success: true, outputPath: '/sites/notes', pageCount: 12 });
+        });
+
+        it('returns cancelled when no folder was chosen', async () => {
+            siteExporter.exportWorkspace.mockResolvedValue(null);
+
+            expect(await handlers['export:site']({})).toEqual({ success: false, cancelled: true });
+        });
     });
 
     describe('export:html', () => {
-        it('calls exporter.exportToHTML and returns success with filePath', async () => {
-            exporter.exportToHTML.mockResolvedValue('/exported/doc.html');
+        it('calls exporter.export and returns success with filePath', async () => {
+            exporter.export.mockResolvedValue('/exported/doc.html');
 
             const result = await handlers['export:html']({}, '# Hello', 'light');
 
-            expect(exporter.exportToHTML).toHaveBeenCalledWith('# Hello', 'light');
+            expect(exporter.export).toHaveBeenCalledWith('html', '# Hello', 'light', {});
             expect(result).toEqual({ success: true, filePath: '/exported/doc.html' });
         });
 
         it('uses light theme by default', async () => {
-            exporter.exportToHTML.mockResolvedValue('/exported/doc.html');
+            exporter.export.mockResolvedValue('/exported/doc.html');
 
             await handlers['export:html']({}, '# Hello');
 
-            expect(exporter.exportToHTML).toHaveBeenCalledWith('# Hello', 'light');
+            expect(exporter.export).toHaveBeenCalledWith('html', '# Hello', 'light', {});
         });
 
         it('returns cancelled when exporter returns null', async () => {
-            exporter.exportToHTML.mockResolvedValue(null);
+            exporter.export.mockResolvedValue(null);
 
             const result = await handlers['export:html']({}, '# Hello', 'dark');
 
             expect(result).toEqual({ success: false, cancelled: true });
         });
 
-        it('throws when exporter.exportToHTML throws', async () => {
-            exporter.exportToHTML.mockRejectedValue(new Error('export failed'));
+        it('throws when exporter.export throws', async () => {
+            exporter.export.mockRejectedValue(new Error('export failed'));
 
             await expect(handlers['export:html']({}, '# Hello', 'light')).rejects.toThrow('export failed');
         });
     });
 
     describe('export:pdf', () => {
-        it('calls exporter.exportToPDF and returns success with filePath', async () => {
-            exporter.exportToPDF.mockResolvedValue('/exported/doc.pdf');
+        it('calls exporter.export and returns success with filePath', async () => {
+            exporter.export.mockResolvedValue('/exported/doc.pdf');
 
             const result = await handlers['export:pdf']({}, '# Hello', 'dark');
 
-            expect(exporter.exportToPDF).toHaveBeenCalledWith('# Hello', 'dark');
+            expect(exporter.export).toHaveBeenCalledWith('pdf', '# Hello', 'dark', {});
             expect(result).toEqual({ success: true, filePath: '/exported/doc.pdf' });
         });
 
         it('uses light theme by default', async () => {
-            exporter.exportToPDF.mockResolvedValue('/exported/doc.pdf');
+            exporter.export.mockResolvedValue('/exported/doc.pdf');
 
             await handlers['export:pdf']({}, '# Hello');
 
-            expect(exporter.exportToPDF).toHaveBeenCalledWith('# Hello', 'light');
+            expect(exporter.export).toHaveBeenCalledWith('pdf', '# Hello', 'light', {});
         });
 
         it('returns cancelled when exporter returns null', async () => {
-            exporter.exportToPDF.mockResolvedValue(null);
+            exporter.export.mockResolvedValue(null);
 
             const result = await handlers['export:pdf']({}, '# Hello', 'light');
 
             expect(result).toEqual({ success: false, cancelled: true });
         });
 
-        it('throws when exporter.exportToPDF throws', async () => {
-            exporter.exportToPDF.mockRejectedValue(new Error('pdf generation failed'));
+        it('throws when exporter.export throws', async () => {
+            exporter.export.mockRejectedValue(new Error('pdf generation failed'));
 
             await expect(handlers['export:pdf']({}, '# Hello', 'light')).rejects.toThrow('pdf generation failed');
         });
     });
+
+    describe('export:docx', () => {
+        it('passes the document path so images resolve', async () => {
+            exporter.export.mockResolvedValue('/exported/doc.docx');
+
+            const result = await handlers['export:docx']({}, '# Hello', 'light', { filePath: '/notes/doc.md' });
+
+            expect(exporter.export).toHaveBeenCalledWith('docx', '# Hello', 'light', { filePath: '/notes/doc.md' });
+            expect(result).toEqual({ success: true, filePath: '/exported/doc.docx' });
+        });
+    });
 });
@@ -44,11 +44,25 @@ function validateExternalUrl(url) {
  * Registra IPC handlers para operações de arquivo
  * @param {Object} deps - Dependências
  * @param {import('../file-manager')} deps.fileManager - Instância do FileManager
+ * @param {import('../file-watcher-manager')} deps.fileWatcherManager - Instância do FileWatcherManager
+ * @param {import('../global-search-manager')} deps.globalSearchManager - Instância do GlobalSearchManager
+ * @param {import('../file-history-manager')} deps.fileHistoryManager - Instância do FileHistoryManager
  * @param {Function} deps.refreshMenu - Callback para atualizar o menu da aplicação
  * @param {Function} deps.openExternal - Função para abrir URLs externas
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
-function register({ fileManager, refreshMenu, openExternal, ipcMain }) {
+function register({
+    fileManager, fileWatcherManager, globalSearchManager, fileHistoryManager, refreshMenu, openExternal, ipcMain
+}) {
+    // A failing history must not fail the save itself
+    const recordHistory = (filePath, content) => fileHistoryManager.recordSnapshot(filePath, content)
+        .catch(error => log.warn('Could not record file history', { filePath, error: error.message }));
+    // Not awaited: updates wait behind a running index rebuild, which must not hold up saving
+    const updateSearchIndex = (filePath, content) => {
+        globalSearchManager.updateFile(filePath, content)
+            .catch(error => log.warn('Could not update search index', { filePath, error: error.message }));
+    };
+
     ipcMain.handle('file:open', createIPCHandler(async () => {
         log.debug('IPC handler file:open called');
         const result = await fileManager.openFile();
@@ -80,12 +94,23 @@ function register({ fileManager, refreshMenu, openExternal, ipcMain }) {
 
     ipcMain.handle('file:save', createIPCHandler(async (event, filePath, content) => {
         await fileManager.saveFile(filePath, content);
+        // Our own writes must not be reported back as external changes. Recorded once
+        // the save succeeded; the watcher checks the file after a debounce delay.
+        fileWatcherManager.recordWrite(filePath, content);
+        updateSearchIndex(filePath, content);
+        await recordHistory(filePath, content);
         return { success: true };
     }, 'saving file'));
 
     ipcMain.handle('file:save-as', createIPCHandler(async (event, content) => {
         const filePath = await fileManager.saveFileAs(content);
 
+        if (filePath) {
+            fileWatcherManager.recordWrite(filePath, content);
+            updateSearchIndex(filePath, content);
+            await recordHistory(filePath, content);
+        }
+
         return { success: true, filePath };
     }, 'saving file as'));
 
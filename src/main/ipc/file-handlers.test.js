@@ -9,6 +9,9 @@ const { register } = require('./file-handlers');
 
 describe('file-handlers', () => {
     let fileManager;
+    let fileWatcherManager;
+    let globalSearchManager;
+    let fileHistoryManager;
     let refreshMenu;
     let openExternal;
     let ipcMain;
@@ -22,13 +25,22 @@ describe('file-handlers', () => {
             saveFile: vi.fn(),
             saveFileAs: vi.fn()
         };
+        fileWatcherManager = {
+            recordWrite: vi.fn()
+        };
+        globalSearchManager = {
+            updateFile: vi.fn().mockResolvedValue(undefined)
+        };
+        fileHistoryManager = {
+            recordSnapshot: vi.fn().mockResolvedValue(null)
+        };
         refreshMenu = vi.fn();
         openExternal = vi.fn().mockResolvedValue(undefined);
         ipcMain = {
             handle: vi.fn()
         };
 
-        register({ fileManager, refreshMenu, openExternal, ipcMain });
+        register({ fileManager, fileWatcherManager, globalSearchManager, fileHistoryManager, refreshMenu, openExternal, ipcMain });
 
         // Collect registered handlers by channel name
         handlers = {};
@@ -135,6 +147,53 @@ describe('file-handlers', () => {
             expect(result).toEqual({ success: true });
         });
 
+        it('records the write so it is not reported as an external change', async () => {
+            fileManager.saveFile.mockResolvedValue(undefined);
+
+            await handlers['file:save']({}, '/test.md', '# Content');
+
+            expect(fileWatcherManager.recordWrite).toHaveBeenCalledWith('/test.md', '# Content');
+        });
+
+        it('does not record a write that failed', async () => {
+            fileManager.saveFile.mockRejectedValue(new Error('Disk full'));
+
+            await expect(handlers['file:save']({}, '/test.md', '# Content')).rejects.toThrow('Disk full');
+            expect(fileWatcherManager.recordWrite).not.toHaveBeenCalled();
+        });
+
+        it('updates the search index with the saved content', async () => {
+            fileManager.saveFile.mockResolvedValue(undefined);
+
+            await handlers['file:save']({}, '/test.md', '# Content');
+
+            expect(globalSearchManager.updateFile).toHaveBeenCalledWith('/test.md', '# Content');
+        });
+
+        it('does not wait for the search index', async () => {
+            fileManager.saveFile.mockResolvedValue(undefined);
+            globalSearchManager.updateFile.mockReturnValue(new Promise(() => {}));
+
+            await expect(handlers['file:save']({}, '/test.md', '# Content')).resolves.toEqual({ success: true });
+        });
+
+        it('records the saved content in the file history', async () => {
+            fileManager.saveFile.mockResolvedValue(undefined);
+
+            await handlers['file:save']({}, '/test.md', '# Content');
+
+            expect(fileHistoryManager.recordSnapshot).toHaveBeenCalledWith('/test.md', '# Content');
+        });
+
+        it('still succeeds when the file history cannot be recorded', async () => {
+            fileManager.saveFile.mockResolvedValue(undefined);
+            fileHistoryManager.recordSnapshot.mockRejectedValue(new Error('history disk full'));
+
+            const result = await handlers['file:save']({}, '/test.md', '# Content');
+
+            expect(result).toEqual({ success: true });
+        });
+
         it('throws when fileManager.saveFile throws', async () => {
             fileManager.saveFile.mockRejectedValue(new Error('disk full'));
 
@@ -150,6 +209,17 @@ describe('file-handlers', () => {
 
             expect(fileManager.saveFileAs).toHaveBeenCalledWith('# New Content');
             expect(result).toEqual({ success: true, filePath: '/new-file.md' });
+            expect(fileWatcherManager.recordWrite).toHaveBeenCalledWith('/new-file.md', '# New Content');
+            expect(globalSearchManager.updateFile).toHaveBeenCalledWith('/new-file.md', '# New Content');
+            expect(fileHistoryManager.recordSnapshot).toHaveBeenCalledWith('/new-file.md', '# New Content');
+        });
+
+        it('does not record a write when the dialog is cancelled', async () => {
+            fileManager.saveFileAs.mockResolvedValue(null);
+
+            await handlers['file:save-as']({}, 'content');
+
+            expect(fileWatcherManager.recordWrite).not.toHaveBeenCalled();
         });
 
         it('throws when fileManager.saveFileAs throws', async () => {
@@ -0,0 +1,50 @@
+/**
+ * IPC Handlers — Git
+ * Handles: git:status, git:stage, git:unstage, git:commit, git:head-content, git:diff
+ */
+
+const { createIPCHandler } = require('../utils/ipc-utils');
+
+/**
+ * Registra IPC handlers para o controle de versão com git
+ * @param {Object} deps - Dependências
+ * @param {import('../git-manager')} deps.gitManager - Instância do GitManager
+ * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
+ */
+function register({ gitManager, ipcMain }) {
+    ipcMain.handle('git:status', createIPCHandler(async () => {
+        const status = await gitManager.getStatus();
+
+        return { success: true, status };
+    }, 'reading git status'));
+
+    ipcMain.handle('git:stage', createIPCHandler(async (event, filePaths) => {
+        await gitManager.stage(filePaths);
+        return { success: true };
+    }, 'staging files'));
+
+    ipcMain.handle('git:unstage', createIPCHandler(async (event, filePaths) => {
+        await gitManager.unstage(filePaths);
+        return { success: true };
+    }, 'unstaging files'));
+
+    ipcMain.handle('git:commit', createIPCHandler(async (event, message) => {
+        const { hash } = await gitManager.commit(message);
+
+        return { success: true, hash };
+    }, 'committing'));
+
+    ipcMain.handle('git:head-content', createIPCHandler(async (event, filePath) => {
+        const content = await gitManager.getHeadContent(filePath);
+
+        return { success: true, content };
+    }, 'reading committed content'));
+
+    ipcMain.handle('git:diff', createIPCHandler(async (event, filePath) => {
+        const { headContent, workingContent } = await gitManager.getDiff(filePath);
+
+        return { success: true, headContent, workingContent };
+    }, 'reading file changes'));
+}
+
+module.exports = { register };
@@ -0,0 +1,109 @@
+/**
+ * Tests for git-handlers IPC module
+ *
+ * @vitest-environment node
+ */
+
+const { register } = require('./git-handlers');
+
+describe('git-handlers', () => {
+    let gitManager;
+    let ipcMain;
+    let handlers;
+
+    beforeEach(() => {
+        gitManager = {
+            getStatus: vi.fn(),
+            stage: vi.fn().mockResolvedValue(undefined),
+            unstage: vi.fn().mockResolvedValue(undefined),
+            commit: vi.fn(),
+            getHeadContent: vi.fn(),
+            getDiff: vi.fn()
+        };
+        ipcMain = {
+            handle: vi.fn()
+        };
+
+        register({ gitManager, ipcMain });
+
+        // Collect registered handlers by channel name
+        handlers = {};
+        for (const call of ipcMain.handle.mock.calls) {
+            handlers[call[0]] = call[1];
+        }
+    });
+
+    it('registers 6 git IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(6);
+        expect(handlers['git:status']).toBeDefined();
+        expect(handlers['git:stage']).toBeDefined();
+        expect(handlers['git:unstage']).toBeDefined();
+        expect(handlers['git:commit']).toBeDefined();
+        expect(handlers['git:head-content']).toBeDefined();
+        expect(handlers['git:diff']).toBeDefined();
+    });
+
+    describe('git:status', () => {
+        it('returns the repository status', async () => {
+            const status = { isRepository: true, branch: 'main', files: [] };
+
+            gitManager.getStatus.mockResolvedValue(status);
+
+            expect(await handlers['git:status']({})).toEqual({ success: true, status });
+        });
+
+        it('throws when getStatus throws', async () => {
+            gitManager.getStatus.mockRejectedValue(new Error('Git is not installed or not on the PATH'));
+
+            await expect(handlers['git:status']({})).rejects.toThrow('Git is not installed');
+        });
+    });
+
+    describe('git:stage and git:unstage', () => {
+        it('stages the given files', async () => {
+            const result = await handlers['git:stage']({}, ['/repo/a.md']);
+
+            expect(gitManager.stage).toHaveBeenCalledWith(['/repo/a.md']);
+            expect(result).toEqual({ success: true });
+        });
+
+        it('unstages the given files', async () => {
+            const result = await handlers['git:unstage']({}, ['/repo/a.md']);
+
+            expect(gitManager.unstage).toHaveBeenCalledWith(['/repo/a.md']);
+            expect(result).toEqual({ success: true });
+        });
+    });
+
+    describe('git:commit', () => {
+        it('returns the hash of the new commit', async () => {
+            gitManager.commit.mockResolvedValue({ hash: 'abc1234' });
+
+            const result = await handlers['git:commit']({}, 'Update notes');
+
+            expect(gitManager.commit).toHaveBeenCalledWith('Update notes');
+            expect(result).toEqual({ success: true, hash: 'abc1234' });
+        });
+
+        it('throws when commit throws', async () => {
+            gitManager.commit.mockRejectedValue(new Error('Commit message is required'));
+
+            await expect(handlers['git:commit']({}, '')).rejects.toThrow('Commit message is required');
+        });
+    });
+
+    describe('git:head-content and git:diff', () => {
+        it('returns the committed content', async () => {
+            gitManager.getHeadContent.mockResolvedValue('# Notes');
+
+            expect(await handlers['git:head-content']({}, '/repo/a.md')).toEqual({ success: true, content: '# Notes' });
+        });
+
+        it('returns both sides of the changes', async () => {
+            gitManager.getDiff.mockResolvedValue({ headContent: 'old', workingContent: 'new' });
+
+            expect(await handlers['git:diff']({}, '/repo/a.md'))
+                .toEqual({ success: true, headContent: 'old', workingContent: 'new' });
+        });
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * IPC Handlers — File History
+ * Handles: history:list, history:get, history:clear
+ */
+
+const { createIPCHandler } = require('../utils/ipc-utils');
+
+/**
+ * Registra IPC handlers para o histórico local de versões dos arquivos
+ * @param {Object} deps - Dependências
+ * @param {import('../file-history-manager')} deps.fileHistoryManager - Instância do FileHistoryManager
+ * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
+ */
+function register({ fileHistoryManager, ipcMain }) {
+    ipcMain.handle('history:list', createIPCHandler(async (event, filePath) => {
+        const entries = await fileHistoryManager.getHistory(filePath);
+
+        return { success: true, entries };
+    }, 'listing file history'));
+
+    ipcMain.handle('history:get', createIPCHandler(async (event, filePath, id) => {
+        const { entry, content } = await fileHistoryManager.getSnapshot(filePath, id);
+
+        return { success: true, entry, content };
+    }, 'reading file history snapshot'));
+
+    ipcMain.handle('history:clear', createIPCHandler(async (event, filePath) => {
+        await fileHistoryManager.clearHistory(filePath);
+        return { success: true };
+    }, 'clearing file history'));
+}
+
+module.exports = { register };
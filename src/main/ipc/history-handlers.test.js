@@ -0,0 +1,86 @@
+/**
+ * Tests for history-handlers IPC module
+ *
+ * @vitest-environment node
+ */
+
+const { register } = require('./history-handlers');
+
+describe('history-handlers', () => {
+    let fileHistoryManager;
+    let ipcMain;
+    let handlers;
+
+    beforeEach(() => {
+        fileHistoryManager = {
+            getHistory: vi.fn(),
+            getSnapshot: vi.fn(),
+            clearHistory: vi.fn().mockResolvedValue(undefined)
+        };
+        ipcMain = {
+            handle: vi.fn()
+        };
+
+        register({ fileHistoryManager, ipcMain });
+
+        // Collect registered handlers by channel name
+        handlers = {};
+        for (const call of ipcMain.handle.mock.calls) {
+            handlers[call[0]] = call[1];
+        }
+    });
+
+    it('registers 3 history IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(3);
+        expect(handlers['history:list']).toBeDefined();
+        expect(handlers['history:get']).toBeDefined();
+        expect(handlers['history:clear']).toBeDefined();
+    });
+
+    describe('history:list', () => {
+        it('returns the snapshots of the file', async () => {
+            const entries = [{ id: '2-b', timestamp: 2 }, { id: '1-a', timestamp: 1 }];
+
+            fileHistoryManager.getHistory.mockResolvedValue(entries);
+
+            const result = await handlers['history:list']({}, '/notes/todo.md');
+
+            expect(fileHistoryManager.getHistory).toHaveBeenCalledWith('/notes/todo.md');
+            expect(result).toEqual({ success: true, entries });
+        });
+
+        it('throws when getHistory throws', async () => {
+            fileHistoryManager.getHistory.mockRejectedValue(new Error('Invalid file path'));
+
+            await expect(handlers['history:list']({}, '')).rejects.toThrow('Invalid file path');
+        });
+    });
+
+    describe('history:get', () => {
+        it('returns the snapshot content', async () => {
+            const entry = { id: '1-a', timestamp: 1 };
+
+            fileHistoryManager.getSnapshot.mockResolvedValue({ entry, content: '# Old' });
+
+            const result = await handlers['history:get']({}, '/notes/todo.md', '1-a');
+
+            expect(fileHistoryManager.getSnapshot).toHaveBeenCalledWith('/notes/todo.md', '1-a');
+            expect(result).toEqual({ success: true, entry, content: '# Old' });
+        });
+
+        it('throws when the snapshot does not exist', async () => {
+            fileHistoryManager.getSnapshot.mockRejectedValue(new Error('Snapshot not found: x'));
+
+            await expect(handlers['history:get']({}, '/notes/todo.md', 'x')).rejects.toThrow('Snapshot not found');
+        });
+    });
+
+    describe('history:clear', () => {
+        it('clears the history of the file', async () => {
+            const result = await handlers['history:clear']({}, '/notes/todo.md');
+
+            expect(fileHistoryManager.clearHistory).toHaveBeenCalledWith('/notes/todo.md');
+            expect(result).toEqual({ success: true });
+        });
+    });
+});
@@ -1,6 +1,6 @@
 /**
  * IPC Handlers — Image Operations
- * Handles: image:save-from-clipboard
+ * Handles: image:save-from-clipboard, image:suggest-name, image:file-link
  */
 
 const { createIPCHandler } = require('../utils/ipc-utils');
@@ -12,10 +12,18 @@ const { createIPCHandler } = require('../utils/ipc-utils');
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
 function register({ fileManager, ipcMain }) {
-    ipcMain.handle('image:save-from-clipboard', createIPCHandler(async (event, imageBuffer, currentFilePath) => {
-        const result = await fileManager.saveImageFromClipboard(imageBuffer, currentFilePath);
+    ipcMain.handle('image:save-from-clipboard', createIPCHandler(async (event, imageBuffer, currentFilePath, options) => {
+        const result = await fileManager.saveImageFromClipboard(imageBuffer, currentFilePath, options);
         return result;
     }, 'saving image from clipboard'));
+
+    ipcMain.handle('image:suggest-name', createIPCHandler(async (event, currentFilePath, originalName) => {
+        return { success: true, name: fileManager.suggestImageName(currentFilePath, originalName) };
+    }, 'suggesting image name'));
+
+    ipcMain.handle('image:file-link', createIPCHandler(async (event, targetPath, currentFilePath) => {
+        return { success: true, link: fileManager.getFileLink(targetPath, currentFilePath) };
+    }, 'linking dropped file'));
 }
 
 module.exports = { register };
@@ -14,7 +14,9 @@ describe('image-handlers', () => {
 
     beforeEach(() => {
         fileManager = {
-            saveImageFromClipboard: vi.fn()
+            saveImageFromClipboard: vi.fn(),
+            suggestImageName: vi.fn(),
+            getFileLink: vi.fn()
         };
         ipcMain = {
             handle: vi.fn()
@@ -29,9 +31,11 @@ describe('image-handlers', () => {
         }
     });
 
-    it('registers 1 image IPC handler', () => {
-        expect(ipcMain.handle).toHaveBeenCalledTimes(1);
+    it('registers 3 image IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(3);
         expect(handlers['image:save-from-clipboard']).toBeDefined();
+        expect(handlers['image:suggest-name']).toBeDefined();
+        expect(handlers['image:file-link']).toBeDefined();
     });
 
     describe('image:save-from-clipboard', () => {
@@ -42,7 +46,7 @@ describe('image-handlers', () => {
 
             const result = await handlers['image:save-from-clipboard']({}, mockBuffer, '/path/to/doc.md');
 
-            expect(fileManager.saveImageFromClipboard).toHaveBeenCalledWith(mockBuffer, '/path/to/doc.md');
+            expect(fileManager.saveImageFromClipboard).toHaveBeenCalledWith(mockBuffer, '/path/to/doc.md', undefined);
             expect(result).toEqual(mockResult);
         });
 
@@ -52,10 +56,19 @@ describe('image-handlers', () => {
 
             const result = await handlers['image:save-from-clipboard']({}, Buffer.from('data'), null);
 
-            expect(fileManager.saveImageFromClipboard).toHaveBeenCalledWith(Buffer.from('data'), null);
+            expect(fileManager.saveImageFromClipboard).toHaveBeenCalledWith(Buffer.from('data'), null, undefined);
             expect(result).toEqual(mockResult);
         });
 
+        it('passes the file name options', async () => {
+            const options = { fileName: 'diagram', originalName: 'Screenshot 1.png' };
+            fileManager.saveImageFromClipboard.mockResolvedValue({ success: true });
+
+            await handlers['image:save-from-clipboard']({}, Buffer.from('data'), '/path/to/doc.md', options);
+
+            expect(fileManager.saveImageFromClipboard).toHaveBeenCalledWith(Buffer.from('data'), '/path/to/doc.md', options);
+        });
+
         it('throws when saveImageFromClipboard throws', async () => {
             fileManager.saveImageFromClipboard.mockRejectedValue(new Error('Invalid image data'));
 
@@ -64,4 +77,34 @@ describe('image-handlers', () => {
             ).rejects.toThrow('Invalid image data');
         });
     });
+
+    describe('image:suggest-name', () => {
+        it('returns the name from the file name pattern', async () => {
+            fileManager.suggestImageName.mockReturnValue('notes-2026-10-19');
+
+            const result = await handlers['image:suggest-name']({}, '/path/to/notes.md', undefined);
+
+            expect(fileManager.suggestImageName).toHaveBeenCalledWith('/path/to/notes.md', undefined);
+            expect(result).toEqual({ success: true, name: 'notes-2026-10-19' });
+        });
+    });
+
+    describe('image:file-link', () => {
+        it('returns the link to the dropped file', async () => {
+            fileManager.getFileLink.mockReturnValue('./files/report.pdf');
+
+            const result = await handlers['image:file-link']({}, '/path/to/files/report.pdf', '/path/to/doc.md');
+
+            expect(fileManager.getFileLink).toHaveBeenCalledWith('/path/to/files/report.pdf', '/path/to/doc.md');
+            expect(result).toEqual({ success: true, link: './files/report.pdf' });
+        });
+
+        it('throws when the path is invalid', async () => {
+            fileManager.getFileLink.mockImplementation(() => {
+                throw new Error('Invalid file path: contains null bytes');
+            });
+
+            await expect(handlers['image:file-link']({}, 'a\0b', null)).rejects.toThrow('null bytes');
+        });
+    });
 });
@@ -0,0 +1,22 @@
+/**
+ * IPC Handlers — Import Operations
+ * Handles: import:documents
+ */
+
+const { createIPCHandler } = require('../utils/ipc-utils');
+
+/**
+ * Registra IPC handlers para importação de documentos
+ * @param {Object} deps - Dependências
+ * @param {import('../document-importer').DocumentImporter} deps.documentImporter - Instância do DocumentImporter
+ * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
+ */
+function register({ documentImporter, ipcMain }) {
+    ipcMain.handle('import:documents', createIPCHandler(async () => {
+        const result = await documentImporter.importDocuments();
+
+        return result ? { success: true, ...result } : { success: false, cancelled: true };
+    }, 'importing documents'));
+}
+
+module.exports = { register };
@@ -0,0 +1,62 @@
+/**
+ * Tests for import-handlers IPC module
+ *
+ * @vitest-environment node
+ */
+
+const { register } = require('./import-handlers');
+
+describe('import-handlers', () => {
+    let documentImporter;
+    let ipcMain;
+    let handlers;
+
+    beforeEach(() => {
+        documentImporter = {
+            importDocuments: vi.fn()
+        };
+        ipcMain = {
+            handle: vi.fn()
+        };
+
+        register({ documentImporter, ipcMain });
+
+        // Collect registered handlers by channel name
+        handlers = {};
+        for (const call of ipcMain.handle.mock.calls) {
+            handlers[call[0]] = call[1];
+        }
+    });
+
+    it('registers 1 import IPC handler', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(1);
+        expect(handlers['import:documents']).toBeDefined();
+    });
+
+    describe('import:documents', () => {
+        it('returns the imported documents and errors', async () => {
+            const documents = [{ title: 'report', sourcePath: '/docs/report.docx', content: '# Report' }];
+            const errors = [{ sourcePath: '/docs/broken.odt', error: 'content.xml is missing' }];
+
+            documentImporter.importDocuments.mockResolvedValue({ documents, errors });
+
+            const result = await handlers['import:documents']({});
+
+            expect(result).toEqual({ success: true, documents, errors });
+        });
+
+        it('reports a cancelled dialog', async () => {
+            documentImporter.importDocuments.mockResolvedValue(null);
+
+            const result = await handlers['import:documents']({});
+
+            expect(result).toEqual({ success: false, cancelled: true });
+        });
+
+        it('throws when importDocuments throws', async () => {
+            documentImporter.importDocuments.mockRejectedValue(new Error('Dialog failed'));
+
+            await expect(handlers['import:documents']({})).rejects.toThrow('Dialog failed');
+        });
+    });
+});
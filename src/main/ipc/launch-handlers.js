@@ -0,0 +1,22 @@
+/**
+ * IPC Handlers — Launch Requests
+ * Handles: launch:get-pending
+ */
+
+const { createIPCHandler } = require('../utils/ipc-utils');
+
+/**
+ * Registra IPC handlers para arquivos e pastas recebidos pela linha de comando
+ * @param {Object} deps - Dependências
+ * @param {import('../launch-manager')} deps.launchManager - Instância do LaunchManager
+ * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
+ */
+function register({ launchManager, ipcMain }) {
+    ipcMain.handle('launch:get-pending', createIPCHandler(() => {
+        const requests = launchManager.takePendingRequests();
+
+        return { success: true, requests };
+    }, 'getting launch requests'));
+}
+
+module.exports = { register };
@@ -0,0 +1,55 @@
+/**
+ * Tests for launch-handlers IPC module
+ *
+ * @vitest-environment node
+ */
+
+const { register } = require('./launch-handlers');
+
+describe('launch-handlers', () => {
+    let launchManager;
+    let ipcMain;
+    let handlers;
+
+    beforeEach(() => {
+        launchManager = {
+            takePendingRequests: vi.fn()
+        };
+        ipcMain = {
+            handle: vi.fn()
+        };
+
+        register({ launchManager, ipcMain });
+
+        // Collect registered handlers by channel name
+        handlers = {};
+        for (const call of ipcMain.handle.mock.calls) {
+            handlers[call[0]] = call[1];
+        }
+    });
+
+    it('registers 1 launch IPC handler', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(1);
+        expect(handlers['launch:get-pending']).toBeDefined();
+    });
+
+    describe('launch:get-pending', () => {
+        it('returns the queued requests', async () => {
+            const requests = [{ workspace: '/notes', files: [], newFile: false }];
+
+            launchManager.takePendingRequests.mockReturnValue(requests);
+
+            const result = await handlers['launch:get-pending']({});
+
+            expect(result).toEqual({ success: true, requests });
+        });
+
+        it('throws when takePendingRequests throws', async () => {
+            launchManager.takePendingRequests.mockImplementation(() => {
+                throw new Error('boom');
+            });
+
+            await expect(handlers['launch:get-pending']({})).rejects.toThrow('boom');
+        });
+    });
+});
@@ -1,6 +1,6 @@
 /**
  * IPC Handlers — Link Analyzer Operations
- * Handles: graph:get-data
+ * Handles: graph:get-data, links:get-notes, links:plan-move, links:apply-move, links:discard-plan
  */
 
 const { createIPCHandler } = require('../utils/ipc-utils');
@@ -9,12 +9,41 @@ const { createIPCHandler } = require('../utils/ipc-utils');
  * Registra IPC handlers para operações de análise de links
  * @param {Object} deps - Dependências
  * @param {import('../link-analyzer-manager')} deps.linkAnalyzerManager - Instância do LinkAnalyzerManager
+ * @param {import('../link-refactor-manager')} deps.linkRefactorManager - Instância do LinkRefactorManager
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
-function register({ linkAnalyzerManager, ipcMain }) {
+function register({ linkAnalyzerManager, linkRefactorManager, ipcMain }) {
     ipcMain.handle('graph:get-data', createIPCHandler(async () => {
         return await linkAnalyzerManager.analyzeWorkspace();
     }, 'getting graph data'));
+
+    ipcMain.handle('links:get-notes', createIPCHandler(async () => {
+        const notes = await linkAnalyzerManager.listNotes();
+
+        return { success: true, notes };
+    }, 'listing notes'));
+
+    ipcMain.handle('links:plan-move', createIPCHandler(async (event, oldPath, newPath) => {
+        const plan = await linkRefactorManager.planMove(oldPath, newPath);
+
+        return { success: true, plan };
+    }, 'planning link updates'));
+
+    ipcMain.handle('links:apply-move', createIPCHandler(async (event, planId) => {
+        const result = await linkRefactorManager.applyPlan(planId);
+
+        return {
+            success: true,
+            linkCount: result.linkCount,
+            fileCount: result.fileCount,
+            updatedTabs: result.updatedTabs
+        };
+    }, 'applying link updates'));
+
+    ipcMain.handle('links:discard-plan', createIPCHandler(() => {
+        linkRefactorManager.discardPlan();
+        return { success: true };
+    }, 'discarding link updates'));
 }
 
 module.exports = { register };
@@ -9,18 +9,25 @@ const { register } = require('./link-analyzer-handlers');
 
 describe('link-analyzer-handlers', () => {
     let linkAnalyzerManager;
+    let linkRefactorManager;
     let ipcMain;
     let handlers;
 
     beforeEach(() => {
         linkAnalyzerManager = {
-            analyzeWorkspace: vi.fn()
+            analyzeWorkspace: vi.fn(),
+            listNotes: vi.fn()
+        };
+        linkRefactorManager = {
+            planMove: vi.fn(),
+            applyPlan: vi.fn(),
+            discardPlan: vi.fn()
         };
         ipcMain = {
             handle: vi.fn()
         };
 
-        register({ linkAnalyzerManager, ipcMain });
+        register({ linkAnalyzerManager, linkRefactorManager, ipcMain });
 
         // Collect registered handlers by channel name
         handlers = {};
@@ -29,9 +36,13 @@ describe('link-analyzer-handlers', () => {
         }
     });
 
-    it('registers 1 link-analyzer IPC handler', () => {
-        expect(ipcMain.handle).toHaveBeenCalledTimes(1);
+    it('registers 5 link-analyzer IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(5);
         expect(handlers['graph:get-data']).toBeDefined();
+        expect(handlers['links:get-notes']).toBeDefined();
+        expect(handlers['links:plan-move']).toBeDefined();
+        expect(handlers['links:apply-move']).toBeDefined();
+        expect(handlers['links:discard-plan']).toBeDefined();
     });
 
     describe('graph:get-data', () => {
@@ -66,4 +77,63 @@ describe('link-analyzer-handlers', () => {
             await expect(handlers['graph:get-data']({})).rejects.toThrow('fs error');
         });
     });
+
+    describe('links:get-notes', () => {
+        it('returns the notes of the workspace', async () => {
+            const notes = [{ name: 'readme', filePath: '/ws/readme.md', relativePath: 'readme.md' }];
+
+            linkAnalyzerManager.listNotes.mockResolvedValue(notes);
+
+            const result = await handlers['links:get-notes']({});
+
+            expect(result).toEqual({ success: true, notes });
+        });
+    });
+
+    describe('links:plan-move', () => {
+        it('returns the plan for the moved path', async () => {
+            const plan = { id: 'plan-1', linkCount: 2, files: [] };
+
+            linkRefactorManager.planMove.mockResolvedValue(plan);
+
+            const result = await handlers['links:plan-move']({}, '/ws/old.md', '/ws/new.md');
+
+            expect(linkRefactorManager.planMove).toHaveBeenCalledWith('/ws/old.md', '/ws/new.md');
+            expect(result).toEqual({ success: true, plan });
+        });
+
+        it('throws when there is no workspace', async () => {
+            linkRefactorManager.planMove.mockRejectedValue(new Error('No workspace open'));
+
+            await expect(handlers['links:plan-move']({}, '/a.md', '/b.md')).rejects.toThrow('No workspace open');
+        });
+    });
+
+    describe('links:apply-move', () => {
+        it('applies the plan and returns the updated tabs', async () => {
+            const updatedTabs = [{ tabId: 'tab-1', content: 'x', isModified: false }];
+
+            linkRefactorManager.applyPlan.mockResolvedValue({ linkCount: 3, fileCount: 2, updatedTabs });
+
+            const result = await handlers['links:apply-move']({}, 'plan-1');
+
+            expect(linkRefactorManager.applyPlan).toHaveBeenCalledWith('plan-1');
+            expect(result).toEqual({ success: true, linkCount: 3, fileCount: 2, updatedTabs });
+        });
+
+        it('throws when the plan is stale', async () => {
+            linkRefactorManager.applyPlan.mockRejectedValue(new Error('a.md changed since the preview, links were not updated'));
+
+            await expect(handlers['links:apply-move']({}, 'plan-1')).rejects.toThrow('changed since the preview');
+        });
+    });
+
+    describe('links:discard-plan', () => {
+        it('discards the pending plan', async () => {
+            const result = await handlers['links:discard-plan']({});
+
+            expect(linkRefactorManager.discardPlan).toHaveBeenCalledOnce();
+            expect(result).toEqual({ success: true });
+        });
+    });
 });
@@ -0,0 +1,41 @@
+/**
+ * IPC Handlers — Crash Recovery
+ * Handles: recovery:get-entries, recovery:resolve
+ */
+
+const fs = require('fs').promises;
+const { createIPCHandler } = require('../utils/ipc-utils');
+
+/**
+ * Add the current disk content to a recovered entry, to show what recovering would change
+ * @param {Object} entry - Recovered entry
+ * @returns {Promise<Object>} The entry with diskContent, null when there is no file
+ */
+function withDiskContent(entry) {
+    const diskContent = entry.filePath
+        ? fs.readFile(entry.filePath, 'utf-8').catch(() => null)
+        : Promise.resolve(null);
+
+    return diskContent.then(content => ({ ...entry, diskContent: content }));
+}
+
+/**
+ * Registra IPC handlers para recuperar o conteúdo não salvo após uma falha
+ * @param {Object} deps - Dependências
+ * @param {import('../recovery-journal')} deps.recoveryJournal - Instância do RecoveryJournal
+ * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
+ */
+function register({ recoveryJournal, ipcMain }) {
+    ipcMain.handle('recovery:get-entries', createIPCHandler(async () => {
+        const entries = await Promise.all(recoveryJournal.getRecoveredEntries().map(withDiskContent));
+
+        return { success: true, entries };
+    }, 'reading recovered buffers'));
+
+    ipcMain.handle('recovery:resolve', createIPCHandler(async () => {
+        await recoveryJournal.resolveRecovered();
+        return { success: true };
+    }, 'resolving recovered buffers'));
+}
+
+module.exports = { register };
@@ -0,0 +1,84 @@
+/**
+ * Tests for recovery-handlers IPC module
+ *
+ * @vitest-environment node
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { register } = require('./recovery-handlers');
+
+describe('recovery-handlers', () => {
+    let recoveryJournal;
+    let ipcMain;
+    let handlers;
+
+    beforeEach(() => {
+        recoveryJournal = {
+            getRecoveredEntries: vi.fn().mockReturnValue([]),
+            resolveRecovered: vi.fn().mockResolvedValue(undefined)
+        };
+        ipcMain = {
+            handle: vi.fn()
+        };
+
+        register({ recoveryJournal, ipcMain });
+
+        // Collect registered handlers by channel name
+        handlers = {};
+        for (const call of ipcMain.handle.mock.calls) {
+            handlers[call[0]] = call[1];
+        }
+    });
+
+    it('registers 2 recovery IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(2);
+        expect(handlers['recovery:get-entries']).toBeDefined();
+        expect(handlers['recovery:resolve']).toBeDefined();
+    });
+
+    describe('recovery:get-entries', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-recovery-ipc-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('returns the recovered buffers with the content on disk', async () => {
+            const filePath = path.join(directory, 'notes.md');
+
+            fs.writeFileSync(filePath, 'on disk');
+            recoveryJournal.getRecoveredEntries.mockReturnValue([
+                { tabId: 'a', filePath, content: 'unsaved' },
+                { tabId: 'b', filePath: null, content: 'draft' },
+                { tabId: 'c', filePath: path.join(directory, 'deleted.md'), content: 'orphan' }
+            ]);
+
+            const result = await handlers['recovery:get-entries']({});
+
+            expect(result.success).toBe(true);
+            expect(result.entries.map(entry => entry.diskContent)).toEqual(['on disk', null, null]);
+            expect(result.entries[0]).toMatchObject({ tabId: 'a', content: 'unsaved' });
+        });
+    });
+
+    describe('recovery:resolve', () => {
+        it('forgets the recovered buffers', async () => {
+            const result = await handlers['recovery:resolve']({});
+
+            expect(recoveryJournal.resolveRecovered).toHaveBeenCalledOnce();
+            expect(result).toEqual({ success: true });
+        });
+
+        it('throws when resolveRecovered throws', async () => {
+            recoveryJournal.resolveRecovered.mockRejectedValue(new Error('EACCES'));
+
+            await expect(handlers['recovery:resolve']({})).rejects.toThrow('EACCES');
+        });
+    });
+});
@@ -1,6 +1,7 @@
 /**
  * IPC Handlers — Global Search Operations
- * Handles: global-search:search
+ * Handles: global-search:search, global-search:plan-replace, global-search:apply-replace,
+ * global-search:undo-replace, global-search:discard-replace
  */
 
 const { createIPCHandler } = require('../utils/ipc-utils');
@@ -9,13 +10,37 @@ const { createIPCHandler } = require('../utils/ipc-utils');
  * Registra IPC handlers para operações de busca global
  * @param {Object} deps - Dependências
  * @param {import('../global-search-manager')} deps.globalSearchManager - Instância do GlobalSearchManager
+ * @param {import('../workspace-replace-manager')} deps.workspaceReplaceManager - Instância do WorkspaceReplaceManager
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
-function register({ globalSearchManager, ipcMain }) {
+function register({ globalSearchManager, workspaceReplaceManager, ipcMain }) {
     ipcMain.handle('global-search:search', createIPCHandler(async (event, searchText, options) => {
         const result = await globalSearchManager.searchInWorkspace(searchText, options);
         return result;
     }, 'performing global search'));
+
+    ipcMain.handle('global-search:plan-replace', createIPCHandler(async (event, searchText, replaceText, options) => {
+        const plan = await workspaceReplaceManager.planReplace(searchText, replaceText, options);
+
+        return { success: true, plan };
+    }, 'previewing workspace replace'));
+
+    ipcMain.handle('global-search:apply-replace', createIPCHandler(async (event, planId, matchIds) => {
+        const result = await workspaceReplaceManager.applyReplace(planId, matchIds);
+
+        return { success: true, ...result };
+    }, 'applying workspace replace'));
+
+    ipcMain.handle('global-search:undo-replace', createIPCHandler(async () => {
+        const result = await workspaceReplaceManager.undoReplace();
+
+        return { success: true, ...result };
+    }, 'undoing workspace replace'));
+
+    ipcMain.handle('global-search:discard-replace', createIPCHandler(() => {
+        workspaceReplaceManager.discardPlan();
+        return { success: true };
+    }, 'discarding workspace replace'));
 }
 
 module.exports = { register };
@@ -9,6 +9,7 @@ const { register } = require('./search-handlers');
 
 describe('search-handlers', () => {
     let globalSearchManager;
+    let workspaceReplaceManager;
     let ipcMain;
     let handlers;
 
@@ -16,11 +17,17 @@ describe('search-handlers', () => {
         globalSearchManager = {
             searchInWorkspace: vi.fn()
         };
+        workspaceReplaceManager = {
+            planReplace: vi.fn(),
+            applyReplace: vi.fn(),
+            undoReplace: vi.fn(),
+            discardPlan: vi.fn()
+        };
         ipcMain = {
             handle: vi.fn()
         };
 
-        register({ globalSearchManager, ipcMain });
+        register({ globalSearchManager, workspaceReplaceManager, ipcMain });
 
         // Collect registered handlers by channel name
         handlers = {};
@@ -29,9 +36,13 @@ describe('search-handlers', () => {
         }
     });
 
-    it('registers the global-search:search IPC handler', () => {
-        expect(ipcMain.handle).toHaveBeenCalledTimes(1);
+    it('registers 5 IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(5);
         expect(handlers['global-search:search']).toBeDefined();
+        expect(handlers['global-search:plan-replace']).toBeDefined();
+        expect(handlers['global-search:apply-replace']).toBeDefined();
+        expect(handlers['global-search:undo-replace']).toBeDefined();
+        expect(handlers['global-search:discard-replace']).toBeDefined();
     });
 
     describe('global-search:search', () => {
@@ -61,4 +72,54 @@ describe('search-handlers', () => {
             await expect(handlers['global-search:search']({}, 'test', {})).rejects.toThrow('search failed');
         });
     });
+
+    describe('global-search:plan-replace', () => {
+        it('returns the preview from workspaceReplaceManager.planReplace', async () => {
+            const plan = { id: 'plan-1', matchCount: 1, files: [] };
+
+            workspaceReplaceManager.planReplace.mockResolvedValue(plan);
+
+            const result = await handlers['global-search:plan-replace']({}, 'todo', 'done', { useRegex: false });
+
+            expect(workspaceReplaceManager.planReplace).toHaveBeenCalledWith('todo', 'done', { useRegex: false });
+            expect(result).toEqual({ success: true, plan });
+        });
+    });
+
+    describe('global-search:apply-replace', () => {
+        it('applies the selected matches', async () => {
+            const applied = { replaceCount: 2, fileCount: 1, updatedTabs: [], canUndo: true };
+
+            workspaceReplaceManager.applyReplace.mockResolvedValue(applied);
+
+            const result = await handlers['global-search:apply-replace']({}, 'plan-1', ['0:0', '0:1']);
+
+            expect(workspaceReplaceManager.applyReplace).toHaveBeenCalledWith('plan-1', ['0:0', '0:1']);
+            expect(result).toEqual({ success: true, ...applied });
+        });
+
+        it('throws when the plan cannot be applied', async () => {
+            workspaceReplaceManager.applyReplace.mockRejectedValue(new Error('a.md changed in the meantime'));
+
+
+            await expect(handlers['global-search:apply-replace']({}, 'plan-1', [])).rejects.toThrow('changed in the meantime');
+        });
+    });
+
+    describe('global-search:undo-replace', () => {
+        it('undoes the last replace', async () => {
+            workspaceReplaceManager.undoReplace.mockResolvedValue({ replaceCount: 2, fileCount: 1, updatedTabs: [], canUndo: false });
+
+            const result = await handlers['global-search:undo-replace']({});
+
+            expect(result).toEqual({ success: true, replaceCount: 2, fileCount: 1, updatedTabs: [], canUndo: false });
+        });
+    });
+
+    describe('global-search:discard-replace', () => {
+        it('discards the pending preview', async () => {
+            expect(await handlers['global-search:discard-replace']({})).toEqual({ success: true });
+            expect(workspaceReplaceManager.discardPlan).toHaveBeenCalled();
+        });
+    });
 });
@@ -2,7 +2,8 @@
  * IPC Handlers — Keyboard Shortcut Operations
  * Handles: shortcuts:get, shortcuts:set, shortcuts:reset, shortcuts:reset-all,
  *          shortcuts:get-all, shortcuts:get-available-actions, shortcuts:check-conflict,
- *          shortcuts:get-default
+ *          shortcuts:get-default, shortcuts:remove, shortcuts:get-conflicts, shortcuts:get-presets,
+ *          shortcuts:apply-preset, shortcuts:export-keymap, shortcuts:import-keymap
  */
 
 const { createIPCHandler } = require('../utils/ipc-utils');
@@ -59,6 +60,40 @@ function register({ keyboardShortcutManager, ipcMain }) {
 
         return { success: true, shortcut };
     }, 'getting default shortcut'));
+
+    ipcMain.handle('shortcuts:remove', createIPCHandler(async (event, actionId) => {
+        keyboardShortcutManager.removeShortcut(actionId);
+        return { success: true };
+    }, 'removing shortcut'));
+
+    ipcMain.handle('shortcuts:get-conflicts', createIPCHandler(async () => {
+        const conflicts = keyboardShortcutManager.getConflicts();
+
+        return { success: true, conflicts };
+    }, 'getting shortcut conflicts'));
+
+    ipcMain.handle('shortcuts:get-presets', createIPCHandler(async () => {
+        const presets = keyboardShortcutManager.getPresets();
+
+        return { success: true, presets };
+    }, 'getting keymap presets'));
+
+    ipcMain.handle('shortcuts:apply-preset', createIPCHandler(async (event, presetId) => {
+        keyboardShortcutManager.applyPreset(presetId);
+        return { success: true };
+    }, 'applying keymap preset'));
+
+    ipcMain.handle('shortcuts:export-keymap', createIPCHandler(async (event, format) => {
+        const filePath = await keyboardShortcutManager.exportKeymapFile(format);
+
+        return filePath ? { success: true, filePath } : { success: false, cancelled: true };
+    }, 'exporting keymap'));
+
+    ipcMain.handle('shortcuts:import-keymap', createIPCHandler(async () => {
+        const result = await keyboardShortcutManager.importKeymapFile();
+
+        return result ? { success: true, ...result } : { success: false, cancelled: true };
+    }, 'importing keymap'));
 }
 
 module.exports = { register };
@@ -22,7 +22,13 @@ describe('shortcut-handlers', () => {
             getAvailableActions: vi.fn(),
             hasConflict: vi.fn(),
             getConflictingAction: vi.fn(),
-            getDefaultShortcut: vi.fn()
+            getDefaultShortcut: vi.fn(),
+            removeShortcut: vi.fn(),
+            getConflicts: vi.fn(),
+            getPresets: vi.fn(),
+            applyPreset: vi.fn(),
+            exportKeymapFile: vi.fn(),
+            importKeymapFile: vi.fn()
         };
         ipcMain = {
             handle: vi.fn()
@@ -37,8 +43,8 @@ describe('shortcut-handlers', () => {
         }
     });
 
-    it('registers all 8 shortcut IPC handlers', () => {
-        expect(ipcMain.handle).toHaveBeenCalledTimes(8);
+    it('registers all 14 shortcut IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(14);
         expect(handlers['shortcuts:get']).toBeDefined();
         expect(handlers['shortcuts:set']).toBeDefined();
         expect(handlers['shortcuts:reset']).toBeDefined();
@@ -47,6 +53,12 @@ describe('shortcut-handlers', () => {
         expect(handlers['shortcuts:get-available-actions']).toBeDefined();
         expect(handlers['shortcuts:check-conflict']).toBeDefined();
         expect(handlers['shortcuts:get-default']).toBeDefined();
+        expect(handlers['shortcuts:remove']).toBeDefined();
+        expect(handlers['shortcuts:get-conflicts']).toBeDefined();
+        expect(handlers['shortcuts:get-presets']).toBeDefined();
+        expect(handlers['shortcuts:apply-preset']).toBeDefined();
+        expect(handlers['shortcuts:export-keymap']).toBeDefined();
+        expect(handlers['shortcuts:import-keymap']).toBeDefined();
     });
 
     describe('shortcuts:get', () => {
@@ -202,4 +214,72 @@ describe('shortcut-handlers', () => {
             await expect(handlers['shortcuts:get-default']({}, 'save')).rejects.toThrow('default error');
         });
     });
+
+    describe('shortcuts:remove', () => {
+        it('removes the shortcut of the given action', async () => {
+            const result = await handlers['shortcuts:remove']({}, 'file:save');
+
+            expect(keyboardShortcutManager.removeShortcut).toHaveBeenCalledWith('file:save');
+            expect(result).toEqual({ success: true });
+        });
+    });
+
+    describe('shortcuts:get-conflicts', () => {
+        it('returns the conflicts of the current shortcuts', async () => {
+            const conflicts = [{ type: 'duplicate', key: 'Mod-S', actionIds: ['file:save', 'view:toggle-theme'] }];
+            keyboardShortcutManager.getConflicts.mockReturnValue(conflicts);
+
+            const result = await handlers['shortcuts:get-conflicts']({});
+
+            expect(result).toEqual({ success: true, conflicts });
+        });
+    });
+
+    describe('shortcuts:get-presets and shortcuts:apply-preset', () => {
+        it('returns the presets and applies one', async () => {
+            const presets = [{ id: 'vscode', name: 'VS Code' }];
+            keyboardShortcutManager.getPresets.mockReturnValue(presets);
+
+            expect(await handlers['shortcuts:get-presets']({})).toEqual({ success: true, presets });
+            expect(await handlers['shortcuts:apply-preset']({}, 'vscode')).toEqual({ success: true });
+            expect(keyboardShortcutManager.applyPreset).toHaveBeenCalledWith('vscode');
+        });
+
+        it('throws when the preset does not exist', async () => {
+            keyboardShortcutManager.applyPreset.mockImplementation(() => { throw new Error('Unknown keymap preset: x'); });
+
+            await expect(handlers['shortcuts:apply-preset']({}, 'x')).rejects.toThrow('Unknown keymap preset');
+        });
+    });
+
+    describe('shortcuts:export-keymap', () => {
+        it('exports the keymap in the given format', async () => {
+            keyboardShortcutManager.exportKeymapFile.mockResolvedValue('/tmp/keybindings.json');
+
+            const result = await handlers['shortcuts:export-keymap']({}, 'vscode');
+
+            expect(keyboardShortcutManager.exportKeymapFile).toHaveBeenCalledWith('vscode');
+            expect(result).toEqual({ success: true, filePath: '/tmp/keybindings.json' });
+        });
+
+        it('reports a cancelled export', async () => {
+            keyboardShortcutManager.exportKeymapFile.mockResolvedValue(null);
+
+            expect(await handlers['shortcuts:export-keymap']({}, 'native')).toEqual({ success: false, cancelled: true });
+        });
+    });
+
+    describe('shortcuts:import-keymap', () => {
+        it('returns how many shortcuts were imported', async () => {
+            keyboardShortcutManager.importKeymapFile.mockResolvedValue({ imported: 3, skipped: 1 });
+
+            expect(await handlers['shortcuts:import-keymap']({})).toEqual({ success: true, imported: 3, skipped: 1 });
+        });
+
+        it('reports a cancelled import', async () => {
+            keyboardShortcutManager.importKeymapFile.mockResolvedValue(null);
+
+            expect(await handlers['shortcuts:import-keymap']({})).toEqual({ success: false, cancelled: true });
+        });
+    });
 });
@@ -12,18 +12,22 @@ const { createIPCHandler } = require('../utils/ipc-utils');
  * Registra IPC handlers para operações de tab
  * @param {Object} deps - Dependências
  * @param {import('../tab-manager')} deps.tabManager - Instância do TabManager
+ * @param {import('../file-watcher-manager')} deps.fileWatcherManager - Instância do FileWatcherManager
+ * @param {import('../recovery-journal')} deps.recoveryJournal - Instância do RecoveryJournal
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
-function register({ tabManager, ipcMain }) {
-    ipcMain.handle('tab:create', createIPCHandler(async (event, filePath, content) => {
-        const tab = tabManager.createTab(filePath, content);
+function register({ tabManager, fileWatcherManager, recoveryJournal, ipcMain }) {
+    ipcMain.handle('tab:create', createIPCHandler(async (event, filePath, content, options) => {
+        const tab = tabManager.createTab(filePath, content, options);
 
+        fileWatcherManager.syncWithTabs();
         return { success: true, tab };
     }, 'creating tab'));
 
     ipcMain.handle('tab:close', createIPCHandler(async (event, tabId) => {
         const result = tabManager.closeTab(tabId);
 
+        fileWatcherManager.syncWithTabs();
         return { success: result };
     }, 'closing tab'));
 
@@ -88,8 +92,10 @@ function register({ tabManager, ipcMain }) {
     }, 'saving tabs'));
 
     ipcMain.handle('tab:restore', createIPCHandler(async () => {
-        const result = tabManager.restoreTabs();
+        // Tabs left unsaved by a clean quit come back with their unsaved content
+        const result = tabManager.restoreTabs(recoveryJournal.getHotExitContent());
 
+        fileWatcherManager.syncWithTabs();
         return { success: result };
     }, 'restoring tabs'));
 
@@ -107,6 +113,8 @@ function register({ tabManager, ipcMain }) {
 
     ipcMain.handle('tab:update-filepath', createIPCHandler(async (event, tabId, filePath) => {
         const result = tabManager.updateTabFilePath(tabId, filePath);
+
+        fileWatcherManager.syncWithTabs();
         return { success: result };
     }, 'updating tab filepath'));
 }
@@ -9,6 +9,8 @@ const { register } = require('./tab-handlers');
 
 describe('tab-handlers', () => {
     let tabManager;
+    let fileWatcherManager;
+    let recoveryJournal;
     let ipcMain;
     let handlers;
 
@@ -32,11 +34,17 @@ describe('tab-handlers', () => {
             getNextTabId: vi.fn(),
             getPreviousTabId: vi.fn()
         };
+        fileWatcherManager = {
+            syncWithTabs: vi.fn()
+        };
+        recoveryJournal = {
+            getHotExitContent: vi.fn().mockReturnValue({ 'tab-1': 'unsaved' })
+        };
         ipcMain = {
             handle: vi.fn()
         };
 
-        register({ tabManager, ipcMain });
+        register({ tabManager, fileWatcherManager, recoveryJournal, ipcMain });
 
         // Collect registered handlers by channel name
         handlers = {};
@@ -70,12 +78,20 @@ describe('tab-handlers', () => {
             const mockTab = { id: 'tab-1', filePath: '/test.md', content: '# Hello' };
             tabManager.createTab.mockReturnValue(mockTab);
 
-            const result = await handlers['tab:create']({}, '/test.md', '# Hello');
+            const result = await handlers['tab:create']({}, '/test.md', '# Hello', { isModified: true });
 
-            expect(tabManager.createTab).toHaveBeenCalledWith('/test.md', '# Hello');
+            expect(tabManager.createTab).toHaveBeenCalledWith('/test.md', '# Hello', { isModified: true });
             expect(result).toEqual({ success: true, tab: mockTab });
         });
 
+        it('starts watching the new tab file', async () => {
+            tabManager.createTab.mockReturnValue({ id: 'tab-1', filePath: '/test.md' });
+
+            await handlers['tab:create']({}, '/test.md', '');
+
+            expect(fileWatcherManager.syncWithTabs).toHaveBeenCalledOnce();
+        });
+
         it('throws when tabManager.createTab throws', async () => {
             tabManager.createTab.mockImplementation(() => { throw new Error('create failed'); });
 
@@ -91,6 +107,7 @@ describe('tab-handlers', () => {
 
             expect(tabManager.closeTab).toHaveBeenCalledWith('tab-1');
             expect(result).toEqual({ success: true });
+            expect(fileWatcherManager.syncWithTabs).toHaveBeenCalledOnce();
         });
 
         it('returns success false when tab not found', async () => {
@@ -292,8 +309,9 @@ describe('tab-handlers', () => {
 
             const result = await handlers['tab:restore']({});
 
-            expect(tabManager.restoreTabs).toHaveBeenCalledOnce();
+            expect(tabManager.restoreTabs).toHaveBeenCalledWith({ 'tab-1': 'unsaved' });
             expect(result).toEqual({ success: true });
+            expect(fileWatcherManager.syncWithTabs).toHaveBeenCalledOnce();
         });
 
         it('returns success false when no tabs to restore', async () => {
@@ -351,6 +369,7 @@ describe('tab-handlers', () => {
 
             expect(tabManager.updateTabFilePath).toHaveBeenCalledWith('tab-1', '/new/path.md');
             expect(result).toEqual({ success: true });
+            expect(fileWatcherManager.syncWithTabs).toHaveBeenCalledOnce();
         });
 
         it('returns success false when tab not found', async () => {
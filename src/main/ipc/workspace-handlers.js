@@ -1,6 +1,8 @@
 /**
  * IPC Handlers — Workspace Operations
- * Handles: workspace:open, workspace:close, workspace:get-path, workspace:get-tree, workspace:restore, workspace:toggle-folder
+ * Handles: workspace:open, workspace:open-path, workspace:close, workspace:get-path, workspace:get-tree, workspace:restore, workspace:toggle-folder,
+ *          workspace:create-file, workspace:create-folder, workspace:rename, workspace:move, workspace:duplicate,
+ *          workspace:trash
  */
 
 const { createIPCHandler } = require('../utils/ipc-utils');
@@ -9,14 +11,35 @@ const { createIPCHandler } = require('../utils/ipc-utils');
  * Registra IPC handlers para operações de workspace
  * @param {Object} deps - Dependências
  * @param {import('../workspace-manager')} deps.workspaceManager - Instância do WorkspaceManager
+ * @param {import('../tab-manager')} deps.tabManager - Instância do TabManager
+ * @param {import('../file-watcher-manager')} deps.fileWatcherManager - Instância do FileWatcherManager
  * @param {Electron.IpcMain} deps.ipcMain - Instância do ipcMain do Electron
  */
-function register({ workspaceManager, ipcMain }) {
+function register({ workspaceManager, tabManager, fileWatcherManager, ipcMain }) {
+    /**
+     * Aponta as tabs abertas para o novo caminho após rename/move
+     * @param {{oldPath: string, newPath: string}} result - Resultado da operação
+     * @returns {Array<{tabId: string, filePath: string, title: string}>} Tabs atualizadas
+     */
+    function updateTabsForMove(result) {
+        const updatedTabs = tabManager.updateFilePathsForMove(result.oldPath, result.newPath);
+
+        if (updatedTabs.length > 0) {
+            fileWatcherManager.syncWithTabs();
+        }
+        return updatedTabs;
+    }
+
     ipcMain.handle('workspace:open', createIPCHandler(async () => {
         const result = await workspaceManager.openWorkspace();
         return result;
     }, 'opening workspace'));
 
+    ipcMain.handle('workspace:open-path', createIPCHandler(async (event, folderPath) => {
+        const result = await workspaceManager.openWorkspacePath(folderPath);
+        return result;
+    }, 'opening workspace folder'));
+
     ipcMain.handle('workspace:close', createIPCHandler(async () => {
         const result = workspaceManager.closeWorkspace();
         return result;
@@ -41,6 +64,40 @@ function register({ workspaceManager, ipcMain }) {
         const result = await workspaceManager.toggleFolder(folderPath, isExpanded);
         return result;
     }, 'toggling folder'));
+
+    ipcMain.handle('workspace:create-file', createIPCHandler(async (event, parentPath, name) => {
+        const result = await workspaceManager.createFile(parentPath, name);
+        return result;
+    }, 'creating file'));
+
+    ipcMain.handle('workspace:create-folder', createIPCHandler(async (event, parentPath, name) => {
+        const result = await workspaceManager.createFolder(parentPath, name);
+        return result;
+    }, 'creating folder'));
+
+    ipcMain.handle('workspace:rename', createIPCHandler(async (event, oldPath, newName) => {
+        const result = await workspaceManager.renamePath(oldPath, newName);
+        const updatedTabs = updateTabsForMove(result);
+
+        return { success: true, oldPath: result.oldPath, newPath: result.newPath, updatedTabs };
+    }, 'renaming path'));
+
+    ipcMain.handle('workspace:move', createIPCHandler(async (event, sourcePath, targetFolder) => {
+        const result = await workspaceManager.movePath(sourcePath, targetFolder);
+        const updatedTabs = updateTabsForMove(result);
+
+        return { success: true, oldPath: result.oldPath, newPath: result.newPath, updatedTabs };
+    }, 'moving path'));
+
+    ipcMain.handle('workspace:duplicate', createIPCHandler(async (event, filePath) => {
+        const result = await workspaceManager.duplicateFile(filePath);
+        return result;
+    }, 'duplicating file'));
+
+    ipcMain.handle('workspace:trash', createIPCHandler(async (event, targetPath) => {
+        const result = await workspaceManager.trashPath(targetPath);
+        return result;
+    }, 'moving path to trash'));
 }
 
 module.exports = { register };
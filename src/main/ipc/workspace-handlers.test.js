@@ -9,23 +9,38 @@ const { register } = require('./workspace-handlers');
 
 describe('workspace-handlers', () => {
     let workspaceManager;
+    let tabManager;
+    let fileWatcherManager;
     let ipcMain;
     let handlers;
 
     beforeEach(() => {
         workspaceManager = {
             openWorkspace: vi.fn(),
+            openWorkspacePath: vi.fn(),
             closeWorkspace: vi.fn(),
             getWorkspacePath: vi.fn(),
             getWorkspaceTree: vi.fn(),
             restoreWorkspace: vi.fn(),
-            toggleFolder: vi.fn()
+            toggleFolder: vi.fn(),
+            createFile: vi.fn(),
+            createFolder: vi.fn(),
+            renamePath: vi.fn(),
+            movePath: vi.fn(),
+            duplicateFile: vi.fn(),
+            trashPath: vi.fn()
+        };
+        tabManager = {
+            updateFilePathsForMove: vi.fn().mockReturnValue([])
+        };
+        fileWatcherManager = {
+            syncWithTabs: vi.fn()
         };
         ipcMain = {
             handle: vi.fn()
         };
 
-        register({ workspaceManager, ipcMain });
+        register({ workspaceManager, tabManager, fileWatcherManager, ipcMain });
 
         // Collect registered handlers by channel name
         handlers = {};
@@ -34,14 +49,21 @@ describe('workspace-handlers', () => {
         }
     });
 
-    it('registers all 6 workspace IPC handlers', () => {
-        expect(ipcMain.handle).toHaveBeenCalledTimes(6);
+    it('registers all 13 workspace IPC handlers', () => {
+        expect(ipcMain.handle).toHaveBeenCalledTimes(13);
         expect(handlers['workspace:open']).toBeDefined();
+        expect(handlers['workspace:open-path']).toBeDefined();
         expect(handlers['workspace:close']).toBeDefined();
         expect(handlers['workspace:get-path']).toBeDefined();
         expect(handlers['workspace:get-tree']).toBeDefined();
         expect(handlers['workspace:restore']).toBeDefined();
         expect(handlers['workspace:toggle-folder']).toBeDefined();
+        expect(handlers['workspace:create-file']).toBeDefined();
+        expect(handlers['workspace:create-folder']).toBeDefined();
+        expect(handlers['workspace:rename']).toBeDefined();
+        expect(handlers['workspace:move']).toBeDefined();
+        expect(handlers['workspace:duplicate']).toBeDefined();
+        expect(handlers['workspace:trash']).toBeDefined();
     });
 
     describe('workspace:open', () => {
@@ -62,6 +84,18 @@ describe('workspace-handlers', () => {
         });
     });
 
+    describe('workspace:open-path', () => {
+        it('opens the given folder', async () => {
+            const mockResult = { success: true, workspacePath: '/my/workspace', tree: [] };
+            workspaceManager.openWorkspacePath.mockResolvedValue(mockResult);
+
+            const result = await handlers['workspace:open-path']({}, '/my/workspace');
+
+            expect(workspaceManager.openWorkspacePath).toHaveBeenCalledWith('/my/workspace');
+            expect(result).toEqual(mockResult);
+        });
+    });
+
     describe('workspace:close', () => {
         it('calls workspaceManager.closeWorkspace and returns result', async () => {
             const mockResult = { success: true };
@@ -171,4 +205,109 @@ describe('workspace-handlers', () => {
             await expect(handlers['workspace:toggle-folder']({}, '/bad/path', true)).rejects.toThrow('toggle failed');
         });
     });
+
+    describe('workspace:create-file', () => {
+        it('calls workspaceManager.createFile with parent folder and name', async () => {
+            const mockResult = { success: true, filePath: '/ws/notes/new.md' };
+            workspaceManager.createFile.mockResolvedValue(mockResult);
+
+            const result = await handlers['workspace:create-file']({}, '/ws/notes', 'new');
+
+            expect(workspaceManager.createFile).toHaveBeenCalledWith('/ws/notes', 'new');
+            expect(result).toEqual(mockResult);
+        });
+
+        it('throws when workspaceManager.createFile throws', async () => {
+            workspaceManager.createFile.mockRejectedValue(new Error('A file or folder with that name already exists'));
+
+            await expect(handlers['workspace:create-file']({}, '/ws', 'a.md')).rejects.toThrow('already exists');
+        });
+    });
+
+    describe('workspace:create-folder', () => {
+        it('calls workspaceManager.createFolder with parent folder and name', async () => {
+            const mockResult = { success: true, folderPath: '/ws/drafts' };
+            workspaceManager.createFolder.mockResolvedValue(mockResult);
+
+            const result = await handlers['workspace:create-folder']({}, '/ws', 'drafts');
+
+            expect(workspaceManager.createFolder).toHaveBeenCalledWith('/ws', 'drafts');
+            expect(result).toEqual(mockResult);
+        });
+    });
+
+    describe('workspace:rename', () => {
+        it('renames the path and returns the tabs that were updated', async () => {
+            const updatedTabs = [{ tabId: 'tab-1', filePath: '/ws/b.md', title: 'b.md' }];
+            workspaceManager.renamePath.mockResolvedValue({ success: true, oldPath: '/ws/a.md', newPath: '/ws/b.md' });
+            tabManager.updateFilePathsForMove.mockReturnValue(updatedTabs);
+
+            const result = await handlers['workspace:rename']({}, '/ws/a.md', 'b.md');
+
+            expect(workspaceManager.renamePath).toHaveBeenCalledWith('/ws/a.md', 'b.md');
+            expect(tabManager.updateFilePathsForMove).toHaveBeenCalledWith('/ws/a.md', '/ws/b.md');
+            expect(fileWatcherManager.syncWithTabs).toHaveBeenCalledOnce();
+            expect(result).toEqual({ success: true, oldPath: '/ws/a.md', newPath: '/ws/b.md', updatedTabs });
+        });
+
+        it('does not resync watchers when no tab was affected', async () => {
+            workspaceManager.renamePath.mockResolvedValue({ success: true, oldPath: '/ws/a.md', newPath: '/ws/b.md' });
+
+            const result = await handlers['workspace:rename']({}, '/ws/a.md', 'b.md');
+
+            expect(fileWatcherManager.syncWithTabs).not.toHaveBeenCalled();
+            expect(result.updatedTabs).toEqual([]);
+        });
+
+        it('does not touch tabs when the rename fails', async () => {
+            workspaceManager.renamePath.mockRejectedValue(new Error('Invalid file or folder name'));
+
+            await expect(handlers['workspace:rename']({}, '/ws/a.md', '')).rejects.toThrow('Invalid file or folder name');
+            expect(tabManager.updateFilePathsForMove).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('workspace:move', () => {
+        it('moves the path and updates tabs of files inside it', async () => {
+            const updatedTabs = [{ tabId: 'tab-2', filePath: '/ws/archive/notes/a.md', title: 'a.md' }];
+            workspaceManager.movePath.mockResolvedValue({ success: true, oldPath: '/ws/notes', newPath: '/ws/archive/notes' });
+            tabManager.updateFilePathsForMove.mockReturnValue(updatedTabs);
+
+            const result = await handlers['workspace:move']({}, '/ws/notes', '/ws/archive');
+
+            expect(workspaceManager.movePath).toHaveBeenCalledWith('/ws/notes', '/ws/archive');
+            expect(tabManager.updateFilePathsForMove).toHaveBeenCalledWith('/ws/notes', '/ws/archive/notes');
+            expect(result.updatedTabs).toEqual(updatedTabs);
+        });
+    });
+
+    describe('workspace:duplicate', () => {
+        it('calls workspaceManager.duplicateFile and returns result', async () => {
+            const mockResult = { success: true, filePath: '/ws/a copy.md' };
+            workspaceManager.duplicateFile.mockResolvedValue(mockResult);
+
+            const result = await handlers['workspace:duplicate']({}, '/ws/a.md');
+
+            expect(workspaceManager.duplicateFile).toHaveBeenCalledWith('/ws/a.md');
+            expect(result).toEqual(mockResult);
+        });
+    });
+
+    describe('workspace:trash', () => {
+        it('calls workspaceManager.trashPath and returns result', async () => {
+            const mockResult = { success: true, deletedPath: '/ws/a.md' };
+            workspaceManager.trashPath.mockResolvedValue(mockResult);
+
+            const result = await handlers['workspace:trash']({}, '/ws/a.md');
+
+            expect(workspaceManager.trashPath).toHaveBeenCalledWith('/ws/a.md');
+            expect(result).toEqual(mockResult);
+        });
+
+        it('throws when workspaceManager.trashPath throws', async () => {
+            workspaceManager.trashPath.mockRejectedValue(new Error('Path is not within the current workspace'));
+
+            await expect(handlers['workspace:trash']({}, '/etc/passwd')).rejects.toThrow('not within the current workspace');
+        });
+    });
 });
@@ -1,15 +1,96 @@
 /**
  * KeyboardShortcutManager - Manages customizable keyboard shortcuts
  * Handles shortcut configuration, conflict detection, and persistence
+ * Shortcuts may be chords ("Mod-K Mod-T") and apply only in the context of their
+ * action's `when` condition. Keymaps can be exported and imported, in the app's own
+ * format or as VS Code keybindings.json.
  * Requirements: 5.1, 5.2, 5.3, 5.4, 5.5, 5.6, 5.7
  */
 
+const { dialog, BrowserWindow } = require('electron');
+const fs = require('fs').promises;
+const {
+    findConflicts,
+    fromVSCodeKey,
+    normalizeKeyBinding,
+    parseKeyBinding,
+    toVSCodeKey
+} = require('../renderer/features/key-bindings');
+
+const KEYMAP_VERSION = 1;
+
+/**
+ * VS Code commands of the actions, for keybindings.json import and export
+ */
+const VSCODE_COMMANDS = {
+    'file:new': 'workbench.action.files.newUntitledFile',
+    'file:open': 'workbench.action.files.openFile',
+    'file:save': 'workbench.action.files.save',
+    'file:save-as': 'workbench.action.files.saveAs',
+    'edit:undo': 'undo',
+    'edit:redo': 'redo',
+    'edit:cut': 'editor.action.clipboardCutAction',
+    'edit:copy': 'editor.action.clipboardCopyAction',
+    'edit:paste': 'editor.action.clipboardPasteAction',
+    'edit:select-all': 'editor.action.selectAll',
+    'edit:select-next-occurrence': 'editor.action.addSelectionToNextFindMatch',
+    'edit:clear-extra-cursors': 'removeSecondaryCursors',
+    'view:toggle-preview': 'markdown.showPreview',
+    'view:select-theme': 'workbench.action.selectTheme',
+    'view:focus-mode': 'workbench.action.toggleZenMode',
+    'view:toggle-sidebar': 'workbench.action.toggleSidebarVisibility',
+    'view:toggle-explorer': 'workbench.view.explorer',
+    'view:toggle-outline': 'outline.focus',
+    'nav:next-tab': 'workbench.action.nextEditor',
+    'nav:previous-tab': 'workbench.action.previousEditor',
+    'nav:close-tab': 'workbench.action.closeActiveEditor',
+    'search:find': 'actions.find',
+    'search:find-next': 'editor.action.nextMatchFindAction',
+    'search:find-previous': 'editor.action.previousMatchFindAction',
+    'search:replace': 'editor.action.startFindReplaceAction',
+    'tools:command-palette': 'workbench.action.showCommands',
+    'tools:find-in-files': 'workbench.action.findInFiles',
+    'tools:keyboard-shortcuts': 'workbench.action.openGlobalKeybindings'
+};
+
+/**
+ * VS Code names of the context keys, for keybindings.json import and export
+ */
+const VSCODE_CONTEXT_KEYS = {
+    editorFocus: 'editorTextFocus'
+};
+
+/**
+ * Built-in keymaps; a preset replaces every custom shortcut with its own
+ */
+const PRESETS = {
+    default: {
+        name: 'Default',
+        shortcuts: {}
+    },
+    vscode: {
+        name: 'VS Code',
+        shortcuts: {
+            'edit:redo': 'Mod-Y',
+            'view:toggle-preview': 'Mod-Shift-V',
+            'view:focus-mode': 'Mod-K Z',
+            'nav:next-tab': 'Mod-PageDown',
+            'nav:previous-tab': 'Mod-PageUp'
+        }
+    }
+};
+
 class KeyboardShortcutManager {
-    constructor(configStore) {
+    /**
+     * @param {Object} configStore - ConfigStore instance
+     * @param {boolean} [isMac] - Whether Mod is Cmd, for comparing bindings
+     */
+    constructor(configStore, isMac = process.platform === 'darwin') {
         if (!configStore) {
             throw new Error('ConfigStore is required');
         }
         this.configStore = configStore;
+        this.isMac = isMac;
 
         // Define default keyboard shortcuts for all actions
         // Platform-specific modifiers handled by renderer
@@ -38,15 +119,17 @@ class KeyboardShortcutManager {
             'format:bold': 'Mod-B',
             'format:italic': 'Mod-I',
             'format:code': 'Mod-`',
-            'format:heading': 'Mod-H',
+            'format:heading': 'Mod-Shift-H',
             'format:list': 'Mod-L',
 
             // View operations
             'view:toggle-preview': 'Mod-P',
             'view:toggle-theme': 'Mod-T',
+            'view:select-theme': 'Mod-K Mod-T',
             'view:focus-mode': 'F11',
-            'view:toggle-statistics': 'Mod-Shift-S',
+            'view:toggle-statistics': 'Mod-K Mod-I',
             'view:toggle-sidebar': 'Mod-Shift-B',
+            'view:toggle-explorer': 'Mod-K Mod-E',
             'view:toggle-outline': 'Mod-Shift-O',
             'view:toggle-typewriter': 'Mod-Shift-T',
 
@@ -64,7 +147,26 @@ class KeyboardShortcutManager {
             // Tools operations
             'tools:command-palette': 'Mod-Shift-P',
             'tools:edit-table': 'Mod-Shift-M',
-            'tools:find-in-files': 'Mod-Shift-F'
+            'tools:find-in-files': 'Mod-Shift-F',
+            'tools:keyboard-shortcuts': 'Mod-K Mod-S'
+        };
+
+        // Contexts the shortcuts apply in (`when` conditions); the others apply everywhere.
+        // Formatting acts on the editor, and the tabs and files stay put while the table editor is open.
+        this.actionConditions = {
+            'file:new': '!tableEditorOpen',
+            'file:open': '!tableEditorOpen',
+            'edit:select-next-occurrence': 'editorFocus',
+            'edit:clear-extra-cursors': 'editorFocus',
+            'format:bold': 'editorFocus',
+            'format:italic': 'editorFocus',
+            'format:code': 'editorFocus',
+            'format:heading': 'editorFocus',
+            'format:list': 'editorFocus',
+            'nav:next-tab': '!tableEditorOpen',
+            'nav:previous-tab': '!tableEditorOpen',
+            'nav:close-tab': '!tableEditorOpen',
+            'tools:edit-table': 'editorFocus'
         };
 
         // Action metadata for UI display
@@ -93,9 +195,11 @@ class KeyboardShortcutManager {
 
             'view:toggle-preview': { name: 'Toggle Preview', category: 'View' },
             'view:toggle-theme': { name: 'Toggle Theme', category: 'View' },
+            'view:select-theme': { name: 'Select Theme', category: 'View' },
             'view:focus-mode': { name: 'Focus Mode', category: 'View' },
             'view:toggle-statistics': { name: 'Toggle Statistics', category: 'View' },
             'view:toggle-sidebar': { name: 'Toggle Sidebar', category: 'View' },
+            'view:toggle-explorer': { name: 'Toggle Explorer', category: 'View' },
             'view:toggle-outline': { name: 'Toggle Outline Panel', category: 'View' },
             'view:toggle-typewriter': { name: 'Toggle Typewriter Scrolling', category: 'View' },
 
@@ -110,7 +214,8 @@ class KeyboardShortcutManager {
 
             'tools:command-palette': { name: 'Command Palette', category: 'Tools' },
             'tools:edit-table': { name: 'Edit Table', category: 'Tools' },
-            'tools:find-in-files': { name: 'Find in Files', category: 'Tools' }
+            'tools:find-in-files': { name: 'Find in Files', category: 'Tools' },
+            'tools:keyboard-shortcuts': { name: 'Keyboard Shortcuts', category: 'Tools' }
         };
     }
 
@@ -118,13 +223,13 @@ class KeyboardShortcutManager {
      * Get keyboard shortcut for an action
      * Returns custom shortcut if set, otherwise returns default
      * @param {string} actionId - Action identifier
-     * @returns {string|undefined} Key binding for the action
+     * @returns {string|undefined} Key binding for the action; empty when it was removed
      */
     getShortcut(actionId) {
         // Check for custom shortcut first
         const customShortcut = this.configStore.getKeyboardShortcut(actionId);
 
-        if (customShortcut) {
+        if (customShortcut !== undefined) {
             return customShortcut;
         }
 
@@ -135,29 +240,38 @@ class KeyboardShortcutManager {
     /**
      * Set keyboard shortcut for an action
      * @param {string} actionId - Action identifier
-     * @param {string} keyBinding - Key binding (e.g., 'Mod-S')
-     * @throws {Error} If actionId is invalid or keyBinding is empty
+     * @param {string} keyBinding - Key binding (e.g., 'Mod-S' or the chord 'Mod-K Mod-T')
+     * @throws {Error} If actionId is invalid or keyBinding is empty or not a valid binding
      */
     setShortcut(actionId, keyBinding) {
-        if (!Object.prototype.hasOwnProperty.call(this.defaultShortcuts, actionId)) {
-            throw new Error(`Invalid action ID: ${actionId}`);
-        }
+        this.validateActionId(actionId);
 
         if (typeof keyBinding !== 'string' || keyBinding.trim() === '') {
             throw new Error(`Invalid key binding: ${keyBinding}. Must be a non-empty string`);
         }
+        if (!parseKeyBinding(keyBinding, this.isMac)) {
+            throw new Error(`Invalid key binding: ${keyBinding}`);
+        }
 
         this.configStore.setKeyboardShortcut(actionId, keyBinding);
     }
 
+    /**
+     * Remove the keyboard shortcut of an action, leaving it without one
+     * @param {string} actionId - Action identifier
+     */
+    removeShortcut(actionId) {
+        this.validateActionId(actionId);
+
+        this.configStore.setAllKeyboardShortcuts({ ...this.configStore.getAllKeyboardShortcuts(), [actionId]: '' });
+    }
+
     /**
      * Reset a keyboard shortcut to its default value
      * @param {string} actionId - Action identifier
      */
     resetShortcut(actionId) {
-        if (!Object.prototype.hasOwnProperty.call(this.defaultShortcuts, actionId)) {
-            throw new Error(`Invalid action ID: ${actionId}`);
-        }
+        this.validateActionId(actionId);
 
         this.configStore.deleteKeyboardShortcut(actionId);
     }
@@ -169,6 +283,26 @@ class KeyboardShortcutManager {
         this.configStore.setAllKeyboardShortcuts({});
     }
 
+    /**
+     * Check that an action exists
+     * @param {string} actionId - Action identifier
+     * @throws {Error} If actionId is invalid
+     */
+    validateActionId(actionId) {
+        if (!Object.prototype.hasOwnProperty.call(this.defaultShortcuts, actionId)) {
+            throw new Error(`Invalid action ID: ${actionId}`);
+        }
+    }
+
+    /**
+     * Get the context an action's shortcut applies in
+     * @param {string} actionId - Action identifier
+     * @returns {string|undefined} `when` condition, undefined when it applies everywhere
+     */
+    getCondition(actionId) {
+        return this.actionConditions[actionId];
+    }
+
     /**
      * Check if a key binding conflicts with existing shortcuts
      * @param {string} keyBinding - Key binding to check
@@ -188,28 +322,44 @@ class KeyboardShortcutManager {
      * @returns {string|null} Conflicting action ID or null if no conflict
      */
     getConflictingAction(keyBinding, excludeActionId = null) {
-        // Normalize key binding for comparison (case-insensitive)
-        const normalizedBinding = keyBinding.toLowerCase().trim();
-
-        // Check all actions
-        for (const actionId of Object.keys(this.defaultShortcuts)) {
-            if (actionId === excludeActionId) {
-                continue;
-            }
+        return this.getConflictingActions(keyBinding, excludeActionId)[0] || null;
+    }
 
-            const existingBinding = this.getShortcut(actionId);
+    /**
+     * Get the actions that conflict with a key binding: those with the same binding, a binding
+     * that starts with it or one it starts with, in a context where both apply
+     * @param {string} keyBinding - Key binding to check
+     * @param {string} excludeActionId - Action ID the binding is for, excluded from the check
+     *   and whose context the binding applies in
+     * @returns {string[]} Conflicting action IDs
+     */
+    getConflictingActions(keyBinding, excludeActionId = null) {
+        const candidate = { id: null, key: keyBinding, when: this.getCondition(excludeActionId) };
+        const others = Object.keys(this.defaultShortcuts)
+            .filter(actionId => actionId !== excludeActionId)
+            .map(actionId => ({ id: actionId, key: this.getShortcut(actionId), when: this.getCondition(actionId) }));
+
+        return others.filter(other => findConflicts([candidate, other], this.isMac).length > 0)
+            .map(other => other.id);
+    }
 
-            if (existingBinding && existingBinding.toLowerCase().trim() === normalizedBinding) {
-                return actionId;
-            }
-        }
+    /**
+     * Get every conflict between the current shortcuts
+     * @returns {import('../renderer/features/key-bindings').KeyBindingConflict[]}
+     */
+    getConflicts() {
+        const bindings = Object.keys(this.defaultShortcuts).map(actionId => ({
+            id: actionId,
+            key: this.getShortcut(actionId),
+            when: this.getCondition(actionId)
+        }));
 
-        return null;
+        return findConflicts(bindings, this.isMac);
     }
 
     /**
      * Get all available actions with their metadata
-     * @returns {Array} Array of action objects with id, name, category, and current shortcut
+     * @returns {Array} Array of action objects with id, name, category, current shortcut and `when` condition
      */
     getAvailableActions() {
         return Object.keys(this.defaultShortcuts).map(actionId => ({
@@ -217,7 +367,8 @@ class KeyboardShortcutManager {
             name: this.actionMetadata[actionId]?.name || actionId,
             category: this.actionMetadata[actionId]?.category || 'Other',
             shortcut: this.getShortcut(actionId),
-            isDefault: !this.configStore.getKeyboardShortcut(actionId)
+            when: this.getCondition(actionId),
+            isDefault: !this.hasCustomShortcut(actionId)
         }));
     }
 
@@ -268,7 +419,168 @@ class KeyboardShortcutManager {
      * @returns {boolean} True if action has custom shortcut
      */
     hasCustomShortcut(actionId) {
-        return !!this.configStore.getKeyboardShortcut(actionId);
+        return this.configStore.getKeyboardShortcut(actionId) !== undefined;
+    }
+
+    /**
+     * Get the built-in keymaps
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getPresets() {
+        return Object.entries(PRESETS).map(([id, preset]) => ({ id, name: preset.name }));
+    }
+
+    /**
+     * Replace every custom shortcut with those of a built-in keymap
+     * @param {string} presetId - Preset identifier
+     * @throws {Error} If the preset does not exist
+     */
+    applyPreset(presetId) {
+        if (!Object.prototype.hasOwnProperty.call(PRESETS, presetId)) {
+            throw new Error(`Unknown keymap preset: ${presetId}`);
+        }
+
+        this.configStore.setAllKeyboardShortcuts({ ...PRESETS[presetId].shortcuts });
+    }
+
+    /**
+     * Export the keymap
+     * The app's format only holds the custom shortcuts, so the defaults still apply on import;
+     * VS Code keybindings.json holds every shortcut, as VS Code has defaults of its own.
+     * @param {'native'|'vscode'} [format='native']
+     * @returns {Object|Array} Keymap data
+     */
+    exportKeymap(format = 'native') {
+        if (format === 'vscode') {
+            return Object.keys(this.defaultShortcuts)
+                .filter(actionId => this.getShortcut(actionId))
+                .map(actionId => {
+                    const entry = {
+                        key: toVSCodeKey(this.getShortcut(actionId), this.isMac),
+                        command: VSCODE_COMMANDS[actionId] || actionId
+                    };
+                    const when = this.getCondition(actionId);
+
+                    if (when) {
+                        entry.when = when.replace(/\w+/g, key => VSCODE_CONTEXT_KEYS[key] || key);
+                    }
+
+                    return entry;
+                });
+        }
+
+        const shortcuts = {};
+
+        for (const actionId of Object.keys(this.defaultShortcuts)) {
+            if (this.hasCustomShortcut(actionId)) {
+                shortcuts[actionId] = this.getShortcut(actionId);
+            }
+        }
+
+        return { version: KEYMAP_VERSION, shortcuts };
+    }
+
+    /**
+     * Import a keymap over the current shortcuts
+     * Accepts the app's format and VS Code keybindings.json, where commands are matched to actions
+     * and "-command" entries remove a shortcut. Entries for unknown actions or with invalid keys are skipped;
+     * `when` clauses are not imported, as each action keeps the context it applies in.
+     * @param {Object|Array} data - Keymap data
+     * @returns {{imported: number, skipped: number}}
+     * @throws {Error} If the data is not a keymap
+     */
+    importKeymap(data) {
+        const shortcuts = { ...this.configStore.getAllKeyboardShortcuts() };
+        let imported = 0;
+        let skipped = 0;
+
+        if (Array.isArray(data)) {
+            const actionIds = Object.fromEntries(Object.entries(VSCODE_COMMANDS).map(([id, command]) => [command, id]));
+
+            for (const entry of data) {
+                const command = typeof entry?.command === 'string' ? entry.command : '';
+                const removed = command.startsWith('-');
+                const name = removed ? command.slice(1) : command;
+                const actionId = actionIds[name] || (this.defaultShortcuts[name] !== undefined ? name : null);
+                const key = fromVSCodeKey(entry?.key, this.isMac);
+
+                if (!actionId || !key) {
+                    skipped++;
+                } else if (removed) {
+                    // Only remove the shortcut the entry names, as VS Code does
+                    const current = shortcuts[actionId] ?? this.defaultShortcuts[actionId];
+
+                    if (normalizeKeyBinding(current, this.isMac) === key) {
+                        shortcuts[actionId] = '';
+                    }
+                    imported++;
+                } else {
+                    shortcuts[actionId] = key;
+                    imported++;
+                }
+            }
+        } else if (data && typeof data.shortcuts === 'object' && data.shortcuts !== null) {
+            for (const [actionId, keyBinding] of Object.entries(data.shortcuts)) {
+                if (this.defaultShortcuts[actionId] !== undefined
+                    && (keyBinding === '' || parseKeyBinding(keyBinding, this.isMac))) {
+                    shortcuts[actionId] = keyBinding;
+                    imported++;
+                } else {
+                    skipped++;
+                }
+            }
+        } else {
+            throw new Error('The file is not a keymap');
+        }
+
+        this.configStore.setAllKeyboardShortcuts(shortcuts);
+
+        return { imported, skipped };
+    }
+
+    /**
+     * Ask where to export the keymap and write it there
+     * @param {'native'|'vscode'} [format='native']
+     * @returns {Promise<string|null>} Path of the file, null if the user cancelled
+     */
+    async exportKeymapFile(format = 'native') {
+        const result = await dialog.showSaveDialog(BrowserWindow.getFocusedWindow(), {
+            title: 'Export Keymap',
+            defaultPath: format === 'vscode' ? 'keybindings.json' : 'md-editor-keymap.json',
+            filters: [{ name: 'JSON', extensions: ['json'] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return null;
+        }
+
+        await fs.writeFile(result.filePath, `${JSON.stringify(this.exportKeymap(format), null, 4)}\n`, 'utf-8');
+
+        return result.filePath;
+    }
+
+    /**
+     * Ask for a keymap file and import it
+     * @returns {Promise<{imported: number, skipped: number}|null>} Null if the user cancelled
+     * @throws {Error} If the file is not valid JSON or not a keymap
+     */
+    async importKeymapFile() {
+        const result = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
+            title: 'Import Keymap',
+            properties: ['openFile'],
+            filters: [{ name: 'JSON', extensions: ['json'] }]
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        // keybindings.json may have comments and trailing commas
+        const text = (await fs.readFile(result.filePaths[0], 'utf-8'))
+            .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+            .replace(/,(\s*[\]}])/g, '$1');
+
+        return this.importKeymap(JSON.parse(text));
     }
 }
 
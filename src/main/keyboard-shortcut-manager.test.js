@@ -275,6 +275,113 @@ describe('KeyboardShortcutManager', () => {
         });
     });
 
+    describe('Chords and conditions', () => {
+        it('should have no conflicts between the default shortcuts', () => {
+            expect(manager.getConflicts()).toEqual([]);
+        });
+
+        it('should accept chords and reject invalid bindings', () => {
+            manager.setShortcut('view:toggle-theme', 'Mod-K Mod-D');
+
+            expect(manager.getShortcut('view:toggle-theme')).toBe('Mod-K Mod-D');
+            expect(() => manager.setShortcut('file:save', 'Hyper-S')).toThrow('Invalid key binding');
+        });
+
+        it('should report bindings that keep a chord from running', () => {
+            expect(manager.getConflictingActions('Mod-K', 'file:new'))
+                .toEqual(['view:select-theme', 'view:toggle-statistics', 'tools:keyboard-shortcuts']);
+            expect(manager.getConflictingAction('Mod-K Mod-T Mod-X', 'file:new')).toBe('view:select-theme');
+        });
+
+        it('should not report bindings whose contexts exclude each other', () => {
+            manager.setShortcut('format:list', 'Mod-Shift-V');
+            manager.actionConditions['view:toggle-preview'] = 'previewFocus';
+            manager.setShortcut('view:toggle-preview', 'Mod-Shift-V');
+
+            expect(manager.getConflicts()).toEqual([]);
+            expect(manager.getAvailableActions().find(a => a.id === 'format:list').when).toBe('editorFocus');
+        });
+
+        it('should report the conflicts of the current shortcuts', () => {
+            manager.setShortcut('view:toggle-theme', 'Mod-S');
+
+            expect(manager.getConflicts()).toEqual([
+                { type: 'duplicate', key: 'Mod-S', actionIds: ['file:save', 'view:toggle-theme'] }
+            ]);
+        });
+
+        it('should remove a shortcut until it is reset', () => {
+            manager.removeShortcut('file:save');
+
+            expect(manager.getShortcut('file:save')).toBe('');
+            expect(manager.hasCustomShortcut('file:save')).toBe(true);
+            expect(manager.hasConflict('Mod-S')).toBe(false);
+
+            manager.resetShortcut('file:save');
+            expect(manager.getShortcut('file:save')).toBe('Mod-S');
+        });
+    });
+
+    describe('Keymaps', () => {
+        it('should apply a preset over the defaults', () => {
+            manager.setShortcut('file:save', 'Ctrl-Alt-S');
+            manager.applyPreset('vscode');
+
+            expect(manager.getShortcut('file:save')).toBe('Mod-S');
+            expect(manager.getShortcut('view:toggle-preview')).toBe('Mod-Shift-V');
+            expect(manager.getPresets().map(preset => preset.id)).toEqual(['default', 'vscode']);
+            expect(() => manager.applyPreset('emacs')).toThrow('Unknown keymap preset');
+        });
+
+        it('should export and import the custom shortcuts', () => {
+            manager.setShortcut('file:save', 'Ctrl-Alt-S');
+            manager.removeShortcut('file:open');
+
+            const keymap = manager.exportKeymap();
+
+            expect(keymap).toEqual({ version: 1, shortcuts: { 'file:save': 'Ctrl-Alt-S', 'file:open': '' } });
+
+            manager.resetAllShortcuts();
+            expect(manager.importKeymap({ ...keymap, shortcuts: { ...keymap.shortcuts, 'no:action': 'F1' } }))
+                .toEqual({ imported: 2, skipped: 1 });
+            expect(manager.getShortcut('file:save')).toBe('Ctrl-Alt-S');
+            expect(manager.getShortcut('file:open')).toBe('');
+        });
+
+        it('should export VS Code keybindings', () => {
+            const keybindings = manager.exportKeymap('vscode');
+            const isMac = process.platform === 'darwin';
+
+            expect(keybindings).toContainEqual({
+                key: isMac ? 'cmd+k cmd+t' : 'ctrl+k ctrl+t',
+                command: 'workbench.action.selectTheme'
+            });
+            expect(keybindings).toContainEqual({
+                key: isMac ? 'cmd+b' : 'ctrl+b',
+                command: 'format:bold',
+                when: 'editorTextFocus'
+            });
+        });
+
+        it('should import VS Code keybindings', () => {
+            const result = manager.importKeymap([
+                { key: 'ctrl+shift+v', command: 'markdown.showPreview' },
+                { key: 'f11', command: '-workbench.action.toggleZenMode' },
+                { key: 'ctrl+k ctrl+b', command: 'format:bold' },
+                { key: 'ctrl+alt+x', command: 'workbench.action.terminal.toggleTerminal' }
+            ]);
+
+            expect(result).toEqual({ imported: 3, skipped: 1 });
+            expect(manager.getShortcut('view:focus-mode')).toBe('');
+            expect(manager.getShortcut('format:bold'))
+                .toBe(process.platform === 'darwin' ? 'Ctrl-K Ctrl-B' : 'Mod-K Mod-B');
+        });
+
+        it('should reject data that is not a keymap', () => {
+            expect(() => manager.importKeymap({ commands: [] })).toThrow('The file is not a keymap');
+        });
+    });
+
     describe('Integration with ConfigStore', () => {
         it('should persist shortcuts across manager instances', () => {
             manager.setShortcut('file:save', 'Ctrl-Alt-S');
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCommandLine } = require('./command-line');
+
+/**
+ * LaunchManager - Delivers files and folders given on the command line to the renderer.
+ *
+ * Requests come from the first launch, from later launches forwarded by the
+ * single-instance lock and from macOS `open-file` events. They are queued until
+ * the renderer has restored its session and asks for them, then sent as they arrive.
+ */
+class LaunchManager {
+    /**
+     * @param {Object} windowManager - WindowManager owning the main window
+     */
+    constructor(windowManager) {
+        if (!windowManager) {
+            throw new Error('WindowManager is required');
+        }
+        this.windowManager = windowManager;
+        this.pendingRequests = [];
+        this.rendererReady = false;
+    }
+
+    /**
+     * Turn command line arguments into an open request and deliver it
+     * @param {string[]} args - User arguments, without executable
+     * @param {string} workingDirectory - Directory relative paths are resolved against
+     * @returns {Promise<Object|null>} The request, or null when the arguments ask for nothing
+     */
+    handleCommandLine(args, workingDirectory) {
+        return this.resolveRequest(parseCommandLine(args), workingDirectory).then(request => {
+            if (!this.hasTargets(request)) {
+                return null;
+            }
+            this.deliver(request);
+            return request;
+        });
+    }
+
+    /**
+     * Resolve the paths of parsed arguments, telling folders from files
+     * @param {Object} parsed - Result of parseCommandLine
+     * @param {string} workingDirectory - Directory relative paths are resolved against
+     * @returns {Promise<{workspace: string|null, files: Array<{filePath: string, line: number|null}>,
+     *   newFile: boolean}>}
+     */
+    resolveRequest(parsed, workingDirectory) {
+        const paths = parsed.paths.map(arg => path.resolve(workingDirectory, arg));
+
+        return Promise.all(paths.map(targetPath => this._isDirectory(targetPath))).then(isDirectory => {
+            const folders = paths.filter((targetPath, i) => isDirectory[i]);
+            // Missing files are passed on so the renderer reports them
+            const files = paths
+                .filter((targetPath, i) => !isDirectory[i])
+                .map(filePath => ({ filePath, line: null }));
+
+            parsed.gotos.forEach(({ path: filePath, line }) => {
+                files.push({ filePath: path.resolve(workingDirectory, filePath), line });
+            });
+
+            // Only one workspace can be open; further folders are ignored
+            return {
+                workspace: parsed.workspace ? path.resolve(workingDirectory, parsed.workspace) : folders[0] || null,
+                files,
+                newFile: parsed.newFile
+            };
+        });
+    }
+
+    /**
+     * @param {Object} request - Resolved request
+     * @returns {boolean} Whether the request asks to open anything
+     */
+    hasTargets(request) {
+        return Boolean(request.workspace) || request.files.length > 0 || request.newFile;
+    }
+
+    /**
+     * Open a single file, as asked by the macOS `open-file` event
+     * @param {string} filePath - Absolute file path
+     */
+    openFile(filePath) {
+        this.deliver({ workspace: null, files: [{ filePath, line: null }], newFile: false });
+    }
+
+    /**
+     * Send a request to the renderer, or queue it until the renderer is ready
+     * @param {Object} request - Resolved request
+     */
+    deliver(request) {
+        const mainWindow = this.windowManager.getMainWindow();
+
+        if (this.rendererReady && mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('launch:open', request);
+        } else {
+            this.pendingRequests.push(request);
+        }
+    }
+
+    /**
+     * Hand the queued requests to the renderer; later requests are sent directly
+     * @returns {Array<Object>} Queued requests, oldest first
+     */
+    takePendingRequests() {
+        this.rendererReady = true;
+        return this.pendingRequests.splice(0);
+    }
+
+    /**
+     * Queue requests again until a newly created window asks for them
+     */
+    resetRenderer() {
+        this.rendererReady = false;
+    }
+
+    /**
+     * @param {string} targetPath - Absolute path
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _isDirectory(targetPath) {
+        try {
+            return (await fs.stat(targetPath)).isDirectory();
+        } catch {
+            return false;
+        }
+    }
+}
+
+module.exports = LaunchManager;
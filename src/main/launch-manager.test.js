@@ -0,0 +1,89 @@
+/**
+ * LaunchManager Tests
+ * Tests for resolving command line requests and delivering them to the renderer
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const LaunchManager = require('./launch-manager');
+
+describe('LaunchManager', () => {
+    let workingDirectory;
+    let mainWindow;
+    let manager;
+
+    beforeEach(() => {
+        workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-launch-'));
+        fs.mkdirSync(path.join(workingDirectory, 'notes'));
+        fs.writeFileSync(path.join(workingDirectory, 'todo.md'), '# Todo');
+
+        mainWindow = { isDestroyed: () => false, webContents: { send: vi.fn() } };
+        manager = new LaunchManager({ getMainWindow: () => mainWindow });
+    });
+
+    afterEach(() => {
+        fs.rmSync(workingDirectory, { recursive: true, force: true });
+    });
+
+    it('requires a window manager', () => {
+        expect(() => new LaunchManager()).toThrow('WindowManager is required');
+    });
+
+    describe('handleCommandLine', () => {
+        it('opens folders as workspace and files at their line', async () => {
+            const request = await manager.handleCommandLine(['notes', 'todo.md', '--goto', 'missing.md:4'], workingDirectory);
+
+            expect(request).toEqual({
+                workspace: path.join(workingDirectory, 'notes'),
+                files: [
+                    { filePath: path.join(workingDirectory, 'todo.md'), line: null },
+                    { filePath: path.join(workingDirectory, 'missing.md'), line: 4 }
+                ],
+                newFile: false
+            });
+        });
+
+        it('prefers --workspace over folder arguments', async () => {
+            const request = await manager.handleCommandLine(['notes', '--workspace', '.'], workingDirectory);
+
+            expect(request.workspace).toBe(workingDirectory);
+        });
+
+        it('returns null when nothing is asked', async () => {
+            expect(await manager.handleCommandLine(['--inspect'], workingDirectory)).toBeNull();
+            expect(manager.takePendingRequests()).toEqual([]);
+        });
+    });
+
+    describe('delivery', () => {
+        it('queues requests until the renderer asks, then sends them', () => {
+            manager.openFile('/a.md');
+
+            expect(mainWindow.webContents.send).not.toHaveBeenCalled();
+            expect(manager.takePendingRequests()).toEqual([
+                { workspace: null, files: [{ filePath: '/a.md', line: null }], newFile: false }
+            ]);
+
+            manager.openFile('/b.md');
+
+            expect(mainWindow.webContents.send).toHaveBeenCalledWith('launch:open', expect.objectContaining({
+                files: [{ filePath: '/b.md', line: null }]
+            }));
+            expect(manager.takePendingRequests()).toEqual([]);
+        });
+
+        it('queues again after the renderer is reset', () => {
+            manager.takePendingRequests();
+            manager.resetRenderer();
+            manager.openFile('/a.md');
+
+            expect(mainWindow.webContents.send).not.toHaveBeenCalled();
+            expect(manager.takePendingRequests()).toHaveLength(1);
+        });
+    });
+});
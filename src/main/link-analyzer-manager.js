@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { parseWikiLink, resolveWikiLink } = require('../renderer/advanced-markdown/wiki-links');
 
 // Regex patterns for link extraction
 const MARKDOWN_LINK_REGEX = /\[([^\]]*)\]\(([^)]+)\)/g;
@@ -39,9 +40,10 @@ class LinkAnalyzerManager {
      * Extracts internal links from markdown content.
      * Supports standard markdown links [text](path.md) and wiki links [[filename]].
      * Filters out external URLs and anchor links.
+     * `index` is the offset of the target text within the content, so callers can rewrite it in place.
      * @param {string} content - The markdown content to parse
      * @param {string} sourceFilePath - Absolute path of the source file
-     * @returns {Array<{target: string, type: string}>} Array of extracted link info
+     * @returns {Array<{target: string, type: string, index: number}>} Array of extracted link info
      */
     extractLinks(content, sourceFilePath) {
         const links = [];
@@ -52,7 +54,7 @@ class LinkAnalyzerManager {
         while ((match = MARKDOWN_LINK_REGEX.exec(content)) !== null) {
             const linkPath = match[2];
             if (this.isInternalLink(linkPath)) {
-                links.push({ target: linkPath, type: 'markdown' });
+                links.push({ target: linkPath, type: 'markdown', index: match.index + match[0].length - linkPath.length - 1 });
             }
         }
 
@@ -61,7 +63,7 @@ class LinkAnalyzerManager {
         while ((match = WIKI_LINK_REGEX.exec(content)) !== null) {
             const linkName = match[1];
             if (this.isInternalLink(linkName)) {
-                links.push({ target: linkName, type: 'wiki' });
+                links.push({ target: linkName, type: 'wiki', index: match.index + 2 });
             }
         }
 
@@ -114,6 +116,71 @@ class LinkAnalyzerManager {
         }
     }
 
+    /**
+     * Lists every markdown file in the current workspace.
+     * @returns {Promise<string[]>} Absolute file paths, or an empty array when no workspace is open
+     */
+    getMarkdownFiles() {
+        const workspacePath = this.workspaceManager.getWorkspacePath();
+
+        if (!workspacePath) {
+            return Promise.resolve([]);
+        }
+        return this._collectMarkdownFiles(workspacePath);
+    }
+
+    /**
+     * Lists the notes of the current workspace, for wiki link resolution and completion.
+     * @returns {Promise<Array<{name: string, filePath: string, relativePath: string}>>} Notes with their
+     *   name without extension and their workspace-relative path with forward slashes
+     */
+    listNotes() {
+        const workspacePath = this.workspaceManager.getWorkspacePath();
+
+        if (!workspacePath) {
+            return Promise.resolve([]);
+        }
+        return this._collectMarkdownFiles(workspacePath).then(files => this._toNotes(files, workspacePath));
+    }
+
+    /**
+     * @param {string[]} files - Absolute markdown file paths
+     * @param {string} workspacePath - Workspace root
+     * @returns {Array<{name: string, filePath: string, relativePath: string}>}
+     * @private
+     */
+    _toNotes(files, workspacePath) {
+        return files.map(filePath => ({
+            name: path.basename(filePath, path.extname(filePath)),
+            filePath,
+            relativePath: path.relative(workspacePath, filePath).replace(/\\/g, '/')
+        }));
+    }
+
+    /**
+     * Resolves a link to a node id. Wiki links are looked up by note name
+     * first, like in the preview, and fall back to a path relative to the source.
+     * @param {{target: string, type: string}} link - Extracted link
+     * @param {string} sourcePath - Absolute path of the source file
+     * @param {Array<{filePath: string, relativePath: string}>} notes - Notes of the workspace
+     * @param {string} workspacePath - Workspace root
+     * @returns {string|null} Workspace-relative id, or null outside the workspace
+     * @private
+     */
+    _resolveTarget(link, sourcePath, notes, workspacePath) {
+        if (link.type !== 'wiki') {
+            return this.resolveLinkPath(link.target, path.dirname(sourcePath), workspacePath);
+        }
+
+        const { target } = parseWikiLink(link.target);
+        const note = resolveWikiLink(target, notes, sourcePath);
+
+        if (note) {
+            return note.relativePath;
+        }
+        return target ? this.resolveLinkPath(target, path.dirname(sourcePath), workspacePath) : null;
+    }
+
     /**
      * Recursively collects all markdown file paths from a directory.
      * @param {string} dirPath - Directory to scan
@@ -175,6 +242,7 @@ class LinkAnalyzerManager {
 
             // Collect all markdown files recursively
             const markdownFiles = await this._collectMarkdownFiles(workspacePath);
+            const notes = this._toNotes(markdownFiles, workspacePath);
 
             // Maps for building the graph
             const nodesMap = new Map(); // id -> node
@@ -198,7 +266,6 @@ class LinkAnalyzerManager {
             // Second pass: read each file, extract links, build edges
             for (const filePath of markdownFiles) {
                 const sourceId = path.relative(workspacePath, filePath).replace(/\\/g, '/');
-                const sourceDir = path.dirname(filePath);
 
                 let content;
                 try {
@@ -215,7 +282,7 @@ class LinkAnalyzerManager {
                 const links = this.extractLinks(content, filePath);
 
                 for (const link of links) {
-                    const targetId = this.resolveLinkPath(link.target, sourceDir, workspacePath);
+                    const targetId = this._resolveTarget(link, filePath, notes, workspacePath);
 
                     // Skip links that resolve outside the workspace
                     if (targetId === null) {
@@ -0,0 +1,60 @@
+/**
+ * LinkAnalyzerManager Tests
+ * Tests for listing notes and resolving links in the connection graph
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const LinkAnalyzerManager = require('./link-analyzer-manager');
+
+describe('LinkAnalyzerManager', () => {
+    let workspacePath;
+    let manager;
+
+    const file = (...parts) => path.join(workspacePath, ...parts);
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-graph-'));
+        fs.mkdirSync(file('notes'));
+        fs.writeFileSync(file('index.md'), 'See [[Ideas|my ideas]], [[notes/todo#Today]] and [[Missing]].\n');
+        fs.writeFileSync(file('notes', 'ideas.md'), 'Back to [index](../index.md).\n');
+        fs.writeFileSync(file('notes', 'todo.md'), '# Today\n');
+
+        manager = new LinkAnalyzerManager({ getWorkspacePath: () => workspacePath });
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+    });
+
+    describe('listNotes', () => {
+        it('lists every markdown file with its name and relative path', async () => {
+            const notes = await manager.listNotes();
+
+            expect(notes.map(note => note.relativePath).sort()).toEqual(['index.md', 'notes/ideas.md', 'notes/todo.md']);
+            expect(notes.find(note => note.name === 'ideas').filePath).toBe(file('notes', 'ideas.md'));
+        });
+
+        it('returns an empty list without a workspace', async () => {
+            manager = new LinkAnalyzerManager({ getWorkspacePath: () => null });
+
+            expect(await manager.listNotes()).toEqual([]);
+        });
+    });
+
+    describe('analyzeWorkspace', () => {
+        it('resolves wiki links by note name, ignoring headings and aliases', async () => {
+            const { graph } = await manager.analyzeWorkspace();
+            const targets = graph.edges.filter(edge => edge.source === 'index.md').map(edge => edge.target);
+
+            expect(targets).toEqual(['notes/ideas.md', 'notes/todo.md', 'Missing.md']);
+            expect(graph.nodes.find(node => node.id === 'Missing.md').exists).toBe(false);
+            expect(graph.edges).toContainEqual({ source: 'notes/ideas.md', target: 'index.md' });
+        });
+    });
+});
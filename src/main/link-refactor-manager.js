@@ -0,0 +1,376 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const DocumentBatchWriter = require('./document-batch-writer');
+const { resolveWikiLink } = require('../renderer/advanced-markdown/wiki-links');
+
+// Links such as mailto: or file: are never rewritten
+const URI_SCHEME_REGEX = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * LinkRefactorManager - Rewrites links between documents after a file or
+ * folder is renamed or moved inside the workspace.
+ *
+ * Works in two steps: `planMove` computes every affected link and returns a
+ * preview, `applyPlan` writes all edits or none of them. Files open in tabs
+ * are read from and written to the tab buffer, so unsaved edits are kept.
+ */
+class LinkRefactorManager {
+    /**
+     * @param {Object} workspaceManager - WorkspaceManager instance for workspace access
+     * @param {Object} linkAnalyzerManager - LinkAnalyzerManager used to find and resolve links
+     * @param {Object} tabManager - TabManager holding the content of open documents
+     * @param {Object} fileWatcherManager - FileWatcherManager notified about our own writes
+     */
+    constructor(workspaceManager, linkAnalyzerManager, tabManager, fileWatcherManager) {
+        if (!workspaceManager) {
+            throw new Error('WorkspaceManager is required');
+        }
+        if (!linkAnalyzerManager) {
+            throw new Error('LinkAnalyzerManager is required');
+        }
+        if (!tabManager) {
+            throw new Error('TabManager is required');
+        }
+        this.workspaceManager = workspaceManager;
+        this.linkAnalyzerManager = linkAnalyzerManager;
+        this.writer = new DocumentBatchWriter(tabManager, fileWatcherManager);
+        this.pendingPlan = null;
+    }
+
+    /**
+     * Compute the link edits needed after a rename or move.
+     * Must be called once the path has already been moved on disk.
+     * Only the latest plan is kept; planning again discards the previous one.
+     * @param {string} oldPath - Previous file or folder path
+     * @param {string} newPath - Current file or folder path
+     * @returns {Promise<{id: string, oldPath: string, newPath: string, linkCount: number, files: Array}>}
+     *   Preview of the edits, grouped by file
+     */
+    async planMove(oldPath, newPath) {
+        const workspacePath = this.workspaceManager.getWorkspacePath();
+
+        if (!workspacePath) {
+            throw new Error('No workspace open');
+        }
+
+        const move = { oldPath: path.resolve(oldPath), newPath: path.resolve(newPath) };
+        const markdownFiles = await this.linkAnalyzerManager.getMarkdownFiles();
+        const previousFiles = markdownFiles.map(filePath => this._mapPath(filePath, move.newPath, move.oldPath));
+        // Wiki links resolve by note name, against the notes as they were before the move
+        const notes = {
+            previous: this._toNotes(previousFiles, workspacePath),
+            current: this._toNotes(markdownFiles, workspacePath)
+        };
+        const files = [];
+        let linkCount = 0;
+
+        for (const filePath of markdownFiles) {
+            const source = await this.writer.read(filePath);
+
+            if (source === null) {
+                continue;
+            }
+
+            const edits = this._computeEdits(source.content, filePath, move, workspacePath, notes);
+
+            if (edits.length === 0) {
+                continue;
+            }
+
+            linkCount += edits.length;
+            files.push({
+                filePath,
+                tabId: source.tabId,
+                originalContent: source.content,
+                newContent: this._applyEdits(source.content, edits),
+                edits
+            });
+        }
+
+        this.pendingPlan = { id: uuidv4(), ...move, linkCount, files };
+
+        return this._toPreview(this.pendingPlan);
+    }
+
+    /**
+     * Apply a previously computed plan.
+     * Fails without changing anything if any affected document changed since
+     * the plan was made. Disk writes are rolled back if one of them fails.
+     * @param {string} planId - Id returned by planMove
+     * @returns {Promise<{linkCount: number, fileCount: number, updatedTabs: Array}>} Counts of the applied
+     *   edits and the `{tabId, content, isModified}` of every open tab that changed
+     */
+    async applyPlan(planId) {
+        const plan = this.pendingPlan;
+
+        if (!plan || plan.id !== planId) {
+            throw new Error('Link update plan is no longer available');
+        }
+
+        this.pendingPlan = null;
+
+        const updatedTabs = await this.writer.apply(plan.files);
+
+        return { linkCount: plan.linkCount, fileCount: plan.files.length, updatedTabs };
+    }
+
+    /**
+     * Drop the pending plan, if any
+     */
+    discardPlan() {
+        this.pendingPlan = null;
+    }
+
+    /**
+     * Find the links of one document that must change because of the move
+     * @param {string} content - Document content
+     * @param {string} filePath - Current path of the document
+     * @param {{oldPath: string, newPath: string}} move - The rename or move
+     * @param {string} workspacePath - Workspace root
+     * @param {{previous: Array<Object>, current: Array<Object>}} notes - Notes before and after the move
+     * @returns {Array<{index: number, before: string, after: string, line: number}>} Edits sorted by position
+     * @private
+     */
+    _computeEdits(content, filePath, move, workspacePath, notes) {
+        const currentDir = path.dirname(filePath);
+        const previousPath = this._mapPath(filePath, move.newPath, move.oldPath);
+        const previousDir = path.dirname(previousPath);
+        const edits = [];
+
+        for (const link of this.linkAnalyzerManager.extractLinks(content, filePath)) {
+            const parts = link.type === 'wiki'
+                ? this._splitWikiTarget(link.target)
+                : this._splitMarkdownTarget(link.target);
+
+            if (!parts || !parts.path || URI_SCHEME_REGEX.test(parts.path)) {
+                continue;
+            }
+
+            const note = link.type === 'wiki' ? resolveWikiLink(parts.path, notes.previous, previousPath) : null;
+            const targetId = note
+                ? note.relativePath
+                : this.linkAnalyzerManager.resolveLinkPath(parts.path, previousDir, workspacePath);
+
+            if (targetId === null) {
+                continue;
+            }
+
+            const previousTarget = path.resolve(workspacePath, targetId);
+            const currentTarget = this._mapPath(previousTarget, move.oldPath, move.newPath);
+
+            if (currentTarget === previousTarget && currentDir === previousDir) {
+                continue;
+            }
+
+            const newLinkPath = note
+                ? this._formatWikiLinkPath(parts, currentTarget, filePath, notes.current)
+                : this._formatLinkPath(parts, currentTarget, currentDir);
+
+            if (newLinkPath === parts.path) {
+                continue;
+            }
+
+            const start = link.index + parts.offset;
+
+            edits.push({
+                index: start,
+                length: parts.rawPath.length,
+                before: parts.rawPath,
+                after: parts.encoded || (!parts.bracketed && /\s/.test(newLinkPath)) ? encodeURI(newLinkPath) : newLinkPath,
+                line: content.slice(0, start).split('\n').length
+            });
+        }
+
+        return edits.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Split a markdown link target into path, fragment and optional title
+     * @param {string} target - Raw target, e.g. `../a%20b.md#intro "Title"`
+     * @returns {{path: string, rawPath: string, offset: number, encoded: boolean, bracketed: boolean}|null}
+     * @private
+     */
+    _splitMarkdownTarget(target) {
+        let offset = 0;
+        let rawPath = target;
+
+        if (target.startsWith('<')) {
+            const end = target.indexOf('>');
+
+            if (end === -1) {
+                return null;
+            }
+            offset = 1;
+            rawPath = target.slice(1, end);
+        } else {
+            const whitespace = rawPath.search(/\s/);
+
+            if (whitespace !== -1) {
+                rawPath = rawPath.slice(0, whitespace);
+            }
+        }
+
+        const fragment = rawPath.search(/[#?]/);
+
+        if (fragment !== -1) {
+            rawPath = rawPath.slice(0, fragment);
+        }
+
+        let decoded = rawPath;
+
+        try {
+            decoded = decodeURI(rawPath);
+        } catch {
+            // Keep malformed escapes as they are
+        }
+
+        return { path: decoded, rawPath, offset, encoded: decoded !== rawPath, bracketed: offset === 1 };
+    }
+
+    /**
+     * Split a wiki link target into the page name and its heading or alias
+     * @param {string} target - Raw target, e.g. `notes/page#Heading|alias`
+     * @returns {{path: string, rawPath: string, offset: number, encoded: boolean, bracketed: boolean}}
+     * @private
+     */
+    _splitWikiTarget(target) {
+        const end = target.search(/[#|]/);
+        const rawPath = end === -1 ? target : target.slice(0, end);
+
+        // Wiki links may contain spaces, so they count as bracketed
+        return { path: rawPath.trim(), rawPath, offset: 0, encoded: false, bracketed: true };
+    }
+
+    /**
+     * Build the new link text pointing to a target from a directory,
+     * keeping the style of the original link (extension, `./` prefix)
+     * @param {{path: string}} parts - Original link parts
+     * @param {string} target - Absolute path of the link target
+     * @param {string} fromDir - Directory of the document containing the link
+     * @returns {string}
+     * @private
+     */
+    _formatLinkPath(parts, target, fromDir) {
+        let linkPath = path.relative(fromDir, target).replace(/\\/g, '/');
+
+        if (!path.extname(parts.path) && path.extname(linkPath) === '.md') {
+            linkPath = linkPath.slice(0, -'.md'.length);
+        }
+
+        if (parts.path.startsWith('./') && !linkPath.startsWith('../')) {
+            linkPath = `./${linkPath}`;
+        }
+
+        return linkPath;
+    }
+
+    /**
+     * Build the new target of a wiki link resolved by note name: the note name,
+     * prefixed with as many parent folders as needed for the link to find the
+     * note, and at least as many as the original link had
+     * @param {{path: string}} parts - Original link parts
+     * @param {string} target - Absolute path of the note
+     * @param {string} sourcePath - Path of the document containing the link
+     * @param {Array<{filePath: string, relativePath: string}>} notes - Notes of the workspace after the move
+     * @returns {string}
+     * @private
+     */
+    _formatWikiLinkPath(parts, target, sourcePath, notes) {
+        const resolves = linkPath => resolveWikiLink(linkPath, notes, sourcePath)?.filePath === target;
+
+        if (resolves(parts.path)) {
+            return parts.path;
+        }
+
+        const note = notes.find(candidate => candidate.filePath === target);
+
+        if (!note) {
+            return parts.path;
+        }
+
+        const segments = note.relativePath.replace(/\.(md|markdown)$/i, '').split('/');
+        const extension = path.extname(parts.path) ? path.extname(note.relativePath) : '';
+        let count = Math.min(parts.path.split('/').length, segments.length);
+        let linkPath = segments.slice(-count).join('/') + extension;
+
+        while (count < segments.length && !resolves(linkPath)) {
+            count++;
+            linkPath = segments.slice(-count).join('/') + extension;
+        }
+
+        return linkPath;
+    }
+
+    /**
+     * @param {string[]} files - Absolute markdown file paths
+     * @param {string} workspacePath - Workspace root
+     * @returns {Array<{name: string, filePath: string, relativePath: string}>} Notes for wiki link resolution
+     * @private
+     */
+    _toNotes(files, workspacePath) {
+        return files.map(filePath => ({
+            name: path.basename(filePath, path.extname(filePath)),
+            filePath,
+            relativePath: path.relative(workspacePath, filePath).replace(/\\/g, '/')
+        }));
+    }
+
+    /**
+     * Translate a path through a move, leaving unrelated paths untouched
+     * @param {string} filePath - Path to translate
+     * @param {string} from - Moved path
+     * @param {string} to - Destination path
+     * @returns {string}
+     * @private
+     */
+    _mapPath(filePath, from, to) {
+        if (filePath === from) {
+            return to;
+        }
+        if (filePath.startsWith(from + path.sep)) {
+            return path.join(to, filePath.slice(from.length + 1));
+        }
+        return filePath;
+    }
+
+    /**
+     * Apply edits to content, from the last one backwards so offsets stay valid
+     * @param {string} content - Original content
+     * @param {Array<{index: number, length: number, after: string}>} edits - Edits sorted by position
+     * @returns {string}
+     * @private
+     */
+    _applyEdits(content, edits) {
+        let result = content;
+
+        for (let i = edits.length - 1; i >= 0; i--) {
+            const edit = edits[i];
+
+            result = result.slice(0, edit.index) + edit.after + result.slice(edit.index + edit.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Strip document contents from a plan before sending it to the renderer
+     * @param {Object} plan - Internal plan
+     * @returns {Object} Preview
+     * @private
+     */
+    _toPreview(plan) {
+        return {
+            id: plan.id,
+            oldPath: plan.oldPath,
+            newPath: plan.newPath,
+            linkCount: plan.linkCount,
+            files: plan.files.map(file => ({
+                filePath: file.filePath,
+                isOpen: Boolean(file.tabId),
+                edits: file.edits.map(({ line, before, after }) => ({ line, before, after }))
+            }))
+        };
+    }
+}
+
+module.exports = LinkRefactorManager;
@@ -0,0 +1,278 @@
+/**
+ * LinkRefactorManager Tests
+ * Tests for rewriting links after a file or folder is renamed or moved
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const LinkRefactorManager = require('./link-refactor-manager');
+const LinkAnalyzerManager = require('./link-analyzer-manager');
+
+describe('LinkRefactorManager', () => {
+    let workspacePath;
+    let tabs;
+    let tabManager;
+    let fileWatcherManager;
+    let manager;
+
+    const file = (...parts) => path.join(workspacePath, ...parts);
+    const read = (...parts) => fs.readFileSync(file(...parts), 'utf-8');
+
+    /**
+     * Move a path on disk, as the file tree does before asking for a plan
+     */
+    function move(from, to) {
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        fs.renameSync(from, to);
+    }
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-links-'));
+        fs.mkdirSync(file('notes'));
+        fs.writeFileSync(file('index.md'), '# Index\n\nSee [A](notes/a.md#intro) and [[notes/a]].\n');
+        fs.writeFileSync(file('notes', 'a.md'), '# A\n\nBack to [index](../index.md) or [b](./b.md).\n');
+        fs.writeFileSync(file('notes', 'b.md'), '# B\n\n![diagram](img/chart.png)\n');
+
+        tabs = [];
+        tabManager = {
+            getAllTabs: () => tabs,
+            isTabModified: (tabId) => tabs.find(tab => tab.id === tabId)?.isModified || false,
+            updateTabContent: vi.fn((tabId, content) => {
+                const tab = tabs.find(candidate => candidate.id === tabId);
+
+                if (tab) {
+                    tab.content = content;
+                }
+                return Boolean(tab);
+            })
+        };
+        fileWatcherManager = { recordWrite: vi.fn() };
+
+        const workspaceManager = { getWorkspacePath: () => workspacePath };
+
+        manager = new LinkRefactorManager(
+            workspaceManager,
+            new LinkAnalyzerManager(workspaceManager),
+            tabManager,
+            fileWatcherManager
+        );
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+    });
+
+    describe('constructor', () => {
+        it('requires its managers', () => {
+            expect(() => new LinkRefactorManager()).toThrow('WorkspaceManager is required');
+            expect(() => new LinkRefactorManager({})).toThrow('LinkAnalyzerManager is required');
+            expect(() => new LinkRefactorManager({}, {})).toThrow('TabManager is required');
+        });
+    });
+
+    describe('planMove', () => {
+        it('finds markdown and wiki links to a renamed file', async () => {
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            expect(plan.linkCount).toBe(2);
+            expect(plan.files).toEqual([{
+                filePath: file('index.md'),
+                isOpen: false,
+                edits: [
+                    { line: 3, before: 'notes/a.md', after: 'notes/alpha.md' },
+                    { line: 3, before: 'notes/a', after: 'notes/alpha' }
+                ]
+            }]);
+        });
+
+        it('rewrites wiki links that find a note by its name', async () => {
+            fs.writeFileSync(file('index.md'), 'See [[Topic]], [[Topic#Intro|the topic]] and [[topic.md]].\n');
+            fs.writeFileSync(file('notes', 'Topic.md'), '# Topic\n');
+            move(file('notes', 'Topic.md'), file('notes', 'Subject.md'));
+
+            const plan = await manager.planMove(file('notes', 'Topic.md'), file('notes', 'Subject.md'));
+
+            expect(plan.files).toEqual([{
+                filePath: file('index.md'),
+                isOpen: false,
+                edits: [
+                    { line: 1, before: 'Topic', after: 'Subject' },
+                    { line: 1, before: 'Topic', after: 'Subject' },
+                    { line: 1, before: 'topic.md', after: 'Subject.md' }
+                ]
+            }]);
+        });
+
+        it('adds parent folders to wiki links only when the note name is ambiguous', async () => {
+            fs.writeFileSync(file('index.md'), 'See [[Topic]].\n');
+            fs.writeFileSync(file('notes', 'Topic.md'), '# Topic\n');
+            fs.mkdirSync(file('old'));
+            fs.writeFileSync(file('old', 'Subject.md'), '# Old subject\n');
+
+            move(file('notes', 'Topic.md'), file('notes', 'Subject.md'));
+
+            const plan = await manager.planMove(file('notes', 'Topic.md'), file('notes', 'Subject.md'));
+
+            expect(plan.files[0].edits).toEqual([{ line: 1, before: 'Topic', after: 'notes/Subject' }]);
+        });
+
+        it('keeps wiki links by name to a note moved to another folder', async () => {
+            fs.writeFileSync(file('index.md'), 'See [[Topic]].\n');
+            fs.writeFileSync(file('notes', 'Topic.md'), '# Topic\n');
+            move(file('notes', 'Topic.md'), file('archive', 'Topic.md'));
+
+            const plan = await manager.planMove(file('notes', 'Topic.md'), file('archive', 'Topic.md'));
+
+            expect(plan.linkCount).toBe(0);
+        });
+
+        it('does not touch any file while planning', async () => {
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            expect(read('index.md')).toContain('[A](notes/a.md#intro)');
+        });
+
+        it('rewrites relative links inside a file moved to another folder', async () => {
+            move(file('notes', 'a.md'), file('archive', 'a.md'));
+
+            const plan = await manager.planMove(file('notes', 'a.md'), file('archive', 'a.md'));
+            const moved = plan.files.find(entry => entry.filePath === file('archive', 'a.md'));
+
+            expect(moved.edits).toEqual([
+                { line: 3, before: './b.md', after: '../notes/b.md' }
+            ]);
+        });
+
+        it('keeps links between files that moved together with their folder', async () => {
+            move(file('notes'), file('journal'));
+
+            const plan = await manager.planMove(file('notes'), file('journal'));
+
+            expect(plan.files.map(entry => entry.filePath)).toEqual([file('index.md')]);
+        });
+
+        it('keeps percent-encoding and angle brackets, encoding new spaces', async () => {
+            fs.writeFileSync(file('links.md'), '[x](notes/a.md "Title") [y](<notes/a.md>) [z](notes/my%20a.md)');
+            fs.writeFileSync(file('notes', 'my a.md'), '');
+            move(file('notes'), file('my notes'));
+
+            await manager.planMove(file('notes'), file('my notes'));
+            const plan = manager.pendingPlan;
+            const links = plan.files.find(entry => entry.filePath === file('links.md'));
+
+            expect(links.newContent).toBe('[x](my%20notes/a.md "Title") [y](<my notes/a.md>) [z](my%20notes/my%20a.md)');
+        });
+
+        it('ignores external and scheme links', async () => {
+            fs.writeFileSync(file('links.md'), '[web](https://example.com/a.md) [mail](mailto:a@example.com)');
+            move(file('links.md'), file('notes', 'links.md'));
+
+            const plan = await manager.planMove(file('links.md'), file('notes', 'links.md'));
+
+            expect(plan.files.find(entry => entry.filePath === file('notes', 'links.md'))).toBeUndefined();
+        });
+
+        it('reads open documents from their tab', async () => {
+            tabs = [{ id: 'tab-1', filePath: file('index.md'), content: 'Unsaved [A](notes/a.md)', isModified: true }];
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            expect(plan.files[0]).toMatchObject({ filePath: file('index.md'), isOpen: true });
+            expect(plan.files[0].edits).toEqual([{ line: 1, before: 'notes/a.md', after: 'notes/alpha.md' }]);
+        });
+    });
+
+    describe('applyPlan', () => {
+        it('writes every affected file', async () => {
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            const result = await manager.applyPlan(plan.id);
+
+            expect(result).toEqual({ linkCount: 2, fileCount: 1, updatedTabs: [] });
+            expect(read('index.md')).toBe('# Index\n\nSee [A](notes/alpha.md#intro) and [[notes/alpha]].\n');
+            expect(fileWatcherManager.recordWrite).toHaveBeenCalledWith(file('index.md'), read('index.md'));
+            expect(fs.readdirSync(workspacePath).some(name => name.endsWith('.tmp'))).toBe(false);
+        });
+
+        it('updates unsaved tabs without writing them to disk', async () => {
+            tabs = [{ id: 'tab-1', filePath: file('index.md'), content: 'Unsaved [A](notes/a.md)', isModified: true }];
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            const result = await manager.applyPlan(plan.id);
+
+            expect(result.updatedTabs).toEqual([{ tabId: 'tab-1', content: 'Unsaved [A](notes/alpha.md)', isModified: true }]);
+            expect(read('index.md')).toContain('[A](notes/a.md#intro)');
+        });
+
+        it('saves unmodified tabs and keeps them in sync', async () => {
+            tabs = [{ id: 'tab-1', filePath: file('index.md'), content: read('index.md'), isModified: false }];
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            const result = await manager.applyPlan(plan.id);
+
+            expect(result.updatedTabs[0]).toMatchObject({ tabId: 'tab-1', isModified: false });
+            expect(read('index.md')).toBe(tabs[0].content);
+        });
+
+        it('refuses to apply when a document changed after the preview', async () => {
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            fs.writeFileSync(file('index.md'), 'Edited elsewhere [A](notes/a.md)');
+
+            await expect(manager.applyPlan(plan.id)).rejects.toThrow('changed in the meantime');
+            expect(read('index.md')).toBe('Edited elsewhere [A](notes/a.md)');
+        });
+
+        it('restores written files when a later write fails', async () => {
+            fs.writeFileSync(file('other.md'), '[A](notes/a.md)');
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const originalIndex = read('index.md');
+            const writeAtomic = manager.writer._writeAtomic.bind(manager.writer);
+            let calls = 0;
+
+            vi.spyOn(manager.writer, '_writeAtomic').mockImplementation((filePath, content) => {
+                calls++;
+                return calls === 2 ? Promise.reject(new Error('disk full')) : writeAtomic(filePath, content);
+            });
+
+            await expect(manager.applyPlan(plan.id)).rejects.toThrow('disk full');
+            expect(read('index.md')).toBe(originalIndex);
+            expect(read('other.md')).toBe('[A](notes/a.md)');
+        });
+
+        it('does not record a write that failed', async () => {
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            vi.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+            await expect(manager.applyPlan(plan.id)).rejects.toThrow('disk full');
+            expect(fileWatcherManager.recordWrite).not.toHaveBeenCalled();
+            vi.restoreAllMocks();
+        });
+
+        it('rejects unknown or already applied plans', async () => {
+            move(file('notes', 'a.md'), file('notes', 'alpha.md'));
+            const plan = await manager.planMove(file('notes', 'a.md'), file('notes', 'alpha.md'));
+
+            await manager.applyPlan(plan.id);
+
+            await expect(manager.applyPlan(plan.id)).rejects.toThrow('no longer available');
+        });
+    });
+});
@@ -156,26 +156,37 @@ function createApplicationMenu(windowManager, fileManager, exporter, configStore
                     }
                 },
                 { type: 'separator' },
+                {
+                    label: 'Import...',
+                    click: () => {
+                        const mainWindow = windowManager.getMainWindow();
+
+                        if (mainWindow) {
+                            mainWindow.webContents.send('menu:action', 'import');
+                        }
+                    }
+                },
                 {
                     label: 'Export',
                     submenu: [
-                        {
-                            label: 'Export to HTML...',
+                        ...exporter.getFormats().map(format => ({
+                            label: `Export to ${format.label}...`,
                             click: () => {
                                 const mainWindow = windowManager.getMainWindow();
 
                                 if (mainWindow) {
-                                    mainWindow.webContents.send('menu:action', 'export-html');
+                                    mainWindow.webContents.send('menu:action', 'export', format.id);
                                 }
                             }
-                        },
+                        })),
+                        { type: 'separator' },
                         {
-                            label: 'Export to PDF...',
+                            label: 'Export Workspace as Website...',
                             click: () => {
                                 const mainWindow = windowManager.getMainWindow();
 
                                 if (mainWindow) {
-                                    mainWindow.webContents.send('menu:action', 'export-pdf');
+                                    mainWindow.webContents.send('menu:action', 'export-site');
                                 }
                             }
                         }
@@ -0,0 +1,348 @@
+/**
+ * ODT Converter - converts OpenDocument text files to HTML for import
+ * Reads content.xml of the package and maps headings, paragraphs, text
+ * formatting, links, lists, tables, images and footnotes to HTML. Footnotes
+ * use the same markup as Word documents converted with mammoth.
+ */
+
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+}
+
+/**
+ * Child elements of an XML node
+ * @param {Node} node
+ * @param {string} [name] - Only children with this qualified name, e.g. 'text:p'
+ * @returns {Element[]}
+ */
+function childElements(node, name) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1 && (!name || child.nodeName === name));
+}
+
+/**
+ * Read the text formatting and list kinds of the automatic and common styles
+ * @param {Document[]} documents - content.xml and styles.xml
+ * @returns {{text: Map<string, Object>, lists: Map<string, boolean>}} Text formatting by style name,
+ *   and whether each list style is numbered
+ */
+function readStyles(documents) {
+    const text = new Map();
+    const lists = new Map();
+
+    for (const document of documents) {
+        for (const style of Array.from(document.getElementsByTagName('style:style'))) {
+            const properties = childElements(style, 'style:text-properties')[0];
+
+            if (properties) {
+                const lineThrough = properties.getAttribute('style:text-line-through-style');
+                const underline = properties.getAttribute('style:text-underline-style');
+
+                text.set(style.getAttribute('style:name'), {
+                    bold: properties.getAttribute('fo:font-weight') === 'bold',
+                    italic: properties.getAttribute('fo:font-style') === 'italic',
+                    strike: Boolean(lineThrough) && lineThrough !== 'none',
+                    underline: Boolean(underline) && underline !== 'none',
+                    code: /mono|courier|consol/i.test(properties.getAttribute('style:font-name') || '')
+                });
+            }
+        }
+
+        for (const style of Array.from(document.getElementsByTagName('text:list-style'))) {
+            const firstLevel = childElements(style)[0];
+
+            lists.set(style.getAttribute('style:name'), Boolean(firstLevel) && firstLevel.nodeName === 'text:list-level-style-number');
+        }
+    }
+
+    return { text, lists };
+}
+
+/**
+ * Converts the body of an OpenDocument text to HTML
+ */
+class OdtConverter {
+    /**
+     * @param {JSZip} zip - The ODT package
+     * @param {ReturnType<typeof readStyles>} styles
+     * @param {(buffer: Buffer, contentType: string) => Promise<string>} convertImage - Saves an
+     *   image and returns its src
+     */
+    constructor(zip, styles, convertImage) {
+        this.zip = zip;
+        this.styles = styles;
+        this.convertImage = convertImage;
+        this.footnotes = [];
+    }
+
+    /**
+     * Convert child nodes
+     * @param {Node} node
+     * @returns {Promise<string>} HTML
+     */
+    async convertChildren(node) {
+        const parts = [];
+
+        for (const child of Array.from(node.childNodes)) {
+            parts.push(await this.convertNode(child));
+        }
+
+        return parts.join('');
+    }
+
+    /**
+     * Convert a node of content.xml
+     * @param {Node} node
+     * @returns {Promise<string>} HTML
+     */
+    async convertNode(node) {
+        if (node.nodeType === 3) {
+            return escapeHtml(node.nodeValue);
+        }
+        if (node.nodeType !== 1) {
+            return '';
+        }
+
+        switch (node.nodeName) {
+            case 'text:h': {
+                const level = Math.min(6, Math.max(1, parseInt(node.getAttribute('text:outline-level'), 10) || 1));
+
+                return `<h${level}>${await this.convertChildren(node)}</h${level}>\n`;
+            }
+            case 'text:p':
+                return `<p>${await this.convertChildren(node)}</p>\n`;
+            case 'text:span':
+                return this.convertSpan(node);
+            case 'text:a':
+                return `<a href="${escapeHtml(node.getAttribute('xlink:href') || '')}">${await this.convertChildren(node)}</a>`;
+            case 'text:s':
+                return ' '.repeat(parseInt(node.getAttribute('text:c'), 10) || 1);
+            case 'text:tab':
+                return '\t';
+            case 'text:line-break':
+                return '<br>';
+            case 'text:list':
+                return this.convertList(node);
+            case 'table:table':
+                return this.convertTable(node);
+            case 'draw:frame':
+            case 'draw:a':
+            case 'text:section':
+            case 'office:text':
+                return this.convertChildren(node);
+            case 'draw:image':
+                return this.convertDrawImage(node);
+            case 'text:note':
+                return this.convertNote(node);
+            case 'text:bookmark':
+            case 'text:bookmark-start':
+            case 'text:bookmark-end':
+            case 'text:soft-page-break':
+            case 'text:sequence-decls':
+            case 'office:forms':
+            case 'svg:title':
+            case 'svg:desc':
+                return '';
+            default:
+                // Fields and other inline elements keep their text
+                return this.convertChildren(node);
+        }
+    }
+
+    /**
+     * Convert formatted text
+     * @param {Element} node - text:span
+     * @returns {Promise<string>}
+     */
+    async convertSpan(node) {
+        const format = this.styles.text.get(node.getAttribute('text:style-name')) || {};
+        let html = await this.convertChildren(node);
+
+        if (format.code) html = `<code>${html}</code>`;
+        if (format.bold) html = `<strong>${html}</strong>`;
+        if (format.italic) html = `<em>${html}</em>`;
+        if (format.strike) html = `<del>${html}</del>`;
+
+        return html;
+    }
+
+    /**
+     * Convert a bulleted or numbered list
+     * @param {Element} node - text:list
+     * @param {string} [inheritedStyle] - Style of the enclosing list; nested lists often omit it
+     * @returns {Promise<string>}
+     */
+    async convertList(node, inheritedStyle) {
+        const styleName = node.getAttribute('text:style-name') || inheritedStyle;
+        const tag = this.styles.lists.get(styleName) ? 'ol' : 'ul';
+        const items = [];
+
+        for (const item of childElements(node).filter(child => /^text:list-(item|header)$/.test(child.nodeName))) {
+            const parts = [];
+
+            for (const child of Array.from(item.childNodes)) {
+                if (child.nodeName === 'text:list') {
+                    parts.push(await this.convertList(child, styleName));
+                } else if (child.nodeName === 'text:p' && childElements(item, 'text:p').length === 1) {
+                    // Items with a single paragraph stay tight
+                    parts.push(await this.convertChildren(child));
+                } else {
+                    parts.push(await this.convertNode(child));
+                }
+            }
+            items.push(`<li>${parts.join('')}</li>`);
+        }
+
+        return `<${tag}>\n${items.join('\n')}\n</${tag}>\n`;
+    }
+
+    /**
+     * Convert a table; header rows become header cells
+     * @param {Element} node - table:table
+     * @returns {Promise<string>}
+     */
+    async convertTable(node) {
+        const rows = [];
+        const convertRow = async (row, cellTag) => {
+            const cells = [];
+
+            for (const cell of childElements(row, 'table:table-cell')) {
+                const span = parseInt(cell.getAttribute('table:number-columns-spanned'), 10);
+                const colspan = span > 1 ? ` colspan="${span}"` : '';
+
+                // A cell with a single paragraph holds just its text
+                const paragraphs = childElements(cell);
+                const content = paragraphs.length === 1 && paragraphs[0].nodeName === 'text:p'
+                    ? await this.convertChildren(paragraphs[0])
+                    : await this.convertChildren(cell);
+
+                cells.push(`<${cellTag}${colspan}>${content}</${cellTag}>`);
+            }
+
+            return `<tr>${cells.join('')}</tr>`;
+        };
+
+        for (const child of childElements(node)) {
+            if (child.nodeName === 'table:table-header-rows') {
+                for (const row of childElements(child, 'table:table-row')) {
+                    rows.push(await convertRow(row, 'th'));
+                }
+            } else if (child.nodeName === 'table:table-row') {
+                rows.push(await convertRow(child, 'td'));
+            } else if (child.nodeName === 'table:table-rows') {
+                for (const row of childElements(child, 'table:table-row')) {
+                    rows.push(await convertRow(row, 'td'));
+                }
+            }
+        }
+
+        return `<table>\n${rows.join('\n')}\n</table>\n`;
+    }
+
+    /**
+     * Convert an image embedded in the package; linked images keep their URL
+     * @param {Element} node - draw:image
+     * @returns {Promise<string>}
+     */
+    async convertDrawImage(node) {
+        const href = node.getAttribute('xlink:href') || '';
+        const frame = node.parentNode;
+        const title = frame ? childElements(frame, 'svg:title')[0] || childElements(frame, 'svg:desc')[0] : null;
+        const alt = escapeHtml(title ? title.textContent : '');
+        const file = this.zip.file(href.replace(/^\.\//, ''));
+
+        if (!file) {
+            return /^[a-z]+:/i.test(href) ? `<img src="${escapeHtml(href)}" alt="${alt}">` : '';
+        }
+
+        const extension = href.split('.').pop().toLowerCase();
+        const src = await this.convertImage(await file.async('nodebuffer'), `image/${extension === 'jpg' ? 'jpeg' : extension}`);
+
+        return `<img src="${escapeHtml(src)}" alt="${alt}">`;
+    }
+
+    /**
+     * Convert a footnote or endnote to a reference; the note is listed at the end
+     * @param {Element} node - text:note
+     * @returns {Promise<string>}
+     */
+    async convertNote(node) {
+        const body = childElements(node, 'text:note-body')[0];
+        const number = this.footnotes.length + 1;
+
+        this.footnotes.push(body ? await this.convertChildren(body) : '');
+
+        return `<sup><a href="#footnote-${number}" id="footnote-ref-${number}">[${number}]</a></sup>`;
+    }
+
+    /**
+     * List of the footnotes referenced so far
+     * @returns {string}
+     */
+    renderFootnotes() {
+        if (this.footnotes.length === 0) {
+            return '';
+        }
+
+        const items = this.footnotes.map((note, index) => {
+            return `<li id="footnote-${index + 1}">${note} <a href="#footnote-ref-${index + 1}">↑</a></li>`;
+        });
+
+        return `<ol>\n${items.join('\n')}\n</ol>\n`;
+    }
+}
+
+/**
+ * Convert an ODT file to HTML
+ * @param {Buffer} buffer - Contents of the .odt file
+ * @param {Object} options
+ * @param {(buffer: Buffer, contentType: string) => Promise<string>} options.convertImage - Saves an
+ *   embedded image and returns its src
+ * @returns {Promise<string>} HTML
+ * @throws {Error} If the file is not an OpenDocument text
+ */
+async function convertOdtToHtml(buffer, { convertImage }) {
+    const zip = await JSZip.loadAsync(buffer);
+    const contentFile = zip.file('content.xml');
+
+    if (!contentFile) {
+        throw new Error('Not an OpenDocument text file: content.xml is missing');
+    }
+
+    const parser = new DOMParser();
+    const content = parser.parseFromString(await contentFile.async('string'), 'text/xml');
+    const stylesFile = zip.file('styles.xml');
+    const documents = [content];
+
+    if (stylesFile) {
+        documents.push(parser.parseFromString(await stylesFile.async('string'), 'text/xml'));
+    }
+
+    const body = content.getElementsByTagName('office:text')[0];
+
+    if (!body) {
+        throw new Error('Not an OpenDocument text file: the document has no text body');
+    }
+
+    const converter = new OdtConverter(zip, readStyles(documents), convertImage);
+    const html = await converter.convertNode(body);
+
+    return html + converter.renderFootnotes();
+}
+
+module.exports = { convertOdtToHtml };
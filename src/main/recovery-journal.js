@@ -0,0 +1,362 @@
+/**
+ * Recovery Journal
+ * Keeps the content of unsaved tabs in userData, written incrementally on a
+ * short interval, so edits survive a crash or power loss and unsaved tabs can
+ * be restored as they were after a normal quit (hot exit).
+ *
+ * Each modified tab has its own `<tabId>.json` file, replaced atomically through
+ * a temporary file. `session.json` records whether the last session ended
+ * cleanly; after a crash, every journaled buffer is offered for recovery.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Delay between two journal writes by default
+const DEFAULT_INTERVAL = 5000;
+
+const SESSION_FILE = 'session.json';
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} tabId - Tab the content belongs to
+ * @property {string|null} filePath - File of the tab, null for untitled tabs
+ * @property {string} title - Tab title
+ * @property {string} content - Unsaved content
+ * @property {number} lastModified - Time of the last edit in milliseconds
+ */
+
+class RecoveryJournal {
+    /**
+     * @param {string} journalDirectory - Directory where the journal is kept (under userData)
+     * @param {import('./tab-manager')} tabManager - Source of the open tabs
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Milliseconds between journal writes
+     */
+    constructor(journalDirectory, tabManager, options = {}) {
+        if (!journalDirectory) {
+            throw new Error('Journal directory is required');
+        }
+        if (!tabManager) {
+            throw new Error('TabManager is required');
+        }
+
+        this.journalDirectory = journalDirectory;
+        this.tabManager = tabManager;
+        this.interval = options.interval ?? DEFAULT_INTERVAL;
+        this.timer = null;
+        this.flushing = null;
+        // lastModified of the content written per tab
+        this.written = new Map();
+        // Entries left by a crashed session, waiting for the user to recover or discard them
+        this.pending = new Map();
+        // Entries of tabs left unsaved by a clean quit
+        this.hotExit = new Map();
+    }
+
+    /**
+     * Read the journal of the previous session and mark the new one as running
+     */
+    load() {
+        const session = this._readJson(path.join(this.journalDirectory, SESSION_FILE));
+        const cleanExit = Boolean(session && session.cleanExit);
+        const stillPending = new Set(session && Array.isArray(session.pending) ? session.pending : []);
+
+        this.pending.clear();
+        this.hotExit.clear();
+        this.written.clear();
+
+        for (const entry of this._readEntries()) {
+            this.written.set(entry.tabId, entry.lastModified);
+            if (cleanExit && !stillPending.has(entry.tabId)) {
+                this.hotExit.set(entry.tabId, entry);
+            } else {
+                this.pending.set(entry.tabId, entry);
+            }
+        }
+
+        this._writeSession(false);
+    }
+
+    /**
+     * Start writing the journal periodically
+     */
+    start() {
+        this.stop();
+        this.timer = setInterval(() => {
+            this.flush().catch(error => console.warn('Failed to write recovery journal:', error.message));
+        }, this.interval);
+    }
+
+    /**
+     * Stop writing the journal periodically
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Content of the tabs left unsaved by a clean quit, to restore them as they were
+     * Tabs still open in this session (e.g. after the window was reopened on macOS)
+     * take precedence over the journal of the previous one.
+     * @returns {Object<string, string>} Content by tab ID
+     */
+    getHotExitContent() {
+        const content = {};
+
+        for (const [tabId, entry] of this.hotExit) {
+            content[tabId] = entry.content;
+        }
+        for (const tab of this._getJournaledTabs()) {
+            content[tab.id] = tab.content;
+        }
+        return content;
+    }
+
+    /**
+     * Buffers left by a crashed session
+     * @returns {JournalEntry[]} Most recently edited first
+     */
+    getRecoveredEntries() {
+        return Array.from(this.pending.values()).sort((a, b) => b.lastModified - a.lastModified);
+    }
+
+    /**
+     * Forget the buffers of a crashed session once the user recovered or discarded them
+     * Recovered content lives in open tabs by then and is journaled again under their IDs.
+     * @returns {Promise<void>}
+     */
+    resolveRecovered() {
+        return this.flush().then(() => {
+            const modified = new Set(this.tabManager.getModifiedTabs().map(tab => tab.id));
+            const resolved = Array.from(this.pending.keys());
+
+            this.pending.clear();
+            this._writeSession(false);
+            return Promise.all(resolved
+                .filter(tabId => !modified.has(tabId))
+                .map(tabId => this._removeEntry(tabId)));
+        }).then(() => {});
+    }
+
+    /**
+     * Drop the unsaved content of every tab after the user chose not to save it
+     * on close; the tabs are marked unmodified so neither the journal nor hot
+     * exit bring the discarded content back. Crash buffers still waiting for
+     * recovery are kept.
+     * @returns {Promise<void>}
+     */
+    discardUnsaved() {
+        for (const tab of this._getJournaledTabs()) {
+            this.tabManager.markTabModified(tab.id, false);
+        }
+        this.hotExit.clear();
+        return this.flush();
+    }
+
+    /**
+     * Write the content of modified tabs edited since the last write and drop
+     * the entries of tabs that were saved or closed
+     * @returns {Promise<void>}
+     */
+    flush() {
+        // Writes never overlap; a flush requested meanwhile waits for the running one
+        if (!this.flushing) {
+            this.flushing = this._flush().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Write the final state of the journal on a clean quit
+     * Runs synchronously so it completes before the process exits.
+     */
+    compact() {
+        this.stop();
+
+        const modifiedTabs = this._getJournaledTabs();
+        const keep = new Set(modifiedTabs.map(tab => tab.id));
+
+        try {
+            fs.mkdirSync(this.journalDirectory, { recursive: true });
+            for (const tab of modifiedTabs) {
+                if (this.written.get(tab.id) !== tab.lastModified) {
+                    this._writeFileAtomicSync(this._getEntryFile(tab.id), JSON.stringify(this._toEntry(tab)));
+                    this.written.set(tab.id, tab.lastModified);
+                }
+            }
+
+            for (const tabId of Array.from(this.written.keys())) {
+                if (!keep.has(tabId) && !this.pending.has(tabId)) {
+                    fs.rmSync(this._getEntryFile(tabId), { force: true });
+                    this.written.delete(tabId);
+                }
+            }
+
+            this._writeSession(true);
+        } catch (error) {
+            console.error('Failed to compact recovery journal:', error.message);
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _flush() {
+        const modifiedTabs = this._getJournaledTabs();
+        const keep = new Set(modifiedTabs.map(tab => tab.id));
+        const changed = modifiedTabs.filter(tab => this.written.get(tab.id) !== tab.lastModified);
+        const stale = Array.from(this.written.keys()).filter(tabId => !keep.has(tabId) && !this.pending.has(tabId));
+
+        try {
+            if (changed.length > 0) {
+                await fs.promises.mkdir(this.journalDirectory, { recursive: true });
+            }
+
+            for (const tab of changed) {
+                const lastModified = tab.lastModified;
+
+                await this._writeFileAtomic(this._getEntryFile(tab.id), JSON.stringify(this._toEntry(tab)));
+                this.written.set(tab.id, lastModified);
+            }
+
+            await Promise.all(stale.map(tabId => this._removeEntry(tabId)));
+        } catch (error) {
+            throw new Error(`Failed to write recovery journal: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Tabs whose content must be journaled
+     * @returns {Object[]}
+     * @private
+     */
+    _getJournaledTabs() {
+        return this.tabManager.getModifiedTabs().filter(tab => typeof tab.content === 'string');
+    }
+
+    /**
+     * @param {Object} tab
+     * @returns {JournalEntry}
+     * @private
+     */
+    _toEntry(tab) {
+        return {
+            tabId: tab.id,
+            filePath: tab.filePath || null,
+            title: tab.title,
+            content: tab.content,
+            lastModified: tab.lastModified
+        };
+    }
+
+    /**
+     * Read every entry of the journal, skipping unreadable ones
+     * @returns {JournalEntry[]}
+     * @private
+     */
+    _readEntries() {
+        let files;
+
+        try {
+            files = fs.readdirSync(this.journalDirectory);
+        } catch {
+            return [];
+        }
+
+        return files
+            .filter(file => file.endsWith('.json') && file !== SESSION_FILE)
+            .map(file => this._readJson(path.join(this.journalDirectory, file)))
+            .filter(entry => entry && typeof entry.tabId === 'string' && typeof entry.content === 'string');
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {Object|null}
+     * @private
+     */
+    _readJson(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Discarding unreadable recovery journal file:', error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * @param {boolean} cleanExit - Whether the session ended normally
+     * @private
+     */
+    _writeSession(cleanExit) {
+        try {
+            fs.mkdirSync(this.journalDirectory, { recursive: true });
+            this._writeFileAtomicSync(path.join(this.journalDirectory, SESSION_FILE), JSON.stringify({
+                cleanExit,
+                pending: Array.from(this.pending.keys())
+            }));
+        } catch (error) {
+            console.warn('Failed to write recovery session:', error.message);
+        }
+    }
+
+    /**
+     * @param {string} tabId
+     * @returns {Promise<void>}
+     * @private
+     */
+    _removeEntry(tabId) {
+        this.written.delete(tabId);
+        return fs.promises.rm(this._getEntryFile(tabId), { force: true });
+    }
+
+    /**
+     * Replace a file through a temporary file so a crash never leaves it half written
+     * @param {string} filePath
+     * @param {string} data
+     * @private
+     */
+    async _writeFileAtomic(filePath, data) {
+        const tempFile = `${filePath}.tmp`;
+
+        try {
+            await fs.promises.writeFile(tempFile, data, 'utf-8');
+            await fs.promises.rename(tempFile, filePath);
+        } catch (error) {
+            await fs.promises.rm(tempFile, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {string} data
+     * @private
+     */
+    _writeFileAtomicSync(filePath, data) {
+        const tempFile = `${filePath}.tmp`;
+
+        fs.writeFileSync(tempFile, data, 'utf-8');
+        fs.renameSync(tempFile, filePath);
+    }
+
+    /**
+     * @param {string} tabId
+     * @returns {string}
+     * @private
+     */
+    _getEntryFile(tabId) {
+        // Tab IDs are UUIDs; anything else is reduced to a safe file name
+        return path.join(this.journalDirectory, `${String(tabId).replace(/[^\w-]/g, '_')}.json`);
+    }
+}
+
+module.exports = RecoveryJournal;
@@ -0,0 +1,196 @@
+/**
+ * Tests for RecoveryJournal
+ */
+
+const { describe, it, expect, beforeEach, afterEach, vi } = globalThis;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecoveryJournal = require('./recovery-journal');
+
+/**
+ * Minimal TabManager exposing the API the journal uses
+ */
+function createTabManager() {
+    const tabs = new Map();
+
+    return {
+        tabs,
+        getModifiedTabs: () => Array.from(tabs.values()).filter(tab => tab.isModified),
+        markTabModified(id, isModified) {
+            tabs.get(id).isModified = isModified;
+        },
+        edit(id, content, { filePath = null, isModified = true } = {}) {
+            const previous = tabs.get(id);
+
+            tabs.set(id, {
+                id,
+                filePath,
+                title: filePath ? path.basename(filePath) : 'Untitled',
+                content,
+                isModified,
+                lastModified: (previous ? previous.lastModified : 0) + 1
+            });
+        }
+    };
+}
+
+describe('RecoveryJournal', () => {
+    let journalDirectory;
+    let tabManager;
+    let journal;
+
+    const entryFiles = () => fs.readdirSync(journalDirectory).filter(file => file !== 'session.json').sort();
+
+    beforeEach(() => {
+        journalDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-recovery-'));
+        tabManager = createTabManager();
+        journal = new RecoveryJournal(journalDirectory, tabManager);
+        journal.load();
+    });
+
+    afterEach(() => {
+        journal.stop();
+        vi.useRealTimers();
+        fs.rmSync(journalDirectory, { recursive: true, force: true });
+    });
+
+    it('requires a journal directory and a tab manager', () => {
+        expect(() => new RecoveryJournal()).toThrow('Journal directory is required');
+        expect(() => new RecoveryJournal(journalDirectory)).toThrow('TabManager is required');
+    });
+
+    it('writes only modified tabs', async () => {
+        tabManager.edit('a', 'draft');
+        tabManager.edit('b', 'saved', { filePath: '/notes/b.md', isModified: false });
+
+        await journal.flush();
+
+        expect(entryFiles()).toEqual(['a.json']);
+        expect(JSON.parse(fs.readFileSync(path.join(journalDirectory, 'a.json'), 'utf-8')))
+            .toMatchObject({ tabId: 'a', filePath: null, content: 'draft' });
+    });
+
+    it('rewrites a tab only after it changed', async () => {
+        const writeSpy = vi.spyOn(journal, '_writeFileAtomic');
+
+        tabManager.edit('a', 'one');
+        await journal.flush();
+        await journal.flush();
+        tabManager.edit('a', 'two');
+        await journal.flush();
+
+        expect(writeSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('removes entries of tabs that were saved or closed', async () => {
+        tabManager.edit('a', 'draft');
+        tabManager.edit('b', 'draft');
+        await journal.flush();
+
+        tabManager.edit('a', 'draft', { isModified: false });
+        tabManager.tabs.delete('b');
+        await journal.flush();
+
+        expect(entryFiles()).toEqual([]);
+    });
+
+    it('writes on an interval once started', async () => {
+        vi.useFakeTimers();
+        journal = new RecoveryJournal(journalDirectory, tabManager, { interval: 1000 });
+        journal.load();
+        const flushSpy = vi.spyOn(journal, 'flush').mockResolvedValue();
+
+        journal.start();
+        await vi.advanceTimersByTimeAsync(3000);
+
+        expect(flushSpy).toHaveBeenCalledTimes(3);
+    });
+
+    it('restores unsaved tabs as they were after a clean quit', async () => {
+        tabManager.edit('a', 'draft');
+        await journal.flush();
+        tabManager.edit('a', 'latest draft');
+        journal.compact();
+
+        const next = new RecoveryJournal(journalDirectory, tabManager);
+
+        next.load();
+
+        expect(next.getHotExitContent()).toEqual({ a: 'latest draft' });
+        expect(next.getRecoveredEntries()).toEqual([]);
+    });
+
+    it('does not restore tabs whose changes were discarded on close', async () => {
+        tabManager.edit('a', 'saved draft');
+        journal.compact();
+
+        const next = new RecoveryJournal(journalDirectory, tabManager);
+
+        next.load();
+        tabManager.edit('b', 'discarded draft', { filePath: '/notes/b.md' });
+        await next.discardUnsaved();
+        next.compact();
+
+        expect(next.getHotExitContent()).toEqual({});
+        expect(tabManager.tabs.get('b').isModified).toBe(false);
+        expect(entryFiles()).toEqual([]);
+
+        const third = new RecoveryJournal(journalDirectory, tabManager);
+
+        third.load();
+        expect(third.getHotExitContent()).toEqual({});
+        expect(third.getRecoveredEntries()).toEqual([]);
+    });
+
+    it('offers the buffers of a crashed session for recovery', async () => {
+        tabManager.edit('a', 'lost work', { filePath: '/notes/a.md' });
+        await journal.flush();
+
+        // No compact(): the session did not end cleanly
+        const next = new RecoveryJournal(journalDirectory, createTabManager());
+
+        next.load();
+
+        expect(next.getHotExitContent()).toEqual({});
+        expect(next.getRecoveredEntries()).toEqual([
+            expect.objectContaining({ tabId: 'a', filePath: '/notes/a.md', content: 'lost work' })
+        ]);
+    });
+
+    it('keeps crash buffers until they are resolved', async () => {
+        tabManager.edit('a', 'lost work');
+        await journal.flush();
+
+        const nextTabs = createTabManager();
+        const next = new RecoveryJournal(journalDirectory, nextTabs);
+
+        next.load();
+        await next.flush();
+        next.compact();
+        expect(entryFiles()).toEqual(['a.json']);
+
+        // Still offered after a clean quit that did not resolve them
+        const third = new RecoveryJournal(journalDirectory, nextTabs);
+
+        third.load();
+        expect(third.getRecoveredEntries()).toHaveLength(1);
+
+        nextTabs.edit('b', 'lost work');
+        await third.resolveRecovered();
+
+        expect(third.getRecoveredEntries()).toEqual([]);
+        expect(entryFiles()).toEqual(['b.json']);
+    });
+
+    it('skips unreadable entries', () => {
+        fs.writeFileSync(path.join(journalDirectory, 'broken.json'), '{');
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const next = new RecoveryJournal(journalDirectory, tabManager);
+
+        next.load();
+
+        expect(next.getRecoveredEntries()).toEqual([]);
+    });
+});
@@ -0,0 +1,530 @@
+/**
+ * Search Index
+ * In-memory inverted index of workspace documents with ranked, phrase,
+ * prefix and filtered queries. Serializable so it can be persisted between sessions.
+ */
+
+const INDEX_VERSION = 1;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Matches in the file name count more than matches in the body
+const TITLE_BOOST = 2;
+
+const TOKEN_REGEX = /[\p{L}\p{N}_]+/gu;
+const HEADING_REGEX = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+const FENCE_REGEX = /^\s*(```|~~~)/;
+const TAG_REGEX = /(^|\s)#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---(\r?\n|$)/;
+const QUERY_REGEX = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+const FILTER_FIELDS = ['path', 'tag', 'heading'];
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<{term: string, raw: string, index: number}>} Tokens with their offset in the text
+ */
+function tokenize(text) {
+    const tokens = [];
+
+    for (const match of text.matchAll(TOKEN_REGEX)) {
+        tokens.push({ term: match[0].toLowerCase(), raw: match[0], index: match.index });
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a search query
+ * Supported syntax: plain terms, `"exact phrases"`, `prefix*`, and the filters
+ * `path:`, `tag:` and `heading:` (quote values containing spaces).
+ * @param {string} query - Query text
+ * @returns {{terms: Array, phrases: Array, filters: {path: string[], tag: string[], heading: string[]}}}
+ *   `terms` holds `{term, raw, prefix}` items and `phrases` holds `{terms, raw}` items,
+ *   where `term` is the lowercase form used by the index and `raw` the text as typed
+ */
+function parseQuery(query) {
+    const parsed = { terms: [], phrases: [], filters: { path: [], tag: [], heading: [] } };
+
+    const addWords = (text) => {
+        const prefix = text.endsWith('*');
+
+        tokenize(text).forEach((token, index, all) => {
+            parsed.terms.push({ term: token.term, raw: token.raw, prefix: prefix && index === all.length - 1 });
+        });
+    };
+
+    for (const match of query.matchAll(QUERY_REGEX)) {
+        const field = (match[1] || match[3] || '').toLowerCase();
+        const value = match[2] !== undefined ? match[2] : match[4];
+
+        if (field && FILTER_FIELDS.includes(field)) {
+            const normalized = value.trim()
+                .toLowerCase()
+                .replace(/^#/, '')
+                .replace(/\\/g, '/');
+
+            if (normalized) {
+                parsed.filters[field].push(normalized);
+            }
+        } else if (field) {
+            addWords(match[0]);
+        } else if (match[5] !== undefined) {
+            const tokens = tokenize(match[5]);
+
+            if (tokens.length === 1) {
+                parsed.terms.push({ term: tokens[0].term, raw: tokens[0].raw, prefix: false });
+            } else if (tokens.length > 1) {
+                parsed.phrases.push({ terms: tokens.map(token => token.term), raw: tokens.map(token => token.raw) });
+            }
+        } else {
+            addWords(match[6]);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Check whether a search uses the query syntax of parseQuery (quotes, a
+ * trailing `*` or a filter) rather than being plain text
+ * @param {string} query - Search text
+ * @returns {boolean}
+ */
+function hasQuerySyntax(query) {
+    return /"|\*(?=\s|$)/.test(query) ||
+        FILTER_FIELDS.some(field => new RegExp(`(^|\\s)${field}:`, 'i').test(query));
+}
+
+/**
+ * Extract the headings and tags of a markdown document, ignoring fenced code
+ * @param {string} content - Markdown content
+ * @returns {{headings: string[], tags: string[]}}
+ */
+function extractMetadata(content) {
+    const headings = [];
+    const tags = new Set();
+    let inFence = false;
+
+    const frontMatter = content.match(FRONT_MATTER_REGEX);
+
+    if (frontMatter) {
+        extractFrontMatterTags(frontMatter[1]).forEach(tag => tags.add(tag));
+    }
+
+    const body = frontMatter ? content.slice(frontMatter[0].length) : content;
+
+    for (const line of body.split('\n')) {
+        if (FENCE_REGEX.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) {
+            continue;
+        }
+
+        const heading = line.match(HEADING_REGEX);
+
+        if (heading) {
+            headings.push(heading[1]);
+            continue;
+        }
+
+        for (const match of line.matchAll(TAG_REGEX)) {
+            tags.add(match[2].toLowerCase());
+        }
+    }
+
+    return { headings, tags: Array.from(tags) };
+}
+
+/**
+ * Read `tags:` from YAML front matter, either as `[a, b]` or as a dash list
+ * @param {string} yaml - Front matter body
+ * @returns {string[]}
+ */
+function extractFrontMatterTags(yaml) {
+    const lines = yaml.split(/\r?\n/);
+    const index = lines.findIndex(line => /^tags\s*:/i.test(line));
+
+    if (index === -1) {
+        return [];
+    }
+
+    const clean = (value) => value.trim()
+        .replace(/^["']|["']$/g, '')
+        .replace(/^#/, '')
+        .toLowerCase();
+    const inline = lines[index].replace(/^tags\s*:/i, '').trim();
+
+    if (inline) {
+        return inline.replace(/^\[|\]$/g, '')
+            .split(',')
+            .map(clean)
+            .filter(Boolean);
+    }
+
+    const tags = [];
+
+    for (const line of lines.slice(index + 1)) {
+        const item = line.match(/^\s*-\s+(.+)$/);
+
+        if (!item) {
+            break;
+        }
+        tags.push(clean(item[1]));
+    }
+
+    return tags.filter(Boolean);
+}
+
+class SearchIndex {
+    constructor() {
+        this.documents = new Map(); // Map<id, document>
+        this.postings = new Map(); // Map<term, Map<id, positions[]>>
+        this.totalLength = 0;
+    }
+
+    /**
+     * Number of indexed documents
+     * @returns {number}
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Check whether a document is indexed with the given file stats
+     * @param {string} id - Document id (workspace-relative path)
+     * @param {{mtimeMs: number, size: number}} stats - Current file stats
+     * @returns {boolean}
+     */
+    isUpToDate(id, stats) {
+        const document = this.documents.get(id);
+
+        return Boolean(document) && document.mtimeMs === stats.mtimeMs && document.size === stats.size;
+    }
+
+    /**
+     * Get the ids of all indexed documents
+     * @returns {string[]}
+     */
+    getDocumentIds() {
+        return Array.from(this.documents.keys());
+    }
+
+    /**
+     * Add or replace a document
+     * @param {string} id - Document id (workspace-relative path, forward slashes)
+     * @param {string} content - Document content
+     * @param {{mtimeMs: number, size: number}} [stats] - File stats used to detect changes
+     */
+    addDocument(id, content, stats = { mtimeMs: 0, size: 0 }) {
+        this.removeDocument(id);
+
+        // No prototype, so words such as "constructor" are plain keys
+        const terms = Object.create(null);
+        const tokens = tokenize(content);
+
+        tokens.forEach((token, position) => {
+            (terms[token.term] || (terms[token.term] = [])).push(position);
+        });
+
+        const { headings, tags } = extractMetadata(content);
+
+        this._insert(id, {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            length: tokens.length,
+            title: this._titleTerms(id),
+            headings,
+            tags,
+            terms
+        });
+    }
+
+    /**
+     * Remove a document
+     * @param {string} id - Document id
+     * @returns {boolean} True if the document was indexed
+     */
+    removeDocument(id) {
+        const document = this.documents.get(id);
+
+        if (!document) {
+            return false;
+        }
+
+        for (const term of Object.keys(document.terms)) {
+            const posting = this.postings.get(term);
+
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+
+        this.totalLength -= document.length;
+        this.documents.delete(id);
+        return true;
+    }
+
+    /**
+     * Run a query and rank the matching documents
+     * @param {string|Object} query - Query text or the result of parseQuery
+     * @param {Object} [options]
+     * @param {boolean} [options.prefixTerms=false] - Match every plain term as a prefix
+     * @returns {Array<{id: string, score: number}>} Matching documents, best first
+     */
+    search(query, { prefixTerms = false } = {}) {
+        const parsed = typeof query === 'string' ? parseQuery(query) : query;
+        const hasText = parsed.terms.length > 0 || parsed.phrases.length > 0;
+        const matchedTerms = new Map(); // Map<id, Set<term>>
+        let candidates = null;
+
+        const intersect = (ids) => {
+            candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+        };
+        const remember = (id, term) => {
+            if (!matchedTerms.has(id)) {
+                matchedTerms.set(id, new Set());
+            }
+            matchedTerms.get(id).add(term);
+        };
+
+        for (const { term, prefix } of parsed.terms) {
+            const ids = new Set();
+
+            for (const indexedTerm of this._expandTerm(term, prefix || prefixTerms)) {
+                for (const id of this.postings.get(indexedTerm).keys()) {
+                    ids.add(id);
+                    remember(id, indexedTerm);
+                }
+            }
+            intersect(ids);
+        }
+
+        for (const phrase of parsed.phrases) {
+            const ids = new Set();
+
+            for (const id of this._phraseCandidates(phrase.terms)) {
+                if (this._containsPhrase(id, phrase.terms)) {
+                    ids.add(id);
+                    phrase.terms.forEach(term => remember(id, term));
+                }
+            }
+            intersect(ids);
+        }
+
+        if (candidates === null) {
+            candidates = new Set(this.documents.keys());
+        }
+
+        return Array.from(candidates)
+            .filter(id => this._matchesFilters(id, parsed.filters))
+            .map(id => ({ id, score: hasText ? this._score(id, Array.from(matchedTerms.get(id) || [])) : 0 }))
+            .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Rank the documents that may contain a text, for plain substring searches
+     * Every word of the text must appear inside an indexed word of the document
+     * ("script" in "javascript"); the caller checks the text itself.
+     * @param {string} text - Search text
+     * @returns {Array<{id: string, score: number}>} Candidate documents, best first
+     */
+    findContaining(text) {
+        const words = new Set(tokenize(text).map(token => token.term));
+        const matchedTerms = new Map(); // Map<id, Set<term>>
+        let candidates = null;
+
+        for (const word of words) {
+            const ids = new Set();
+
+            for (const [term, posting] of this.postings) {
+                if (!term.includes(word)) {
+                    continue;
+                }
+                for (const id of posting.keys()) {
+                    ids.add(id);
+                    if (!matchedTerms.has(id)) {
+                        matchedTerms.set(id, new Set());
+                    }
+                    matchedTerms.get(id).add(term);
+                }
+            }
+            candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+        }
+
+        return Array.from(candidates || [])
+            .map(id => ({ id, score: this._score(id, Array.from(matchedTerms.get(id))) }))
+            .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Get the headings and tags of a document
+     * @param {string} id - Document id
+     * @returns {{headings: string[], tags: string[]}|null}
+     */
+    getMetadata(id) {
+        const document = this.documents.get(id);
+
+        return document ? { headings: document.headings, tags: document.tags } : null;
+    }
+
+    /**
+     * Serialize the index
+     * @returns {Object} Plain object suitable for JSON
+     */
+    toJSON() {
+        return { version: INDEX_VERSION, documents: Object.fromEntries(this.documents) };
+    }
+
+    /**
+     * Restore an index serialized with toJSON
+     * @param {Object} data - Serialized index
+     * @returns {SearchIndex|null} null if the data is missing or from another version
+     */
+    static fromJSON(data) {
+        if (!data || data.version !== INDEX_VERSION || typeof data.documents !== 'object') {
+            return null;
+        }
+
+        const index = new SearchIndex();
+
+        for (const [id, document] of Object.entries(data.documents)) {
+            index._insert(id, document);
+        }
+
+        return index;
+    }
+
+    /**
+     * Store a prepared document and its postings
+     * @param {string} id - Document id
+     * @param {Object} document - Document record
+     * @private
+     */
+    _insert(id, document) {
+        this.documents.set(id, document);
+        this.totalLength += document.length;
+
+        for (const [term, positions] of Object.entries(document.terms)) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(id, positions);
+        }
+    }
+
+    /**
+     * Words of a document's file name, used to boost title matches
+     * @param {string} id - Document id
+     * @returns {string[]}
+     * @private
+     */
+    _titleTerms(id) {
+        const fileName = id.split('/').pop().replace(/\.(md|markdown)$/i, '');
+
+        return tokenize(fileName).map(token => token.term);
+    }
+
+    /**
+     * Find the indexed terms a query term stands for
+     * @param {string} term - Query term
+     * @param {boolean} prefix - Whether to match every term starting with it
+     * @returns {string[]}
+     * @private
+     */
+    _expandTerm(term, prefix) {
+        if (!prefix) {
+            return this.postings.has(term) ? [term] : [];
+        }
+        return Array.from(this.postings.keys()).filter(candidate => candidate.startsWith(term));
+    }
+
+    /**
+     * Documents containing every word of a phrase
+     * @param {string[]} phrase
+     * @returns {string[]}
+     * @private
+     */
+    _phraseCandidates(phrase) {
+        const postings = phrase.map(term => this.postings.get(term));
+
+        if (postings.some(posting => !posting)) {
+            return [];
+        }
+
+        const [smallest] = [...postings].sort((a, b) => a.size - b.size);
+
+        return Array.from(smallest.keys()).filter(id => postings.every(posting => posting.has(id)));
+    }
+
+    /**
+     * Check whether the words of a phrase appear next to each other
+     * @param {string} id - Document id
+     * @param {string[]} phrase
+     * @returns {boolean}
+     * @private
+     */
+    _containsPhrase(id, phrase) {
+        const positions = phrase.map(term => new Set(this.postings.get(term).get(id)));
+
+        for (const start of positions[0]) {
+            if (positions.every((set, offset) => set.has(start + offset))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check the path:, tag: and heading: filters
+     * @param {string} id - Document id
+     * @param {{path: string[], tag: string[], heading: string[]}} filters
+     * @returns {boolean}
+     * @private
+     */
+    _matchesFilters(id, filters) {
+        const document = this.documents.get(id);
+        const lowerId = id.toLowerCase();
+
+        if (!filters.path.every(value => lowerId.includes(value))) {
+            return false;
+        }
+        if (!filters.tag.every(value => document.tags.some(tag => tag === value || tag.startsWith(`${value}/`)))) {
+            return false;
+        }
+        return filters.heading.every(value => document.headings.some(heading => heading.toLowerCase().includes(value)));
+    }
+
+    /**
+     * BM25 score of a document for the matched terms, boosted by title matches
+     * @param {string} id - Document id
+     * @param {string[]} terms - Indexed terms that matched
+     * @returns {number}
+     * @private
+     */
+    _score(id, terms) {
+        const document = this.documents.get(id);
+        const averageLength = this.totalLength / this.documents.size || 1;
+        let score = 0;
+
+        for (const term of terms) {
+            const posting = this.postings.get(term);
+            const frequency = posting.get(id).length;
+            const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+            const norm = frequency + K1 * (1 - B + B * document.length / averageLength);
+            const boost = document.title.includes(term) ? TITLE_BOOST : 1;
+
+            score += boost * idf * (frequency * (K1 + 1)) / norm;
+        }
+
+        return score;
+    }
+}
+
+module.exports = { SearchIndex, hasQuerySyntax, parseQuery, tokenize, extractMetadata, INDEX_VERSION };
@@ -0,0 +1,156 @@
+/**
+ * SearchIndex Tests
+ * Tests for the inverted index behind the workspace search
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+
+const { SearchIndex, hasQuerySyntax, parseQuery, tokenize, extractMetadata } = require('./search-index');
+
+describe('tokenize', () => {
+    it('splits text into lowercase words with offsets', () => {
+        expect(tokenize('Hello, Wörld_2!')).toEqual([
+            { term: 'hello', raw: 'Hello', index: 0 },
+            { term: 'wörld_2', raw: 'Wörld_2', index: 7 }
+        ]);
+    });
+});
+
+describe('parseQuery', () => {
+    it('parses terms, prefixes, phrases and filters', () => {
+        const query = parseQuery('Alpha beta* "Exact Phrase" path:notes/ tag:#todo heading:"Next Steps"');
+
+        expect(query.terms).toEqual([
+            { term: 'alpha', raw: 'Alpha', prefix: false },
+            { term: 'beta', raw: 'beta', prefix: true }
+        ]);
+        expect(query.phrases).toEqual([{ terms: ['exact', 'phrase'], raw: ['Exact', 'Phrase'] }]);
+        expect(query.filters).toEqual({ path: ['notes/'], tag: ['todo'], heading: ['next steps'] });
+    });
+
+    it('treats unknown fields as plain words', () => {
+        expect(parseQuery('note:alpha').terms.map(term => term.term)).toEqual(['note', 'alpha']);
+    });
+
+    it('tells queries from plain text', () => {
+        expect(hasQuerySyntax('"exact phrase"')).toBe(true);
+        expect(hasQuerySyntax('beta*')).toBe(true);
+        expect(hasQuerySyntax('fox Tag:animals')).toBe(true);
+        expect(hasQuerySyntax('foo.bar note:alpha a*b')).toBe(false);
+    });
+});
+
+describe('extractMetadata', () => {
+    it('collects headings and tags, ignoring code blocks', () => {
+        const content = [
+            '---',
+            'tags: [Project, "draft"]',
+            '---',
+            '# Title',
+            'Some #idea and #area/work here',
+            '```',
+            '# not a heading #notatag',
+            '```'
+        ].join('\n');
+
+        expect(extractMetadata(content)).toEqual({
+            headings: ['Title'],
+            tags: ['project', 'draft', 'idea', 'area/work']
+        });
+    });
+
+    it('reads front matter tags written as a list', () => {
+        expect(extractMetadata('---\ntags:\n  - one\n  - two\ntitle: x\n---\nbody').tags).toEqual(['one', 'two']);
+    });
+});
+
+describe('SearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.addDocument('notes/alpha.md', '# Alpha\n\nThe quick brown fox jumps over the lazy dog. #animals');
+        index.addDocument('notes/beta.md', '# Beta\n\nA brown bear. Brown bears are brown.');
+        index.addDocument('journal/2024.md', '## Planning\n\nQuick notes about the fox project. #project/fox');
+    });
+
+    it('finds documents containing every word', () => {
+        expect(index.search('brown fox').map(hit => hit.id)).toEqual(['notes/alpha.md']);
+    });
+
+    it('ranks documents by relevance', () => {
+        const ids = index.search('brown').map(hit => hit.id);
+
+        expect(ids).toEqual(['notes/beta.md', 'notes/alpha.md']);
+    });
+
+    it('boosts matches in the file name', () => {
+        index.addDocument('fox.md', 'fox');
+
+        expect(index.search('fox')[0].id).toBe('fox.md');
+    });
+
+    it('matches exact phrases only when the words are adjacent', () => {
+        expect(index.search('"quick brown"').map(hit => hit.id)).toEqual(['notes/alpha.md']);
+        expect(index.search('"brown quick"')).toEqual([]);
+    });
+
+    it('finds the documents that may contain a text', () => {
+        expect(index.search('rown')).toEqual([]);
+        expect(index.findContaining('rown fo').map(hit => hit.id)).toEqual(['notes/alpha.md']);
+        expect(index.findContaining('ears')).toEqual([{ id: 'notes/beta.md', score: expect.any(Number) }]);
+    });
+
+    it('supports prefix matching', () => {
+        expect(index.search('jum*').map(hit => hit.id)).toEqual(['notes/alpha.md']);
+        expect(index.search('jum')).toEqual([]);
+        expect(index.search('jum', { prefixTerms: true }).map(hit => hit.id)).toEqual(['notes/alpha.md']);
+    });
+
+    it('applies path, tag and heading filters', () => {
+        expect(index.search('fox path:journal').map(hit => hit.id)).toEqual(['journal/2024.md']);
+        expect(index.search('tag:project').map(hit => hit.id)).toEqual(['journal/2024.md']);
+        expect(index.search('tag:animals fox').map(hit => hit.id)).toEqual(['notes/alpha.md']);
+        expect(index.search('heading:beta').map(hit => hit.id)).toEqual(['notes/beta.md']);
+    });
+
+    it('indexes words such as "constructor" like any other', () => {
+        index.addDocument('code.md', 'The constructor runs first');
+
+        expect(index.search('constructor').map(hit => hit.id)).toEqual(['code.md']);
+    });
+
+    it('replaces and removes documents', () => {
+        index.addDocument('notes/alpha.md', 'Nothing left');
+
+        expect(index.search('fox').map(hit => hit.id)).toEqual(['journal/2024.md']);
+
+        index.removeDocument('journal/2024.md');
+
+        expect(index.search('fox')).toEqual([]);
+        expect(index.postings.has('planning')).toBe(false);
+    });
+
+    it('detects changed files from their stats', () => {
+        index.addDocument('stats.md', 'x', { mtimeMs: 10, size: 1 });
+
+        expect(index.isUpToDate('stats.md', { mtimeMs: 10, size: 1 })).toBe(true);
+        expect(index.isUpToDate('stats.md', { mtimeMs: 11, size: 1 })).toBe(false);
+        expect(index.isUpToDate('missing.md', { mtimeMs: 10, size: 1 })).toBe(false);
+    });
+
+    it('survives a JSON round trip', () => {
+        const restored = SearchIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+
+        expect(restored.size).toBe(3);
+        expect(restored.search('"quick brown"').map(hit => hit.id)).toEqual(['notes/alpha.md']);
+        expect(restored.search('brown')).toEqual(index.search('brown'));
+    });
+
+    it('rejects serialized data from another version', () => {
+        expect(SearchIndex.fromJSON({ version: 0, documents: {} })).toBeNull();
+        expect(SearchIndex.fromJSON(null)).toBeNull();
+    });
+});
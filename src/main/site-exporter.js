@@ -0,0 +1,656 @@
+/**
+ * Site Exporter - exports a whole workspace as a static website
+ * Every markdown file of the workspace tree becomes an HTML page next to its
+ * siblings, with links between notes rewritten to the generated pages, the
+ * referenced images and attachments copied, a navigation sidebar mirroring
+ * the folder tree, backlinks, a generated index and an offline search.
+ */
+
+const { dialog, BrowserWindow } = require('electron');
+const fs = require('fs').promises;
+const path = require('path');
+const { parseFrontMatter, formatPropertyValue } = require('../renderer/advanced-markdown/front-matter');
+const { generateSiteCSS } = require('./export-styles');
+
+/** Folder of the generated site holding its stylesheet and scripts */
+const SITE_ASSETS_DIR = '_site';
+
+/** Text indexed per page; keeps the search index of large workspaces small */
+const MAX_INDEXED_TEXT_LENGTH = 20000;
+
+const MARKDOWN_EXTENSION_REGEX = /\.(md|markdown)$/i;
+
+/** URLs with a scheme (https:, mailto:, data:, ...), protocol-relative or absolute URLs are left alone */
+const NON_RELATIVE_URL_REGEX = /^(?:[a-z][a-z0-9+.-]*:|\/|#)/i;
+
+/**
+ * Labels shown on every page; the renderer passes translated ones
+ * @type {{search: string, backlinks: string, allPages: string, noResults: string}}
+ */
+const DEFAULT_LABELS = {
+    search: 'Search',
+    backlinks: 'Backlinks',
+    allPages: 'All pages',
+    noResults: 'No results'
+};
+
+/**
+ * Client-side search; the index is a script rather than JSON so the site
+ * also works when opened from disk, where browsers refuse to fetch files
+ */
+const SEARCH_SCRIPT = `(function () {
+    var input = document.querySelector('.site-search');
+    var results = document.querySelector('.site-search-results');
+    var nav = document.querySelector('.site-nav');
+    var pages = window.SITE_SEARCH_INDEX || [];
+    var root = document.body.getAttribute('data-root') || '';
+
+    function snippet(text, term) {
+        var index = text.toLowerCase().indexOf(term);
+        var start = Math.max(0, index - 60);
+
+        return (start > 0 ? '…' : '') + text.slice(start, start + 160).trim() + (start + 160 < text.length ? '…' : '');
+    }
+
+    function search(query) {
+        var terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+
+        return pages.map(function (page) {
+            var title = page.title.toLowerCase();
+            var text = page.text.toLowerCase();
+            var score = 0;
+
+            for (var i = 0; i < terms.length; i++) {
+                var inTitle = title.indexOf(terms[i]) !== -1;
+
+                if (!inTitle && text.indexOf(terms[i]) === -1) {
+                    return null;
+                }
+                score += (inTitle ? 10 : 0) + text.split(terms[i]).length - 1;
+            }
+
+            return { page: page, score: score };
+        }).filter(Boolean).sort(function (a, b) {
+            return b.score - a.score;
+        }).slice(0, 20);
+    }
+
+    function show(query) {
+        results.textContent = '';
+        results.hidden = !query.trim();
+        nav.hidden = !results.hidden;
+        if (results.hidden) {
+            return;
+        }
+
+        var matches = search(query);
+        var term = query.trim().toLowerCase().split(/\\s+/)[0];
+
+        if (matches.length === 0) {
+            var empty = document.createElement('li');
+
+            empty.textContent = results.getAttribute('data-empty');
+            results.appendChild(empty);
+        }
+        matches.forEach(function (match) {
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+            var text = document.createElement('p');
+
+            link.href = root + match.page.url;
+            link.textContent = match.page.title;
+            text.textContent = snippet(match.page.text, term);
+            item.appendChild(link);
+            item.appendChild(text);
+            results.appendChild(item);
+        });
+    }
+
+    input.addEventListener('input', function () {
+        show(input.value);
+    });
+    input.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape') {
+            input.value = '';
+            show('');
+        }
+    });
+})();
+`;
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+
+    return String(text).replace(/[&<>"']/g, (m) => map[m]);
+}
+
+/**
+ * Reverses escapeHtml for attribute values of rendered markdown
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeHtml(text) {
+    const map = {
+        '&amp;': '&',
+        '&lt;': '<',
+        '&gt;': '>',
+        '&quot;': '"',
+        '&#039;': "'"
+    };
+
+    return text.replace(/&(?:amp|lt|gt|quot|#039);/g, (m) => map[m]);
+}
+
+/**
+ * Path of the page generated for a markdown file
+ * @param {string} relativePath - Workspace-relative markdown path with forward slashes
+ * @returns {string} Site-relative HTML path
+ */
+function toPageUrl(relativePath) {
+    return relativePath.replace(MARKDOWN_EXTENSION_REGEX, '.html');
+}
+
+/**
+ * URL of a site file as linked from a page
+ * @param {string} fromPage - Site-relative path of the linking page
+ * @param {string} to - Site-relative path of the linked file
+ * @returns {string} Relative, URI-encoded URL
+ */
+function relativeUrl(fromPage, to) {
+    const relative = path.posix.relative(path.posix.dirname(fromPage), to);
+
+    return encodeURI(relative);
+}
+
+/**
+ * Prefix leading from a page back to the site root, e.g. '../' for 'notes/a.html'
+ * @param {string} page - Site-relative path of the page
+ * @returns {string}
+ */
+function rootPrefix(page) {
+    return '../'.repeat(page.split('/').length - 1);
+}
+
+/**
+ * @param {string} folderPath
+ * @param {string} filePath - Resolved path
+ * @returns {boolean} Whether the path is inside the folder
+ */
+function isInside(folderPath, filePath) {
+    const relativePath = path.relative(path.resolve(folderPath), filePath);
+
+    return Boolean(relativePath) && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Rewrite the links and images of a rendered page: links to markdown files
+ * point to their pages, other local files are reported as assets to copy.
+ * Links leaving the workspace, absolute paths and URLs are left as they are.
+ * @param {string} html - Rendered page body
+ * @param {string} pagePath - Workspace-relative path of the markdown file
+ * @param {(assetPath: string) => void} onAsset - Called with the workspace-relative path of each asset
+ * @returns {string} Page body
+ */
+function rewriteLinks(html, pagePath, onAsset) {
+    const rewrite = (url) => {
+        if (!url || NON_RELATIVE_URL_REGEX.test(url)) {
+            return url;
+        }
+
+        const suffixIndex = url.search(/[?#]/);
+        const target = suffixIndex === -1 ? url : url.slice(0, suffixIndex);
+        const suffix = suffixIndex === -1 ? '' : url.slice(suffixIndex);
+        let decoded = target;
+
+        try {
+            decoded = decodeURI(target);
+        } catch {
+            // Keep malformed URLs as written
+        }
+
+        const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(pagePath), decoded));
+
+        // Backslashes are separators on Windows and could step out of the workspace unnoticed
+        if (!target || decoded.includes('\\') || resolved === '..' || resolved.startsWith('../')) {
+            return url;
+        }
+        if (MARKDOWN_EXTENSION_REGEX.test(resolved)) {
+            return relativeUrl(toPageUrl(pagePath), toPageUrl(resolved)) + suffix;
+        }
+
+        onAsset(resolved);
+        return url;
+    };
+
+    return html
+        .replace(/(<a\s[^>]*?href=")([^"]*)"/g, (match, start, url) => `${start}${escapeHtml(rewrite(unescapeHtml(url)))}"`)
+        .replace(/(<img\s[^>]*?src=")([^"]*)"/g, (match, start, url) => `${start}${escapeHtml(rewrite(unescapeHtml(url)))}"`)
+        // Absolute paths of the exporting machine do not belong on a website
+        .replace(/ data-wiki-path="[^"]*"/g, '');
+}
+
+/**
+ * Plain text of a markdown document for the search index
+ * @param {import('markdown-it')} md - Parser to tokenize with
+ * @param {string} content - Markdown content
+ * @returns {string}
+ */
+function extractPlainText(md, content) {
+    const parts = [];
+
+    for (const token of md.parse(content, {})) {
+        if (token.type === 'fence' || token.type === 'code_block') {
+            parts.push(token.content);
+        } else if (token.type === 'inline') {
+            for (const child of token.children || []) {
+                if (child.type === 'text' || child.type === 'code_inline') {
+                    parts.push(child.content);
+                } else if (child.type === 'wiki_link') {
+                    parts.push(child.meta.alias || child.meta.target);
+                }
+            }
+        }
+    }
+
+    return parts.join(' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_INDEXED_TEXT_LENGTH);
+}
+
+/**
+ * SiteExporter class builds static websites from workspaces
+ */
+class SiteExporter {
+    /**
+     * @param {import('./exporter')} exporter - Renders pages the same way as HTML export
+     * @param {import('./workspace-manager')} workspaceManager - Provides the folder tree
+     * @param {import('./link-analyzer-manager')} linkAnalyzerManager - Provides the links between notes
+     */
+    constructor(exporter, workspaceManager, linkAnalyzerManager) {
+        this.exporter = exporter;
+        this.workspaceManager = workspaceManager;
+        this.linkAnalyzerManager = linkAnalyzerManager;
+    }
+
+    /**
+     * Ask for a folder and export the current workspace into it as a website
+     * @param {string} [theme='light'] - Theme to use ('light' or 'dark')
+     * @param {Object} [options]
+     * @param {Partial<typeof DEFAULT_LABELS>} [options.labels] - Translated labels
+     * @returns {Promise<{outputPath: string, pageCount: number}|null>} Null if the user cancelled
+     * @throws {Error} If no workspace is open or the export fails
+     */
+    async exportWorkspace(theme = 'light', options = {}) {
+        const workspacePath = this.workspaceManager.getWorkspacePath();
+
+        if (!workspacePath) {
+            throw new Error('No workspace open');
+        }
+
+        const result = await dialog.showOpenDialog(BrowserWindow.getFocusedWindow(), {
+            title: 'Export Workspace as Website',
+            buttonLabel: 'Export',
+            properties: ['openDirectory', 'createDirectory']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+
+        const outputPath = result.filePaths[0];
+        const relativeOutput = path.relative(path.resolve(workspacePath), path.resolve(outputPath));
+
+        // A site inside the workspace would be exported again into itself on the next export
+        if (!relativeOutput.startsWith('..') && !path.isAbsolute(relativeOutput)) {
+            throw new Error('Choose a folder outside the workspace');
+        }
+
+        const pageCount = await this.buildSite(workspacePath, outputPath, theme, options.labels);
+
+        return { outputPath, pageCount };
+    }
+
+    /**
+     * Build the website of a workspace
+     * @param {string} workspacePath - Workspace root
+     * @param {string} outputPath - Folder to write the site into; existing files are overwritten
+     * @param {string} [theme='light'] - Theme to use ('light' or 'dark')
+     * @param {Partial<typeof DEFAULT_LABELS>} [labels] - Translated labels
+     * @returns {Promise<number>} Number of exported pages
+     */
+    async buildSite(workspacePath, outputPath, theme = 'light', labels = {}) {
+        try {
+            const tree = await this._getTree(workspacePath);
+            const site = {
+                outputPath,
+                theme,
+                tree,
+                title: path.basename(workspacePath),
+                text: { ...DEFAULT_LABELS, ...labels },
+                assets: new Set()
+            };
+            const pages = this._collectPages(tree, workspacePath);
+
+            for (const page of pages) {
+                page.content = await fs.readFile(page.filePath, 'utf-8');
+                page.title = this._getTitle(page.content, page.name);
+            }
+
+            const searchIndex = await this._writePages(site, pages);
+
+            if (!pages.some(page => page.url === 'index.html')) {
+                const main = `<h1>${escapeHtml(site.title)}</h1>\n${this._buildIndex(pages, site.text.allPages)}`;
+
+                await this._writeFile(outputPath, 'index.html', this._buildPage(site, site.title, main, 'index.html'));
+            }
+
+            await this._copyAssets(site.assets, workspacePath, outputPath);
+            await this._writeFile(outputPath, `${SITE_ASSETS_DIR}/site.css`,
+                `${await this.exporter.getStylesheet(theme)}\n${generateSiteCSS(theme)}`);
+            await this._writeFile(outputPath, `${SITE_ASSETS_DIR}/search.js`, SEARCH_SCRIPT);
+            await this._writeFile(outputPath, `${SITE_ASSETS_DIR}/search-index.js`,
+                `window.SITE_SEARCH_INDEX = ${JSON.stringify(searchIndex).replace(/</g, '\\u003c')};\n`);
+
+            return pages.length;
+        } catch (error) {
+            console.error('Error exporting website:', error);
+            throw new Error(`Failed to export website: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Render and write every page, collecting the assets they reference
+     * @param {Object} site - Site being built
+     * @param {Array<{name: string, filePath: string, relativePath: string, url: string, title: string,
+     *   content: string}>} pages
+     * @returns {Promise<Array<{title: string, url: string, text: string}>>} Search index entries
+     * @private
+     */
+    async _writePages(site, pages) {
+        const notes = pages.map(({ name, filePath, relativePath }) => ({ name, filePath, relativePath }));
+        const titles = new Map(pages.map(page => [page.relativePath, page.title]));
+        const backlinks = await this._getBacklinks();
+        const searchIndex = [];
+
+        for (const page of pages) {
+            const body = await this.exporter.renderPage(page.content, site.theme, {
+                currentFilePath: page.filePath,
+                wikiNotes: notes
+            });
+            let main = rewriteLinks(body, page.relativePath, asset => site.assets.add(asset));
+            const sources = (backlinks.get(page.relativePath) || []).filter(source => titles.has(source));
+
+            if (sources.length > 0) {
+                main += this._buildBacklinks(page.url, sources, titles, site.text.backlinks);
+            }
+            // A root index.md is the home page, followed by the list of pages
+            if (page.url === 'index.html') {
+                main += this._buildIndex(pages, site.text.allPages);
+            }
+
+            await this._writeFile(site.outputPath, page.url, this._buildPage(site, page.title, main, page.url));
+            searchIndex.push({
+                title: page.title,
+                url: encodeURI(page.url),
+                text: extractPlainText(this.exporter.md, page.content)
+            });
+        }
+
+        return searchIndex;
+    }
+
+    /**
+     * Get the full workspace tree without hidden folders and folders without notes
+     * @param {string} workspacePath
+     * @returns {Promise<Array<TreeNode>>}
+     * @private
+     */
+    async _getTree(workspacePath) {
+        // Cached folders of the sidebar may not have their children loaded
+        this.workspaceManager.clearCache();
+
+        const prune = nodes => nodes
+            .filter(node => !node.name.startsWith('.'))
+            .map(node => (node.type === 'folder' ? { ...node, children: prune(node.children) } : node))
+            .filter(node => node.type === 'file' || node.children.length > 0);
+
+        return prune(await this.workspaceManager.scanDirectory(workspacePath, true));
+    }
+
+    /**
+     * Flatten the tree into the list of pages to export
+     * @param {Array<TreeNode>} tree
+     * @param {string} workspacePath
+     * @returns {Array<{name: string, filePath: string, relativePath: string, url: string}>}
+     * @private
+     */
+    _collectPages(tree, workspacePath) {
+        const pages = [];
+        const visit = (nodes) => {
+            for (const node of nodes) {
+                if (node.type === 'folder') {
+                    visit(node.children);
+                } else {
+                    const relativePath = path.relative(workspacePath, node.path).replace(/\\/g, '/');
+
+                    pages.push({
+                        name: path.basename(node.name, path.extname(node.name)),
+                        filePath: node.path,
+                        relativePath,
+                        url: toPageUrl(relativePath)
+                    });
+                }
+            }
+        };
+
+        visit(tree);
+        return pages;
+    }
+
+    /**
+     * Map each note to the notes linking to it
+     * @returns {Promise<Map<string, string[]>>} Workspace-relative paths
+     * @private
+     */
+    async _getBacklinks() {
+        const backlinks = new Map();
+        let result;
+
+        try {
+            result = await this.linkAnalyzerManager.analyzeWorkspace();
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+        if (!result.success) {
+            console.warn('Exporting website without backlinks:', result.error);
+            return backlinks;
+        }
+
+        for (const edge of result.graph.edges) {
+            const { source } = edge;
+            // Links to a heading keep their #fragment in the graph
+            const target = edge.target.replace(/#.*$/, '');
+            const sources = backlinks.get(target) || [];
+
+            if (source !== target && !sources.includes(source)) {
+                sources.push(source);
+                backlinks.set(target, sources);
+            }
+        }
+
+        return backlinks;
+    }
+
+    /**
+     * Get the title of a page: its front matter title, or else its file name
+     * @param {string} content - Markdown content
+     * @param {string} name - File name without extension
+     * @returns {string}
+     * @private
+     */
+    _getTitle(content, name) {
+        const frontMatter = parseFrontMatter(content);
+
+        return (frontMatter && formatPropertyValue(frontMatter.data.title)) || name;
+    }
+
+    /**
+     * @param {string} pageUrl - Site-relative path of the page
+     * @param {string[]} sources - Workspace-relative paths of the linking notes
+     * @param {Map<string, string>} titles - Page titles by workspace-relative path
+     * @param {string} heading
+     * @returns {string} Backlinks section
+     * @private
+     */
+    _buildBacklinks(pageUrl, sources, titles, heading) {
+        const items = sources.map(source => {
+            return `<li><a href="${escapeHtml(relativeUrl(pageUrl, toPageUrl(source)))}">${escapeHtml(titles.get(source))}</a></li>`;
+        });
+
+        return `\n<section class="site-backlinks">\n<h2>${escapeHtml(heading)}</h2>\n<ul>\n${items.join('\n')}\n</ul>\n</section>\n`;
+    }
+
+    /**
+     * @param {Array<{title: string, relativePath: string, url: string}>} pages
+     * @param {string} heading
+     * @returns {string} List of all pages, as linked from the site root
+     * @private
+     */
+    _buildIndex(pages, heading) {
+        const items = pages.map(page => {
+            const folder = path.posix.dirname(page.relativePath);
+            const location = folder === '.' ? '' : ` <span class="site-index-path">${escapeHtml(folder)}/</span>`;
+
+            return `<li><a href="${escapeHtml(encodeURI(page.url))}">${escapeHtml(page.title)}</a>${location}</li>`;
+        });
+
+        return `\n<section class="site-index">\n<h2>${escapeHtml(heading)}</h2>\n<ul>\n${items.join('\n')}\n</ul>\n</section>\n`;
+    }
+
+    /**
+     * Build the navigation mirroring the folder tree; folders leading to the
+     * current page start expanded
+     * @param {Array<TreeNode>} nodes
+     * @param {string} pageUrl - Site-relative path of the current page
+     * @param {string} [parentPath=''] - Workspace-relative folder of the nodes
+     * @returns {string}
+     * @private
+     */
+    _buildNavigation(nodes, pageUrl, parentPath = '') {
+        const items = nodes.map(node => {
+            const relativePath = parentPath ? `${parentPath}/${node.name}` : node.name;
+
+            if (node.type === 'folder') {
+                const open = pageUrl.startsWith(`${relativePath}/`) ? ' open' : '';
+
+                return `<li><details${open}><summary>${escapeHtml(node.name)}</summary>`
+                    + `${this._buildNavigation(node.children, pageUrl, relativePath)}</details></li>`;
+            }
+
+            const url = toPageUrl(relativePath);
+            const current = url === pageUrl ? ' aria-current="page"' : '';
+            const label = path.basename(node.name, path.extname(node.name));
+
+            return `<li><a href="${escapeHtml(relativeUrl(pageUrl, url))}"${current}>${escapeHtml(label)}</a></li>`;
+        });
+
+        return `<ul>${items.join('')}</ul>`;
+    }
+
+    /**
+     * Build a complete page of the site
+     * @param {Object} site - Site being built, with its tree, title and labels
+     * @param {string} title - Page title
+     * @param {string} main - Page content
+     * @param {string} pageUrl - Site-relative path of the page
+     * @returns {string} HTML document
+     * @private
+     */
+    _buildPage(site, title, main, pageUrl) {
+        const root = rootPrefix(pageUrl);
+        const documentTitle = title === site.title ? title : `${title} - ${site.title}`;
+        const search = escapeHtml(site.text.search);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(documentTitle)}</title>
+    <link rel="stylesheet" href="${root}${SITE_ASSETS_DIR}/site.css">
+</head>
+<body class="site" data-root="${root}">
+    <aside class="site-sidebar">
+        <a class="site-title" href="${root}index.html">${escapeHtml(site.title)}</a>
+        <input type="search" class="site-search" placeholder="${search}" aria-label="${search}">
+        <ul class="site-search-results" data-empty="${escapeHtml(site.text.noResults)}" hidden></ul>
+        <nav class="site-nav">${this._buildNavigation(site.tree, pageUrl)}</nav>
+    </aside>
+    <main class="site-content">
+${main}
+    </main>
+    <script src="${root}${SITE_ASSETS_DIR}/search-index.js"></script>
+    <script src="${root}${SITE_ASSETS_DIR}/search.js"></script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Copy the images and attachments referenced by the pages, keeping their
+     * place relative to the pages. Missing files are skipped.
+     * @param {Set<string>} assets - Workspace-relative paths
+     * @param {string} workspacePath
+     * @param {string} outputPath
+     * @private
+     */
+    async _copyAssets(assets, workspacePath, outputPath) {
+        for (const asset of assets) {
+            const source = path.resolve(workspacePath, asset);
+            const destination = path.resolve(outputPath, asset);
+
+            if (!isInside(workspacePath, source) || !isInside(outputPath, destination)) {
+                console.warn(`Skipping website asset outside the workspace: ${asset}`);
+                continue;
+            }
+
+            try {
+                const stats = await fs.stat(source);
+
+                if (stats.isFile()) {
+                    await fs.mkdir(path.dirname(destination), { recursive: true });
+                    await fs.copyFile(source, destination);
+                }
+            } catch (error) {
+                console.warn(`Skipping missing website asset ${asset}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * @param {string} outputPath - Site folder
+     * @param {string} relativePath - Site-relative path with forward slashes
+     * @param {string} content
+     * @private
+     */
+    async _writeFile(outputPath, relativePath, content) {
+        const filePath = path.join(outputPath, ...relativePath.split('/'));
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, content, 'utf-8');
+    }
+}
+
+module.exports = { SiteExporter, rewriteLinks, extractPlainText, toPageUrl };
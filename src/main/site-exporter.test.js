@@ -0,0 +1,244 @@
+/**
+ * Tests for SiteExporter
+ * Builds the website of a temporary workspace and inspects the generated files.
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const showOpenDialog = vi.fn();
+
+// The exporters load electron through CommonJS require, which vi.mock does not intercept
+const require = createRequire(import.meta.url);
+const electronPath = require.resolve('electron');
+
+require.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: { dialog: { showOpenDialog }, BrowserWindow: { getFocusedWindow: () => null }, net: {}, shell: {} }
+};
+
+const Exporter = require('./exporter.js');
+const WorkspaceManager = require('./workspace-manager.js');
+const LinkAnalyzerManager = require('./link-analyzer-manager.js');
+const { SiteExporter, rewriteLinks, extractPlainText } = require('./site-exporter.js');
+
+describe('rewriteLinks', () => {
+    it('points links to markdown files at their pages, keeping anchors', () => {
+        const html = '<p><a href="other.md#intro">Other</a> <a href="../guide/Read%20Me.markdown">Guide</a></p>';
+
+        expect(rewriteLinks(html, 'notes/page.md', () => {})).toBe(
+            '<p><a href="other.html#intro">Other</a> <a href="../guide/Read%20Me.html">Guide</a></p>'
+        );
+    });
+
+    it('reports local images and attachments as assets', () => {
+        const assets = [];
+        const html = '<p><img src="../images/a%20b.png" alt=""> <a href="files/report.pdf">Report</a></p>';
+
+        expect(rewriteLinks(html, 'notes/page.md', asset => assets.push(asset))).toBe(html);
+        expect(assets).toEqual(['notes/files/report.pdf', 'images/a b.png']);
+    });
+
+    it('leaves URLs, anchors, absolute paths and paths outside the workspace alone', () => {
+        const assets = [];
+        const html = '<a href="https://example.com/a.md">a</a><a href="#top">b</a>'
+            + '<a href="/etc/notes.md">c</a><a href="../../outside.png">d</a><a href="mailto:a@b.c">e</a>';
+
+        expect(rewriteLinks(html, 'notes/page.md', asset => assets.push(asset))).toBe(html);
+        expect(assets).toEqual([]);
+    });
+
+    it('does not report paths with backslashes as assets', () => {
+        const assets = [];
+        const html = '<img src="..%5C..%5Csecret.txt" alt=""><a href="files\\report.pdf">Report</a>';
+
+        expect(rewriteLinks(html, 'notes/page.md', asset => assets.push(asset))).toBe(html);
+        expect(assets).toEqual([]);
+    });
+
+    it('removes absolute note paths of wiki links', () => {
+        const html = '<a href="b.md" class="wiki-link" data-wiki-target="b" data-wiki-path="/home/me/notes/b.md">b</a>';
+
+        expect(rewriteLinks(html, 'a.md', () => {})).toBe('<a href="b.html" class="wiki-link" data-wiki-target="b">b</a>');
+    });
+});
+
+describe('extractPlainText', () => {
+    it('collects text, code and wiki link labels without markup', () => {
+        const exporter = new Exporter(null, null);
+        const text = extractPlainText(exporter.md, '# Title\n\nSome **bold** text with [[Note|a note]].\n\n```js\nlet x;\n```\n');
+
+        expect(text).toBe('Title Some bold text with a note . let x;');
+    });
+});
+
+describe('SiteExporter', () => {
+    let workspacePath;
+    let outputPath;
+    let siteExporter;
+    let workspaceManager;
+
+    const read = relativePath => fs.readFileSync(path.join(outputPath, relativePath), 'utf-8');
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-site-workspace-'));
+        outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-site-output-'));
+        fs.mkdirSync(path.join(workspacePath, 'notes'));
+        fs.mkdirSync(path.join(workspacePath, 'images'));
+        fs.mkdirSync(path.join(workspacePath, '.hidden'));
+        fs.mkdirSync(path.join(workspacePath, 'empty'));
+        fs.writeFileSync(path.join(workspacePath, 'Home.md'), '# Home\n\nSee [[Ideas]] and [the plan](notes/plan.md#goals).\n');
+        fs.writeFileSync(path.join(workspacePath, 'notes', 'Ideas.md'), '---\ntitle: Big Ideas\n---\n\n![logo](../images/logo.png)\n');
+        fs.writeFileSync(path.join(workspacePath, 'notes', 'plan.md'), '# Plan\n\n## Goals\n\nBack to [[Home]].\n');
+        fs.writeFileSync(path.join(workspacePath, 'images', 'logo.png'), 'png');
+        fs.writeFileSync(path.join(workspacePath, '.hidden', 'secret.md'), '# Secret');
+
+        workspaceManager = new WorkspaceManager({ set: vi.fn(), get: vi.fn(), delete: vi.fn() });
+        workspaceManager.workspacePath = workspacePath;
+        siteExporter = new SiteExporter(new Exporter(null, null), workspaceManager, new LinkAnalyzerManager(workspaceManager));
+        showOpenDialog.mockReset();
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+        fs.rmSync(outputPath, { recursive: true, force: true });
+    });
+
+    it('renders every note to a page next to its siblings', async () => {
+        const count = await siteExporter.buildSite(workspacePath, outputPath);
+
+        expect(count).toBe(3);
+        expect(fs.existsSync(path.join(outputPath, 'Home.html'))).toBe(true);
+        expect(fs.existsSync(path.join(outputPath, 'notes', 'Ideas.html'))).toBe(true);
+        expect(fs.existsSync(path.join(outputPath, 'notes', 'plan.html'))).toBe(true);
+        expect(fs.existsSync(path.join(outputPath, '.hidden'))).toBe(false);
+    });
+
+    it('links notes to each other and copies assets', async () => {
+        await siteExporter.buildSite(workspacePath, outputPath);
+
+        const home = read('Home.html');
+
+        expect(home).toContain('href="notes/Ideas.html"');
+        expect(home).toContain('href="notes/plan.html#goals"');
+        expect(home).not.toContain('data-wiki-path');
+        expect(read('notes/Ideas.html')).toContain('src="../images/logo.png"');
+        expect(read('images/logo.png')).toBe('png');
+    });
+
+    it('links wiki links with a heading to the heading anchor', async () => {
+        fs.writeFileSync(path.join(workspacePath, 'Home.md'), '# Home\n\nSee [[plan#Goals]].\n');
+        await siteExporter.buildSite(workspacePath, outputPath);
+
+        expect(read('Home.html')).toContain('href="notes/plan.html#goals"');
+        expect(read('notes/plan.html')).toContain('<h2 id="goals">Goals</h2>');
+    });
+
+    it('does not copy assets from or to outside the chosen folders', async () => {
+        const secretPath = path.join(path.dirname(workspacePath), `${path.basename(workspacePath)}-secret.txt`);
+
+        fs.writeFileSync(secretPath, 'secret');
+
+        try {
+            await siteExporter._copyAssets(new Set([`../${path.basename(secretPath)}`]), workspacePath, path.join(outputPath, 'site'));
+
+            expect(fs.readdirSync(outputPath)).toEqual([]);
+        } finally {
+            fs.rmSync(secretPath, { force: true });
+        }
+    });
+
+    it('adds a navigation mirroring the folder tree and backlinks', async () => {
+        await siteExporter.buildSite(workspacePath, outputPath);
+
+        const plan = read('notes/plan.html');
+
+        expect(plan).toContain('<details open><summary>notes</summary>');
+        expect(plan).toContain('<a href="plan.html" aria-current="page">plan</a>');
+        expect(plan).toContain('<a href="../Home.html">Home</a>');
+        expect(plan).not.toContain('<summary>empty</summary>');
+        expect(plan).not.toContain('<summary>images</summary>');
+        expect(plan).toMatch(/<section class="site-backlinks">\s*<h2>Backlinks<\/h2>\s*<ul>\s*<li><a href="..\/Home.html">Home<\/a><\/li>/);
+        expect(plan).toContain('href="../_site/site.css"');
+    });
+
+    it('generates an index and a search index', async () => {
+        await siteExporter.buildSite(workspacePath, outputPath, 'light', { allPages: 'Todas as páginas' });
+
+        const index = read('index.html');
+
+        expect(index).toContain('<h2>Todas as páginas</h2>');
+        expect(index).toContain('<a href="notes/Ideas.html">Big Ideas</a> <span class="site-index-path">notes/</span>');
+
+        const script = read('_site/search-index.js');
+        const pages = JSON.parse(script.replace(/^window\.SITE_SEARCH_INDEX = /, '').replace(/;\n$/, ''));
+
+        expect(pages.map(page => page.url)).toEqual(['notes/Ideas.html', 'notes/plan.html', 'Home.html']);
+        expect(pages[1]).toMatchObject({ title: 'plan', text: 'Plan Goals Back to Home .' });
+        expect(read('_site/search.js')).toContain('SITE_SEARCH_INDEX');
+        expect(read('_site/site.css')).toContain('.site-sidebar');
+    });
+
+    it('uses a root index.md as the home page', async () => {
+        fs.writeFileSync(path.join(workspacePath, 'index.md'), '# Welcome\n');
+
+        await siteExporter.buildSite(workspacePath, outputPath);
+
+        const index = read('index.html');
+
+        expect(index).toContain('Welcome');
+        expect(index).toContain('<section class="site-index">');
+    });
+
+    describe('exportWorkspace', () => {
+        it('returns null when the folder dialog is cancelled', async () => {
+            showOpenDialog.mockResolvedValue({ canceled: true, filePaths: [] });
+
+            await expect(siteExporter.exportWorkspace()).resolves.toBeNull();
+        });
+
+        it('exports into the chosen folder', async () => {
+            showOpenDialog.mockResolvedValue({ canceled: false, filePaths: [outputPath] });
+
+            await expect(siteExporter.exportWorkspace()).resolves.toEqual({ outputPath, pageCount: 3 });
+        });
+
+        it('refuses to export into the workspace itself', async () => {
+            showOpenDialog.mockResolvedValue({ canceled: false, filePaths: [workspacePath] });
+
+            await expect(siteExporter.exportWorkspace()).rejects.toThrow('Choose a folder outside the workspace');
+        });
+
+        it('refuses to export into a folder inside the workspace', async () => {
+            showOpenDialog.mockResolvedValue({ canceled: false, filePaths: [path.join(workspacePath, 'site')] });
+
+            await expect(siteExporter.exportWorkspace()).rejects.toThrow('Choose a folder outside the workspace');
+            expect(fs.existsSync(path.join(workspacePath, 'site'))).toBe(false);
+        });
+
+        it('exports into a sibling folder whose name starts like the workspace', async () => {
+            const siblingPath = `${workspacePath}-site`;
+
+            showOpenDialog.mockResolvedValue({ canceled: false, filePaths: [siblingPath] });
+
+            try {
+                await expect(siteExporter.exportWorkspace()).resolves.toEqual({ outputPath: siblingPath, pageCount: 3 });
+            } finally {
+                fs.rmSync(siblingPath, { recursive: true, force: true });
+            }
+        });
+
+        it('requires an open workspace', async () => {
+            workspaceManager.workspacePath = null;
+
+            await expect(siteExporter.exportWorkspace()).rejects.toThrow('No workspace open');
+        });
+    });
+});
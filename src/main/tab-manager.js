@@ -4,6 +4,8 @@
  * Requirements: 3.1, 3.2, 3.3, 3.4, 3.5, 3.6
  */
 
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 
 class TabManager {
@@ -20,9 +22,12 @@ class TabManager {
      * Create a new tab
      * @param {string|null} filePath - File path or null for unsaved
      * @param {string} content - Document content
+     * @param {Object} [options]
+     * @param {string} [options.title] - Title instead of the file name
+     * @param {boolean} [options.isModified=false] - Whether the content is not on disk yet, e.g. imported documents
      * @returns {Object} The created tab data
      */
-    createTab(filePath = null, content = '') {
+    createTab(filePath = null, content = '', options = {}) {
         const tabId = uuidv4();
         const now = Date.now();
 
@@ -30,8 +35,8 @@ class TabManager {
             id: tabId,
             filePath: filePath,
             content: content,
-            isModified: false,
-            title: filePath ? this._extractFileName(filePath) : 'Untitled',
+            isModified: options.isModified === true,
+            title: options.title || (filePath ? this._extractFileName(filePath) : 'Untitled'),
             scrollPosition: 0,
             cursorPosition: 0,
             createdAt: now,
@@ -227,8 +232,43 @@ class TabManager {
         return true;
     }
 
+    /**
+     * Update the file path of every tab affected by a rename or move
+     * Tabs showing the moved file itself or any file inside a moved folder are updated.
+     * @param {string} oldPath - Previous file or folder path
+     * @param {string} newPath - New file or folder path
+     * @returns {Array<{tabId: string, filePath: string, title: string}>} Updated tabs
+     */
+    updateFilePathsForMove(oldPath, newPath) {
+        const updated = [];
+        const oldPrefix = oldPath.endsWith(path.sep) ? oldPath : oldPath + path.sep;
+
+        for (const [tabId, tab] of this.tabs.entries()) {
+            if (!tab.filePath) {
+                continue;
+            }
+
+            let filePath = null;
+
+            if (tab.filePath === oldPath) {
+                filePath = newPath;
+            } else if (tab.filePath.startsWith(oldPrefix)) {
+                filePath = path.join(newPath, tab.filePath.slice(oldPrefix.length));
+            }
+
+            if (filePath) {
+                this.updateTabFilePath(tabId, filePath);
+                updated.push({ tabId, filePath, title: tab.title });
+            }
+        }
+
+        return updated;
+    }
+
     /**
      * Save tabs to persistent storage
+     * Content is not stored here: unsaved content is kept by the recovery journal
+     * and saved content is read back from disk on restore.
      */
     saveTabs() {
         const tabIds = Array.from(this.tabs.keys());
@@ -242,7 +282,6 @@ class TabManager {
         for (const [tabId, tab] of this.tabs.entries()) {
             tabsData[tabId] = {
                 filePath: tab.filePath,
-                content: tab.content,
                 isModified: tab.isModified,
                 title: tab.title,
                 scrollPosition: tab.scrollPosition,
@@ -256,8 +295,10 @@ class TabManager {
 
     /**
      * Restore tabs from persistent storage
+     * @param {Object<string, string>} [unsavedContent] - Unsaved content by tab ID, from the recovery journal
+     * @returns {boolean} True if any tab was restored
      */
-    restoreTabs() {
+    restoreTabs(unsavedContent = {}) {
         try {
             const tabIds = this.configStore.getLastOpenTabs();
             const activeTabId = this.configStore.getActiveTabId();
@@ -270,11 +311,13 @@ class TabManager {
             // Restore tabs
             for (const tabId of tabIds) {
                 const tabData = tabsData[tabId];
+                const restored = tabData ? this._readRestoredContent(tabData, unsavedContent[tabId]) : null;
 
-                if (tabData) {
+                if (restored) {
                     this.tabs.set(tabId, {
                         id: tabId,
-                        ...tabData
+                        ...tabData,
+                        ...restored
                     });
                 }
             }
@@ -294,6 +337,36 @@ class TabManager {
         }
     }
 
+    /**
+     * Pick the content of a restored tab
+     * @param {Object} tabData - Stored tab data
+     * @param {string} [unsaved] - Unsaved content kept by the recovery journal
+     * @returns {{content: string, isModified: boolean}|null} Null when the tab cannot be restored
+     * @private
+     */
+    _readRestoredContent(tabData, unsaved) {
+        if (typeof unsaved === 'string') {
+            return { content: unsaved, isModified: true };
+        }
+
+        // Sessions saved before the recovery journal existed kept the content in the config
+        if (typeof tabData.content === 'string') {
+            return { content: tabData.content, isModified: Boolean(tabData.isModified) };
+        }
+
+        if (!tabData.filePath) {
+            // An untitled tab without unsaved content is empty
+            return { content: '', isModified: false };
+        }
+
+        try {
+            return { content: fs.readFileSync(tabData.filePath, 'utf-8'), isModified: false };
+        } catch (error) {
+            console.warn(`Not restoring tab of unreadable file ${tabData.filePath}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Get the next tab ID in sequence (for keyboard navigation)
      * @returns {string|null} Next tab ID or null
@@ -3,8 +3,11 @@
  * Tests for tab management functionality
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import TabManager from './tab-manager.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Mock ConfigStore
 class MockConfigStore {
@@ -81,6 +84,13 @@ describe('TabManager', () => {
             expect(tab.title).toBe('Untitled');
         });
 
+        it('should create a modified tab with its own title', () => {
+            const tab = tabManager.createTab('/path/to/report.md', '# Report', { title: 'report', isModified: true });
+
+            expect(tab.title).toBe('report');
+            expect(tab.isModified).toBe(true);
+        });
+
         it('should set first tab as active', () => {
             const tab = tabManager.createTab(null, 'content');
 
@@ -242,6 +252,30 @@ describe('TabManager', () => {
         });
     });
 
+    describe('updateFilePathsForMove', () => {
+        it('should update the tab of a renamed file', () => {
+            const tab = tabManager.createTab(path.join('/ws', 'old.md'), 'content');
+
+            const updated = tabManager.updateFilePathsForMove(path.join('/ws', 'old.md'), path.join('/ws', 'new.md'));
+
+            expect(updated).toEqual([{ tabId: tab.id, filePath: path.join('/ws', 'new.md'), title: 'new.md' }]);
+            expect(tabManager.getTab(tab.id).filePath).toBe(path.join('/ws', 'new.md'));
+        });
+
+        it('should update tabs of files inside a moved folder', () => {
+            const nested = tabManager.createTab(path.join('/ws', 'notes', 'sub', 'a.md'), 'a');
+            const sibling = tabManager.createTab(path.join('/ws', 'notes-old', 'b.md'), 'b');
+            const untitled = tabManager.createTab(null, 'c');
+
+            const updated = tabManager.updateFilePathsForMove(path.join('/ws', 'notes'), path.join('/ws', 'archive', 'notes'));
+
+            expect(updated).toHaveLength(1);
+            expect(tabManager.getTab(nested.id).filePath).toBe(path.join('/ws', 'archive', 'notes', 'sub', 'a.md'));
+            expect(tabManager.getTab(sibling.id).filePath).toBe(path.join('/ws', 'notes-old', 'b.md'));
+            expect(tabManager.getTab(untitled.id).filePath).toBeNull();
+        });
+    });
+
     describe('getNextTabId', () => {
         it('should get next tab ID', () => {
             const tab1 = tabManager.createTab(null, 'content1');
@@ -297,9 +331,21 @@ describe('TabManager', () => {
     });
 
     describe('saveTabs and restoreTabs', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-tabs-'));
+            fs.writeFileSync(path.join(directory, 'file1.md'), 'content1');
+            fs.writeFileSync(path.join(directory, 'file2.md'), 'content2');
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
         it('should save and restore tabs', () => {
-            const tab1 = tabManager.createTab('/path/to/file1.md', 'content1');
-            const tab2 = tabManager.createTab('/path/to/file2.md', 'content2');
+            const tab1 = tabManager.createTab(path.join(directory, 'file1.md'), 'content1');
+            const tab2 = tabManager.createTab(path.join(directory, 'file2.md'), 'content2');
 
             tabManager.markTabModified(tab2.id, true);
 
@@ -314,6 +360,66 @@ describe('TabManager', () => {
             expect(newTabManager.getActiveTabId()).toBe(tab1.id);
         });
 
+        it('should not store tab content in the config', () => {
+            tabManager.createTab(path.join(directory, 'file1.md'), 'content1');
+            tabManager.saveTabs();
+
+            const [tabData] = Object.values(configStore.get('tabs.data'));
+
+            expect(tabData.content).toBeUndefined();
+        });
+
+        it('should read saved content back from disk', () => {
+            const tab = tabManager.createTab(path.join(directory, 'file1.md'), 'old');
+
+            tabManager.saveTabs();
+            fs.writeFileSync(path.join(directory, 'file1.md'), 'changed on disk');
+
+            const newTabManager = new TabManager(configStore);
+
+            newTabManager.restoreTabs();
+
+            expect(newTabManager.getTab(tab.id)).toMatchObject({ content: 'changed on disk', isModified: false });
+        });
+
+        it('should restore unsaved content as modified', () => {
+            const tab1 = tabManager.createTab(path.join(directory, 'file1.md'), 'content1');
+            const tab2 = tabManager.createTab(null, '');
+
+            tabManager.saveTabs();
+
+            const newTabManager = new TabManager(configStore);
+
+            newTabManager.restoreTabs({ [tab1.id]: 'edited', [tab2.id]: 'draft' });
+
+            expect(newTabManager.getTab(tab1.id)).toMatchObject({ content: 'edited', isModified: true });
+            expect(newTabManager.getTab(tab2.id)).toMatchObject({ content: 'draft', isModified: true, filePath: null });
+        });
+
+        it('should drop tabs whose file can no longer be read', () => {
+            const tab1 = tabManager.createTab(path.join(directory, 'file1.md'), 'content1');
+
+            tabManager.createTab(path.join(directory, 'missing.md'), 'gone');
+            tabManager.saveTabs();
+
+            const newTabManager = new TabManager(configStore);
+
+            newTabManager.restoreTabs();
+
+            expect(newTabManager.getAllTabs().map(tab => tab.id)).toEqual([tab1.id]);
+        });
+
+        it('should restore content stored by older versions', () => {
+            configStore.setLastOpenTabs(['legacy']);
+            configStore.set('tabs.data', {
+                legacy: { filePath: path.join(directory, 'missing.md'), content: 'kept', isModified: true, title: 'missing.md' }
+            });
+
+            tabManager.restoreTabs();
+
+            expect(tabManager.getTab('legacy')).toMatchObject({ content: 'kept', isModified: true });
+        });
+
         it('should return false when no tabs to restore', () => {
             const result = tabManager.restoreTabs();
 
@@ -0,0 +1,113 @@
+/**
+ * SSE Parser
+ *
+ * Incremental parser for Server-Sent Events streams as returned by the
+ * streaming endpoints of OpenAI-compatible servers, Anthropic and Gemini.
+ *
+ * - Accepts text chunks split at arbitrary boundaries
+ * - Supports LF and CRLF line endings
+ * - Joins multi-line `data:` fields and ignores comments
+ */
+
+/**
+ * Create an incremental SSE parser.
+ * @param {(event: { event: string|null, data: string }) => void} onEvent - Called for each dispatched event
+ * @returns {{ push: (text: string) => void, flush: () => void }}
+ */
+function createSSEParser(onEvent) {
+    let buffer = '';
+    let eventName = null;
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            onEvent({ event: eventName, data: dataLines.join('\n') });
+        }
+        eventName = null;
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+
+        // Comment line (used by some servers as keep-alive)
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+        let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        if (field === 'data') {
+            dataLines.push(value);
+        } else if (field === 'event') {
+            eventName = value;
+        }
+    };
+
+    return {
+        push(text) {
+            buffer += text;
+
+            let newlineIndex = buffer.indexOf('\n');
+
+            while (newlineIndex !== -1) {
+                const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+
+                buffer = buffer.slice(newlineIndex + 1);
+                processLine(line);
+                newlineIndex = buffer.indexOf('\n');
+            }
+        },
+
+        flush() {
+            if (buffer) {
+                processLine(buffer.replace(/\r$/, ''));
+                buffer = '';
+            }
+            dispatch();
+        }
+    };
+}
+
+/**
+ * Read a fetch Response body as an SSE stream.
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @param {(event: { event: string|null, data: string }) => void} onEvent - Called for each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readSSEStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    const parser = createSSEParser(onEvent);
+
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+
+            if (done) {
+                break;
+            }
+
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+
+        parser.push(decoder.decode());
+        parser.flush();
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+module.exports = {
+    createSSEParser,
+    readSSEStream
+};
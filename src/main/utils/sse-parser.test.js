@@ -0,0 +1,129 @@
+/**
+ * SSE Parser Tests
+ *
+ * Unit tests for the incremental Server-Sent Events parser used by
+ * streaming AI chat responses.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+const { createSSEParser, readSSEStream } = require('./sse-parser');
+
+/**
+ * Build a ReadableStream emitting the given strings as UTF-8 chunks
+ * @param {string[]} chunks
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function streamOf(chunks) {
+    const encoder = new TextEncoder();
+
+    return new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) {
+                controller.enqueue(encoder.encode(chunk));
+            }
+            controller.close();
+        }
+    });
+}
+
+describe('createSSEParser', () => {
+    it('dispatches an event for each blank-line terminated block', () => {
+        const onEvent = vi.fn();
+        const parser = createSSEParser(onEvent);
+
+        parser.push('data: one\n\ndata: two\n\n');
+
+        expect(onEvent).toHaveBeenCalledTimes(2);
+        expect(onEvent).toHaveBeenNthCalledWith(1, { event: null, data: 'one' });
+        expect(onEvent).toHaveBeenNthCalledWith(2, { event: null, data: 'two' });
+    });
+
+    it('handles events split across chunk boundaries', () => {
+        const onEvent = vi.fn();
+        const parser = createSSEParser(onEvent);
+
+        parser.push('da');
+        parser.push('ta: {"a":');
+        parser.push('1}\n');
+        expect(onEvent).not.toHaveBeenCalled();
+
+        parser.push('\n');
+        expect(onEvent).toHaveBeenCalledWith({ event: null, data: '{"a":1}' });
+    });
+
+    it('captures named events', () => {
+        const onEvent = vi.fn();
+        const parser = createSSEParser(onEvent);
+
+        parser.push('event: content_block_delta\ndata: {"x":1}\n\n');
+
+        expect(onEvent).toHaveBeenCalledWith({ event: 'content_block_delta', data: '{"x":1}' });
+    });
+
+    it('supports CRLF line endings', () => {
+        const onEvent = vi.fn();
+        const parser = createSSEParser(onEvent);
+
+        parser.push('data: hello\r\n\r\n');
+
+        expect(onEvent).toHaveBeenCalledWith({ event: null, data: 'hello' });
+    });
+
+    it('joins multi-line data fields and ignores comments', () => {
+        const onEvent = vi.fn();
+        const parser = createSSEParser(onEvent);
+
+        parser.push(': keep-alive\ndata: line 1\ndata: line 2\n\n');
+
+        expect(onEvent).toHaveBeenCalledTimes(1);
+        expect(onEvent).toHaveBeenCalledWith({ event: null, data: 'line 1\nline 2' });
+    });
+
+    it('dispatches a trailing event without blank line on flush', () => {
+        const onEvent = vi.fn();
+        const parser = createSSEParser(onEvent);
+
+        parser.push('data: [DONE]');
+        expect(onEvent).not.toHaveBeenCalled();
+
+        parser.flush();
+        expect(onEvent).toHaveBeenCalledWith({ event: null, data: '[DONE]' });
+    });
+
+    it('does not dispatch blocks without data', () => {
+        const onEvent = vi.fn();
+        const parser = createSSEParser(onEvent);
+
+        parser.push('event: ping\n\n');
+        parser.flush();
+
+        expect(onEvent).not.toHaveBeenCalled();
+    });
+});
+
+describe('readSSEStream', () => {
+    it('reads all events from a response body', async () => {
+        const events = [];
+
+        await readSSEStream(streamOf(['data: a\n\nda', 'ta: b\n\n', 'data: c']), (e) => events.push(e.data));
+
+        expect(events).toEqual(['a', 'b', 'c']);
+    });
+
+    it('decodes multi-byte characters split across chunks', async () => {
+        const bytes = new TextEncoder().encode('data: olá\n\n');
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(bytes.slice(0, 8));
+                controller.enqueue(bytes.slice(8));
+                controller.close();
+            }
+        });
+        const events = [];
+
+        await readSSEStream(body, (e) => events.push(e.data));
+
+        expect(events).toEqual(['olá']);
+    });
+});
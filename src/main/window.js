@@ -10,6 +10,8 @@ const log = logger.child('WindowManager');
 class WindowManager {
     constructor() {
         this.mainWindow = null;
+        // Called before the window closes when the user chose not to save changes
+        this.onDiscardChanges = null;
     }
 
     /**
@@ -51,6 +53,9 @@ class WindowManager {
                 );
                 this.mainWindow.destroy();
             } else if (choice.response === 1) {
+                if (this.onDiscardChanges) {
+                    await this.onDiscardChanges();
+                }
                 this.mainWindow.destroy();
             }
             // response === 2 (Cancel): do nothing, window stays open
@@ -127,6 +132,20 @@ class WindowManager {
         return this.mainWindow;
     }
 
+    /**
+     * Brings the main window to the front, restoring it when minimized
+     */
+    focusMainWindow() {
+        if (!this.mainWindow || this.mainWindow.isDestroyed()) {
+            return;
+        }
+        if (this.mainWindow.isMinimized()) {
+            this.mainWindow.restore();
+        }
+        this.mainWindow.show();
+        this.mainWindow.focus();
+    }
+
     /**
      * Closes the main window
      */
@@ -1,4 +1,4 @@
-const { dialog } = require('electron');
+const { dialog, shell } = require('electron');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -25,47 +25,61 @@ class WorkspaceManager {
      * @returns {Promise<{success: boolean, workspacePath?: string, tree?: Array}>}
      * @throws {Error} If no folder selected, path is invalid, or access fails
      */
-    async openWorkspace() {
-        const result = await dialog.showOpenDialog({
+    openWorkspace() {
+        return dialog.showOpenDialog({
             properties: ['openDirectory']
-        });
-
-        if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
-            throw new Error('No folder selected');
-        }
+        }).then(result => {
+            if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+                throw new Error('No folder selected');
+            }
 
-        const selectedPath = result.filePaths[0];
+            return this.openWorkspacePath(result.filePaths[0]);
+        });
+    }
 
+    /**
+     * Loads a folder as workspace, e.g. one given on the command line
+     * @param {string} folderPath - Absolute path of the folder
+     * @returns {Promise<{success: boolean, workspacePath?: string, tree?: Array}>}
+     * @throws {Error} If the path is invalid, not a folder, or access fails
+     */
+    async openWorkspacePath(folderPath) {
         // Validate the path
-        if (!this.isValidPath(selectedPath)) {
-            console.error(`Invalid folder path: ${selectedPath}`);
+        if (!this.isValidPath(folderPath)) {
+            console.error(`Invalid folder path: ${folderPath}`);
             throw new Error('Invalid folder path. Please select a valid directory.');
         }
 
         // Check if path exists and is accessible
         try {
-            await fs.access(selectedPath, fs.constants.R_OK);
+            await fs.access(folderPath, fs.constants.R_OK);
         } catch (accessError) {
-            this._handleFileSystemError(accessError, selectedPath);
+            this._handleFileSystemError(accessError, folderPath);
             throw new Error('Cannot access the selected folder. Please check permissions.');
         }
 
-        this.workspacePath = selectedPath;
+        const stats = await fs.stat(folderPath);
+
+        if (!stats.isDirectory()) {
+            throw new Error(`Not a folder: ${folderPath}`);
+        }
+
+        this.workspacePath = folderPath;
 
         // Persist workspace path
         try {
-            this.configStore.set('workspace.currentPath', selectedPath);
+            this.configStore.set('workspace.currentPath', folderPath);
         } catch (configError) {
             console.error('Error persisting workspace path:', configError);
             // Continue anyway - this is not critical
         }
 
         // Scan the directory to build tree structure
-        const tree = await this.scanDirectory(selectedPath);
+        const tree = await this.scanDirectory(folderPath);
 
         return {
             success: true,
-            workspacePath: selectedPath,
+            workspacePath: folderPath,
             tree: tree
         };
     }
@@ -225,8 +239,12 @@ class WorkspaceManager {
 
         const normalizedWorkspace = path.normalize(this.workspacePath);
         const normalizedFile = path.normalize(filePath);
+        const workspacePrefix = normalizedWorkspace.endsWith(path.sep)
+            ? normalizedWorkspace
+            : normalizedWorkspace + path.sep;
 
-        return normalizedFile.startsWith(normalizedWorkspace);
+        // Compare against "workspace/" so sibling folders like "workspace-old" are rejected
+        return normalizedFile === normalizedWorkspace || normalizedFile.startsWith(workspacePrefix);
     }
 
     /**
@@ -374,6 +392,306 @@ class WorkspaceManager {
         }
     }
 
+    /**
+     * Creates a new empty markdown file
+     * A .md extension is added when the name has no markdown extension.
+     * @param {string} parentPath - Folder to create the file in
+     * @param {string} name - File name
+     * @returns {Promise<{success: boolean, filePath: string}>}
+     * @throws {Error} If the name is invalid, the folder is outside the workspace or the file exists
+     */
+    async createFile(parentPath, name) {
+        this._assertInWorkspace(parentPath);
+
+        const fileName = this.isMarkdownFile(name) ? name : `${name}.md`;
+        const filePath = path.join(parentPath, this._validateName(fileName));
+
+        this._assertInWorkspace(filePath);
+
+        try {
+            // 'wx' fails instead of overwriting an existing file
+            await fs.writeFile(filePath, '', { encoding: 'utf-8', flag: 'wx' });
+        } catch (error) {
+            this._handleFileSystemError(error, filePath);
+            throw this._toOperationError(error);
+        }
+
+        this._invalidateCacheFor(filePath);
+        return { success: true, filePath };
+    }
+
+    /**
+     * Creates a new folder
+     * @param {string} parentPath - Folder to create the new folder in
+     * @param {string} name - Folder name
+     * @returns {Promise<{success: boolean, folderPath: string}>}
+     * @throws {Error} If the name is invalid, the parent is outside the workspace or the folder exists
+     */
+    async createFolder(parentPath, name) {
+        this._assertInWorkspace(parentPath);
+
+        const folderPath = path.join(parentPath, this._validateName(name));
+
+        this._assertInWorkspace(folderPath);
+
+        try {
+            await fs.mkdir(folderPath);
+        } catch (error) {
+            this._handleFileSystemError(error, folderPath);
+            throw this._toOperationError(error);
+        }
+
+        this._invalidateCacheFor(folderPath);
+        return { success: true, folderPath };
+    }
+
+    /**
+     * Renames a file or folder in place
+     * @param {string} oldPath - Current path
+     * @param {string} newName - New name (without directory)
+     * @returns {Promise<{success: boolean, oldPath: string, newPath: string}>}
+     * @throws {Error} If the name is invalid, a path is outside the workspace or the target exists
+     */
+    async renamePath(oldPath, newName) {
+        const newPath = path.join(path.dirname(oldPath), this._validateName(newName));
+
+        return this._movePath(oldPath, newPath);
+    }
+
+    /**
+     * Moves a file or folder into another folder of the workspace
+     * @param {string} sourcePath - Path to move
+     * @param {string} targetFolder - Destination folder
+     * @returns {Promise<{success: boolean, oldPath: string, newPath: string}>}
+     * @throws {Error} If a path is outside the workspace, a folder is moved into itself or the target exists
+     */
+    async movePath(sourcePath, targetFolder) {
+        this._assertInWorkspace(targetFolder);
+
+        const normalizedSource = path.normalize(sourcePath);
+        const normalizedTarget = path.normalize(targetFolder);
+
+        if (normalizedTarget === normalizedSource || normalizedTarget.startsWith(normalizedSource + path.sep)) {
+            throw new Error('Cannot move a folder into itself');
+        }
+
+        return this._movePath(sourcePath, path.join(targetFolder, path.basename(sourcePath)));
+    }
+
+    /**
+     * Duplicates a file next to the original ("name copy.md", "name copy 2.md", ...)
+     * @param {string} filePath - File to duplicate
+     * @returns {Promise<{success: boolean, filePath: string}>}
+     * @throws {Error} If the file is outside the workspace or cannot be copied
+     */
+    async duplicateFile(filePath) {
+        this._assertInWorkspace(filePath);
+
+        const dir = path.dirname(filePath);
+        const ext = path.extname(filePath);
+        const base = path.basename(filePath, ext);
+
+        for (let attempt = 1; attempt < 1000; attempt++) {
+            const suffix = attempt === 1 ? ' copy' : ` copy ${attempt}`;
+            const copyPath = path.join(dir, `${base}${suffix}${ext}`);
+
+            try {
+                await fs.copyFile(filePath, copyPath, fs.constants.COPYFILE_EXCL);
+            } catch (error) {
+                if (error.code === 'EEXIST') {
+                    continue;
+                }
+                this._handleFileSystemError(error, copyPath);
+                throw this._toOperationError(error);
+            }
+
+            this._invalidateCacheFor(copyPath);
+            return { success: true, filePath: copyPath };
+        }
+
+        throw new Error('Could not find a free name for the copy');
+    }
+
+    /**
+     * Moves a file or folder to the operating system trash
+     * @param {string} targetPath - Path to delete
+     * @returns {Promise<{success: boolean, deletedPath: string}>}
+     * @throws {Error} If the path is outside the workspace or cannot be trashed
+     */
+    async trashPath(targetPath) {
+        this._assertInWorkspace(targetPath);
+
+        if (path.normalize(targetPath) === path.normalize(this.workspacePath)) {
+            throw new Error('Cannot delete the workspace folder');
+        }
+
+        try {
+            await shell.trashItem(targetPath);
+        } catch (error) {
+            this._handleFileSystemError(error, targetPath);
+            throw this._toOperationError(error);
+        }
+
+        this._forgetExpandedFolders(targetPath, null);
+        this._invalidateCacheFor(targetPath);
+        return { success: true, deletedPath: targetPath };
+    }
+
+    /**
+     * Renames or moves a path, keeping expanded folder state and caches in sync
+     * @param {string} oldPath - Current path
+     * @param {string} newPath - New path
+     * @returns {Promise<{success: boolean, oldPath: string, newPath: string}>}
+     * @private
+     */
+    async _movePath(oldPath, newPath) {
+        this._assertInWorkspace(oldPath);
+        this._assertInWorkspace(newPath);
+
+        if (path.normalize(oldPath) === path.normalize(this.workspacePath)) {
+            throw new Error('Cannot move the workspace folder');
+        }
+
+        if (oldPath === newPath) {
+            return { success: true, oldPath, newPath };
+        }
+
+        // fs.rename silently replaces existing files, so check first.
+        // Case-only renames on case-insensitive file systems find the entry being renamed.
+        if (await this._exists(newPath) && !await this._isSameEntry(oldPath, newPath)) {
+            throw new Error('A file or folder with that name already exists');
+        }
+
+        try {
+            await fs.rename(oldPath, newPath);
+        } catch (error) {
+            this._handleFileSystemError(error, oldPath);
+            throw this._toOperationError(error);
+        }
+
+        this._forgetExpandedFolders(oldPath, newPath);
+        this._invalidateCacheFor(oldPath);
+        this._invalidateCacheFor(newPath);
+        return { success: true, oldPath, newPath };
+    }
+
+    /**
+     * Throws when a path is not inside the current workspace
+     * @param {string} targetPath - Path to check
+     * @private
+     */
+    _assertInWorkspace(targetPath) {
+        if (!this.isValidPath(targetPath) || !this.isPathInWorkspace(targetPath)) {
+            console.error(`Path is not within workspace: ${targetPath}`);
+            throw new Error('Path is not within the current workspace');
+        }
+    }
+
+    /**
+     * Validates a file or folder name entered by the user
+     * @param {string} name - Name to validate
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty or contains path separators
+     * @private
+     */
+    _validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+
+        if (!trimmed || trimmed === '.' || trimmed === '..' || /[\\/:*?"<>|\0]/.test(trimmed)) {
+            throw new Error('Invalid file or folder name');
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Checks if a path exists
+     * @param {string} targetPath - Path to check
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _exists(targetPath) {
+        try {
+            await fs.access(targetPath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Checks if two paths point to the same file system entry
+     * @param {string} firstPath - First path
+     * @param {string} secondPath - Second path
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _isSameEntry(firstPath, secondPath) {
+        try {
+            const [first, second] = await Promise.all([fs.stat(firstPath), fs.stat(secondPath)]);
+
+            return first.dev === second.dev && first.ino === second.ino;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Converts file system errors into user-friendly errors
+     * @param {Error} error - File system error
+     * @returns {Error}
+     * @private
+     */
+    _toOperationError(error) {
+        switch (error.code) {
+            case 'EEXIST':
+            case 'ENOTEMPTY':
+                return new Error('A file or folder with that name already exists');
+            case 'ENOENT':
+                return new Error('File or folder not found');
+            case 'EACCES':
+            case 'EPERM':
+                return new Error('Permission denied');
+            case 'EBUSY':
+                return new Error('File or folder is in use by another process');
+            default:
+                return error;
+        }
+    }
+
+    /**
+     * Updates expanded folder state after a folder was moved or deleted
+     * @param {string} oldPath - Previous folder path
+     * @param {string|null} newPath - New folder path, or null when deleted
+     * @private
+     */
+    _forgetExpandedFolders(oldPath, newPath) {
+        const oldPrefix = oldPath + path.sep;
+        let changed = false;
+
+        for (const folder of Array.from(this.expandedFolders)) {
+            if (folder !== oldPath && !folder.startsWith(oldPrefix)) {
+                continue;
+            }
+
+            this.expandedFolders.delete(folder);
+            if (newPath) {
+                this.expandedFolders.add(newPath + folder.slice(oldPath.length));
+            }
+            changed = true;
+        }
+
+        if (!changed) {
+            return;
+        }
+
+        try {
+            this.configStore.set('workspace.expandedFolders', Array.from(this.expandedFolders));
+        } catch (configError) {
+            console.error('Error persisting expanded folders:', configError);
+        }
+    }
+
     /**
      * Get cached directory contents if available and not expired
      * Performance optimization: Requirement 8.3
@@ -420,6 +738,37 @@ class WorkspaceManager {
         this.cacheTimestamps.delete(dirPath);
     }
 
+    /**
+     * Invalidate the caches affected by a change to a path
+     * Cached directories embed the nodes of their expanded subfolders, so every
+     * ancestor up to the workspace root is invalidated along with the path itself
+     * and anything cached below it.
+     * @param {string} changedPath - Created, moved or deleted path
+     * @private
+     */
+    _invalidateCacheFor(changedPath) {
+        const prefix = changedPath + path.sep;
+
+        for (const dirPath of Array.from(this.directoryCache.keys())) {
+            if (dirPath === changedPath || dirPath.startsWith(prefix)) {
+                this.invalidateCache(dirPath);
+            }
+        }
+
+        let current = path.dirname(changedPath);
+
+        while (this.isPathInWorkspace(current)) {
+            this.invalidateCache(current);
+
+            const parent = path.dirname(current);
+
+            if (parent === current) {
+                break;
+            }
+            current = parent;
+        }
+    }
+
     /**
      * Clear all caches
      */
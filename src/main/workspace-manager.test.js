@@ -0,0 +1,204 @@
+/**
+ * WorkspaceManager Tests
+ * Tests for workspace file operations (create, rename, move, duplicate, trash)
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const trashItem = vi.fn();
+
+// workspace-manager.js loads electron through CommonJS require, which vi.mock does not intercept
+const require = createRequire(import.meta.url);
+const electronPath = require.resolve('electron');
+
+require.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: { dialog: {}, shell: { trashItem } }
+};
+
+const WorkspaceManager = require('./workspace-manager.js');
+
+describe('WorkspaceManager file operations', () => {
+    let workspacePath;
+    let configStore;
+    let manager;
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-workspace-'));
+        fs.mkdirSync(path.join(workspacePath, 'notes'));
+        fs.writeFileSync(path.join(workspacePath, 'notes', 'a.md'), '# A');
+
+        configStore = { set: vi.fn(), get: vi.fn(), delete: vi.fn() };
+        manager = new WorkspaceManager(configStore);
+        manager.workspacePath = workspacePath;
+        trashItem.mockReset();
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+    });
+
+    describe('isPathInWorkspace', () => {
+        it('rejects sibling folders that share the workspace prefix', () => {
+            expect(manager.isPathInWorkspace(path.join(workspacePath, 'notes'))).toBe(true);
+            expect(manager.isPathInWorkspace(`${workspacePath}-old`)).toBe(false);
+        });
+    });
+
+    describe('openWorkspacePath', () => {
+        it('loads the folder and remembers it', async () => {
+            manager.workspacePath = null;
+
+            const result = await manager.openWorkspacePath(workspacePath);
+
+            expect(result.workspacePath).toBe(workspacePath);
+            expect(result.tree.map(node => node.name)).toEqual(['notes']);
+            expect(manager.getWorkspacePath()).toBe(workspacePath);
+            expect(configStore.set).toHaveBeenCalledWith('workspace.currentPath', workspacePath);
+        });
+
+        it('rejects files', async () => {
+            await expect(manager.openWorkspacePath(path.join(workspacePath, 'notes', 'a.md'))).rejects.toThrow('Not a folder');
+        });
+    });
+
+    describe('createFile', () => {
+        it('creates an empty markdown file, adding the extension when missing', async () => {
+            const result = await manager.createFile(workspacePath, 'todo');
+
+            expect(result).toEqual({ success: true, filePath: path.join(workspacePath, 'todo.md') });
+            expect(fs.readFileSync(result.filePath, 'utf-8')).toBe('');
+        });
+
+        it('refuses to overwrite an existing file', async () => {
+            await expect(manager.createFile(path.join(workspacePath, 'notes'), 'a.md'))
+                .rejects.toThrow('already exists');
+            expect(fs.readFileSync(path.join(workspacePath, 'notes', 'a.md'), 'utf-8')).toBe('# A');
+        });
+
+        it('rejects names containing path separators', async () => {
+            await expect(manager.createFile(workspacePath, '../escape.md')).rejects.toThrow('Invalid file or folder name');
+        });
+
+        it('rejects folders outside the workspace', async () => {
+            await expect(manager.createFile(os.tmpdir(), 'outside.md')).rejects.toThrow('not within the current workspace');
+        });
+
+        it('invalidates the cached listing of the parent folder', async () => {
+            await manager.scanDirectory(workspacePath);
+
+            await manager.createFile(workspacePath, 'fresh.md');
+            const tree = await manager.scanDirectory(workspacePath);
+
+            expect(tree.map(node => node.name)).toContain('fresh.md');
+        });
+    });
+
+    describe('createFolder', () => {
+        it('creates a folder', async () => {
+            const result = await manager.createFolder(workspacePath, 'drafts');
+
+            expect(result.folderPath).toBe(path.join(workspacePath, 'drafts'));
+            expect(fs.statSync(result.folderPath).isDirectory()).toBe(true);
+        });
+    });
+
+    describe('renamePath', () => {
+        it('renames a file in place', async () => {
+            const oldPath = path.join(workspacePath, 'notes', 'a.md');
+
+            const result = await manager.renamePath(oldPath, 'b.md');
+
+            expect(result).toEqual({ success: true, oldPath, newPath: path.join(workspacePath, 'notes', 'b.md') });
+            expect(fs.existsSync(oldPath)).toBe(false);
+            expect(fs.readFileSync(result.newPath, 'utf-8')).toBe('# A');
+        });
+
+        it('does not replace an existing file', async () => {
+            fs.writeFileSync(path.join(workspacePath, 'notes', 'b.md'), '# B');
+
+            await expect(manager.renamePath(path.join(workspacePath, 'notes', 'a.md'), 'b.md'))
+                .rejects.toThrow('already exists');
+            expect(fs.readFileSync(path.join(workspacePath, 'notes', 'b.md'), 'utf-8')).toBe('# B');
+        });
+
+        // Case-insensitive file systems cannot hold both names
+        it.runIf(process.platform === 'linux')('does not replace a file whose name differs only in case', async () => {
+            fs.writeFileSync(path.join(workspacePath, 'notes', 'A.md'), '# Upper');
+
+            await expect(manager.renamePath(path.join(workspacePath, 'notes', 'a.md'), 'A.md'))
+                .rejects.toThrow('already exists');
+            expect(fs.readFileSync(path.join(workspacePath, 'notes', 'a.md'), 'utf-8')).toBe('# A');
+            expect(fs.readFileSync(path.join(workspacePath, 'notes', 'A.md'), 'utf-8')).toBe('# Upper');
+        });
+
+        it('keeps renamed folders expanded', async () => {
+            const oldFolder = path.join(workspacePath, 'notes');
+
+            manager.expandedFolders.add(oldFolder);
+            await manager.renamePath(oldFolder, 'journal');
+
+            expect(manager.expandedFolders.has(path.join(workspacePath, 'journal'))).toBe(true);
+            expect(manager.expandedFolders.has(oldFolder)).toBe(false);
+            expect(configStore.set).toHaveBeenCalledWith('workspace.expandedFolders', [path.join(workspacePath, 'journal')]);
+        });
+    });
+
+    describe('movePath', () => {
+        it('moves a file into another folder', async () => {
+            const source = path.join(workspacePath, 'notes', 'a.md');
+
+            const result = await manager.movePath(source, workspacePath);
+
+            expect(result.newPath).toBe(path.join(workspacePath, 'a.md'));
+            expect(fs.existsSync(result.newPath)).toBe(true);
+        });
+
+        it('refuses to move a folder into itself', async () => {
+            const folder = path.join(workspacePath, 'notes');
+
+            fs.mkdirSync(path.join(folder, 'sub'));
+
+            await expect(manager.movePath(folder, path.join(folder, 'sub'))).rejects.toThrow('into itself');
+        });
+    });
+
+    describe('duplicateFile', () => {
+        it('copies the file next to the original with a free name', async () => {
+            const source = path.join(workspacePath, 'notes', 'a.md');
+
+            const first = await manager.duplicateFile(source);
+            const second = await manager.duplicateFile(source);
+
+            expect(first.filePath).toBe(path.join(workspacePath, 'notes', 'a copy.md'));
+            expect(second.filePath).toBe(path.join(workspacePath, 'notes', 'a copy 2.md'));
+            expect(fs.readFileSync(second.filePath, 'utf-8')).toBe('# A');
+        });
+    });
+
+    describe('trashPath', () => {
+        it('moves the path to the trash', async () => {
+            const target = path.join(workspacePath, 'notes', 'a.md');
+
+            trashItem.mockResolvedValue();
+
+            const result = await manager.trashPath(target);
+
+            expect(trashItem).toHaveBeenCalledWith(target);
+            expect(result).toEqual({ success: true, deletedPath: target });
+        });
+
+        it('refuses to trash the workspace folder itself', async () => {
+            await expect(manager.trashPath(workspacePath)).rejects.toThrow('Cannot delete the workspace folder');
+            expect(trashItem).not.toHaveBeenCalled();
+        });
+    });
+});
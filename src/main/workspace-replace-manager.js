@@ -0,0 +1,295 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const DocumentBatchWriter = require('./document-batch-writer');
+
+// Number of applied replacements that can be undone
+const MAX_UNDO_ENTRIES = 20;
+
+/**
+ * WorkspaceReplaceManager - Search and replace across every markdown file
+ * of the workspace.
+ *
+ * `planReplace` finds the matches and returns a preview, `applyReplace`
+ * writes the selected ones as a single batch and `undoReplace` reverts the
+ * last batch. Open documents are read from their tab, so unsaved edits are
+ * replaced in the buffer instead of being overwritten from disk.
+ */
+class WorkspaceReplaceManager {
+    /**
+     * @param {Object} workspaceManager - WorkspaceManager instance for workspace access
+     * @param {Object} globalSearchManager - GlobalSearchManager used to list files and build patterns
+     * @param {Object} tabManager - TabManager holding the content of open documents
+     * @param {Object} fileWatcherManager - FileWatcherManager notified about our own writes
+     */
+    constructor(workspaceManager, globalSearchManager, tabManager, fileWatcherManager) {
+        if (!workspaceManager) {
+            throw new Error('WorkspaceManager is required');
+        }
+        if (!globalSearchManager) {
+            throw new Error('GlobalSearchManager is required');
+        }
+        if (!tabManager) {
+            throw new Error('TabManager is required');
+        }
+        this.workspaceManager = workspaceManager;
+        this.globalSearchManager = globalSearchManager;
+        this.writer = new DocumentBatchWriter(tabManager, fileWatcherManager);
+        this.pendingPlan = null;
+        this.undoStack = [];
+    }
+
+    /**
+     * Find every match of a search in the workspace and compute its replacement.
+     * With `useRegex`, the replacement may use `$1`, `$<name>`, `$&` and `$$`.
+     * Only the latest plan is kept; planning again discards the previous one.
+     * @param {string} searchText - Text or regular expression to search for
+     * @param {string} replaceText - Replacement text
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.caseSensitive] - Match case
+     * @param {boolean} [options.wholeWord] - Match whole words only
+     * @param {boolean} [options.useRegex] - Treat searchText as a regular expression
+     * @returns {Promise<{id: string, matchCount: number, files: Array}>} Preview of the
+     *   replacements, grouped by file
+     */
+    async planReplace(searchText, replaceText, options = {}) {
+        const workspacePath = this.workspaceManager.getWorkspacePath();
+
+        if (!workspacePath) {
+            throw new Error('No workspace open');
+        }
+        if (!searchText) {
+            throw new Error('Search text is required');
+        }
+
+        let pattern;
+
+        try {
+            pattern = this.globalSearchManager.createSearchPattern(searchText, options);
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`, { cause: error });
+        }
+
+        const files = [];
+        let matchCount = 0;
+
+        for (const filePath of await this.globalSearchManager.getAllMarkdownFiles(workspacePath)) {
+            const source = await this.writer.read(filePath);
+
+            if (source === null) {
+                continue;
+            }
+
+            const matches = this._findMatches(source.content, pattern, replaceText || '', options.useRegex);
+
+            if (matches.length === 0) {
+                continue;
+            }
+
+            matches.forEach((match, matchIndex) => {
+                match.id = `${files.length}:${matchIndex}`;
+            });
+            matchCount += matches.length;
+            files.push({ filePath, tabId: source.tabId, originalContent: source.content, matches });
+        }
+
+        this.pendingPlan = { id: uuidv4(), matchCount, files };
+
+        return this._toPreview(this.pendingPlan, workspacePath);
+    }
+
+    /**
+     * Apply the selected replacements of a plan as one undoable batch.
+     * Fails without changing anything if any affected document changed since
+     * the plan was made.
+     * @param {string} planId - Id returned by planReplace
+     * @param {string[]} matchIds - Ids of the matches to replace
+     * @returns {Promise<{replaceCount: number, fileCount: number, updatedTabs: Array, canUndo: boolean}>}
+     *   Counts of the applied replacements and the `{tabId, content, isModified}` of every open tab that changed
+     */
+    async applyReplace(planId, matchIds) {
+        const plan = this.pendingPlan;
+
+        if (!plan || plan.id !== planId) {
+            throw new Error('Replace preview is no longer available');
+        }
+
+        const selected = new Set(matchIds);
+        const changes = [];
+        let replaceCount = 0;
+
+        for (const file of plan.files) {
+            const matches = file.matches.filter(match => selected.has(match.id));
+
+            if (matches.length === 0) {
+                continue;
+            }
+
+            replaceCount += matches.length;
+            changes.push({
+                filePath: file.filePath,
+                originalContent: file.originalContent,
+                newContent: this._applyMatches(file.originalContent, matches)
+            });
+        }
+
+        if (changes.length === 0) {
+            throw new Error('No matches selected');
+        }
+
+        this.pendingPlan = null;
+
+        const updatedTabs = await this.writer.apply(changes);
+
+        this.undoStack.push({ replaceCount, files: changes });
+        if (this.undoStack.length > MAX_UNDO_ENTRIES) {
+            this.undoStack.shift();
+        }
+
+        return { replaceCount, fileCount: changes.length, updatedTabs, canUndo: true };
+    }
+
+    /**
+     * Revert the last applied batch.
+     * Fails without changing anything if a document was edited after the batch;
+     * the batch stays on the undo stack.
+     * @returns {Promise<{replaceCount: number, fileCount: number, updatedTabs: Array, canUndo: boolean}>}
+     */
+    async undoReplace() {
+        const entry = this.undoStack.at(-1);
+
+        if (!entry) {
+            throw new Error('Nothing to undo');
+        }
+
+        const updatedTabs = await this.writer.apply(entry.files.map(file => ({
+            filePath: file.filePath,
+            originalContent: file.newContent,
+            newContent: file.originalContent
+        })));
+
+        // Removed by identity, in case another batch was applied in the meantime
+        this.undoStack.splice(this.undoStack.lastIndexOf(entry), 1);
+
+        return {
+            replaceCount: entry.replaceCount,
+            fileCount: entry.files.length,
+            updatedTabs,
+            canUndo: this.undoStack.length > 0
+        };
+    }
+
+    /**
+     * Drop the pending plan, if any
+     */
+    discardPlan() {
+        this.pendingPlan = null;
+    }
+
+    /**
+     * Find the matches of a pattern line by line, like the search results
+     * @param {string} content - Document content
+     * @param {RegExp} pattern - Global search pattern
+     * @param {string} replaceText - Replacement text or template
+     * @param {boolean} useRegex - Expand `$` references in the replacement
+     * @returns {Array<{index: number, length: number, line: number, column: number, lineText: string,
+     *   replacement: string}>} Matches sorted by position
+     * @private
+     */
+    _findMatches(content, pattern, replaceText, useRegex) {
+        // Sticky twin of the pattern, to expand the replacement of one match with its full line as context
+        const single = useRegex ? new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y') : null;
+        const matches = [];
+        let lineStart = 0;
+
+        content.split('\n').forEach((lineText, lineIndex) => {
+            let match;
+
+            pattern.lastIndex = 0;
+
+            while ((match = pattern.exec(lineText)) !== null) {
+                if (match[0].length === 0) {
+                    // Empty matches are skipped, there is nothing to replace
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                let replacement = replaceText;
+
+                if (single) {
+                    const after = lineText.length - match.index - match[0].length;
+
+                    single.lastIndex = match.index;
+                    const replaced = lineText.replace(single, replaceText);
+
+                    replacement = replaced.slice(match.index, replaced.length - after);
+                }
+
+                matches.push({
+                    index: lineStart + match.index,
+                    length: match[0].length,
+                    line: lineIndex + 1,
+                    column: match.index,
+                    lineText,
+                    replacement
+                });
+            }
+
+            lineStart += lineText.length + 1;
+        });
+
+        return matches;
+    }
+
+    /**
+     * Apply replacements to content, from the last one backwards so offsets stay valid
+     * @param {string} content - Original content
+     * @param {Array<{index: number, length: number, replacement: string}>} matches - Matches sorted by position
+     * @returns {string}
+     * @private
+     */
+    _applyMatches(content, matches) {
+        let result = content;
+
+        for (let i = matches.length - 1; i >= 0; i--) {
+            const match = matches[i];
+
+            result = result.slice(0, match.index) + match.replacement + result.slice(match.index + match.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Strip document contents from a plan before sending it to the renderer
+     * @param {Object} plan - Internal plan
+     * @param {string} workspacePath - Workspace root, for relative paths
+     * @returns {Object} Preview where each match is `{id, line, column, length, before, after}`,
+     *   `before` and `after` being the whole line
+     * @private
+     */
+    _toPreview(plan, workspacePath) {
+        return {
+            id: plan.id,
+            matchCount: plan.matchCount,
+            files: plan.files.map(file => ({
+                filePath: file.filePath,
+                relativePath: path.relative(workspacePath, file.filePath),
+                isOpen: Boolean(file.tabId),
+                matches: file.matches.map(match => {
+                    const before = match.lineText.replace(/\r$/, '');
+
+                    return {
+                        id: match.id,
+                        line: match.line,
+                        column: match.column,
+                        length: match.length,
+                        before,
+                        after: before.slice(0, match.column) + match.replacement + before.slice(match.column + match.length)
+                    };
+                })
+            }))
+        };
+    }
+}
+
+module.exports = WorkspaceReplaceManager;
@@ -0,0 +1,202 @@
+/**
+ * WorkspaceReplaceManager Tests
+ * Tests for search and replace across the workspace
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const WorkspaceReplaceManager = require('./workspace-replace-manager');
+const GlobalSearchManager = require('./global-search-manager');
+
+describe('WorkspaceReplaceManager', () => {
+    let workspacePath;
+    let tabs;
+    let tabManager;
+    let fileWatcherManager;
+    let manager;
+
+    const file = (...parts) => path.join(workspacePath, ...parts);
+    const read = (...parts) => fs.readFileSync(file(...parts), 'utf-8');
+    const allIds = plan => plan.files.flatMap(entry => entry.matches.map(match => match.id));
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-replace-'));
+        fs.mkdirSync(file('notes'));
+        fs.writeFileSync(file('a.md'), '# Todo\n\ntodo: write tests\nTODO later\n');
+        fs.writeFileSync(file('notes', 'b.md'), 'Dates: 2024-01-31 and 2023-12-25\n');
+        fs.writeFileSync(file('notes', 'c.txt'), 'todo in a text file');
+
+        tabs = [];
+        tabManager = {
+            getAllTabs: () => tabs,
+            isTabModified: (tabId) => tabs.find(tab => tab.id === tabId)?.isModified || false,
+            updateTabContent: vi.fn((tabId, content) => {
+                const tab = tabs.find(candidate => candidate.id === tabId);
+
+                if (tab) {
+                    tab.content = content;
+                }
+                return Boolean(tab);
+            })
+        };
+        fileWatcherManager = { recordWrite: vi.fn() };
+
+        const workspaceManager = { getWorkspacePath: () => workspacePath };
+
+        manager = new WorkspaceReplaceManager(
+            workspaceManager,
+            new GlobalSearchManager(workspaceManager),
+            tabManager,
+            fileWatcherManager
+        );
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+    });
+
+    describe('constructor', () => {
+        it('requires its managers', () => {
+            expect(() => new WorkspaceReplaceManager()).toThrow('WorkspaceManager is required');
+            expect(() => new WorkspaceReplaceManager({})).toThrow('GlobalSearchManager is required');
+            expect(() => new WorkspaceReplaceManager({}, {})).toThrow('TabManager is required');
+        });
+    });
+
+    describe('planReplace', () => {
+        it('previews every match of the markdown files', async () => {
+            const plan = await manager.planReplace('todo', 'done');
+
+            expect(plan.matchCount).toBe(3);
+            expect(plan.files).toEqual([{
+                filePath: file('a.md'),
+                relativePath: 'a.md',
+                isOpen: false,
+                matches: [
+                    { id: '0:0', line: 1, column: 2, length: 4, before: '# Todo', after: '# done' },
+                    { id: '0:1', line: 3, column: 0, length: 4, before: 'todo: write tests', after: 'done: write tests' },
+                    { id: '0:2', line: 4, column: 0, length: 4, before: 'TODO later', after: 'done later' }
+                ]
+            }]);
+            expect(read('a.md')).toBe('# Todo\n\ntodo: write tests\nTODO later\n');
+        });
+
+        it('respects the search options', async () => {
+            const plan = await manager.planReplace('todo', 'done', { caseSensitive: true });
+
+            expect(plan.matchCount).toBe(1);
+        });
+
+        it('substitutes regex capture groups', async () => {
+            const plan = await manager.planReplace('(\\d{4})-(\\d{2})-(?<day>\\d{2})', '$<day>/$2/$1 ($$)', { useRegex: true });
+
+            expect(plan.files[0].matches.map(match => match.after)).toEqual([
+                'Dates: 31/01/2024 ($) and 2023-12-25',
+                'Dates: 2024-01-31 and 25/12/2023 ($)'
+            ]);
+        });
+
+        it('keeps dollar signs literal without regex', async () => {
+            const plan = await manager.planReplace('later', '$1 $&');
+
+            expect(plan.files[0].matches[0].after).toBe('TODO $1 $&');
+        });
+
+        it('evaluates lookarounds against the whole line', async () => {
+            const plan = await manager.planReplace('(?<=and )\\d{4}', 'YEAR', { useRegex: true });
+
+            expect(plan.files[0].matches.map(match => match.after)).toEqual(['Dates: 2024-01-31 and YEAR-12-25']);
+        });
+
+        it('reads open documents from their tab', async () => {
+            tabs = [{ id: 'tab-1', filePath: file('a.md'), content: 'unsaved todo', isModified: true }];
+
+            const plan = await manager.planReplace('todo', 'done');
+
+            expect(plan.files[0]).toMatchObject({ isOpen: true, matches: [{ before: 'unsaved todo', after: 'unsaved done' }] });
+        });
+
+        it('rejects invalid regular expressions', async () => {
+            await expect(manager.planReplace('(', 'x', { useRegex: true })).rejects.toThrow('Invalid regular expression');
+        });
+    });
+
+    describe('applyReplace', () => {
+        it('writes only the selected matches', async () => {
+            const plan = await manager.planReplace('todo', 'done');
+
+            const result = await manager.applyReplace(plan.id, ['0:0', '0:2']);
+
+            expect(result).toEqual({ replaceCount: 2, fileCount: 1, updatedTabs: [], canUndo: true });
+            expect(read('a.md')).toBe('# done\n\ntodo: write tests\ndone later\n');
+            expect(fileWatcherManager.recordWrite).toHaveBeenCalledWith(file('a.md'), read('a.md'));
+        });
+
+        it('updates unsaved tabs without writing them to disk', async () => {
+            tabs = [{ id: 'tab-1', filePath: file('a.md'), content: 'unsaved todo', isModified: true }];
+            const plan = await manager.planReplace('todo', 'done');
+
+            const result = await manager.applyReplace(plan.id, allIds(plan));
+
+            expect(result.updatedTabs).toEqual([{ tabId: 'tab-1', content: 'unsaved done', isModified: true }]);
+            expect(read('a.md')).toBe('# Todo\n\ntodo: write tests\nTODO later\n');
+        });
+
+        it('refuses to apply when a document changed after the preview', async () => {
+            const plan = await manager.planReplace('todo', 'done');
+
+            fs.writeFileSync(file('a.md'), 'todo edited elsewhere');
+
+            await expect(manager.applyReplace(plan.id, allIds(plan))).rejects.toThrow('changed in the meantime');
+            expect(read('a.md')).toBe('todo edited elsewhere');
+        });
+
+        it('rejects an empty selection and unknown plans', async () => {
+            const plan = await manager.planReplace('todo', 'done');
+
+            await expect(manager.applyReplace(plan.id, [])).rejects.toThrow('No matches selected');
+            await manager.applyReplace(plan.id, allIds(plan));
+            await expect(manager.applyReplace(plan.id, allIds(plan))).rejects.toThrow('no longer available');
+        });
+    });
+
+    describe('undoReplace', () => {
+        it('restores the documents of the last batch', async () => {
+            let plan = await manager.planReplace('todo', 'done');
+
+            await manager.applyReplace(plan.id, allIds(plan));
+            plan = await manager.planReplace('2024', '2025');
+            await manager.applyReplace(plan.id, allIds(plan));
+
+            expect(await manager.undoReplace()).toEqual({ replaceCount: 1, fileCount: 1, updatedTabs: [], canUndo: true });
+            expect(read('notes', 'b.md')).toBe('Dates: 2024-01-31 and 2023-12-25\n');
+
+            await manager.undoReplace();
+            expect(read('a.md')).toBe('# Todo\n\ntodo: write tests\nTODO later\n');
+            await expect(manager.undoReplace()).rejects.toThrow('Nothing to undo');
+        });
+
+        it('does not undo over later edits', async () => {
+            const plan = await manager.planReplace('todo', 'done');
+
+            await manager.applyReplace(plan.id, allIds(plan));
+
+            const replaced = read('a.md');
+
+            fs.writeFileSync(file('a.md'), 'edited after the replace');
+
+            await expect(manager.undoReplace()).rejects.toThrow('changed in the meantime');
+            expect(read('a.md')).toBe('edited after the replace');
+
+            // The batch can still be undone once the edit is reverted
+            fs.writeFileSync(file('a.md'), replaced);
+            expect((await manager.undoReplace()).canUndo).toBe(false);
+            expect(read('a.md')).toBe('# Todo\n\ntodo: write tests\nTODO later\n');
+        });
+    });
+});
@@ -0,0 +1,313 @@
+/**
+ * Workspace Retriever
+ * Finds the passages of the workspace notes relevant to a question, so the AI
+ * chat can answer from the whole workspace and not only the open document.
+ *
+ * Markdown files are chunked and ranked with BM25 (see chunk-index.js); the
+ * chunks are refreshed before each question from file sizes and modification
+ * times. When an embedding function is given, chunks are also ranked by
+ * similarity of their embeddings and both rankings are fused. Embeddings are
+ * cached per workspace and model under userData.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ChunkIndex } = require('./chunk-index');
+
+// Passages taken from each ranking before they are fused
+const CANDIDATE_COUNT = 30;
+
+// Reciprocal rank fusion constant: higher values flatten the weight of the top ranks
+const RRF_K = 60;
+
+// Passages sent per embedding request
+const EMBEDDING_BATCH_SIZE = 32;
+
+/**
+ * @typedef {Object} RetrievedNote
+ * @property {string} filePath - Absolute path
+ * @property {string} relativePath - Workspace-relative path with forward slashes
+ * @property {number} startLine - First line, 1-based
+ * @property {number} endLine - Last line, 1-based
+ * @property {string} heading - Headings the passage is under
+ * @property {string} text - Passage content
+ */
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a
+ * @param {number[]} [b]
+ * @returns {number} 0 when a vector is missing or empty
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+class WorkspaceRetriever {
+    /**
+     * @param {Object} workspaceManager - WorkspaceManager instance
+     * @param {Object} globalSearchManager - GlobalSearchManager instance, used to list markdown files
+     * @param {Object} [options]
+     * @param {string} [options.embeddingsDirectory] - Directory where embeddings are cached (under userData);
+     *   without it they are kept in memory only
+     */
+    constructor(workspaceManager, globalSearchManager, options = {}) {
+        this.workspaceManager = workspaceManager;
+        this.globalSearchManager = globalSearchManager;
+        this.embeddingsDirectory = options.embeddingsDirectory || null;
+        this.index = new ChunkIndex();
+        this.indexedWorkspace = null;
+        this.embeddings = new Map(); // Map<chunk hash, vector>
+        this.embeddingsKey = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Find the passages of the workspace most relevant to a question
+     * @param {string} question
+     * @param {Object} [options]
+     * @param {number} [options.limit=6] - Maximum number of passages
+     * @param {string|null} [options.excludePath] - File left out, e.g. the open document that is sent whole
+     * @param {(texts: string[]) => Promise<number[][]>} [options.embed] - Embeds texts; enables semantic ranking
+     * @param {string} [options.embeddingModel] - Model the embeddings are cached under
+     * @returns {Promise<RetrievedNote[]>} Best first; empty when no workspace is open
+     */
+    retrieve(question, options = {}) {
+        // One refresh at a time, so concurrent questions never index the same file twice
+        const result = this.queue.then(() => this._retrieve(question, options));
+
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * See retrieve
+     * @private
+     */
+    async _retrieve(question, { limit = 6, excludePath = null, embed = null, embeddingModel = '' } = {}) {
+        const workspacePath = this.workspaceManager.getWorkspacePath();
+
+        if (!workspacePath || !question || !question.trim()) {
+            return [];
+        }
+
+        await this._refresh(workspacePath);
+
+        const excludedId = excludePath ? this._toChunkId(workspacePath, excludePath) : null;
+        const rankings = [
+            this.index.search(question, { limit: Infinity })
+                .filter(({ id }) => id !== excludedId)
+                .slice(0, CANDIDATE_COUNT)
+        ];
+
+        if (embed) {
+            try {
+                rankings.push(await this._rankByEmbeddings(question, excludedId, embed, embeddingModel));
+            } catch (error) {
+                console.warn('Ranking notes by embeddings failed, using keywords only:', error.message);
+            }
+        }
+
+        const fused = new Map();
+
+        for (const ranking of rankings) {
+            ranking.forEach(({ id, chunk }, rank) => {
+                const entry = fused.get(chunk.hash) || { id, chunk, score: 0 };
+
+                entry.score += 1 / (RRF_K + rank + 1);
+                fused.set(chunk.hash, entry);
+            });
+        }
+
+        return Array.from(fused.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ id, chunk }) => ({
+                filePath: path.join(workspacePath, ...id.split('/')),
+                relativePath: id,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                heading: chunk.heading,
+                text: chunk.text
+            }));
+    }
+
+    /**
+     * Re-chunk the markdown files whose stats changed and forget deleted ones
+     * @param {string} workspacePath - Workspace root
+     * @private
+     */
+    async _refresh(workspacePath) {
+        if (this.indexedWorkspace !== workspacePath) {
+            this.index = new ChunkIndex();
+            this.indexedWorkspace = workspacePath;
+        }
+
+        const files = await this.globalSearchManager.getAllMarkdownFiles(workspacePath);
+        const seen = new Set();
+
+        for (const filePath of files) {
+            const id = this._toChunkId(workspacePath, filePath);
+
+            seen.add(id);
+            try {
+                const stats = await fs.stat(filePath);
+
+                if (!this.index.isUpToDate(id, stats)) {
+                    this.index.setFile(id, await fs.readFile(filePath, 'utf-8'), stats);
+                }
+            } catch (error) {
+                console.warn('Could not read note for AI chat:', filePath, error.message);
+            }
+        }
+
+        for (const id of this.index.getFileIds()) {
+            if (!seen.has(id)) {
+                this.index.removeFile(id);
+            }
+        }
+    }
+
+    /**
+     * Rank every passage by the similarity of its embedding to the question's
+     * Passages without a cached embedding are embedded first.
+     * @param {string} question
+     * @param {string|null} excludedId - Id of the file left out
+     * @param {(texts: string[]) => Promise<number[][]>} embed
+     * @param {string} embeddingModel
+     * @returns {Promise<Array<{id: string, chunk: Object, score: number}>>}
+     * @private
+     */
+    async _rankByEmbeddings(question, excludedId, embed, embeddingModel) {
+        await this._loadEmbeddings(embeddingModel);
+
+        const chunks = this.index.getChunks().filter(({ id }) => id !== excludedId);
+        const missing = chunks.filter(({ chunk }) => !this.embeddings.has(chunk.hash));
+
+        for (let i = 0; i < missing.length; i += EMBEDDING_BATCH_SIZE) {
+            const batch = missing.slice(i, i + EMBEDDING_BATCH_SIZE);
+            const vectors = await embed(batch.map(({ id, chunk }) => {
+                return `${[id, chunk.heading].filter(Boolean).join(' > ')}\n\n${chunk.text}`;
+            }));
+
+            batch.forEach(({ chunk }, j) => this.embeddings.set(chunk.hash, vectors[j]));
+        }
+
+        if (missing.length > 0) {
+            await this._saveEmbeddings();
+        }
+
+        const [questionVector] = await embed([question]);
+
+        return chunks
+            .map(entry => ({ ...entry, score: cosineSimilarity(questionVector, this.embeddings.get(entry.chunk.hash)) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CANDIDATE_COUNT);
+    }
+
+    /**
+     * Load the cached embeddings of the indexed workspace for a model
+     * @param {string} embeddingModel
+     * @private
+     */
+    async _loadEmbeddings(embeddingModel) {
+        const key = `${this.indexedWorkspace}\n${embeddingModel}`;
+
+        if (this.embeddingsKey === key) {
+            return;
+        }
+
+        this.embeddingsKey = key;
+        this.embeddings = new Map();
+
+        if (!this.embeddingsDirectory) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this._getEmbeddingsFile(), 'utf-8'));
+
+            if (data.key === key) {
+                this.embeddings = new Map(Object.entries(data.vectors));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Discarding unreadable note embeddings:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Write the embeddings of the current passages to disk through a temporary file
+     * @private
+     */
+    async _saveEmbeddings() {
+        if (!this.embeddingsDirectory) {
+            return;
+        }
+
+        const vectors = {};
+
+        for (const { chunk } of this.index.getChunks()) {
+            if (this.embeddings.has(chunk.hash)) {
+                vectors[chunk.hash] = this.embeddings.get(chunk.hash);
+            }
+        }
+
+        const embeddingsFile = this._getEmbeddingsFile();
+        const tempFile = `${embeddingsFile}.tmp`;
+
+        try {
+            await fs.mkdir(this.embeddingsDirectory, { recursive: true });
+            await fs.writeFile(tempFile, JSON.stringify({ key: this.embeddingsKey, vectors }));
+            await fs.rename(tempFile, embeddingsFile);
+        } catch (error) {
+            await fs.rm(tempFile, { force: true });
+            console.error('Error saving note embeddings:', error);
+        }
+    }
+
+    /**
+     * Get the file the embeddings of the current workspace and model are cached in
+     * @returns {string}
+     * @private
+     */
+    _getEmbeddingsFile() {
+        const hash = crypto.createHash('sha1')
+            .update(this.embeddingsKey)
+            .digest('hex')
+            .slice(0, 16);
+
+        return path.join(this.embeddingsDirectory, `${hash}.json`);
+    }
+
+    /**
+     * Convert an absolute path to the id of its passages
+     * @param {string} workspacePath - Workspace root
+     * @param {string} filePath - Absolute path
+     * @returns {string} Workspace-relative path with forward slashes
+     * @private
+     */
+    _toChunkId(workspacePath, filePath) {
+        return path.relative(workspacePath, filePath).split(path.sep).join('/');
+    }
+}
+
+module.exports = WorkspaceRetriever;
+module.exports.cosineSimilarity = cosineSimilarity;
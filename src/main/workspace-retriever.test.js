@@ -0,0 +1,131 @@
+/**
+ * Tests for WorkspaceRetriever
+ *
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const WorkspaceRetriever = require('./workspace-retriever');
+const GlobalSearchManager = require('./global-search-manager');
+
+describe('WorkspaceRetriever', () => {
+    let workspacePath;
+    let embeddingsDirectory;
+    let workspaceManager;
+    let retriever;
+
+    const write = (relativePath, content) => {
+        const filePath = path.join(workspacePath, relativePath);
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'md-retriever-'));
+        embeddingsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'md-embeddings-'));
+        workspaceManager = { getWorkspacePath: () => workspacePath };
+        retriever = new WorkspaceRetriever(workspaceManager, new GlobalSearchManager(workspaceManager), {
+            embeddingsDirectory
+        });
+
+        write('meetings/planning.md', '# Planning\n\nWe decided to use Postgres for the sync server.\n');
+        write('notes/ideas.md', '# Themes\n\nA dark theme.\n\n# Sync\n\nConflict handling for sync.\n');
+        write('.hidden/secret.md', 'Postgres password');
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+        fs.rmSync(embeddingsDirectory, { recursive: true, force: true });
+    });
+
+    it('returns the relevant passages with their location', async () => {
+        const [note] = await retriever.retrieve('What did we decide about Postgres?');
+
+        expect(note).toEqual({
+            filePath: path.join(workspacePath, 'meetings', 'planning.md'),
+            relativePath: 'meetings/planning.md',
+            startLine: 1,
+            endLine: 3,
+            heading: 'Planning',
+            text: '# Planning\n\nWe decided to use Postgres for the sync server.'
+        });
+    });
+
+    it('returns nothing without a workspace', async () => {
+        workspaceManager.getWorkspacePath = () => null;
+
+        expect(await retriever.retrieve('sync')).toEqual([]);
+    });
+
+    it('leaves out the excluded file and limits the results', async () => {
+        const notes = await retriever.retrieve('sync', {
+            excludePath: path.join(workspacePath, 'notes', 'ideas.md'),
+            limit: 5
+        });
+
+        expect(notes.map(note => note.relativePath)).toEqual(['meetings/planning.md']);
+        expect(await retriever.retrieve('sync conflict', { limit: 1 })).toHaveLength(1);
+    });
+
+    it('picks up changed and deleted files', async () => {
+        await retriever.retrieve('sync');
+
+        write('notes/ideas.md', '# Release\n\nShip on Friday.\n');
+        fs.rmSync(path.join(workspacePath, 'meetings'), { recursive: true });
+
+        expect((await retriever.retrieve('sync')).map(note => note.relativePath)).toEqual([]);
+        expect((await retriever.retrieve('friday'))[0].heading).toBe('Release');
+    });
+
+    describe('with embeddings', () => {
+        // Two-dimensional embeddings: [mentions sync, mentions theme]
+        const embed = vi.fn(async texts => texts.map(text => [
+            /sync|conflict|merge/i.test(text) ? 1 : 0,
+            /theme|dark/i.test(text) ? 1 : 0
+        ]));
+
+        beforeEach(() => {
+            embed.mockClear();
+        });
+
+        it('finds passages that share no word with the question', async () => {
+            const notes = await retriever.retrieve('how do we merge?', { embed, embeddingModel: 'test' });
+
+            expect(notes.map(note => note.heading)).toContain('Sync');
+            expect(notes.map(note => note.heading)).not.toContain('Themes');
+        });
+
+        it('caches the embeddings of unchanged passages on disk', async () => {
+            await retriever.retrieve('merge', { embed, embeddingModel: 'test' });
+            expect(embed).toHaveBeenCalledTimes(2);
+
+            const reloaded = new WorkspaceRetriever(workspaceManager, new GlobalSearchManager(workspaceManager), {
+                embeddingsDirectory
+            });
+
+            embed.mockClear();
+            await reloaded.retrieve('merge', { embed, embeddingModel: 'test' });
+
+            // Only the question is embedded
+            expect(embed).toHaveBeenCalledTimes(1);
+            expect(embed).toHaveBeenCalledWith(['merge']);
+        });
+
+        it('falls back to keywords when embedding fails', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const failing = vi.fn().mockRejectedValue(new Error('Server offline'));
+
+            const notes = await retriever.retrieve('postgres', { embed: failing, embeddingModel: 'test' });
+
+            expect(notes.map(note => note.relativePath)).toEqual(['meetings/planning.md']);
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+    });
+});
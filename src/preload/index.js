@@ -1,4 +1,4 @@
-const { ipcRenderer } = require('electron');
+const { ipcRenderer, webUtils } = require('electron');
 
 /**
  * Preload script that exposes API to renderer process
@@ -13,9 +13,30 @@ const electronAPI = {
     saveFile: (filePath, content) => ipcRenderer.invoke('file:save', filePath, content),
     saveFileAs: (content) => ipcRenderer.invoke('file:save-as', content),
 
+    // Local file history
+    getFileHistory: (filePath) => ipcRenderer.invoke('history:list', filePath),
+    getFileHistorySnapshot: (filePath, id) => ipcRenderer.invoke('history:get', filePath, id),
+    clearFileHistory: (filePath) => ipcRenderer.invoke('history:clear', filePath),
+
+    // Git
+    gitStatus: () => ipcRenderer.invoke('git:status'),
+    gitStage: (filePaths) => ipcRenderer.invoke('git:stage', filePaths),
+    gitUnstage: (filePaths) => ipcRenderer.invoke('git:unstage', filePaths),
+    gitCommit: (message) => ipcRenderer.invoke('git:commit', message),
+    gitGetHeadContent: (filePath) => ipcRenderer.invoke('git:head-content', filePath),
+    gitGetDiff: (filePath) => ipcRenderer.invoke('git:diff', filePath),
+
     // Export operations
     exportHTML: (content) => ipcRenderer.invoke('export:html', content),
     exportPDF: (content) => ipcRenderer.invoke('export:pdf', content),
+    getExportFormats: () => ipcRenderer.invoke('export:formats'),
+    exportDocument: (formatId, content, theme, options) => ipcRenderer.invoke('export:document', formatId, content, theme, options),
+    getPdfExportOptions: () => ipcRenderer.invoke('export:pdf-options'),
+    savePdfExportOptions: (options) => ipcRenderer.invoke('export:save-pdf-options', options),
+    exportSite: (theme, options) => ipcRenderer.invoke('export:site', theme, options),
+
+    // Import operations
+    importDocuments: () => ipcRenderer.invoke('import:documents'),
 
     // Config operations
     getConfig: (key) => ipcRenderer.invoke('config:get', key),
@@ -31,6 +52,25 @@ const electronAPI = {
         return () => ipcRenderer.removeListener('file:dropped', subscription);
     },
 
+    // Fired when a file open in a tab is changed or deleted by another program
+    onFileExternalChange: (callback) => {
+        const subscription = (event, change) => callback(change);
+
+        ipcRenderer.on('file:external-change', subscription);
+        // Return cleanup function
+        return () => ipcRenderer.removeListener('file:external-change', subscription);
+    },
+
+    // Fired when files or folders are opened from the command line or the OS
+    onLaunchRequest: (callback) => {
+        const subscription = (event, request) => callback(request);
+
+        ipcRenderer.on('launch:open', subscription);
+        // Return cleanup function
+        return () => ipcRenderer.removeListener('launch:open', subscription);
+    },
+    getPendingLaunchRequests: () => ipcRenderer.invoke('launch:get-pending'),
+
     onMenuAction: (callback) => {
         const subscription = (event, action, data) => callback(action, data);
 
@@ -40,7 +80,7 @@ const electronAPI = {
     },
 
     // Tab operations
-    createTab: (filePath, content) => ipcRenderer.invoke('tab:create', filePath, content),
+    createTab: (filePath, content, options) => ipcRenderer.invoke('tab:create', filePath, content, options),
     closeTab: (tabId) => ipcRenderer.invoke('tab:close', tabId),
     switchTab: (tabId) => ipcRenderer.invoke('tab:switch', tabId),
     getTab: (tabId) => ipcRenderer.invoke('tab:get', tabId),
@@ -57,6 +97,10 @@ const electronAPI = {
     getNextTab: () => ipcRenderer.invoke('tab:get-next'),
     getPreviousTab: () => ipcRenderer.invoke('tab:get-previous'),
 
+    // Crash recovery
+    getRecoveredBuffers: () => ipcRenderer.invoke('recovery:get-entries'),
+    resolveRecoveredBuffers: () => ipcRenderer.invoke('recovery:resolve'),
+
     // Keyboard shortcut operations
     getShortcut: (actionId) => ipcRenderer.invoke('shortcuts:get', actionId),
     setShortcut: (actionId, keyBinding) => ipcRenderer.invoke('shortcuts:set', actionId, keyBinding),
@@ -66,6 +110,12 @@ const electronAPI = {
     getAvailableActions: () => ipcRenderer.invoke('shortcuts:get-available-actions'),
     checkShortcutConflict: (keyBinding, excludeActionId) => ipcRenderer.invoke('shortcuts:check-conflict', keyBinding, excludeActionId),
     getDefaultShortcut: (actionId) => ipcRenderer.invoke('shortcuts:get-default', actionId),
+    removeShortcut: (actionId) => ipcRenderer.invoke('shortcuts:remove', actionId),
+    getShortcutConflicts: () => ipcRenderer.invoke('shortcuts:get-conflicts'),
+    getShortcutPresets: () => ipcRenderer.invoke('shortcuts:get-presets'),
+    applyShortcutPreset: (presetId) => ipcRenderer.invoke('shortcuts:apply-preset', presetId),
+    exportKeymap: (format) => ipcRenderer.invoke('shortcuts:export-keymap', format),
+    importKeymap: () => ipcRenderer.invoke('shortcuts:import-keymap'),
 
     // Template operations
     getTemplate: (templateId) => ipcRenderer.invoke('template:get', templateId),
@@ -98,11 +148,18 @@ const electronAPI = {
 
     // Workspace operations
     openWorkspace: () => ipcRenderer.invoke('workspace:open'),
+    openWorkspacePath: (folderPath) => ipcRenderer.invoke('workspace:open-path', folderPath),
     closeWorkspace: () => ipcRenderer.invoke('workspace:close'),
     getWorkspacePath: () => ipcRenderer.invoke('workspace:get-path'),
     getWorkspaceTree: () => ipcRenderer.invoke('workspace:get-tree'),
     restoreWorkspace: () => ipcRenderer.invoke('workspace:restore'),
     toggleFolder: (folderPath, isExpanded) => ipcRenderer.invoke('workspace:toggle-folder', folderPath, isExpanded),
+    createWorkspaceFile: (parentPath, name) => ipcRenderer.invoke('workspace:create-file', parentPath, name),
+    createWorkspaceFolder: (parentPath, name) => ipcRenderer.invoke('workspace:create-folder', parentPath, name),
+    renameWorkspacePath: (oldPath, newName) => ipcRenderer.invoke('workspace:rename', oldPath, newName),
+    moveWorkspacePath: (sourcePath, targetFolder) => ipcRenderer.invoke('workspace:move', sourcePath, targetFolder),
+    duplicateWorkspaceFile: (filePath) => ipcRenderer.invoke('workspace:duplicate', filePath),
+    trashWorkspacePath: (targetPath) => ipcRenderer.invoke('workspace:trash', targetPath),
 
     // Line numbers operations
     getLineNumbers: () => ipcRenderer.invoke('config:get-line-numbers'),
@@ -110,12 +167,26 @@ const electronAPI = {
 
     // Graph operations
     getGraphData: () => ipcRenderer.invoke('graph:get-data'),
+    getWikiNotes: () => ipcRenderer.invoke('links:get-notes'),
+
+    // Link update operations
+    planLinkUpdates: (oldPath, newPath) => ipcRenderer.invoke('links:plan-move', oldPath, newPath),
+    applyLinkUpdates: (planId) => ipcRenderer.invoke('links:apply-move', planId),
+    discardLinkUpdates: () => ipcRenderer.invoke('links:discard-plan'),
 
     // Global search operations
     globalSearch: (searchText, options) => ipcRenderer.invoke('global-search:search', searchText, options),
+    planWorkspaceReplace: (searchText, replaceText, options) => ipcRenderer.invoke('global-search:plan-replace', searchText, replaceText, options),
+    applyWorkspaceReplace: (planId, matchIds) => ipcRenderer.invoke('global-search:apply-replace', planId, matchIds),
+    undoWorkspaceReplace: () => ipcRenderer.invoke('global-search:undo-replace'),
+    discardWorkspaceReplace: () => ipcRenderer.invoke('global-search:discard-replace'),
 
     // Image paste operations
-    saveImageFromClipboard: (imageBuffer, currentFilePath) => ipcRenderer.invoke('image:save-from-clipboard', imageBuffer, currentFilePath),
+    saveImageFromClipboard: (imageBuffer, currentFilePath, options) => ipcRenderer.invoke('image:save-from-clipboard', imageBuffer, currentFilePath, options),
+    suggestImageName: (currentFilePath, originalName) => ipcRenderer.invoke('image:suggest-name', currentFilePath, originalName),
+    getFileLink: (targetPath, currentFilePath) => ipcRenderer.invoke('image:file-link', targetPath, currentFilePath),
+    // Dropped File objects no longer carry their path
+    getPathForFile: (file) => webUtils.getPathForFile(file),
 
     // Auto-updater operations
     checkForUpdates: () => ipcRenderer.invoke('updater:check-for-updates'),
@@ -169,8 +240,25 @@ const electronAPI = {
     getAppVersion: () => ipcRenderer.invoke('app:get-version'),
 
     // AI Chat operations
-    aiSendMessage: (message, documentContent, selectedText) => ipcRenderer.invoke('ai:send-message', message, documentContent, selectedText),
+    aiSendMessage: (message, documentContent, selectedText, options) => ipcRenderer.invoke('ai:send-message', message, documentContent, selectedText, options),
+    aiSendMessageStream: (requestId, message, documentContent, selectedText, options) => ipcRenderer.invoke('ai:send-message-stream', requestId, message, documentContent, selectedText, options),
+    aiAbortStream: () => ipcRenderer.invoke('ai:abort-stream'),
+
+    onAIStreamChunk: (callback) => {
+        const subscription = (event, requestId, chunk) => callback(requestId, chunk);
+
+        ipcRenderer.on('ai:stream-chunk', subscription);
+        // Return cleanup function
+        return () => ipcRenderer.removeListener('ai:stream-chunk', subscription);
+    },
+
     aiClearHistory: () => ipcRenderer.invoke('ai:clear-history'),
+    aiListThreads: (documentPath) => ipcRenderer.invoke('ai:list-threads', documentPath),
+    aiCreateThread: (title, documentPath) => ipcRenderer.invoke('ai:create-thread', title, documentPath),
+    aiOpenThread: (threadId) => ipcRenderer.invoke('ai:open-thread', threadId),
+    aiRenameThread: (threadId, title) => ipcRenderer.invoke('ai:rename-thread', threadId, title),
+    aiDeleteThread: (threadId) => ipcRenderer.invoke('ai:delete-thread', threadId),
+    aiExportThread: (threadId) => ipcRenderer.invoke('ai:export-thread', threadId),
     aiGetApiKey: (provider) => ipcRenderer.invoke('ai:get-api-key', provider),
     aiSetApiKey: (apiKey, provider) => ipcRenderer.invoke('ai:set-api-key', apiKey, provider),
     aiGetModel: (provider) => ipcRenderer.invoke('ai:get-model', provider),
@@ -186,7 +274,11 @@ const electronAPI = {
     aiTestLocalConnection: () => ipcRenderer.invoke('ai:test-local-connection'),
     aiTestApiKey: (apiKey, provider) => ipcRenderer.invoke('ai:test-api-key', apiKey, provider),
     aiGetSettings: () => ipcRenderer.invoke('ai:get-settings'),
+    aiSetRetrievalSettings: (settings) => ipcRenderer.invoke('ai:set-retrieval-settings', settings),
     aiTransformText: (text, command, customPrompt, targetLanguage) => ipcRenderer.invoke('ai:transform-text', text, command, customPrompt, targetLanguage),
+    aiGetCommands: () => ipcRenderer.invoke('ai:get-commands'),
+    aiRunCommand: (commandId, values) => ipcRenderer.invoke('ai:run-command', commandId, values),
+    aiCreateCommandsFile: () => ipcRenderer.invoke('ai:create-commands-file'),
 
     // Snippet operations
     getAllSnippets: () => ipcRenderer.invoke('snippet:get-all'),
@@ -0,0 +1,167 @@
+/**
+ * Front matter highlighting for CodeMirror 6
+ * Decorates the YAML block at the top of a document: delimiters, keys,
+ * list markers, quoted strings and comments.
+ */
+
+const { ViewPlugin, Decoration } = require('@codemirror/view');
+const { RangeSetBuilder } = require('@codemirror/state');
+
+// The block is only looked for in the first lines of the document
+const MAX_FRONT_MATTER_LINES = 500;
+
+const lineDecoration = Decoration.line({ class: 'cm-frontmatter' });
+const delimiterDecoration = Decoration.mark({ class: 'cm-frontmatter-delimiter' });
+const keyDecoration = Decoration.mark({ class: 'cm-frontmatter-key' });
+const punctuationDecoration = Decoration.mark({ class: 'cm-frontmatter-punctuation' });
+const stringDecoration = Decoration.mark({ class: 'cm-frontmatter-string' });
+const commentDecoration = Decoration.mark({ class: 'cm-frontmatter-comment' });
+
+const KEY_REGEX = /^(\s*(?:-\s+)?)([^\s#:'"-][^:#]*?|"[^"]*"|'[^']*')\s*:(?=\s|$)/;
+const LIST_MARKER_REGEX = /^(\s*)-(?=\s|$)/;
+// Quotes only open a string at the start of a scalar, not inside words such as "don't"
+const STRING_REGEX = /(?<=^|[\s[{,])(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*')/g;
+
+/**
+ * Find the lines of the front matter block
+ * @param {Object} doc - CodeMirror document
+ * @returns {number} Number of the closing delimiter line, or 0 without front matter
+ */
+function findClosingLine(doc) {
+    if (doc.lines < 2 || !/^---[ \t]*$/.test(doc.line(1).text)) {
+        return 0;
+    }
+
+    const lastLine = Math.min(doc.lines, MAX_FRONT_MATTER_LINES);
+
+    for (let number = 2; number <= lastLine; number++) {
+        if (/^(?:---|\.\.\.)[ \t]*$/.test(doc.line(number).text)) {
+            return number;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Find where a comment starts on a YAML line, ignoring `#` inside quoted strings
+ * @param {string} text - Line text
+ * @returns {number} Offset of the `#`, or -1
+ */
+function findCommentStart(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,]/.test(text[i - 1]))) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Collect the mark ranges of one YAML line, sorted by position
+ * @param {string} text - Line text
+ * @returns {Array<{from: number, to: number, decoration: Decoration}>} Offsets relative to the line
+ */
+function tokenizeLine(text) {
+    const ranges = [];
+    const commentStart = findCommentStart(text);
+
+    if (commentStart !== -1) {
+        ranges.push({ from: commentStart, to: text.length, decoration: commentDecoration });
+    }
+
+    const code = commentStart === -1 ? text : text.slice(0, commentStart);
+    const key = KEY_REGEX.exec(code);
+    let valueStart = 0;
+
+    if (key) {
+        const keyStart = key[1].length;
+        const colon = key[0].length - 1;
+
+        if (LIST_MARKER_REGEX.test(code)) {
+            const dash = code.indexOf('-');
+
+            ranges.push({ from: dash, to: dash + 1, decoration: punctuationDecoration });
+        }
+        ranges.push({ from: keyStart, to: keyStart + key[2].length, decoration: keyDecoration });
+        ranges.push({ from: colon, to: colon + 1, decoration: punctuationDecoration });
+        valueStart = key[0].length;
+    } else {
+        const marker = LIST_MARKER_REGEX.exec(code);
+
+        if (marker) {
+            ranges.push({ from: marker[1].length, to: marker[1].length + 1, decoration: punctuationDecoration });
+            valueStart = marker[0].length;
+        }
+    }
+
+    STRING_REGEX.lastIndex = valueStart;
+
+    let string;
+
+    while ((string = STRING_REGEX.exec(code)) !== null) {
+        ranges.push({ from: string.index, to: string.index + string[0].length, decoration: stringDecoration });
+    }
+
+    return ranges.sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Build the decorations of the front matter block
+ * @param {Object} doc - CodeMirror document
+ * @returns {DecorationSet}
+ */
+function buildDecorations(doc) {
+    const builder = new RangeSetBuilder();
+    const closingLine = findClosingLine(doc);
+
+    for (let number = 1; number <= closingLine; number++) {
+        const line = doc.line(number);
+
+        builder.add(line.from, line.from, lineDecoration);
+
+        if (number === 1 || number === closingLine) {
+            builder.add(line.from, line.to, delimiterDecoration);
+            continue;
+        }
+
+        for (const range of tokenizeLine(line.text)) {
+            builder.add(line.from + range.from, line.from + range.to, range.decoration);
+        }
+    }
+
+    return builder.finish();
+}
+
+/**
+ * Create the front matter highlighting extension
+ * @returns {Extension} CodeMirror extension
+ */
+function frontMatterHighlighting() {
+    return ViewPlugin.fromClass(class {
+        constructor(view) {
+            this.decorations = buildDecorations(view.state.doc);
+        }
+
+        update(update) {
+            if (update.docChanged) {
+                this.decorations = buildDecorations(update.state.doc);
+            }
+        }
+    }, {
+        decorations: plugin => plugin.decorations
+    });
+}
+
+module.exports = { frontMatterHighlighting, tokenizeLine, findClosingLine };
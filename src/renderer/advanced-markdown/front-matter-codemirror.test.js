@@ -0,0 +1,55 @@
+/**
+ * Tests for front matter highlighting in the editor
+ */
+
+import { describe, test, expect } from 'vitest';
+import { Text } from '@codemirror/state';
+import { tokenizeLine, findClosingLine } from './front-matter-codemirror.js';
+
+/**
+ * Describe the ranges of a line as [text, class] pairs
+ */
+function tokens(text) {
+    return tokenizeLine(text).map(range => [text.slice(range.from, range.to), range.decoration.spec.class]);
+}
+
+describe('findClosingLine', () => {
+    test('finds the delimiter that closes the block', () => {
+        expect(findClosingLine(Text.of(['---', 'a: 1', '---', 'body']))).toBe(3);
+        expect(findClosingLine(Text.of(['---', 'a: 1', '...']))).toBe(3);
+    });
+
+    test('returns 0 without a block at the top', () => {
+        expect(findClosingLine(Text.of(['# Title', '---', 'a: 1', '---']))).toBe(0);
+        expect(findClosingLine(Text.of(['---', 'a: 1']))).toBe(0);
+    });
+});
+
+describe('tokenizeLine', () => {
+    test('marks keys, punctuation and quoted strings', () => {
+        expect(tokens('title: "A # title"')).toEqual([
+            ['title', 'cm-frontmatter-key'],
+            [':', 'cm-frontmatter-punctuation'],
+            ['"A # title"', 'cm-frontmatter-string']
+        ]);
+    });
+
+    test('marks list items and comments', () => {
+        expect(tokens('  - item # note')).toEqual([
+            ['-', 'cm-frontmatter-punctuation'],
+            ['# note', 'cm-frontmatter-comment']
+        ]);
+        expect(tokens('- name: x')).toEqual([
+            ['-', 'cm-frontmatter-punctuation'],
+            ['name', 'cm-frontmatter-key'],
+            [':', 'cm-frontmatter-punctuation']
+        ]);
+    });
+
+    test('does not treat apostrophes inside words as strings', () => {
+        expect(tokens("note: don't stop")).toEqual([
+            ['note', 'cm-frontmatter-key'],
+            [':', 'cm-frontmatter-punctuation']
+        ]);
+    });
+});
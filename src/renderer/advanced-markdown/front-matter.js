@@ -0,0 +1,234 @@
+/**
+ * YAML front matter support
+ * Reads and writes the `---` metadata block at the top of a document and
+ * provides a markdown-it plugin that renders it as a properties table, or
+ * hides it, instead of a horizontal rule followed by a paragraph.
+ */
+
+const yaml = require('js-yaml');
+
+// The core schema keeps dates and other timestamps as plain strings
+const YAML_OPTIONS = { schema: yaml.CORE_SCHEMA };
+
+const OPENING_DELIMITER = /^---[ \t]*$/;
+const CLOSING_DELIMITER = /^(?:---|\.\.\.)[ \t]*$/;
+
+/**
+ * Locate the front matter block without parsing it
+ * @param {string} content - Document content
+ * @returns {{raw: string, length: number, lineCount: number}|null} The YAML source, the length of the
+ *   whole block including its delimiters and trailing newline, and the number of lines it spans
+ */
+function matchFrontMatter(content) {
+    if (!content || !content.startsWith('---')) {
+        return null;
+    }
+
+    const bodyStart = content.indexOf('\n') + 1;
+
+    if (bodyStart === 0 || !OPENING_DELIMITER.test(content.slice(0, bodyStart - 1).replace(/\r$/, ''))) {
+        return null;
+    }
+
+    // Walk line by line instead of splitting, documents can be large
+    let lineStart = bodyStart;
+    let lineCount = 1;
+
+    while (lineStart <= content.length) {
+        const newline = content.indexOf('\n', lineStart);
+        const lineEnd = newline === -1 ? content.length : newline;
+
+        lineCount++;
+        if (CLOSING_DELIMITER.test(content.slice(lineStart, lineEnd).replace(/\r$/, ''))) {
+            return {
+                raw: content.slice(bodyStart, lineStart).replace(/\r?\n$/, ''),
+                length: newline === -1 ? content.length : newline + 1,
+                lineCount
+            };
+        }
+        if (newline === -1) {
+            break;
+        }
+        lineStart = newline + 1;
+    }
+
+    return null;
+}
+
+/**
+ * Parse the YAML source of a front matter block
+ * @param {string} raw - YAML source, without delimiters
+ * @returns {{data: Object, error: string|null}} Properties, empty when the YAML is invalid
+ */
+function parseProperties(raw) {
+    try {
+        const data = yaml.load(raw, YAML_OPTIONS);
+
+        if (data === undefined || data === null) {
+            return { data: {}, error: null };
+        }
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            return { data: {}, error: 'Front matter must be a list of key: value properties' };
+        }
+        return { data, error: null };
+    } catch (error) {
+        return { data: {}, error: error.reason || error.message };
+    }
+}
+
+/**
+ * Read the front matter of a document
+ * @param {string} content - Document content
+ * @returns {{data: Object, error: string|null, raw: string, length: number, lineCount: number, body: string}|null}
+ *   null when the document has no front matter
+ */
+function parseFrontMatter(content) {
+    const match = matchFrontMatter(content);
+
+    if (!match) {
+        return null;
+    }
+
+    return { ...match, ...parseProperties(match.raw), body: content.slice(match.length) };
+}
+
+/**
+ * Serialize properties to a front matter block
+ * @param {Object} data - Properties
+ * @returns {string} The block with its delimiters and a trailing newline, or an empty string without properties
+ */
+function stringifyFrontMatter(data) {
+    if (!data || Object.keys(data).length === 0) {
+        return '';
+    }
+
+    return `---\n${yaml.dump(data, { ...YAML_OPTIONS, lineWidth: -1 })}---\n`;
+}
+
+/**
+ * Replace the front matter of a document, adding or removing the block as needed
+ * @param {string} content - Document content
+ * @param {Object} data - New properties
+ * @returns {string} Updated content
+ */
+function updateFrontMatter(content, data) {
+    const match = matchFrontMatter(content);
+
+    return stringifyFrontMatter(data) + content.slice(match ? match.length : 0);
+}
+
+/**
+ * Format a property value for display
+ * @param {*} value - Property value
+ * @returns {string}
+ */
+function formatPropertyValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatPropertyValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        return yaml.dump(value, { ...YAML_OPTIONS, flowLevel: 0 }).trim();
+    }
+    return String(value);
+}
+
+/**
+ * Convert text typed for a property back to a value.
+ * Lists stay lists (comma separated) and text stays text; new properties are
+ * read as YAML scalars so `3` or `true` keep their type.
+ * @param {string} text - Typed text
+ * @param {*} [previous] - Current value of the property, undefined for a new one
+ * @returns {*}
+ */
+function parsePropertyValue(text, previous) {
+    if (Array.isArray(previous)) {
+        return text.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (typeof previous === 'string' || text.trim() === '') {
+        return text;
+    }
+
+    try {
+        const value = yaml.load(text, YAML_OPTIONS);
+
+        return value === undefined ? text : value;
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * markdown-it plugin for front matter.
+ * The parsed properties are exposed as `env.frontMatter` after rendering.
+ * @param {Object} md - markdown-it instance
+ * @param {Object} [options]
+ * @param {boolean|Function} [options.show=true] - Render the properties table; a function is
+ *   evaluated on every render so the choice can change without rebuilding the parser
+ */
+function markdownItFrontMatter(md, options = {}) {
+    const show = options.show === undefined ? true : options.show;
+
+    md.block.ruler.before('table', 'front_matter', (state, startLine, endLine, silent) => {
+        if (startLine !== 0 || state.parentType !== 'root' || state.sCount[0] !== 0) {
+            return false;
+        }
+
+        const match = matchFrontMatter(state.src);
+
+        if (!match || match.lineCount > endLine) {
+            return false;
+        }
+        if (silent) {
+            return true;
+        }
+
+        const token = state.push('front_matter', '', 0);
+
+        token.block = true;
+        token.content = match.raw;
+        token.map = [0, match.lineCount];
+        token.meta = parseProperties(match.raw);
+        state.env.frontMatter = token.meta.data;
+        state.line = match.lineCount;
+
+        return true;
+    });
+
+    md.renderer.rules.front_matter = (tokens, idx) => {
+        const shown = typeof show === 'function' ? show() : show;
+        const { data, error } = tokens[idx].meta;
+
+        if (!shown) {
+            return '';
+        }
+        if (error) {
+            return `<pre class="front-matter front-matter--invalid" title="${md.utils.escapeHtml(error)}">` +
+                `${md.utils.escapeHtml(tokens[idx].content)}</pre>\n`;
+        }
+
+        const rows = Object.entries(data).map(([key, value]) => {
+            const cell = Array.isArray(value)
+                ? value.map(item => `<span class="front-matter__item">${md.utils.escapeHtml(formatPropertyValue(item))}</span>`).join(' ')
+                : md.utils.escapeHtml(formatPropertyValue(value));
+
+            return `<tr><th>${md.utils.escapeHtml(key)}</th><td>${cell}</td></tr>`;
+        });
+
+        return rows.length > 0
+            ? `<table class="front-matter"><tbody>${rows.join('')}</tbody></table>\n`
+            : '';
+    };
+}
+
+module.exports = {
+    matchFrontMatter,
+    parseFrontMatter,
+    stringifyFrontMatter,
+    updateFrontMatter,
+    formatPropertyValue,
+    parsePropertyValue,
+    markdownItFrontMatter
+};
@@ -0,0 +1,119 @@
+/**
+ * Tests for YAML front matter support
+ */
+
+import { describe, test, expect } from 'vitest';
+import markdownIt from 'markdown-it';
+import {
+    matchFrontMatter,
+    parseFrontMatter,
+    stringifyFrontMatter,
+    updateFrontMatter,
+    parsePropertyValue,
+    markdownItFrontMatter
+} from './front-matter.js';
+
+const DOCUMENT = '---\ntitle: Notes\ndate: 2024-05-01\ntags: [a, b]\n---\n# Body\n';
+
+describe('matchFrontMatter', () => {
+    test('locates the block and its size', () => {
+        expect(matchFrontMatter(DOCUMENT)).toEqual({
+            raw: 'title: Notes\ndate: 2024-05-01\ntags: [a, b]',
+            length: DOCUMENT.indexOf('# Body'),
+            lineCount: 5
+        });
+    });
+
+    test('accepts an empty block, CRLF line endings and a ... terminator', () => {
+        expect(matchFrontMatter('---\n---\ntext')).toEqual({ raw: '', length: 8, lineCount: 2 });
+        expect(matchFrontMatter('---\r\na: 1\r\n...\r\nbody').raw).toBe('a: 1');
+    });
+
+    test('ignores documents without a closed block at the very top', () => {
+        expect(matchFrontMatter('# Title\n---\na: 1\n---')).toBeNull();
+        expect(matchFrontMatter('---\na: 1\nno end')).toBeNull();
+        expect(matchFrontMatter('----\na: 1\n----')).toBeNull();
+    });
+});
+
+describe('parseFrontMatter', () => {
+    test('parses properties and keeps dates as text', () => {
+        const result = parseFrontMatter(DOCUMENT);
+
+        expect(result.data).toEqual({ title: 'Notes', date: '2024-05-01', tags: ['a', 'b'] });
+        expect(result.error).toBeNull();
+        expect(result.body).toBe('# Body\n');
+    });
+
+    test('reports invalid YAML and non-mapping blocks', () => {
+        expect(parseFrontMatter('---\ntitle: [oops\n---\n').error).toBeTruthy();
+        expect(parseFrontMatter('---\n- a\n- b\n---\n').error).toContain('key: value');
+        expect(parseFrontMatter('no front matter')).toBeNull();
+    });
+});
+
+describe('stringifyFrontMatter and updateFrontMatter', () => {
+    test('serializes properties with delimiters', () => {
+        expect(stringifyFrontMatter({ title: 'A', tags: ['x'] })).toBe('---\ntitle: A\ntags:\n  - x\n---\n');
+        expect(stringifyFrontMatter({})).toBe('');
+    });
+
+    test('replaces, adds and removes the block', () => {
+        expect(updateFrontMatter(DOCUMENT, { title: 'New' })).toBe('---\ntitle: New\n---\n# Body\n');
+        expect(updateFrontMatter('# Body', { title: 'New' })).toBe('---\ntitle: New\n---\n# Body');
+        expect(updateFrontMatter(DOCUMENT, {})).toBe('# Body\n');
+    });
+});
+
+describe('parsePropertyValue', () => {
+    test('keeps the type of the current value', () => {
+        expect(parsePropertyValue('a, b ,, c', ['x'])).toEqual(['a', 'b', 'c']);
+        expect(parsePropertyValue('42', 'old')).toBe('42');
+    });
+
+    test('reads new values as YAML scalars', () => {
+        expect(parsePropertyValue('42')).toBe(42);
+        expect(parsePropertyValue('true')).toBe(true);
+        expect(parsePropertyValue('2024-05-01')).toBe('2024-05-01');
+        expect(parsePropertyValue('[a, b]')).toEqual(['a', 'b']);
+        expect(parsePropertyValue('[oops')).toBe('[oops');
+    });
+});
+
+describe('markdownItFrontMatter', () => {
+    test('renders a properties table instead of a rule and paragraph', () => {
+        const md = markdownIt().use(markdownItFrontMatter);
+        const env = {};
+        const html = md.render(DOCUMENT, env);
+
+        expect(html).not.toContain('<hr>');
+        expect(html).toContain('<table class="front-matter">');
+        expect(html).toContain('<tr><th>title</th><td>Notes</td></tr>');
+        expect(html).toContain('<span class="front-matter__item">a</span>');
+        expect(html).toContain('<h1>Body</h1>');
+        expect(env.frontMatter.title).toBe('Notes');
+    });
+
+    test('hides the block when asked to', () => {
+        let show = false;
+        const md = markdownIt().use(markdownItFrontMatter, { show: () => show });
+
+        expect(md.render(DOCUMENT)).toBe('<h1>Body</h1>\n');
+        show = true;
+        expect(md.render(DOCUMENT)).toContain('front-matter');
+    });
+
+    test('shows invalid YAML as escaped source', () => {
+        const md = markdownIt().use(markdownItFrontMatter);
+        const html = md.render('---\ntitle: [<b>oops\n---\n');
+
+        expect(html).toContain('front-matter--invalid');
+        expect(html).toContain('&lt;b&gt;');
+    });
+
+    test('keeps a thematic break that does not open a block', () => {
+        const md = markdownIt().use(markdownItFrontMatter);
+
+        expect(md.render('Text\n\n---\n\nMore')).toContain('<hr>');
+    });
+});
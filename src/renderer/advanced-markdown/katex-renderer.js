@@ -11,6 +11,7 @@
  * @param {Object} katex - Instância do KaTeX
  * @param {Object} options - Opções de renderização
  * @param {boolean} options.displayMode - true para block, false para inline
+ * @param {{get: Function, set: Function}} [options.cache] - Cache do HTML renderizado, por fórmula
  */
 function renderKatexElement(element, katex, options = {}) {
     if (element.classList.contains('katex-rendered') ||
@@ -21,12 +22,22 @@ function renderKatexElement(element, katex, options = {}) {
     const latex = element.getAttribute('data-katex');
     if (!latex) return;
 
+    const cacheKey = `${options.displayMode ? 'display' : 'inline'}\n${latex}`;
+    const cached = options.cache ? options.cache.get(cacheKey) : undefined;
+
+    if (cached !== undefined) {
+        element.innerHTML = cached;
+        element.classList.add('katex-rendered');
+        return;
+    }
+
     try {
         katex.render(latex, element, {
             throwOnError: false,
             displayMode: options.displayMode || false
         });
         element.classList.add('katex-rendered');
+        if (options.cache) options.cache.set(cacheKey, element.innerHTML);
     } catch (error) {
         element.classList.add('katex-error');
         element.textContent = latex;
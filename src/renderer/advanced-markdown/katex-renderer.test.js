@@ -110,4 +110,27 @@ describe('renderKatexElement', () => {
 
         consoleSpy.mockRestore();
     });
+
+    test('reuses cached output for the same formula and mode', () => {
+        const cache = new Map();
+        const other = document.createElement('span');
+
+        element.setAttribute('data-katex', 'x^2');
+        other.setAttribute('data-katex', 'x^2');
+        mockKatex.render.mockImplementation((latex, target) => { target.innerHTML = '<b>x²</b>'; });
+
+        renderKatexElement(element, mockKatex, { displayMode: true, cache });
+        renderKatexElement(other, mockKatex, { displayMode: true, cache });
+
+        expect(mockKatex.render).toHaveBeenCalledTimes(1);
+        expect(other.innerHTML).toBe('<b>x²</b>');
+        expect(other.classList.contains('katex-rendered')).toBe(true);
+
+        renderKatexElement(document.createElement('span'), mockKatex, { cache });
+        const inline = document.createElement('span');
+
+        inline.setAttribute('data-katex', 'x^2');
+        renderKatexElement(inline, mockKatex, { displayMode: false, cache });
+        expect(mockKatex.render).toHaveBeenCalledTimes(2);
+    });
 });
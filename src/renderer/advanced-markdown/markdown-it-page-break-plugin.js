@@ -0,0 +1,58 @@
+/**
+ * markdown-it plugin for explicit page breaks
+ *
+ * A line containing only a page break marker starts a new page in PDF and
+ * Word exports and shows as a dashed rule in the preview:
+ *
+ *   \pagebreak
+ *   \newpage
+ *   <!-- pagebreak -->
+ */
+
+const PAGE_BREAK_REGEX = /^(?:\\pagebreak|\\newpage|<!--\s*page-?break\s*-->)\s*$/i;
+
+/**
+ * Page break block rule
+ */
+function pageBreakBlock(state, startLine, endLine, silent) {
+    const pos = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+
+    // Indented code blocks take precedence
+    if (state.sCount[startLine] - state.blkIndent >= 4) {
+        return false;
+    }
+
+    if (!PAGE_BREAK_REGEX.test(state.src.slice(pos, max))) {
+        return false;
+    }
+
+    if (silent) {
+        return true;
+    }
+
+    const token = state.push('page_break', 'div', 0);
+
+    token.map = [startLine, startLine + 1];
+    token.markup = state.src.slice(pos, max).trim();
+    token.attrSet('class', 'page-break');
+    state.line = startLine + 1;
+
+    return true;
+}
+
+/**
+ * Main plugin function
+ */
+function pageBreakPlugin(md) {
+    // Before html_block so <!-- pagebreak --> is recognized even with HTML enabled
+    md.block.ruler.before('html_block', 'page_break', pageBreakBlock, {
+        alt: ['paragraph', 'reference', 'blockquote', 'list']
+    });
+
+    md.renderer.rules.page_break = function (tokens, idx, options, env, self) {
+        return '<div' + self.renderAttrs(tokens[idx]) + '></div>\n';
+    };
+}
+
+module.exports = pageBreakPlugin;
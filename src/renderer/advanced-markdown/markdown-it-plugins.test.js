@@ -7,6 +7,7 @@ import markdownIt from 'markdown-it';
 import markdownItMermaid from './markdown-it-mermaid-plugin.js';
 import markdownItKatex from './markdown-it-katex-plugin.js';
 import markdownItCallouts from './markdown-it-callout-plugin.js';
+import markdownItPageBreak from './markdown-it-page-break-plugin.js';
 
 describe('Mermaid Plugin', () => {
     test('detects mermaid code blocks', () => {
@@ -254,6 +255,39 @@ describe('Callouts Plugin', () => {
     });
 });
 
+describe('Page Break Plugin', () => {
+    test('renders page break markers', () => {
+        const md = markdownIt();
+
+        md.use(markdownItPageBreak);
+
+        const html = md.render('One\n\n\\pagebreak\n\nTwo\n\n\\newpage\n\n<!-- pagebreak -->');
+
+        expect(html.match(/<div class="page-break"><\/div>/g)).toHaveLength(3);
+        expect(html).not.toContain('newpage');
+    });
+
+    test('ends a paragraph without a blank line', () => {
+        const md = markdownIt();
+
+        md.use(markdownItPageBreak);
+
+        const html = md.render('One\n\\pagebreak\nTwo');
+
+        expect(html).toBe('<p>One</p>\n<div class="page-break"></div>\n<p>Two</p>\n');
+    });
+
+    test('ignores markers inside text and code', () => {
+        const md = markdownIt();
+
+        md.use(markdownItPageBreak);
+
+        const html = md.render('Use \\pagebreak here\n\n    \\pagebreak\n\n```\n\\newpage\n```');
+
+        expect(html).not.toContain('page-break');
+    });
+});
+
 describe('Plugin Integration', () => {
     test('all plugins work together', () => {
         const md = markdownIt();
@@ -0,0 +1,75 @@
+/**
+ * markdown-it plugin that marks rendered blocks with their source line
+ * When rendered with `env.sourceLines` set, every block element gets a
+ * `data-source-line` attribute holding the 1-based line of the markdown it was
+ * rendered from, so the preview can be scrolled in step with the editor and
+ * clicks can be mapped back to the source.
+ *
+ * Must be installed after plugins that render blocks with their own rules
+ * (Mermaid, KaTeX, callouts, front matter), since those rules ignore token
+ * attributes and get the attribute added to the first tag of their output.
+ */
+
+const FIRST_TAG_REGEX = /^(\s*<[a-zA-Z][\w-]*)/;
+
+/**
+ * Get the source line of a block token
+ * @param {Object} token - markdown-it token with a `map`
+ * @param {Object} env - Render environment; `env.sourceLineMap` maps parsed lines
+ *   to lines of the original document when the markdown was preprocessed
+ * @returns {number} 1-based line
+ */
+function getSourceLine(token, env) {
+    const line = token.map[0];
+    const lineMap = env && env.sourceLineMap;
+
+    return (lineMap && lineMap[line] !== undefined ? lineMap[line] : line) + 1;
+}
+
+/**
+ * Wrap a render rule so its output carries the source line
+ * @param {Function} rule - Original render rule
+ * @returns {Function}
+ */
+function wrapRule(rule) {
+    const wrapped = (tokens, idx, options, env, self) => {
+        const html = rule(tokens, idx, options, env, self);
+
+        if (!tokens[idx].map || !env || !env.sourceLines) {
+            return html;
+        }
+
+        return html.replace(FIRST_TAG_REGEX, `$1 data-source-line="${getSourceLine(tokens[idx], env)}"`);
+    };
+
+    wrapped.sourceLines = true;
+    return wrapped;
+}
+
+/**
+ * @param {Object} md - markdown-it instance
+ */
+function markdownItSourceLines(md) {
+    md.core.ruler.push('source_lines', (state) => {
+        if (!state.env || !state.env.sourceLines) {
+            return;
+        }
+
+        state.tokens.forEach(token => {
+            // Closing tags and the inline content of blocks are not anchors
+            if (!token.map || !token.block || token.nesting === -1 || token.type === 'inline') {
+                return;
+            }
+
+            const rule = md.renderer.rules[token.type];
+
+            if (!rule) {
+                token.attrSet('data-source-line', String(getSourceLine(token, state.env)));
+            } else if (!rule.sourceLines) {
+                md.renderer.rules[token.type] = wrapRule(rule);
+            }
+        });
+    });
+}
+
+module.exports = markdownItSourceLines;
@@ -9,6 +9,11 @@
 
 const { renderKatexElement } = require('./katex-renderer');
 
+/**
+ * Number of rendered diagrams and formulas kept by source
+ */
+const RENDER_CACHE_LIMIT = 200;
+
 /**
  * Escapes HTML special characters to prevent XSS
  * @param {string} text - Text to escape
@@ -26,6 +31,50 @@ function escapeHtml(text) {
     return text.replace(/[&<>"']/g, (m) => map[m]);
 }
 
+/**
+ * Least recently used cache of rendered output, keyed by source
+ */
+class RenderCache {
+    constructor(limit = RENDER_CACHE_LIMIT) {
+        this.limit = limit;
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {string} key - Source of the rendered output
+     * @returns {*} Cached output, or undefined
+     */
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+
+        const value = this.entries.get(key);
+
+        // Move to the end so it is evicted last
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    /**
+     * @param {string} key - Source of the rendered output
+     * @param {*} value - Rendered output
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        if (this.entries.size > this.limit) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
 class AdvancedMarkdownPostProcessor {
     constructor() {
         this.mermaid = null;
@@ -33,6 +82,9 @@ class AdvancedMarkdownPostProcessor {
         this.mermaidInitialized = false;
         this.katexInitialized = false;
         this.currentTheme = 'default';
+        // Rendering the same diagram or formula again returns the cached output
+        this.mermaidCache = new RenderCache();
+        this.katexCache = new RenderCache();
 
         this.initializeMermaid();
         this.initializeKatex();
@@ -115,6 +167,15 @@ class AdvancedMarkdownPostProcessor {
 
             const code = diagram.textContent.trim();
             const id = diagram.getAttribute('data-mermaid-id');
+            // Diagrams are themed when rendered, so each theme has its own entries
+            const cacheKey = `${this.currentTheme}\n${code}`;
+            const cached = this.mermaidCache.get(cacheKey);
+
+            if (cached) {
+                diagram.innerHTML = cached.html;
+                diagram.classList.add(cached.className);
+                continue;
+            }
 
             // Handle empty diagrams
             if (!code) {
@@ -132,6 +193,7 @@ class AdvancedMarkdownPostProcessor {
                 // Replace placeholder with rendered SVG
                 diagram.innerHTML = svg;
                 diagram.classList.add('mermaid-rendered');
+                this.mermaidCache.set(cacheKey, { html: svg, className: 'mermaid-rendered' });
             } catch (error) {
                 // Display error message
                 diagram.innerHTML = '<div class="mermaid-error">' +
@@ -139,6 +201,7 @@ class AdvancedMarkdownPostProcessor {
                     '<pre>' + escapeHtml(error.message || 'Unknown error') + '</pre>' +
                     '</div>';
                 diagram.classList.add('mermaid-error');
+                this.mermaidCache.set(cacheKey, { html: diagram.innerHTML, className: 'mermaid-error' });
 
                 console.error('Mermaid rendering error:', error);
             }
@@ -153,13 +216,13 @@ class AdvancedMarkdownPostProcessor {
         // Process inline math
         const inlineMath = container.querySelectorAll('.katex-inline');
         inlineMath.forEach(element => {
-            renderKatexElement(element, this.katex, { displayMode: false });
+            renderKatexElement(element, this.katex, { displayMode: false, cache: this.katexCache });
         });
 
         // Process block math
         const blockMath = container.querySelectorAll('.katex-block');
         blockMath.forEach(element => {
-            renderKatexElement(element, this.katex, { displayMode: true });
+            renderKatexElement(element, this.katex, { displayMode: true, cache: this.katexCache });
         });
     }
 
@@ -186,3 +249,4 @@ class AdvancedMarkdownPostProcessor {
 }
 
 module.exports = AdvancedMarkdownPostProcessor;
+module.exports.RenderCache = RenderCache;
@@ -5,7 +5,10 @@
  * Full integration tests with actual Mermaid and KaTeX rendering are in integration tests.
  */
 
-import { describe, test, expect, beforeEach } from 'vitest';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+const AdvancedMarkdownPostProcessor = require('./post-processor');
+const { RenderCache } = AdvancedMarkdownPostProcessor;
 
 describe('AdvancedMarkdownPostProcessor - Structure', () => {
     let container;
@@ -152,3 +155,44 @@ describe('AdvancedMarkdownPostProcessor - Error Handling', () => {
         expect(element.getAttribute('data-katex')).toBeNull();
     });
 });
+
+describe('RenderCache', () => {
+    test('evicts the least recently used entry', () => {
+        const cache = new RenderCache(2);
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        expect(cache.get('a')).toBe(1);
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('c')).toBe(3);
+    });
+});
+
+describe('AdvancedMarkdownPostProcessor - Mermaid cache', () => {
+    test('renders each diagram source once per theme', async () => {
+        const processor = new AdvancedMarkdownPostProcessor();
+        const container = document.createElement('div');
+
+        processor.mermaid = { render: vi.fn().mockResolvedValue({ svg: '<svg id="d"></svg>' }) };
+        processor.mermaidInitialized = true;
+        container.innerHTML = '<div class="mermaid-diagram" data-mermaid-id="m1">graph TD\nA--&gt;B</div>' +
+            '<div class="mermaid-diagram" data-mermaid-id="m2">graph TD\nA--&gt;B</div>';
+
+        await processor.processMermaid(container);
+
+        expect(processor.mermaid.render).toHaveBeenCalledTimes(1);
+        container.querySelectorAll('.mermaid-diagram').forEach(diagram => {
+            expect(diagram.innerHTML).toBe('<svg id="d"></svg>');
+            expect(diagram.classList.contains('mermaid-rendered')).toBe(true);
+        });
+
+        processor.currentTheme = 'dark';
+        container.innerHTML = '<div class="mermaid-diagram" data-mermaid-id="m3">graph TD\nA--&gt;B</div>';
+        await processor.processMermaid(container);
+
+        expect(processor.mermaid.render).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Wiki links in CodeMirror 6
+ * Completes note names after `[[` and follows a link on Ctrl/Cmd+Click.
+ */
+
+const { EditorView } = require('@codemirror/view');
+const { EditorState } = require('@codemirror/state');
+const { autocompletion } = require('@codemirror/autocomplete');
+const { findWikiLinkAt } = require('./wiki-links');
+
+/**
+ * Create the completion source for note names
+ * @param {Function} getNotes - Returns the notes of the workspace, `[{name, relativePath}]`
+ * @returns {Function} CodeMirror completion source
+ */
+function wikiLinkCompletionSource(getNotes) {
+    return (context) => {
+        const match = context.matchBefore(/\[\[[^[\]|#\n]*$/);
+
+        if (!match) {
+            return null;
+        }
+
+        const notes = getNotes() || [];
+        const closed = context.state.sliceDoc(context.pos, context.pos + 2) === ']]';
+        const nameCounts = new Map();
+
+        notes.forEach(note => nameCounts.set(note.name, (nameCounts.get(note.name) || 0) + 1));
+
+        return {
+            from: match.from + 2,
+            options: notes.map(note => {
+                // Notes sharing a name are linked by path so the link stays unambiguous
+                const label = nameCounts.get(note.name) > 1
+                    ? note.relativePath.replace(/\.(?:md|markdown)$/i, '')
+                    : note.name;
+
+                return {
+                    label,
+                    detail: note.relativePath,
+                    type: 'file',
+                    apply: closed ? label : `${label}]]`
+                };
+            }),
+            validFor: /^[^[\]|#\n]*$/
+        };
+    };
+}
+
+/**
+ * Create the wiki link extensions
+ * @param {Object} options
+ * @param {Function} options.getNotes - Returns the notes of the workspace
+ * @param {Function} options.onOpen - Called with `{target, heading}` when a link is Ctrl/Cmd+Clicked
+ * @returns {Extension[]} CodeMirror extensions
+ */
+function wikiLinks({ getNotes, onOpen }) {
+    return [
+        autocompletion(),
+        EditorState.languageData.of(() => [{ autocomplete: wikiLinkCompletionSource(getNotes) }]),
+        EditorView.domEventHandlers({
+            mousedown(event, view) {
+                if (event.button !== 0 || !(event.ctrlKey || event.metaKey)) {
+                    return false;
+                }
+
+                const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+
+                if (pos === null) {
+                    return false;
+                }
+
+                const line = view.state.doc.lineAt(pos);
+                const link = findWikiLinkAt(line.text, pos - line.from);
+
+                if (!link || !link.target) {
+                    return false;
+                }
+
+                event.preventDefault();
+                onOpen({ target: link.target, heading: link.heading });
+                return true;
+            }
+        })
+    ];
+}
+
+module.exports = { wikiLinks, wikiLinkCompletionSource };
@@ -0,0 +1,44 @@
+/**
+ * Tests for wiki link completion in the editor
+ */
+
+import { describe, test, expect } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import { CompletionContext } from '@codemirror/autocomplete';
+import { wikiLinkCompletionSource } from './wiki-links-codemirror.js';
+
+const NOTES = [
+    { name: 'Ideas', relativePath: 'Ideas.md' },
+    { name: 'todo', relativePath: 'projects/todo.md' },
+    { name: 'todo', relativePath: 'archive/todo.md' }
+];
+
+/**
+ * Run the completion source with the cursor at the `^` of the text
+ */
+function complete(text) {
+    const pos = text.indexOf('^');
+    const state = EditorState.create({ doc: text.replace('^', '') });
+
+    return wikiLinkCompletionSource(() => NOTES)(new CompletionContext(state, pos, false));
+}
+
+describe('wikiLinkCompletionSource', () => {
+    test('offers note names after [[ and closes the link', () => {
+        const result = complete('See [[Id^');
+
+        expect(result.from).toBe(6);
+        expect(result.options[0]).toMatchObject({ label: 'Ideas', apply: 'Ideas]]' });
+    });
+
+    test('uses paths for notes sharing a name and keeps existing brackets', () => {
+        const result = complete('[[^]]');
+
+        expect(result.options.map(option => option.apply)).toEqual(['Ideas', 'projects/todo', 'archive/todo']);
+    });
+
+    test('stays quiet outside wiki links', () => {
+        expect(complete('plain [text^')).toBeNull();
+        expect(complete('[[Ideas|alias^')).toBeNull();
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * Wiki links
+ * Parses `[[Note]]`, `[[Note|alias]]` and `[[Note#Heading]]`, resolves them
+ * against the notes of the workspace and provides a markdown-it plugin that
+ * renders them as links. Shared by the preview, the editor, the exporter and
+ * the link graph, so it only works on forward-slash paths and avoids Node APIs.
+ */
+
+const MARKDOWN_EXTENSION_REGEX = /\.(?:md|markdown)$/i;
+
+/**
+ * Split the text between the brackets of a wiki link
+ * @param {string} inner - Text between `[[` and `]]`, e.g. `notes/page#Heading|alias`
+ * @returns {{target: string, heading: string|null, alias: string|null}}
+ */
+function parseWikiLink(inner) {
+    const pipe = inner.indexOf('|');
+    const reference = pipe === -1 ? inner : inner.slice(0, pipe);
+    const alias = pipe === -1 ? null : inner.slice(pipe + 1).trim() || null;
+    const hash = reference.indexOf('#');
+
+    return {
+        target: (hash === -1 ? reference : reference.slice(0, hash)).trim(),
+        heading: hash === -1 ? null : reference.slice(hash + 1).trim() || null,
+        alias
+    };
+}
+
+/**
+ * @param {string} filePath - Path with any separator
+ * @returns {string} Directory of the path, with forward slashes
+ */
+function toDirectory(filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+
+    return normalized.slice(0, normalized.lastIndexOf('/'));
+}
+
+/**
+ * Find the note a wiki link points to.
+ * The target is matched case-insensitively against the end of each note path,
+ * without extension, so `[[Note]]` and `[[folder/Note]]` both work. When
+ * several notes match, the one next to the linking document wins, then the
+ * one with the shortest path.
+ * @param {string} target - Link target, without heading or alias
+ * @param {Array<{name: string, filePath: string, relativePath: string}>} notes - Notes of the workspace,
+ *   `relativePath` using forward slashes
+ * @param {string} [sourcePath] - Absolute path of the document containing the link
+ * @returns {{name: string, filePath: string, relativePath: string}|null}
+ */
+function resolveWikiLink(target, notes, sourcePath) {
+    const wanted = target.trim()
+        .replace(/\\/g, '/')
+        .replace(/^\.?\//, '')
+        .replace(MARKDOWN_EXTENSION_REGEX, '')
+        .toLowerCase();
+
+    if (!wanted || !notes) {
+        return null;
+    }
+
+    const candidates = notes.filter(note => {
+        const id = note.relativePath.replace(MARKDOWN_EXTENSION_REGEX, '').toLowerCase();
+
+        return id === wanted || id.endsWith(`/${wanted}`);
+    });
+
+    if (candidates.length <= 1) {
+        return candidates[0] || null;
+    }
+
+    const sourceDir = sourcePath ? toDirectory(sourcePath) : null;
+
+    return candidates.find(note => toDirectory(note.filePath) === sourceDir) ||
+        candidates.reduce((shortest, note) => (note.relativePath.length < shortest.relativePath.length ? note : shortest));
+}
+
+/**
+ * Relative path between two absolute paths, with forward slashes
+ * @param {string} fromDir - Directory to start from
+ * @param {string} to - Target path
+ * @returns {string}
+ */
+function relativePath(fromDir, to) {
+    const from = fromDir.replace(/\\/g, '/').split('/').filter(Boolean);
+    const target = to.replace(/\\/g, '/').split('/').filter(Boolean);
+    let common = 0;
+
+    while (common < from.length && common < target.length && from[common] === target[common]) {
+        common++;
+    }
+
+    return [...from.slice(common).map(() => '..'), ...target.slice(common)].join('/');
+}
+
+/**
+ * Find the wiki link around a position in a line of text
+ * @param {string} text - Line text
+ * @param {number} offset - Position within the line
+ * @returns {{from: number, to: number, target: string, heading: string|null, alias: string|null}|null}
+ *   Offsets of the whole link, brackets included
+ */
+function findWikiLinkAt(text, offset) {
+    const regex = /\[\[([^[\]\n]+)\]\]/g;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+        const to = match.index + match[0].length;
+
+        if (match.index <= offset && offset <= to) {
+            return { from: match.index, to, ...parseWikiLink(match[1]) };
+        }
+        if (match.index > offset) {
+            break;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find the line of a heading in a document
+ * @param {string} content - Document content
+ * @param {string} heading - Heading text, compared case-insensitively
+ * @returns {number|null} 1-based line number
+ */
+function findHeadingLine(content, heading) {
+    const wanted = heading.trim().toLowerCase();
+    const lines = content.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        const match = /^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(lines[i]);
+
+        if (match && match[1].toLowerCase() === wanted) {
+            return i + 1;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Turn heading text into the id the exporter gives the heading, e.g. `Next steps` into `next-steps`
+ * @param {string} text - Heading text
+ * @returns {string} Heading id; repeated headings get a `-1`, `-2`, ... suffix on top of it
+ */
+function slugifyHeading(text) {
+    const slug = text.trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .replace(/\s+/g, '-');
+
+    return slug || 'section';
+}
+
+/**
+ * markdown-it plugin for wiki links
+ * @param {Object} md - markdown-it instance
+ * @param {Object} [options]
+ * @param {Function} [options.resolve] - `(target, env) => note|null`; without it links are not
+ *   resolved and point to `<target>.md`, with it unresolved links get the `wiki-link--missing` class
+ */
+function markdownItWikiLinks(md, options = {}) {
+    md.inline.ruler.before('link', 'wiki_link', (state, silent) => {
+        const start = state.pos;
+
+        if (state.src.charCodeAt(start) !== 0x5B /* [ */ || state.src.charCodeAt(start + 1) !== 0x5B) {
+            return false;
+        }
+
+        const end = state.src.indexOf(']]', start + 2);
+
+        if (end === -1) {
+            return false;
+        }
+
+        const inner = state.src.slice(start + 2, end);
+        const link = parseWikiLink(inner);
+
+        if (!link.target || /[[\]\n]/.test(inner)) {
+            return false;
+        }
+        if (!silent) {
+            const token = state.push('wiki_link', '', 0);
+
+            token.content = inner;
+            token.meta = link;
+        }
+        state.pos = end + 2;
+
+        return true;
+    });
+
+    md.renderer.rules.wiki_link = (tokens, idx, opts, env) => {
+        const { target, heading, alias } = tokens[idx].meta;
+        const note = options.resolve ? options.resolve(target, env || {}) : undefined;
+        const escape = md.utils.escapeHtml;
+        const text = alias || (heading ? `${target} > ${heading}` : target);
+        let href = MARKDOWN_EXTENSION_REGEX.test(target) ? target : `${target}.md`;
+        let className = 'wiki-link';
+        let attributes = ` data-wiki-target="${escape(target)}"`;
+
+        if (note) {
+            href = env && env.currentFilePath
+                ? relativePath(toDirectory(env.currentFilePath), note.filePath)
+                : note.relativePath;
+            attributes += ` data-wiki-path="${escape(note.filePath)}"`;
+        } else if (note === null) {
+            className += ' wiki-link--missing';
+        }
+        if (heading) {
+            href += `#${slugifyHeading(heading)}`;
+            attributes += ` data-wiki-heading="${escape(heading)}"`;
+        }
+
+        return `<a href="${escape(encodeURI(href))}" class="${className}"${attributes}>${escape(text)}</a>`;
+    };
+}
+
+module.exports = {
+    parseWikiLink,
+    resolveWikiLink,
+    findWikiLinkAt,
+    findHeadingLine,
+    slugifyHeading,
+    markdownItWikiLinks
+};
@@ -0,0 +1,99 @@
+/**
+ * Tests for wiki link parsing, resolution and rendering
+ */
+
+import { describe, test, expect } from 'vitest';
+import markdownIt from 'markdown-it';
+import {
+    parseWikiLink,
+    resolveWikiLink,
+    findWikiLinkAt,
+    findHeadingLine,
+    slugifyHeading,
+    markdownItWikiLinks
+} from './wiki-links.js';
+
+const NOTES = [
+    { name: 'Ideas', filePath: '/ws/Ideas.md', relativePath: 'Ideas.md' },
+    { name: 'todo', filePath: '/ws/projects/todo.md', relativePath: 'projects/todo.md' },
+    { name: 'todo', filePath: '/ws/archive/old/todo.md', relativePath: 'archive/old/todo.md' }
+];
+
+describe('parseWikiLink', () => {
+    test('splits target, heading and alias', () => {
+        expect(parseWikiLink('Note')).toEqual({ target: 'Note', heading: null, alias: null });
+        expect(parseWikiLink('Note#Intro|read this')).toEqual({ target: 'Note', heading: 'Intro', alias: 'read this' });
+        expect(parseWikiLink('#Local')).toEqual({ target: '', heading: 'Local', alias: null });
+    });
+});
+
+describe('resolveWikiLink', () => {
+    test('matches names and path suffixes case-insensitively', () => {
+        expect(resolveWikiLink('ideas', NOTES).filePath).toBe('/ws/Ideas.md');
+        expect(resolveWikiLink('old/todo.md', NOTES).filePath).toBe('/ws/archive/old/todo.md');
+        expect(resolveWikiLink('Missing', NOTES)).toBeNull();
+    });
+
+    test('prefers the note next to the source, then the shortest path', () => {
+        expect(resolveWikiLink('todo', NOTES, '/ws/archive/old/index.md').filePath).toBe('/ws/archive/old/todo.md');
+        expect(resolveWikiLink('todo', NOTES, '/ws/Ideas.md').filePath).toBe('/ws/projects/todo.md');
+    });
+});
+
+describe('findWikiLinkAt', () => {
+    test('finds the link around a position', () => {
+        const text = 'See [[Ideas#Plan]] and [[todo]]';
+
+        expect(findWikiLinkAt(text, 8)).toMatchObject({ from: 4, to: 18, target: 'Ideas', heading: 'Plan' });
+        expect(findWikiLinkAt(text, 26).target).toBe('todo');
+        expect(findWikiLinkAt(text, 20)).toBeNull();
+    });
+});
+
+describe('findHeadingLine', () => {
+    test('returns the line of a heading', () => {
+        expect(findHeadingLine('# Title\n\ntext\n## Next Steps ##\n', 'next steps')).toBe(4);
+        expect(findHeadingLine('# Title', 'Other')).toBeNull();
+    });
+});
+
+describe('slugifyHeading', () => {
+    test('matches the heading ids of exported documents', () => {
+        expect(slugifyHeading(' Next Steps: Q&A ')).toBe('next-steps-qa');
+        expect(slugifyHeading('Café à la carte')).toBe('café-à-la-carte');
+        expect(slugifyHeading('???')).toBe('section');
+    });
+});
+
+describe('markdownItWikiLinks', () => {
+    test('renders unresolved links to <target>.md without a resolver', () => {
+        const md = markdownIt().use(markdownItWikiLinks);
+
+        expect(md.renderInline('[[My Note|alias]]')).toBe(
+            '<a href="My%20Note.md" class="wiki-link" data-wiki-target="My Note">alias</a>'
+        );
+    });
+
+    test('links resolved notes relative to the current file and marks missing ones', () => {
+        const md = markdownIt().use(markdownItWikiLinks, { resolve: target => resolveWikiLink(target, NOTES) });
+        const html = md.render('[[Ideas#Plan]] and [[Nowhere]]', { currentFilePath: '/ws/projects/today.md' });
+
+        expect(html).toContain('href="../Ideas.md#plan" class="wiki-link" data-wiki-target="Ideas" data-wiki-path="/ws/Ideas.md"');
+        expect(html).toContain('data-wiki-heading="Plan">Ideas &gt; Plan</a>');
+        expect(html).toContain('class="wiki-link wiki-link--missing" data-wiki-target="Nowhere"');
+    });
+
+    test('links to the heading anchor of the note', () => {
+        const md = markdownIt().use(markdownItWikiLinks);
+
+        expect(md.renderInline('[[My Note#Next Steps]]')).toContain('href="My%20Note.md#next-steps"');
+    });
+
+    test('leaves ordinary links, empty and multi-line brackets alone', () => {
+        const md = markdownIt().use(markdownItWikiLinks);
+
+        expect(md.renderInline('[text](a.md)')).toBe('<a href="a.md">text</a>');
+        expect(md.renderInline('[[ ]]')).toBe('[[ ]]');
+        expect(md.render('[[a\nb]]')).not.toContain('wiki-link');
+    });
+});
@@ -1,9 +1,26 @@
 /**
  * AI Chat Panel
  * Provides a chat interface for interacting with OpenAI
+ * Conversations are saved as threads; the switcher lists the general threads
+ * and those bound to the active document. Answers drawn from workspace notes
+ * cite them as [n], rendered as links that open the note at the cited line.
  */
 
 const i18n = require('../i18n/index.js');
+const notificationManager = require('../ui/notification.js');
+const { applyEditBlocks, parseEditBlocks } = require('../features/ai-edit-patch.js');
+
+/**
+ * Show content marked for the editor as a code block when a saved conversation is reopened
+ * @param {string} content - Stored assistant message
+ * @returns {string}
+ */
+function formatStoredAnswer(content) {
+    return content.replace(
+        /<<<APPLY_TO_EDITOR(?:\s+mode="[a-z]+")?>>>\n?([\s\S]*?)\n?<<<END_APPLY>>>/g,
+        (match, applied) => '```markdown\n' + applied.trim() + '\n```'
+    );
+}
 
 class AIChatPanel {
     constructor(editor) {
@@ -12,11 +29,25 @@ class AIChatPanel {
         this.messagesContainer = null;
         this.inputField = null;
         this.sendButton = null;
+        this.stopButton = null;
         this.isLoading = false;
         this.removeLocaleListener = null;
+        this.removeStreamListener = null;
+        // Streaming state for the response currently being generated
+        this.activeRequestId = null;
+        this.requestCounter = 0;
+        this.streamingEl = null;
+        this.streamingText = '';
+        this.streamRenderFrame = null;
         // Store the editor selection when user focuses on chat input
         // This is needed because clicking on the chat input loses the editor selection
         this.savedSelection = null;
+        // Conversation threads of the active document; null thread id is a new conversation
+        this.documentPath = null;
+        this.threads = [];
+        this.activeThreadId = null;
+        this.threadSelect = null;
+        this.sourceClickCallback = null;
     }
 
     /**
@@ -28,6 +59,22 @@ class AIChatPanel {
         this.render();
         this.attachEventListeners();
         this.setupLocaleListener();
+        this.setupStreamListener();
+        this.loadThreads();
+    }
+
+    /**
+     * Setup listener for streamed response chunks
+     */
+    setupStreamListener() {
+        if (!window.electronAPI || !window.electronAPI.onAIStreamChunk) return;
+
+        this.removeStreamListener = window.electronAPI.onAIStreamChunk((requestId, chunk) => {
+            // Ignore late chunks from a request that is no longer displayed
+            if (requestId === this.activeRequestId) {
+                this.appendStreamChunk(chunk);
+            }
+        });
     }
 
     /**
@@ -62,6 +109,25 @@ class AIChatPanel {
             clearBtn.setAttribute('aria-label', i18n.t('aiChat.clear'));
         }
 
+        // Update conversation switcher
+        const threadButtons = {
+            '.ai-chat-thread-new-btn': 'aiChat.newThread',
+            '.ai-chat-thread-rename-btn': 'aiChat.renameThread',
+            '.ai-chat-thread-export-btn': 'aiChat.exportThread',
+            '.ai-chat-thread-delete-btn': 'aiChat.deleteThread'
+        };
+        for (const [selector, key] of Object.entries(threadButtons)) {
+            const button = this.container.querySelector(selector);
+            if (button) {
+                button.title = i18n.t(key);
+                button.setAttribute('aria-label', i18n.t(key));
+            }
+        }
+        if (this.threadSelect) {
+            this.threadSelect.setAttribute('aria-label', i18n.t('aiChat.threads'));
+            this.renderThreadOptions();
+        }
+
         // Update input placeholder
         if (this.inputField) {
             this.inputField.placeholder = i18n.t('aiChat.placeholder');
@@ -74,6 +140,12 @@ class AIChatPanel {
             this.sendButton.setAttribute('aria-label', i18n.t('aiChat.send'));
         }
 
+        // Update stop button
+        if (this.stopButton) {
+            this.stopButton.title = i18n.t('aiChat.stop');
+            this.stopButton.setAttribute('aria-label', i18n.t('aiChat.stop'));
+        }
+
         // Update welcome message if present
         const welcome = this.container.querySelector('.ai-chat-welcome');
         if (welcome) {
@@ -101,6 +173,16 @@ class AIChatPanel {
             this.removeLocaleListener();
             this.removeLocaleListener = null;
         }
+
+        if (this.removeStreamListener) {
+            this.removeStreamListener();
+            this.removeStreamListener = null;
+        }
+
+        if (this.streamRenderFrame) {
+            cancelAnimationFrame(this.streamRenderFrame);
+            this.streamRenderFrame = null;
+        }
     }
 
     /**
@@ -134,6 +216,30 @@ class AIChatPanel {
                         </button>
                     </div>
                 </div>
+                <div class="ai-chat-threads">
+                    <select class="ai-chat-thread-select" aria-label="${i18n.t('aiChat.threads')}"></select>
+                    <button class="ai-chat-thread-btn ai-chat-thread-new-btn" title="${i18n.t('aiChat.newThread')}" aria-label="${i18n.t('aiChat.newThread')}">
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M8 2a.5.5 0 0 1 .5.5v5h5a.5.5 0 0 1 0 1h-5v5a.5.5 0 0 1-1 0v-5h-5a.5.5 0 0 1 0-1h5v-5A.5.5 0 0 1 8 2z"/>
+                        </svg>
+                    </button>
+                    <button class="ai-chat-thread-btn ai-chat-thread-rename-btn" title="${i18n.t('aiChat.renameThread')}" aria-label="${i18n.t('aiChat.renameThread')}">
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5z"/>
+                        </svg>
+                    </button>
+                    <button class="ai-chat-thread-btn ai-chat-thread-export-btn" title="${i18n.t('aiChat.exportThread')}" aria-label="${i18n.t('aiChat.exportThread')}">
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/>
+                            <path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/>
+                        </svg>
+                    </button>
+                    <button class="ai-chat-thread-btn ai-chat-thread-delete-btn" title="${i18n.t('aiChat.deleteThread')}" aria-label="${i18n.t('aiChat.deleteThread')}">
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
+                        </svg>
+                    </button>
+                </div>
                 <div class="ai-chat-messages" role="log" aria-live="polite">
                     <div class="ai-chat-welcome">
                         <div class="ai-chat-welcome-icon">🤖</div>
@@ -153,6 +259,11 @@ class AIChatPanel {
                             <path d="M15.854.146a.5.5 0 0 1 .11.54l-5.819 14.547a.75.75 0 0 1-1.329.124l-3.178-4.995L.643 7.184a.75.75 0 0 1 .124-1.33L15.314.037a.5.5 0 0 1 .54.11ZM6.636 10.07l2.761 4.338L14.13 2.576 6.636 10.07Zm6.787-8.201L1.591 6.602l4.339 2.76 7.494-7.493Z"/>
                         </svg>
                     </button>
+                    <button class="ai-chat-stop-btn" title="${i18n.t('aiChat.stop')}" aria-label="${i18n.t('aiChat.stop')}" hidden>
+                        <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M4 3.5A.5.5 0 0 1 4.5 3h7a.5.5 0 0 1 .5.5v9a.5.5 0 0 1-.5.5h-7a.5.5 0 0 1-.5-.5v-9z"/>
+                        </svg>
+                    </button>
                 </div>
             </div>
         `;
@@ -160,8 +271,11 @@ class AIChatPanel {
         this.messagesContainer = this.container.querySelector('.ai-chat-messages');
         this.inputField = this.container.querySelector('.ai-chat-input');
         this.sendButton = this.container.querySelector('.ai-chat-send-btn');
+        this.stopButton = this.container.querySelector('.ai-chat-stop-btn');
         this.providerSelect = this.container.querySelector('.ai-provider-select');
         this.modelSelect = this.container.querySelector('.ai-model-select');
+        this.threadSelect = this.container.querySelector('.ai-chat-thread-select');
+        this.renderThreadOptions();
 
         // Load current provider and model
         this.loadCurrentProviderAndModel();
@@ -318,6 +432,9 @@ class AIChatPanel {
         // Send button click
         this.sendButton.addEventListener('click', () => this.sendMessage());
 
+        // Stop button click (visible while a response is being generated)
+        this.stopButton.addEventListener('click', () => this.stopGeneration());
+
         // Capture editor selection when chat input receives focus
         // This is critical because clicking on the input loses the editor selection
         this.inputField.addEventListener('focus', () => {
@@ -345,6 +462,13 @@ class AIChatPanel {
         const clearBtn = this.container.querySelector('.ai-chat-clear-btn');
         clearBtn.addEventListener('click', () => this.clearChat());
 
+        // Conversation switcher
+        this.threadSelect.addEventListener('change', (e) => this.switchThread(e.target.value || null));
+        this.container.querySelector('.ai-chat-thread-new-btn').addEventListener('click', () => this.switchThread(null));
+        this.container.querySelector('.ai-chat-thread-rename-btn').addEventListener('click', () => this.renameThread());
+        this.container.querySelector('.ai-chat-thread-export-btn').addEventListener('click', () => this.exportThread());
+        this.container.querySelector('.ai-chat-thread-delete-btn').addEventListener('click', () => this.deleteThread());
+
         // Provider selector change
         this.providerSelect.addEventListener('change', async (e) => {
             const provider = e.target.value;
@@ -410,10 +534,19 @@ class AIChatPanel {
     updateSendButtonState() {
         const hasText = this.inputField.value.trim().length > 0;
         this.sendButton.disabled = !hasText || this.isLoading;
+
+        // Swap send for stop while a response is being generated
+        if (this.stopButton) {
+            this.sendButton.hidden = this.isLoading;
+            this.stopButton.hidden = !this.isLoading;
+        }
+
+        this.updateThreadControls();
     }
 
     /**
      * Send a message to the AI
+     * The response is streamed into the chat as it is generated
      */
     async sendMessage() {
         const message = this.inputField.value.trim();
@@ -422,7 +555,6 @@ class AIChatPanel {
         // Clear input
         this.inputField.value = '';
         this.autoResizeInput();
-        this.updateSendButtonState();
 
         // Remove welcome message if present
         const welcome = this.messagesContainer.querySelector('.ai-chat-welcome');
@@ -433,12 +565,20 @@ class AIChatPanel {
         // Add user message to UI
         this.addMessage('user', message);
 
-        // Show loading indicator
+        // Show loading indicator until the first chunk arrives
         this.isLoading = true;
         this.updateSendButtonState();
-        const loadingEl = this.addLoadingIndicator();
+        this.streamingText = '';
+        this.streamingEl = this.addLoadingIndicator();
+        this.activeRequestId = `chat-${Date.now()}-${++this.requestCounter}`;
 
         try {
+            // The first message of a new conversation starts a thread bound to the document
+            if (!this.activeThreadId) {
+                const created = await window.electronAPI.aiCreateThread('', this.documentPath);
+                this.activeThreadId = created.thread.id;
+            }
+
             // Get current document content
             const documentContent = this.editor ? this.editor.getValue() : '';
 
@@ -446,19 +586,21 @@ class AIChatPanel {
             const selection = this.savedSelection;
             const hasSelection = selection && selection.text && selection.text.trim().length > 0;
 
-            // Send to API with selection info
-            const result = await window.electronAPI.aiSendMessage(
+            // Send to API with selection info; chunks arrive through the stream listener
+            const result = await window.electronAPI.aiSendMessageStream(
+                this.activeRequestId,
                 message,
                 documentContent,
-                hasSelection ? selection.text : null
+                hasSelection ? selection.text : null,
+                { documentPath: this.documentPath }
             );
 
-            // Remove loading indicator
-            loadingEl.remove();
+            const streamingEl = this.finishStreaming();
 
             if (result.success) {
                 // Check if there's content to apply to editor
                 if (result.applyContent) {
+                    streamingEl.remove();
                     // If user had selection and mode is replace, use selection mode instead
                     if (hasSelection && result.applyContent.mode === 'replace') {
                         result.applyContent.mode = 'selection';
@@ -468,15 +610,16 @@ class AIChatPanel {
                             to: selection.to
                         };
                     }
-                    this.handleApplyContent(result.applyContent, result.message);
+                    this.handleApplyContent(result.applyContent, result.message, result.sources);
                 } else {
-                    this.addMessage('assistant', result.message);
+                    this.finalizeAssistantMessage(streamingEl, result.message, result.aborted, result.sources);
                 }
             } else {
-                this.addMessage('error', result.error);
+                streamingEl.remove();
+                this.addMessage('error', result.aborted ? i18n.t('aiChat.stopped') : result.error);
             }
         } catch (error) {
-            loadingEl.remove();
+            this.finishStreaming().remove();
             this.addMessage('error', 'Failed to send message: ' + error.message);
         } finally {
             this.isLoading = false;
@@ -484,19 +627,129 @@ class AIChatPanel {
             // Clear saved selection after message is processed
             this.savedSelection = null;
         }
+
+        // Pick up the title given after the first question and the new order
+        await this.loadThreads();
+    }
+
+    /**
+     * Stop the response currently being generated
+     * The partial answer received so far is kept
+     */
+    async stopGeneration() {
+        if (!this.isLoading) return;
+
+        try {
+            await window.electronAPI.aiAbortStream();
+        } catch (error) {
+            console.error('Failed to stop AI response:', error);
+        }
+    }
+
+    /**
+     * Append a streamed chunk to the assistant message being generated
+     * Rendering is batched to one update per animation frame
+     * @param {string} chunk
+     */
+    appendStreamChunk(chunk) {
+        if (!this.streamingEl) return;
+
+        // Replace the loading indicator with the message on the first chunk
+        if (!this.streamingEl.classList.contains('ai-chat-message--streaming')) {
+            const messageEl = document.createElement('div');
+            messageEl.className = 'ai-chat-message ai-chat-message--assistant ai-chat-message--streaming';
+
+            this.streamingEl.replaceWith(messageEl);
+            this.streamingEl = messageEl;
+        }
+
+        this.streamingText += chunk;
+
+        if (!this.streamRenderFrame) {
+            this.streamRenderFrame = requestAnimationFrame(() => {
+                this.streamRenderFrame = null;
+                this.renderStreamingMessage();
+            });
+        }
+    }
+
+    /**
+     * Render the accumulated streamed text
+     * Content inside an apply block is not shown until the response completes
+     */
+    renderStreamingMessage() {
+        if (!this.streamingEl) return;
+
+        const markerIndex = this.streamingText.indexOf('<<<');
+        const visibleText = markerIndex === -1
+            ? this.streamingText
+            : this.streamingText.substring(0, markerIndex);
+
+        let html = this.parseMarkdown(visibleText.trimEnd());
+
+        if (markerIndex !== -1) {
+            html += `<div class="ai-chat-streaming-apply">✨ ${this.escapeHtml(i18n.t('aiChat.generatingContent'))}</div>`;
+        }
+
+        this.streamingEl.innerHTML = html;
+        this.scrollToBottom();
+    }
+
+    /**
+     * Stop tracking the current stream
+     * @returns {HTMLElement} The streaming message or loading indicator element
+     */
+    finishStreaming() {
+        if (this.streamRenderFrame) {
+            cancelAnimationFrame(this.streamRenderFrame);
+            this.streamRenderFrame = null;
+        }
+
+        const streamingEl = this.streamingEl;
+
+        this.streamingEl = null;
+        this.streamingText = '';
+        this.activeRequestId = null;
+
+        return streamingEl;
+    }
+
+    /**
+     * Turn the streaming element into a regular assistant message
+     * @param {HTMLElement} messageEl - Streaming message or loading indicator element
+     * @param {string} content - Complete response text
+     * @param {boolean} aborted - Whether generation was stopped by the user
+     * @param {Array<Object>} [sources] - Workspace notes the answer can cite
+     */
+    finalizeAssistantMessage(messageEl, content, aborted, sources = null) {
+        messageEl.className = 'ai-chat-message ai-chat-message--assistant';
+        messageEl.innerHTML = this.parseMarkdown(content);
+        this.addCopyButtons(messageEl);
+        this.addSourceLinks(messageEl, sources);
+
+        if (aborted) {
+            const note = document.createElement('div');
+            note.className = 'ai-chat-stopped-note';
+            note.textContent = i18n.t('aiChat.stopped');
+
+            messageEl.appendChild(note);
+        }
+
+        this.scrollToBottom();
     }
 
     /**
      * Handle content that should be applied to the editor
      * @param {Object} applyContent - { content, mode, displayMessage }
      * @param {string} fullMessage - The full AI response
+     * @param {Array<Object>} [sources] - Workspace notes the explanation can cite
      */
-    handleApplyContent(applyContent, fullMessage) {
+    handleApplyContent(applyContent, fullMessage, sources = null) {
         const { content, mode, displayMessage, selectionRange } = applyContent;
 
         // Show the explanation message if present
         if (displayMessage) {
-            this.addMessage('assistant', displayMessage);
+            this.addMessage('assistant', displayMessage, sources);
         }
 
         // Create the apply content UI
@@ -506,7 +759,7 @@ class AIChatPanel {
     /**
      * Add a message with apply content UI
      * @param {string} content - The content to apply
-     * @param {string} mode - 'replace', 'insert', 'append', or 'selection'
+     * @param {string} mode - 'replace', 'insert', 'append', 'selection' or 'patch'
      * @param {Object|null} selectionRange - { from, to } for selection mode
      */
     addApplyContentMessage(content, mode, selectionRange = null) {
@@ -517,7 +770,8 @@ class AIChatPanel {
             'replace': i18n.t('aiChat.applyReplace'),
             'insert': i18n.t('aiChat.applyInsert'),
             'append': i18n.t('aiChat.applyAppend'),
-            'selection': i18n.t('aiChat.applySelection')
+            'selection': i18n.t('aiChat.applySelection'),
+            'patch': i18n.t('aiChat.applyPatch')
         };
 
         const modeLabel = modeLabels[mode] || modeLabels['replace'];
@@ -538,11 +792,11 @@ class AIChatPanel {
                     <pre><code>${this.escapeHtml(previewContent)}</code></pre>
                 </div>
                 <div class="ai-apply-actions">
-                    <button class="ai-apply-btn ai-apply-btn--apply" title="${i18n.t('aiChat.applyToEditor')}">
+                    <button class="ai-apply-btn ai-apply-btn--apply" title="${i18n.t('aiChat.reviewInEditor')}">
                         <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
                             <path d="M12.736 3.97a.733.733 0 0 1 1.047 0c.286.289.29.756.01 1.05L7.88 12.01a.733.733 0 0 1-1.065.02L3.217 8.384a.757.757 0 0 1 0-1.06.733.733 0 0 1 1.047 0l3.052 3.093 5.4-6.425a.247.247 0 0 1 .02-.022Z"/>
                         </svg>
-                        ${i18n.t('aiChat.apply')}
+                        ${i18n.t('aiChat.review')}
                     </button>
                     <button class="ai-apply-btn ai-apply-btn--copy" title="${i18n.t('aiChat.copy')}">
                         <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
@@ -566,8 +820,9 @@ class AIChatPanel {
         const dismissBtn = messageEl.querySelector('.ai-apply-btn--dismiss');
 
         applyBtn.addEventListener('click', () => {
-            this.applyContentToEditor(content, mode, selectionRange);
-            this.markAsApplied(messageEl);
+            if (this.reviewContentInEditor(content, mode, selectionRange)) {
+                this.markAsInReview(messageEl);
+            }
         });
 
         copyBtn.addEventListener('click', async () => {
@@ -589,66 +844,81 @@ class AIChatPanel {
     }
 
     /**
-     * Apply content to the editor
+     * Show the content as changes to review in the editor
+     * Nothing is written to the document until the changes are accepted there.
+     * @param {string} content - The content to apply
+     * @param {string} mode - 'replace', 'insert', 'append', 'selection' or 'patch'
+     * @param {Object|null} selectionRange - { from, to } for selection mode
+     * @returns {boolean} Whether there are changes to review
+     */
+    reviewContentInEditor(content, mode, selectionRange = null) {
+        if (!this.editor) return false;
+
+        const proposed = this.buildProposedContent(content, mode, selectionRange);
+
+        if (proposed === null) {
+            return false;
+        }
+
+        const count = this.editor.reviewChanges(proposed);
+
+        if (count === 0) {
+            this.showNotification(i18n.t('aiChat.noChanges'), 'info');
+            return false;
+        }
+
+        this.showNotification(i18n.t('aiChat.reviewStarted', { count }), 'info');
+        return true;
+    }
+
+    /**
+     * Build the document the content would produce once applied
      * @param {string} content - The content to apply
-     * @param {string} mode - 'replace', 'insert', 'append', or 'selection'
+     * @param {string} mode - 'replace', 'insert', 'append', 'selection' or 'patch'
      * @param {Object|null} selectionRange - { from, to } for selection mode
+     * @returns {string|null} Null when none of the patch edits could be applied
      */
-    applyContentToEditor(content, mode, selectionRange = null) {
-        if (!this.editor) return;
+    buildProposedContent(content, mode, selectionRange) {
+        const currentContent = this.editor.getValue();
+        const splice = (from, to) => currentContent.slice(0, from) + content + currentContent.slice(to);
 
         switch (mode) {
+            case 'patch': {
+                const result = applyEditBlocks(currentContent, parseEditBlocks(content));
+
+                if (result.applied.length === 0) {
+                    this.showNotification(i18n.t('aiChat.patchFailed'), 'error');
+                    return null;
+                }
+                if (result.failed.length > 0) {
+                    this.showNotification(i18n.t('aiChat.patchPartlyFailed', { count: result.failed.length }), 'warning');
+                }
+                return result.content;
+            }
             case 'selection':
-                // Replace only the selected text using stored range
+                // Replace the range selected when the question was sent
                 if (selectionRange && selectionRange.from !== undefined && selectionRange.to !== undefined) {
-                    // Use CodeMirror's dispatch to replace the specific range
-                    const view = this.editor.view;
-                    if (view) {
-                        view.dispatch({
-                            changes: {
-                                from: selectionRange.from,
-                                to: selectionRange.to,
-                                insert: content
-                            }
-                        });
-                    }
-                } else {
-                    // Fallback: try current selection
-                    const selection = this.editor.getSelection();
-                    if (selection && selection.text) {
-                        this.editor.replaceSelection(content);
-                    } else {
-                        // Last fallback: insert at cursor
-                        this.editor.insertText(content);
-                    }
+                    return splice(selectionRange.from, selectionRange.to);
                 }
-                break;
-            case 'replace':
-                // Replace entire document
-                this.editor.setValue(content);
-                break;
+                // Fallback: replace the current selection, or insert at the cursor
+                return splice(this.editor.getSelection().from, this.editor.getSelection().to);
             case 'insert':
-                // Insert at cursor position
-                this.editor.insertText(content);
-                break;
-            case 'append':
-                // Append at the end
-                const currentContent = this.editor.getValue();
+                return splice(this.editor.getSelection().from, this.editor.getSelection().to);
+            case 'append': {
                 const separator = currentContent.endsWith('\n') ? '\n' : '\n\n';
-                this.editor.setValue(currentContent + separator + content);
-                break;
+
+                return currentContent + separator + content;
+            }
             default:
-                this.editor.setValue(content);
+                return content;
         }
-
-        this.showNotification(i18n.t('aiChat.contentApplied'), 'success');
     }
 
     /**
-     * Mark the apply message as applied
+     * Mark the apply message as sent to the editor for review
      * @param {HTMLElement} messageEl
      */
-    markAsApplied(messageEl) {
+    markAsInReview(messageEl) {
         const actionsEl = messageEl.querySelector('.ai-apply-actions');
         if (actionsEl) {
             actionsEl.innerHTML = `
@@ -656,7 +926,7 @@ class AIChatPanel {
                     <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
                         <path d="M12.736 3.97a.733.733 0 0 1 1.047 0c.286.289.29.756.01 1.05L7.88 12.01a.733.733 0 0 1-1.065.02L3.217 8.384a.757.757 0 0 1 0-1.06.733.733 0 0 1 1.047 0l3.052 3.093 5.4-6.425a.247.247 0 0 1 .02-.022Z"/>
                     </svg>
-                    ${i18n.t('aiChat.applied')}
+                    ${i18n.t('aiChat.inReview')}
                 </span>
             `;
         }
@@ -711,8 +981,9 @@ class AIChatPanel {
      * Add a message to the chat
      * @param {string} role - 'user', 'assistant', or 'error'
      * @param {string} content
+     * @param {Array<Object>} [sources] - Workspace notes an assistant message can cite
      */
-    addMessage(role, content) {
+    addMessage(role, content, sources = null) {
         const messageEl = document.createElement('div');
         messageEl.className = `ai-chat-message ai-chat-message--${role}`;
 
@@ -720,6 +991,7 @@ class AIChatPanel {
             // Parse markdown in assistant messages
             messageEl.innerHTML = this.parseMarkdown(content);
             this.addCopyButtons(messageEl);
+            this.addSourceLinks(messageEl, sources);
         } else if (role === 'error') {
             messageEl.innerHTML = `<span class="ai-chat-error-icon">⚠️</span> ${this.escapeHtml(content)}`;
         } else {
@@ -819,24 +1091,315 @@ class AIChatPanel {
         });
     }
 
+    /**
+     * Turn [n] citations into links to their source and list the cited sources below the answer
+     * @param {HTMLElement} messageEl
+     * @param {Array<{number: number, filePath: string, relativePath: string, startLine: number,
+     *   heading: string}>|null} sources
+     */
+    addSourceLinks(messageEl, sources) {
+        if (!sources || sources.length === 0) return;
+
+        const byNumber = new Map(sources.map(source => [source.number, source]));
+        const cited = new Set();
+        const walker = document.createTreeWalker(messageEl, window.NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+
+        // Citations inside code are left as written
+        while (walker.nextNode()) {
+            if (!walker.currentNode.parentElement.closest('pre, code')) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+
+        for (const node of textNodes) {
+            const parts = node.textContent.split(/(\[\d+\])/);
+            if (parts.length === 1) continue;
+
+            const fragment = document.createDocumentFragment();
+            parts.forEach(part => {
+                const source = /^\[\d+\]$/.test(part) ? byNumber.get(Number(part.slice(1, -1))) : null;
+
+                if (source) {
+                    cited.add(source);
+                    fragment.appendChild(this.createSourceLink(source, part, 'ai-chat-citation'));
+                } else if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.replaceWith(fragment);
+        }
+
+        if (cited.size === 0) return;
+
+        const list = document.createElement('div');
+        list.className = 'ai-chat-sources';
+
+        const label = document.createElement('span');
+        label.className = 'ai-chat-sources-label';
+        label.textContent = i18n.t('aiChat.sources');
+        list.appendChild(label);
+
+        sources.filter(source => cited.has(source)).forEach(source => {
+            const text = `[${source.number}] ${source.relativePath}:${source.startLine}`;
+            list.appendChild(this.createSourceLink(source, text, 'ai-chat-source'));
+        });
+        messageEl.appendChild(list);
+    }
+
+    /**
+     * Create a link that opens a source at its first line
+     * @param {Object} source
+     * @param {string} text
+     * @param {string} className
+     * @returns {HTMLAnchorElement}
+     */
+    createSourceLink(source, text, className) {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = className;
+        link.textContent = text;
+        link.title = [source.relativePath, source.heading].filter(Boolean).join(' › ');
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.sourceClickCallback) {
+                this.sourceClickCallback(source.filePath, source.startLine);
+            }
+        });
+        return link;
+    }
+
+    /**
+     * Register the callback that opens a cited note
+     * @param {(filePath: string, line: number) => void} callback
+     */
+    onSourceClick(callback) {
+        this.sourceClickCallback = callback;
+    }
+
     /**
      * Clear chat history
      */
     async clearChat() {
+        // Stop any response still being generated for the cleared conversation
+        if (this.isLoading) {
+            await this.stopGeneration();
+        }
+
         try {
-            await window.electronAPI.aiClearHistory();
-            this.messagesContainer.innerHTML = `
-                <div class="ai-chat-welcome">
-                    <div class="ai-chat-welcome-icon">🤖</div>
-                    <p>${i18n.t('aiChat.welcome')}</p>
-                    <p class="ai-chat-welcome-hint">${i18n.t('aiChat.welcomeHint')}</p>
-                </div>
-            `;
+            // A new conversation has nothing saved yet
+            if (this.activeThreadId) {
+                await window.electronAPI.aiClearHistory();
+            }
+            this.showWelcome();
         } catch (error) {
             console.error('Failed to clear chat:', error);
         }
     }
 
+    /**
+     * Replace the messages with the welcome message
+     */
+    showWelcome() {
+        this.messagesContainer.innerHTML = `
+            <div class="ai-chat-welcome">
+                <div class="ai-chat-welcome-icon">🤖</div>
+                <p>${i18n.t('aiChat.welcome')}</p>
+                <p class="ai-chat-welcome-hint">${i18n.t('aiChat.welcomeHint')}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the conversations of a document
+     * The most recent thread bound to the document is reopened; otherwise a new conversation starts.
+     * @param {string|null} filePath - Absolute path of the active document, null for untitled documents
+     */
+    async setActiveDocument(filePath) {
+        if ((filePath || null) === this.documentPath) return;
+
+        this.documentPath = filePath || null;
+        if (!this.container || this.isLoading) return;
+
+        await this.loadThreads();
+
+        if (this.threads.some(thread => thread.id === this.activeThreadId && thread.documentPath === this.documentPath)) {
+            return;
+        }
+
+        const documentThread = this.threads.find(thread => this.documentPath && thread.documentPath === this.documentPath);
+        await this.switchThread(documentThread ? documentThread.id : null);
+    }
+
+    /**
+     * Reload the threads listed in the switcher
+     */
+    async loadThreads() {
+        try {
+            const result = await window.electronAPI.aiListThreads(this.documentPath);
+            this.threads = result.success ? result.threads : [];
+        } catch (error) {
+            console.error('Failed to load AI chat threads:', error);
+            this.threads = [];
+        }
+
+        this.renderThreadOptions();
+    }
+
+    /**
+     * Fill the switcher: threads of the active document first, then general ones
+     */
+    renderThreadOptions() {
+        if (!this.threadSelect) return;
+
+        const option = (value, label) => {
+            const el = document.createElement('option');
+            el.value = value;
+            el.textContent = label;
+            el.selected = value === (this.activeThreadId || '');
+            return el;
+        };
+        const groups = [
+            { label: i18n.t('aiChat.threadsForDocument'), threads: this.threads.filter(thread => thread.documentPath) },
+            { label: i18n.t('aiChat.threadsGeneral'), threads: this.threads.filter(thread => !thread.documentPath) }
+        ];
+
+        this.threadSelect.innerHTML = '';
+        this.threadSelect.appendChild(option('', i18n.t('aiChat.newThread')));
+
+        for (const group of groups.filter(candidate => candidate.threads.length > 0)) {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.threads.forEach(thread => optgroup.appendChild(option(thread.id, this.getThreadTitle(thread))));
+            this.threadSelect.appendChild(optgroup);
+        }
+
+        this.updateThreadControls();
+    }
+
+    /**
+     * Enable the thread actions that apply to the current conversation
+     */
+    updateThreadControls() {
+        if (!this.threadSelect) return;
+
+        this.threadSelect.disabled = this.isLoading;
+        for (const selector of ['.ai-chat-thread-rename-btn', '.ai-chat-thread-export-btn', '.ai-chat-thread-delete-btn']) {
+            this.container.querySelector(selector).disabled = this.isLoading || !this.activeThreadId;
+        }
+        this.container.querySelector('.ai-chat-thread-new-btn').disabled = this.isLoading;
+    }
+
+    /**
+     * Title shown for a thread
+     * @param {{title: string}} thread
+     * @returns {string}
+     */
+    getThreadTitle(thread) {
+        return thread.title || i18n.t('aiChat.untitledThread');
+    }
+
+    /**
+     * Show a saved thread, or start a new conversation
+     * @param {string|null} threadId - Null for a new conversation, saved when the first message is sent
+     */
+    async switchThread(threadId) {
+        if (this.isLoading) return;
+
+        try {
+            if (threadId) {
+                const result = await window.electronAPI.aiOpenThread(threadId);
+                this.activeThreadId = threadId;
+                this.renderThreadMessages(result.thread.messages);
+            } else {
+                this.activeThreadId = null;
+                this.showWelcome();
+            }
+        } catch (error) {
+            console.error('Failed to open AI chat thread:', error);
+            notificationManager.error(i18n.t('aiChat.threadError') + ': ' + error.message);
+            this.activeThreadId = null;
+            this.showWelcome();
+        }
+
+        this.renderThreadOptions();
+    }
+
+    /**
+     * Show the messages of a saved thread
+     * @param {Array<{role: string, content: string, sources?: Array<Object>}>} messages
+     */
+    renderThreadMessages(messages) {
+        if (messages.length === 0) {
+            this.showWelcome();
+            return;
+        }
+
+        this.messagesContainer.innerHTML = '';
+        for (const message of messages) {
+            this.addMessage(
+                message.role,
+                message.role === 'assistant' ? formatStoredAnswer(message.content) : message.content,
+                message.sources
+            );
+        }
+    }
+
+    /**
+     * Rename the current thread
+     */
+    async renameThread() {
+        const thread = this.threads.find(candidate => candidate.id === this.activeThreadId);
+        if (!thread) return;
+
+        const title = await notificationManager.prompt(i18n.t('aiChat.threadNamePrompt'), thread.title);
+        if (title === null || !title.trim()) return;
+
+        try {
+            await window.electronAPI.aiRenameThread(thread.id, title);
+            await this.loadThreads();
+        } catch (error) {
+            notificationManager.error(i18n.t('aiChat.threadError') + ': ' + error.message);
+        }
+    }
+
+    /**
+     * Delete the current thread after confirmation
+     */
+    async deleteThread() {
+        const thread = this.threads.find(candidate => candidate.id === this.activeThreadId);
+        if (!thread) return;
+
+        const confirmed = await notificationManager.confirm(
+            i18n.t('aiChat.deleteThreadConfirm', { title: this.getThreadTitle(thread) })
+        );
+        if (!confirmed) return;
+
+        try {
+            await window.electronAPI.aiDeleteThread(thread.id);
+            await this.loadThreads();
+            await this.switchThread(null);
+        } catch (error) {
+            notificationManager.error(i18n.t('aiChat.threadError') + ': ' + error.message);
+        }
+    }
+
+    /**
+     * Save the current thread as a markdown file
+     */
+    async exportThread() {
+        if (!this.activeThreadId) return;
+
+        try {
+            const result = await window.electronAPI.aiExportThread(this.activeThreadId);
+            if (result.success) {
+                notificationManager.success(i18n.t('aiChat.threadExported', { path: result.filePath }));
+            }
+        } catch (error) {
+            notificationManager.error(i18n.t('aiChat.threadError') + ': ' + error.message);
+        }
+    }
+
     /**
      * Show settings dialog
      */
@@ -870,6 +1433,7 @@ class AIChatPanel {
         const groqKey = settings?.groq?.apiKey || '';
         const localUrl = settings?.local?.serverUrl || 'http://localhost:1234';
         const localApiKey = settings?.local?.apiKey || '';
+        const retrieval = settings?.retrieval || {};
 
         const providers = [
             { id: 'openai', name: 'OpenAI', key: openaiKey, placeholder: 'sk-...', url: 'https://platform.openai.com/api-keys', icon: '🤖' },
@@ -964,6 +1528,35 @@ class AIChatPanel {
                     </div>
                 </div>
 
+                <div class="ai-settings-section">
+                    <h4 class="ai-settings-section-title">
+                        <span class="ai-section-icon">📚</span>
+                        ${i18n.t('aiSettings.workspaceNotes')}
+                    </h4>
+                    <div class="ai-provider-card">
+                        <div class="ai-provider-body">
+                            <div class="ai-chat-settings-field ai-chat-settings-field--checkbox">
+                                <label>
+                                    <input type="checkbox" id="ai-retrieval-enabled" ${retrieval.enabled ? 'checked' : ''}>
+                                    ${i18n.t('aiSettings.useWorkspaceNotes')}
+                                </label>
+                                <small>${i18n.t('aiSettings.workspaceNotesHint')}</small>
+                            </div>
+                            <div class="ai-chat-settings-field ai-chat-settings-field--checkbox">
+                                <label>
+                                    <input type="checkbox" id="ai-retrieval-embeddings" ${retrieval.embeddings ? 'checked' : ''}>
+                                    ${i18n.t('aiSettings.useEmbeddings')}
+                                </label>
+                                <small>${i18n.t('aiSettings.embeddingsHint')}</small>
+                            </div>
+                            <div class="ai-chat-settings-field">
+                                <label for="ai-embedding-model">${i18n.t('aiSettings.embeddingModel')}</label>
+                                <input type="text" id="ai-embedding-model" value="${this.escapeHtml(retrieval.embeddingModel || '')}" placeholder="nomic-embed-text">
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
                 <div class="ai-chat-settings-actions">
                     <button class="ai-chat-settings-cancel">${i18n.t('actions.cancel')}</button>
                     <button class="ai-chat-settings-save">${i18n.t('actions.save')}</button>
@@ -1083,6 +1676,12 @@ class AIChatPanel {
                 await window.electronAPI.aiSetLocalUrl(localUrl);
                 await window.electronAPI.aiSetLocalApiKey(localApiKey);
 
+                await window.electronAPI.aiSetRetrievalSettings({
+                    enabled: modal.querySelector('#ai-retrieval-enabled').checked,
+                    embeddings: modal.querySelector('#ai-retrieval-embeddings').checked,
+                    embeddingModel: modal.querySelector('#ai-embedding-model').value.trim()
+                });
+
                 modal.remove();
 
                 // Reload provider options to reflect new API keys
@@ -1,15 +1,30 @@
 /**
  * AI Edit Commands
  * Provides AI-powered text transformation commands for selected text
+ * Besides the built-in commands, the menu lists the commands defined for the
+ * workspace in .md-editor/ai-commands.json; they are reloaded when the
+ * workspace changes or the file is saved.
  */
 
 const i18n = require('../i18n/index.js');
+const { parseFrontMatter } = require('../advanced-markdown/front-matter.js');
+
+// Commands file of a workspace, as saved from the editor
+const COMMANDS_FILE_PATTERN = /[\\/]\.md-editor[\\/]ai-commands\.json$/;
 
 class AIEditCommands {
-    constructor(editor) {
+    /**
+     * @param {Editor} editor
+     * @param {EventBus} [eventBus] - Used to reload the workspace commands when their file is saved
+     */
+    constructor(editor, eventBus = null) {
         this.editor = editor;
+        this.eventBus = eventBus;
         this.menu = null;
         this.isProcessing = false;
+        this.userCommands = [];
+        this.commandsChangeCallback = null;
+        this.eventCleanups = [];
         this.boundHandleKeydown = this.handleKeydown.bind(this);
         this.boundHandleClickOutside = this.handleClickOutside.bind(this);
     }
@@ -20,6 +35,12 @@ class AIEditCommands {
     initialize() {
         this.createMenu();
         document.addEventListener('keydown', this.boundHandleKeydown);
+        if (this.eventBus) {
+            this.eventCleanups.push(this.eventBus.on('file:saved', ({ filePath } = {}) => {
+                if (filePath && COMMANDS_FILE_PATTERN.test(filePath)) this.loadCommands();
+            }));
+        }
+        this.loadCommands();
         console.log('[AI Edit] Initialized - use Ctrl+Shift+A to open menu');
     }
 
@@ -76,6 +97,7 @@ class AIEditCommands {
                     <span>${i18n.t('aiEdit.custom')}</span>
                     <span class="ai-edit-item-hint">${i18n.t('aiEdit.customHint')}</span>
                 </button>
+                <div class="ai-edit-user-commands"></div>
             </div>
             <div class="ai-edit-loading" style="display: none;">
                 <div class="ai-edit-spinner"></div>
@@ -265,6 +287,166 @@ class AIEditCommands {
         }
     }
 
+    /**
+     * Register a callback for when the workspace commands are reloaded
+     * @param {Function} callback - Called with the commands
+     */
+    onCommandsChange(callback) {
+        this.commandsChangeCallback = callback;
+    }
+
+    /**
+     * Get the commands defined for the workspace
+     * @returns {Array<Object>} Commands as read by the main process, with the template variables they use
+     */
+    getUserCommands() {
+        return this.userCommands;
+    }
+
+    /**
+     * Reload the commands defined for the workspace and list them in the menu
+     */
+    async loadCommands() {
+        try {
+            const result = await window.electronAPI.aiGetCommands();
+
+            this.userCommands = result && result.success ? result.commands : [];
+            if (result && result.errors && result.errors.length > 0) {
+                this.showNotification(i18n.t('aiEdit.commandsFileErrors', {
+                    count: result.errors.length,
+                    error: result.errors[0]
+                }), 'warning');
+            }
+        } catch (error) {
+            console.error('Error loading AI commands:', error);
+            this.userCommands = [];
+        }
+
+        this.renderUserCommands();
+        if (this.commandsChangeCallback) this.commandsChangeCallback(this.userCommands);
+    }
+
+    /**
+     * List the workspace commands at the end of the menu
+     */
+    renderUserCommands() {
+        const container = this.menu && this.menu.querySelector('.ai-edit-user-commands');
+
+        if (!container) return;
+
+        container.innerHTML = this.userCommands.length > 0 ? '<div class="ai-edit-separator"></div>' : '';
+        for (const command of this.userCommands) {
+            const item = document.createElement('button');
+            const icon = document.createElement('span');
+            const name = document.createElement('span');
+            const hint = document.createElement('span');
+
+            item.className = 'ai-edit-item';
+            item.title = command.description;
+            icon.className = 'ai-edit-item-icon';
+            icon.textContent = '⭐';
+            name.textContent = command.name;
+            hint.className = 'ai-edit-item-hint';
+            hint.textContent = command.description;
+            item.append(icon, name, hint);
+            item.addEventListener('click', () => this.runUserCommand(command.id));
+            container.appendChild(item);
+        }
+    }
+
+    /**
+     * Run a workspace command on the selection, or at the cursor when it does not use the selection
+     * @param {string} commandId
+     */
+    async runUserCommand(commandId) {
+        const command = this.userCommands.find(item => item.id === commandId);
+
+        this.hideMenu();
+        if (this.isProcessing || !command) return;
+
+        const selection = this.editor.getSelection();
+
+        if (command.variables.includes('selection') && !selection.text.trim()) {
+            this.showNotification(i18n.t('aiEdit.selectTextFirst'), 'warning');
+            return;
+        }
+
+        let language = command.language || '';
+
+        if (command.variables.includes('language') && !language) {
+            language = await this.promptForLanguage();
+
+            if (!language) {
+                return;
+            }
+        }
+
+        const content = this.editor.getValue();
+
+        this.showLoadingOverlay();
+
+        try {
+            const result = await window.electronAPI.aiRunCommand(command.id, {
+                selection: selection.text,
+                document: content,
+                title: this.getDocumentTitle(content),
+                language
+            });
+
+            if (result.success) {
+                this.editor.replaceSelection(result.result);
+                this.showNotification(i18n.t('aiEdit.textTransformed'), 'success');
+            } else {
+                this.showNotification(result.error || i18n.t('aiEdit.failedToTransform'), 'error');
+            }
+        } catch (error) {
+            console.error('AI command error:', error);
+            this.showNotification(i18n.t('aiEdit.failedToTransform'), 'error');
+        } finally {
+            this.hideLoadingOverlay();
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Open the commands file of the workspace in the editor, creating it with samples first if needed
+     * @param {Function} openFile - Opens a file path in a tab
+     */
+    async editCommandsFile(openFile) {
+        try {
+            const workspace = await window.electronAPI.getWorkspacePath();
+
+            if (!workspace || !workspace.workspacePath) {
+                this.showNotification(i18n.t('aiEdit.commandsNeedWorkspace'), 'warning');
+                return;
+            }
+
+            const result = await window.electronAPI.aiCreateCommandsFile();
+
+            await openFile(result.filePath);
+        } catch (error) {
+            console.error('Error opening AI commands file:', error);
+            this.showNotification(i18n.t('aiEdit.commandsFileFailed'), 'error');
+        }
+    }
+
+    /**
+     * Get the title of a document: its front matter title, else its first heading
+     * @param {string} content
+     * @returns {string} Empty when it has neither
+     */
+    getDocumentTitle(content) {
+        const frontMatter = parseFrontMatter(content);
+
+        if (frontMatter && typeof frontMatter.data.title === 'string' && frontMatter.data.title.trim()) {
+            return frontMatter.data.title.trim();
+        }
+
+        const heading = /^#{1,6}[ \t]+(.+?)[ \t#]*$/m.exec(frontMatter ? frontMatter.body : content);
+
+        return heading ? heading[1] : '';
+    }
+
     /**
      * Show loading overlay
      */
@@ -416,6 +598,8 @@ class AIEditCommands {
     destroy() {
         document.removeEventListener('keydown', this.boundHandleKeydown);
         document.removeEventListener('click', this.boundHandleClickOutside);
+        this.eventCleanups.forEach(cleanup => cleanup());
+        this.eventCleanups = [];
 
         if (this.menu) {
             this.menu.remove();
@@ -9,6 +9,10 @@ const { defaultKeymap, history, historyKeymap, undo, redo } = require('@codemirr
 const { markdown } = require('@codemirror/lang-markdown');
 const { search, highlightSelectionMatches, selectNextOccurrence } = require('@codemirror/search');
 const { mermaidLanguage } = require('../advanced-markdown/mermaid-codemirror-lang');
+const { frontMatterHighlighting } = require('../advanced-markdown/front-matter-codemirror');
+const { wikiLinks } = require('../advanced-markdown/wiki-links-codemirror');
+const { gitGutter, setGitBaseline } = require('../features/git-gutter');
+const { aiEditReview, setAIReview, getPendingHunks } = require('../features/ai-edit-review');
 const HtmlToMarkdownConverter = require('../features/html-to-markdown');
 const eventBus = require('./event-bus.js');
 
@@ -19,6 +23,7 @@ class Editor {
         this.cursorChangeCallbacks = [];
         this.customKeymapCompartment = new Compartment();
         this.snippetExtensionCompartment = new Compartment();
+        this.wikiLinkCompartment = new Compartment();
         this.lineNumbersCompartment = new Compartment();
         this.htmlToMarkdownConverter = new HtmlToMarkdownConverter();
     }
@@ -47,13 +52,20 @@ class Editor {
                         return null;
                     }
                 }),
+                frontMatterHighlighting(),
                 history(),
                 search(),
                 highlightSelectionMatches(),
                 // Line numbers compartment (can be reconfigured dynamically)
                 this.lineNumbersCompartment.of(showLineNumbers ? lineNumbers() : []),
+                // Lines changed since the last commit (empty until a committed version is set)
+                gitGutter(),
+                // Changes proposed by the AI chat, shown inline until accepted or rejected
+                aiEditReview(),
                 // Snippet extension compartment (can be reconfigured dynamically)
                 this.snippetExtensionCompartment.of([]),
+                // Wiki link completion and navigation compartment (enabled once notes are available)
+                this.wikiLinkCompartment.of([]),
                 // Custom keymap compartment (can be reconfigured dynamically)
                 this.customKeymapCompartment.of(keymap.of(customKeymap)),
                 // Multi-cursor keyboard shortcuts (Requirements 3.4, 3.5)
@@ -201,6 +213,22 @@ class Editor {
         });
     }
 
+    /**
+     * Enable wiki link completion and Ctrl/Cmd+Click navigation
+     * @param {Object} options
+     * @param {Function} options.getNotes - Returns the notes of the workspace
+     * @param {Function} options.onOpen - Called with `{target, heading}` when a link is followed
+     */
+    enableWikiLinks(options) {
+        if (!this.view) {
+            throw new Error('Editor not initialized');
+        }
+
+        this.view.dispatch({
+            effects: this.wikiLinkCompartment.reconfigure(wikiLinks(options))
+        });
+    }
+
     /**
      * Toggle line numbers visibility
      * @param {boolean} show - Whether to show line numbers
@@ -215,6 +243,42 @@ class Editor {
         });
     }
 
+    /**
+     * Set the committed content the git gutter compares the document with
+     * @param {string|null} content - Content in the last commit, null to hide the markers
+     */
+    setGitBaseline(content) {
+        if (!this.view) {
+            throw new Error('Editor not initialized');
+        }
+
+        this.view.dispatch({
+            effects: setGitBaseline.of(typeof content === 'string' ? content : null)
+        });
+    }
+
+    /**
+     * Show the differences with a proposed content as changes to accept or reject
+     * The document is left as it is until changes are accepted.
+     * @param {string} content - Proposed content
+     * @returns {number} Number of changes to review, 0 when the content is the same
+     */
+    reviewChanges(content) {
+        if (!this.view) {
+            throw new Error('Editor not initialized');
+        }
+
+        this.view.dispatch({ effects: setAIReview.of(content) });
+
+        const hunks = getPendingHunks(this.view.state);
+
+        if (hunks.length > 0) {
+            this.view.dispatch({ effects: EditorView.scrollIntoView(hunks[0].from, { y: 'center' }) });
+        }
+
+        return hunks.length;
+    }
+
     /**
      * Get the current content of the editor
      * @returns {string} The editor content
@@ -398,6 +462,43 @@ class Editor {
         scrollDOM.scrollTop = scrollHeight * position;
     }
 
+    /**
+     * Get the line at the top of the visible area
+     * @returns {number} 1-based line number plus the fraction of the line scrolled past
+     */
+    getTopVisibleLine() {
+        if (!this.view) {
+            throw new Error('Editor not initialized');
+        }
+
+        const height = this.view.scrollDOM.scrollTop - this.view.documentPadding.top;
+        const block = this.view.lineBlockAtHeight(Math.max(0, height));
+        const line = this.view.state.doc.lineAt(block.from).number;
+
+        if (block.height <= 0) {
+            return line;
+        }
+
+        return line + Math.min(1, Math.max(0, (height - block.top) / block.height));
+    }
+
+    /**
+     * Scroll so a line is at the top of the visible area, without moving the cursor
+     * @param {number} line - 1-based line number; the fraction scrolls part way into the line
+     */
+    scrollToLine(line) {
+        if (!this.view) {
+            throw new Error('Editor not initialized');
+        }
+
+        const doc = this.view.state.doc;
+        const number = Math.max(1, Math.min(Math.floor(line), doc.lines));
+        const block = this.view.lineBlockAt(doc.line(number).from);
+        const fraction = number === Math.floor(line) ? line - number : 0;
+
+        this.view.scrollDOM.scrollTop = block.top + block.height * fraction + this.view.documentPadding.top;
+    }
+
     /**
      * Insert template at cursor position or replace entire document
      * Requirements: 6.1, 6.2, 6.3
@@ -259,6 +259,21 @@ describe('Editor', () => {
 
             expect(() => uninitializedEditor.setScrollPosition(0.5)).toThrow('Editor not initialized');
         });
+
+        it('should report the top visible line and scroll to lines', () => {
+            editor.setValue(Array(50).fill('line').join('\n'));
+
+            expect(editor.getTopVisibleLine()).toBeGreaterThanOrEqual(1);
+            expect(() => editor.scrollToLine(20.5)).not.toThrow();
+            expect(() => editor.scrollToLine(500)).not.toThrow();
+        });
+
+        it('should throw error when scrolling to a line before initialization', () => {
+            const uninitializedEditor = new Editor();
+
+            expect(() => uninitializedEditor.getTopVisibleLine()).toThrow('Editor not initialized');
+            expect(() => uninitializedEditor.scrollToLine(1)).toThrow('Editor not initialized');
+        });
     });
 
     describe('template insertion', () => {
@@ -345,6 +360,24 @@ describe('Editor', () => {
         });
     });
 
+    describe('git gutter', () => {
+        it('should mark lines changed since the committed content', () => {
+            editor.initialize(container);
+            editor.setValue('# Title\nnew line');
+            editor.setGitBaseline('# Title');
+
+            expect(container.querySelectorAll('.cm-git-marker--added')).toHaveLength(1);
+
+            editor.setGitBaseline(null);
+
+            expect(container.querySelectorAll('.cm-git-marker')).toHaveLength(0);
+        });
+
+        it('should throw error when setting the committed content before initialization', () => {
+            expect(() => new Editor().setGitBaseline('')).toThrow('Editor not initialized');
+        });
+    });
+
     describe('destroy', () => {
         it('should destroy editor instance', () => {
             editor.initialize(container);
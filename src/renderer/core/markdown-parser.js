@@ -6,10 +6,15 @@
 
 const markdownit = require('markdown-it');
 const markdownitTaskLists = require('markdown-it-task-lists');
+const markdownItFootnote = require('markdown-it-footnote');
+const markdownItPageBreak = require('../advanced-markdown/markdown-it-page-break-plugin');
 const hljs = require('highlight.js');
 const markdownItMermaid = require('../advanced-markdown/markdown-it-mermaid-plugin');
 const markdownItKatex = require('../advanced-markdown/markdown-it-katex-plugin');
 const markdownItCallouts = require('../advanced-markdown/markdown-it-callout-plugin');
+const { markdownItFrontMatter } = require('../advanced-markdown/front-matter');
+const { markdownItWikiLinks, resolveWikiLink } = require('../advanced-markdown/wiki-links');
+const markdownItSourceLines = require('../advanced-markdown/markdown-it-source-lines-plugin');
 
 /**
  * MarkdownParser class
@@ -25,6 +30,8 @@ class MarkdownParser {
         this.advancedMarkdownManager = advancedMarkdownManager;
         this.postProcessor = postProcessor;
         this.md = null;
+        this.showFrontMatter = true;
+        this.wikiNotes = null;
 
         this.initialize();
     }
@@ -61,11 +68,28 @@ class MarkdownParser {
             labelAfter: true
         });
 
+        // Add footnotes ([^1] references and [^1]: definitions)
+        this.md.use(markdownItFootnote);
+
+        // Render \pagebreak, \newpage and <!-- pagebreak --> markers
+        this.md.use(markdownItPageBreak);
+
+        // Render YAML front matter as a properties table instead of a rule and a paragraph
+        this.md.use(markdownItFrontMatter, { show: () => this.showFrontMatter });
+
+        // Render [[wiki links]]; they are only marked as missing once the workspace notes are known
+        this.md.use(markdownItWikiLinks, {
+            resolve: (target, env) => (this.wikiNotes ? resolveWikiLink(target, this.wikiNotes, env.currentFilePath) : undefined)
+        });
+
         // Add custom image renderer to handle local file paths
         this.setupImageRenderer();
 
         // Initialize advanced plugins if manager is available
         this.initializeAdvancedPlugins();
+
+        // Mark blocks with their source line for scroll sync when asked; last, so it sees every block renderer
+        this.md.use(markdownItSourceLines);
     }
 
     /**
@@ -167,14 +191,39 @@ class MarkdownParser {
         this.currentFilePath = filePath;
     }
 
+    /**
+     * Show or hide the front matter properties table in rendered output
+     * @param {boolean} visible - Whether to render the properties table
+     */
+    setFrontMatterVisible(visible) {
+        this.showFrontMatter = visible;
+    }
+
+    /**
+     * Set the notes wiki links are resolved against
+     * @param {Array<{name: string, filePath: string, relativePath: string}>|null} notes - Notes of the
+     *   workspace, or null when no workspace is open
+     */
+    setWikiNotes(notes) {
+        this.wikiNotes = notes;
+    }
+
+    /**
+     * @returns {Array<{name: string, filePath: string, relativePath: string}>|null} Notes of the workspace
+     */
+    getWikiNotes() {
+        return this.wikiNotes;
+    }
+
     /**
      * Pre-process markdown to fix table formatting issues
      * Removes blank lines between table rows that break table parsing
      * @param {string} content - Raw markdown content
+     * @param {number[]} [lineMap] - Filled with the original line index of each cleaned line
      * @returns {string} Cleaned markdown content
      * @private
      */
-    _preprocessMarkdown(content) {
+    _preprocessMarkdown(content, lineMap = []) {
         if (!content) return content;
 
         const lines = content.split('\n');
@@ -186,6 +235,7 @@ class MarkdownParser {
 
             if (/^\|.*\|$/.test(trimmed)) {
                 const tableLines = [lines[i]];
+                const tableLineIndexes = [i];
                 let j = i + 1;
 
                 while (j < lines.length) {
@@ -198,6 +248,7 @@ class MarkdownParser {
 
                     if (/^\|.*\|$/.test(next)) {
                         tableLines.push(lines[j]);
+                        tableLineIndexes.push(j);
                         j++;
                     } else {
                         break;
@@ -206,13 +257,16 @@ class MarkdownParser {
 
                 if (tableLines.length >= 2) {
                     result.push(...tableLines);
+                    lineMap.push(...tableLineIndexes);
                 } else {
                     result.push(lines[i]);
+                    lineMap.push(i);
                 }
 
                 i = j;
             } else {
                 result.push(lines[i]);
+                lineMap.push(i);
                 i++;
             }
         }
@@ -223,21 +277,27 @@ class MarkdownParser {
     /**
      * Parse markdown to HTML
      * @param {string} markdown - The markdown content to render
+     * @param {Object} [options]
+     * @param {boolean} [options.sourceLines] - Mark block elements with their `data-source-line`
      * @returns {string} Rendered HTML
      * Requirements: 4.1, 4.2 - Support both basic and advanced markdown
      */
-    parse(markdown) {
+    parse(markdown, options = {}) {
         if (!markdown) {
             return '';
         }
 
         try {
             // Pre-process markdown to fix table formatting issues
-            const cleanedMarkdown = this._preprocessMarkdown(markdown);
+            const sourceLineMap = [];
+            const cleanedMarkdown = this._preprocessMarkdown(markdown, sourceLineMap);
 
-            // Pass current file path in environment for image renderer
+            // Pass current file path in environment for image renderer,
+            // and the original lines for data-source-line attributes
             const env = {
-                currentFilePath: this.currentFilePath
+                currentFilePath: this.currentFilePath,
+                sourceLines: Boolean(options.sourceLines),
+                sourceLineMap
             };
 
             const html = this.md.render(cleanedMarkdown, env);
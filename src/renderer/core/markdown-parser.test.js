@@ -208,6 +208,50 @@ describe('MarkdownParser Class', () => {
         expect(parser.md).toBeDefined();
         expect(parser.md).not.toBe(oldMd);
     });
+
+    test('renders front matter as properties and can hide it', () => {
+        const parser = new MarkdownParser();
+        const markdown = '---\ntitle: Notes\n---\n# Body';
+
+        expect(parser.parse(markdown)).toContain('<table class="front-matter">');
+        expect(parser.parse(markdown)).not.toContain('<hr>');
+
+        parser.setFrontMatterVisible(false);
+        expect(parser.parse(markdown)).toBe('<h1>Body</h1>\n');
+    });
+
+    test('marks wiki links as missing only once the workspace notes are known', () => {
+        const parser = new MarkdownParser();
+
+        expect(parser.parse('[[Ideas]] [[Gone]]')).not.toContain('wiki-link--missing');
+
+        parser.setWikiNotes([{ name: 'Ideas', filePath: '/ws/Ideas.md', relativePath: 'Ideas.md' }]);
+        parser.setCurrentFilePath('/ws/index.md');
+        const html = parser.parse('[[Ideas]] [[Gone]]');
+
+        expect(html).toContain('<a href="Ideas.md" class="wiki-link" data-wiki-target="Ideas" data-wiki-path="/ws/Ideas.md">Ideas</a>');
+        expect(html).toContain('wiki-link--missing" data-wiki-target="Gone"');
+    });
+
+    test('marks blocks with their source line only when asked', () => {
+        const parser = new MarkdownParser({ isFeatureEnabled: () => true });
+        const markdown = '# Title\n\n```mermaid\ngraph TD\n```\n\n$$\nx\n$$\n\n- a\n- b';
+        const html = parser.parse(markdown, { sourceLines: true });
+
+        expect(parser.parse(markdown)).not.toContain('data-source-line');
+        expect(html).toContain('<h1 data-source-line="1">Title</h1>');
+        expect(html).toMatch(/<div data-source-line="3" class="mermaid-diagram"/);
+        expect(html).toContain('<div data-source-line="7" class="katex-block"');
+        expect(html).toContain('<li data-source-line="11">a</li>');
+    });
+
+    test('keeps source lines of the original document when table rows are joined', () => {
+        const parser = new MarkdownParser();
+        const html = parser.parse('| a | b |\n\n|---|---|\n\n| 1 | 2 |\n\n| 3 | 4 |', { sourceLines: true });
+
+        expect(html).toContain('<tbody data-source-line="5">');
+        expect(html).toContain('<tr data-source-line="7">');
+    });
 });
 
 describe('MarkdownParser with Advanced Features', () => {
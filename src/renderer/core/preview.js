@@ -13,6 +13,10 @@ class Preview {
         this.debounceTimer = null;
         this.debounceDelay = 300; // 300ms as specified in requirements
         this.lastRenderedContent = '';
+        this.scrollAnchors = null;
+        this.scrollAnchorsHeight = 0;
+        // Keys of the top-level blocks currently in the container, see _patchBlocks
+        this.blockKeys = [];
     }
 
     /**
@@ -20,6 +24,9 @@ class Preview {
      * @param {HTMLElement} element - The DOM element to use as preview container
      * @param {Object} options - Configuration options
      * @param {Function} options.onLinkClick - Callback for internal markdown link clicks (receives resolved file path)
+     * @param {Function} options.onWikiLinkClick - Callback for wiki link clicks (receives `{target, heading, filePath}`,
+     *   `filePath` being null when the note was not found)
+     * @param {Function} options.onSourceLineClick - Callback for clicks on rendered text (receives the 1-based source line)
      */
     initialize(element, options = {}) {
         if (!element) {
@@ -29,15 +36,22 @@ class Preview {
         this.container = element;
         this.container.innerHTML = '';
         this.onLinkClick = options.onLinkClick || null;
+        this.onWikiLinkClick = options.onWikiLinkClick || null;
+        this.onSourceLineClick = options.onSourceLineClick || null;
 
-        // Intercept link clicks in the preview
+        // Intercept link clicks in the preview; other clicks move the editor cursor
         this.container.addEventListener('click', (e) => {
-            this._handleLinkClick(e);
+            if (e.target.closest('a')) {
+                this._handleLinkClick(e);
+            } else {
+                this._handleSourceClick(e);
+            }
         });
     }
 
     /**
      * Handle link clicks in the preview
+     * - Wiki links: open the resolved note via callback
      * - Internal .md links: open in editor via callback
      * - External http(s) links: open in system browser
      * - Anchor links (#): scroll within preview
@@ -52,6 +66,18 @@ class Preview {
             return;
         }
 
+        if (link.classList.contains('wiki-link')) {
+            e.preventDefault();
+            if (this.onWikiLinkClick) {
+                this.onWikiLinkClick({
+                    target: link.dataset.wikiTarget,
+                    heading: link.dataset.wikiHeading || null,
+                    filePath: link.dataset.wikiPath || null
+                });
+            }
+            return;
+        }
+
         const href = link.getAttribute('href');
 
         if (!href) {
@@ -86,6 +112,30 @@ class Preview {
         console.warn('Preview: unhandled link type:', href);
     }
 
+    /**
+     * Report the source line of a clicked block.
+     * Ignored while selecting text and on form controls such as task list checkboxes.
+     * @param {MouseEvent} e - Click event
+     * @private
+     */
+    _handleSourceClick(e) {
+        if (!this.onSourceLineClick || e.target.closest('input, button, label')) {
+            return;
+        }
+
+        const selection = window.getSelection ? window.getSelection() : null;
+
+        if (selection && !selection.isCollapsed) {
+            return;
+        }
+
+        const block = e.target.closest('[data-source-line]');
+
+        if (block && this.container.contains(block)) {
+            this.onSourceLineClick(parseInt(block.dataset.sourceLine, 10));
+        }
+    }
+
     /**
      * Render markdown content to HTML (with debouncing)
      * @param {string} markdown - The markdown content to render
@@ -133,7 +183,7 @@ class Preview {
             let html;
 
             if (this.markdownParser) {
-                html = this.markdownParser.parse(markdown);
+                html = this.markdownParser.parse(markdown, { sourceLines: true });
             } else {
                 // Fallback to basic rendering if no parser provided
                 const { renderMarkdown } = require('./markdown-parser.js');
@@ -141,14 +191,18 @@ class Preview {
                 html = renderMarkdown(markdown);
             }
 
-            this.container.innerHTML = html;
+            this._patchBlocks(html);
+            this.scrollAnchors = null;
 
             // Post-process for advanced markdown features (Mermaid, KaTeX)
             if (this.postProcessor) {
                 await this.postProcessor.processHTML(this.container);
+                // Rendered diagrams change the height of their blocks
+                this.scrollAnchors = null;
             }
         } catch (error) {
             console.error('Error rendering preview:', error);
+            this.blockKeys = [];
             // Display error message in preview
             this.container.innerHTML = `<div class="preview-error">
                 <strong>${i18n.t('preview.error')}:</strong>
@@ -157,6 +211,103 @@ class Preview {
         }
     }
 
+    /**
+     * Render again even if the markdown did not change, e.g. after rendering settings changed
+     * @param {string} markdown - The markdown content to render
+     */
+    refresh(markdown) {
+        this.lastRenderedContent = '';
+        this.blockKeys = [];
+        this.render(markdown, true);
+    }
+
+    /**
+     * Replace only the top-level blocks that changed since the last render.
+     * Unchanged blocks keep their DOM nodes, so rendered diagrams and formulas
+     * are not rendered again and typing in a large document stays fast.
+     * @param {string} html - Newly rendered HTML
+     * @private
+     */
+    _patchBlocks(html) {
+        const template = document.createElement('template');
+
+        template.innerHTML = html;
+
+        const newBlocks = Array.from(template.content.children);
+        const newKeys = newBlocks.map(block => this._getBlockKey(block));
+        const oldBlocks = Array.from(this.container.children);
+        const oldKeys = this.blockKeys;
+
+        this.blockKeys = newKeys;
+
+        // First render, or the container was changed by someone else
+        if (oldKeys.length === 0 || oldKeys.length !== oldBlocks.length) {
+            this.container.innerHTML = html;
+            return;
+        }
+
+        let start = 0;
+
+        while (start < oldKeys.length && start < newKeys.length && oldKeys[start] === newKeys[start]) {
+            start++;
+        }
+
+        let oldEnd = oldKeys.length;
+        let newEnd = newKeys.length;
+
+        while (oldEnd > start && newEnd > start && oldKeys[oldEnd - 1] === newKeys[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        // Kept blocks may have moved to other source lines
+        for (let i = 0; i < start; i++) {
+            this._copySourceLines(newBlocks[i], oldBlocks[i]);
+        }
+        for (let i = oldEnd; i < oldBlocks.length; i++) {
+            this._copySourceLines(newBlocks[i - oldEnd + newEnd], oldBlocks[i]);
+        }
+
+        oldBlocks.slice(start, oldEnd).forEach(block => block.remove());
+
+        const next = oldBlocks[oldEnd] || null;
+
+        newBlocks.slice(start, newEnd).forEach(block => {
+            this.container.insertBefore(block, next);
+        });
+    }
+
+    /**
+     * Get a key identifying the rendered source of a block, ignoring its position
+     * @param {HTMLElement} block - Top-level block
+     * @returns {string}
+     * @private
+     */
+    _getBlockKey(block) {
+        return block.outerHTML
+            .replace(/ data-source-line="\d+"/g, '')
+            .replace(/ data-mermaid-id="[^"]*"/g, '');
+    }
+
+    /**
+     * Copy the source lines of a newly rendered block onto the kept block with the same key
+     * @param {HTMLElement} from - Newly rendered block
+     * @param {HTMLElement} to - Block in the container
+     * @private
+     */
+    _copySourceLines(from, to) {
+        const sources = [from, ...from.querySelectorAll('[data-source-line]')];
+        const targets = [to, ...to.querySelectorAll('[data-source-line]')];
+
+        sources.forEach((source, i) => {
+            const line = source.getAttribute('data-source-line');
+
+            if (line !== null && targets[i]) {
+                targets[i].setAttribute('data-source-line', line);
+            }
+        });
+    }
+
     /**
      * Get the current scroll position as a percentage
      * @returns {number} Scroll position (0-1)
@@ -210,6 +361,101 @@ class Preview {
         this.setScrollPosition(editorScrollPercent);
     }
 
+    /**
+     * Measure the blocks marked with a source line.
+     * Measurements are reused until the next render or until the content height
+     * changes, e.g. when an image finishes loading.
+     * @returns {Array<{line: number, top: number}>} Anchors with increasing lines and offsets,
+     *   from the start to the end of the document
+     * @private
+     */
+    _getScrollAnchors() {
+        const scrollHeight = this.container.scrollHeight;
+
+        if (this.scrollAnchors && this.scrollAnchorsHeight === scrollHeight) {
+            return this.scrollAnchors;
+        }
+
+        const origin = this.container.getBoundingClientRect().top - this.container.scrollTop;
+        const anchors = [{ line: 1, top: 0 }];
+
+        this.container.querySelectorAll('[data-source-line]').forEach(element => {
+            const line = parseInt(element.dataset.sourceLine, 10);
+            const top = element.getBoundingClientRect().top - origin;
+            const last = anchors[anchors.length - 1];
+
+            // Nested blocks repeat the line of their parent
+            if (line > last.line && top >= last.top) {
+                anchors.push({ line, top });
+            }
+        });
+
+        const lineCount = this.lastRenderedContent.split('\n').length;
+        const last = anchors[anchors.length - 1];
+
+        anchors.push({ line: Math.max(lineCount + 1, last.line + 1), top: Math.max(scrollHeight, last.top) });
+
+        this.scrollAnchors = anchors;
+        this.scrollAnchorsHeight = scrollHeight;
+        return anchors;
+    }
+
+    /**
+     * Map a value between anchor fields, interpolating linearly between neighbouring anchors
+     * @param {Array<{line: number, top: number}>} anchors - Anchors from _getScrollAnchors
+     * @param {number} value - Value to map
+     * @param {string} from - Field the value belongs to ('line' or 'top')
+     * @param {string} to - Field to map to
+     * @returns {number}
+     * @private
+     */
+    _interpolate(anchors, value, from, to) {
+        let i = 0;
+
+        while (i < anchors.length - 2 && anchors[i + 1][from] <= value) {
+            i++;
+        }
+
+        const start = anchors[i];
+        const end = anchors[i + 1];
+        const span = end[from] - start[from];
+        const ratio = span > 0 ? Math.min(1, Math.max(0, (value - start[from]) / span)) : 0;
+
+        return start[to] + ratio * (end[to] - start[to]);
+    }
+
+    /**
+     * Scroll so a source line is at the top of the preview
+     * @param {number} line - 1-based line; the fraction scrolls part way into the line
+     * @returns {boolean} false when nothing is rendered
+     */
+    scrollToSourceLine(line) {
+        if (!this.container) {
+            throw new Error('Preview not initialized');
+        }
+        if (!this.container.querySelector('[data-source-line]')) {
+            return false;
+        }
+
+        this.container.scrollTop = this._interpolate(this._getScrollAnchors(), line, 'line', 'top');
+        return true;
+    }
+
+    /**
+     * Get the source line shown at the top of the preview
+     * @returns {number|null} 1-based line with fraction, or null when nothing is rendered
+     */
+    getSourceLineAtScroll() {
+        if (!this.container) {
+            throw new Error('Preview not initialized');
+        }
+        if (!this.container.querySelector('[data-source-line]')) {
+            return null;
+        }
+
+        return this._interpolate(this._getScrollAnchors(), this.container.scrollTop, 'top', 'line');
+    }
+
     /**
      * Update theme for advanced markdown features
      * @param {string} theme - Theme name ('light' or 'dark')
@@ -221,6 +467,10 @@ class Preview {
             } catch (error) {
                 console.error('Error updating theme:', error);
             }
+            // Kept diagrams were rendered with the previous theme
+            if (this.container && this.lastRenderedContent) {
+                this.refresh(this.lastRenderedContent);
+            }
         }
     }
 
@@ -239,6 +489,8 @@ class Preview {
         }
 
         this.lastRenderedContent = '';
+        this.scrollAnchors = null;
+        this.blockKeys = [];
     }
 }
 
@@ -222,4 +222,149 @@ describe('Preview Component', () => {
             expect(mockPostProcessor.processHTML.mock.calls.length).toBe(callCount);
         });
     });
+
+    describe('Wiki Links', () => {
+        it('should pass the clicked wiki link to the callback', () => {
+            const onWikiLinkClick = vi.fn();
+            const onLinkClick = vi.fn();
+
+            preview = new Preview();
+            preview.initialize(container, { onLinkClick, onWikiLinkClick });
+            container.innerHTML = '<a href="../Ideas.md" class="wiki-link" data-wiki-target="Ideas" ' +
+                'data-wiki-path="/ws/Ideas.md" data-wiki-heading="Plan">Ideas</a>' +
+                '<a href="Gone.md" class="wiki-link wiki-link--missing" data-wiki-target="Gone">Gone</a>';
+
+            const links = container.querySelectorAll('a');
+            const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+
+            links[0].dispatchEvent(click);
+            links[1].dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+
+            expect(click.defaultPrevented).toBe(true);
+            expect(onWikiLinkClick).toHaveBeenNthCalledWith(1, { target: 'Ideas', heading: 'Plan', filePath: '/ws/Ideas.md' });
+            expect(onWikiLinkClick).toHaveBeenNthCalledWith(2, { target: 'Gone', heading: null, filePath: null });
+            expect(onLinkClick).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Source Lines', () => {
+        /**
+         * Place rendered blocks at fixed offsets; jsdom does no layout
+         * @param {number[]} tops - Offset of each [data-source-line] element
+         * @param {number} scrollHeight - Height of the content
+         */
+        function layout(tops, scrollHeight) {
+            let scrollTop = 0;
+
+            Object.defineProperty(container, 'scrollHeight', { configurable: true, get: () => scrollHeight });
+            Object.defineProperty(container, 'scrollTop', {
+                configurable: true,
+                get: () => scrollTop,
+                set: (value) => { scrollTop = value; }
+            });
+            container.getBoundingClientRect = () => ({ top: 0 });
+            container.querySelectorAll('[data-source-line]').forEach((element, i) => {
+                element.getBoundingClientRect = () => ({ top: tops[i] - scrollTop });
+            });
+        }
+
+        beforeEach(() => {
+            preview = new Preview();
+            preview.initialize(container);
+            preview.lastRenderedContent = Array(40).fill('line').join('\n');
+            container.innerHTML = '<h1 data-source-line="1">Title</h1>' +
+                '<div data-source-line="3" class="mermaid-diagram">graph</div>' +
+                '<ul data-source-line="20"><li data-source-line="20">a</li><li data-source-line="21">b</li></ul>';
+            layout([0, 50, 850, 850, 870], 1000);
+        });
+
+        it('should scroll to the block of a source line, interpolating inside it', () => {
+            preview.scrollToSourceLine(3);
+            expect(container.scrollTop).toBe(50);
+
+            // Line 11.5 is half way between the diagram (line 3) and the list (line 20)
+            preview.scrollToSourceLine(11.5);
+            expect(container.scrollTop).toBe(450);
+
+            preview.scrollToSourceLine(21);
+            expect(container.scrollTop).toBe(870);
+        });
+
+        it('should map the scroll offset back to a source line', () => {
+            container.scrollTop = 450;
+            expect(preview.getSourceLineAtScroll()).toBe(11.5);
+
+            container.scrollTop = 870;
+            expect(preview.getSourceLineAtScroll()).toBe(21);
+        });
+
+        it('should report nothing when no block is rendered', () => {
+            container.innerHTML = '';
+
+            expect(preview.scrollToSourceLine(5)).toBe(false);
+            expect(preview.getSourceLineAtScroll()).toBeNull();
+        });
+
+        it('should render source lines when a parser is provided', async () => {
+            const { MarkdownParser } = await import('./markdown-parser.js');
+
+            preview.destroy();
+            preview = new Preview(null, new MarkdownParser());
+            preview.initialize(container);
+            await preview.render('# Title\n\ntext', true);
+
+            expect(container.innerHTML).toContain('<h1 data-source-line="1">Title</h1>');
+            expect(container.innerHTML).toContain('<p data-source-line="3">text</p>');
+        });
+
+        it('should report the source line of a clicked block', () => {
+            const onSourceLineClick = vi.fn();
+
+            preview.destroy();
+            preview = new Preview();
+            preview.initialize(container, { onSourceLineClick });
+            container.innerHTML = '<p data-source-line="7"><strong>bold</strong></p>' +
+                '<ul data-source-line="9"><li data-source-line="9"><input type="checkbox"></li></ul>';
+
+            container.querySelector('strong').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            container.querySelector('input').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+            expect(onSourceLineClick).toHaveBeenCalledTimes(1);
+            expect(onSourceLineClick).toHaveBeenCalledWith(7);
+        });
+    });
+
+    describe('Incremental Rendering', () => {
+        let MarkdownParser;
+
+        beforeEach(async () => {
+            ({ MarkdownParser } = await import('./markdown-parser.js'));
+            preview = new Preview(null, new MarkdownParser());
+            preview.initialize(container);
+        });
+
+        it('should keep the nodes of unchanged blocks', async () => {
+            await preview.render('# Title\n\nfirst\n\nlast', true);
+            const title = container.querySelector('h1');
+            const last = container.querySelectorAll('p')[1];
+
+            await preview.render('# Title\n\nchanged\n\nmore\n\nlast', true);
+
+            expect(container.querySelector('h1')).toBe(title);
+            expect(container.querySelectorAll('p')[2]).toBe(last);
+            expect(last.getAttribute('data-source-line')).toBe('7');
+            expect(Array.from(container.querySelectorAll('p')).map(p => p.textContent))
+                .toEqual(['changed', 'more', 'last']);
+        });
+
+        it('should rebuild every block on refresh', async () => {
+            await preview.render('# Title\n\ntext', true);
+            const title = container.querySelector('h1');
+
+            await preview.refresh('# Title\n\ntext');
+
+            expect(container.querySelector('h1')).not.toBe(title);
+            expect(container.querySelector('h1').textContent).toBe('Title');
+        });
+    });
 });
@@ -0,0 +1,147 @@
+/**
+ * AI Edit Patch
+ * Applies the targeted edits the AI chat proposes instead of a whole document.
+ * A patch is a list of search/replace blocks, each optionally anchored to a
+ * section by its heading:
+ *
+ *   <<<SEARCH section="## Heading">>>
+ *   text to find
+ *   <<<REPLACE>>>
+ *   replacement text
+ *   <<<END_REPLACE>>>
+ *
+ * An empty search adds the replacement at the end of the section.
+ */
+
+const BLOCK_PATTERN = new RegExp(
+    '<<<SEARCH(?:\\s+section="([^"]*)")?>>>\\n?([\\s\\S]*?)\\n?<<<REPLACE>>>\\n?([\\s\\S]*?)\\n?<<<END_REPLACE>>>',
+    'g'
+);
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+const FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+
+/**
+ * @typedef {Object} EditBlock
+ * @property {string|null} section - Heading of the section the search is limited to, with or without its #s
+ * @property {string} search - Exact text to find; empty to add at the end of the section
+ * @property {string} replace - Replacement text
+ */
+
+/**
+ * Parse the search/replace blocks of a patch
+ * @param {string} text - Patch content
+ * @returns {EditBlock[]} In order
+ */
+function parseEditBlocks(text) {
+    const blocks = [];
+
+    for (const match of text.replace(/\r\n/g, '\n').matchAll(BLOCK_PATTERN)) {
+        blocks.push({
+            section: match[1] ? match[1].trim() : null,
+            search: match[2],
+            replace: match[3]
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Find the range of a section: its heading line and everything up to the next
+ * heading of the same or a higher level. Headings inside code blocks are ignored.
+ * @param {string} content - Document content
+ * @param {string} section - Heading text, optionally with its #s to require a level
+ * @returns {{from: number, to: number}|null} Character offsets, null when the heading is missing
+ */
+function findSectionRange(content, section) {
+    const wanted = HEADING_PATTERN.exec(section);
+    const wantedLevel = wanted ? wanted[1].length : null;
+    const wantedText = (wanted ? wanted[2] : section).trim().toLowerCase();
+    const lines = content.split('\n');
+    let offset = 0;
+    let inFence = false;
+    let start = null;
+
+    for (const line of lines) {
+        const heading = inFence ? null : HEADING_PATTERN.exec(line);
+
+        if (FENCE_PATTERN.test(line)) {
+            inFence = !inFence;
+        }
+
+        if (heading) {
+            const level = heading[1].length;
+
+            if (start && level <= start.level) {
+                return { from: start.from, to: offset - 1 };
+            }
+            if (!start && heading[2].toLowerCase() === wantedText && (!wantedLevel || level === wantedLevel)) {
+                start = { from: offset, level };
+            }
+        }
+
+        offset += line.length + 1;
+    }
+
+    return start ? { from: start.from, to: content.length } : null;
+}
+
+/**
+ * Apply search/replace blocks to a document, each to the result of the previous one
+ * @param {string} content - Document content
+ * @param {EditBlock[]} blocks
+ * @returns {{content: string, applied: EditBlock[], failed: EditBlock[]}} Blocks whose section or
+ *   search text was not found, or whose search text is ambiguous, are left out and reported as failed
+ */
+function applyEditBlocks(content, blocks) {
+    const applied = [];
+    const failed = [];
+
+    for (const block of blocks) {
+        const range = block.section ? findSectionRange(content, block.section) : { from: 0, to: content.length };
+
+        if (!range) {
+            failed.push(block);
+            continue;
+        }
+
+        const region = content.slice(range.from, range.to);
+
+        if (!block.search) {
+            if (!block.section) {
+                failed.push(block);
+                continue;
+            }
+
+            const end = range.from + region.replace(/\s+$/, '').length;
+
+            // A blank line keeps the addition from continuing the last paragraph of the section
+            content = `${content.slice(0, end)}\n\n${block.replace}${content.slice(end)}`;
+            applied.push(block);
+            continue;
+        }
+
+        const index = region.indexOf(block.search);
+
+        // Without a section the text must be unique, or the wrong occurrence could be changed
+        if (index === -1 || (!block.section && region.indexOf(block.search, index + 1) !== -1)) {
+            failed.push(block);
+            continue;
+        }
+
+        const from = range.from + index;
+
+        content = content.slice(0, from) + block.replace + content.slice(from + block.search.length);
+        applied.push(block);
+    }
+
+    return { content, applied, failed };
+}
+
+module.exports = {
+    applyEditBlocks,
+    findSectionRange,
+    parseEditBlocks
+};
@@ -0,0 +1,81 @@
+/**
+ * Tests for AI Edit Patch
+ */
+
+const { applyEditBlocks, findSectionRange, parseEditBlocks } = require('./ai-edit-patch');
+
+const DOC = '# Notes\n\nIntro text\n\n## Tasks\n\n- item\n\n```\n## not a heading\n```\n\n## Done\n\n- item\n';
+
+describe('parseEditBlocks', () => {
+    it('should parse blocks with and without a section', () => {
+        const patch = '<<<SEARCH section="## Tasks">>>\n- item\n<<<REPLACE>>>\n- task\n<<<END_REPLACE>>>\n\n'
+            + '<<<SEARCH>>>\nIntro\n<<<REPLACE>>>\nPreface\n<<<END_REPLACE>>>';
+
+        expect(parseEditBlocks(patch)).toEqual([
+            { section: '## Tasks', search: '- item', replace: '- task' },
+            { section: null, search: 'Intro', replace: 'Preface' }
+        ]);
+    });
+
+    it('should keep empty search and replace texts', () => {
+        const patch = '<<<SEARCH section="Done">>>\n<<<REPLACE>>>\n<<<END_REPLACE>>>';
+
+        expect(parseEditBlocks(patch)).toEqual([{ section: 'Done', search: '', replace: '' }]);
+    });
+});
+
+describe('findSectionRange', () => {
+    it('should end a section at the next heading of the same level, ignoring code blocks', () => {
+        const range = findSectionRange(DOC, '## Tasks');
+
+        expect(DOC.slice(range.from, range.to)).toBe('## Tasks\n\n- item\n\n```\n## not a heading\n```\n');
+    });
+
+    it('should include subsections and match headings case-insensitively', () => {
+        const range = findSectionRange(DOC, 'notes');
+
+        expect(range).toEqual({ from: 0, to: DOC.length });
+    });
+
+    it('should require the level when the heading has #s', () => {
+        expect(findSectionRange(DOC, '# Tasks')).toBeNull();
+        expect(findSectionRange(DOC, 'Missing')).toBeNull();
+    });
+});
+
+describe('applyEditBlocks', () => {
+    it('should replace the text inside the given section only', () => {
+        const result = applyEditBlocks(DOC, [{ section: 'Done', search: '- item', replace: '- finished' }]);
+
+        expect(result.content).toBe(DOC.replace('## Done\n\n- item', '## Done\n\n- finished'));
+        expect(result.failed).toEqual([]);
+    });
+
+    it('should add to the end of the section when the search is empty', () => {
+        const { content } = applyEditBlocks(DOC, [{ section: '## Tasks', search: '', replace: '- new' }]);
+
+        expect(content).toContain('```\n\n- new\n\n## Done');
+    });
+
+    it('should separate an added paragraph from the last one of the section', () => {
+        const { content } = applyEditBlocks('# Notes\n\nFirst paragraph.\n', [
+            { section: 'Notes', search: '', replace: 'A new closing paragraph.' }
+        ]);
+
+        expect(content).toBe('# Notes\n\nFirst paragraph.\n\nA new closing paragraph.\n');
+    });
+
+    it('should report blocks that cannot be applied', () => {
+        const blocks = [
+            { section: null, search: '- item', replace: 'ambiguous' },
+            { section: 'Tasks', search: 'absent', replace: 'x' },
+            { section: 'Missing', search: '', replace: 'x' },
+            { section: null, search: 'Intro', replace: 'Preface' }
+        ];
+        const result = applyEditBlocks(DOC, blocks);
+
+        expect(result.content).toBe(DOC.replace('Intro', 'Preface'));
+        expect(result.applied).toEqual([blocks[3]]);
+        expect(result.failed).toEqual(blocks.slice(0, 3));
+    });
+});
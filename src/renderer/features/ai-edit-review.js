@@ -0,0 +1,353 @@
+/**
+ * AI Edit Review
+ * Shows an edit proposed by the AI chat as an inline diff in the editor. Each
+ * change is reviewed on its own: removed lines are marked in place and the
+ * lines that would replace them are shown below, with buttons to accept or
+ * reject the change. The document only changes when a change is accepted;
+ * editing over a pending change discards it.
+ */
+
+const { EditorView, Decoration, WidgetType, showPanel } = require('@codemirror/view');
+const { StateField, StateEffect } = require('@codemirror/state');
+const { diffLines } = require('./line-diff.js');
+const i18n = require('../i18n/index.js');
+
+/**
+ * @typedef {Object} ReviewHunk
+ * @property {number} id - Unique within a review
+ * @property {number} from - Start of the range replaced when accepted
+ * @property {number} to - End of the range replaced when accepted
+ * @property {string} insert - Text inserted when accepted
+ * @property {string[]} added - Lines added by the change
+ * @property {number} removed - Number of lines removed by the change
+ * @property {number} markFrom - Start of the removed lines
+ * @property {number} markTo - End of the removed lines
+ * @property {number} widgetPos - Where the added lines are shown
+ * @property {-1|1} widgetSide - Whether they are shown before or after widgetPos
+ */
+
+/**
+ * Compute the changes turning a text into a proposed one
+ * @param {string} text - Current content
+ * @param {string} proposed - Proposed content
+ * @returns {ReviewHunk[]} In document order, with offsets in the current content
+ */
+function computeReviewHunks(text, proposed) {
+    const diff = diffLines(text, proposed);
+    const lineStarts = [0];
+    const hunks = [];
+    let index = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const lineEnd = line => (line < lineStarts.length ? lineStarts[line] - 1 : text.length);
+
+    while (index < diff.length) {
+        if (diff[index].type === 'equal') {
+            index++;
+            continue;
+        }
+
+        const removedLines = [];
+        const added = [];
+
+        while (index < diff.length && diff[index].type !== 'equal') {
+            if (diff[index].type === 'add') added.push(diff[index].text);
+            else removedLines.push(diff[index].oldLine);
+            index++;
+        }
+
+        let hunk;
+
+        if (removedLines.length > 0) {
+            const first = removedLines[0];
+            const last = removedLines[removedLines.length - 1];
+            const markFrom = lineStarts[first - 1];
+            const markTo = lineEnd(last);
+
+            hunk = {
+                from: markFrom,
+                to: markTo,
+                insert: added.join('\n'),
+                markFrom,
+                markTo,
+                widgetPos: markTo,
+                widgetSide: 1
+            };
+            if (added.length === 0) {
+                // Remove the lines with a line break, the one after them unless they end the text
+                if (last < lineStarts.length) hunk.to = lineStarts[last];
+                else if (first > 1) hunk.from = markFrom - 1;
+            }
+        } else {
+            // Added lines only: insert them before the next unchanged line, or at the end
+            const next = index < diff.length ? lineStarts[diff[index].oldLine - 1] : null;
+
+            hunk = next === null
+                ? { from: text.length, to: text.length, insert: `\n${added.join('\n')}`, widgetSide: 1 }
+                : { from: next, to: next, insert: `${added.join('\n')}\n`, widgetSide: -1 };
+            hunk.markFrom = hunk.markTo = hunk.widgetPos = hunk.from;
+        }
+
+        hunks.push({ id: hunks.length + 1, ...hunk, added, removed: removedLines.length });
+    }
+
+    return hunks;
+}
+
+// Proposed content to review, or null to end the review
+const setAIReview = StateEffect.define();
+// Ids of the hunks accepted or rejected
+const resolveHunks = StateEffect.define();
+
+const removedLine = Decoration.line({ class: 'cm-ai-review-removed' });
+
+class HunkWidget extends WidgetType {
+    constructor(hunk) {
+        super();
+        this.hunk = hunk;
+    }
+
+    eq(other) {
+        return other.hunk.id === this.hunk.id && other.hunk.insert === this.hunk.insert;
+    }
+
+    toDOM(view) {
+        const element = document.createElement('div');
+        const actions = document.createElement('div');
+
+        element.className = 'cm-ai-review-hunk';
+        for (const line of this.hunk.added) {
+            const lineElement = document.createElement('div');
+
+            lineElement.className = 'cm-ai-review-added';
+            lineElement.textContent = line || '\u200b';
+            element.appendChild(lineElement);
+        }
+
+        actions.className = 'cm-ai-review-actions';
+        actions.append(
+            createButton(i18n.t('aiReview.accept'), 'cm-ai-review-accept', () => acceptHunk(view, this.hunk.id)),
+            createButton(i18n.t('aiReview.reject'), 'cm-ai-review-reject', () => rejectHunk(view, this.hunk.id))
+        );
+        element.appendChild(actions);
+        return element;
+    }
+
+    ignoreEvent() {
+        return true;
+    }
+}
+
+/**
+ * Create a review button
+ * @param {string} label
+ * @param {string} className
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createButton(label, className, onClick) {
+    const button = document.createElement('button');
+
+    button.type = 'button';
+    button.className = `cm-ai-review-button ${className}`;
+    button.textContent = label;
+    button.addEventListener('mousedown', event => event.preventDefault());
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Build the decorations of the pending hunks
+ * @param {ReviewHunk[]} hunks
+ * @param {Text} doc - CodeMirror document
+ * @returns {DecorationSet}
+ */
+function buildDecorations(hunks, doc) {
+    const ranges = [];
+
+    for (const hunk of hunks) {
+        if (hunk.removed > 0) {
+            for (let line = doc.lineAt(hunk.markFrom); ; line = doc.line(line.number + 1)) {
+                ranges.push(removedLine.range(line.from));
+                if (line.to >= hunk.markTo) break;
+            }
+        }
+
+        ranges.push(Decoration.widget({ widget: new HunkWidget(hunk), block: true, side: hunk.widgetSide })
+            .range(hunk.widgetPos));
+    }
+
+    return Decoration.set(ranges, true);
+}
+
+/**
+ * Check whether a transaction changed the text of a hunk or right next to it
+ * @param {Transaction} transaction
+ * @param {ReviewHunk} hunk
+ * @returns {boolean}
+ */
+function touchesHunk(transaction, hunk) {
+    let touched = false;
+
+    transaction.changes.iterChangedRanges((fromA, toA) => {
+        if (fromA <= Math.max(hunk.to, hunk.markTo) && toA >= hunk.from) touched = true;
+    });
+    return touched;
+}
+
+/**
+ * Map a hunk through document changes
+ * @param {ReviewHunk} hunk
+ * @param {ChangeDesc} changes
+ * @returns {ReviewHunk}
+ */
+function mapHunk(hunk, changes) {
+    return {
+        ...hunk,
+        from: changes.mapPos(hunk.from),
+        to: changes.mapPos(hunk.to),
+        markFrom: changes.mapPos(hunk.markFrom),
+        markTo: changes.mapPos(hunk.markTo),
+        widgetPos: changes.mapPos(hunk.widgetPos, hunk.widgetSide)
+    };
+}
+
+const aiReviewState = StateField.define({
+    create: () => ({ hunks: [], decorations: Decoration.none }),
+    update(value, transaction) {
+        let { hunks } = value;
+
+        if (transaction.docChanged && hunks.length > 0) {
+            hunks = hunks.filter(hunk => !touchesHunk(transaction, hunk))
+                .map(hunk => mapHunk(hunk, transaction.changes));
+        }
+
+        for (const effect of transaction.effects) {
+            if (effect.is(setAIReview)) {
+                hunks = effect.value === null ? [] : computeReviewHunks(transaction.state.doc.toString(), effect.value);
+            } else if (effect.is(resolveHunks)) {
+                hunks = hunks.filter(hunk => !effect.value.includes(hunk.id));
+            }
+        }
+
+        if (hunks === value.hunks) {
+            return value;
+        }
+
+        return { hunks, decorations: buildDecorations(hunks, transaction.state.doc) };
+    },
+    provide: field => [
+        EditorView.decorations.from(field, value => value.decorations),
+        showPanel.from(field, value => (value.hunks.length > 0 ? createReviewPanel : null))
+    ]
+});
+
+/**
+ * Create the panel above the editor with the pending change count and the review-all buttons
+ * @param {EditorView} view
+ * @returns {Panel}
+ */
+function createReviewPanel(view) {
+    const dom = document.createElement('div');
+    const label = document.createElement('span');
+    const updateLabel = state => {
+        label.textContent = i18n.t('aiReview.pending', { count: state.field(aiReviewState).hunks.length });
+    };
+
+    dom.className = 'cm-ai-review-panel';
+    label.className = 'cm-ai-review-count';
+    updateLabel(view.state);
+    dom.append(
+        label,
+        createButton(i18n.t('aiReview.acceptAll'), 'cm-ai-review-accept', () => acceptAllHunks(view)),
+        createButton(i18n.t('aiReview.rejectAll'), 'cm-ai-review-reject', () => rejectAllHunks(view))
+    );
+
+    return {
+        dom,
+        top: true,
+        update: update => updateLabel(update.state)
+    };
+}
+
+/**
+ * Apply the given pending hunks to the document
+ * @param {EditorView} view
+ * @param {ReviewHunk[]} hunks
+ */
+function applyHunks(view, hunks) {
+    if (hunks.length === 0) {
+        return;
+    }
+
+    view.dispatch({
+        changes: hunks.map(({ from, to, insert }) => ({ from, to, insert })),
+        effects: resolveHunks.of(hunks.map(hunk => hunk.id)),
+        userEvent: 'input.ai-review'
+    });
+}
+
+/**
+ * Accept one pending change
+ * @param {EditorView} view
+ * @param {number} id - Hunk id
+ */
+function acceptHunk(view, id) {
+    applyHunks(view, view.state.field(aiReviewState).hunks.filter(hunk => hunk.id === id));
+}
+
+/**
+ * Reject one pending change, leaving the document as it is
+ * @param {EditorView} view
+ * @param {number} id - Hunk id
+ */
+function rejectHunk(view, id) {
+    view.dispatch({ effects: resolveHunks.of([id]) });
+}
+
+/**
+ * Accept every pending change
+ * @param {EditorView} view
+ */
+function acceptAllHunks(view) {
+    applyHunks(view, view.state.field(aiReviewState).hunks);
+}
+
+/**
+ * Reject every pending change
+ * @param {EditorView} view
+ */
+function rejectAllHunks(view) {
+    view.dispatch({ effects: setAIReview.of(null) });
+}
+
+/**
+ * Get the changes still waiting for review
+ * @param {EditorState} state
+ * @returns {ReviewHunk[]}
+ */
+function getPendingHunks(state) {
+    return state.field(aiReviewState, false)?.hunks || [];
+}
+
+/**
+ * Create the AI edit review extensions
+ * @returns {Extension[]} CodeMirror extensions
+ */
+function aiEditReview() {
+    return [aiReviewState];
+}
+
+module.exports = {
+    acceptAllHunks,
+    acceptHunk,
+    aiEditReview,
+    computeReviewHunks,
+    getPendingHunks,
+    rejectAllHunks,
+    rejectHunk,
+    setAIReview
+};
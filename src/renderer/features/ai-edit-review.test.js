@@ -0,0 +1,109 @@
+/**
+ * Tests for AI Edit Review
+ */
+
+const { EditorState } = require('@codemirror/state');
+const { EditorView } = require('@codemirror/view');
+const {
+    acceptAllHunks,
+    acceptHunk,
+    aiEditReview,
+    computeReviewHunks,
+    getPendingHunks,
+    rejectHunk,
+    setAIReview
+} = require('./ai-edit-review');
+
+/**
+ * Apply hunks to a text the way accepting them does
+ */
+function applyAll(text, hunks) {
+    return EditorState.create({ doc: text }).update({
+        changes: hunks.map(({ from, to, insert }) => ({ from, to, insert }))
+    }).state.doc.toString();
+}
+
+describe('computeReviewHunks', () => {
+    it('should report nothing for unchanged text', () => {
+        expect(computeReviewHunks('a\nb', 'a\nb')).toEqual([]);
+    });
+
+    it('should split separate changes into hunks', () => {
+        const hunks = computeReviewHunks('a\nb\nc\nd\ne', 'a\nB\nc\nd\nE');
+
+        expect(hunks.map(hunk => [hunk.added, hunk.removed])).toEqual([
+            [['B'], 1],
+            [['E'], 1]
+        ]);
+    });
+
+    it.each([
+        ['replaced lines', 'a\nb\nc', 'a\nB1\nB2\nc'],
+        ['added lines', 'a\nc', 'a\nb\nc'],
+        ['lines added at the start', 'b\nc', 'a\nb\nc'],
+        ['lines added at the end', 'a\nb', 'a\nb\nc\nd'],
+        ['removed lines', 'a\nb\nc', 'a\nc'],
+        ['lines removed at the start', 'a\nb\nc', 'c'],
+        ['lines removed at the end', 'a\nb\nc', 'a'],
+        ['an emptied text', 'a\nb', ''],
+        ['an empty text', '', 'a\nb'],
+        ['mixed changes', '# T\n\none\ntwo\n\nend\n', '# Title\n\none\n\nend\nmore\n']
+    ])('should turn the text into the proposed one when every hunk of %s is accepted', (_, text, proposed) => {
+        expect(applyAll(text, computeReviewHunks(text, proposed))).toBe(proposed);
+    });
+});
+
+describe('aiEditReview', () => {
+    let view;
+
+    beforeEach(() => {
+        view = new EditorView({
+            state: EditorState.create({ doc: 'a\nb\nc\nd\ne', extensions: aiEditReview() }),
+            parent: document.body
+        });
+        view.dispatch({ effects: setAIReview.of('a\nB\nc\nd\nE') });
+    });
+
+    afterEach(() => {
+        view.destroy();
+    });
+
+    it('should show the changes without editing the document', () => {
+        expect(view.state.doc.toString()).toBe('a\nb\nc\nd\ne');
+        expect(view.dom.querySelectorAll('.cm-ai-review-removed')).toHaveLength(2);
+        expect(Array.from(view.dom.querySelectorAll('.cm-ai-review-added'), line => line.textContent))
+            .toEqual(['B', 'E']);
+        expect(view.dom.querySelector('.cm-ai-review-panel')).not.toBeNull();
+    });
+
+    it('should accept and reject changes one at a time', () => {
+        const [first, second] = getPendingHunks(view.state);
+
+        acceptHunk(view, second.id);
+        expect(view.state.doc.toString()).toBe('a\nb\nc\nd\nE');
+
+        rejectHunk(view, first.id);
+        expect(view.state.doc.toString()).toBe('a\nb\nc\nd\nE');
+        expect(getPendingHunks(view.state)).toEqual([]);
+        expect(view.dom.querySelector('.cm-ai-review-panel')).toBeNull();
+    });
+
+    it('should accept every change from the buttons', () => {
+        view.dom.querySelector('.cm-ai-review-panel .cm-ai-review-accept').click();
+
+        expect(view.state.doc.toString()).toBe('a\nB\nc\nd\nE');
+    });
+
+    it('should keep the changes in place when the document is edited elsewhere', () => {
+        view.dispatch({ changes: { from: 0, insert: 'start\n' } });
+        acceptAllHunks(view);
+
+        expect(view.state.doc.toString()).toBe('start\na\nB\nc\nd\nE');
+    });
+
+    it('should discard a change when its text is edited', () => {
+        view.dispatch({ changes: { from: 2, to: 3, insert: 'x' } });
+
+        expect(getPendingHunks(view.state).map(hunk => hunk.added)).toEqual([['E']]);
+    });
+});
@@ -18,6 +18,8 @@ class AutoSaveManager {
         this.saveTimeoutId = null;
         this.currentFilePath = null;
         this.lastSavedContent = '';
+        // Files with an unresolved external change must not be overwritten
+        this.suspendedFilePaths = new Set();
 
         // Event callbacks
         this.saveStartCallback = null;
@@ -143,6 +145,32 @@ class AutoSaveManager {
         this.lastSavedContent = content;
     }
 
+    /**
+     * Suspend auto-save for a file
+     * Used while a newer version written by another program is pending review
+     * @param {string} filePath - The file path
+     */
+    suspendForFile(filePath) {
+        this.suspendedFilePaths.add(filePath);
+    }
+
+    /**
+     * Resume auto-save for a file
+     * @param {string} filePath - The file path
+     */
+    resumeForFile(filePath) {
+        this.suspendedFilePaths.delete(filePath);
+    }
+
+    /**
+     * Check if auto-save is suspended for a file
+     * @param {string} filePath - The file path
+     * @returns {boolean} True if suspended
+     */
+    isSuspendedForFile(filePath) {
+        return this.suspendedFilePaths.has(filePath);
+    }
+
     /**
      * Trigger save manually
      */
@@ -214,7 +242,7 @@ class AutoSaveManager {
      * @private
      */
     async _performSave() {
-        if (!this.currentFilePath) {
+        if (!this.currentFilePath || this.isSuspendedForFile(this.currentFilePath)) {
             return;
         }
 
@@ -330,6 +358,7 @@ class AutoSaveManager {
      */
     destroy() {
         this._cancelScheduledSave();
+        this.suspendedFilePaths.clear();
         this.saveStartCallback = null;
         this.saveCompleteCallback = null;
         this.saveErrorCallback = null;
@@ -433,6 +433,28 @@ $\\sum_{i=1}^n i = \\frac{n(n+1)}{2}$
         });
     });
 
+    describe('External Change Suspension', () => {
+        it('should not save a file while it is suspended', async () => {
+            editor.setValue('# Local edits');
+            autoSaveManager.suspendForFile(testFilePath);
+
+            await autoSaveManager.saveNow();
+
+            expect(mockElectronAPI.saveFile).not.toHaveBeenCalled();
+            expect(autoSaveManager.isSuspendedForFile(testFilePath)).toBe(true);
+        });
+
+        it('should save again after being resumed', async () => {
+            editor.setValue('# Local edits');
+            autoSaveManager.suspendForFile(testFilePath);
+            autoSaveManager.resumeForFile(testFilePath);
+
+            await autoSaveManager.saveNow();
+
+            expect(mockElectronAPI.saveFile).toHaveBeenCalledWith(testFilePath, '# Local edits');
+        });
+    });
+
     describe('Special Characters and Edge Cases', () => {
         it('should preserve special characters in math formulas', async () => {
             const specialChars = `# Special Characters
@@ -0,0 +1,169 @@
+/**
+ * Git Gutter
+ * Marks the lines added, changed or deleted since the last commit in a
+ * CodeMirror gutter. The committed content is set by the caller; markers
+ * follow edits immediately and are recomputed shortly after typing stops.
+ */
+
+const { gutter, GutterMarker, ViewPlugin } = require('@codemirror/view');
+const { StateField, StateEffect, RangeSet } = require('@codemirror/state');
+const { diffLines } = require('./line-diff.js');
+
+// Delay before recomputing markers after an edit
+const RECOMPUTE_DELAY = 300;
+
+/**
+ * @typedef {Object} LineChange
+ * @property {number} line - 1-based line number in the current text
+ * @property {'added'|'modified'|'deleted'} type - Deleted marks the line after the removed lines
+ */
+
+/**
+ * Compute the changed lines of a text compared to its committed content
+ * @param {string} baseline - Committed content
+ * @param {string} text - Current content
+ * @returns {LineChange[]} In line order
+ */
+function computeLineChanges(baseline, text) {
+    const diff = diffLines(baseline, text);
+    const lineCount = text.split('\n').length;
+    const changes = [];
+    let index = 0;
+
+    while (index < diff.length) {
+        if (diff[index].type === 'equal') {
+            index++;
+            continue;
+        }
+
+        const added = [];
+        let removed = 0;
+
+        while (index < diff.length && diff[index].type !== 'equal') {
+            if (diff[index].type === 'add') added.push(diff[index].newLine);
+            else removed++;
+            index++;
+        }
+
+        if (added.length > 0) {
+            const type = removed > 0 ? 'modified' : 'added';
+
+            added.forEach(line => changes.push({ line, type }));
+        } else {
+            // Removed lines have no line left to mark; mark where they were
+            const next = index < diff.length ? diff[index].newLine : lineCount;
+
+            changes.push({ line: Math.min(next, lineCount), type: 'deleted' });
+        }
+    }
+
+    return changes;
+}
+
+class GitChangeMarker extends GutterMarker {
+    constructor(type) {
+        super();
+        this.type = type;
+    }
+
+    eq(other) {
+        return other.type === this.type;
+    }
+
+    toDOM() {
+        const element = document.createElement('div');
+
+        element.className = `cm-git-marker cm-git-marker--${this.type}`;
+        return element;
+    }
+}
+
+const MARKERS = {
+    added: new GitChangeMarker('added'),
+    modified: new GitChangeMarker('modified'),
+    deleted: new GitChangeMarker('deleted')
+};
+
+// Committed content of the document, null when there is none to compare with
+const setGitBaseline = StateEffect.define();
+const setGitMarkers = StateEffect.define();
+
+/**
+ * Build the gutter markers of a document
+ * @param {string} baseline
+ * @param {Text} doc - CodeMirror document
+ * @returns {RangeSet<GutterMarker>}
+ */
+function buildMarkers(baseline, doc) {
+    const ranges = computeLineChanges(baseline, doc.toString())
+        .map(change => MARKERS[change.type].range(doc.line(change.line).from));
+
+    return RangeSet.of(ranges, true);
+}
+
+const gitGutterState = StateField.define({
+    create: () => ({ baseline: null, markers: RangeSet.empty }),
+    update(value, transaction) {
+        let { baseline, markers } = value;
+
+        markers = markers.map(transaction.changes);
+        for (const effect of transaction.effects) {
+            if (effect.is(setGitBaseline)) {
+                baseline = effect.value;
+                markers = baseline === null ? RangeSet.empty : buildMarkers(baseline, transaction.state.doc);
+            } else if (effect.is(setGitMarkers)) {
+                markers = effect.value;
+            }
+        }
+
+        return { baseline, markers };
+    }
+});
+
+// Recomputes the markers once edits pause; mapping alone cannot tell added lines from changed ones
+const recomputePlugin = ViewPlugin.fromClass(class {
+    constructor(view) {
+        this.view = view;
+        this.timer = null;
+    }
+
+    update(update) {
+        if (!update.docChanged || update.state.field(gitGutterState).baseline === null) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            const { baseline } = this.view.state.field(gitGutterState);
+
+            if (baseline !== null) {
+                this.view.dispatch({ effects: setGitMarkers.of(buildMarkers(baseline, this.view.state.doc)) });
+            }
+        }, RECOMPUTE_DELAY);
+    }
+
+    destroy() {
+        clearTimeout(this.timer);
+    }
+});
+
+/**
+ * Create the git gutter extensions
+ * @returns {Extension[]} CodeMirror extensions
+ */
+function gitGutter() {
+    return [
+        gitGutterState,
+        recomputePlugin,
+        gutter({
+            class: 'cm-git-gutter',
+            markers: view => view.state.field(gitGutterState).markers
+        })
+    ];
+}
+
+module.exports = {
+    computeLineChanges,
+    gitGutter,
+    setGitBaseline
+};
@@ -0,0 +1,64 @@
+/**
+ * Tests for Git Gutter
+ */
+
+const { EditorState } = require('@codemirror/state');
+const { EditorView } = require('@codemirror/view');
+const { computeLineChanges, gitGutter, setGitBaseline } = require('./git-gutter');
+
+describe('computeLineChanges', () => {
+    it('should report nothing for unchanged text', () => {
+        expect(computeLineChanges('a\nb', 'a\nb')).toEqual([]);
+    });
+
+    it('should mark added lines', () => {
+        expect(computeLineChanges('a\nc', 'a\nb1\nb2\nc')).toEqual([
+            { line: 2, type: 'added' },
+            { line: 3, type: 'added' }
+        ]);
+    });
+
+    it('should mark replaced lines as modified', () => {
+        expect(computeLineChanges('a\nb\nc', 'a\nB\nc')).toEqual([{ line: 2, type: 'modified' }]);
+    });
+
+    it('should mark deletions on the line that follows them', () => {
+        expect(computeLineChanges('a\nb\nc', 'a\nc')).toEqual([{ line: 2, type: 'deleted' }]);
+    });
+
+    it('should mark deletions at the end on the last line', () => {
+        expect(computeLineChanges('a\nb\nc', 'a\nb')).toEqual([{ line: 2, type: 'deleted' }]);
+    });
+});
+
+describe('gitGutter', () => {
+    let view;
+
+    beforeEach(() => {
+        view = new EditorView({
+            state: EditorState.create({ doc: 'a\nB\nc', extensions: gitGutter() }),
+            parent: document.body
+        });
+    });
+
+    afterEach(() => {
+        view.destroy();
+    });
+
+    const markerClasses = () => Array.from(view.dom.querySelectorAll('.cm-git-marker'), marker => marker.className);
+
+    it('should show markers once the committed content is set', () => {
+        expect(markerClasses()).toEqual([]);
+
+        view.dispatch({ effects: setGitBaseline.of('a\nb\nc') });
+
+        expect(markerClasses()).toEqual(['cm-git-marker cm-git-marker--modified']);
+    });
+
+    it('should clear markers when there is no committed content', () => {
+        view.dispatch({ effects: setGitBaseline.of('') });
+        view.dispatch({ effects: setGitBaseline.of(null) });
+
+        expect(markerClasses()).toEqual([]);
+    });
+});
@@ -5,6 +5,147 @@
 
 const TurndownService = require('turndown');
 
+/**
+ * Class name parts that mark callout-like boxes, e.g. `admonition` (Sphinx,
+ * Docusaurus), `markdown-alert` (GitHub), `alert` (Bootstrap) or `callout`
+ */
+const CALLOUT_MARKERS = ['callout', 'admonition', 'alert', 'macro'];
+
+/** Class name parts naming the type of a callout-like box */
+const CALLOUT_TYPES = {
+    note: 'NOTE',
+    info: 'NOTE',
+    information: 'NOTE',
+    tip: 'TIP',
+    hint: 'TIP',
+    success: 'TIP',
+    important: 'IMPORTANT',
+    warning: 'WARNING',
+    attention: 'WARNING',
+    caution: 'CAUTION',
+    danger: 'CAUTION',
+    error: 'CAUTION'
+};
+
+/**
+ * Direct rows of a table, without the rows of nested tables
+ * @param {HTMLTableElement} table
+ * @returns {HTMLTableRowElement[]}
+ */
+function getTableRows(table) {
+    const rows = [];
+
+    for (const child of Array.from(table.childNodes)) {
+        if (child.nodeName === 'TR') {
+            rows.push(child);
+        } else if (['THEAD', 'TBODY', 'TFOOT'].includes(child.nodeName)) {
+            rows.push(...Array.from(child.childNodes).filter(node => node.nodeName === 'TR'));
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Cells of a table row
+ * @param {HTMLTableRowElement} row
+ * @returns {HTMLTableCellElement[]}
+ */
+function getRowCells(row) {
+    return Array.from(row.childNodes).filter(node => node.nodeName === 'TD' || node.nodeName === 'TH');
+}
+
+/**
+ * Whether a node is inside a table cell
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isInsideTableCell(node) {
+    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (parent.nodeName === 'TD' || parent.nodeName === 'TH') {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Find the footnote a link points to: a list item whose ID is the link target,
+ * as written by Word converters, markdown-it-footnote, Pandoc or Wikipedia
+ * @param {HTMLAnchorElement} link
+ * @returns {HTMLLIElement|null}
+ */
+function getFootnoteTarget(link) {
+    const href = link.getAttribute('href') || '';
+
+    if (!href.startsWith('#') || href.length < 2 || !/^\[?[\w-]+\]?$/.test(link.textContent.trim())) {
+        return null;
+    }
+
+    const target = link.ownerDocument.getElementById(decodeURIComponent(href.slice(1)));
+
+    return target && target.nodeName === 'LI' ? target : null;
+}
+
+/**
+ * Label of a footnote: its position in the list of footnotes
+ * @param {HTMLLIElement} item
+ * @returns {string}
+ */
+function getFootnoteLabel(item) {
+    const list = item.parentNode;
+    const start = parseInt(list.getAttribute('start'), 10) || 1;
+    const items = Array.from(list.childNodes).filter(node => node.nodeName === 'LI');
+
+    return String(start + items.indexOf(item));
+}
+
+/**
+ * Whether a list item is the target of a footnote reference in the document
+ * @param {HTMLLIElement} item
+ * @returns {boolean}
+ */
+function isFootnote(item) {
+    if (!item.id) {
+        return false;
+    }
+
+    return Array.from(item.ownerDocument.getElementsByTagName('a')).some(link => getFootnoteTarget(link) === item);
+}
+
+/**
+ * Type of a callout-like box from its class names, e.g. `admonition warning`
+ * @param {HTMLElement} node
+ * @returns {string|null} Callout type, e.g. 'WARNING'
+ */
+function getCalloutType(node) {
+    if (!['DIV', 'ASIDE', 'SECTION', 'BLOCKQUOTE'].includes(node.nodeName)) {
+        return null;
+    }
+
+    const parts = (node.getAttribute('class') || '').toLowerCase().split(/[\s_-]+/).filter(Boolean);
+
+    if (node.nodeName !== 'ASIDE' && !parts.some(part => CALLOUT_MARKERS.includes(part))) {
+        return null;
+    }
+
+    // The most specific class name comes last, e.g. `alert alert-danger`
+    const types = parts.filter(part => CALLOUT_TYPES[part]);
+
+    return types.length > 0 ? CALLOUT_TYPES[types[types.length - 1]] : null;
+}
+
+/**
+ * Title element of a callout-like box, e.g. `<p class="admonition-title">`
+ * @param {HTMLElement} node
+ * @returns {HTMLElement|null}
+ */
+function getCalloutTitle(node) {
+    const first = Array.from(node.childNodes).find(child => child.nodeType === 1);
+
+    return first && /title|heading/i.test(first.getAttribute('class') || '') ? first : null;
+}
+
 class HtmlToMarkdownConverter {
     constructor() {
         this.turndownService = new TurndownService({
@@ -44,12 +185,77 @@ class HtmlToMarkdownConverter {
             }
         });
 
-        // Handle tables better
+        // Handle tables as GFM tables; tables nested in a cell are flattened into it
         this.turndownService.addRule('table', {
             filter: 'table',
-            replacement: (content) => {
-                // Let turndown handle tables, but ensure proper spacing
-                return '\n' + content + '\n';
+            replacement: (content, node) => {
+                if (isInsideTableCell(node)) {
+                    return ' ' + this.flattenTable(node) + ' ';
+                }
+                return '\n\n' + this.convertTable(node) + '\n\n';
+            }
+        });
+
+        // Handle footnote references, e.g. <sup><a href="#fn1">[1]</a></sup>
+        this.turndownService.addRule('footnoteReference', {
+            filter: (node) => node.nodeName === 'A' && getFootnoteTarget(node) !== null,
+            replacement: (content, node) => `[^${getFootnoteLabel(getFootnoteTarget(node))}]`
+        });
+
+        // Drop the links from footnotes back to their references
+        this.turndownService.addRule('footnoteBackReference', {
+            filter: (node) => {
+                const href = node.nodeName === 'A' ? node.getAttribute('href') || '' : '';
+                const target = href.length > 1 && href.startsWith('#')
+                    ? node.ownerDocument.getElementById(decodeURIComponent(href.slice(1)))
+                    : null;
+
+                return Boolean(target && target.nodeName === 'A' && getFootnoteTarget(target));
+            },
+            replacement: () => ''
+        });
+
+        // Handle footnote lists
+        this.turndownService.addRule('footnotes', {
+            filter: (node) => {
+                const items = Array.from(node.childNodes).filter(child => child.nodeName === 'LI');
+
+                return node.nodeName === 'OL' && items.length > 0 && items.every(isFootnote);
+            },
+            replacement: (content, node) => {
+                const items = Array.from(node.childNodes).filter(child => child.nodeName === 'LI');
+                const notes = items.map(item => {
+                    const text = this.turndownService.turndown(item).trim().replace(/\n/g, '\n    ');
+
+                    return `[^${getFootnoteLabel(item)}]: ${text}`;
+                });
+
+                return '\n\n' + notes.join('\n') + '\n\n';
+            }
+        });
+
+        // Handle callout-like boxes (admonitions, alerts) as callouts
+        this.turndownService.addRule('callout', {
+            filter: (node) => getCalloutType(node) !== null,
+            replacement: (content, node) => {
+                const type = getCalloutType(node);
+                const box = node.cloneNode(true);
+                const title = getCalloutTitle(box);
+                let header = `[!${type}]`;
+
+                if (title) {
+                    const text = title.textContent.replace(/[^\p{L}\p{N}]+$|^[^\p{L}\p{N}]+/gu, '').trim();
+
+                    if (text && text.toUpperCase() !== type && !/[()]/.test(text)) {
+                        header += `(${text})`;
+                    }
+                    title.parentNode.removeChild(title);
+                }
+
+                const body = this.turndownService.turndown(box).trim();
+                const lines = [header, ...(body ? body.split('\n') : [])];
+
+                return '\n\n' + lines.map(line => (line ? `> ${line}` : '>')).join('\n') + '\n\n';
             }
         });
 
@@ -71,6 +277,53 @@ class HtmlToMarkdownConverter {
         });
     }
 
+    /**
+     * Convert a table to a GFM table; the first row becomes the header
+     * @param {HTMLTableElement} table
+     * @returns {string} Markdown table
+     */
+    convertTable(table) {
+        const rows = getTableRows(table).map(row => getRowCells(row).map(cell => {
+            return this.turndownService.turndown(cell)
+                .replace(/\n+/g, ' ')
+                .replace(/\|/g, '\\|')
+                .trim();
+        }));
+        const columns = Math.max(1, ...rows.map(row => row.length));
+        const formatRow = cells => {
+            const padded = Array.from({ length: columns }, (value, index) => cells[index] || '');
+
+            return `| ${padded.join(' | ')} |`;
+        };
+
+        if (rows.length === 0) {
+            return '';
+        }
+
+        return [
+            formatRow(rows[0]),
+            formatRow(Array(columns).fill('---')),
+            ...rows.slice(1).map(formatRow)
+        ].join('\n');
+    }
+
+    /**
+     * Flatten a table nested in a table cell, which markdown tables cannot hold:
+     * cells are separated by commas and rows by semicolons
+     * @param {HTMLTableElement} table
+     * @returns {string}
+     */
+    flattenTable(table) {
+        const cellText = cell => cell.textContent.replace(/\s+/g, ' ').trim();
+
+        return getTableRows(table)
+            .map(row => getRowCells(row).map(cellText)
+                .filter(Boolean)
+                .join(', '))
+            .filter(Boolean)
+            .join('; ');
+    }
+
     /**
      * Convert HTML to Markdown
      * @param {string} html - HTML content to convert
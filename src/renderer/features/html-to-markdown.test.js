@@ -167,6 +167,67 @@ describe('HtmlToMarkdownConverter', () => {
             expect(markdown).toContain('Cell 1');
             expect(markdown).toContain('Cell 2');
         });
+
+        it('should convert tables to GFM tables', () => {
+            const html = '<table><tr><th>Name</th><th>Value</th></tr><tr><td>a|b</td><td>1</td></tr></table>';
+            const markdown = converter.convert(html);
+
+            expect(markdown).toBe('| Name | Value |\n| --- | --- |\n| a\\|b | 1 |');
+        });
+
+        it('should flatten nested tables into their cell', () => {
+            const html = `
+                <table>
+                    <tr><th>Item</th><th>Details</th></tr>
+                    <tr>
+                        <td>Box</td>
+                        <td><table><tr><td>Width</td><td>10</td></tr><tr><td>Height</td><td>20</td></tr></table></td>
+                    </tr>
+                </table>
+            `;
+            const markdown = converter.convert(html);
+
+            expect(markdown).toContain('| Box | Width, 10; Height, 20 |');
+        });
+    });
+
+    describe('Footnotes', () => {
+        it('should convert footnote references and notes', () => {
+            const html = '<p>Text<sup><a href="#footnote-1" id="footnote-ref-1">[1]</a></sup></p>'
+                + '<ol><li id="footnote-1"><p>First note <a href="#footnote-ref-1">↑</a></p></li></ol>';
+            const markdown = converter.convert(html);
+
+            expect(markdown).toContain('Text[^1]');
+            expect(markdown).toContain('[^1]: First note');
+            expect(markdown).not.toContain('↑');
+        });
+
+        it('should leave ordinary ordered lists alone', () => {
+            const markdown = converter.convert('<ol><li>One</li><li>Two</li></ol>');
+
+            expect(markdown).not.toContain('[^');
+        });
+    });
+
+    describe('Callouts', () => {
+        it('should convert callout boxes to callout blockquotes', () => {
+            const markdown = converter.convert('<div class="admonition warning"><p>Careful.</p></div>');
+
+            expect(markdown).toBe('> [!WARNING]\n> Careful.');
+        });
+
+        it('should keep custom callout titles', () => {
+            const html = '<div class="callout callout-tip"><p class="callout-title">Pro tip</p><p>Save often.</p></div>';
+            const markdown = converter.convert(html);
+
+            expect(markdown).toBe('> [!TIP](Pro tip)\n> Save often.');
+        });
+
+        it('should not treat other boxes as callouts', () => {
+            const markdown = converter.convert('<div class="note"><p>Plain</p></div>');
+
+            expect(markdown).toBe('Plain');
+        });
     });
 
     describe('HTML Cleaning', () => {
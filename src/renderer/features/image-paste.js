@@ -1,13 +1,33 @@
 /**
- * ImagePaste - Handles image paste from clipboard
- * Intercepts Ctrl+V, saves images to assets folder, and inserts markdown links
+ * ImagePaste - Handles image paste from clipboard and files dropped on the editor
+ * Intercepts Ctrl+V and drops, saves images to assets folder, and inserts markdown links.
+ * Dropped files that are not images are linked where they are.
  */
 
+const i18n = require('../i18n/index.js');
+const notificationManager = require('../ui/notification.js');
+
+/** Image types the assets folder accepts; other images are linked like any file */
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'];
+const SUPPORTED_IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|svg)$/i;
+const MARKDOWN_EXTENSIONS = /\.(md|markdown)$/i;
+
+/**
+ * Escape text for use as a markdown link or image label
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLabel(text) {
+    return text.replace(/([[\]\\])/g, '\\$1');
+}
+
 class ImagePaste {
     constructor(editor) {
         this.editor = editor;
         this.enabled = true;
+        this.promptForName = false;
         this.pasteHandler = null;
+        this.dropHandler = null;
     }
 
     /**
@@ -18,13 +38,15 @@ class ImagePaste {
         try {
             const config = await window.electronAPI.getConfig('imagePaste');
             this.enabled = config.value?.enabled !== false;
+            this.promptForName = config.value?.promptForName === true;
         } catch (error) {
             console.error('Error loading image paste config:', error);
             // Use default (enabled)
         }
 
-        // Set up paste event listener
+        // Set up paste and drop event listeners
         this.setupPasteListener();
+        this.setupDropListener();
     }
 
     /**
@@ -74,34 +96,142 @@ class ImagePaste {
                     return;
                 }
 
-                // Convert blob to buffer
-                const arrayBuffer = await blob.arrayBuffer();
-                const uint8Array = new Uint8Array(arrayBuffer);
-
-                // Get current file path for relative path calculation
-                const activeTab = await window.electronAPI.getActiveTab();
-                const currentFilePath = activeTab?.tab?.filePath || null;
+                const relativePath = await this.saveImage(blob, await this.getCurrentFilePath());
 
-                // Save image via IPC (send as Uint8Array which IPC can serialize)
-                const result = await window.electronAPI.saveImageFromClipboard(uint8Array, currentFilePath);
-
-                if (result.success) {
+                if (relativePath) {
                     // Insert markdown image syntax at cursor position
-                    const imageMarkdown = `![image](${result.relativePath})`;
-                    this.editor.insertText(imageMarkdown);
+                    this.editor.insertText(`![image](${relativePath})`);
 
-                    console.log('Image saved and inserted:', result.relativePath);
-                } else {
-                    console.error('Failed to save image');
+                    console.log('Image saved and inserted:', relativePath);
                 }
             } catch (error) {
                 console.error('Error handling image paste:', error);
+                notificationManager.error(i18n.t('imagePaste.failed') + ': ' + error.message);
             }
         };
 
         editorDOM.addEventListener('paste', this.pasteHandler);
     }
 
+    /**
+     * Set up drop event listener on editor
+     * Listens in the capture phase so the editor does not insert the dropped files as text.
+     * Markdown files alone are left to the app, which opens them in tabs.
+     */
+    setupDropListener() {
+        if (!this.editor || !this.editor.view) {
+            return;
+        }
+
+        this.dropHandler = async (event) => {
+            const files = Array.from(event.dataTransfer?.files || []);
+
+            if (!this.enabled || files.length === 0 || files.every(file => MARKDOWN_EXTENSIONS.test(file.name))) {
+                return;
+            }
+
+            event.preventDefault();
+            event.stopPropagation();
+
+            try {
+                // Insert where the files were dropped
+                const position = this.editor.view.posAtCoords({ x: event.clientX, y: event.clientY });
+
+                if (position !== null) {
+                    this.editor.setCursorPosition(position);
+                }
+
+                const currentFilePath = await this.getCurrentFilePath();
+                const snippets = [];
+
+                for (const file of files) {
+                    const snippet = await this.getDroppedFileMarkdown(file, currentFilePath);
+
+                    if (snippet) {
+                        snippets.push(snippet);
+                    }
+                }
+
+                if (snippets.length > 0) {
+                    this.editor.insertText(snippets.join('\n'));
+                }
+            } catch (error) {
+                console.error('Error handling dropped files:', error);
+                notificationManager.error(i18n.t('imagePaste.failed') + ': ' + error.message);
+            }
+        };
+
+        this.editor.view.dom.addEventListener('drop', this.dropHandler, true);
+    }
+
+    /**
+     * Markdown for a dropped file: an image saved to the assets folder or a link to the file
+     * @param {File} file - Dropped file
+     * @param {string|null} currentFilePath - Path of the active document
+     * @returns {Promise<string|null>} Null if the file was skipped
+     */
+    async getDroppedFileMarkdown(file, currentFilePath) {
+        const label = escapeLabel(file.name.replace(/\.[^.]+$/, ''));
+
+        if (SUPPORTED_IMAGE_TYPES.includes(file.type) || (!file.type && SUPPORTED_IMAGE_EXTENSIONS.test(file.name))) {
+            const relativePath = await this.saveImage(file, currentFilePath, file.name);
+
+            return relativePath ? `![${label}](${relativePath})` : null;
+        }
+
+        const filePath = window.electronAPI.getPathForFile(file);
+
+        if (!filePath) {
+            return null;
+        }
+
+        const result = await window.electronAPI.getFileLink(filePath, currentFilePath);
+
+        return result.success ? `[${escapeLabel(file.name)}](${result.link})` : null;
+    }
+
+    /**
+     * Save image data to the assets folder, asking for a name first when configured
+     * @param {Blob} blob - Image data
+     * @param {string|null} currentFilePath - Path of the active document
+     * @param {string} [originalName] - Name of a dropped file
+     * @returns {Promise<string|null>} Relative path of the saved image, null if cancelled or failed
+     */
+    async saveImage(blob, currentFilePath, originalName) {
+        const options = { originalName };
+
+        if (this.promptForName) {
+            const suggestion = await window.electronAPI.suggestImageName(currentFilePath, originalName);
+            const fileName = await notificationManager.prompt(i18n.t('imagePaste.namePrompt'), suggestion.name || '');
+
+            if (fileName === null) {
+                return null;
+            }
+            options.fileName = fileName;
+        }
+
+        // Convert blob to buffer (send as Uint8Array which IPC can serialize)
+        const uint8Array = new Uint8Array(await blob.arrayBuffer());
+        const result = await window.electronAPI.saveImageFromClipboard(uint8Array, currentFilePath, options);
+
+        if (!result.success) {
+            console.error('Failed to save image');
+            return null;
+        }
+
+        return result.relativePath;
+    }
+
+    /**
+     * Get current file path for relative path calculation
+     * @returns {Promise<string|null>}
+     */
+    async getCurrentFilePath() {
+        const activeTab = await window.electronAPI.getActiveTab();
+
+        return activeTab?.tab?.filePath || null;
+    }
+
     /**
      * Enable or disable image paste functionality
      * @param {boolean} enabled - Whether to enable image paste
@@ -115,6 +245,14 @@ class ImagePaste {
         }
     }
 
+    /**
+     * Ask for a file name before saving each image
+     * @param {boolean} promptForName
+     */
+    setPromptForName(promptForName) {
+        this.promptForName = promptForName;
+    }
+
     /**
      * Get current enabled status
      * @returns {boolean} Whether image paste is enabled
@@ -131,6 +269,10 @@ class ImagePaste {
             this.editor.view.dom.removeEventListener('paste', this.pasteHandler);
             this.pasteHandler = null;
         }
+        if (this.dropHandler && this.editor?.view?.dom) {
+            this.editor.view.dom.removeEventListener('drop', this.dropHandler, true);
+            this.dropHandler = null;
+        }
     }
 }
 
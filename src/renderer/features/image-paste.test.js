@@ -3,8 +3,12 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
 import ImagePaste from './image-paste.js';
 
+// image-paste.js loads the notification manager through CommonJS require
+const notificationManager = createRequire(import.meta.url)('../ui/notification.js');
+
 describe('ImagePaste', () => {
     let imagePaste;
     let mockEditor;
@@ -33,7 +37,10 @@ describe('ImagePaste', () => {
                 }),
                 getActiveTab: vi.fn().mockResolvedValue({
                     tab: { filePath: '/path/to/document.md' }
-                })
+                }),
+                suggestImageName: vi.fn().mockResolvedValue({ success: true, name: 'document-image' }),
+                getFileLink: vi.fn().mockResolvedValue({ success: true, link: './files/report%20v2.pdf' }),
+                getPathForFile: vi.fn(file => `/path/to/files/${file.name}`)
             }
         };
 
@@ -41,12 +48,14 @@ describe('ImagePaste', () => {
     });
 
     describe('initialize', () => {
-        it('should load configuration and set up paste listener', async () => {
+        it('should load configuration and set up paste and drop listeners', async () => {
             await imagePaste.initialize();
 
             expect(window.electronAPI.getConfig).toHaveBeenCalledWith('imagePaste');
             expect(mockEditor.view.dom.addEventListener).toHaveBeenCalledWith('paste', expect.any(Function));
+            expect(mockEditor.view.dom.addEventListener).toHaveBeenCalledWith('drop', expect.any(Function), true);
             expect(imagePaste.enabled).toBe(true);
+            expect(imagePaste.promptForName).toBe(false);
         });
 
         it('should handle missing configuration gracefully', async () => {
@@ -91,7 +100,9 @@ describe('ImagePaste', () => {
             imagePaste.cleanup();
 
             expect(mockEditor.view.dom.removeEventListener).toHaveBeenCalledWith('paste', expect.any(Function));
+            expect(mockEditor.view.dom.removeEventListener).toHaveBeenCalledWith('drop', expect.any(Function), true);
             expect(imagePaste.pasteHandler).toBeNull();
+            expect(imagePaste.dropHandler).toBeNull();
         });
 
         it('should handle cleanup when not initialized', () => {
@@ -147,5 +158,111 @@ describe('ImagePaste', () => {
 
             expect(mockEvent.preventDefault).not.toHaveBeenCalled();
         });
+
+        it('should save pasted JPEG images and insert them', async () => {
+            await imagePaste.initialize();
+
+            const pasteHandler = mockEditor.view.dom.addEventListener.mock.calls[0][1];
+            const blob = { arrayBuffer: async () => new Uint8Array([0xFF, 0xD8, 0xFF]).buffer };
+            const mockEvent = {
+                clipboardData: {
+                    items: [{ type: 'image/jpeg', getAsFile: () => blob }]
+                },
+                preventDefault: vi.fn()
+            };
+
+            await pasteHandler(mockEvent);
+
+            expect(mockEvent.preventDefault).toHaveBeenCalled();
+            expect(window.electronAPI.saveImageFromClipboard).toHaveBeenCalledWith(
+                new Uint8Array([0xFF, 0xD8, 0xFF]), '/path/to/document.md', { originalName: undefined }
+            );
+            expect(mockEditor.insertText).toHaveBeenCalledWith('![image](./assets/image-123.png)');
+        });
+
+        it('should ask for a file name when configured', async () => {
+            window.electronAPI.getConfig.mockResolvedValue({ value: { enabled: true, promptForName: true } });
+            const prompt = vi.spyOn(notificationManager, 'prompt').mockResolvedValue('diagram');
+            await imagePaste.initialize();
+
+            const pasteHandler = mockEditor.view.dom.addEventListener.mock.calls[0][1];
+            const blob = { arrayBuffer: async () => new Uint8Array([1]).buffer };
+
+            await pasteHandler({ clipboardData: { items: [{ type: 'image/png', getAsFile: () => blob }] }, preventDefault: vi.fn() });
+
+            expect(prompt).toHaveBeenCalledWith(expect.any(String), 'document-image');
+            expect(window.electronAPI.saveImageFromClipboard).toHaveBeenCalledWith(
+                expect.any(Uint8Array), '/path/to/document.md', { originalName: undefined, fileName: 'diagram' }
+            );
+
+            prompt.mockResolvedValue(null);
+            mockEditor.insertText.mockClear();
+            await pasteHandler({ clipboardData: { items: [{ type: 'image/png', getAsFile: () => blob }] }, preventDefault: vi.fn() });
+
+            expect(mockEditor.insertText).not.toHaveBeenCalled();
+            prompt.mockRestore();
+        });
+    });
+
+    describe('drop handler', () => {
+        const createFile = (name, type) => ({ name, type, arrayBuffer: async () => new Uint8Array([1, 2]).buffer });
+        const createDropEvent = files => ({
+            dataTransfer: { files },
+            clientX: 10,
+            clientY: 20,
+            preventDefault: vi.fn(),
+            stopPropagation: vi.fn()
+        });
+
+        beforeEach(async () => {
+            mockEditor.view.posAtCoords = vi.fn().mockReturnValue(42);
+            mockEditor.setCursorPosition = vi.fn();
+            await imagePaste.initialize();
+        });
+
+        const getDropHandler = () => mockEditor.view.dom.addEventListener.mock.calls.find(call => call[0] === 'drop')[1];
+
+        it('should save dropped images and link other files at the drop position', async () => {
+            const event = createDropEvent([createFile('photo [1].webp', 'image/webp'), createFile('report v2.pdf', 'application/pdf')]);
+
+            await getDropHandler()(event);
+
+            expect(event.preventDefault).toHaveBeenCalled();
+            expect(event.stopPropagation).toHaveBeenCalled();
+            expect(mockEditor.setCursorPosition).toHaveBeenCalledWith(42);
+            expect(window.electronAPI.saveImageFromClipboard).toHaveBeenCalledWith(
+                expect.any(Uint8Array), '/path/to/document.md', { originalName: 'photo [1].webp' }
+            );
+            expect(window.electronAPI.getFileLink).toHaveBeenCalledWith('/path/to/files/report v2.pdf', '/path/to/document.md');
+            expect(mockEditor.insertText).toHaveBeenCalledWith(
+                '![photo \\[1\\]](./assets/image-123.png)\n[report v2.pdf](./files/report%20v2.pdf)'
+            );
+        });
+
+        it('should link images in formats the assets folder does not take', async () => {
+            await getDropHandler()(createDropEvent([createFile('scan.tiff', 'image/tiff')]));
+
+            expect(window.electronAPI.saveImageFromClipboard).not.toHaveBeenCalled();
+            expect(window.electronAPI.getFileLink).toHaveBeenCalledWith('/path/to/files/scan.tiff', '/path/to/document.md');
+        });
+
+        it('should leave markdown files to the app', async () => {
+            const event = createDropEvent([createFile('notes.md', '')]);
+
+            await getDropHandler()(event);
+
+            expect(event.preventDefault).not.toHaveBeenCalled();
+            expect(mockEditor.insertText).not.toHaveBeenCalled();
+        });
+
+        it('should not process drops when disabled', async () => {
+            imagePaste.enabled = false;
+            const event = createDropEvent([createFile('photo.png', 'image/png')]);
+
+            await getDropHandler()(event);
+
+            expect(event.preventDefault).not.toHaveBeenCalled();
+            expect(window.electronAPI.saveImageFromClipboard).not.toHaveBeenCalled();
+        });
     });
 });
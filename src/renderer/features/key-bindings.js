@@ -0,0 +1,339 @@
+/**
+ * Key Bindings
+ * Parses, compares and matches keyboard shortcuts, in both the main and the
+ * renderer process. A binding is one or more strokes separated by spaces; the
+ * strokes after the first make a chord ("Mod-K Mod-T"). Mod is Cmd on macOS and
+ * Ctrl elsewhere.
+ *
+ * A binding may only apply in a context, given as a `when` condition of context
+ * keys combined with !, && and || (e.g. "editorFocus && !tableEditorOpen").
+ */
+
+const MODIFIER_ORDER = [
+    'Mod',
+    'Ctrl',
+    'Meta',
+    'Alt',
+    'Shift'
+];
+
+// Modifier names a binding may use; Cmd and Ctrl depend on the platform
+const MODIFIER_ALIASES = {
+    alt: 'Alt',
+    cmd: 'Cmd',
+    command: 'Cmd',
+    control: 'Ctrl',
+    ctrl: 'Ctrl',
+    meta: 'Cmd',
+    mod: 'Mod',
+    option: 'Alt',
+    shift: 'Shift'
+};
+
+const NAMED_KEYS = [
+    'ArrowDown',
+    'ArrowLeft',
+    'ArrowRight',
+    'ArrowUp',
+    'Backspace',
+    'Delete',
+    'End',
+    'Enter',
+    'Escape',
+    'Home',
+    'Insert',
+    'PageDown',
+    'PageUp',
+    'Space',
+    'Tab'
+];
+
+const KEY_ALIASES = {
+    del: 'Delete',
+    down: 'ArrowDown',
+    esc: 'Escape',
+    ins: 'Insert',
+    left: 'ArrowLeft',
+    return: 'Enter',
+    right: 'ArrowRight',
+    up: 'ArrowUp'
+};
+
+// Keys that only modify another one and never make a stroke by themselves
+const MODIFIER_KEYS = [
+    'Alt',
+    'AltGraph',
+    'Control',
+    'Meta',
+    'OS',
+    'Shift'
+];
+
+/**
+ * Context keys of which at most one is true at a time: the focus is in one place
+ */
+const EXCLUSIVE_CONTEXT_KEYS = ['editorFocus', 'previewFocus', 'tableEditorOpen'];
+
+/**
+ * Normalize the name of a key
+ * @param {string} key
+ * @returns {string} e.g. "S", "F3", "ArrowUp"
+ */
+function normalizeKey(key) {
+    const lower = key.toLowerCase();
+
+    if (key === ' ') {
+        return 'Space';
+    }
+    if (key.length === 1) {
+        return key.toUpperCase();
+    }
+    if (KEY_ALIASES[lower]) {
+        return KEY_ALIASES[lower];
+    }
+    if (/^f\d{1,2}$/.test(lower)) {
+        return lower.toUpperCase();
+    }
+
+    return NAMED_KEYS.find(name => name.toLowerCase() === lower) || key[0].toUpperCase() + key.slice(1);
+}
+
+/**
+ * Normalize a single stroke, so that equal strokes compare equal
+ * @param {string} stroke - e.g. "shift-mod-s"
+ * @param {boolean} isMac
+ * @returns {string|null} e.g. "Mod-Shift-S", null when it is not a valid stroke
+ */
+function normalizeStroke(stroke, isMac) {
+    const match = /^((?:[^-]+-)*)(.+)$/.exec(stroke.trim());
+
+    if (!match) {
+        return null;
+    }
+
+    const modifiers = new Set();
+
+    for (const name of match[1].split('-').filter(Boolean)) {
+        let modifier = MODIFIER_ALIASES[name.toLowerCase()];
+
+        if (!modifier) {
+            return null;
+        }
+        if (modifier === 'Cmd') modifier = isMac ? 'Mod' : 'Meta';
+        else if (modifier === 'Ctrl' && !isMac) modifier = 'Mod';
+        modifiers.add(modifier);
+    }
+
+    const key = normalizeKey(match[2]);
+
+    if (MODIFIER_KEYS.includes(key)) {
+        return null;
+    }
+
+    return [...MODIFIER_ORDER.filter(modifier => modifiers.has(modifier)), key].join('-');
+}
+
+/**
+ * Split a binding into normalized strokes
+ * @param {string} binding - e.g. "Mod-K Mod-T"
+ * @param {boolean} isMac
+ * @returns {string[]|null} Strokes, null when the binding is empty or not valid
+ */
+function parseKeyBinding(binding, isMac) {
+    if (typeof binding !== 'string' || !binding.trim()) {
+        return null;
+    }
+
+    const strokes = binding.trim().split(/\s+/).map(stroke => normalizeStroke(stroke, isMac));
+
+    return strokes.includes(null) ? null : strokes;
+}
+
+/**
+ * Normalize a binding
+ * @param {string} binding
+ * @param {boolean} isMac
+ * @returns {string|null} Normalized binding, null when it is empty or not valid
+ */
+function normalizeKeyBinding(binding, isMac) {
+    const strokes = parseKeyBinding(binding, isMac);
+
+    return strokes ? strokes.join(' ') : null;
+}
+
+/**
+ * Get the stroke a keydown event makes
+ * Letters and digits are read from the physical key, so Alt combinations that type
+ * another character on macOS still match.
+ * @param {KeyboardEvent} event
+ * @param {boolean} isMac
+ * @returns {string|null} Normalized stroke, null for a modifier key alone
+ */
+function eventToStroke(event, isMac) {
+    if (MODIFIER_KEYS.includes(event.key)) {
+        return null;
+    }
+
+    const modifiers = [];
+    const code = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code || '');
+
+    if (isMac ? event.metaKey : event.ctrlKey) modifiers.push('Mod');
+    if (isMac && event.ctrlKey) modifiers.push('Ctrl');
+    if (!isMac && event.metaKey) modifiers.push('Meta');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+
+    return [...modifiers, code ? code[1] || code[2] : normalizeKey(event.key)].join('-');
+}
+
+/**
+ * Parse a `when` condition into alternatives of required context keys
+ * @param {string} [when]
+ * @returns {Array<Array<{key: string, negated: boolean}>>} Any alternative must hold;
+ *   a missing condition is a single empty alternative, which always holds
+ */
+function parseWhen(when) {
+    if (!when || !when.trim()) {
+        return [[]];
+    }
+
+    return when.split('||').map(alternative => alternative.split('&&').map(term => {
+        const negated = term.trim().startsWith('!');
+
+        return { key: term.trim().replace(/^!\s*/, ''), negated };
+    }));
+}
+
+/**
+ * Check a `when` condition against the current context
+ * @param {string} [when]
+ * @param {Object<string, boolean>} context - Values of the context keys; missing keys are false
+ * @returns {boolean}
+ */
+function evaluateWhen(when, context) {
+    return parseWhen(when).some(terms => terms.every(({ key, negated }) => !!context[key] !== negated));
+}
+
+/**
+ * Check whether two `when` conditions can hold at the same time
+ * @param {string} [a]
+ * @param {string} [b]
+ * @returns {boolean}
+ */
+function conditionsOverlap(a, b) {
+    return parseWhen(a).some(termsA => parseWhen(b).some(termsB => {
+        const terms = [...termsA, ...termsB];
+        const required = terms.filter(term => !term.negated).map(term => term.key);
+
+        return !terms.some(term => term.negated && required.includes(term.key))
+            && EXCLUSIVE_CONTEXT_KEYS.filter(key => required.includes(key)).length <= 1;
+    }));
+}
+
+/**
+ * @typedef {Object} KeyBindingConflict
+ * @property {'duplicate'|'prefix'} type - Same binding, or a binding that is the start of a chord
+ *   and keeps it from ever running
+ * @property {string} key - Normalized binding; the shorter one for prefix conflicts
+ * @property {string} [chord] - The chord that cannot run, for prefix conflicts
+ * @property {string[]} actionIds - Actions in conflict; for prefix conflicts, the prefix first
+ */
+
+/**
+ * Find the bindings that conflict in a context where they both apply
+ * @param {Array<{id: string, key: string, when?: string}>} bindings
+ * @param {boolean} isMac
+ * @returns {KeyBindingConflict[]}
+ */
+function findConflicts(bindings, isMac) {
+    const parsed = bindings
+        .map(binding => ({ ...binding, strokes: parseKeyBinding(binding.key, isMac) }))
+        .filter(binding => binding.strokes);
+    const duplicates = new Map();
+    const conflicts = [];
+
+    for (let i = 0; i < parsed.length; i++) {
+        for (let j = i + 1; j < parsed.length; j++) {
+            const [shorter, longer] = parsed[i].strokes.length <= parsed[j].strokes.length
+                ? [parsed[i], parsed[j]]
+                : [parsed[j], parsed[i]];
+
+            if (!shorter.strokes.every((stroke, index) => stroke === longer.strokes[index])
+                || !conditionsOverlap(shorter.when, longer.when)) {
+                continue;
+            }
+
+            const key = shorter.strokes.join(' ');
+
+            if (shorter.strokes.length === longer.strokes.length) {
+                if (!duplicates.has(key)) {
+                    duplicates.set(key, { type: 'duplicate', key, actionIds: [] });
+                    conflicts.push(duplicates.get(key));
+                }
+                for (const id of [parsed[i].id, parsed[j].id]) {
+                    if (!duplicates.get(key).actionIds.includes(id)) duplicates.get(key).actionIds.push(id);
+                }
+            } else {
+                conflicts.push({
+                    type: 'prefix',
+                    key,
+                    chord: longer.strokes.join(' '),
+                    actionIds: [shorter.id, longer.id]
+                });
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Convert a binding to the syntax of VS Code keybindings.json
+ * @param {string} binding - e.g. "Mod-K Mod-T"
+ * @param {boolean} isMac
+ * @returns {string|null} e.g. "ctrl+k ctrl+t", null when the binding is not valid
+ */
+function toVSCodeKey(binding, isMac) {
+    const strokes = parseKeyBinding(binding, isMac);
+    const names = { Mod: isMac ? 'cmd' : 'ctrl', Ctrl: 'ctrl', Meta: 'meta', Alt: 'alt', Shift: 'shift' };
+
+    if (!strokes) {
+        return null;
+    }
+
+    return strokes.map(stroke => {
+        const parts = stroke.split(/-(?!$)/);
+        const key = parts.pop().replace(/^Arrow/, '');
+
+        return [...parts.map(modifier => names[modifier]), key.toLowerCase()].join('+');
+    }).join(' ');
+}
+
+/**
+ * Convert a key of VS Code keybindings.json to a binding
+ * @param {string} key - e.g. "ctrl+k ctrl+t"
+ * @param {boolean} isMac
+ * @returns {string|null} Normalized binding, null when the key is not valid
+ */
+function fromVSCodeKey(key, isMac) {
+    if (typeof key !== 'string') {
+        return null;
+    }
+
+    const strokes = key.trim().split(/\s+/).map(stroke => stroke.split(/\+(?!$)/).join('-'));
+
+    return normalizeKeyBinding(strokes.join(' '), isMac);
+}
+
+module.exports = {
+    conditionsOverlap,
+    evaluateWhen,
+    eventToStroke,
+    findConflicts,
+    fromVSCodeKey,
+    normalizeKeyBinding,
+    normalizeStroke,
+    parseKeyBinding,
+    parseWhen,
+    toVSCodeKey
+};
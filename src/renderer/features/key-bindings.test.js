@@ -0,0 +1,100 @@
+/**
+ * Tests for Key Bindings
+ */
+
+const {
+    conditionsOverlap,
+    evaluateWhen,
+    eventToStroke,
+    findConflicts,
+    fromVSCodeKey,
+    normalizeKeyBinding,
+    toVSCodeKey
+} = require('./key-bindings');
+
+describe('normalizeKeyBinding', () => {
+    it.each([
+        ['shift-mod-s', false, 'Mod-Shift-S'],
+        ['Ctrl-Tab', false, 'Mod-Tab'],
+        ['Ctrl-Tab', true, 'Ctrl-Tab'],
+        ['Cmd-Alt-esc', true, 'Mod-Alt-Escape'],
+        ['mod-k  mod-t', false, 'Mod-K Mod-T'],
+        ['Mod--', false, 'Mod--'],
+        ['f3', false, 'F3'],
+        ['Mod-pagedown', false, 'Mod-PageDown']
+    ])('should normalize %s (macOS: %s)', (binding, isMac, expected) => {
+        expect(normalizeKeyBinding(binding, isMac)).toBe(expected);
+    });
+
+    it.each(['', '   ', 'Hyper-S', 'Mod-Shift', null])('should reject %j', binding => {
+        expect(normalizeKeyBinding(binding, false)).toBeNull();
+    });
+});
+
+describe('eventToStroke', () => {
+    it('should read letters from the physical key', () => {
+        expect(eventToStroke({ key: 'ß', code: 'KeyS', altKey: true, metaKey: true }, true)).toBe('Mod-Alt-S');
+        expect(eventToStroke({ key: 'T', code: 'KeyT', ctrlKey: true, shiftKey: true }, false)).toBe('Mod-Shift-T');
+    });
+
+    it('should tell Ctrl from Cmd on macOS only', () => {
+        expect(eventToStroke({ key: 'Tab', code: 'Tab', ctrlKey: true }, true)).toBe('Ctrl-Tab');
+        expect(eventToStroke({ key: 'Tab', code: 'Tab', ctrlKey: true }, false)).toBe('Mod-Tab');
+    });
+
+    it('should ignore modifier keys alone', () => {
+        expect(eventToStroke({ key: 'Control', code: 'ControlLeft', ctrlKey: true }, false)).toBeNull();
+    });
+});
+
+describe('when conditions', () => {
+    it('should evaluate negations, && and ||', () => {
+        const when = 'editorFocus && !tableEditorOpen || previewFocus';
+
+        expect(evaluateWhen(when, { editorFocus: true })).toBe(true);
+        expect(evaluateWhen(when, { editorFocus: true, tableEditorOpen: true })).toBe(false);
+        expect(evaluateWhen(when, { previewFocus: true })).toBe(true);
+        expect(evaluateWhen(undefined, {})).toBe(true);
+    });
+
+    it('should tell whether two conditions can hold together', () => {
+        expect(conditionsOverlap(undefined, 'editorFocus')).toBe(true);
+        expect(conditionsOverlap('editorFocus', 'previewFocus')).toBe(false);
+        expect(conditionsOverlap('!tableEditorOpen', 'tableEditorOpen')).toBe(false);
+        expect(conditionsOverlap('editorFocus || previewFocus', 'previewFocus')).toBe(true);
+    });
+});
+
+describe('findConflicts', () => {
+    it('should report equal bindings that apply in the same context', () => {
+        expect(findConflicts([
+            { id: 'a', key: 'Mod-Shift-S' },
+            { id: 'b', key: 'shift-mod-s' },
+            { id: 'c', key: 'Mod-Shift-S', when: 'previewFocus' },
+            { id: 'd', key: 'Mod-H', when: 'editorFocus' },
+            { id: 'e', key: 'Mod-H', when: 'previewFocus' },
+            { id: 'f', key: '' }
+        ], false)).toEqual([{ type: 'duplicate', key: 'Mod-Shift-S', actionIds: ['a', 'b', 'c'] }]);
+    });
+
+    it('should report bindings that keep a chord from running', () => {
+        expect(findConflicts([
+            { id: 'theme', key: 'Mod-K Mod-T' },
+            { id: 'link', key: 'Mod-K', when: 'editorFocus' },
+            { id: 'shortcuts', key: 'Mod-K Mod-S' }
+        ], false)).toEqual([
+            { type: 'prefix', key: 'Mod-K', chord: 'Mod-K Mod-T', actionIds: ['link', 'theme'] },
+            { type: 'prefix', key: 'Mod-K', chord: 'Mod-K Mod-S', actionIds: ['link', 'shortcuts'] }
+        ]);
+    });
+});
+
+describe('VS Code keys', () => {
+    it('should convert bindings both ways', () => {
+        expect(toVSCodeKey('Mod-K Mod-T', false)).toBe('ctrl+k ctrl+t');
+        expect(toVSCodeKey('Mod-Alt-ArrowUp', true)).toBe('cmd+alt+up');
+        expect(fromVSCodeKey('ctrl+k ctrl+t', false)).toBe('Mod-K Mod-T');
+        expect(fromVSCodeKey('cmd+shift+pagedown', true)).toBe('Mod-Shift-PageDown');
+        expect(fromVSCodeKey('ctrl++', false)).toBe('Mod-+');
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Line Diff
+ * Computes a line-based diff between two texts using the longest common
+ * subsequence of lines, after trimming the common prefix and suffix.
+ */
+
+/**
+ * Maximum size of the LCS table (changed lines before × changed lines after).
+ * Larger changes fall back to reporting the whole changed region as replaced.
+ */
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {'equal'|'add'|'remove'} type - Kind of change
+ * @property {string} text - Line content
+ * @property {number|null} oldLine - 1-based line number in the old text
+ * @property {number|null} newLine - 1-based line number in the new text
+ */
+
+/**
+ * Split text into lines, normalizing line endings
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+    return (text || '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Diff the changed middle region of both texts
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {Array<'equal'|'add'|'remove'>} Operations in order
+ */
+function diffRegion(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    if (n * m > MAX_LCS_CELLS) {
+        return [...Array(n).fill('remove'), ...Array(m).fill('add')];
+    }
+
+    // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < n && j < m) {
+        if (oldLines[i] === newLines[j]) {
+            ops.push('equal');
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ops.push('remove');
+            i++;
+        } else {
+            ops.push('add');
+            j++;
+        }
+    }
+    while (i++ < n) ops.push('remove');
+    while (j++ < m) ops.push('add');
+
+    return ops;
+}
+
+/**
+ * Compute a line diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {DiffLine[]} Diff lines in document order
+ */
+function diffLines(oldText, newText) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+
+    let prefix = 0;
+
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+
+    while (
+        suffix < oldLines.length - prefix &&
+        suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+    ) {
+        suffix++;
+    }
+
+    const ops = [
+        ...Array(prefix).fill('equal'),
+        ...diffRegion(
+            oldLines.slice(prefix, oldLines.length - suffix),
+            newLines.slice(prefix, newLines.length - suffix)
+        ),
+        ...Array(suffix).fill('equal')
+    ];
+
+    const result = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    for (const type of ops) {
+        if (type === 'equal') {
+            result.push({ type, text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1 });
+            oldIndex++;
+            newIndex++;
+        } else if (type === 'remove') {
+            result.push({ type, text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: null });
+            oldIndex++;
+        } else {
+            result.push({ type, text: newLines[newIndex], oldLine: null, newLine: newIndex + 1 });
+            newIndex++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Count added and removed lines in a diff
+ * @param {DiffLine[]} diff
+ * @returns {{added: number, removed: number}}
+ */
+function summarizeDiff(diff) {
+    let added = 0;
+    let removed = 0;
+
+    for (const line of diff) {
+        if (line.type === 'add') added++;
+        else if (line.type === 'remove') removed++;
+    }
+
+    return { added, removed };
+}
+
+/**
+ * Pair the lines of a diff into side-by-side rows. The removed and added lines
+ * of one change share rows; the longer side continues with empty cells.
+ * @param {DiffLine[]} diff
+ * @returns {Array<{left: DiffLine|null, right: DiffLine|null}>} Old text on the left
+ */
+function toSideBySide(diff) {
+    const rows = [];
+    let index = 0;
+
+    while (index < diff.length) {
+        if (diff[index].type === 'equal') {
+            rows.push({ left: diff[index], right: diff[index] });
+            index++;
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+
+        while (index < diff.length && diff[index].type !== 'equal') {
+            (diff[index].type === 'remove' ? removed : added).push(diff[index]);
+            index++;
+        }
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            rows.push({ left: removed[i] || null, right: added[i] || null });
+        }
+    }
+
+    return rows;
+}
+
+module.exports = {
+    diffLines,
+    summarizeDiff,
+    toSideBySide
+};
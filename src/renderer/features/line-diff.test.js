@@ -0,0 +1,80 @@
+/**
+ * Tests for Line Diff
+ */
+
+const { diffLines, summarizeDiff, toSideBySide } = require('./line-diff');
+
+describe('diffLines', () => {
+    it('should report identical texts as all equal', () => {
+        const diff = diffLines('a\nb', 'a\nb');
+
+        expect(diff.map(d => d.type)).toEqual(['equal', 'equal']);
+    });
+
+    it('should detect added lines', () => {
+        const diff = diffLines('a\nc', 'a\nb\nc');
+
+        expect(diff).toEqual([
+            { type: 'equal', text: 'a', oldLine: 1, newLine: 1 },
+            { type: 'add', text: 'b', oldLine: null, newLine: 2 },
+            { type: 'equal', text: 'c', oldLine: 2, newLine: 3 }
+        ]);
+    });
+
+    it('should detect removed lines', () => {
+        const diff = diffLines('a\nb\nc', 'a\nc');
+
+        expect(diff).toEqual([
+            { type: 'equal', text: 'a', oldLine: 1, newLine: 1 },
+            { type: 'remove', text: 'b', oldLine: 2, newLine: null },
+            { type: 'equal', text: 'c', oldLine: 3, newLine: 2 }
+        ]);
+    });
+
+    it('should represent a changed line as remove then add', () => {
+        const diff = diffLines('a\nold\nc', 'a\nnew\nc');
+
+        expect(diff.map(d => `${d.type}:${d.text}`)).toEqual([
+            'equal:a', 'remove:old', 'add:new', 'equal:c'
+        ]);
+    });
+
+    it('should keep common lines inside a changed region', () => {
+        const diff = diffLines('x\na\ny', 'z\na\nw');
+
+        expect(diff.filter(d => d.type === 'equal').map(d => d.text)).toEqual(['a']);
+    });
+
+    it('should ignore line ending differences', () => {
+        const diff = diffLines('a\r\nb', 'a\nb');
+
+        expect(diff.every(d => d.type === 'equal')).toBe(true);
+    });
+
+    it('should handle empty texts', () => {
+        expect(diffLines('', 'a').map(d => d.type)).toEqual(['remove', 'add']);
+        expect(diffLines('', '').map(d => d.type)).toEqual(['equal']);
+    });
+});
+
+describe('summarizeDiff', () => {
+    it('should count added and removed lines', () => {
+        const diff = diffLines('a\nb\nc', 'a\nB\nc\nd');
+
+        expect(summarizeDiff(diff)).toEqual({ added: 2, removed: 1 });
+    });
+});
+
+describe('toSideBySide', () => {
+    it('should pair removed and added lines of the same change', () => {
+        const rows = toSideBySide(diffLines('a\nb\nc\nd', 'a\nB\nd\ne'));
+
+        expect(rows.map(({ left, right }) => [left && left.text, right && right.text])).toEqual([
+            ['a', 'a'],
+            ['b', 'B'],
+            ['c', null],
+            ['d', 'd'],
+            [null, 'e']
+        ]);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * ScrollSync - Keeps the editor and the preview showing the same part of the document
+ * Scrolling either side scrolls the other one to the same source line, using the
+ * `data-source-line` anchors of the preview. Falls back to the scroll percentage
+ * while the preview has nothing rendered.
+ */
+
+class ScrollSync {
+    constructor(editor, preview) {
+        if (!editor) {
+            throw new Error('Editor instance is required');
+        }
+        if (!preview) {
+            throw new Error('Preview instance is required');
+        }
+
+        this.editor = editor;
+        this.preview = preview;
+        // Side whose scroll events are ours, i.e. caused by syncing the other side
+        this.followingSide = null;
+        this.followTimer = null;
+        this.followDuration = 100;
+
+        // Bind methods to maintain context
+        this.handleEditorScroll = this.handleEditorScroll.bind(this);
+        this.handlePreviewScroll = this.handlePreviewScroll.bind(this);
+    }
+
+    /**
+     * Start listening to scroll events on both sides
+     */
+    initialize() {
+        this.editor.view.scrollDOM.addEventListener('scroll', this.handleEditorScroll);
+        this.preview.container.addEventListener('scroll', this.handlePreviewScroll);
+    }
+
+    /**
+     * Scroll the preview to the line at the top of the editor
+     */
+    handleEditorScroll() {
+        if (this.followingSide === 'editor') {
+            return;
+        }
+        this._follow('preview');
+
+        if (!this.preview.scrollToSourceLine(this.editor.getTopVisibleLine())) {
+            const scrollPercent = this.editor.getScrollPosition();
+
+            if (!isNaN(scrollPercent) && scrollPercent >= 0 && scrollPercent <= 1) {
+                this.preview.syncScroll(scrollPercent);
+            }
+        }
+    }
+
+    /**
+     * Scroll the editor to the line at the top of the preview
+     */
+    handlePreviewScroll() {
+        if (this.followingSide === 'preview') {
+            return;
+        }
+
+        const line = this.preview.getSourceLineAtScroll();
+
+        if (line === null) {
+            return;
+        }
+        this._follow('editor');
+        this.editor.scrollToLine(line);
+    }
+
+    /**
+     * Ignore scroll events of a side for a moment, so syncing does not bounce back
+     * @param {string} side - 'editor' or 'preview'
+     * @private
+     */
+    _follow(side) {
+        this.followingSide = side;
+        clearTimeout(this.followTimer);
+        this.followTimer = setTimeout(() => {
+            this.followingSide = null;
+            this.followTimer = null;
+        }, this.followDuration);
+    }
+
+    /**
+     * Stop listening and clean up
+     */
+    destroy() {
+        clearTimeout(this.followTimer);
+        this.followTimer = null;
+        if (this.editor.view) {
+            this.editor.view.scrollDOM.removeEventListener('scroll', this.handleEditorScroll);
+        }
+        if (this.preview.container) {
+            this.preview.container.removeEventListener('scroll', this.handlePreviewScroll);
+        }
+    }
+}
+
+module.exports = ScrollSync;
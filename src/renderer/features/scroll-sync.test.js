@@ -0,0 +1,82 @@
+/**
+ * Tests for ScrollSync
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ScrollSync from './scroll-sync.js';
+
+describe('ScrollSync', () => {
+    let editor;
+    let preview;
+    let scrollSync;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+
+        editor = {
+            view: { scrollDOM: document.createElement('div') },
+            getTopVisibleLine: vi.fn().mockReturnValue(12.5),
+            getScrollPosition: vi.fn().mockReturnValue(0.25),
+            scrollToLine: vi.fn()
+        };
+        preview = {
+            container: document.createElement('div'),
+            scrollToSourceLine: vi.fn().mockReturnValue(true),
+            getSourceLineAtScroll: vi.fn().mockReturnValue(30),
+            syncScroll: vi.fn()
+        };
+
+        scrollSync = new ScrollSync(editor, preview);
+        scrollSync.initialize();
+    });
+
+    afterEach(() => {
+        scrollSync.destroy();
+        vi.useRealTimers();
+    });
+
+    it('should require an editor and a preview', () => {
+        expect(() => new ScrollSync()).toThrow('Editor instance is required');
+        expect(() => new ScrollSync(editor)).toThrow('Preview instance is required');
+    });
+
+    it('should scroll the preview to the top line of the editor', () => {
+        editor.view.scrollDOM.dispatchEvent(new Event('scroll'));
+
+        expect(preview.scrollToSourceLine).toHaveBeenCalledWith(12.5);
+        expect(preview.syncScroll).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the scroll percentage when the preview has no anchors', () => {
+        preview.scrollToSourceLine.mockReturnValue(false);
+
+        editor.view.scrollDOM.dispatchEvent(new Event('scroll'));
+
+        expect(preview.syncScroll).toHaveBeenCalledWith(0.25);
+    });
+
+    it('should scroll the editor to the top line of the preview', () => {
+        preview.container.dispatchEvent(new Event('scroll'));
+
+        expect(editor.scrollToLine).toHaveBeenCalledWith(30);
+    });
+
+    it('should not bounce back the scroll it caused', () => {
+        editor.view.scrollDOM.dispatchEvent(new Event('scroll'));
+        preview.container.dispatchEvent(new Event('scroll'));
+
+        expect(editor.scrollToLine).not.toHaveBeenCalled();
+
+        vi.advanceTimersByTime(scrollSync.followDuration);
+        preview.container.dispatchEvent(new Event('scroll'));
+
+        expect(editor.scrollToLine).toHaveBeenCalledWith(30);
+    });
+
+    it('should stop listening when destroyed', () => {
+        scrollSync.destroy();
+        editor.view.scrollDOM.dispatchEvent(new Event('scroll'));
+
+        expect(preview.scrollToSourceLine).not.toHaveBeenCalled();
+    });
+});
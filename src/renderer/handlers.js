@@ -9,11 +9,20 @@
 const notificationManager = require('./ui/notification.js');
 const i18n = require('./i18n/index.js');
 const eventBus = require('./core/event-bus.js');
+const { resolveWikiLink, findHeadingLine } = require('./advanced-markdown/wiki-links.js');
 
 // Module-level references set by init()
 let registry = null;
 let state = null;
 
+// Module-level listener refs for cleanup
+let removeFileDroppedListener = null;
+let removeMenuActionListener = null;
+let removeFileExternalChangeListener = null;
+let removeLaunchRequestListener = null;
+// Changes are handled one at a time so conflict dialogs never overlap
+let externalChangeQueue = Promise.resolve();
+
 /**
  * Initialize the handlers module with registry and shared state.
  * @param {ComponentRegistry} reg - The component registry
@@ -55,8 +64,11 @@ async function handleMenuAction(action, data) {
             case 'save': await handleSaveFile(); break;
             case 'save-as': await handleSaveFileAs(); break;
             case 'save-all': await handleSaveAll(); break;
-            case 'export-html': await handleExportHTML(); break;
-            case 'export-pdf': await handleExportPDF(); break;
+            case 'export': if (data) await handleExport(data); break;
+            case 'export-html': await handleExport('html'); break;
+            case 'export-pdf': await handleExport('pdf'); break;
+            case 'export-site': await handleExportSite(); break;
+            case 'import': await handleImport(); break;
             case 'undo': editor.undo(); break;
             case 'redo': editor.redo(); break;
             case 'find': searchManager.show(); break;
@@ -132,16 +144,26 @@ async function handleOpenRecentFile(filePath) {
     }
 }
 
-async function handleOpenFolder() {
+/**
+ * Open a folder as workspace, asking for it unless a path is given
+ * @param {string} [folderPath] - Folder to open, e.g. from the command line
+ */
+async function handleOpenFolder(folderPath) {
     const fileTreeSidebar = registry.get('fileTreeSidebar');
     const backlinksPanel = registry.get('backlinksPanel');
+    const gitPanel = registry.get('gitPanel');
     if (!fileTreeSidebar) return;
     try {
-        const result = await window.electronAPI.openWorkspace();
+        const result = folderPath
+            ? await window.electronAPI.openWorkspacePath(folderPath)
+            : await window.electronAPI.openWorkspace();
         if (result.success && result.tree) {
             await fileTreeSidebar.loadWorkspace(result.tree);
             await fileTreeSidebar.setVisibility(true);
             if (backlinksPanel) backlinksPanel.invalidateCache();
+            if (gitPanel) gitPanel.setWorkspace(true);
+            await refreshWikiNotes();
+            await refreshAICommands();
         }
     } catch (error) {
         console.error('Error opening folder:', error);
@@ -152,12 +174,16 @@ async function handleOpenFolder() {
 async function handleCloseFolder() {
     const fileTreeSidebar = registry.get('fileTreeSidebar');
     const connectionGraphPanel = registry.get('connectionGraphPanel');
+    const gitPanel = registry.get('gitPanel');
     if (!fileTreeSidebar) return;
     try {
         const result = await window.electronAPI.closeWorkspace();
         if (result.success) {
             fileTreeSidebar.clearWorkspace();
             if (connectionGraphPanel) connectionGraphPanel.clear();
+            if (gitPanel) gitPanel.setWorkspace(false);
+            await refreshWikiNotes();
+            await refreshAICommands();
         }
     } catch (error) {
         console.error('Error closing folder:', error);
@@ -187,6 +213,20 @@ async function toggleTypewriterScrolling() {
     }
 }
 
+async function toggleFrontMatterPreview() {
+    const markdownParser = registry.get('markdownParser');
+    const preview = registry.get('preview');
+    const editor = registry.get('editor');
+    if (!markdownParser) return;
+    try {
+        markdownParser.setFrontMatterVisible(!markdownParser.showFrontMatter);
+        if (preview && editor) preview.refresh(editor.getValue());
+        await window.electronAPI.setConfig('frontMatter.showInPreview', markdownParser.showFrontMatter);
+    } catch (error) {
+        console.error('Error toggling front matter preview:', error);
+    }
+}
+
 async function handleToggleLineNumbers() {
     const editor = registry.get('editor');
     try {
@@ -216,7 +256,10 @@ async function handleSaveFile() {
                 tabBar.markTabModified(state.currentTabId, false);
             }
             if (fileTreeSidebar && state.currentFilePath) fileTreeSidebar.markFileModified(state.currentFilePath, false);
-            if (autoSaveManager) autoSaveManager.setLastSavedContent(content);
+            if (autoSaveManager) {
+                autoSaveManager.setLastSavedContent(content);
+                autoSaveManager.resumeForFile(state.currentFilePath);
+            }
             if (connectionGraphPanel && activityBar && activityBar.getActiveView() === 'connection-graph') {
                 connectionGraphPanel.refresh().catch(err => console.error('Error refreshing connection graph after save:', err));
             }
@@ -261,6 +304,8 @@ async function handleSaveFileAs() {
                 autoSaveManager.setLastSavedContent(content);
             }
             eventBus.emit('file:saved', { filePath: result.filePath, tabId: state.currentTabId });
+            // Saving under a new name may add a note to the workspace
+            await refreshWikiNotes();
         }
     } catch (error) {
         console.error('Error saving file as:', error);
@@ -313,25 +358,102 @@ async function handleSaveAll() {
     }
 }
 
-async function handleExportHTML() {
+let exportFormats = [];
+
+/**
+ * Load the export formats registered in the main process
+ * @returns {Promise<Array<{id: string, label: string, extensions: string[]}>>}
+ */
+async function loadExportFormats() {
     try {
-        const content = registry.get('editor').getValue();
-        const result = await window.electronAPI.exportHTML(content);
-        if (result && result.success) notificationManager.success(i18n.t('notifications.successfullyExportedHTML') + ': ' + result.filePath);
+        const result = await window.electronAPI.getExportFormats();
+        if (result && result.success) exportFormats = result.formats;
     } catch (error) {
-        console.error('Error exporting to HTML:', error);
-        notificationManager.error(i18n.t('notifications.failedToExportHTML') + ': ' + error.message);
+        console.error('Error loading export formats:', error);
     }
+    return exportFormats;
 }
 
-async function handleExportPDF() {
+function getExportFormats() {
+    return exportFormats;
+}
+
+/**
+ * Ask for the page setup of a PDF export, starting from the options last used in the workspace
+ * @returns {Promise<Object|null>} Export options for the PDF format, null if cancelled
+ */
+async function choosePdfExportOptions() {
+    const pdfExportDialog = registry.get('pdfExportDialog');
+    const saved = await window.electronAPI.getPdfExportOptions();
+    const pdf = await pdfExportDialog.show(saved.options);
+    if (!pdf) return null;
+    const result = await window.electronAPI.savePdfExportOptions(pdf);
+    return { pdf: result.options, tableOfContentsTitle: i18n.t('pdfExport.contentsTitle') };
+}
+
+async function handleExport(formatId) {
+    const format = exportFormats.find(entry => entry.id === formatId);
+    const label = format ? format.label : formatId.toUpperCase();
     try {
+        const formatOptions = formatId === 'pdf' ? await choosePdfExportOptions() : {};
+        if (!formatOptions) return;
         const content = registry.get('editor').getValue();
-        const result = await window.electronAPI.exportPDF(content);
-        if (result && result.success) notificationManager.success(i18n.t('notifications.successfullyExportedPDF') + ': ' + result.filePath);
+        const result = await window.electronAPI.exportDocument(formatId, content, undefined, { ...formatOptions, filePath: state.currentFilePath });
+        if (result && result.success) notificationManager.success(i18n.t('notifications.successfullyExported', { format: label }) + ': ' + result.filePath);
+    } catch (error) {
+        console.error(`Error exporting to ${label}:`, error);
+        notificationManager.error(i18n.t('notifications.failedToExport', { format: label }) + ': ' + error.message);
+    }
+}
+
+/**
+ * Export the open workspace as a static website; pages are rendered from the saved files
+ */
+async function handleExportSite() {
+    try {
+        const wpResult = await window.electronAPI.getWorkspacePath();
+        if (!wpResult || !wpResult.workspacePath) {
+            notificationManager.info(i18n.t('siteExport.noWorkspace'));
+            return;
+        }
+        const labels = {};
+        for (const key of ['search', 'backlinks', 'allPages', 'noResults']) labels[key] = i18n.t(`siteExport.${key}`);
+        const result = await window.electronAPI.exportSite(undefined, { labels });
+        if (result && result.success) {
+            notificationManager.success(i18n.t('siteExport.exported', { count: result.pageCount, path: result.outputPath }));
+        }
     } catch (error) {
-        console.error('Error exporting to PDF:', error);
-        notificationManager.error(i18n.t('notifications.failedToExportPDF') + ': ' + error.message);
+        console.error('Error exporting website:', error);
+        notificationManager.error(i18n.t('siteExport.failed') + ': ' + error.message);
+    }
+}
+
+/**
+ * Import Word, OpenDocument and HTML files, each into a new unsaved tab for a
+ * markdown file next to the imported one, where its images were saved
+ */
+async function handleImport() {
+    const autoSaveManager = registry.get('autoSaveManager');
+
+    try {
+        const result = await window.electronAPI.importDocuments();
+        if (!result || !result.success) return;
+        for (const document of result.documents) {
+            await createNewTab(document.filePath, document.content, { title: document.title, isModified: true });
+            // Imported content is not saved anywhere yet
+            state.lastSavedContent = '';
+            if (autoSaveManager) autoSaveManager.setLastSavedContent('');
+            updateDirtyState(document.content);
+        }
+        if (result.documents.length > 0) {
+            notificationManager.success(i18n.t('import.imported', { count: result.documents.length }));
+        }
+        for (const failure of result.errors) {
+            notificationManager.error(i18n.t('import.fileFailed', { file: failure.sourcePath }) + ': ' + failure.error);
+        }
+    } catch (error) {
+        console.error('Error importing documents:', error);
+        notificationManager.error(i18n.t('import.failed') + ': ' + error.message);
     }
 }
 
@@ -360,8 +482,11 @@ async function handleTemplateInsert(template, mode) {
 
 /**
  * Create a new tab
+ * @param {string|null} [filePath]
+ * @param {string} [content]
+ * @param {{title?: string, isModified?: boolean}} [options] - See TabManager.createTab
  */
-async function createNewTab(filePath = null, content = '') {
+async function createNewTab(filePath = null, content = '', options = {}) {
     const editor = registry.get('editor');
     const tabBar = registry.get('tabBar');
     const preview = registry.get('preview');
@@ -369,9 +494,12 @@ async function createNewTab(filePath = null, content = '') {
     const fileTreeSidebar = registry.get('fileTreeSidebar');
     const markdownParser = registry.get('markdownParser');
     const tooltipManager = registry.get('tooltipManager');
+    const historyPanel = registry.get('historyPanel');
+    const gitPanel = registry.get('gitPanel');
+    const aiChatPanel = registry.get('aiChatPanel');
 
     try {
-        const result = await window.electronAPI.createTab(filePath, content);
+        const result = await window.electronAPI.createTab(filePath, content, options);
         if (result.success && result.tab) {
             const tab = result.tab;
             tabBar.addTab(tab.id, tab.title, true, tab.isModified);
@@ -384,6 +512,9 @@ async function createNewTab(filePath = null, content = '') {
             if (autoSaveManager) { autoSaveManager.setCurrentFilePath(filePath); autoSaveManager.setLastSavedContent(content); }
             if (fileTreeSidebar && filePath) fileTreeSidebar.setActiveFile(filePath);
             if (markdownParser && filePath) markdownParser.setCurrentFilePath(filePath);
+            if (historyPanel) historyPanel.setActiveDocument(filePath);
+            if (gitPanel) gitPanel.setActiveDocument(filePath);
+            if (aiChatPanel) aiChatPanel.setActiveDocument(filePath);
             preview.render(content);
             document.body.classList.add('has-tabs');
             if (filePath) {
@@ -409,6 +540,9 @@ async function switchToTab(tabId) {
     const connectionGraphPanel = registry.get('connectionGraphPanel');
     const activityBar = registry.get('activityBar');
     const backlinksPanel = registry.get('backlinksPanel');
+    const historyPanel = registry.get('historyPanel');
+    const gitPanel = registry.get('gitPanel');
+    const aiChatPanel = registry.get('aiChatPanel');
 
     try {
         if (state.currentTabId) {
@@ -433,6 +567,9 @@ async function switchToTab(tabId) {
                 const workspacePath = wpResult && wpResult.success ? wpResult.workspacePath : null;
                 backlinksPanel.setActiveDocument(tab.filePath, workspacePath);
             }
+            if (historyPanel) historyPanel.setActiveDocument(tab.filePath);
+            if (gitPanel) gitPanel.setActiveDocument(tab.filePath);
+            if (aiChatPanel) aiChatPanel.setActiveDocument(tab.filePath);
             if (tab.scrollPosition) editor.setScrollPosition(tab.scrollPosition);
             preview.render(tab.content, true);
         }
@@ -473,6 +610,134 @@ async function closeTab(tabId) {
     }
 }
 
+/**
+ * Replace the content of a tab, keeping the cursor and scroll position when
+ * it is the active tab
+ * @param {Object} tab - Tab data
+ * @param {string} content - New content
+ * @param {boolean} isModified - Whether the new content still differs from the file on disk
+ */
+async function replaceTabContent(tab, content, isModified) {
+    const editor = registry.get('editor');
+    const tabBar = registry.get('tabBar');
+    const fileTreeSidebar = registry.get('fileTreeSidebar');
+    const autoSaveManager = registry.get('autoSaveManager');
+
+    await window.electronAPI.updateTabContent(tab.id, content);
+    await window.electronAPI.markTabModified(tab.id, isModified);
+    tabBar.markTabModified(tab.id, isModified);
+    if (fileTreeSidebar) fileTreeSidebar.markFileModified(tab.filePath, isModified);
+
+    if (tab.id === state.currentTabId) {
+        const cursorPosition = editor.getCursorPosition();
+        const scrollPosition = editor.getScrollPosition();
+        // Update the saved baseline first so the content change is not seen as an edit
+        if (!isModified) {
+            state.lastSavedContent = content;
+            if (autoSaveManager) autoSaveManager.setLastSavedContent(content);
+        }
+        state.isDirty = isModified;
+        editor.setValue(content);
+        editor.setCursorPosition(Math.min(cursorPosition, content.length));
+        editor.setScrollPosition(scrollPosition);
+    }
+}
+
+/**
+ * Show the content of open tabs changed by a batch edit in the main process
+ * @param {Array<{tabId: string, content: string, isModified: boolean}>} updatedTabs - Tabs changed by the batch
+ */
+async function applyTabContentChanges(updatedTabs) {
+    if (updatedTabs.length === 0) return;
+    const tabsResult = await window.electronAPI.getAllTabs();
+    const tabs = tabsResult.success && tabsResult.tabs ? tabsResult.tabs : [];
+    for (const updated of updatedTabs) {
+        const tab = tabs.find(candidate => candidate.id === updated.tabId);
+        if (tab) await replaceTabContent(tab, updated.content, updated.isModified);
+    }
+}
+
+/**
+ * Reload a tab with the content found on disk
+ * @param {Object} tab - Tab data
+ * @param {string} content - Disk content
+ */
+async function reloadTabFromDisk(tab, content) {
+    await replaceTabContent(tab, content, false);
+    eventBus.emit('file:reloaded', { filePath: tab.filePath, tabId: tab.id });
+}
+
+/**
+ * Apply an external change to one tab showing the changed file
+ * @param {Object} tab - Tab data
+ * @param {{filePath: string, type: 'changed'|'deleted', content?: string}} change
+ */
+async function applyExternalChangeToTab(tab, change) {
+    const editor = registry.get('editor');
+    const tabBar = registry.get('tabBar');
+    const autoSaveManager = registry.get('autoSaveManager');
+    const externalChangeDialog = registry.get('externalChangeDialog');
+    const isActive = tab.id === state.currentTabId;
+    const localContent = isActive ? editor.getValue() : tab.content;
+    const isModified = isActive ? state.isDirty : tab.isModified;
+
+    if (change.type === 'deleted') {
+        // Keep the buffer, but never recreate the file behind the user's back
+        if (autoSaveManager) autoSaveManager.suspendForFile(tab.filePath);
+        await window.electronAPI.markTabModified(tab.id, true);
+        tabBar.markTabModified(tab.id, true);
+        if (isActive) state.isDirty = true;
+        notificationManager.warning(i18n.t('externalChange.deleted', { fileName: tab.title }));
+        return;
+    }
+
+    if (autoSaveManager) autoSaveManager.resumeForFile(tab.filePath);
+
+    if (localContent === change.content) {
+        // Same content as ours (e.g. the file was restored): nothing left to save
+        if (isModified) await reloadTabFromDisk(tab, change.content);
+        return;
+    }
+
+    if (!isModified) {
+        await reloadTabFromDisk(tab, change.content);
+        notificationManager.info(i18n.t('externalChange.reloaded', { fileName: tab.title }));
+        return;
+    }
+
+    if (autoSaveManager) autoSaveManager.suspendForFile(tab.filePath);
+    try {
+        const choice = await externalChangeDialog.show({
+            fileName: tab.title,
+            localContent,
+            diskContent: change.content
+        });
+        // 'keep' leaves the buffer modified so the next save overwrites the disk version
+        if (choice === 'reload') await reloadTabFromDisk(tab, change.content);
+    } finally {
+        if (autoSaveManager) autoSaveManager.resumeForFile(tab.filePath);
+    }
+}
+
+/**
+ * Handle a file that was changed or deleted on disk by another program.
+ * Unmodified tabs reload silently; modified tabs ask which version to keep.
+ * @param {{filePath: string, type: 'changed'|'deleted', content?: string}} change
+ */
+async function handleExternalFileChange(change) {
+    try {
+        const tabsResult = await window.electronAPI.getAllTabs();
+        if (!tabsResult.success || !tabsResult.tabs) return;
+        const affectedTabs = tabsResult.tabs.filter(tab => tab.filePath === change.filePath);
+        for (const tab of affectedTabs) {
+            await applyExternalChangeToTab(tab, change);
+        }
+    } catch (error) {
+        console.error('Error handling external file change:', error);
+        notificationManager.error(i18n.t('notifications.failedToLoadFile') + ': ' + error.message);
+    }
+}
+
 function attachTooltipToTabCloseButton(tabId, tabTitle) {
     const tooltipManager = registry.get('tooltipManager');
     if (!tooltipManager) return;
@@ -546,6 +811,7 @@ async function showAboutDialog() {
 
 /**
  * Setup keyboard shortcuts
+ * Registers the actions the configured shortcuts run; KeyboardShortcutsManager matches the keys.
  */
 function setupKeyboardShortcuts() {
     const editor = registry.get('editor');
@@ -554,42 +820,51 @@ function setupKeyboardShortcuts() {
     const fileTreeSidebar = registry.get('fileTreeSidebar');
     const activityBar = registry.get('activityBar');
     const commandPalette = registry.get('commandPalette');
+    const themeSelector = registry.get('themeSelector');
+    const statisticsCalculator = registry.get('statisticsCalculator');
+    const keyboardShortcutsUI = registry.get('keyboardShortcutsUI');
+    const tableEditor = registry.get('tableEditor');
+    const keyboardShortcutsManager = registry.get('keyboardShortcutsManager');
 
-    document.addEventListener('keydown', async (e) => {
-        try {
-            const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
-            const modifier = isMac ? e.metaKey : e.ctrlKey;
+    const actions = {
+        'file:new': () => handleNewFile(),
+        'file:open': () => handleOpenFile(),
+        'file:save': () => handleSaveFile(),
+        'format:bold': () => editor.applyFormatting('bold'),
+        'format:italic': () => editor.applyFormatting('italic'),
+        'format:code': () => editor.applyFormatting('code'),
+        'view:select-theme': () => { if (themeSelector) themeSelector.open(); },
+        'view:focus-mode': () => { if (focusMode) focusMode.toggle(); },
+        'view:toggle-statistics': async () => { if (statisticsCalculator) await statisticsCalculator.toggleVisibility(); },
+        'view:toggle-sidebar': async () => { if (fileTreeSidebar) await fileTreeSidebar.toggleVisibility(); },
+        'view:toggle-explorer': () => { if (activityBar) activityBar.toggleView('files'); },
+        'view:toggle-outline': async () => { if (activityBar) activityBar.toggleView('outline'); await toggleOutlinePanel(); },
+        'view:toggle-typewriter': () => toggleTypewriterScrolling(),
+        'nav:next-tab': async () => {
+            const result = await window.electronAPI.getNextTab();
+            if (result.success && result.tabId) await switchToTab(result.tabId);
+        },
+        'nav:previous-tab': async () => {
+            const result = await window.electronAPI.getPreviousTab();
+            if (result.success && result.tabId) await switchToTab(result.tabId);
+        },
+        'nav:close-tab': async () => { if (state.currentTabId) await closeTab(state.currentTabId); },
+        'search:find': () => searchManager.show(),
+        'tools:find-in-files': () => { if (activityBar) activityBar.toggleView('search'); },
+        'tools:command-palette': () => { if (commandPalette) commandPalette.show(); },
+        'tools:edit-table': () => {
+            if (tableEditor && !tableEditor.openAtCursor()) notificationManager.info(i18n.t('tableEditor.noTableFound'));
+        },
+        'tools:keyboard-shortcuts': () => { if (keyboardShortcutsUI) keyboardShortcutsUI.show(); }
+    };
 
-            if (modifier && e.key === 'Tab' && !e.shiftKey) {
-                e.preventDefault();
-                const result = await window.electronAPI.getNextTab();
-                if (result.success && result.tabId) await switchToTab(result.tabId);
-            }
-            if (modifier && e.shiftKey && e.key === 'Tab') {
-                e.preventDefault();
-                const result = await window.electronAPI.getPreviousTab();
-                if (result.success && result.tabId) await switchToTab(result.tabId);
-            }
-            if (modifier && e.key === 'w') { e.preventDefault(); if (state.currentTabId) await closeTab(state.currentTabId); }
-            if (modifier && e.key === 'b' && !e.shiftKey) { e.preventDefault(); editor.applyFormatting('bold'); }
-            if (modifier && e.key === 'i') { e.preventDefault(); editor.applyFormatting('italic'); }
-            if (modifier && e.key === '`') { e.preventDefault(); editor.applyFormatting('code'); }
-            if (modifier && e.key === 'f' && !e.shiftKey) { e.preventDefault(); searchManager.show(); }
-            if (modifier && e.shiftKey && e.key === 'F') { e.preventDefault(); if (activityBar) activityBar.toggleView('search'); }
-            if (modifier && e.shiftKey && e.key === 'E') { e.preventDefault(); if (activityBar) activityBar.toggleView('files'); }
-            if (modifier && e.shiftKey && e.key === 'O') { e.preventDefault(); if (activityBar) activityBar.toggleView('outline'); }
-            if (modifier && e.key === 's') { e.preventDefault(); await handleSaveFile(); }
-            if (modifier && e.key === 'o' && !e.shiftKey) { e.preventDefault(); await handleOpenFile(); }
-            if (modifier && e.key === 'n') { e.preventDefault(); await handleNewFile(); }
-            if (e.key === 'Escape') { if (searchManager.isVisible()) { e.preventDefault(); searchManager.hide(); } }
-            if (e.key === 'F11') { e.preventDefault(); if (focusMode) focusMode.toggle(); }
-            if (modifier && e.key === 'B' && e.shiftKey && fileTreeSidebar) { e.preventDefault(); await fileTreeSidebar.toggleVisibility(); }
-            if (modifier && e.key === 'O' && e.shiftKey) { e.preventDefault(); await toggleOutlinePanel(); }
-            if (modifier && e.key === 'T' && e.shiftKey) { e.preventDefault(); await toggleTypewriterScrolling(); }
-            if (modifier && e.key === 'P' && e.shiftKey) { e.preventDefault(); if (commandPalette) commandPalette.show(); }
-        } catch (error) {
-            console.error('Keyboard shortcut error:', error);
-        }
+    for (const [actionId, run] of Object.entries(actions)) keyboardShortcutsManager.registerAction(actionId, run);
+    if (tableEditor) keyboardShortcutsManager.registerContext('tableEditorOpen', () => tableEditor.isVisible);
+    keyboardShortcutsManager.initialize();
+
+    // Escape also closes the search bar, whatever the shortcuts
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && searchManager.isVisible()) { e.preventDefault(); searchManager.hide(); }
     });
 }
 
@@ -612,7 +887,7 @@ function setupDragAndDrop() {
             if (file.name.endsWith('.md') || file.name.endsWith('.markdown')) {
                 const reader = new FileReader();
                 reader.onload = async (event) => {
-                    try { await createNewTab(file.path, event.target.result); }
+                    try { await createNewTab(window.electronAPI.getPathForFile(file) || null, event.target.result); }
                     catch (error) { notificationManager.error(i18n.t('notifications.failedToLoadFile') + ' ' + i18n.t('notifications.tryAgain')); }
                 };
                 reader.readAsText(file);
@@ -632,6 +907,158 @@ function setupTabBarHandlers() {
     tabBar.onTabClose(async (tabId) => await closeTab(tabId));
 }
 
+/**
+ * Open a workspace file, switching to its tab when it is already open
+ * @param {string} filePath - File path
+ */
+async function openWorkspaceFile(filePath) {
+    try {
+        const allTabsResult = await window.electronAPI.getAllTabs();
+        if (allTabsResult.success && allTabsResult.tabs) {
+            const existingTab = allTabsResult.tabs.find(tab => tab.filePath === filePath);
+            if (existingTab) { await switchToTab(existingTab.id); return; }
+        }
+        const result = await window.electronAPI.readFile(filePath);
+        if (result && result.success) await createNewTab(filePath, result.content);
+        else throw new Error('Failed to read file');
+    } catch (error) {
+        console.error('Error opening file from sidebar:', error);
+        notificationManager.error(i18n.t('notifications.failedToOpenFile') + ': ' + error.message);
+    }
+}
+
+/**
+ * Reload the AI edit commands defined for the workspace
+ */
+async function refreshAICommands() {
+    const aiEditCommands = registry.get('aiEditCommands');
+    if (aiEditCommands) await aiEditCommands.loadCommands();
+}
+
+/**
+ * Reload the notes wiki links are resolved against and re-render the preview
+ */
+async function refreshWikiNotes() {
+    const markdownParser = registry.get('markdownParser');
+    const preview = registry.get('preview');
+    const editor = registry.get('editor');
+    if (!markdownParser) return;
+    try {
+        const wpResult = await window.electronAPI.getWorkspacePath();
+        const workspacePath = wpResult && wpResult.success ? wpResult.workspacePath : null;
+        let notes = null;
+        if (workspacePath) {
+            const result = await window.electronAPI.getWikiNotes();
+            if (result && result.success) notes = result.notes;
+        }
+        markdownParser.setWikiNotes(notes);
+        if (preview && editor) preview.refresh(editor.getValue());
+    } catch (error) {
+        console.error('Error loading notes for wiki links:', error);
+    }
+}
+
+/**
+ * Open the note a wiki link points to, scrolling to its heading if any
+ * @param {{target: string, heading: string|null, filePath?: string|null}} link - Link from the preview
+ *   (already resolved) or the editor
+ */
+async function openWikiLink(link) {
+    const editor = registry.get('editor');
+    const markdownParser = registry.get('markdownParser');
+    const note = link.filePath
+        ? { filePath: link.filePath }
+        : resolveWikiLink(link.target, markdownParser ? markdownParser.getWikiNotes() : null, state.currentFilePath);
+    if (!note) {
+        notificationManager.warning(i18n.t('wikiLinks.notFound', { target: link.target }));
+        return;
+    }
+    if (note.filePath !== state.currentFilePath) await openWorkspaceFile(note.filePath);
+    if (link.heading && editor && state.currentFilePath === note.filePath) {
+        const line = findHeadingLine(editor.getValue(), link.heading);
+        if (line) editor.goToLine(line);
+    }
+}
+
+/**
+ * Open a file and move the cursor to a line, e.g. a note cited by the AI chat
+ * @param {string} filePath - Absolute path
+ * @param {number|null} [line] - 1-based line number
+ */
+async function openFileAtLine(filePath, line = null) {
+    const editor = registry.get('editor');
+    await openWorkspaceFile(filePath);
+    if (line && editor && state.currentFilePath === filePath) editor.goToLine(line);
+}
+
+/**
+ * Open what a launch asked for: a workspace folder, files (at a line) and a new document
+ * @param {{workspace: string|null, files: Array<{filePath: string, line: number|null}>, newFile: boolean}} request
+ *   Request from the command line, a second launch or the OS
+ */
+async function handleLaunchRequest(request) {
+    try {
+        if (request.workspace) await handleOpenFolder(request.workspace);
+        for (const file of request.files) await openFileAtLine(file.filePath, file.line);
+        if (request.newFile) await handleNewFile();
+    } catch (error) {
+        console.error('Error opening launch request:', error);
+    }
+}
+
+/**
+ * Point open tabs at their new paths after a rename or move in the file tree
+ * @param {Array<{tabId: string, filePath: string, title: string}>} updatedTabs - Tabs updated by the main process
+ */
+function applyTabPathChanges(updatedTabs) {
+    const tabBar = registry.get('tabBar');
+    const fileTreeSidebar = registry.get('fileTreeSidebar');
+    const autoSaveManager = registry.get('autoSaveManager');
+    const markdownParser = registry.get('markdownParser');
+    const historyPanel = registry.get('historyPanel');
+    const gitPanel = registry.get('gitPanel');
+
+    for (const { tabId, filePath, title } of updatedTabs) {
+        tabBar.updateTabTitle(tabId, title);
+        if (tabId !== state.currentTabId) continue;
+        state.currentFilePath = filePath;
+        if (autoSaveManager) autoSaveManager.setCurrentFilePath(filePath);
+        if (fileTreeSidebar) fileTreeSidebar.setActiveFile(filePath);
+        if (markdownParser) markdownParser.setCurrentFilePath(filePath);
+        if (historyPanel) historyPanel.setActiveDocument(filePath);
+        if (gitPanel) gitPanel.setActiveDocument(filePath);
+    }
+}
+
+/**
+ * Offer to rewrite the links that pointed to a renamed or moved path.
+ * Shows a preview of every edit first; open tabs are updated in place and
+ * unsaved ones stay unsaved.
+ * @param {{oldPath: string, newPath: string}} change - Path change from the file tree
+ */
+async function updateLinksAfterMove(change) {
+    const editor = registry.get('editor');
+    const linkUpdateDialog = registry.get('linkUpdateDialog');
+    if (!linkUpdateDialog) return;
+    try {
+        // The main process reads open documents from their tab, so send it the latest editor content
+        if (state.currentTabId) await window.electronAPI.updateTabContent(state.currentTabId, editor.getValue());
+        const planResult = await window.electronAPI.planLinkUpdates(change.oldPath, change.newPath);
+        if (!planResult.success || planResult.plan.files.length === 0) return;
+        const confirmed = await linkUpdateDialog.show(planResult.plan);
+        if (!confirmed) {
+            await window.electronAPI.discardLinkUpdates();
+            return;
+        }
+        const result = await window.electronAPI.applyLinkUpdates(planResult.plan.id);
+        await applyTabContentChanges(result.updatedTabs);
+        notificationManager.success(i18n.t('linkUpdate.applied', { links: result.linkCount, files: result.fileCount }));
+    } catch (error) {
+        console.error('Error updating links:', error);
+        notificationManager.error(i18n.t('linkUpdate.failed', { error: error.message }));
+    }
+}
+
 /**
  * Setup sidebar integration with tab system
  */
@@ -639,20 +1066,17 @@ function setupSidebarIntegration() {
     const fileTreeSidebar = registry.get('fileTreeSidebar');
     if (!fileTreeSidebar) return;
 
-    fileTreeSidebar.onFileClick(async (filePath) => {
-        try {
-            const allTabsResult = await window.electronAPI.getAllTabs();
-            if (allTabsResult.success && allTabsResult.tabs) {
-                const existingTab = allTabsResult.tabs.find(tab => tab.filePath === filePath);
-                if (existingTab) { await switchToTab(existingTab.id); return; }
-            }
-            const result = await window.electronAPI.readFile(filePath);
-            if (result && result.success) await createNewTab(filePath, result.content);
-            else throw new Error('Failed to read file');
-        } catch (error) {
-            console.error('Error opening file from sidebar:', error);
-            notificationManager.error(i18n.t('notifications.failedToOpenFile') + ': ' + error.message);
+    fileTreeSidebar.onFileClick(openWorkspaceFile);
+
+    fileTreeSidebar.onPathChange(async (change) => {
+        if (change.type === 'renamed' || change.type === 'moved') {
+            applyTabPathChanges(change.updatedTabs);
+            await updateLinksAfterMove(change);
+        } else if ((change.type === 'created' || change.type === 'duplicated') && change.nodeType === 'file') {
+            await openWorkspaceFile(change.path);
         }
+        eventBus.emit('workspace:path-changed', change);
+        await refreshWikiNotes();
     });
 
     fileTreeSidebar.onFolderToggle(async (folderPath, isExpanded) => {
@@ -673,6 +1097,7 @@ function setupSidebarIntegration() {
  */
 async function restoreWorkspace() {
     const fileTreeSidebar = registry.get('fileTreeSidebar');
+    const gitPanel = registry.get('gitPanel');
     if (!fileTreeSidebar) return;
     try {
         const result = await window.electronAPI.restoreWorkspace();
@@ -680,6 +1105,9 @@ async function restoreWorkspace() {
             await fileTreeSidebar.loadWorkspace(result.tree);
             const sidebarVisibleResult = await window.electronAPI.getConfig('workspace.sidebarVisible');
             if (sidebarVisibleResult?.value !== false) await fileTreeSidebar.setVisibility(true);
+            if (gitPanel) gitPanel.setWorkspace(true);
+            await refreshWikiNotes();
+            await refreshAICommands();
         }
     } catch (error) {
         console.error('Error restoring workspace:', error);
@@ -713,6 +1141,36 @@ async function restoreTabsFromSession() {
     }
 }
 
+/**
+ * Offer to recover the unsaved documents left by a session that did not end normally
+ */
+async function offerCrashRecovery() {
+    const recoveryDialog = registry.get('recoveryDialog');
+    const editor = registry.get('editor');
+    try {
+        const result = await window.electronAPI.getRecoveredBuffers();
+        if (!result.success || result.entries.length === 0) return;
+        const selection = await recoveryDialog.show(result.entries);
+        // Dismissed: the buffers are offered again on next launch
+        if (selection === null) return;
+        const recovered = result.entries.filter(entry => selection.includes(entry.tabId));
+        for (const entry of recovered) {
+            const tabsResult = await window.electronAPI.getAllTabs();
+            const tabs = tabsResult.success ? tabsResult.tabs : [];
+            const target = tabs.find(tab => tab.id === entry.tabId) || (entry.filePath && tabs.find(tab => tab.filePath === entry.filePath));
+            if (target) await switchToTab(target.id);
+            else await createNewTab(entry.filePath, entry.diskContent ?? '');
+            // Replaces the content in one undoable edit; the tab becomes modified against the file
+            editor.setValue(entry.content);
+        }
+        await window.electronAPI.resolveRecoveredBuffers();
+        if (recovered.length > 0) notificationManager.success(i18n.t('recovery.recovered', { count: recovered.length }));
+    } catch (error) {
+        console.error('Error recovering unsaved changes:', error);
+        notificationManager.error(i18n.t('recovery.failed', { error: error.message }));
+    }
+}
+
 module.exports = {
     init,
     handleMenuAction,
@@ -724,12 +1182,20 @@ module.exports = {
     handleSaveFile,
     handleSaveFileAs,
     handleSaveAll,
-    handleExportHTML,
-    handleExportPDF,
+    handleExport,
+    handleExportSite,
+    handleImport,
+    loadExportFormats,
+    getExportFormats,
     handleTemplateInsert,
     handleToggleLineNumbers,
     toggleOutlinePanel,
     toggleTypewriterScrolling,
+    toggleFrontMatterPreview,
+    refreshWikiNotes,
+    openWikiLink,
+    openFileAtLine,
+    handleLaunchRequest,
     updateDirtyState,
     createNewTab,
     switchToTab,
@@ -741,7 +1207,10 @@ module.exports = {
     setupSidebarIntegration,
     restoreWorkspace,
     restoreTabsFromSession,
+    offerCrashRecovery,
     attachTooltipToTabCloseButton,
+    handleExternalFileChange,
+    applyTabContentChanges,
     setupIPCListeners: function setupIPCListeners() {
         const editor = registry.get('editor');
         removeFileDroppedListener = window.electronAPI.onFileDropped(async (filePath) => {
@@ -754,10 +1223,12 @@ module.exports = {
         removeMenuActionListener = window.electronAPI.onMenuAction(async (action, data) => {
             await handleMenuAction(action, data);
         });
+        removeLaunchRequestListener = window.electronAPI.onLaunchRequest(request => handleLaunchRequest(request));
+        removeFileExternalChangeListener = window.electronAPI.onFileExternalChange((change) => {
+            externalChangeQueue = externalChangeQueue.then(() => handleExternalFileChange(change));
+        });
     },
-    getCleanupRefs: () => ({ removeFileDroppedListener, removeMenuActionListener })
+    getCleanupRefs: () => ({
+        removeFileDroppedListener, removeMenuActionListener, removeFileExternalChangeListener, removeLaunchRequestListener
+    })
 };
-
-// Module-level listener refs for cleanup
-let removeFileDroppedListener = null;
-let removeMenuActionListener = null;
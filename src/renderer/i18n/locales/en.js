@@ -42,8 +42,9 @@ module.exports = {
         saveAs: 'Save As',
         saveAll: 'Save All',
         export: 'Export',
-        exportHTML: 'Export as HTML',
-        exportPDF: 'Export as PDF',
+        exportAs: 'Export as {format}',
+        import: 'Import',
+        exportSite: 'Export Workspace as Website',
         close: 'Close',
         closeFolder: 'Close Folder',
         exit: 'Exit'
@@ -190,10 +191,8 @@ module.exports = {
         successfullySavedFiles: 'Successfully saved {count} file(s).',
         savedWithErrors: 'Saved {count} file(s).\n\nErrors:\n{errors}',
         // Export
-        successfullyExportedHTML: 'Successfully exported to HTML',
-        successfullyExportedPDF: 'Successfully exported to PDF',
-        failedToExportHTML: 'Failed to export to HTML',
-        failedToExportPDF: 'Failed to export to PDF',
+        successfullyExported: 'Successfully exported to {format}',
+        failedToExport: 'Failed to export to {format}',
         // Folder operations
         failedToOpenFolder: 'Failed to open folder',
         failedToCloseFolder: 'Failed to close folder',
@@ -281,7 +280,15 @@ module.exports = {
         delete: 'Delete',
         refresh: 'Refresh',
         collapseAll: 'Collapse All',
-        noFolder: 'No folder open'
+        noFolder: 'No folder open',
+        duplicate: 'Duplicate',
+        newFilePrompt: 'Name of the new file:',
+        newFilePlaceholder: 'note.md',
+        newFolderPrompt: 'Name of the new folder:',
+        renamePrompt: 'Rename "{name}" to:',
+        deleteFileConfirm: 'Move "{name}" to the trash?',
+        deleteFolderConfirm: 'Move the folder "{name}" and everything inside it to the trash?',
+        operationFailed: 'File operation failed: {error}'
     },
 
     // Outline Panel
@@ -299,7 +306,19 @@ module.exports = {
         searchError: 'Search error',
         enterSearchTerm: 'Enter a search term',
         resultsInFiles: '{matches} result(s) in {files} file(s)',
-        results: '{count} result(s)'
+        results: '{count} result(s)',
+        syntaxHint: 'Use quotes for exact phrases, word* for prefixes, and path:, tag: or heading: to filter',
+        truncated: '(showing the {files} best matching files)',
+        replacePlaceholder: 'Replace...',
+        replaceHint: 'With regular expressions, $1 or $<name> inserts a captured group',
+        previewReplace: 'Preview',
+        replaceSelected: 'Replace {count}',
+        replacePreview: '{matches} match(es) in {files} file(s), uncheck the ones to keep',
+        replaced: 'Replaced {matches} match(es) in {files} file(s)',
+        undoReplace: 'Undo Replace',
+        undone: 'Restored {files} file(s)',
+        replaceError: 'Replace failed',
+        openInTab: 'open'
     },
 
     // About
@@ -337,7 +356,10 @@ module.exports = {
         aiAssistant: 'AI Assistant',
         closeSidebar: 'Close Sidebar',
         connectionGraph: 'Connection Map',
-        backlinks: 'Backlinks'
+        backlinks: 'Backlinks',
+        properties: 'Properties',
+        history: 'File History',
+        sourceControl: 'Source Control'
     },
 
     // Connection Graph
@@ -366,7 +388,25 @@ module.exports = {
         pressKeys: 'Press keys...',
         reassign: 'Reassign',
         conflictMessage: 'The shortcut "{shortcut}" is already assigned to "{action}".\n\nDo you want to reassign it?',
-        resetAllConfirm: 'Are you sure you want to reset all keyboard shortcuts to their default values?'
+        resetAllConfirm: 'Are you sure you want to reset all keyboard shortcuts to their default values?',
+        unassigned: 'Unassigned',
+        remove: 'Remove shortcut',
+        when: 'when {condition}',
+        chordPending: '({keys}) was pressed. Waiting for the next key of the chord...',
+        // Conflict report
+        conflictsTitle: '{count} shortcut conflict(s)',
+        duplicateConflict: '{shortcut} is assigned to {actions}',
+        prefixConflict: '{shortcut} ({action}) keeps {chord} ({chordAction}) from running',
+        inConflict: 'This shortcut conflicts with another one',
+        // Keymaps
+        applyPreset: 'Apply Keymap...',
+        applyPresetConfirm: 'Replace all your custom shortcuts with the "{preset}" keymap?',
+        importKeymap: 'Import...',
+        exportKeymap: 'Export...',
+        exportVSCode: 'Export for VS Code...',
+        imported: '{count} shortcut(s) imported, {skipped} skipped',
+        importFailed: 'Could not import the keymap: {error}',
+        exported: 'Keymap exported to {path}'
     },
 
     // Auto-Save Settings
@@ -382,12 +422,25 @@ module.exports = {
     },
 
     // Image Paste Settings
+    imagePaste: {
+        namePrompt: 'Image file name:',
+        failed: 'Failed to insert image'
+    },
     imagePasteSettings: {
         title: 'Image Paste Settings',
         enable: 'Enable automatic image paste',
         enableDescription: 'When enabled, pasting images from clipboard (Ctrl+V) will automatically save them to the assets folder and insert markdown links.',
         assetsFolder: 'Assets Folder Path:',
         assetsFolderDescription: 'Relative path from the markdown file where images will be saved. The folder will be created automatically if it doesn\'t exist.',
+        fileNamePattern: 'Image File Name:',
+        fileNamePatternDescription: 'Name of saved images. {document} is the document name, {original} the name of a dropped file, {date} and {time} when it was saved and {timestamp} a unique number.',
+        promptForName: 'Ask for a file name when inserting an image',
+        optimize: 'Optimize images',
+        optimizeDescription: 'Downscale PNG and JPEG images wider than the maximum width and recompress JPEG images.',
+        maxWidth: 'Maximum width (pixels):',
+        jpegQuality: 'JPEG quality (1-100):',
+        deduplicate: 'Reuse identical images',
+        deduplicateDescription: 'When the assets folder already has an image with the same content, link to it instead of saving a copy.',
         failedToSave: 'Failed to save settings'
     },
 
@@ -458,15 +511,46 @@ module.exports = {
         copied: 'Copied!',
         // Content generation
         contentGenerated: 'Content generated',
-        applyToEditor: 'Apply to editor',
-        apply: 'Apply',
-        applied: 'Applied!',
+        reviewInEditor: 'Review the changes in the editor',
+        review: 'Review changes',
+        inReview: 'In review in the editor',
         dismiss: 'Dismiss',
-        contentApplied: 'Content applied to editor',
+        reviewStarted: '{count} change(s) to review in the editor',
         applyReplace: 'Replace document',
         applyInsert: 'Insert at cursor',
         applyAppend: 'Append to document',
-        applySelection: 'Replace selection'
+        applySelection: 'Replace selection',
+        applyPatch: 'Edit sections',
+        noChanges: 'The content is already in the document',
+        patchFailed: 'None of the proposed edits matches the document',
+        patchPartlyFailed: '{count} proposed edit(s) did not match the document and were left out',
+        // Streaming
+        stop: 'Stop generating',
+        stopped: 'Response stopped',
+        generatingContent: 'Generating content...',
+        // Conversations
+        threads: 'Conversations',
+        newThread: 'New conversation',
+        renameThread: 'Rename conversation',
+        exportThread: 'Export conversation to markdown',
+        deleteThread: 'Delete conversation',
+        untitledThread: 'Untitled conversation',
+        threadsForDocument: 'This document',
+        threadsGeneral: 'General',
+        threadNamePrompt: 'Conversation name:',
+        deleteThreadConfirm: 'Delete the conversation "{title}"?',
+        threadExported: 'Conversation exported to {path}',
+        threadError: 'Conversation error',
+        sources: 'Sources'
+    },
+
+    // AI Edit Review
+    aiReview: {
+        pending: '{count} AI change(s) to review',
+        accept: 'Accept',
+        reject: 'Reject',
+        acceptAll: 'Accept all',
+        rejectAll: 'Reject all'
     },
 
     // AI Settings
@@ -502,7 +586,13 @@ module.exports = {
         enterKeyFirst: 'Enter a key first',
         keyValid: 'Key valid',
         keyInvalid: 'Key invalid',
-        testFailed: 'Test failed'
+        testFailed: 'Test failed',
+        workspaceNotes: 'Workspace Notes',
+        useWorkspaceNotes: 'Answer with relevant notes from the workspace',
+        workspaceNotesHint: 'Off by default. Passages of other notes are sent with your questions to the selected provider, including cloud providers.',
+        useEmbeddings: 'Rank notes with embeddings from the local server',
+        embeddingsHint: 'Finds notes that use different words than the question. Requires an embedding model on the local server.',
+        embeddingModel: 'Embedding model'
     },
 
     // Panels
@@ -540,6 +630,12 @@ module.exports = {
         translateHint: 'To another language',
         custom: 'Custom...',
         customHint: 'Your instruction',
+        // Workspace commands
+        editCommands: 'Edit AI Commands',
+        selectTextFirst: 'Please select some text first',
+        commandsFileErrors: '{count} problem(s) in the AI commands file: {error}',
+        commandsNeedWorkspace: 'Open a folder to define AI commands for it',
+        commandsFileFailed: 'Could not open the AI commands file',
         // Dialogs
         translateTo: 'Translate to',
         customInstruction: 'Custom Instruction',
@@ -558,6 +654,7 @@ module.exports = {
         categoryView: 'View',
         categoryInsert: 'Insert',
         categoryTools: 'Tools',
+        categoryAI: 'AI',
         categoryHelp: 'Help'
     },
 
@@ -587,6 +684,89 @@ module.exports = {
         refresh: 'Refresh Backlinks'
     },
 
+    // Wiki links
+    wikiLinks: {
+        notFound: 'No note named "{target}" in the workspace'
+    },
+
+    // Properties (YAML front matter)
+    properties: {
+        empty: 'This document has no properties.',
+        count: '{count} property(ies)',
+        invalid: 'The front matter is not valid YAML: {error}',
+        key: 'Property',
+        value: 'Value',
+        add: 'Add',
+        remove: 'Remove Property',
+        listHint: 'Separate list values with commas',
+        toggleInPreview: 'Toggle Front Matter in Preview'
+    },
+
+    // Local file history
+    history: {
+        noDocument: 'Save the document to start its history.',
+        empty: 'No saved versions yet.',
+        count: '{count} saved version(s)',
+        error: 'Error loading file history',
+        latest: 'Latest',
+        justNow: 'Just now',
+        minutesAgo: '{count} min ago',
+        compare: 'Compare',
+        restore: 'Restore',
+        refresh: 'Refresh History',
+        compareTitle: 'Compare with Saved Version',
+        compareSummary: 'The current content adds {added} and removes {removed} line(s) compared to the saved version.',
+        identical: 'The saved version is identical to the current content.',
+        savedVersion: 'Saved {version}',
+        currentVersion: 'Current',
+        restored: 'Restored the version saved {version}. Undo to go back.'
+    },
+
+    git: {
+        noWorkspace: 'Open a folder to use source control.',
+        notRepository: 'The open folder is not a git repository.',
+        branch: 'On branch {branch}',
+        detached: 'Detached HEAD',
+        aheadBehind: '{ahead} to push, {behind} to pull',
+        staged: 'Staged Changes',
+        changes: 'Changes',
+        clean: 'No changes since the last commit.',
+        stage: 'Stage',
+        unstage: 'Unstage',
+        stageAll: 'Stage All',
+        unstageAll: 'Unstage All',
+        diff: 'Diff',
+        messagePlaceholder: 'Commit message (Ctrl+Enter to commit)',
+        commit: 'Commit',
+        committed: 'Committed {hash}',
+        messageRequired: 'Enter a commit message.',
+        nothingStaged: 'Stage changes before committing.',
+        diffTitle: 'Changes in {fileName}',
+        headVersion: 'Last commit (HEAD)',
+        workingVersion: 'Working tree',
+        diffSummary: 'The working tree adds {added} and removes {removed} line(s) compared to the last commit.',
+        noDifferences: 'No differences from the last commit.',
+        refresh: 'Refresh Source Control',
+        error: 'Git error: {error}',
+        badge: {
+            modified: 'M',
+            added: 'A',
+            deleted: 'D',
+            renamed: 'R',
+            untracked: 'U',
+            conflicted: 'C'
+        },
+        status: {
+            modified: 'Modified',
+            added: 'Added',
+            deleted: 'Deleted',
+            renamed: 'Renamed',
+            untracked: 'Untracked',
+            conflicted: 'Conflicted',
+            changes: 'Contains changes'
+        }
+    },
+
     // What's New
     whatsNew: {
         title: "What's New",
@@ -594,5 +774,82 @@ module.exports = {
         versionDate: '{version} — {date}',
         close: 'Close',
         menuLabel: "What's New"
+    },
+
+    // External file changes
+    externalChange: {
+        title: 'File Changed on Disk',
+        message: '"{fileName}" was changed by another program, but you have unsaved edits.',
+        summary: 'The disk version adds {added} and removes {removed} line(s) compared to yours.',
+        compare: 'Compare',
+        hideComparison: 'Hide comparison',
+        keepMine: 'Keep mine',
+        takeTheirs: 'Take theirs',
+        yourVersion: 'Your version',
+        diskVersion: 'Disk version',
+        unchangedLines: '… {count} unchanged line(s) …',
+        reloaded: '"{fileName}" was reloaded because it changed on disk',
+        deleted: '"{fileName}" was deleted or moved on disk. Save to recreate it.'
+    },
+    linkUpdate: {
+        title: 'Update Links?',
+        message: '{links} link(s) in {files} file(s) need updating after renaming or moving "{name}".',
+        line: 'Line {line}',
+        openInTab: 'open',
+        skip: "Don't update",
+        apply: 'Update links',
+        applied: 'Updated {links} link(s) in {files} file(s)',
+        failed: 'Failed to update links: {error}'
+    },
+    recovery: {
+        title: 'Recover Unsaved Changes',
+        message: 'The editor did not close normally last time. Choose the unsaved documents to recover.',
+        untitled: 'Untitled',
+        editedAt: 'Edited {time}',
+        untitledSummary: 'Untitled document, {count} line(s)',
+        missingFile: 'The file no longer exists on disk.',
+        summary: 'Adds {added} and removes {removed} line(s) compared to the file on disk.',
+        identical: 'Same as the file on disk.',
+        showChanges: 'Show changes',
+        hideChanges: 'Hide changes',
+        discard: 'Discard all',
+        recover: 'Recover selected',
+        recovered: 'Recovered {count} document(s)',
+        failed: 'Failed to recover unsaved changes: {error}'
+    },
+    pdfExport: {
+        title: 'Export to PDF',
+        pageSize: 'Page size',
+        pageSizeAuto: 'Document default',
+        orientation: 'Orientation',
+        portrait: 'Portrait',
+        landscape: 'Landscape',
+        scale: 'Scale (%)',
+        margins: 'Margins (inches)',
+        top: 'Top',
+        bottom: 'Bottom',
+        left: 'Left',
+        right: 'Right',
+        header: 'Header',
+        footer: 'Footer',
+        placeholdersHint: 'Use {title}, {date}, {page} and {pages} in the header and footer.',
+        tableOfContents: 'Start with a table of contents',
+        contentsTitle: 'Contents',
+        pageBreakHint: 'Start a new page with a line containing \\pagebreak.',
+        export: 'Export'
+    },
+    siteExport: {
+        noWorkspace: 'Open a folder to export it as a website.',
+        exported: 'Exported {count} page(s) to {path}',
+        failed: 'Failed to export the website',
+        search: 'Search',
+        backlinks: 'Backlinks',
+        allPages: 'All pages',
+        noResults: 'No results'
+    },
+    import: {
+        imported: 'Imported {count} document(s). Images were saved next to the original files.',
+        fileFailed: 'Could not import {file}',
+        failed: 'Failed to import documents'
     }
 };
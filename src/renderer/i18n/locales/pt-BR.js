@@ -42,8 +42,9 @@ module.exports = {
         saveAs: 'Salvar Como',
         saveAll: 'Salvar Todos',
         export: 'Exportar',
-        exportHTML: 'Exportar como HTML',
-        exportPDF: 'Exportar como PDF',
+        exportAs: 'Exportar como {format}',
+        import: 'Importar',
+        exportSite: 'Exportar Workspace como Site',
         close: 'Fechar',
         closeFolder: 'Fechar Pasta',
         exit: 'Sair'
@@ -190,10 +191,8 @@ module.exports = {
         successfullySavedFiles: '{count} arquivo(s) salvo(s) com sucesso.',
         savedWithErrors: '{count} arquivo(s) salvo(s).\n\nErros:\n{errors}',
         // Export
-        successfullyExportedHTML: 'Exportado para HTML com sucesso',
-        successfullyExportedPDF: 'Exportado para PDF com sucesso',
-        failedToExportHTML: 'Falha ao exportar para HTML',
-        failedToExportPDF: 'Falha ao exportar para PDF',
+        successfullyExported: 'Exportado para {format} com sucesso',
+        failedToExport: 'Falha ao exportar para {format}',
         // Folder operations
         failedToOpenFolder: 'Falha ao abrir pasta',
         failedToCloseFolder: 'Falha ao fechar pasta',
@@ -282,7 +281,15 @@ module.exports = {
         delete: 'Excluir',
         refresh: 'Atualizar',
         collapseAll: 'Recolher Tudo',
-        noFolder: 'Nenhuma pasta aberta'
+        noFolder: 'Nenhuma pasta aberta',
+        duplicate: 'Duplicar',
+        newFilePrompt: 'Nome do novo arquivo:',
+        newFilePlaceholder: 'nota.md',
+        newFolderPrompt: 'Nome da nova pasta:',
+        renamePrompt: 'Renomear "{name}" para:',
+        deleteFileConfirm: 'Mover "{name}" para a lixeira?',
+        deleteFolderConfirm: 'Mover a pasta "{name}" e todo o seu conteúdo para a lixeira?',
+        operationFailed: 'Falha na operação de arquivo: {error}'
     },
 
     // Outline Panel
@@ -300,7 +307,19 @@ module.exports = {
         searchError: 'Erro na pesquisa',
         enterSearchTerm: 'Digite um termo de pesquisa',
         resultsInFiles: '{matches} resultado(s) em {files} arquivo(s)',
-        results: '{count} resultado(s)'
+        results: '{count} resultado(s)',
+        syntaxHint: 'Use aspas para frases exatas, palavra* para prefixos e path:, tag: ou heading: para filtrar',
+        truncated: '(mostrando os {files} arquivos mais relevantes)',
+        replacePlaceholder: 'Substituir...',
+        replaceHint: 'Com expressões regulares, $1 ou $<nome> insere um grupo capturado',
+        previewReplace: 'Visualizar',
+        replaceSelected: 'Substituir {count}',
+        replacePreview: '{matches} ocorrência(s) em {files} arquivo(s), desmarque as que devem ser mantidas',
+        replaced: '{matches} ocorrência(s) substituída(s) em {files} arquivo(s)',
+        undoReplace: 'Desfazer Substituição',
+        undone: '{files} arquivo(s) restaurado(s)',
+        replaceError: 'Falha ao substituir',
+        openInTab: 'aberto'
     },
 
     // About
@@ -338,7 +357,10 @@ module.exports = {
         aiAssistant: 'Assistente IA',
         closeSidebar: 'Fechar Barra Lateral',
         connectionGraph: 'Mapa de Conexões',
-        backlinks: 'Backlinks'
+        backlinks: 'Backlinks',
+        properties: 'Propriedades',
+        history: 'Histórico do Arquivo',
+        sourceControl: 'Controle de Versão'
     },
 
     // Connection Graph
@@ -367,7 +389,25 @@ module.exports = {
         pressKeys: 'Pressione as teclas...',
         reassign: 'Reatribuir',
         conflictMessage: 'O atalho "{shortcut}" já está atribuído a "{action}".\n\nDeseja reatribuí-lo?',
-        resetAllConfirm: 'Tem certeza de que deseja redefinir todos os atalhos de teclado para os valores padrão?'
+        resetAllConfirm: 'Tem certeza de que deseja redefinir todos os atalhos de teclado para os valores padrão?',
+        unassigned: 'Sem atalho',
+        remove: 'Remover atalho',
+        when: 'quando {condition}',
+        chordPending: '({keys}) foi pressionado. Aguardando a próxima tecla do acorde...',
+        // Conflict report
+        conflictsTitle: '{count} conflito(s) de atalhos',
+        duplicateConflict: '{shortcut} está atribuído a {actions}',
+        prefixConflict: '{shortcut} ({action}) impede {chord} ({chordAction}) de ser executado',
+        inConflict: 'Este atalho conflita com outro',
+        // Keymaps
+        applyPreset: 'Aplicar Mapa de Teclas...',
+        applyPresetConfirm: 'Substituir todos os seus atalhos personalizados pelo mapa de teclas "{preset}"?',
+        importKeymap: 'Importar...',
+        exportKeymap: 'Exportar...',
+        exportVSCode: 'Exportar para o VS Code...',
+        imported: '{count} atalho(s) importado(s), {skipped} ignorado(s)',
+        importFailed: 'Não foi possível importar o mapa de teclas: {error}',
+        exported: 'Mapa de teclas exportado para {path}'
     },
 
     // Auto-Save Settings
@@ -383,12 +423,25 @@ module.exports = {
     },
 
     // Image Paste Settings
+    imagePaste: {
+        namePrompt: 'Nome do arquivo da imagem:',
+        failed: 'Falha ao inserir imagem'
+    },
     imagePasteSettings: {
         title: 'Configurações de Colagem de Imagem',
         enable: 'Ativar colagem automática de imagem',
         enableDescription: 'Quando ativado, colar imagens da área de transferência (Ctrl+V) salvará automaticamente na pasta de assets e inserirá links markdown.',
         assetsFolder: 'Caminho da Pasta de Assets:',
         assetsFolderDescription: 'Caminho relativo ao arquivo markdown onde as imagens serão salvas. A pasta será criada automaticamente se não existir.',
+        fileNamePattern: 'Nome do Arquivo da Imagem:',
+        fileNamePatternDescription: 'Nome das imagens salvas. {document} é o nome do documento, {original} o nome de um arquivo arrastado, {date} e {time} quando foi salva e {timestamp} um número único.',
+        promptForName: 'Perguntar o nome do arquivo ao inserir uma imagem',
+        optimize: 'Otimizar imagens',
+        optimizeDescription: 'Reduz imagens PNG e JPEG mais largas que a largura máxima e recomprime imagens JPEG.',
+        maxWidth: 'Largura máxima (pixels):',
+        jpegQuality: 'Qualidade JPEG (1-100):',
+        deduplicate: 'Reutilizar imagens idênticas',
+        deduplicateDescription: 'Quando a pasta de assets já tem uma imagem com o mesmo conteúdo, cria o link para ela em vez de salvar uma cópia.',
         failedToSave: 'Falha ao salvar configurações'
     },
 
@@ -459,15 +512,46 @@ module.exports = {
         copied: 'Copiado!',
         // Content generation
         contentGenerated: 'Conteúdo gerado',
-        applyToEditor: 'Aplicar no editor',
-        apply: 'Aplicar',
-        applied: 'Aplicado!',
+        reviewInEditor: 'Revisar as alterações no editor',
+        review: 'Revisar alterações',
+        inReview: 'Em revisão no editor',
         dismiss: 'Dispensar',
-        contentApplied: 'Conteúdo aplicado no editor',
+        reviewStarted: '{count} alteração(ões) para revisar no editor',
         applyReplace: 'Substituir documento',
         applyInsert: 'Inserir no cursor',
         applyAppend: 'Adicionar ao final',
-        applySelection: 'Substituir seleção'
+        applySelection: 'Substituir seleção',
+        applyPatch: 'Editar seções',
+        noChanges: 'O conteúdo já está no documento',
+        patchFailed: 'Nenhuma das edições propostas corresponde ao documento',
+        patchPartlyFailed: '{count} edição(ões) proposta(s) não corresponderam ao documento e foram ignoradas',
+        // Streaming
+        stop: 'Parar geração',
+        stopped: 'Resposta interrompida',
+        generatingContent: 'Gerando conteúdo...',
+        // Conversas
+        threads: 'Conversas',
+        newThread: 'Nova conversa',
+        renameThread: 'Renomear conversa',
+        exportThread: 'Exportar conversa para markdown',
+        deleteThread: 'Excluir conversa',
+        untitledThread: 'Conversa sem título',
+        threadsForDocument: 'Este documento',
+        threadsGeneral: 'Gerais',
+        threadNamePrompt: 'Nome da conversa:',
+        deleteThreadConfirm: 'Excluir a conversa "{title}"?',
+        threadExported: 'Conversa exportada para {path}',
+        threadError: 'Erro na conversa',
+        sources: 'Fontes'
+    },
+
+    // AI Edit Review
+    aiReview: {
+        pending: '{count} alteração(ões) da IA para revisar',
+        accept: 'Aceitar',
+        reject: 'Rejeitar',
+        acceptAll: 'Aceitar todas',
+        rejectAll: 'Rejeitar todas'
     },
 
     // AI Settings
@@ -503,7 +587,13 @@ module.exports = {
         enterKeyFirst: 'Digite uma chave primeiro',
         keyValid: 'Chave válida',
         keyInvalid: 'Chave inválida',
-        testFailed: 'Falha no teste'
+        testFailed: 'Falha no teste',
+        workspaceNotes: 'Notas do Workspace',
+        useWorkspaceNotes: 'Responder com notas relevantes do workspace',
+        workspaceNotesHint: 'Desativado por padrão. Trechos de outras notas são enviados com suas perguntas ao provedor selecionado, inclusive provedores na nuvem.',
+        useEmbeddings: 'Classificar notas com embeddings do servidor local',
+        embeddingsHint: 'Encontra notas que usam palavras diferentes da pergunta. Requer um modelo de embeddings no servidor local.',
+        embeddingModel: 'Modelo de embeddings'
     },
 
     // Panels
@@ -541,6 +631,12 @@ module.exports = {
         translateHint: 'Para outro idioma',
         custom: 'Personalizado...',
         customHint: 'Sua instrução',
+        // Workspace commands
+        editCommands: 'Editar comandos de IA',
+        selectTextFirst: 'Selecione algum texto primeiro',
+        commandsFileErrors: '{count} problema(s) no arquivo de comandos de IA: {error}',
+        commandsNeedWorkspace: 'Abra uma pasta para definir comandos de IA para ela',
+        commandsFileFailed: 'Não foi possível abrir o arquivo de comandos de IA',
         // Dialogs
         translateTo: 'Traduzir para',
         customInstruction: 'Instrução Personalizada',
@@ -559,6 +655,7 @@ module.exports = {
         categoryView: 'Visualizar',
         categoryInsert: 'Inserir',
         categoryTools: 'Ferramentas',
+        categoryAI: 'IA',
         categoryHelp: 'Ajuda'
     },
 
@@ -588,6 +685,89 @@ module.exports = {
         refresh: 'Atualizar Backlinks'
     },
 
+    // Wiki links
+    wikiLinks: {
+        notFound: 'Nenhuma nota chamada "{target}" no workspace'
+    },
+
+    // Propriedades (front matter YAML)
+    properties: {
+        empty: 'Este documento não tem propriedades.',
+        count: '{count} propriedade(s)',
+        invalid: 'O front matter não é um YAML válido: {error}',
+        key: 'Propriedade',
+        value: 'Valor',
+        add: 'Adicionar',
+        remove: 'Remover Propriedade',
+        listHint: 'Separe os valores da lista com vírgulas',
+        toggleInPreview: 'Alternar Front Matter no Preview'
+    },
+
+    // Histórico local de arquivos
+    history: {
+        noDocument: 'Salve o documento para iniciar seu histórico.',
+        empty: 'Nenhuma versão salva ainda.',
+        count: '{count} versão(ões) salva(s)',
+        error: 'Erro ao carregar o histórico do arquivo',
+        latest: 'Mais recente',
+        justNow: 'Agora mesmo',
+        minutesAgo: 'há {count} min',
+        compare: 'Comparar',
+        restore: 'Restaurar',
+        refresh: 'Atualizar Histórico',
+        compareTitle: 'Comparar com Versão Salva',
+        compareSummary: 'O conteúdo atual adiciona {added} e remove {removed} linha(s) em relação à versão salva.',
+        identical: 'A versão salva é idêntica ao conteúdo atual.',
+        savedVersion: 'Salva {version}',
+        currentVersion: 'Atual',
+        restored: 'Versão salva {version} restaurada. Desfaça para voltar.'
+    },
+
+    git: {
+        noWorkspace: 'Abra uma pasta para usar o controle de versão.',
+        notRepository: 'A pasta aberta não é um repositório git.',
+        branch: 'No branch {branch}',
+        detached: 'HEAD desanexado',
+        aheadBehind: '{ahead} para enviar, {behind} para receber',
+        staged: 'Alterações Preparadas',
+        changes: 'Alterações',
+        clean: 'Nenhuma alteração desde o último commit.',
+        stage: 'Preparar',
+        unstage: 'Desfazer preparo',
+        stageAll: 'Preparar Tudo',
+        unstageAll: 'Desfazer Preparo de Tudo',
+        diff: 'Diferenças',
+        messagePlaceholder: 'Mensagem do commit (Ctrl+Enter para confirmar)',
+        commit: 'Commit',
+        committed: 'Commit {hash} criado',
+        messageRequired: 'Digite uma mensagem de commit.',
+        nothingStaged: 'Prepare alterações antes de fazer o commit.',
+        diffTitle: 'Alterações em {fileName}',
+        headVersion: 'Último commit (HEAD)',
+        workingVersion: 'Árvore de trabalho',
+        diffSummary: 'A árvore de trabalho adiciona {added} e remove {removed} linha(s) em relação ao último commit.',
+        noDifferences: 'Nenhuma diferença em relação ao último commit.',
+        refresh: 'Atualizar Controle de Versão',
+        error: 'Erro do git: {error}',
+        badge: {
+            modified: 'M',
+            added: 'A',
+            deleted: 'D',
+            renamed: 'R',
+            untracked: 'U',
+            conflicted: 'C'
+        },
+        status: {
+            modified: 'Modificado',
+            added: 'Adicionado',
+            deleted: 'Excluído',
+            renamed: 'Renomeado',
+            untracked: 'Não rastreado',
+            conflicted: 'Em conflito',
+            changes: 'Contém alterações'
+        }
+    },
+
     // What's New
     whatsNew: {
         title: 'O Que Há de Novo',
@@ -595,5 +775,82 @@ module.exports = {
         versionDate: '{version} — {date}',
         close: 'Fechar',
         menuLabel: 'O Que Há de Novo'
+    },
+
+    // Alterações externas de arquivo
+    externalChange: {
+        title: 'Arquivo Alterado no Disco',
+        message: '"{fileName}" foi alterado por outro programa, mas você tem edições não salvas.',
+        summary: 'A versão do disco adiciona {added} e remove {removed} linha(s) em relação à sua.',
+        compare: 'Comparar',
+        hideComparison: 'Ocultar comparação',
+        keepMine: 'Manter a minha',
+        takeTheirs: 'Usar a do disco',
+        yourVersion: 'Sua versão',
+        diskVersion: 'Versão do disco',
+        unchangedLines: '… {count} linha(s) inalterada(s) …',
+        reloaded: '"{fileName}" foi recarregado porque mudou no disco',
+        deleted: '"{fileName}" foi excluído ou movido no disco. Salve para recriá-lo.'
+    },
+    linkUpdate: {
+        title: 'Atualizar Links?',
+        message: '{links} link(s) em {files} arquivo(s) precisam ser atualizados após renomear ou mover "{name}".',
+        line: 'Linha {line}',
+        openInTab: 'aberto',
+        skip: 'Não atualizar',
+        apply: 'Atualizar links',
+        applied: '{links} link(s) atualizado(s) em {files} arquivo(s)',
+        failed: 'Falha ao atualizar links: {error}'
+    },
+    recovery: {
+        title: 'Recuperar Alterações Não Salvas',
+        message: 'O editor não foi fechado normalmente da última vez. Escolha os documentos não salvos a recuperar.',
+        untitled: 'Sem título',
+        editedAt: 'Editado em {time}',
+        untitledSummary: 'Documento sem título, {count} linha(s)',
+        missingFile: 'O arquivo não existe mais no disco.',
+        summary: 'Adiciona {added} e remove {removed} linha(s) em relação ao arquivo no disco.',
+        identical: 'Igual ao arquivo no disco.',
+        showChanges: 'Mostrar alterações',
+        hideChanges: 'Ocultar alterações',
+        discard: 'Descartar tudo',
+        recover: 'Recuperar selecionados',
+        recovered: '{count} documento(s) recuperado(s)',
+        failed: 'Falha ao recuperar alterações não salvas: {error}'
+    },
+    pdfExport: {
+        title: 'Exportar para PDF',
+        pageSize: 'Tamanho da página',
+        pageSizeAuto: 'Padrão do documento',
+        orientation: 'Orientação',
+        portrait: 'Retrato',
+        landscape: 'Paisagem',
+        scale: 'Escala (%)',
+        margins: 'Margens (polegadas)',
+        top: 'Superior',
+        bottom: 'Inferior',
+        left: 'Esquerda',
+        right: 'Direita',
+        header: 'Cabeçalho',
+        footer: 'Rodapé',
+        placeholdersHint: 'Use {title}, {date}, {page} e {pages} no cabeçalho e no rodapé.',
+        tableOfContents: 'Começar com um sumário',
+        contentsTitle: 'Sumário',
+        pageBreakHint: 'Comece uma nova página com uma linha contendo \\pagebreak.',
+        export: 'Exportar'
+    },
+    siteExport: {
+        noWorkspace: 'Abra uma pasta para exportá-la como site.',
+        exported: '{count} página(s) exportada(s) para {path}',
+        failed: 'Falha ao exportar o site',
+        search: 'Pesquisar',
+        backlinks: 'Backlinks',
+        allPages: 'Todas as páginas',
+        noResults: 'Nenhum resultado'
+    },
+    import: {
+        imported: '{count} documento(s) importado(s). As imagens foram salvas junto aos arquivos originais.',
+        fileFailed: 'Não foi possível importar {file}',
+        failed: 'Falha ao importar documentos'
     }
 };
@@ -107,6 +107,12 @@ async function initialize() {
             if (te) te.updateTranslations();
             const bp = registry.get('backlinksPanel');
             if (bp) bp.updateTranslations();
+            const pp = registry.get('propertiesPanel');
+            if (pp) pp.updateTranslations();
+            const hp = registry.get('historyPanel');
+            if (hp) hp.updateTranslations();
+            const gp = registry.get('gitPanel');
+            if (gp) gp.updateTranslations();
         });
 
         // Register renderer error boundary before any component initialization
@@ -143,6 +149,8 @@ async function initialize() {
         // Initialize Editor
         const editorContainer = document.getElementById('editor-container');
         if (!editorContainer) throw new Error('Editor container not found');
+        const frontMatterResult = await window.electronAPI.getConfig('frontMatter.showInPreview');
+        if (frontMatterResult?.value === false) markdownParser.setFrontMatterVisible(false);
         const lineNumbersEnabled = await window.electronAPI.getLineNumbers();
         editor.initialize(editorContainer, [], lineNumbersEnabled);
 
@@ -168,7 +176,9 @@ async function initialize() {
                     logErrorToMain('Error opening linked file', error);
                     notificationManager.error(i18n.t('notifications.failedToOpenFile') + ': ' + error.message);
                 }
-            }
+            },
+            onWikiLinkClick: (link) => handlers.openWikiLink(link),
+            onSourceLineClick: (line) => editor.goToLine(line)
         });
 
         // Initialize FormattingToolbar
@@ -192,7 +202,12 @@ async function initialize() {
         if (viewModeManager.getCurrentViewMode() === 'preview') formattingToolbar.hide();
 
         // Initialize remaining components
-        await registry.get('autoSaveManager').initialize();
+        const autoSaveManager = registry.get('autoSaveManager');
+        await autoSaveManager.initialize();
+        // Auto-saves are saves too, e.g. for the file history
+        autoSaveManager.onSaveComplete(() => {
+            eventBus.emit('file:saved', { filePath: autoSaveManager.currentFilePath, tabId: state.currentTabId });
+        });
         await registry.get('statisticsCalculator').initialize();
         registry.get('statusBarInfo').initialize();
 
@@ -220,20 +235,29 @@ async function initialize() {
         const snippetManager = registry.get('snippetManager');
         editor.enableSnippetExtensions(snippetManager.createSnippetExtension());
 
+        // Wiki link completion and Ctrl+Click navigation
+        editor.enableWikiLinks({
+            getNotes: () => markdownParser.getWikiNotes(),
+            onOpen: (link) => handlers.openWikiLink(link)
+        });
+
         // Initialize ImagePaste
         await registry.get('imagePaste').initialize();
 
         // ImagePasteSettingsUI wiring
-        registry.get('imagePasteSettingsUI').onChange(async (enabled, assetsFolder) => {
+        registry.get('imagePasteSettingsUI').onChange(async (enabled, assetsFolder, settings) => {
             const ip = registry.get('imagePaste');
-            if (ip) await ip.setEnabled(enabled);
+            if (ip) {
+                await ip.setEnabled(enabled);
+                ip.setPromptForName(settings.promptForName);
+            }
         });
 
         // AdvancedMarkdownSettingsUI wiring
         registry.get('advancedMarkdownSettingsUI').onChange(async (featureName, enabled) => {
             advancedMarkdownManager.updateFeature(featureName, enabled);
             markdownParser.reinitialize();
-            preview.render(editor.getValue(), true);
+            preview.refresh(editor.getValue());
         });
 
         // KeyboardShortcutsUI wiring
@@ -254,6 +278,7 @@ async function initialize() {
         registry.get('tooltipManager').initialize();
         registry.get('fileTreeSidebar').initialize();
         handlers.setupSidebarIntegration();
+        eventBus.on('git:status-changed', ({ files }) => registry.get('fileTreeSidebar').setGitStatus(files));
         await handlers.restoreWorkspace();
         registry.get('outlinePanel').initialize(registry.get('outlinePanelContainer'));
 
@@ -282,6 +307,7 @@ async function initialize() {
                 notificationManager.error('Failed to open file: ' + error.message);
             }
         });
+        globalSearchUI.onReplace(updatedTabs => handlers.applyTabContentChanges(updatedTabs));
 
         // Initialize ActivityBar and register views
         registry.get('activityBar').initialize();
@@ -290,9 +316,11 @@ async function initialize() {
         // Initialize TableEditor, CommandPalette
         registry.get('tableEditor').initialize();
         registry.get('commandPalette').initialize();
+        await handlers.loadExportFormats();
         registerCommandPaletteCommands(registry, handlers);
 
         // AI Edit Commands & Autocomplete
+        aiEditCommands.onCommandsChange(() => registerCommandPaletteCommands(registry, handlers));
         aiEditCommands.initialize();
         window.aiEditCommands = aiEditCommands;
         await aiAutocomplete.initialize();
@@ -308,7 +336,7 @@ async function initialize() {
         window.electronAPI.onAdvancedMarkdownSettingsChanged((featureName, enabled) => {
             advancedMarkdownManager.updateFeature(featureName, enabled);
             markdownParser.reinitialize();
-            preview.render(editor.getValue(), true);
+            preview.refresh(editor.getValue());
         });
 
         // Restore tabs from previous session
@@ -329,8 +357,17 @@ async function initialize() {
         handlers.setupKeyboardShortcuts();
         handlers.setupDragAndDrop();
 
+        // Open the files and folders the app was launched with
+        const launchResult = await window.electronAPI.getPendingLaunchRequests();
+        if (launchResult?.success) {
+            for (const request of launchResult.requests) await handlers.handleLaunchRequest(request);
+        }
+
         // Render current editor content
         preview.render(editor.getValue(), true);
+
+        // Offer what a crash left unsaved; the app stays usable while the dialog is open
+        handlers.offerCrashRecovery();
         console.log('Renderer process initialized successfully');
     } catch (error) {
         logErrorToMain('Failed to initialize renderer process', error);
@@ -342,15 +379,8 @@ async function initialize() {
  * Setup scroll synchronization between editor and preview
  */
 function setupScrollSynchronization() {
-    const editor = registry.get('editor');
-    const preview = registry.get('preview');
-    if (!editor || !preview) return;
-    editor.view.scrollDOM.addEventListener('scroll', () => {
-        const scrollPercent = editor.getScrollPosition();
-        if (!isNaN(scrollPercent) && scrollPercent >= 0 && scrollPercent <= 1) {
-            preview.syncScroll(scrollPercent);
-        }
-    });
+    const scrollSync = registry.get('scrollSync');
+    if (scrollSync) scrollSync.initialize();
 }
 
 /**
@@ -403,11 +433,15 @@ function cleanup() {
     const refs = handlers.getCleanupRefs();
     if (refs.removeFileDroppedListener) refs.removeFileDroppedListener();
     if (refs.removeMenuActionListener) refs.removeMenuActionListener();
+    if (refs.removeFileExternalChangeListener) refs.removeFileExternalChangeListener();
+    if (refs.removeLaunchRequestListener) refs.removeLaunchRequestListener();
 
     // Destroy components that have destroy/cleanup methods
-    const destroyable = ['editor', 'preview', 'formattingToolbar', 'autoSaveManager',
+    const destroyable = ['scrollSync', 'editor', 'preview', 'formattingToolbar', 'autoSaveManager',
         'statisticsCalculator', 'statusBarInfo', 'tabBar', 'focusMode', 'fileTreeSidebar',
-        'outlinePanel', 'imagePasteSettingsUI', 'aiEditCommands', 'contextMenu', 'connectionGraphPanel'];
+        'outlinePanel', 'imagePasteSettingsUI', 'aiEditCommands', 'contextMenu', 'connectionGraphPanel',
+        'externalChangeDialog', 'linkUpdateDialog', 'propertiesPanel', 'historyPanel', 'recoveryDialog', 'gitPanel',
+        'pdfExportDialog'];
     destroyable.forEach(name => {
         const c = registry.get(name);
         if (c && typeof c.destroy === 'function') c.destroy();
@@ -28,6 +28,9 @@ function registerActivityBarViews(registry, handlers) {
     const editor = registry.get('editor');
     const connectionGraphPanel = registry.get('connectionGraphPanel');
     const backlinksPanel = registry.get('backlinksPanel');
+    const propertiesPanel = registry.get('propertiesPanel');
+    const historyPanel = registry.get('historyPanel');
+    const gitPanel = registry.get('gitPanel');
 
     if (fileTreeSidebar) {
         activityBar.registerView('files', i18n.t('activityBar.explorer').toUpperCase(), fileTreeContainer, [
@@ -80,6 +83,7 @@ function registerActivityBarViews(registry, handlers) {
     aiChatContainer.id = 'ai-chat-container';
     aiChatContainer.className = 'ai-chat-container';
     aiChatPanel.initialize(aiChatContainer);
+    aiChatPanel.onSourceClick((filePath, line) => handlers.openFileAtLine(filePath, line));
     activityBar.registerView('ai-chat', i18n.t('activityBar.aiAssistant').toUpperCase(), aiChatContainer);
 
     // Connection Graph view
@@ -124,6 +128,27 @@ function registerActivityBarViews(registry, handlers) {
         }
     ]);
 
+    // Properties Panel view
+    activityBar.registerView('properties', i18n.t('activityBar.properties').toUpperCase(), propertiesPanel.initialize());
+
+    // File History view
+    activityBar.registerView('history', i18n.t('activityBar.history').toUpperCase(), historyPanel.initialize(), [
+        {
+            icon: getIcon('refresh'),
+            title: i18n.t('history.refresh'),
+            onClick: () => historyPanel.refresh()
+        }
+    ]);
+
+    // Source Control view
+    activityBar.registerView('git', i18n.t('activityBar.sourceControl').toUpperCase(), gitPanel.initialize(), [
+        {
+            icon: getIcon('refresh'),
+            title: i18n.t('git.refresh'),
+            onClick: () => gitPanel.refresh()
+        }
+    ]);
+
     console.log('ActivityBar views registered');
 }
 
@@ -150,6 +175,7 @@ function registerCommandPaletteCommands(registry, handlers) {
     const advancedMarkdownSettingsUI = registry.get('advancedMarkdownSettingsUI');
     const imagePasteSettingsUI = registry.get('imagePasteSettingsUI');
     const whatsNewModal = registry.get('whatsNewModal');
+    const aiEditCommands = registry.get('aiEditCommands');
 
     const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
     const mod = isMac ? 'Cmd' : 'Ctrl';
@@ -161,8 +187,9 @@ function registerCommandPaletteCommands(registry, handlers) {
         { id: 'save', label: i18n.t('menu.save'), category: i18n.t('commandPalette.categoryFile'), shortcut: `${mod}+S`, icon: 'save', execute: () => handlers.handleSaveFile() },
         { id: 'save-as', label: i18n.t('menu.saveAs'), category: i18n.t('commandPalette.categoryFile'), icon: 'save', execute: () => handlers.handleSaveFileAs() },
         { id: 'save-all', label: i18n.t('menu.saveAll'), category: i18n.t('commandPalette.categoryFile'), execute: () => handlers.handleSaveAll() },
-        { id: 'export-html', label: i18n.t('menu.exportHTML'), category: i18n.t('commandPalette.categoryFile'), icon: 'export', execute: () => handlers.handleExportHTML() },
-        { id: 'export-pdf', label: i18n.t('menu.exportPDF'), category: i18n.t('commandPalette.categoryFile'), icon: 'export', execute: () => handlers.handleExportPDF() },
+        { id: 'import', label: i18n.t('menu.import'), category: i18n.t('commandPalette.categoryFile'), icon: 'file', execute: () => handlers.handleImport() },
+        ...handlers.getExportFormats().map(format => ({ id: `export-${format.id}`, label: i18n.t('menu.exportAs', { format: format.label }), category: i18n.t('commandPalette.categoryFile'), icon: 'export', execute: () => handlers.handleExport(format.id) })),
+        { id: 'export-site', label: i18n.t('menu.exportSite'), category: i18n.t('commandPalette.categoryFile'), icon: 'export', execute: () => handlers.handleExportSite() },
         { id: 'close-folder', label: i18n.t('menu.closeFolder'), category: i18n.t('commandPalette.categoryFile'), execute: () => handlers.handleCloseFolder() },
         { id: 'undo', label: i18n.t('contextMenu.undo'), category: i18n.t('commandPalette.categoryEdit'), shortcut: `${mod}+Z`, icon: 'undo', execute: () => editor && editor.undo() },
         { id: 'redo', label: i18n.t('contextMenu.redo'), category: i18n.t('commandPalette.categoryEdit'), shortcut: `${mod}+Y`, icon: 'redo', execute: () => editor && editor.redo() },
@@ -172,10 +199,14 @@ function registerCommandPaletteCommands(registry, handlers) {
         { id: 'view-split', label: i18n.t('quickActions.splitView'), category: i18n.t('commandPalette.categoryView'), icon: 'viewSplit', execute: () => viewModeManager && viewModeManager.setViewMode('split') },
         { id: 'view-preview', label: i18n.t('quickActions.previewView'), category: i18n.t('commandPalette.categoryView'), icon: 'viewPreview', execute: () => viewModeManager && viewModeManager.setViewMode('preview') },
         { id: 'focus-mode', label: i18n.t('quickActions.focusMode'), category: i18n.t('commandPalette.categoryView'), shortcut: 'F11', icon: 'focusMode', execute: () => focusMode && focusMode.toggle() },
-        { id: 'toggle-sidebar', label: i18n.t('activityBar.explorer'), category: i18n.t('commandPalette.categoryView'), shortcut: `${mod}+Shift+E`, icon: 'folder', execute: () => activityBar && activityBar.toggleView('files') },
+        { id: 'toggle-sidebar', label: i18n.t('activityBar.explorer'), category: i18n.t('commandPalette.categoryView'), shortcut: `${mod}+K ${mod}+E`, icon: 'folder', execute: () => activityBar && activityBar.toggleView('files') },
         { id: 'toggle-outline', label: i18n.t('activityBar.outline'), category: i18n.t('commandPalette.categoryView'), shortcut: `${mod}+Shift+O`, icon: 'outline', execute: () => activityBar && activityBar.toggleView('outline') },
         { id: 'toggle-backlinks', label: i18n.t('activityBar.backlinks'), category: i18n.t('commandPalette.categoryView'), icon: 'backlinks', execute: () => activityBar && activityBar.toggleView('backlinks') },
         { id: 'toggle-connection-graph', label: i18n.t('activityBar.connectionGraph'), category: i18n.t('commandPalette.categoryView'), icon: 'graph', execute: () => activityBar && activityBar.toggleView('connection-graph') },
+        { id: 'toggle-properties', label: i18n.t('activityBar.properties'), category: i18n.t('commandPalette.categoryView'), icon: 'properties', execute: () => activityBar && activityBar.toggleView('properties') },
+        { id: 'toggle-history', label: i18n.t('activityBar.history'), category: i18n.t('commandPalette.categoryView'), icon: 'history', execute: () => activityBar && activityBar.toggleView('history') },
+        { id: 'toggle-git', label: i18n.t('activityBar.sourceControl'), category: i18n.t('commandPalette.categoryView'), icon: 'git', execute: () => activityBar && activityBar.toggleView('git') },
+        { id: 'toggle-front-matter', label: i18n.t('properties.toggleInPreview'), category: i18n.t('commandPalette.categoryView'), execute: () => handlers.toggleFrontMatterPreview() },
         { id: 'toggle-typewriter', label: i18n.t('typewriter.enabled'), category: i18n.t('commandPalette.categoryView'), shortcut: `${mod}+Shift+T`, execute: () => handlers.toggleTypewriterScrolling() },
         { id: 'select-theme', label: i18n.t('themeSelector.title'), category: i18n.t('commandPalette.categoryView'), shortcut: `${mod}+K ${mod}+T`, icon: 'theme', execute: () => themeSelector && themeSelector.open() },
         { id: 'toggle-theme', label: i18n.t('settings.theme'), category: i18n.t('commandPalette.categoryView'), shortcut: `${mod}+T`, icon: 'theme', execute: () => themeManager && themeManager.toggleTheme() },
@@ -203,6 +234,8 @@ function registerCommandPaletteCommands(registry, handlers) {
         { id: 'image-paste-settings', label: i18n.t('imagePasteSettings.title'), category: i18n.t('commandPalette.categoryTools'), execute: () => imagePasteSettingsUI && imagePasteSettingsUI.show() },
         { id: 'settings', label: i18n.t('settings.title'), category: i18n.t('commandPalette.categoryTools'), icon: 'settings', execute: () => activityBar && activityBar.toggleView('settings') },
         { id: 'ai-chat', label: i18n.t('activityBar.aiAssistant'), category: i18n.t('commandPalette.categoryTools'), icon: 'ai', execute: () => activityBar && activityBar.toggleView('ai-chat') },
+        ...(aiEditCommands ? aiEditCommands.getUserCommands() : []).map(command => ({ id: `ai-command-${command.id}`, label: command.name, category: i18n.t('commandPalette.categoryAI'), icon: 'ai', execute: () => aiEditCommands.runUserCommand(command.id) })),
+        { id: 'edit-ai-commands', label: i18n.t('aiEdit.editCommands'), category: i18n.t('commandPalette.categoryAI'), icon: 'ai', execute: () => aiEditCommands && aiEditCommands.editCommandsFile(filePath => handlers.openFileAtLine(filePath)) },
         { id: 'whats-new', label: i18n.t('whatsNew.menuLabel'), category: i18n.t('commandPalette.categoryHelp'), execute: () => whatsNewModal && whatsNewModal.show() },
         { id: 'about', label: i18n.t('about.title'), category: i18n.t('commandPalette.categoryHelp'), execute: () => handlers.showAboutDialog() },
     ];
@@ -26,7 +26,7 @@ async function initialize(registry, eventBus) {
     console.log('AIChatPanel created');
 
     // Initialize AI Edit Commands
-    const aiEditCommands = new AIEditCommands(editor);
+    const aiEditCommands = new AIEditCommands(editor, eventBus);
     registry.register('aiEditCommands', aiEditCommands);
     console.log('AIEditCommands created');
 
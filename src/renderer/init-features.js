@@ -1,7 +1,7 @@
 /**
  * Features initialization module
  * Initializes feature components: FocusMode, SnippetManager, SnippetUI, TemplateUI,
- * AutoSaveManager, StatisticsCalculator, ImagePaste, TypewriterScrolling, TableEditor
+ * AutoSaveManager, StatisticsCalculator, ImagePaste, TypewriterScrolling, ScrollSync, TableEditor
  *
  * @module init-features
  * Requirements: 3.3, 3.4
@@ -15,6 +15,7 @@ const AutoSaveManager = require('./features/auto-save.js');
 const StatisticsCalculator = require('./features/statistics.js');
 const ImagePaste = require('./features/image-paste.js');
 const TypewriterScrolling = require('./features/typewriter-scrolling.js');
+const ScrollSync = require('./features/scroll-sync.js');
 const { TableEditor } = require('./features/table-editor.js');
 
 /**
@@ -113,6 +114,11 @@ async function initialize(registry, eventBus) {
     registry.register('typewriterScrolling', typewriterScrolling);
     console.log('TypewriterScrolling created');
 
+    // Initialize ScrollSync
+    const scrollSync = new ScrollSync(editor, registry.get('preview'));
+    registry.register('scrollSync', scrollSync);
+    console.log('ScrollSync created');
+
     // Initialize TableEditor
     const tableEditor = new TableEditor(editor);
     registry.register('tableEditor', tableEditor);
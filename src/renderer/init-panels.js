@@ -1,7 +1,7 @@
 /**
  * Panels initialization module
  * Initializes sidebar panels: FileTreeSidebar, OutlinePanel, BacklinksPanel,
- * ConnectionGraphPanel, GlobalSearchUI
+ * PropertiesPanel, HistoryPanel, GitPanel, ConnectionGraphPanel, GlobalSearchUI
  *
  * @module init-panels
  * Requirements: 3.3, 3.4
@@ -10,6 +10,9 @@
 const FileTreeSidebar = require('./panels/file-tree-sidebar.js');
 const OutlinePanel = require('./panels/outline-panel.js');
 const BacklinksPanel = require('./panels/backlinks-panel.js');
+const PropertiesPanel = require('./panels/properties-panel.js');
+const HistoryPanel = require('./panels/history-panel.js');
+const GitPanel = require('./panels/git-panel.js');
 const ConnectionGraphPanel = require('./panels/connection-graph-panel.js');
 const GlobalSearchUI = require('./panels/global-search-ui.js');
 
@@ -55,6 +58,21 @@ async function initialize(registry, eventBus) {
     registry.register('backlinksPanel', backlinksPanel);
     console.log('BacklinksPanel created');
 
+    // Initialize Properties Panel
+    const propertiesPanel = new PropertiesPanel(editor);
+    registry.register('propertiesPanel', propertiesPanel);
+    console.log('PropertiesPanel created');
+
+    // Initialize History Panel
+    const historyPanel = new HistoryPanel(editor, eventBus);
+    registry.register('historyPanel', historyPanel);
+    console.log('HistoryPanel created');
+
+    // Initialize Git Panel
+    const gitPanel = new GitPanel(editor, eventBus);
+    registry.register('gitPanel', gitPanel);
+    console.log('GitPanel created');
+
     // Initialize Connection Graph Panel
     const connectionGraphPanel = new ConnectionGraphPanel();
     registry.register('connectionGraphPanel', connectionGraphPanel);
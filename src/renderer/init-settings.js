@@ -1,7 +1,7 @@
 /**
  * Settings initialization module
  * Initializes settings UI components: SettingsPanel, ThemeSelector, KeyboardShortcutsUI,
- * AutoSaveSettingsUI, AdvancedMarkdownSettingsUI, ImagePasteSettingsUI
+ * KeyboardShortcutsManager, AutoSaveSettingsUI, AdvancedMarkdownSettingsUI, ImagePasteSettingsUI
  *
  * @module init-settings
  * Requirements: 3.3, 3.4
@@ -10,13 +10,14 @@
 const SettingsPanel = require('./settings/settings-panel.js');
 const ThemeSelector = require('./settings/theme-selector.js');
 const KeyboardShortcutsUI = require('./settings/keyboard-shortcuts-ui.js');
+const KeyboardShortcutsManager = require('./settings/keyboard-shortcuts-manager.js');
 const AutoSaveSettingsUI = require('./settings/auto-save-settings-ui.js');
 const AdvancedMarkdownSettingsUI = require('./settings/advanced-markdown-settings-ui.js');
 const ImagePasteSettingsUI = require('./settings/image-paste-settings-ui.js');
 
 /**
  * Initializes settings components and registers them in the ComponentRegistry.
- * Depends on managers (themeManager) being registered first.
+ * Depends on the editor and managers (themeManager) being registered first.
  *
  * @param {ComponentRegistry} registry - The component registry to register instances in
  * @param {EventBus} eventBus - The event bus for inter-component communication
@@ -39,6 +40,11 @@ async function initialize(registry, eventBus) {
     registry.register('keyboardShortcutsUI', keyboardShortcutsUI);
     console.log('KeyboardShortcutsUI created');
 
+    // Initialize Keyboard Shortcuts Manager (actions are registered by handlers.setupKeyboardShortcuts)
+    const keyboardShortcutsManager = new KeyboardShortcutsManager(registry.get('editor'));
+    registry.register('keyboardShortcutsManager', keyboardShortcutsManager);
+    console.log('KeyboardShortcutsManager created');
+
     // Initialize Auto-Save Settings UI
     const autoSaveSettingsUI = new AutoSaveSettingsUI();
     registry.register('autoSaveSettingsUI', autoSaveSettingsUI);
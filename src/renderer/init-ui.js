@@ -2,7 +2,7 @@
  * UI initialization module
  * Initializes generic UI components: ActivityBar, FormattingToolbar, ContextMenu,
  * TooltipManager, PanelResizer, StatusBarInfo, UpdateNotification, WhatsNewModal,
- * CommandPalette
+ * CommandPalette, ExternalChangeDialog, LinkUpdateDialog, RecoveryDialog, PdfExportDialog
  *
  * @module init-ui
  * Requirements: 3.3, 3.4
@@ -17,6 +17,10 @@ const StatusBarInfo = require('./ui/status-bar-info.js');
 const UpdateNotification = require('./ui/update-notification.js');
 const WhatsNewModal = require('./ui/whats-new-modal.js');
 const CommandPalette = require('./ui/command-palette.js');
+const ExternalChangeDialog = require('./ui/external-change-dialog.js');
+const RecoveryDialog = require('./ui/recovery-dialog.js');
+const LinkUpdateDialog = require('./ui/link-update-dialog.js');
+const PdfExportDialog = require('./ui/pdf-export-dialog.js');
 
 /**
  * Initializes UI components and registers them in the ComponentRegistry.
@@ -73,6 +77,26 @@ async function initialize(registry, eventBus) {
     const commandPalette = new CommandPalette();
     registry.register('commandPalette', commandPalette);
     console.log('CommandPalette created');
+
+    // Initialize External Change Dialog
+    const externalChangeDialog = new ExternalChangeDialog();
+    registry.register('externalChangeDialog', externalChangeDialog);
+    console.log('ExternalChangeDialog created');
+
+    // Initialize Link Update Dialog
+    const linkUpdateDialog = new LinkUpdateDialog();
+    registry.register('linkUpdateDialog', linkUpdateDialog);
+    console.log('LinkUpdateDialog created');
+
+    // Initialize Recovery Dialog
+    const recoveryDialog = new RecoveryDialog();
+    registry.register('recoveryDialog', recoveryDialog);
+    console.log('RecoveryDialog created');
+
+    // Initialize PDF Export Dialog
+    const pdfExportDialog = new PdfExportDialog();
+    registry.register('pdfExportDialog', pdfExportDialog);
+    console.log('PdfExportDialog created');
 }
 
 module.exports = { initialize };
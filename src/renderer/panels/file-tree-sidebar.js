@@ -5,6 +5,7 @@
  */
 
 const i18n = require('../i18n/index.js');
+const notificationManager = require('../ui/notification.js');
 
 class FileTreeSidebar {
     constructor(container) {
@@ -15,10 +16,21 @@ class FileTreeSidebar {
         this.treeData = [];
         this.activeFilePath = null;
         this.modifiedFiles = new Set();
+        // Git status by file path, and the folders containing changed files
+        this.gitStatus = new Map();
+        this.gitChangedFolders = new Set();
         this.fileClickCallbacks = [];
         this.folderToggleCallbacks = [];
+        this.pathChangeCallbacks = [];
         this.focusedNodePath = null;
         this.keyboardNavigationEnabled = false;
+        this.workspaceLoaded = false;
+
+        // File operations
+        this.contextMenuElement = null;
+        this.draggedPath = null;
+        this.boundHideContextMenu = this._hideContextMenu.bind(this);
+        this.boundHandleContextMenuKeydown = this._handleContextMenuKeydown.bind(this);
 
         // Performance optimizations
         this.folderToggleDebounceTimers = new Map();
@@ -49,6 +61,10 @@ class FileTreeSidebar {
         // Set up toggle button
         this._setupToggleButton();
 
+        // Set up file operations (context menu and drag-and-drop moves)
+        this._setupContextMenu();
+        this._setupDragAndDrop();
+
         // Show empty state by default (no workspace open yet)
         // Will be replaced when loadWorkspace() is called
         this._renderEmptyState();
@@ -154,6 +170,14 @@ class FileTreeSidebar {
                 e.preventDefault();
                 this._focusLastNode();
                 break;
+            case 'F2':
+                e.preventDefault();
+                this.renamePath(focusedNode);
+                break;
+            case 'Delete':
+                e.preventDefault();
+                this.deletePath(focusedNode);
+                break;
         }
     }
 
@@ -174,6 +198,7 @@ class FileTreeSidebar {
             }
 
             this.treeData = treeData;
+            this.workspaceLoaded = true;
 
             // Clear empty state before rendering
             const treeContainer = document.getElementById('file-tree-container');
@@ -204,8 +229,11 @@ class FileTreeSidebar {
     clearWorkspace() {
         try {
             this.treeData = [];
+            this.workspaceLoaded = false;
             this.activeFilePath = null;
             this.modifiedFiles.clear();
+            this.gitStatus.clear();
+            this.gitChangedFolders.clear();
             this.focusedNodePath = null;
             this.useVirtualScrolling = false;
             this.folderToggleDebounceTimers.clear();
@@ -267,12 +295,7 @@ class FileTreeSidebar {
                     }
                 }).catch(err => {
                     console.error('Error opening workspace from empty state button:', err);
-                    try {
-                        const notificationManager = require('../ui/notification.js');
-                        notificationManager.error(`Error opening workspace: ${err.message}`);
-                    } catch (_) {
-                        // notification module not available
-                    }
+                    notificationManager.error(`Error opening workspace: ${err.message}`);
                 });
             }
         });
@@ -359,6 +382,7 @@ class FileTreeSidebar {
         nodeElement.dataset.type = node.type;
         nodeElement.setAttribute('role', 'treeitem');
         nodeElement.setAttribute('aria-label', node.name);
+        nodeElement.draggable = true;
 
         // Set tabindex for keyboard navigation
         if (node.path === this.focusedNodePath) {
@@ -416,6 +440,8 @@ class FileTreeSidebar {
             nodeElement.appendChild(modifiedIndicator);
         }
 
+        this._applyGitStatus(nodeElement);
+
         // Event listeners
         nodeElement.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -719,6 +745,59 @@ class FileTreeSidebar {
         }
     }
 
+    /**
+     * Decorate files with their git status and mark folders containing changes
+     * @param {Array<{path: string, status: string}>} files - Changed files, empty outside of a repository
+     */
+    setGitStatus(files) {
+        this.gitStatus = new Map((files || []).map(file => [file.path, file.status]));
+        this.gitChangedFolders = new Set();
+
+        for (const filePath of this.gitStatus.keys()) {
+            let folderPath = this._getParentPath(filePath);
+
+            while (!this.gitChangedFolders.has(folderPath) && this._getParentPath(folderPath) !== folderPath) {
+                this.gitChangedFolders.add(folderPath);
+                folderPath = this._getParentPath(folderPath);
+            }
+        }
+
+        this.container.querySelectorAll('.file-tree-sidebar__node').forEach(nodeElement => {
+            this._applyGitStatus(nodeElement);
+        });
+    }
+
+    /**
+     * Update the git decoration of a node
+     * @param {HTMLElement} nodeElement
+     * @private
+     */
+    _applyGitStatus(nodeElement) {
+        const nodePath = nodeElement.dataset.path;
+        const status = nodeElement.dataset.type === 'file'
+            ? this.gitStatus.get(nodePath)
+            : (this.gitChangedFolders.has(nodePath) ? 'changes' : null);
+        const existing = nodeElement.querySelector('.file-tree-sidebar__git-badge');
+
+        Array.from(nodeElement.classList)
+            .filter(className => className.startsWith('file-tree-sidebar__node--git-'))
+            .forEach(className => nodeElement.classList.remove(className));
+        if (existing) existing.remove();
+
+        if (!status) {
+            return;
+        }
+
+        nodeElement.classList.add(`file-tree-sidebar__node--git-${status}`);
+
+        const badge = document.createElement('span');
+
+        badge.className = 'file-tree-sidebar__git-badge';
+        badge.textContent = status === 'changes' ? '•' : i18n.t(`git.badge.${status}`);
+        badge.title = i18n.t(`git.status.${status}`);
+        nodeElement.appendChild(badge);
+    }
+
     /**
      * Toggle sidebar visibility
      * Requirements: 5.1, 5.2, 5.4, 5.5
@@ -798,6 +877,575 @@ class FileTreeSidebar {
         this.folderToggleCallbacks.push(callback);
     }
 
+    /**
+     * Register a callback for file operations performed from the tree
+     * @param {Function} callback - Callback function ({type, nodeType, path, oldPath, newPath, updatedTabs}) => void
+     *   where type is 'created', 'renamed', 'moved', 'duplicated' or 'deleted'
+     */
+    onPathChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.pathChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Reload the tree from the workspace, keeping expanded folders
+     */
+    async refresh() {
+        try {
+            const result = await window.electronAPI.getWorkspaceTree();
+
+            if (result && result.success && result.tree) {
+                await this.loadWorkspace(result.tree);
+            }
+        } catch (error) {
+            console.error('Error refreshing file tree:', error);
+        }
+    }
+
+    /**
+     * Create a new markdown file, asking for its name
+     * @param {string|null} parentPath - Folder to create the file in (workspace root when null)
+     * @returns {Promise<string|null>} Path of the created file or null if cancelled
+     */
+    async createFile(parentPath = null) {
+        try {
+            const folderPath = parentPath || await this._getWorkspaceRoot();
+
+            if (!folderPath) {
+                return null;
+            }
+
+            const name = await notificationManager.prompt(i18n.t('fileTree.newFilePrompt'), '', {
+                placeholder: i18n.t('fileTree.newFilePlaceholder'),
+                confirmText: i18n.t('actions.create'),
+                cancelText: i18n.t('actions.cancel')
+            });
+
+            if (!name || !name.trim()) {
+                return null;
+            }
+
+            const result = await window.electronAPI.createWorkspaceFile(folderPath, name);
+
+            await this._expandFolderPath(folderPath);
+            await this.refresh();
+            this._notifyPathChange({ type: 'created', nodeType: 'file', path: result.filePath });
+            return result.filePath;
+        } catch (error) {
+            this._handleOperationError(error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a new folder, asking for its name
+     * @param {string|null} parentPath - Folder to create the new folder in (workspace root when null)
+     * @returns {Promise<string|null>} Path of the created folder or null if cancelled
+     */
+    async createFolder(parentPath = null) {
+        try {
+            const folderPath = parentPath || await this._getWorkspaceRoot();
+
+            if (!folderPath) {
+                return null;
+            }
+
+            const name = await notificationManager.prompt(i18n.t('fileTree.newFolderPrompt'), '', {
+                confirmText: i18n.t('actions.create'),
+                cancelText: i18n.t('actions.cancel')
+            });
+
+            if (!name || !name.trim()) {
+                return null;
+            }
+
+            const result = await window.electronAPI.createWorkspaceFolder(folderPath, name);
+
+            await this._expandFolderPath(folderPath);
+            await this.refresh();
+            this._notifyPathChange({ type: 'created', nodeType: 'folder', path: result.folderPath });
+            return result.folderPath;
+        } catch (error) {
+            this._handleOperationError(error);
+            return null;
+        }
+    }
+
+    /**
+     * Rename a file or folder, asking for the new name
+     * @param {TreeNode} node - Node to rename
+     * @returns {Promise<string|null>} New path or null if cancelled
+     */
+    async renamePath(node) {
+        try {
+            const newName = await notificationManager.prompt(i18n.t('fileTree.renamePrompt', { name: node.name }), node.name, {
+                confirmText: i18n.t('fileTree.rename'),
+                cancelText: i18n.t('actions.cancel')
+            });
+
+            if (!newName || !newName.trim() || newName.trim() === node.name) {
+                return null;
+            }
+
+            const result = await window.electronAPI.renameWorkspacePath(node.path, newName);
+
+            await this._applyMove('renamed', result);
+            return result.newPath;
+        } catch (error) {
+            this._handleOperationError(error);
+            return null;
+        }
+    }
+
+    /**
+     * Move a file or folder into another folder
+     * @param {string} sourcePath - Path to move
+     * @param {string} targetFolder - Destination folder
+     * @returns {Promise<string|null>} New path or null if nothing was moved
+     */
+    async movePath(sourcePath, targetFolder) {
+        if (!sourcePath || !targetFolder || this._getParentPath(sourcePath) === targetFolder) {
+            return null;
+        }
+
+        try {
+            const result = await window.electronAPI.moveWorkspacePath(sourcePath, targetFolder);
+
+            await this._expandFolderPath(targetFolder);
+            await this._applyMove('moved', result);
+            return result.newPath;
+        } catch (error) {
+            this._handleOperationError(error);
+            return null;
+        }
+    }
+
+    /**
+     * Duplicate a file next to the original
+     * @param {TreeNode} node - File node to duplicate
+     * @returns {Promise<string|null>} Path of the copy or null on failure
+     */
+    async duplicateFile(node) {
+        if (node.type !== 'file') {
+            return null;
+        }
+
+        try {
+            const result = await window.electronAPI.duplicateWorkspaceFile(node.path);
+
+            await this.refresh();
+            this._notifyPathChange({ type: 'duplicated', nodeType: 'file', path: result.filePath, oldPath: node.path });
+            return result.filePath;
+        } catch (error) {
+            this._handleOperationError(error);
+            return null;
+        }
+    }
+
+    /**
+     * Move a file or folder to the trash after confirmation
+     * @param {TreeNode} node - Node to delete
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deletePath(node) {
+        try {
+            const messageKey = node.type === 'folder' ? 'fileTree.deleteFolderConfirm' : 'fileTree.deleteFileConfirm';
+            const confirmed = await notificationManager.confirm(i18n.t(messageKey, { name: node.name }), {
+                confirmText: i18n.t('actions.delete'),
+                cancelText: i18n.t('actions.cancel'),
+                type: 'warning'
+            });
+
+            if (!confirmed) {
+                return false;
+            }
+
+            await window.electronAPI.trashWorkspacePath(node.path);
+
+            if (this.focusedNodePath === node.path) {
+                this.focusedNodePath = null;
+            }
+            await this.refresh();
+            this._notifyPathChange({ type: 'deleted', nodeType: node.type, path: node.path });
+            return true;
+        } catch (error) {
+            this._handleOperationError(error);
+            return false;
+        }
+    }
+
+    /**
+     * Update local state after a rename or move and notify listeners
+     * @param {'renamed'|'moved'} type - Operation type
+     * @param {{oldPath: string, newPath: string, updatedTabs: Array}} result - IPC result
+     * @private
+     */
+    async _applyMove(type, result) {
+        const { oldPath, newPath } = result;
+        const remap = (filePath) => {
+            if (filePath === oldPath) {
+                return newPath;
+            }
+            if (filePath && this._isDescendantPath(filePath, oldPath)) {
+                return newPath + filePath.slice(oldPath.length);
+            }
+            return filePath;
+        };
+
+        this.activeFilePath = remap(this.activeFilePath);
+        this.focusedNodePath = remap(this.focusedNodePath);
+        this.modifiedFiles = new Set(Array.from(this.modifiedFiles, remap));
+
+        await this.refresh();
+        this._notifyPathChange({ type, path: newPath, oldPath, newPath, updatedTabs: result.updatedTabs || [] });
+    }
+
+    /**
+     * Notify path change callbacks
+     * @param {Object} change - Change description
+     * @private
+     */
+    _notifyPathChange(change) {
+        this.pathChangeCallbacks.forEach(callback => {
+            try {
+                callback(change);
+            } catch (error) {
+                console.error('Error in path change callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Show an error from a file operation
+     * @param {Error} error - Error thrown by the operation
+     * @private
+     */
+    _handleOperationError(error) {
+        console.error('File operation failed:', error);
+        notificationManager.error(i18n.t('fileTree.operationFailed', { error: error.message }));
+    }
+
+    /**
+     * Get the workspace root folder
+     * @returns {Promise<string|null>} Workspace path
+     * @private
+     */
+    async _getWorkspaceRoot() {
+        const result = await window.electronAPI.getWorkspacePath();
+
+        return result && result.success ? result.workspacePath : null;
+    }
+
+    /**
+     * Make sure a folder is expanded so newly created or moved items are visible
+     * @param {string} folderPath - Folder path
+     * @private
+     */
+    async _expandFolderPath(folderPath) {
+        const folder = this._getAllVisibleNodes().find(node => node.path === folderPath && node.type === 'folder');
+
+        if (folder && !folder.isExpanded) {
+            await window.electronAPI.toggleFolder(folderPath, true);
+            this.folderToggleCallbacks.forEach(callback => {
+                try {
+                    callback(folderPath, true);
+                } catch (error) {
+                    console.error('Error in folder toggle callback:', error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Get the parent folder of a path (works with both / and \ separators)
+     * @param {string} filePath - File or folder path
+     * @returns {string} Parent folder path
+     * @private
+     */
+    _getParentPath(filePath) {
+        const index = Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\'));
+
+        return index > 0 ? filePath.slice(0, index) : filePath;
+    }
+
+    /**
+     * Check if a path is inside a folder
+     * @param {string} filePath - Path to check
+     * @param {string} folderPath - Folder path
+     * @returns {boolean}
+     * @private
+     */
+    _isDescendantPath(filePath, folderPath) {
+        return filePath.startsWith(folderPath + '/') || filePath.startsWith(folderPath + '\\');
+    }
+
+    /**
+     * Set up the context menu with file operations
+     * @private
+     */
+    _setupContextMenu() {
+        this.container.addEventListener('contextmenu', (e) => {
+            if (!this.workspaceLoaded) {
+                return;
+            }
+
+            e.preventDefault();
+
+            const nodeElement = e.target.closest('.file-tree-sidebar__node');
+            const node = nodeElement
+                ? this._getAllVisibleNodes().find(item => item.path === nodeElement.dataset.path) || null
+                : null;
+
+            if (node) {
+                this._setFocusedNode(node.path);
+            }
+            this._showContextMenu(node, e.clientX, e.clientY);
+        });
+
+        document.addEventListener('click', this.boundHideContextMenu);
+        document.addEventListener('keydown', this.boundHandleContextMenuKeydown);
+    }
+
+    /**
+     * Get the context menu items for a node (or the workspace root when null)
+     * @param {TreeNode|null} node - Target node
+     * @returns {Array<Object>} Menu items
+     * @private
+     */
+    _getContextMenuItems(node) {
+        const items = [];
+        const targetFolder = node ? (node.type === 'folder' ? node.path : this._getParentPath(node.path)) : null;
+
+        items.push(
+            { labelKey: 'fileTree.newFile', icon: '📄', execute: () => this.createFile(targetFolder) },
+            { labelKey: 'fileTree.newFolder', icon: '📁', execute: () => this.createFolder(targetFolder) }
+        );
+
+        if (node) {
+            items.push({ separator: true });
+            items.push({ labelKey: 'fileTree.rename', icon: '✏️', shortcut: 'F2', execute: () => this.renamePath(node) });
+            if (node.type === 'file') {
+                items.push({ labelKey: 'fileTree.duplicate', icon: '📑', execute: () => this.duplicateFile(node) });
+            }
+            items.push({ labelKey: 'fileTree.delete', icon: '🗑️', shortcut: 'Del', execute: () => this.deletePath(node) });
+        }
+
+        items.push({ separator: true });
+        items.push({ labelKey: 'fileTree.refresh', icon: '🔄', execute: () => this.refresh() });
+
+        return items;
+    }
+
+    /**
+     * Show the context menu
+     * @param {TreeNode|null} node - Target node
+     * @param {number} x - Client X coordinate
+     * @param {number} y - Client Y coordinate
+     * @private
+     */
+    _showContextMenu(node, x, y) {
+        this._hideContextMenu();
+
+        const menu = document.createElement('div');
+
+        menu.className = 'context-menu file-tree-sidebar__context-menu';
+        menu.setAttribute('role', 'menu');
+
+        this._getContextMenuItems(node).forEach(item => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+
+                separator.className = 'context-menu-separator';
+                separator.setAttribute('role', 'separator');
+                menu.appendChild(separator);
+                return;
+            }
+
+            const menuItem = document.createElement('button');
+            const icon = document.createElement('span');
+            const label = document.createElement('span');
+            const shortcut = document.createElement('span');
+
+            menuItem.className = 'context-menu-item';
+            menuItem.setAttribute('role', 'menuitem');
+            icon.className = 'context-menu-icon';
+            icon.textContent = item.icon;
+            label.className = 'context-menu-label';
+            label.textContent = i18n.t(item.labelKey);
+            shortcut.className = 'context-menu-shortcut';
+            shortcut.textContent = item.shortcut || '';
+            menuItem.append(icon, label, shortcut);
+            menuItem.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._hideContextMenu();
+                item.execute();
+            });
+            menu.appendChild(menuItem);
+        });
+
+        document.body.appendChild(menu);
+        menu.style.display = 'block';
+
+        // Keep the menu inside the viewport
+        const menuRect = menu.getBoundingClientRect();
+
+        menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - menuRect.width - 10))}px`;
+        menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - menuRect.height - 10))}px`;
+        this.contextMenuElement = menu;
+    }
+
+    /**
+     * Hide the context menu
+     * @private
+     */
+    _hideContextMenu() {
+        if (this.contextMenuElement) {
+            this.contextMenuElement.remove();
+            this.contextMenuElement = null;
+        }
+    }
+
+    /**
+     * Close the context menu on Escape
+     * @param {KeyboardEvent} e - Keyboard event
+     * @private
+     */
+    _handleContextMenuKeydown(e) {
+        if (e.key === 'Escape' && this.contextMenuElement) {
+            this._hideContextMenu();
+        }
+    }
+
+    /**
+     * Set up drag-and-drop moves between folders
+     * Dropping on a file moves into that file's folder; dropping on empty space
+     * moves to the workspace root.
+     * @private
+     */
+    _setupDragAndDrop() {
+        this.container.addEventListener('dragstart', (e) => {
+            const nodeElement = e.target.closest && e.target.closest('.file-tree-sidebar__node');
+
+            if (!nodeElement) {
+                return;
+            }
+
+            this.draggedPath = nodeElement.dataset.path;
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.draggedPath);
+            }
+            nodeElement.classList.add('file-tree-sidebar__node--dragging');
+        });
+
+        this.container.addEventListener('dragover', (e) => {
+            if (!this.draggedPath) {
+                return;
+            }
+
+            const targetFolder = this._getDropTargetFolder(e.target);
+
+            this._clearDropTarget();
+            if (!targetFolder || !this._canDropInto(this.draggedPath, targetFolder)) {
+                return;
+            }
+
+            e.preventDefault();
+            if (e.dataTransfer) {
+                e.dataTransfer.dropEffect = 'move';
+            }
+
+            const folderElement = this._findNodeByPath(targetFolder);
+
+            if (folderElement) {
+                folderElement.classList.add('file-tree-sidebar__node--drop-target');
+            } else {
+                this.container.classList.add('file-tree-sidebar--drop-target');
+            }
+        });
+
+        this.container.addEventListener('dragleave', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                this._clearDropTarget();
+            }
+        });
+
+        this.container.addEventListener('drop', async (e) => {
+            const sourcePath = this.draggedPath;
+            const targetFolder = this._getDropTargetFolder(e.target);
+
+            this._endDrag();
+            if (!sourcePath || !targetFolder || !this._canDropInto(sourcePath, targetFolder)) {
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+            await this.movePath(sourcePath, targetFolder);
+        });
+
+        this.container.addEventListener('dragend', () => {
+            this._endDrag();
+        });
+    }
+
+    /**
+     * Resolve the folder a drop on an element targets
+     * @param {HTMLElement} target - Event target
+     * @returns {string|null} Folder path
+     * @private
+     */
+    _getDropTargetFolder(target) {
+        const nodeElement = target && target.closest ? target.closest('.file-tree-sidebar__node') : null;
+
+        if (nodeElement) {
+            return nodeElement.dataset.type === 'folder'
+                ? nodeElement.dataset.path
+                : this._getParentPath(nodeElement.dataset.path);
+        }
+
+        // Empty space: root level, derived from any top-level node
+        return this.treeData.length > 0 ? this._getParentPath(this.treeData[0].path) : null;
+    }
+
+    /**
+     * Check if a path can be dropped into a folder
+     * @param {string} sourcePath - Dragged path
+     * @param {string} targetFolder - Destination folder
+     * @returns {boolean}
+     * @private
+     */
+    _canDropInto(sourcePath, targetFolder) {
+        return targetFolder !== sourcePath
+            && !this._isDescendantPath(targetFolder, sourcePath)
+            && this._getParentPath(sourcePath) !== targetFolder;
+    }
+
+    /**
+     * Remove drop target highlighting
+     * @private
+     */
+    _clearDropTarget() {
+        this.container.querySelectorAll('.file-tree-sidebar__node--drop-target').forEach(element => {
+            element.classList.remove('file-tree-sidebar__node--drop-target');
+        });
+        this.container.classList.remove('file-tree-sidebar--drop-target');
+    }
+
+    /**
+     * Reset drag state
+     * @private
+     */
+    _endDrag() {
+        this.draggedPath = null;
+        this._clearDropTarget();
+        this.container.querySelectorAll('.file-tree-sidebar__node--dragging').forEach(element => {
+            element.classList.remove('file-tree-sidebar__node--dragging');
+        });
+    }
+
     /**
      * Get all visible nodes in tree order
      * @returns {Array<TreeNode>} Visible nodes
@@ -1156,9 +1804,14 @@ class FileTreeSidebar {
             this.folderToggleDebounceTimers.forEach(timer => clearTimeout(timer));
             this.folderToggleDebounceTimers.clear();
 
+            this._hideContextMenu();
+            document.removeEventListener('click', this.boundHideContextMenu);
+            document.removeEventListener('keydown', this.boundHandleContextMenuKeydown);
+
             this.clearWorkspace();
             this.fileClickCallbacks = [];
             this.folderToggleCallbacks = [];
+            this.pathChangeCallbacks = [];
             this.focusedNodePath = null;
             this.keyboardNavigationEnabled = false;
         } catch (error) {
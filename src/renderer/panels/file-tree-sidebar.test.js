@@ -4,8 +4,12 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
 import FileTreeSidebar from './file-tree-sidebar.js';
 
+// Same CommonJS instance the sidebar requires, so spies on it take effect
+const notificationManager = createRequire(import.meta.url)('../ui/notification.js');
+
 describe('FileTreeSidebar', () => {
     let sidebar;
     let container;
@@ -569,4 +573,184 @@ describe('FileTreeSidebar', () => {
             expect(indicator).toBeTruthy();
         });
     });
+
+    describe('git status decorations', () => {
+        const treeData = () => [
+            {
+                name: 'docs',
+                path: '/ws/docs',
+                type: 'folder',
+                isExpanded: true,
+                children: [
+                    { name: 'guide.md', path: '/ws/docs/guide.md', type: 'file', children: [], isExpanded: false }
+                ]
+            },
+            { name: 'new.md', path: '/ws/new.md', type: 'file', children: [], isExpanded: false },
+            { name: 'same.md', path: '/ws/same.md', type: 'file', children: [], isExpanded: false }
+        ];
+
+        const nodeFor = nodePath => container.querySelector(`.file-tree-sidebar__node[data-path="${nodePath}"]`);
+
+        it('should decorate changed files and the folders containing them', async () => {
+            await sidebar.loadWorkspace(treeData());
+            sidebar.setGitStatus([
+                { path: '/ws/docs/guide.md', status: 'modified' },
+                { path: '/ws/new.md', status: 'untracked' }
+            ]);
+
+            expect(nodeFor('/ws/docs/guide.md').classList.contains('file-tree-sidebar__node--git-modified')).toBe(true);
+            expect(nodeFor('/ws/docs/guide.md').querySelector('.file-tree-sidebar__git-badge').textContent).toBe('M');
+            expect(nodeFor('/ws/new.md').querySelector('.file-tree-sidebar__git-badge').textContent).toBe('U');
+            expect(nodeFor('/ws/docs').classList.contains('file-tree-sidebar__node--git-changes')).toBe(true);
+            expect(nodeFor('/ws/same.md').querySelector('.file-tree-sidebar__git-badge')).toBeNull();
+        });
+
+        it('should clear decorations of files that are no longer changed', async () => {
+            await sidebar.loadWorkspace(treeData());
+            sidebar.setGitStatus([{ path: '/ws/docs/guide.md', status: 'modified' }]);
+            sidebar.setGitStatus([]);
+
+            expect(container.querySelectorAll('.file-tree-sidebar__git-badge')).toHaveLength(0);
+            expect(nodeFor('/ws/docs').className).not.toContain('--git-');
+        });
+
+        it('should keep decorations when re-rendering the tree', async () => {
+            await sidebar.loadWorkspace(treeData());
+            sidebar.setGitStatus([{ path: '/ws/new.md', status: 'added' }]);
+            await sidebar.loadWorkspace(treeData());
+
+            expect(nodeFor('/ws/new.md').querySelector('.file-tree-sidebar__git-badge').textContent).toBe('A');
+        });
+    });
+
+    describe('file operations', () => {
+        const treeData = () => [
+            {
+                name: 'notes',
+                path: '/ws/notes',
+                type: 'folder',
+                isExpanded: true,
+                children: [
+                    { name: 'a.md', path: '/ws/notes/a.md', type: 'file', children: [], isExpanded: false }
+                ]
+            },
+            { name: 'b.md', path: '/ws/b.md', type: 'file', children: [], isExpanded: false }
+        ];
+
+        beforeEach(async () => {
+            window.electronAPI = {
+                getWorkspacePath: vi.fn().mockResolvedValue({ success: true, workspacePath: '/ws' }),
+                getWorkspaceTree: vi.fn().mockResolvedValue({ success: true, tree: treeData() }),
+                toggleFolder: vi.fn().mockResolvedValue({ success: true, children: [] }),
+                createWorkspaceFile: vi.fn().mockResolvedValue({ success: true, filePath: '/ws/new.md' }),
+                renameWorkspacePath: vi.fn(),
+                moveWorkspacePath: vi.fn(),
+                trashWorkspacePath: vi.fn().mockResolvedValue({ success: true })
+            };
+            await sidebar.loadWorkspace(treeData());
+        });
+
+        afterEach(() => {
+            vi.restoreAllMocks();
+        });
+
+        it('should show a context menu with node actions on right click', () => {
+            const fileNode = container.querySelector('[data-path="/ws/b.md"]');
+
+            fileNode.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, clientX: 10, clientY: 10 }));
+
+            const labels = Array.from(document.querySelectorAll('.file-tree-sidebar__context-menu .context-menu-label'))
+                .map(label => label.textContent);
+            expect(labels).toHaveLength(6);
+            expect(sidebar.focusedNodePath).toBe('/ws/b.md');
+
+            document.body.click();
+            expect(document.querySelector('.file-tree-sidebar__context-menu')).toBeNull();
+        });
+
+        it('should create a file in the workspace root and notify listeners', async () => {
+            const callback = vi.fn();
+            sidebar.onPathChange(callback);
+            vi.spyOn(notificationManager, 'prompt').mockResolvedValue('new');
+
+            const filePath = await sidebar.createFile();
+
+            expect(window.electronAPI.createWorkspaceFile).toHaveBeenCalledWith('/ws', 'new');
+            expect(filePath).toBe('/ws/new.md');
+            expect(callback).toHaveBeenCalledWith({ type: 'created', nodeType: 'file', path: '/ws/new.md' });
+        });
+
+        it('should not create anything when the prompt is cancelled', async () => {
+            vi.spyOn(notificationManager, 'prompt').mockResolvedValue(null);
+
+            await sidebar.createFile('/ws/notes');
+
+            expect(window.electronAPI.createWorkspaceFile).not.toHaveBeenCalled();
+        });
+
+        it('should rename a file and keep the active file highlighted under its new path', async () => {
+            const callback = vi.fn();
+            const updatedTabs = [{ tabId: 'tab-1', filePath: '/ws/c.md', title: 'c.md' }];
+            sidebar.onPathChange(callback);
+            sidebar.setActiveFile('/ws/b.md');
+            vi.spyOn(notificationManager, 'prompt').mockResolvedValue('c.md');
+            window.electronAPI.renameWorkspacePath.mockResolvedValue({
+                success: true, oldPath: '/ws/b.md', newPath: '/ws/c.md', updatedTabs
+            });
+
+            const newPath = await sidebar.renamePath({ name: 'b.md', path: '/ws/b.md', type: 'file' });
+
+            expect(newPath).toBe('/ws/c.md');
+            expect(sidebar.activeFilePath).toBe('/ws/c.md');
+            expect(callback).toHaveBeenCalledWith(expect.objectContaining({ type: 'renamed', oldPath: '/ws/b.md', updatedTabs }));
+        });
+
+        it('should move a file dropped on a folder', async () => {
+            window.electronAPI.moveWorkspacePath.mockResolvedValue({
+                success: true, oldPath: '/ws/b.md', newPath: '/ws/notes/b.md', updatedTabs: []
+            });
+            const source = container.querySelector('[data-path="/ws/b.md"]');
+            const folder = container.querySelector('[data-path="/ws/notes"]');
+
+            source.dispatchEvent(new Event('dragstart', { bubbles: true }));
+            folder.dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }));
+            await vi.waitFor(() => {
+                expect(window.electronAPI.moveWorkspacePath).toHaveBeenCalledWith('/ws/b.md', '/ws/notes');
+            });
+        });
+
+        it('should ignore drops of a folder into its own subtree', () => {
+            const folder = container.querySelector('[data-path="/ws/notes"]');
+            const child = container.querySelector('[data-path="/ws/notes/a.md"]');
+
+            folder.dispatchEvent(new Event('dragstart', { bubbles: true }));
+            child.dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }));
+
+            expect(window.electronAPI.moveWorkspacePath).not.toHaveBeenCalled();
+        });
+
+        it('should move deleted paths to the trash only after confirmation', async () => {
+            const confirm = vi.spyOn(notificationManager, 'confirm').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+            const node = { name: 'b.md', path: '/ws/b.md', type: 'file' };
+
+            expect(await sidebar.deletePath(node)).toBe(false);
+            expect(window.electronAPI.trashWorkspacePath).not.toHaveBeenCalled();
+
+            expect(await sidebar.deletePath(node)).toBe(true);
+            expect(window.electronAPI.trashWorkspacePath).toHaveBeenCalledWith('/ws/b.md');
+            expect(confirm).toHaveBeenCalledTimes(2);
+        });
+
+        it('should show an error notification when an operation fails', async () => {
+            const error = vi.spyOn(notificationManager, 'error').mockImplementation(() => {});
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            vi.spyOn(notificationManager, 'prompt').mockResolvedValue('a.md');
+            window.electronAPI.createWorkspaceFile.mockRejectedValue(new Error('A file or folder with that name already exists'));
+
+            const result = await sidebar.createFile('/ws/notes');
+
+            expect(result).toBeNull();
+            expect(error).toHaveBeenCalledWith(expect.stringContaining('already exists'));
+        });
+    });
 });
@@ -0,0 +1,436 @@
+/**
+ * Git Panel - Source control for the workspace repository
+ * Lists staged and unstaged changes, stages, unstages and commits them, and
+ * shows the diff of a file against the last commit. Every status refresh is
+ * broadcast as `git:status-changed` (e.g. for the file tree decorations) and
+ * updates the gutter markers of the active document in the editor.
+ */
+
+const i18n = require('../i18n/index.js');
+const notificationManager = require('../ui/notification.js');
+const HistoryCompareDialog = require('../ui/history-compare-dialog.js');
+
+// Statuses that add a whole file, compared line by line with an empty file
+const NEW_FILE_STATUSES = new Set(['untracked', 'added']);
+
+class GitPanel {
+    constructor(editor, eventBus) {
+        if (!editor) {
+            throw new Error('Editor instance is required');
+        }
+
+        this.editor = editor;
+        this.eventBus = eventBus;
+        this.container = null;
+        this.infoElement = null;
+        this.commitElement = null;
+        this.messageInput = null;
+        this.listContainer = null;
+        this.status = null;
+        this.hasWorkspace = false;
+        this.currentFilePath = null;
+        // Incremented on each refresh so a slow, older refresh does not overwrite a newer one
+        this.refreshCount = 0;
+        this.diffDialog = new HistoryCompareDialog();
+        this.eventCleanups = [];
+        this._handleWindowFocus = () => this.refresh();
+    }
+
+    /**
+     * Initialize and return the panel container element
+     * @returns {HTMLElement}
+     */
+    initialize() {
+        this.container = document.createElement('div');
+        this.container.className = 'git-panel';
+
+        this.infoElement = document.createElement('div');
+        this.infoElement.className = 'git-panel__info';
+        this.container.appendChild(this.infoElement);
+
+        this.commitElement = document.createElement('div');
+        this.commitElement.className = 'git-panel__commit';
+
+        this.messageInput = document.createElement('textarea');
+        this.messageInput.className = 'git-panel__message';
+        this.messageInput.rows = 3;
+        this.messageInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.commit();
+            }
+        });
+        this.commitElement.appendChild(this.messageInput);
+
+        this.commitButton = this._createButton('', () => this.commit());
+        this.commitButton.classList.add('git-panel__commit-button');
+        this.commitElement.appendChild(this.commitButton);
+        this.container.appendChild(this.commitElement);
+
+        this.listContainer = document.createElement('div');
+        this.listContainer.className = 'git-panel__list';
+        this.container.appendChild(this.listContainer);
+
+        if (this.eventBus) {
+            // Saving, renaming, moving and deleting change the working tree
+            this.eventCleanups.push(this.eventBus.on('file:saved', () => this.refresh()));
+            this.eventCleanups.push(this.eventBus.on('workspace:path-changed', () => this.refresh()));
+        }
+        // Commits, checkouts and pulls made outside of the app
+        window.addEventListener('focus', this._handleWindowFocus);
+
+        this._render();
+        // The workspace may have been restored before the panel was built
+        if (this.hasWorkspace) this.refresh();
+        return this.container;
+    }
+
+    /**
+     * Reload the status after a workspace was opened or closed
+     * @param {boolean} hasWorkspace - Whether a workspace folder is open
+     */
+    async setWorkspace(hasWorkspace) {
+        this.hasWorkspace = hasWorkspace;
+        await this.refresh();
+    }
+
+    /**
+     * Show the changes of a document in the editor gutter
+     * @param {string|null} filePath - Absolute path of the active document, null for untitled documents
+     */
+    async setActiveDocument(filePath) {
+        // The markers of the previous document do not apply to the new content
+        if ((filePath || null) !== this.currentFilePath) {
+            this.editor.setGitBaseline(null);
+        }
+        this.currentFilePath = filePath || null;
+        await this._updateGutter();
+    }
+
+    /**
+     * Reload the repository status
+     */
+    async refresh() {
+        if (!this.container) return;
+
+        const refreshId = ++this.refreshCount;
+
+        try {
+            const result = this.hasWorkspace ? await window.electronAPI.gitStatus() : null;
+
+            if (refreshId !== this.refreshCount) return;
+            this.status = result && result.success ? result.status : null;
+        } catch (error) {
+            if (refreshId !== this.refreshCount) return;
+            console.error('Failed to read git status:', error);
+            this.status = null;
+            this._showInfo(i18n.t('git.error', { error: error.message }));
+        }
+
+        this._render();
+        if (this.eventBus) {
+            this.eventBus.emit('git:status-changed', { files: this.status ? this.status.files : [] });
+        }
+        await this._updateGutter();
+    }
+
+    /**
+     * Stage files
+     * @param {string[]} filePaths - Absolute paths
+     */
+    async stage(filePaths) {
+        await this._runAndRefresh(() => window.electronAPI.gitStage(filePaths));
+    }
+
+    /**
+     * Unstage files, keeping their changes
+     * @param {string[]} filePaths - Absolute paths
+     */
+    async unstage(filePaths) {
+        await this._runAndRefresh(() => window.electronAPI.gitUnstage(filePaths));
+    }
+
+    /**
+     * Commit the staged changes with the entered message
+     */
+    async commit() {
+        const message = this.messageInput.value.trim();
+
+        if (!message) {
+            notificationManager.warning(i18n.t('git.messageRequired'));
+            this.messageInput.focus();
+            return;
+        }
+        if (!this.status || !this.status.files.some(file => file.staged)) {
+            notificationManager.warning(i18n.t('git.nothingStaged'));
+            return;
+        }
+
+        const result = await this._runAndRefresh(() => window.electronAPI.gitCommit(message));
+
+        if (result && result.success) {
+            this.messageInput.value = '';
+            notificationManager.success(i18n.t('git.committed', { hash: result.hash }));
+        }
+    }
+
+    /**
+     * Show the changes of a file since the last commit
+     * @param {Object} file - Entry of the git status
+     */
+    async showDiff(file) {
+        try {
+            const result = await window.electronAPI.gitGetDiff(file.path);
+
+            if (!result || !result.success) return;
+
+            await this.diffDialog.show({
+                snapshotContent: result.headContent,
+                currentContent: result.workingContent,
+                title: i18n.t('git.diffTitle', { fileName: this._getFileName(file.relativePath) }),
+                snapshotHeading: i18n.t('git.headVersion'),
+                currentHeading: i18n.t('git.workingVersion'),
+                summaryKey: 'git.diffSummary',
+                identicalKey: 'git.noDifferences',
+                canRestore: false
+            });
+        } catch (error) {
+            console.error('Failed to read file changes:', error);
+            notificationManager.error(i18n.t('git.error', { error: error.message }));
+        }
+    }
+
+    /**
+     * Run a git operation, report its failure and reload the status
+     * @param {Function} operation - Returns the IPC result
+     * @returns {Promise<Object|null>} The IPC result, null on failure
+     * @private
+     */
+    async _runAndRefresh(operation) {
+        let result = null;
+
+        try {
+            result = await operation();
+        } catch (error) {
+            console.error('Git operation failed:', error);
+            notificationManager.error(i18n.t('git.error', { error: error.message }));
+        }
+
+        await this.refresh();
+        return result;
+    }
+
+    /**
+     * Compare the active document with its last committed version in the editor gutter
+     * @private
+     */
+    async _updateGutter() {
+        const filePath = this.currentFilePath;
+
+        if (!filePath || !this.status) {
+            this.editor.setGitBaseline(null);
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.gitGetHeadContent(filePath);
+
+            // Another document became active meanwhile
+            if (filePath !== this.currentFilePath) return;
+
+            let baseline = result && result.success ? result.content : null;
+            const file = this.status && this.status.files.find(candidate => candidate.path === filePath);
+
+            // New files are all additions
+            if (baseline === null && file && NEW_FILE_STATUSES.has(file.status)) {
+                baseline = '';
+            }
+            this.editor.setGitBaseline(baseline);
+        } catch (error) {
+            console.error('Failed to read committed content:', error);
+            this.editor.setGitBaseline(null);
+        }
+    }
+
+    /**
+     * Render the status
+     * @private
+     */
+    _render() {
+        if (!this.container) return;
+
+        this.listContainer.innerHTML = '';
+        this.messageInput.placeholder = i18n.t('git.messagePlaceholder');
+        this.commitButton.textContent = i18n.t('git.commit');
+
+        if (!this.hasWorkspace || !this.status || !this.status.isRepository) {
+            this.commitElement.hidden = true;
+            this._showInfo(i18n.t(this.hasWorkspace ? 'git.notRepository' : 'git.noWorkspace'));
+            return;
+        }
+
+        const { branch, ahead, behind, files } = this.status;
+        const branchText = branch ? i18n.t('git.branch', { branch }) : i18n.t('git.detached');
+
+        this.commitElement.hidden = false;
+        this._showInfo(ahead || behind ? `${branchText} · ${i18n.t('git.aheadBehind', { ahead, behind })}` : branchText);
+
+        if (files.length === 0) {
+            const clean = document.createElement('div');
+
+            clean.className = 'git-panel__empty';
+            clean.textContent = i18n.t('git.clean');
+            this.listContainer.appendChild(clean);
+            return;
+        }
+
+        const staged = files.filter(file => file.staged);
+        const unstaged = files.filter(file => file.unstaged || !file.staged);
+
+        if (staged.length > 0) {
+            this.listContainer.appendChild(this._createSection(i18n.t('git.staged'), staged, true));
+        }
+        if (unstaged.length > 0) {
+            this.listContainer.appendChild(this._createSection(i18n.t('git.changes'), unstaged, false));
+        }
+    }
+
+    /**
+     * Create a list of changed files with a heading
+     * @param {string} title
+     * @param {Object[]} files
+     * @param {boolean} staged - Whether the section lists staged changes
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createSection(title, files, staged) {
+        const section = document.createElement('div');
+
+        section.className = 'git-panel__section';
+
+        const header = document.createElement('div');
+
+        header.className = 'git-panel__section-header';
+
+        const heading = document.createElement('span');
+
+        heading.className = 'git-panel__section-title';
+        heading.textContent = `${title} (${files.length})`;
+        header.appendChild(heading);
+
+        const paths = files.map(file => file.path);
+
+        header.appendChild(staged
+            ? this._createButton(i18n.t('git.unstageAll'), () => this.unstage(paths))
+            : this._createButton(i18n.t('git.stageAll'), () => this.stage(paths)));
+        section.appendChild(header);
+
+        const list = document.createElement('div');
+
+        list.setAttribute('role', 'list');
+        files.forEach(file => list.appendChild(this._createItem(file, staged)));
+        section.appendChild(list);
+
+        return section;
+    }
+
+    /**
+     * Create the list item of a changed file
+     * @param {Object} file - Entry of the git status
+     * @param {boolean} staged - Whether the item is in the staged section
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createItem(file, staged) {
+        const item = document.createElement('div');
+
+        item.className = `git-panel__item git-panel__item--${file.status}`;
+        item.setAttribute('role', 'listitem');
+        item.title = `${file.relativePath} — ${i18n.t(`git.status.${file.status}`)}`;
+
+        const badge = document.createElement('span');
+
+        badge.className = 'git-panel__badge';
+        badge.textContent = i18n.t(`git.badge.${file.status}`);
+        item.appendChild(badge);
+
+        const name = document.createElement('span');
+
+        name.className = 'git-panel__name';
+        name.textContent = this._getFileName(file.relativePath);
+        item.appendChild(name);
+
+        const folder = document.createElement('span');
+
+        folder.className = 'git-panel__folder';
+        folder.textContent = file.relativePath.split('/').slice(0, -1).join('/');
+        item.appendChild(folder);
+
+        const actions = document.createElement('div');
+
+        actions.className = 'git-panel__item-actions';
+        actions.appendChild(this._createButton(i18n.t('git.diff'), () => this.showDiff(file)));
+        actions.appendChild(staged
+            ? this._createButton(i18n.t('git.unstage'), () => this.unstage([file.path]))
+            : this._createButton(i18n.t('git.stage'), () => this.stage([file.path])));
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * @param {string} label
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createButton(label, onClick) {
+        const button = document.createElement('button');
+
+        button.type = 'button';
+        button.className = 'git-panel__button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * @param {string} relativePath - Path with forward slashes
+     * @returns {string}
+     * @private
+     */
+    _getFileName(relativePath) {
+        return relativePath.split('/').pop();
+    }
+
+    /**
+     * @param {string} text
+     * @private
+     */
+    _showInfo(text) {
+        this.infoElement.textContent = text;
+    }
+
+    /**
+     * Update translations
+     */
+    updateTranslations() {
+        this._render();
+    }
+
+    /**
+     * Destroy and clean up
+     */
+    destroy() {
+        this.eventCleanups.forEach(cleanup => cleanup());
+        this.eventCleanups = [];
+        window.removeEventListener('focus', this._handleWindowFocus);
+        this.diffDialog.destroy();
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
+
+module.exports = GitPanel;
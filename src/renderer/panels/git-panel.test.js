@@ -0,0 +1,142 @@
+/**
+ * Unit tests for GitPanel class
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import GitPanel from './git-panel.js';
+import eventBus from '../core/event-bus.js';
+
+const files = [
+    {
+        path: '/repo/notes.md', relativePath: 'notes.md', status: 'modified', staged: true, unstaged: false
+    },
+    {
+        path: '/repo/drafts/new.md', relativePath: 'drafts/new.md', status: 'untracked', staged: false, unstaged: true
+    }
+];
+
+const status = { isRepository: true, root: '/repo', branch: 'main', ahead: 1, behind: 0, files };
+
+describe('GitPanel', () => {
+    let editor;
+    let panel;
+
+    beforeEach(() => {
+        window.electronAPI = {
+            gitStatus: vi.fn().mockResolvedValue({ success: true, status }),
+            gitStage: vi.fn().mockResolvedValue({ success: true }),
+            gitUnstage: vi.fn().mockResolvedValue({ success: true }),
+            gitCommit: vi.fn().mockResolvedValue({ success: true, hash: 'abc1234' }),
+            gitGetHeadContent: vi.fn().mockResolvedValue({ success: true, content: null }),
+            gitGetDiff: vi.fn().mockResolvedValue({ success: true, headContent: 'one', workingContent: 'two' })
+        };
+        editor = { setGitBaseline: vi.fn() };
+        panel = new GitPanel(editor, eventBus);
+        document.body.appendChild(panel.initialize());
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        document.body.innerHTML = '';
+        delete window.electronAPI;
+    });
+
+    it('should require an editor', () => {
+        expect(() => new GitPanel()).toThrow('Editor instance is required');
+    });
+
+    it('should ask to open a folder first', () => {
+        expect(document.querySelector('.git-panel__info').textContent).toBe('Open a folder to use source control.');
+        expect(document.querySelector('.git-panel__commit').hidden).toBe(true);
+    });
+
+    it('should list staged and unstaged changes', async () => {
+        await panel.setWorkspace(true);
+
+        const sections = document.querySelectorAll('.git-panel__section');
+
+        expect(document.querySelector('.git-panel__info').textContent).toBe('On branch main · 1 to push, 0 to pull');
+        expect(sections.length).toBe(2);
+        expect(sections[0].querySelector('.git-panel__name').textContent).toBe('notes.md');
+        expect(sections[1].querySelector('.git-panel__folder').textContent).toBe('drafts');
+        expect(sections[1].querySelector('.git-panel__badge').textContent).toBe('U');
+    });
+
+    it('should broadcast the status for the file tree', async () => {
+        const listener = vi.fn();
+        const cleanup = eventBus.on('git:status-changed', listener);
+
+        await panel.setWorkspace(true);
+        cleanup();
+
+        expect(listener).toHaveBeenCalledWith({ files });
+    });
+
+    it('should stage and unstage files', async () => {
+        await panel.setWorkspace(true);
+
+        await panel.stage(['/repo/drafts/new.md']);
+        await panel.unstage(['/repo/notes.md']);
+
+        expect(window.electronAPI.gitStage).toHaveBeenCalledWith(['/repo/drafts/new.md']);
+        expect(window.electronAPI.gitUnstage).toHaveBeenCalledWith(['/repo/notes.md']);
+        expect(window.electronAPI.gitStatus).toHaveBeenCalledTimes(3);
+    });
+
+    it('should commit with the entered message', async () => {
+        await panel.setWorkspace(true);
+        panel.messageInput.value = '  Update notes ';
+
+        await panel.commit();
+
+        expect(window.electronAPI.gitCommit).toHaveBeenCalledWith('Update notes');
+        expect(panel.messageInput.value).toBe('');
+    });
+
+    it('should not commit without a message', async () => {
+        await panel.setWorkspace(true);
+
+        await panel.commit();
+
+        expect(window.electronAPI.gitCommit).not.toHaveBeenCalled();
+    });
+
+    it('should set the gutter baseline of the active document', async () => {
+        window.electronAPI.gitGetHeadContent.mockResolvedValue({ success: true, content: 'committed' });
+        await panel.setWorkspace(true);
+
+        await panel.setActiveDocument('/repo/notes.md');
+
+        expect(window.electronAPI.gitGetHeadContent).toHaveBeenCalledWith('/repo/notes.md');
+        expect(editor.setGitBaseline).toHaveBeenLastCalledWith('committed');
+    });
+
+    it('should mark untracked documents as all new', async () => {
+        await panel.setWorkspace(true);
+
+        await panel.setActiveDocument('/repo/drafts/new.md');
+
+        expect(editor.setGitBaseline).toHaveBeenLastCalledWith('');
+    });
+
+    it('should clear the gutter outside of a repository', async () => {
+        await panel.setActiveDocument('/elsewhere/notes.md');
+
+        expect(window.electronAPI.gitGetHeadContent).not.toHaveBeenCalled();
+        expect(editor.setGitBaseline).toHaveBeenLastCalledWith(null);
+    });
+
+    it('should show the diff of a file without a restore button', async () => {
+        await panel.setWorkspace(true);
+
+        const showing = panel.showDiff(files[0]);
+
+        await vi.waitFor(() => expect(document.querySelector('.history-compare-dialog')).not.toBeNull());
+        const cells = document.querySelectorAll('.history-compare-text');
+
+        expect(Array.from(cells).map(cell => cell.textContent)).toEqual(['one', 'two']);
+        expect(document.querySelector('.history-compare-restore')).toBeNull();
+        document.querySelector('.history-compare-close').click();
+        await showing;
+    });
+});
@@ -12,7 +12,10 @@ class GlobalSearchUI {
         this.searchInput = null;
         this.resultsContainer = null;
         this.currentResults = null;
+        this.replaceInput = null;
+        this.replacePlan = null;
         this.onFileClickCallback = null;
+        this.onReplaceCallback = null;
         this.removeLocaleListener = null;
     }
 
@@ -47,8 +50,16 @@ class GlobalSearchUI {
         // Update input placeholder
         if (this.searchInput) {
             this.searchInput.placeholder = i18n.t('globalSearch.placeholder');
+            this.searchInput.title = i18n.t('globalSearch.syntaxHint');
         }
 
+        if (this.replaceInput) {
+            this.replaceInput.placeholder = i18n.t('globalSearch.replacePlaceholder');
+            this.replaceInput.title = i18n.t('globalSearch.replaceHint');
+        }
+        this.container.querySelector('#global-search-preview-replace-btn').textContent = i18n.t('globalSearch.previewReplace');
+        this.container.querySelector('#global-search-undo-btn').textContent = i18n.t('globalSearch.undoReplace');
+
         // Update search button
         const searchBtn = this.container.querySelector('#global-search-btn');
         if (searchBtn) {
@@ -94,6 +105,7 @@ class GlobalSearchUI {
                         type="text" 
                         id="global-search-input" 
                         placeholder="${i18n.t('globalSearch.placeholder')}"
+                        title="${i18n.t('globalSearch.syntaxHint')}"
                         autocomplete="off"
                     />
                     <button id="global-search-btn" class="primary-button">
@@ -103,6 +115,16 @@ class GlobalSearchUI {
                         ${i18n.t('search.find')}
                     </button>
                 </div>
+                <div class="search-input-group replace-input-group">
+                    <input
+                        type="text"
+                        id="global-search-replace-input"
+                        placeholder="${i18n.t('globalSearch.replacePlaceholder')}"
+                        autocomplete="off"
+                    />
+                    <button id="global-search-preview-replace-btn" class="secondary-button">${i18n.t('globalSearch.previewReplace')}</button>
+                </div>
+                <button id="global-search-undo-btn" class="secondary-button replace-undo-btn hidden">${i18n.t('globalSearch.undoReplace')}</button>
                 <div class="search-options">
                     <label>
                         <input type="checkbox" id="global-search-case-sensitive" />
@@ -131,6 +153,9 @@ class GlobalSearchUI {
         this.searchInput = this.container.querySelector('#global-search-input');
         this.resultsContainer = this.container.querySelector('#global-search-results');
         this.statusText = this.container.querySelector('#global-search-status-text');
+        this.replaceInput = this.container.querySelector('#global-search-replace-input');
+        // Set as a property, the hint contains angle brackets
+        this.replaceInput.title = i18n.t('globalSearch.replaceHint');
     }
 
     /**
@@ -154,6 +179,31 @@ class GlobalSearchUI {
                 }
             });
         }
+
+        this.container.querySelector('#global-search-preview-replace-btn').addEventListener('click', () => {
+            this.previewReplace();
+        });
+        this.replaceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.previewReplace();
+            }
+        });
+        this.container.querySelector('#global-search-undo-btn').addEventListener('click', () => {
+            this.undoReplace();
+        });
+    }
+
+    /**
+     * Read the search options from the checkboxes
+     * @returns {{caseSensitive: boolean, wholeWord: boolean, useRegex: boolean}}
+     */
+    getSearchOptions() {
+        return {
+            caseSensitive: this.container.querySelector('#global-search-case-sensitive')?.checked || false,
+            wholeWord: this.container.querySelector('#global-search-whole-word')?.checked || false,
+            useRegex: this.container.querySelector('#global-search-regex')?.checked || false
+        };
     }
 
     /**
@@ -167,12 +217,9 @@ class GlobalSearchUI {
             return;
         }
 
-        const options = {
-            caseSensitive: this.container.querySelector('#global-search-case-sensitive')?.checked || false,
-            wholeWord: this.container.querySelector('#global-search-whole-word')?.checked || false,
-            useRegex: this.container.querySelector('#global-search-regex')?.checked || false
-        };
+        const options = this.getSearchOptions();
 
+        await this.discardReplace();
         this.showStatus(i18n.t('globalSearch.searching'), 'info');
         this.resultsContainer.innerHTML = `<div class="searching">${i18n.t('globalSearch.searching')}</div>`;
 
@@ -204,10 +251,12 @@ class GlobalSearchUI {
             return;
         }
 
-        this.showStatus(
-            i18n.t('globalSearch.resultsInFiles', { matches: result.totalMatches, files: result.totalFiles }),
-            'success'
-        );
+        let status = i18n.t('globalSearch.resultsInFiles', { matches: result.totalMatches, files: result.totalFiles });
+
+        if (result.truncated) {
+            status += ` ${i18n.t('globalSearch.truncated', { files: result.totalFiles })}`;
+        }
+        this.showStatus(status, 'success');
 
         let html = '';
 
@@ -259,6 +308,226 @@ class GlobalSearchUI {
         });
     }
 
+    /**
+     * Compute the replacements of the current search and show them for review
+     */
+    async previewReplace() {
+        const searchText = this.searchInput.value.trim();
+
+        if (!searchText) {
+            this.showStatus(i18n.t('globalSearch.enterSearchTerm'), 'warning');
+            return;
+        }
+
+        this.showStatus(i18n.t('globalSearch.searching'), 'info');
+        this.resultsContainer.innerHTML = `<div class="searching">${i18n.t('globalSearch.searching')}</div>`;
+
+        try {
+            const result = await window.electronAPI.planWorkspaceReplace(searchText, this.replaceInput.value, this.getSearchOptions());
+
+            this.replacePlan = result.plan;
+            this.displayReplacePreview(result.plan);
+        } catch (error) {
+            console.error('Replace preview error:', error);
+            this.showStatus(i18n.t('globalSearch.replaceError') + ': ' + error.message, 'error');
+            this.resultsContainer.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Display the replacements of a plan, each with a before/after diff and
+     * a checkbox, plus one checkbox per file
+     * @param {Object} plan - Preview returned by planWorkspaceReplace
+     */
+    displayReplacePreview(plan) {
+        if (plan.matchCount === 0) {
+            this.replacePlan = null;
+            this.showStatus(i18n.t('globalSearch.noResults'), 'warning');
+            this.resultsContainer.innerHTML = `<div class="no-results">${i18n.t('globalSearch.noResults')}</div>`;
+            return;
+        }
+
+        this.showStatus(i18n.t('globalSearch.replacePreview', { matches: plan.matchCount, files: plan.files.length }), 'info');
+
+        let html = `
+            <div class="replace-actions">
+                <button class="secondary-button replace-cancel-btn">${i18n.t('actions.cancel')}</button>
+                <button class="primary-button replace-apply-btn"></button>
+            </div>
+        `;
+
+        plan.files.forEach((file, fileIndex) => {
+            const badge = file.isOpen
+                ? `<span class="replace-open-badge">${i18n.t('globalSearch.openInTab')}</span>`
+                : '';
+
+            html += `
+                <div class="search-result-file replace-file">
+                    <div class="file-header">
+                        <input type="checkbox" class="replace-file-toggle" data-file-index="${fileIndex}" checked />
+                        <span class="file-name" title="${this.escapeHtml(file.filePath)}">${this.escapeHtml(file.relativePath)}</span>
+                        ${badge}
+                        <span class="match-count">${file.matches.length}</span>
+                    </div>
+                    <div class="file-matches">
+            `;
+
+            file.matches.forEach(match => {
+                const addedLength = match.after.length - match.before.length + match.length;
+
+                html += `
+                    <div class="replace-match">
+                        <input type="checkbox" class="replace-match-toggle" data-file-index="${fileIndex}" data-match-id="${match.id}" checked />
+                        <span class="line-number replace-line-number" data-file="${this.escapeHtml(file.filePath)}" data-line="${match.line}">${match.line}</span>
+                        <div class="replace-diff">
+                            <span class="line-content replace-diff-remove">${this.highlightMatches(match.before, [{ start: match.column, end: match.column + match.length }])}</span>
+                            <span class="line-content replace-diff-add">${this.highlightMatches(match.after, [{ start: match.column, end: match.column + addedLength }])}</span>
+                        </div>
+                    </div>
+                `;
+            });
+
+            html += `
+                    </div>
+                </div>
+            `;
+        });
+
+        this.resultsContainer.innerHTML = html;
+        this.updateReplaceSelection();
+
+        this.resultsContainer.querySelectorAll('.replace-file-toggle').forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                this.resultsContainer
+                    .querySelectorAll(`.replace-match-toggle[data-file-index="${toggle.dataset.fileIndex}"]`)
+                    .forEach(matchToggle => {
+                        matchToggle.checked = toggle.checked;
+                    });
+                this.updateReplaceSelection();
+            });
+        });
+        this.resultsContainer.querySelectorAll('.replace-match-toggle').forEach(toggle => {
+            toggle.addEventListener('change', () => this.updateReplaceSelection());
+        });
+        this.resultsContainer.querySelectorAll('.replace-line-number').forEach(element => {
+            element.addEventListener('click', () => {
+                if (this.onFileClickCallback) {
+                    this.onFileClickCallback(element.getAttribute('data-file'), parseInt(element.getAttribute('data-line'), 10));
+                }
+            });
+        });
+        this.resultsContainer.querySelector('.replace-cancel-btn').addEventListener('click', async () => {
+            await this.discardReplace();
+            this.showStatus('', 'info');
+            this.resultsContainer.innerHTML = `<div class="no-results">${i18n.t('globalSearch.placeholder')}</div>`;
+        });
+        this.resultsContainer.querySelector('.replace-apply-btn').addEventListener('click', () => {
+            this.applyReplace();
+        });
+    }
+
+    /**
+     * Get the ids of the checked replacements
+     * @returns {string[]}
+     */
+    getSelectedMatchIds() {
+        return Array.from(this.resultsContainer.querySelectorAll('.replace-match-toggle:checked'))
+            .map(toggle => toggle.dataset.matchId);
+    }
+
+    /**
+     * Sync the file checkboxes and the apply button with the checked replacements
+     */
+    updateReplaceSelection() {
+        this.resultsContainer.querySelectorAll('.replace-file-toggle').forEach(toggle => {
+            const matchToggles = Array.from(this.resultsContainer
+                .querySelectorAll(`.replace-match-toggle[data-file-index="${toggle.dataset.fileIndex}"]`));
+            const checkedCount = matchToggles.filter(matchToggle => matchToggle.checked).length;
+
+            toggle.checked = checkedCount === matchToggles.length;
+            toggle.indeterminate = checkedCount > 0 && checkedCount < matchToggles.length;
+        });
+
+        const count = this.getSelectedMatchIds().length;
+        const applyBtn = this.resultsContainer.querySelector('.replace-apply-btn');
+
+        applyBtn.textContent = i18n.t('globalSearch.replaceSelected', { count });
+        applyBtn.disabled = count === 0;
+    }
+
+    /**
+     * Apply the checked replacements of the previewed plan
+     */
+    async applyReplace() {
+        if (!this.replacePlan) {
+            return;
+        }
+
+        const planId = this.replacePlan.id;
+
+        this.replacePlan = null;
+
+        try {
+            const result = await window.electronAPI.applyWorkspaceReplace(planId, this.getSelectedMatchIds());
+
+            this.showStatus(i18n.t('globalSearch.replaced', { matches: result.replaceCount, files: result.fileCount }), 'success');
+            this.resultsContainer.innerHTML = '';
+            this.setUndoAvailable(result.canUndo);
+            await this.notifyReplace(result.updatedTabs);
+        } catch (error) {
+            console.error('Replace error:', error);
+            this.showStatus(i18n.t('globalSearch.replaceError') + ': ' + error.message, 'error');
+            this.resultsContainer.innerHTML = `<div class="error-message">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Revert the last applied replace
+     */
+    async undoReplace() {
+        try {
+            const result = await window.electronAPI.undoWorkspaceReplace();
+
+            this.showStatus(i18n.t('globalSearch.undone', { files: result.fileCount }), 'success');
+            this.setUndoAvailable(result.canUndo);
+            await this.notifyReplace(result.updatedTabs);
+        } catch (error) {
+            console.error('Undo replace error:', error);
+            this.showStatus(i18n.t('globalSearch.replaceError') + ': ' + error.message, 'error');
+            this.setUndoAvailable(false);
+        }
+    }
+
+    /**
+     * Drop the previewed plan, if any
+     */
+    async discardReplace() {
+        if (!this.replacePlan) {
+            return;
+        }
+
+        this.replacePlan = null;
+        await window.electronAPI.discardWorkspaceReplace();
+    }
+
+    /**
+     * Show or hide the undo button
+     * @param {boolean} available
+     */
+    setUndoAvailable(available) {
+        this.container.querySelector('#global-search-undo-btn').classList.toggle('hidden', !available);
+    }
+
+    /**
+     * Report open tabs changed by a replace or its undo
+     * @param {Array<{tabId: string, content: string, isModified: boolean}>} updatedTabs
+     */
+    async notifyReplace(updatedTabs) {
+        if (this.onReplaceCallback) {
+            await this.onReplaceCallback(updatedTabs);
+        }
+    }
+
     /**
      * Highlight matches in a line
      * @param {string} lineText - Line text
@@ -340,6 +609,14 @@ class GlobalSearchUI {
     onFileClick(callback) {
         this.onFileClickCallback = callback;
     }
+
+    /**
+     * Set callback for open tabs changed by a replace or its undo
+     * @param {Function} callback - Callback function (updatedTabs)
+     */
+    onReplace(callback) {
+        this.onReplaceCallback = callback;
+    }
 }
 
 module.exports = GlobalSearchUI;
@@ -0,0 +1,293 @@
+/**
+ * History Panel - Timeline of the saved versions of the active document
+ * Versions are recorded by the main process on every save (see FileHistoryManager).
+ * Restoring a version replaces the editor content in one undoable edit; the
+ * file itself changes only when the document is saved again.
+ */
+
+const i18n = require('../i18n/index.js');
+const notificationManager = require('../ui/notification.js');
+const HistoryCompareDialog = require('../ui/history-compare-dialog.js');
+
+class HistoryPanel {
+    constructor(editor, eventBus) {
+        if (!editor) {
+            throw new Error('Editor instance is required');
+        }
+
+        this.editor = editor;
+        this.eventBus = eventBus;
+        this.container = null;
+        this.infoElement = null;
+        this.listContainer = null;
+        this.currentFilePath = null;
+        this.entries = [];
+        this.compareDialog = new HistoryCompareDialog();
+        this.eventCleanups = [];
+    }
+
+    /**
+     * Initialize and return the panel container element
+     * @returns {HTMLElement}
+     */
+    initialize() {
+        this.container = document.createElement('div');
+        this.container.className = 'history-panel';
+
+        this.infoElement = document.createElement('div');
+        this.infoElement.className = 'history-panel__info';
+        this.container.appendChild(this.infoElement);
+
+        this.listContainer = document.createElement('div');
+        this.listContainer.className = 'history-panel__list';
+        this.listContainer.setAttribute('role', 'list');
+        this.container.appendChild(this.listContainer);
+
+        if (this.eventBus) {
+            // Every save may add a version
+            this.eventCleanups.push(this.eventBus.on('file:saved', ({ filePath }) => {
+                if (filePath) this.setActiveDocument(filePath);
+            }));
+        }
+
+        this._render();
+        return this.container;
+    }
+
+    /**
+     * Show the history of a document
+     * @param {string|null} filePath - Absolute path of the active document, null for untitled documents
+     */
+    async setActiveDocument(filePath) {
+        this.currentFilePath = filePath || null;
+        await this.refresh();
+    }
+
+    /**
+     * Reload the versions of the active document
+     */
+    async refresh() {
+        if (!this.container) return;
+
+        const filePath = this.currentFilePath;
+
+        if (!filePath) {
+            this.entries = [];
+            this._render();
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.getFileHistory(filePath);
+
+            // Another document became active meanwhile
+            if (filePath !== this.currentFilePath) return;
+            this.entries = result && result.success ? result.entries : [];
+            this._render();
+        } catch (error) {
+            console.error('Failed to load file history:', error);
+            this.entries = [];
+            this._showInfo(i18n.t('history.error'));
+        }
+    }
+
+    /**
+     * Compare a version with the editor content
+     * @param {Object} entry - History entry
+     */
+    async compare(entry) {
+        const snapshot = await this._loadSnapshot(entry);
+
+        if (snapshot === null) return;
+
+        const choice = await this.compareDialog.show({
+            versionLabel: this._formatTime(entry.timestamp),
+            snapshotContent: snapshot,
+            currentContent: this.editor.getValue()
+        });
+
+        if (choice === 'restore') {
+            this._restoreContent(entry, snapshot);
+        }
+    }
+
+    /**
+     * Replace the editor content with a version
+     * @param {Object} entry - History entry
+     */
+    async restore(entry) {
+        const snapshot = await this._loadSnapshot(entry);
+
+        if (snapshot !== null) {
+            this._restoreContent(entry, snapshot);
+        }
+    }
+
+    /**
+     * Read the content of a version, reporting failures
+     * @param {Object} entry - History entry
+     * @returns {Promise<string|null>}
+     * @private
+     */
+    async _loadSnapshot(entry) {
+        const filePath = this.currentFilePath;
+
+        try {
+            const result = await window.electronAPI.getFileHistorySnapshot(filePath, entry.id);
+
+            return filePath === this.currentFilePath && result && result.success ? result.content : null;
+        } catch (error) {
+            console.error('Failed to read file history:', error);
+            notificationManager.error(i18n.t('history.error') + ': ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} entry - History entry
+     * @param {string} content - Content of the version
+     * @private
+     */
+    _restoreContent(entry, content) {
+        if (content === this.editor.getValue()) {
+            notificationManager.info(i18n.t('history.identical'));
+            return;
+        }
+
+        this.editor.setValue(content);
+        notificationManager.success(i18n.t('history.restored', { version: this._formatTime(entry.timestamp) }));
+    }
+
+    /**
+     * Render the timeline
+     * @private
+     */
+    _render() {
+        if (!this.container) return;
+
+        this.listContainer.innerHTML = '';
+
+        if (!this.currentFilePath) {
+            this._showInfo(i18n.t('history.noDocument'));
+            return;
+        }
+        if (this.entries.length === 0) {
+            this._showInfo(i18n.t('history.empty'));
+            return;
+        }
+
+        this._showInfo(i18n.t('history.count', { count: this.entries.length }));
+        this.entries.forEach((entry, index) => {
+            this.listContainer.appendChild(this._createItem(entry, index === 0));
+        });
+    }
+
+    /**
+     * Create the timeline item of one version
+     * @param {Object} entry - History entry
+     * @param {boolean} isLatest - Whether this is the most recent version
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createItem(entry, isLatest) {
+        const item = document.createElement('div');
+
+        item.className = 'history-panel__item';
+        item.setAttribute('role', 'listitem');
+
+        const details = document.createElement('div');
+
+        details.className = 'history-panel__item-details';
+
+        const time = document.createElement('span');
+
+        time.className = 'history-panel__item-time';
+        time.textContent = this._formatTime(entry.timestamp);
+        time.title = new Date(entry.timestamp).toLocaleString(i18n.getLocale());
+        details.appendChild(time);
+
+        const stats = document.createElement('span');
+
+        stats.className = 'history-panel__item-stats';
+        stats.innerHTML = `<span class="history-panel__added">+${entry.added}</span> ` +
+            `<span class="history-panel__removed">−${entry.removed}</span>` +
+            (isLatest ? ` <span class="history-panel__badge">${i18n.t('history.latest')}</span>` : '');
+        details.appendChild(stats);
+
+        const actions = document.createElement('div');
+
+        actions.className = 'history-panel__item-actions';
+        actions.appendChild(this._createButton(i18n.t('history.compare'), () => this.compare(entry)));
+        actions.appendChild(this._createButton(i18n.t('history.restore'), () => this.restore(entry)));
+
+        item.appendChild(details);
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * @param {string} label
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     * @private
+     */
+    _createButton(label, onClick) {
+        const button = document.createElement('button');
+
+        button.type = 'button';
+        button.className = 'history-panel__button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * @param {string} text
+     * @private
+     */
+    _showInfo(text) {
+        this.infoElement.textContent = text;
+    }
+
+    /**
+     * Format a save time, relative for recent saves
+     * @param {number} timestamp - Milliseconds
+     * @returns {string}
+     * @private
+     */
+    _formatTime(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+        if (minutes < 1) return i18n.t('history.justNow');
+        if (minutes < 60) return i18n.t('history.minutesAgo', { count: minutes });
+
+        const date = new Date(timestamp);
+        const sameDay = date.toDateString() === new Date().toDateString();
+
+        return sameDay
+            ? date.toLocaleTimeString(i18n.getLocale(), { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleString(i18n.getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Update translations
+     */
+    updateTranslations() {
+        this._render();
+    }
+
+    /**
+     * Destroy and clean up
+     */
+    destroy() {
+        this.eventCleanups.forEach(cleanup => cleanup());
+        this.eventCleanups = [];
+        this.compareDialog.destroy();
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
+
+module.exports = HistoryPanel;
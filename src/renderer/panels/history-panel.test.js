@@ -0,0 +1,116 @@
+/**
+ * Unit tests for HistoryPanel class
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import HistoryPanel from './history-panel.js';
+import eventBus from '../core/event-bus.js';
+
+const entries = [
+    { id: '2-b', timestamp: Date.now() - 5 * 60000, added: 3, removed: 1 },
+    { id: '1-a', timestamp: Date.now() - 3 * 24 * 3600000, added: 10, removed: 0 }
+];
+
+/**
+ * Minimal editor exposing the API the panel uses
+ */
+function createEditor(content) {
+    const editor = {
+        content,
+        getValue: () => editor.content,
+        setValue: vi.fn(value => { editor.content = value; })
+    };
+
+    return editor;
+}
+
+describe('HistoryPanel', () => {
+    let editor;
+    let panel;
+
+    beforeEach(() => {
+        window.electronAPI = {
+            getFileHistory: vi.fn().mockResolvedValue({ success: true, entries }),
+            getFileHistorySnapshot: vi.fn().mockResolvedValue({ success: true, content: '# Old version' })
+        };
+        editor = createEditor('# Current');
+        panel = new HistoryPanel(editor, eventBus);
+        document.body.appendChild(panel.initialize());
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        document.body.innerHTML = '';
+        delete window.electronAPI;
+    });
+
+    it('should require an editor', () => {
+        expect(() => new HistoryPanel()).toThrow('Editor instance is required');
+    });
+
+    it('should ask to save untitled documents first', async () => {
+        await panel.setActiveDocument(null);
+
+        expect(window.electronAPI.getFileHistory).not.toHaveBeenCalled();
+        expect(document.querySelectorAll('.history-panel__item').length).toBe(0);
+    });
+
+    it('should list the versions of the active document, newest first', async () => {
+        await panel.setActiveDocument('/notes/todo.md');
+
+        const items = document.querySelectorAll('.history-panel__item');
+
+        expect(window.electronAPI.getFileHistory).toHaveBeenCalledWith('/notes/todo.md');
+        expect(items.length).toBe(2);
+        expect(items[0].querySelector('.history-panel__item-time').textContent).toBe('5 min ago');
+        expect(items[0].querySelector('.history-panel__added').textContent).toBe('+3');
+        expect(items[0].querySelector('.history-panel__removed').textContent).toBe('−1');
+        expect(items[0].querySelector('.history-panel__badge')).not.toBeNull();
+        expect(items[1].querySelector('.history-panel__badge')).toBeNull();
+    });
+
+    it('should reload after the active document is saved', async () => {
+        await panel.setActiveDocument('/notes/todo.md');
+        window.electronAPI.getFileHistory.mockClear();
+
+        eventBus.emit('file:saved', { filePath: '/notes/todo.md' });
+
+        expect(window.electronAPI.getFileHistory).toHaveBeenCalledWith('/notes/todo.md');
+    });
+
+    it('should restore a version into the editor', async () => {
+        await panel.setActiveDocument('/notes/todo.md');
+
+        await panel.restore(entries[1]);
+
+        expect(window.electronAPI.getFileHistorySnapshot).toHaveBeenCalledWith('/notes/todo.md', '1-a');
+        expect(editor.setValue).toHaveBeenCalledWith('# Old version');
+    });
+
+    it('should restore from the compare dialog', async () => {
+        await panel.setActiveDocument('/notes/todo.md');
+
+        const comparing = panel.compare(entries[0]);
+
+        await vi.waitFor(() => expect(document.querySelector('.history-compare-dialog')).not.toBeNull());
+        const cells = document.querySelectorAll('.history-compare-text');
+
+        expect(Array.from(cells).map(cell => cell.textContent)).toEqual(['# Old version', '# Current']);
+        document.querySelector('.history-compare-restore').click();
+        await comparing;
+
+        expect(editor.setValue).toHaveBeenCalledWith('# Old version');
+    });
+
+    it('should not change the editor when the compare dialog is closed', async () => {
+        await panel.setActiveDocument('/notes/todo.md');
+
+        const comparing = panel.compare(entries[0]);
+
+        await vi.waitFor(() => expect(document.querySelector('.history-compare-close')).not.toBeNull());
+        document.querySelector('.history-compare-close').click();
+        await comparing;
+
+        expect(editor.setValue).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,329 @@
+/**
+ * Properties Panel - Structured editor for the YAML front matter of the active document
+ * Every edit rewrites the front matter block in the editor, so it goes through
+ * the normal undo history and dirty tracking.
+ */
+
+const i18n = require('../i18n/index.js');
+const { getIcon } = require('../ui/icons.js');
+const {
+    parseFrontMatter,
+    stringifyFrontMatter,
+    formatPropertyValue,
+    parsePropertyValue
+} = require('../advanced-markdown/front-matter.js');
+
+class PropertiesPanel {
+    constructor(editor) {
+        if (!editor) {
+            throw new Error('Editor instance is required');
+        }
+
+        this.editor = editor;
+        this.container = null;
+        this.infoElement = null;
+        this.listContainer = null;
+        this.addForm = null;
+        this.frontMatter = null;
+        this.renderedRaw = undefined;
+        this.updateDebounceTimer = null;
+    }
+
+    /**
+     * Initialize and return the panel container element
+     * @returns {HTMLElement}
+     */
+    initialize() {
+        this.container = document.createElement('div');
+        this.container.className = 'properties-panel';
+
+        this.infoElement = document.createElement('div');
+        this.infoElement.className = 'properties-panel__info';
+        this.container.appendChild(this.infoElement);
+
+        this.listContainer = document.createElement('div');
+        this.listContainer.className = 'properties-panel__list';
+        this.listContainer.setAttribute('role', 'list');
+        this.container.appendChild(this.listContainer);
+
+        this.addForm = this._createAddForm();
+        this.container.appendChild(this.addForm);
+
+        this.editor.onContentChange(() => this.debouncedUpdate());
+        this.update();
+
+        return this.container;
+    }
+
+    /**
+     * Debounced update to avoid re-parsing on every keystroke
+     */
+    debouncedUpdate() {
+        if (this.updateDebounceTimer) {
+            clearTimeout(this.updateDebounceTimer);
+        }
+
+        this.updateDebounceTimer = setTimeout(() => {
+            this.updateDebounceTimer = null;
+            this.update();
+        }, 300);
+    }
+
+    /**
+     * Re-read the front matter of the editor content.
+     * Nothing is re-rendered while the block is unchanged, so typing in the
+     * panel does not lose focus.
+     */
+    update() {
+        if (!this.container) return;
+
+        this.frontMatter = parseFrontMatter(this.editor.getValue());
+
+        const raw = this.frontMatter ? this.frontMatter.raw : null;
+
+        if (raw !== this.renderedRaw) {
+            this.renderedRaw = raw;
+            this._render();
+        }
+    }
+
+    /**
+     * Render the property rows
+     * @private
+     */
+    _render() {
+        this.listContainer.innerHTML = '';
+
+        if (this.frontMatter && this.frontMatter.error) {
+            this.infoElement.textContent = i18n.t('properties.invalid', { error: this.frontMatter.error });
+            this.infoElement.classList.add('properties-panel__info--error');
+            this.addForm.hidden = true;
+            return;
+        }
+
+        const entries = Object.entries(this.frontMatter ? this.frontMatter.data : {});
+
+        this.infoElement.textContent = entries.length === 0
+            ? i18n.t('properties.empty')
+            : i18n.t('properties.count', { count: entries.length });
+        this.infoElement.classList.remove('properties-panel__info--error');
+        this.addForm.hidden = false;
+
+        entries.forEach(([key, value]) => {
+            this.listContainer.appendChild(this._createRow(key, value));
+        });
+    }
+
+    /**
+     * Create the row of one property
+     * @param {string} key - Property name
+     * @param {*} value - Property value
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createRow(key, value) {
+        const row = document.createElement('div');
+
+        row.className = 'properties-panel__row';
+        row.setAttribute('role', 'listitem');
+
+        const keyInput = document.createElement('input');
+
+        keyInput.type = 'text';
+        keyInput.className = 'properties-panel__key';
+        keyInput.value = key;
+        keyInput.setAttribute('aria-label', i18n.t('properties.key'));
+        keyInput.addEventListener('change', () => this.renameProperty(key, keyInput.value.trim()));
+
+        const valueInput = document.createElement('input');
+
+        valueInput.type = 'text';
+        valueInput.className = 'properties-panel__value';
+        valueInput.value = formatPropertyValue(value);
+        valueInput.setAttribute('aria-label', i18n.t('properties.value'));
+        if (Array.isArray(value)) {
+            valueInput.title = i18n.t('properties.listHint');
+        }
+        // Nested mappings are shown but can only be edited in the source
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            valueInput.readOnly = true;
+        }
+        valueInput.addEventListener('change', () => {
+            this.setProperty(key, parsePropertyValue(valueInput.value, value));
+        });
+
+        const removeButton = document.createElement('button');
+
+        removeButton.className = 'properties-panel__remove';
+        removeButton.title = i18n.t('properties.remove');
+        removeButton.setAttribute('aria-label', i18n.t('properties.remove'));
+        removeButton.innerHTML = getIcon('close');
+        removeButton.addEventListener('click', () => this.removeProperty(key));
+
+        row.appendChild(keyInput);
+        row.appendChild(valueInput);
+        row.appendChild(removeButton);
+
+        return row;
+    }
+
+    /**
+     * Create the form used to add a property
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createAddForm() {
+        const form = document.createElement('form');
+
+        form.className = 'properties-panel__add';
+
+        const keyInput = document.createElement('input');
+
+        keyInput.type = 'text';
+        keyInput.className = 'properties-panel__key';
+        keyInput.placeholder = i18n.t('properties.key');
+
+        const valueInput = document.createElement('input');
+
+        valueInput.type = 'text';
+        valueInput.className = 'properties-panel__value';
+        valueInput.placeholder = i18n.t('properties.value');
+
+        const addButton = document.createElement('button');
+
+        addButton.type = 'submit';
+        addButton.className = 'properties-panel__add-button';
+        addButton.textContent = i18n.t('properties.add');
+
+        form.appendChild(keyInput);
+        form.appendChild(valueInput);
+        form.appendChild(addButton);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const key = keyInput.value.trim();
+
+            if (!key || this._hasProperty(key)) {
+                keyInput.focus();
+                return;
+            }
+            this.setProperty(key, parsePropertyValue(valueInput.value));
+            keyInput.value = '';
+            valueInput.value = '';
+            keyInput.focus();
+        });
+
+        return form;
+    }
+
+    /**
+     * Add or change a property
+     * @param {string} key - Property name
+     * @param {*} value - New value
+     */
+    setProperty(key, value) {
+        this._applyProperties({ ...this._getProperties(), [key]: value });
+    }
+
+    /**
+     * Rename a property, keeping its position
+     * @param {string} oldKey - Current name
+     * @param {string} newKey - New name; empty or already used names are rejected
+     */
+    renameProperty(oldKey, newKey) {
+        if (!newKey || newKey === oldKey || this._hasProperty(newKey)) {
+            // Put the previous name back in the input
+            this._render();
+            return;
+        }
+
+        const properties = {};
+
+        Object.entries(this._getProperties()).forEach(([key, value]) => {
+            properties[key === oldKey ? newKey : key] = value;
+        });
+        this._applyProperties(properties);
+    }
+
+    /**
+     * Remove a property; the block is removed with the last one
+     * @param {string} key - Property name
+     */
+    removeProperty(key) {
+        const properties = { ...this._getProperties() };
+
+        delete properties[key];
+        this._applyProperties(properties);
+    }
+
+    /**
+     * @returns {Object} Properties of the document as last parsed
+     * @private
+     */
+    _getProperties() {
+        return this.frontMatter ? this.frontMatter.data : {};
+    }
+
+    /**
+     * @param {string} key - Property name
+     * @returns {boolean}
+     * @private
+     */
+    _hasProperty(key) {
+        return Object.prototype.hasOwnProperty.call(this._getProperties(), key);
+    }
+
+    /**
+     * Replace the front matter block in the editor
+     * @param {Object} properties - All properties of the document
+     * @private
+     */
+    _applyProperties(properties) {
+        // Parse again so edits made in the editor since the last update are not lost
+        const current = parseFrontMatter(this.editor.getValue());
+
+        if (current && current.error) {
+            this.update();
+            return;
+        }
+
+        this.editor.view.dispatch({
+            changes: {
+                from: 0,
+                to: current ? current.length : 0,
+                insert: stringifyFrontMatter(properties)
+            }
+        });
+        this.update();
+    }
+
+    /**
+     * Update translations
+     */
+    updateTranslations() {
+        if (!this.container) return;
+
+        const [keyInput, valueInput, addButton] = this.addForm.children;
+
+        keyInput.placeholder = i18n.t('properties.key');
+        valueInput.placeholder = i18n.t('properties.value');
+        addButton.textContent = i18n.t('properties.add');
+        this._render();
+    }
+
+    /**
+     * Destroy and clean up
+     */
+    destroy() {
+        if (this.updateDebounceTimer) {
+            clearTimeout(this.updateDebounceTimer);
+            this.updateDebounceTimer = null;
+        }
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.container = null;
+    }
+}
+
+module.exports = PropertiesPanel;
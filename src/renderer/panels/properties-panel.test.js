@@ -0,0 +1,98 @@
+/**
+ * Unit tests for PropertiesPanel class
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import PropertiesPanel from './properties-panel.js';
+
+/**
+ * Minimal editor exposing the API the panel uses
+ */
+function createEditor(content) {
+    const editor = {
+        content,
+        callbacks: [],
+        getValue: () => editor.content,
+        onContentChange: callback => editor.callbacks.push(callback),
+        view: {
+            dispatch: ({ changes }) => {
+                editor.content = editor.content.slice(0, changes.from) + changes.insert + editor.content.slice(changes.to);
+            }
+        }
+    };
+
+    return editor;
+}
+
+describe('PropertiesPanel', () => {
+    let editor;
+    let panel;
+
+    beforeEach(() => {
+        editor = createEditor('---\ntitle: Notes\ntags: [a, b]\n---\n# Body\n');
+        panel = new PropertiesPanel(editor);
+        document.body.appendChild(panel.initialize());
+    });
+
+    afterEach(() => {
+        panel.destroy();
+        document.body.innerHTML = '';
+    });
+
+    it('should require an editor', () => {
+        expect(() => new PropertiesPanel()).toThrow('Editor instance is required');
+    });
+
+    it('should render one row per property', () => {
+        const rows = document.querySelectorAll('.properties-panel__row');
+
+        expect(rows.length).toBe(2);
+        expect(rows[0].querySelector('.properties-panel__key').value).toBe('title');
+        expect(rows[1].querySelector('.properties-panel__value').value).toBe('a, b');
+    });
+
+    it('should write edited values back to the front matter', () => {
+        const tagsInput = document.querySelectorAll('.properties-panel__value')[1];
+
+        tagsInput.value = 'a, c';
+        tagsInput.dispatchEvent(new Event('change'));
+
+        expect(editor.content).toBe('---\ntitle: Notes\ntags:\n  - a\n  - c\n---\n# Body\n');
+    });
+
+    it('should rename a property and reject names already in use', () => {
+        const keyInput = document.querySelector('.properties-panel__key');
+
+        keyInput.value = 'tags';
+        keyInput.dispatchEvent(new Event('change'));
+        expect(editor.content).toContain('title: Notes');
+
+        document.querySelector('.properties-panel__key').value = 'name';
+        document.querySelector('.properties-panel__key').dispatchEvent(new Event('change'));
+        expect(editor.content.startsWith('---\nname: Notes\n')).toBe(true);
+    });
+
+    it('should add properties and remove the block with the last one', () => {
+        editor.content = '# Body\n';
+        panel.update();
+
+        const form = document.querySelector('.properties-panel__add');
+
+        form.children[0].value = 'draft';
+        form.children[1].value = 'true';
+        form.dispatchEvent(new Event('submit'));
+        expect(editor.content).toBe('---\ndraft: true\n---\n# Body\n');
+
+        document.querySelector('.properties-panel__remove').click();
+        expect(editor.content).toBe('# Body\n');
+    });
+
+    it('should not allow editing invalid front matter', () => {
+        editor.content = '---\ntitle: [oops\n---\n';
+        panel.update();
+
+        expect(document.querySelectorAll('.properties-panel__row').length).toBe(0);
+        expect(document.querySelector('.properties-panel__info--error')).toBeTruthy();
+        expect(document.querySelector('.properties-panel__add').hidden).toBe(true);
+    });
+});
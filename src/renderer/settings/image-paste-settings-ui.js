@@ -1,6 +1,7 @@
 /**
  * ImagePasteSettingsUI - UI for configuring image paste settings
- * Allows users to enable/disable image paste and configure assets folder
+ * Allows users to enable/disable image paste and configure assets folder,
+ * image file names, optimization and deduplication
  */
 
 const i18n = require('../i18n/index.js');
@@ -89,8 +90,56 @@ class ImagePasteSettingsUI {
             </p>
         `;
 
+        // File name pattern and prompt
+        const nameContainer = document.createElement('div');
+        nameContainer.className = 'setting-item';
+        nameContainer.innerHTML = `
+            <label for="image-file-name-pattern">${i18n.t('imagePasteSettings.fileNamePattern')}</label>
+            <input type="text" id="image-file-name-pattern" value="image-{timestamp}" placeholder="image-{timestamp}">
+            <p class="setting-description">
+                ${i18n.t('imagePasteSettings.fileNamePatternDescription')}
+            </p>
+            <label>
+                <input type="checkbox" id="image-prompt-for-name">
+                ${i18n.t('imagePasteSettings.promptForName')}
+            </label>
+        `;
+
+        // Optimization
+        const optimizeContainer = document.createElement('div');
+        optimizeContainer.className = 'setting-item';
+        optimizeContainer.innerHTML = `
+            <label>
+                <input type="checkbox" id="image-optimize">
+                ${i18n.t('imagePasteSettings.optimize')}
+            </label>
+            <p class="setting-description">
+                ${i18n.t('imagePasteSettings.optimizeDescription')}
+            </p>
+            <label for="image-max-width">${i18n.t('imagePasteSettings.maxWidth')}</label>
+            <input type="number" id="image-max-width" value="1920" min="16" step="1">
+            <label for="image-jpeg-quality">${i18n.t('imagePasteSettings.jpegQuality')}</label>
+            <input type="number" id="image-jpeg-quality" value="85" min="1" max="100" step="1">
+        `;
+
+        // Deduplication
+        const deduplicateContainer = document.createElement('div');
+        deduplicateContainer.className = 'setting-item';
+        deduplicateContainer.innerHTML = `
+            <label>
+                <input type="checkbox" id="image-deduplicate" checked>
+                ${i18n.t('imagePasteSettings.deduplicate')}
+            </label>
+            <p class="setting-description">
+                ${i18n.t('imagePasteSettings.deduplicateDescription')}
+            </p>
+        `;
+
         body.appendChild(enableContainer);
         body.appendChild(folderContainer);
+        body.appendChild(nameContainer);
+        body.appendChild(optimizeContainer);
+        body.appendChild(deduplicateContainer);
 
         // Create footer with save button
         const footer = document.createElement('div');
@@ -149,6 +198,13 @@ class ImagePasteSettingsUI {
             if (folderInput) {
                 folderInput.value = settings.assetsFolder || './assets';
             }
+
+            document.getElementById('image-file-name-pattern').value = settings.fileNamePattern || 'image-{timestamp}';
+            document.getElementById('image-prompt-for-name').checked = settings.promptForName === true;
+            document.getElementById('image-optimize').checked = settings.optimize === true;
+            document.getElementById('image-max-width').value = settings.maxWidth || 1920;
+            document.getElementById('image-jpeg-quality').value = settings.jpegQuality || 85;
+            document.getElementById('image-deduplicate').checked = settings.deduplicate !== false;
         } catch (error) {
             console.error('Failed to load image paste settings:', error);
         }
@@ -164,20 +220,36 @@ class ImagePasteSettingsUI {
 
             const enabled = enabledCheckbox?.checked !== false;
             const assetsFolder = folderInput?.value?.trim() || './assets';
+            const readNumber = (id, min, max, fallback) => {
+                const value = parseInt(document.getElementById(id).value, 10);
+
+                return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+            };
+            const settings = {
+                fileNamePattern: document.getElementById('image-file-name-pattern').value.trim() || 'image-{timestamp}',
+                promptForName: document.getElementById('image-prompt-for-name').checked,
+                optimize: document.getElementById('image-optimize').checked,
+                maxWidth: readNumber('image-max-width', 16, 16384, 1920),
+                jpegQuality: readNumber('image-jpeg-quality', 1, 100, 85),
+                deduplicate: document.getElementById('image-deduplicate').checked
+            };
 
             // Save to config
             await window.electronAPI.setConfig('imagePaste.enabled', enabled);
             await window.electronAPI.setConfig('imagePaste.assetsFolder', assetsFolder);
+            for (const [key, value] of Object.entries(settings)) {
+                await window.electronAPI.setConfig(`imagePaste.${key}`, value);
+            }
 
             // Notify callback
             if (this.changeCallback) {
-                this.changeCallback(enabled, assetsFolder);
+                this.changeCallback(enabled, assetsFolder, settings);
             }
 
             // Hide modal
             this.hide();
 
-            console.log('Image paste settings saved:', { enabled, assetsFolder });
+            console.log('Image paste settings saved:', { enabled, assetsFolder, ...settings });
         } catch (error) {
             console.error('Failed to save image paste settings:', error);
             alert(i18n.t('imagePasteSettings.failedToSave') + ': ' + error.message);
@@ -186,7 +258,7 @@ class ImagePasteSettingsUI {
 
     /**
      * Register callback for settings changes
-     * @param {Function} callback - Called with (enabled, assetsFolder)
+     * @param {Function} callback - Called with (enabled, assetsFolder, settings)
      */
     onChange(callback) {
         this.changeCallback = callback;
@@ -1,14 +1,20 @@
 /**
  * KeyboardShortcutsManager (Renderer) - Manages keyboard shortcuts in renderer process
- * Coordinates between shortcuts UI, editor integration, and main process.
- * Integrates custom keyboard shortcuts with CodeMirror via keymap compartment.
+ * Coordinates between shortcuts UI, the application actions and main process.
+ * Runs the actions of the configured shortcuts from keydown events, including chords
+ * ("Mod-K Mod-T"): the first stroke of a chord waits for the next one, and a stroke that
+ * does not complete it is dropped, as in VS Code.
+ * A shortcut only runs when its action's `when` condition holds in the current context
+ * (editorFocus, previewFocus, tableEditorOpen and any context registered).
  * Handles platform-specific modifiers (Ctrl vs Cmd).
  *
- * Unified from keyboard-shortcuts-manager.js and keyboard-shortcuts-integration.js
  * Requirements: 5.6, 6.1
  */
 
-const { keymap } = require('@codemirror/view');
+const { eventToStroke, evaluateWhen, parseKeyBinding } = require('../features/key-bindings.js');
+const notificationManager = require('../ui/notification.js');
+const eventBus = require('../core/event-bus.js');
+const i18n = require('../i18n/index.js');
 
 class KeyboardShortcutsManager {
     constructor(editor) {
@@ -16,34 +22,51 @@ class KeyboardShortcutsManager {
             throw new Error('Editor is required');
         }
         this.editor = editor;
+        this.isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
         this.shortcuts = {};
-        this.keymapCompartment = null;
+        this.conditions = {};
         this.actionHandlers = new Map();
+        this.contextProviders = new Map();
+        this.pendingStrokes = [];
+        this.keyDownHandler = null;
+        this.removeChangeListener = null;
     }
 
     /**
      * Initialize keyboard shortcuts
      */
     async initialize() {
-        // Load shortcuts from main process
-        await this.loadShortcuts();
+        // Register the contexts every window has
+        this.registerContext('editorFocus', () => !!this.editor.view && this.editor.view.hasFocus);
+        this.registerContext('previewFocus', () => {
+            const preview = document.getElementById('preview-container');
 
-        // Register default action handlers
-        this.registerDefaultActions();
+            return !!preview && preview.contains(document.activeElement);
+        });
 
-        // Apply shortcuts to editor
-        this.applyShortcuts();
+        // Load shortcuts from main process, again whenever the shortcuts UI changes them
+        await this.loadShortcuts();
+        this.removeChangeListener = eventBus.on('shortcuts:changed', () => this.updateShortcuts());
+
+        // Capture phase, so a shortcut wins over the keys of the focused element
+        this.keyDownHandler = (event) => this.handleKeyDown(event);
+        document.addEventListener('keydown', this.keyDownHandler, true);
     }
 
     /**
-     * Load shortcuts from main process
+     * Load shortcuts and their conditions from main process
      */
     async loadShortcuts() {
         try {
-            const result = await window.electronAPI.getAllShortcuts();
+            const result = await window.electronAPI.getAvailableActions();
 
             if (result.success) {
-                this.shortcuts = result.shortcuts;
+                this.shortcuts = {};
+                this.conditions = {};
+                for (const action of result.actions) {
+                    this.shortcuts[action.id] = action.shortcut;
+                    this.conditions[action.id] = action.when;
+                }
             }
         } catch (error) {
             console.error('Error loading shortcuts:', error);
@@ -51,129 +74,116 @@ class KeyboardShortcutsManager {
     }
 
     /**
-     * Apply shortcuts to CodeMirror editor
+     * Register an action handler
+     * @param {string} actionId - Action identifier
+     * @param {Function} handler - Handler function, may be async
      */
-    applyShortcuts() {
-        if (!this.editor.view) {
-            console.warn('Editor view not initialized');
-            return;
-        }
-
-        // Build keymap from shortcuts
-        const keymapBindings = this.buildKeymapBindings();
-
-        // Create keymap extension
-        const keymapExtension = keymap.of(keymapBindings);
-
-        // If we have a keymap compartment, reconfigure it dynamically
-        if (this.keymapCompartment) {
-            this.editor.view.dispatch({
-                effects: this.keymapCompartment.reconfigure(keymapExtension)
-            });
-        } else if (this.editor.updateKeymap) {
-            // Fallback: use editor's updateKeymap method if available
-            this.editor.updateKeymap(keymapBindings);
+    registerAction(actionId, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error('Handler must be a function');
         }
+        this.actionHandlers.set(actionId, handler);
     }
 
     /**
-     * Build CodeMirror keymap bindings from shortcuts
+     * Unregister an action handler
+     * @param {string} actionId - Action identifier
      */
-    buildKeymapBindings() {
-        const bindings = [];
+    unregisterAction(actionId) {
+        this.actionHandlers.delete(actionId);
+    }
 
-        for (const [actionId, keyBinding] of Object.entries(this.shortcuts)) {
-            const handler = this.actionHandlers.get(actionId);
+    /**
+     * Register a context key that `when` conditions can use
+     * @param {string} key - Context key, e.g. 'tableEditorOpen'
+     * @param {Function} provider - Returns whether the context key is true
+     */
+    registerContext(key, provider) {
+        this.contextProviders.set(key, provider);
+    }
 
-            if (handler) {
-                const codemirrorKey = this.convertToCodeMirrorKey(keyBinding);
+    /**
+     * Get the current value of every context key
+     * @returns {Object<string, boolean>}
+     */
+    getContext() {
+        const context = {};
 
-                bindings.push({
-                    key: codemirrorKey,
-                    run: handler,
-                    preventDefault: true
-                });
-            }
+        for (const [key, provider] of this.contextProviders) {
+            context[key] = !!provider();
         }
 
-        return bindings;
+        return context;
     }
 
     /**
-     * Convert key binding to CodeMirror format
-     * Handles platform-specific modifiers
+     * Run the action of the shortcut a keydown event completes
+     * @param {KeyboardEvent} event
      */
-    convertToCodeMirrorKey(keyBinding) {
-        if (!keyBinding) return '';
+    handleKeyDown(event) {
+        const stroke = eventToStroke(event, this.isMac);
 
-        const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
+        if (!stroke) {
+            return;
+        }
 
-        // Replace Mod with platform-specific modifier
-        const result = keyBinding.replace(/Mod/g, isMac ? 'Cmd' : 'Ctrl');
+        const strokes = [...this.pendingStrokes, stroke];
+        const context = this.getContext();
+        let chordStarted = false;
 
-        return result;
-    }
+        for (const [actionId, handler] of this.actionHandlers) {
+            const binding = parseKeyBinding(this.shortcuts[actionId], this.isMac);
 
-    /**
-     * Register an action handler
-     * @param {string} actionId - Action identifier
-     * @param {Function} handler - Handler function that returns boolean
-     */
-    registerAction(actionId, handler) {
-        if (typeof handler !== 'function') {
-            throw new Error('Handler must be a function');
+            if (!binding || !strokes.every((part, index) => binding[index] === part)
+                || !evaluateWhen(this.conditions[actionId], context)) {
+                continue;
+            }
+
+            if (binding.length === strokes.length) {
+                this.consume(event);
+                this.pendingStrokes = [];
+                Promise.resolve()
+                    .then(() => handler())
+                    .catch(error => console.error(`Error running shortcut of ${actionId}:`, error));
+                return;
+            }
+            chordStarted = true;
+        }
+
+        if (chordStarted) {
+            this.consume(event);
+            this.pendingStrokes = strokes;
+            notificationManager.info(i18n.t('shortcuts.chordPending', { keys: this.formatStrokes(strokes) }), 2000);
+        } else if (this.pendingStrokes.length > 0) {
+            // The keys pressed so far start a chord and this one does not complete it
+            this.consume(event);
+            this.pendingStrokes = [];
         }
-        this.actionHandlers.set(actionId, handler);
     }
 
     /**
-     * Unregister an action handler
-     * @param {string} actionId - Action identifier
+     * Keep a keydown event that runs a shortcut from doing anything else
+     * @param {KeyboardEvent} event
      */
-    unregisterAction(actionId) {
-        this.actionHandlers.delete(actionId);
+    consume(event) {
+        event.preventDefault();
+        event.stopPropagation();
     }
 
     /**
-     * Register default action handlers for common editor operations
+     * Format strokes for display
+     * @param {string[]} strokes
+     * @returns {string}
      */
-    registerDefaultActions() {
-        // Format actions
-        this.registerAction('format:bold', (view) => {
-            if (this.editor.applyFormatting) {
-                this.editor.applyFormatting('bold');
-                return true;
-            }
-            return false;
-        });
-
-        this.registerAction('format:italic', (view) => {
-            if (this.editor.applyFormatting) {
-                this.editor.applyFormatting('italic');
-                return true;
-            }
-            return false;
-        });
-
-        this.registerAction('format:code', (view) => {
-            if (this.editor.applyFormatting) {
-                this.editor.applyFormatting('code');
-                return true;
-            }
-            return false;
-        });
-
-        // Note: File operations, view operations, and navigation operations
-        // are typically handled at the application level, not in the editor
-        // These would be registered by the main application code
+    formatStrokes(strokes) {
+        return strokes.join(' ').replace(/Mod/g, this.isMac ? 'Cmd' : 'Ctrl').replace(/-(?!\s|$)/g, '+');
     }
 
     /**
-     * Update shortcuts and reapply to editor
+     * Update shortcuts
      */
     async updateShortcuts() {
         await this.loadShortcuts();
-        this.applyShortcuts();
     }
 
     /**
@@ -184,20 +194,6 @@ class KeyboardShortcutsManager {
         await this.updateShortcuts();
     }
 
-    /**
-     * Get the keymap extension for initial editor setup (CodeMirror compartment)
-     * This should be called during editor initialization to enable dynamic reconfiguration.
-     */
-    getKeymapExtension() {
-        const { Compartment } = require('@codemirror/state');
-
-        this.keymapCompartment = new Compartment();
-
-        const keymapBindings = this.buildKeymapBindings();
-
-        return this.keymapCompartment.of(keymap.of(keymapBindings));
-    }
-
     /**
      * Get shortcut for an action
      * @param {string} actionId - Action identifier
@@ -214,6 +210,21 @@ class KeyboardShortcutsManager {
     getAllShortcuts() {
         return { ...this.shortcuts };
     }
+
+    /**
+     * Stop handling keyboard shortcuts
+     */
+    destroy() {
+        if (this.keyDownHandler) {
+            document.removeEventListener('keydown', this.keyDownHandler, true);
+            this.keyDownHandler = null;
+        }
+        if (this.removeChangeListener) {
+            this.removeChangeListener();
+            this.removeChangeListener = null;
+        }
+        this.pendingStrokes = [];
+    }
 }
 
 module.exports = KeyboardShortcutsManager;
@@ -1,12 +1,18 @@
 /**
  * KeyboardShortcutsUI - Settings dialog for customizing keyboard shortcuts
  * Displays all available actions with current bindings
- * Implements key recording mode for capturing key combinations
+ * Implements key recording mode for capturing key combinations and chords
+ * Reports the shortcuts in conflict, and imports and exports keymaps
  * Requirements: 5.1, 5.2, 5.3, 5.7
  */
 
 const notificationManager = require('../ui/notification.js');
 const i18n = require('../i18n/index.js');
+const eventBus = require('../core/event-bus.js');
+const { eventToStroke } = require('../features/key-bindings.js');
+
+// How long recording waits for the second stroke of a chord
+const CHORD_TIMEOUT = 1000;
 
 class KeyboardShortcutsUI {
     constructor() {
@@ -14,6 +20,9 @@ class KeyboardShortcutsUI {
         this.recordingActionId = null;
         this.recordingElement = null;
         this.actions = [];
+        this.conflicts = [];
+        this.recordedStrokes = [];
+        this.chordTimer = null;
         this.onShortcutChanged = null;
     }
 
@@ -77,9 +86,18 @@ class KeyboardShortcutsUI {
                     <div class="shortcuts-search">
                         <input type="text" class="shortcuts-search-input" placeholder="${i18n.t('shortcuts.searchPlaceholder')}" />
                     </div>
+                    <div class="shortcuts-conflicts"></div>
                     <div class="shortcuts-list"></div>
                 </div>
                 <div class="shortcuts-dialog-footer">
+                    <div class="shortcuts-keymap-actions">
+                        <select class="shortcuts-preset-select" aria-label="${i18n.t('shortcuts.applyPreset')}">
+                            <option value="">${i18n.t('shortcuts.applyPreset')}</option>
+                        </select>
+                        <button class="shortcuts-import-btn">${i18n.t('shortcuts.importKeymap')}</button>
+                        <button class="shortcuts-export-btn">${i18n.t('shortcuts.exportKeymap')}</button>
+                        <button class="shortcuts-export-vscode-btn">${i18n.t('shortcuts.exportVSCode')}</button>
+                    </div>
                     <button class="shortcuts-reset-all-btn">${i18n.t('shortcuts.resetAll')}</button>
                     <button class="shortcuts-done-btn">${i18n.t('actions.done')}</button>
                 </div>
@@ -94,6 +112,19 @@ class KeyboardShortcutsUI {
         this.dialog.querySelector('.shortcuts-reset-all-btn').addEventListener('click', () => this.resetAll());
         this.dialog.querySelector('.shortcuts-search-input').addEventListener('input', (e) => this.filterShortcuts(e.target.value));
 
+        // Keymaps
+        const keymapActions = this.dialog.querySelector('.shortcuts-keymap-actions');
+
+        keymapActions.querySelector('.shortcuts-preset-select')
+            .addEventListener('change', (e) => this.applyPreset(e.target));
+        keymapActions.querySelector('.shortcuts-import-btn')
+            .addEventListener('click', () => this.importKeymap());
+        keymapActions.querySelector('.shortcuts-export-btn')
+            .addEventListener('click', () => this.exportKeymap('native'));
+        keymapActions.querySelector('.shortcuts-export-vscode-btn')
+            .addEventListener('click', () => this.exportKeymap('vscode'));
+        this.loadPresets();
+
         // Close dialog when clicking overlay
         this.dialog.addEventListener('click', (e) => {
             if (e.target === this.dialog) {
@@ -103,15 +134,42 @@ class KeyboardShortcutsUI {
     }
 
     /**
-     * Load shortcuts from the main process
+     * Load the keymap presets into the preset menu
+     */
+    async loadPresets() {
+        try {
+            const result = await window.electronAPI.getShortcutPresets();
+            const select = this.dialog.querySelector('.shortcuts-preset-select');
+
+            if (result.success) {
+                for (const preset of result.presets) {
+                    const option = document.createElement('option');
+
+                    option.value = preset.id;
+                    option.textContent = preset.name;
+                    select.appendChild(option);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading keymap presets:', error);
+        }
+    }
+
+    /**
+     * Load shortcuts and their conflicts from the main process
      */
     async loadShortcuts() {
         try {
-            const result = await window.electronAPI.getAvailableActions();
+            const [result, conflictsResult] = await Promise.all([
+                window.electronAPI.getAvailableActions(),
+                window.electronAPI.getShortcutConflicts()
+            ]);
 
             if (result.success) {
                 this.actions = result.actions;
-                this.renderShortcuts();
+                this.conflicts = conflictsResult.success ? conflictsResult.conflicts : [];
+                this.renderConflicts();
+                this.renderShortcuts(this.dialog.querySelector('.shortcuts-search-input').value);
             }
         } catch (error) {
             console.error('Error loading shortcuts:', error);
@@ -119,6 +177,57 @@ class KeyboardShortcutsUI {
         }
     }
 
+    /**
+     * Get the name of an action
+     * @param {string} actionId
+     * @returns {string}
+     */
+    getActionName(actionId) {
+        const action = this.actions.find(a => a.id === actionId);
+
+        return action ? action.name : actionId;
+    }
+
+    /**
+     * Render the report of the shortcuts in conflict
+     */
+    renderConflicts() {
+        const container = this.dialog.querySelector('.shortcuts-conflicts');
+
+        container.innerHTML = '';
+        container.style.display = this.conflicts.length > 0 ? '' : 'none';
+        if (this.conflicts.length === 0) {
+            return;
+        }
+
+        const title = document.createElement('div');
+        const list = document.createElement('ul');
+
+        title.className = 'shortcuts-conflicts-title';
+        title.textContent = i18n.t('shortcuts.conflictsTitle', { count: this.conflicts.length });
+
+        for (const conflict of this.conflicts) {
+            const item = document.createElement('li');
+            const names = conflict.actionIds.map(actionId => this.getActionName(actionId));
+
+            item.textContent = conflict.type === 'prefix'
+                ? i18n.t('shortcuts.prefixConflict', {
+                    shortcut: this.formatShortcut(conflict.key),
+                    action: names[0],
+                    chord: this.formatShortcut(conflict.chord),
+                    chordAction: names[1]
+                })
+                : i18n.t('shortcuts.duplicateConflict', {
+                    shortcut: this.formatShortcut(conflict.key),
+                    actions: names.join(', ')
+                });
+            list.appendChild(item);
+        }
+
+        container.appendChild(title);
+        container.appendChild(list);
+    }
+
     /**
      * Render the shortcuts list
      */
@@ -133,7 +242,7 @@ class KeyboardShortcutsUI {
         for (const action of this.actions) {
             // Apply filter
             if (filter && !action.name.toLowerCase().includes(filter.toLowerCase()) &&
-                !action.shortcut.toLowerCase().includes(filter.toLowerCase())) {
+                !(action.shortcut || '').toLowerCase().includes(filter.toLowerCase())) {
                 continue;
             }
 
@@ -173,12 +282,24 @@ class KeyboardShortcutsUI {
 
         row.className = 'shortcuts-action-row';
         row.dataset.actionId = action.id;
+        if (this.conflicts.some(conflict => conflict.actionIds.includes(action.id))) {
+            row.classList.add('shortcuts-action-row--conflict');
+            row.title = i18n.t('shortcuts.inConflict');
+        }
 
         const nameCell = document.createElement('div');
 
         nameCell.className = 'shortcuts-action-name';
         nameCell.textContent = action.name;
 
+        if (action.when) {
+            const whenLabel = document.createElement('span');
+
+            whenLabel.className = 'shortcuts-action-when';
+            whenLabel.textContent = i18n.t('shortcuts.when', { condition: action.when });
+            nameCell.appendChild(whenLabel);
+        }
+
         const shortcutCell = document.createElement('div');
 
         shortcutCell.className = 'shortcuts-action-shortcut';
@@ -186,7 +307,7 @@ class KeyboardShortcutsUI {
         const shortcutButton = document.createElement('button');
 
         shortcutButton.className = 'shortcuts-shortcut-btn';
-        shortcutButton.textContent = this.formatShortcut(action.shortcut);
+        shortcutButton.textContent = this.formatShortcut(action.shortcut) || i18n.t('shortcuts.unassigned');
         shortcutButton.dataset.actionId = action.id;
         shortcutButton.addEventListener('click', () => this.startRecording(action.id, shortcutButton));
 
@@ -206,6 +327,17 @@ class KeyboardShortcutsUI {
             actionsCell.appendChild(resetButton);
         }
 
+        if (action.shortcut) {
+            const removeButton = document.createElement('button');
+
+            removeButton.className = 'shortcuts-remove-btn';
+            removeButton.textContent = '×';
+            removeButton.title = i18n.t('shortcuts.remove');
+            removeButton.setAttribute('aria-label', i18n.t('shortcuts.remove'));
+            removeButton.addEventListener('click', () => this.removeShortcut(action.id));
+            actionsCell.appendChild(removeButton);
+        }
+
         row.appendChild(nameCell);
         row.appendChild(shortcutCell);
         row.appendChild(actionsCell);
@@ -245,9 +377,9 @@ class KeyboardShortcutsUI {
         buttonElement.textContent = i18n.t('shortcuts.pressKeys');
         buttonElement.classList.add('recording');
 
-        // Add key down listener
+        // Listen before anything else, so the keys pressed do not run shortcuts
         this.keyDownHandler = (e) => this.handleKeyDown(e);
-        document.addEventListener('keydown', this.keyDownHandler);
+        window.addEventListener('keydown', this.keyDownHandler, true);
     }
 
     /**
@@ -258,75 +390,87 @@ class KeyboardShortcutsUI {
             const action = this.actions.find(a => a.id === this.recordingActionId);
 
             if (action) {
-                this.recordingElement.textContent = this.formatShortcut(action.shortcut);
+                this.recordingElement.textContent = this.formatShortcut(action.shortcut)
+                    || i18n.t('shortcuts.unassigned');
             }
             this.recordingElement.classList.remove('recording');
         }
 
         if (this.keyDownHandler) {
-            document.removeEventListener('keydown', this.keyDownHandler);
+            window.removeEventListener('keydown', this.keyDownHandler, true);
             this.keyDownHandler = null;
         }
 
+        clearTimeout(this.chordTimer);
+        this.chordTimer = null;
+        this.recordedStrokes = [];
+
         this.recordingActionId = null;
         this.recordingElement = null;
     }
 
     /**
      * Handle key down during recording
+     * A second stroke pressed soon after the first one makes a chord.
      */
-    async handleKeyDown(e) {
+    handleKeyDown(e) {
         e.preventDefault();
         e.stopPropagation();
 
+        const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
+        const stroke = eventToStroke(e, isMac);
+
         // Ignore modifier keys alone
-        if (['Control', 'Alt', 'Shift', 'Meta', 'Command'].includes(e.key)) {
+        if (!stroke) {
             return;
         }
 
-        // Build key combination string
-        const parts = [];
+        clearTimeout(this.chordTimer);
+        this.recordedStrokes.push(stroke);
 
-        if (e.ctrlKey || e.metaKey) {
-            parts.push('Mod');
-        }
-        if (e.altKey) {
-            parts.push('Alt');
-        }
-        if (e.shiftKey) {
-            parts.push('Shift');
+        if (this.recordedStrokes.length === 2) {
+            this.finishRecording();
+            return;
         }
 
-        // Add the actual key
-        let key = e.key;
+        this.recordingElement.textContent = `${this.formatShortcut(stroke)} …`;
+        this.chordTimer = setTimeout(() => this.finishRecording(), CHORD_TIMEOUT);
+    }
+
+    /**
+     * Set the recorded key combination, once its conflicts are confirmed
+     */
+    async finishRecording() {
+        const actionId = this.recordingActionId;
+        const keyBinding = this.recordedStrokes.join(' ');
 
-        if (key === ' ') {
-            key = 'Space';
-        } else if (key.length === 1) {
-            key = key.toUpperCase();
+        clearTimeout(this.chordTimer);
+        this.chordTimer = null;
+        if (!actionId || !keyBinding) {
+            return;
         }
-        parts.push(key);
 
-        const keyBinding = parts.join('-');
+        // Stop listening while the conflict dialog is open
+        window.removeEventListener('keydown', this.keyDownHandler, true);
 
-        // Check for conflicts
         try {
-            const conflictResult = await window.electronAPI.checkShortcutConflict(keyBinding, this.recordingActionId);
+            const conflictResult = await window.electronAPI.checkShortcutConflict(keyBinding, actionId);
 
             if (conflictResult.success && conflictResult.hasConflict) {
-                const conflictingAction = this.actions.find(a => a.id === conflictResult.conflictingAction);
-                const conflictingName = conflictingAction ? conflictingAction.name : conflictResult.conflictingAction;
-
+                const conflictingName = this.getActionName(conflictResult.conflictingAction);
                 const confirmed = await this.showConflictDialog(keyBinding, conflictingName);
 
                 if (!confirmed) {
                     this.cancelRecording();
                     return;
                 }
+
+                // Reassigning takes the binding away from the actions it conflicts with
+                await this.removeConflictingShortcuts(keyBinding, actionId);
             }
 
             // Set the shortcut
-            await this.setShortcut(this.recordingActionId, keyBinding);
+            await this.setShortcut(actionId, keyBinding);
 
         } catch (error) {
             console.error('Error setting shortcut:', error);
@@ -334,6 +478,24 @@ class KeyboardShortcutsUI {
         }
     }
 
+    /**
+     * Remove the shortcuts that conflict with a key binding
+     * @param {string} keyBinding
+     * @param {string} actionId - Action the binding is for
+     */
+    async removeConflictingShortcuts(keyBinding, actionId) {
+        let conflictResult = await window.electronAPI.checkShortcutConflict(keyBinding, actionId);
+
+        while (conflictResult.success && conflictResult.hasConflict) {
+            const result = await window.electronAPI.removeShortcut(conflictResult.conflictingAction);
+
+            if (!result.success) {
+                return;
+            }
+            conflictResult = await window.electronAPI.checkShortcutConflict(keyBinding, actionId);
+        }
+    }
+
     /**
      * Show conflict warning dialog
      */
@@ -370,9 +532,7 @@ class KeyboardShortcutsUI {
                 }
 
                 // Notify listeners
-                if (this.onShortcutChanged) {
-                    this.onShortcutChanged(actionId, keyBinding);
-                }
+                this.notifyChange(actionId, keyBinding);
 
                 // Reload shortcuts to update UI
                 await this.loadShortcuts();
@@ -394,9 +554,7 @@ class KeyboardShortcutsUI {
 
             if (result.success) {
                 // Notify listeners
-                if (this.onShortcutChanged) {
-                    this.onShortcutChanged(actionId, null);
-                }
+                this.notifyChange(actionId, null);
 
                 // Reload shortcuts
                 await this.loadShortcuts();
@@ -407,6 +565,99 @@ class KeyboardShortcutsUI {
         }
     }
 
+    /**
+     * Remove the shortcut of an action
+     */
+    async removeShortcut(actionId) {
+        try {
+            const result = await window.electronAPI.removeShortcut(actionId);
+
+            if (result.success) {
+                this.notifyChange(actionId, null);
+                await this.loadShortcuts();
+            }
+        } catch (error) {
+            console.error('Error removing shortcut:', error);
+            notificationManager.error(`Error removing shortcut: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply the keymap preset chosen in the preset menu
+     * @param {HTMLSelectElement} select
+     */
+    async applyPreset(select) {
+        const presetId = select.value;
+        const presetName = select.selectedOptions[0]?.textContent;
+
+        select.value = '';
+        if (!presetId) {
+            return;
+        }
+
+        const confirmed = await notificationManager.confirm(
+            i18n.t('shortcuts.applyPresetConfirm', { preset: presetName }),
+            {
+                confirmText: i18n.t('shortcuts.applyPreset'),
+                cancelText: i18n.t('actions.cancel'),
+                type: 'warning'
+            }
+        );
+
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.applyShortcutPreset(presetId);
+
+            if (result.success) {
+                this.notifyChange(null, null);
+                await this.loadShortcuts();
+            }
+        } catch (error) {
+            console.error('Error applying keymap preset:', error);
+            notificationManager.error(`Error applying keymap preset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import a keymap file, in the app's format or VS Code keybindings.json
+     */
+    async importKeymap() {
+        try {
+            const result = await window.electronAPI.importKeymap();
+
+            if (result.success) {
+                const { imported, skipped } = result;
+
+                notificationManager.success(i18n.t('shortcuts.imported', { count: imported, skipped }));
+                this.notifyChange(null, null);
+                await this.loadShortcuts();
+            }
+        } catch (error) {
+            console.error('Error importing keymap:', error);
+            notificationManager.error(i18n.t('shortcuts.importFailed', { error: error.message }));
+        }
+    }
+
+    /**
+     * Export the keymap to a file
+     * @param {'native'|'vscode'} format - The app's format or VS Code keybindings.json
+     */
+    async exportKeymap(format) {
+        try {
+            const result = await window.electronAPI.exportKeymap(format);
+
+            if (result.success) {
+                notificationManager.success(i18n.t('shortcuts.exported', { path: result.filePath }));
+            }
+        } catch (error) {
+            console.error('Error exporting keymap:', error);
+            notificationManager.error(`Error exporting keymap: ${error.message}`);
+        }
+    }
+
     /**
      * Reset all shortcuts to defaults
      */
@@ -429,9 +680,7 @@ class KeyboardShortcutsUI {
 
             if (result.success) {
                 // Notify listeners
-                if (this.onShortcutChanged) {
-                    this.onShortcutChanged(null, null);
-                }
+                this.notifyChange(null, null);
 
                 // Reload shortcuts
                 await this.loadShortcuts();
@@ -449,6 +698,18 @@ class KeyboardShortcutsUI {
         this.renderShortcuts(searchTerm);
     }
 
+    /**
+     * Tell the listeners and the rest of the app that shortcuts changed
+     * @param {string|null} actionId - Action that changed, null when several did
+     * @param {string|null} keyBinding - New binding, null when it was reset or removed
+     */
+    notifyChange(actionId, keyBinding) {
+        if (this.onShortcutChanged) {
+            this.onShortcutChanged(actionId, keyBinding);
+        }
+        eventBus.emit('shortcuts:changed', { actionId, keyBinding });
+    }
+
     /**
      * Register callback for shortcut changes
      */
@@ -44,7 +44,7 @@ class ActivityBar {
             const view = item.dataset.view;
             switch (view) {
                 case 'files':
-                    item.title = `${i18n.t('activityBar.explorer')} (Ctrl+Shift+E)`;
+                    item.title = `${i18n.t('activityBar.explorer')} (Ctrl+K Ctrl+E)`;
                     break;
                 case 'search':
                     item.title = `${i18n.t('activityBar.search')} (Ctrl+Shift+F)`;
@@ -67,6 +67,18 @@ class ActivityBar {
                 case 'connection-graph':
                     item.title = i18n.t('activityBar.connectionGraph');
                     break;
+                case 'backlinks':
+                    item.title = i18n.t('activityBar.backlinks');
+                    break;
+                case 'properties':
+                    item.title = i18n.t('activityBar.properties');
+                    break;
+                case 'history':
+                    item.title = i18n.t('activityBar.history');
+                    break;
+                case 'git':
+                    item.title = i18n.t('activityBar.sourceControl');
+                    break;
             }
         });
 
@@ -90,7 +102,7 @@ class ActivityBar {
         this.container = document.createElement('div');
         this.container.className = 'activity-bar';
         this.container.innerHTML = `
-            <button class="activity-bar__item" data-view="files" title="${i18n.t('activityBar.explorer')} (Ctrl+Shift+E)">
+            <button class="activity-bar__item" data-view="files" title="${i18n.t('activityBar.explorer')} (Ctrl+K Ctrl+E)">
                 <span class="activity-bar__icon">${getIcon('folder')}</span>
             </button>
             <button class="activity-bar__item" data-view="search" title="${i18n.t('activityBar.search')} (Ctrl+Shift+F)">
@@ -117,6 +129,15 @@ class ActivityBar {
             <button class="activity-bar__item" data-view="backlinks" title="${i18n.t('activityBar.backlinks')}">
                 <span class="activity-bar__icon">${getIcon('backlinks')}</span>
             </button>
+            <button class="activity-bar__item" data-view="properties" title="${i18n.t('activityBar.properties')}">
+                <span class="activity-bar__icon">${getIcon('properties')}</span>
+            </button>
+            <button class="activity-bar__item" data-view="history" title="${i18n.t('activityBar.history')}">
+                <span class="activity-bar__icon">${getIcon('history')}</span>
+            </button>
+            <button class="activity-bar__item" data-view="git" title="${i18n.t('activityBar.sourceControl')}">
+                <span class="activity-bar__icon">${getIcon('git')}</span>
+            </button>
         `;
         document.body.appendChild(this.container);
     }
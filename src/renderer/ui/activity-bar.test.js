@@ -61,7 +61,7 @@ describe('ActivityBar', () => {
             activityBar.initialize();
 
             const items = activityBar.container.querySelectorAll('.activity-bar__item');
-            expect(items.length).toBe(9); // files, search, outline, templates, snippets, settings, ai-chat, connection-graph, backlinks
+            expect(items.length).toBe(12); // files, search, outline, templates, snippets, settings, ai-chat, connection-graph, backlinks, properties, history, git
         });
 
         it('should have correct data-view attributes', () => {
@@ -0,0 +1,207 @@
+/**
+ * External Change Dialog
+ * Asks the user how to resolve a conflict between unsaved edits and a newer
+ * version of the same file written on disk by another program.
+ */
+
+const i18n = require('../i18n/index.js');
+const { diffLines, summarizeDiff } = require('../features/line-diff.js');
+
+class ExternalChangeDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this._handleKeyDown = this._handleKeyDown.bind(this);
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} options
+     * @param {string} options.fileName - Name of the changed file
+     * @param {string} options.localContent - Content currently in the editor
+     * @param {string} options.diskContent - Content found on disk
+     * @returns {Promise<'keep'|'reload'>} 'keep' to keep the editor version, 'reload' to take the disk version
+     */
+    show({ fileName, localContent, diskContent }) {
+        // Only one dialog at a time; a pending one resolves as "keep"
+        if (this.modal) {
+            this._close('keep');
+        }
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this._createModal(fileName, localContent, diskContent);
+            document.addEventListener('keydown', this._handleKeyDown);
+        });
+    }
+
+    /**
+     * Check whether the dialog is currently open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.modal !== null;
+    }
+
+    /**
+     * Build the dialog DOM
+     * @param {string} fileName
+     * @param {string} localContent
+     * @param {string} diskContent
+     * @private
+     */
+    _createModal(fileName, localContent, diskContent) {
+        const diff = diffLines(localContent, diskContent);
+        const { added, removed } = summarizeDiff(diff);
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notification-modal';
+
+        const dialog = document.createElement('div');
+
+        dialog.className = 'notification-dialog notification-warning external-change-dialog';
+        dialog.setAttribute('role', 'alertdialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'external-change-title');
+
+        dialog.innerHTML = `
+            <div class="notification-dialog-icon">⚠</div>
+            <h3 id="external-change-title" class="external-change-title">${this._escapeHtml(i18n.t('externalChange.title'))}</h3>
+            <div class="notification-dialog-message">${this._escapeHtml(i18n.t('externalChange.message', { fileName }))}</div>
+            <div class="external-change-summary">${this._escapeHtml(i18n.t('externalChange.summary', { added, removed }))}</div>
+            <div class="external-change-diff" hidden>
+                <div class="external-change-legend">
+                    <span class="diff-line diff-line--remove">${this._escapeHtml(i18n.t('externalChange.yourVersion'))}</span>
+                    <span class="diff-line diff-line--add">${this._escapeHtml(i18n.t('externalChange.diskVersion'))}</span>
+                </div>
+                <pre class="external-change-diff-content">${this._renderDiff(diff)}</pre>
+            </div>
+            <div class="notification-dialog-actions">
+                <button class="notification-btn notification-btn-cancel external-change-compare">${this._escapeHtml(i18n.t('externalChange.compare'))}</button>
+                <button class="notification-btn notification-btn-cancel external-change-keep">${this._escapeHtml(i18n.t('externalChange.keepMine'))}</button>
+                <button class="notification-btn notification-btn-confirm external-change-reload">${this._escapeHtml(i18n.t('externalChange.takeTheirs'))}</button>
+            </div>
+        `;
+
+        this.modal.appendChild(dialog);
+        document.body.appendChild(this.modal);
+
+        const compareButton = dialog.querySelector('.external-change-compare');
+        const diffContainer = dialog.querySelector('.external-change-diff');
+
+        compareButton.addEventListener('click', () => {
+            diffContainer.hidden = !diffContainer.hidden;
+            compareButton.textContent = diffContainer.hidden
+                ? i18n.t('externalChange.compare')
+                : i18n.t('externalChange.hideComparison');
+        });
+        dialog.querySelector('.external-change-keep').addEventListener('click', () => this._close('keep'));
+        dialog.querySelector('.external-change-reload').addEventListener('click', () => this._close('reload'));
+
+        requestAnimationFrame(() => {
+            if (this.modal) {
+                this.modal.classList.add('show');
+                dialog.querySelector('.external-change-keep').focus();
+            }
+        });
+    }
+
+    /**
+     * Render diff lines as HTML, collapsing long unchanged runs
+     * @param {Array<{type: string, text: string}>} diff
+     * @returns {string}
+     * @private
+     */
+    _renderDiff(diff) {
+        const CONTEXT_LINES = 3;
+        const changed = diff.map(line => line.type !== 'equal');
+        const html = [];
+        let skipped = 0;
+
+        diff.forEach((line, index) => {
+            const start = Math.max(0, index - CONTEXT_LINES);
+            const end = Math.min(diff.length, index + CONTEXT_LINES + 1);
+            const nearChange = changed.slice(start, end).some(Boolean);
+
+            if (!nearChange) {
+                skipped++;
+                return;
+            }
+
+            if (skipped > 0) {
+                html.push(`<div class="diff-line diff-line--skipped">${this._escapeHtml(i18n.t('externalChange.unchangedLines', { count: skipped }))}</div>`);
+                skipped = 0;
+            }
+
+            const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+
+            html.push(`<div class="diff-line diff-line--${line.type}">${marker} ${this._escapeHtml(line.text)}</div>`);
+        });
+
+        if (skipped > 0) {
+            html.push(`<div class="diff-line diff-line--skipped">${this._escapeHtml(i18n.t('externalChange.unchangedLines', { count: skipped }))}</div>`);
+        }
+
+        return html.join('');
+    }
+
+    /**
+     * Handle keyboard input; Escape keeps the editor version
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this._close('keep');
+        }
+    }
+
+    /**
+     * Close the dialog and resolve with the chosen action
+     * @param {'keep'|'reload'} choice
+     * @private
+     */
+    _close(choice) {
+        document.removeEventListener('keydown', this._handleKeyDown);
+
+        const modal = this.modal;
+
+        this.modal = null;
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => modal.remove(), 200);
+        }
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+
+            this.resolve = null;
+            resolve(choice);
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     * @private
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Destroy the dialog, keeping the editor version if still open
+     */
+    destroy() {
+        if (this.modal) {
+            this._close('keep');
+        }
+    }
+}
+
+module.exports = ExternalChangeDialog;
@@ -0,0 +1,234 @@
+/**
+ * History Compare Dialog
+ * Shows a saved version of a document side by side with the current editor
+ * content, and offers to restore the saved version. The labels can be replaced
+ * to compare other versions, e.g. the last git commit with the working tree.
+ */
+
+const i18n = require('../i18n/index.js');
+const { diffLines, summarizeDiff, toSideBySide } = require('../features/line-diff.js');
+
+// Unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+class HistoryCompareDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this._handleKeyDown = this._handleKeyDown.bind(this);
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} options
+     * @param {string} options.versionLabel - Describes the saved version, e.g. its save time
+     * @param {string} options.snapshotContent - Content of the saved version
+     * @param {string} options.currentContent - Content currently in the editor
+     * @param {string} [options.title] - Dialog title
+     * @param {string} [options.snapshotHeading] - Heading of the saved version column
+     * @param {string} [options.currentHeading] - Heading of the current content column
+     * @param {string} [options.summaryKey] - Translation key of the summary, given `{added, removed}`
+     * @param {string} [options.identicalKey] - Translation key shown when both sides are identical
+     * @param {boolean} [options.canRestore] - Whether to offer restoring the saved version
+     * @returns {Promise<'restore'|'close'>}
+     */
+    show(options) {
+        // Only one dialog at a time; a pending one resolves as "close"
+        if (this.modal) {
+            this._close('close');
+        }
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this._createModal(options);
+            document.addEventListener('keydown', this._handleKeyDown);
+        });
+    }
+
+    /**
+     * Check whether the dialog is currently open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.modal !== null;
+    }
+
+    /**
+     * Build the dialog DOM
+     * @param {Object} options - See show()
+     * @private
+     */
+    _createModal({
+        versionLabel,
+        snapshotContent,
+        currentContent,
+        title = i18n.t('history.compareTitle'),
+        snapshotHeading = i18n.t('history.savedVersion', { version: versionLabel }),
+        currentHeading = i18n.t('history.currentVersion'),
+        summaryKey = 'history.compareSummary',
+        identicalKey = 'history.identical',
+        canRestore = true
+    }) {
+        const diff = diffLines(snapshotContent, currentContent);
+        const { added, removed } = summarizeDiff(diff);
+        const summary = added === 0 && removed === 0
+            ? i18n.t(identicalKey)
+            : i18n.t(summaryKey, { added, removed });
+        const restoreButton = canRestore
+            ? `<button class="notification-btn notification-btn-confirm history-compare-restore">${this._escapeHtml(i18n.t('history.restore'))}</button>`
+            : '';
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notification-modal';
+
+        const dialog = document.createElement('div');
+
+        dialog.className = 'notification-dialog history-compare-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'history-compare-title');
+
+        dialog.innerHTML = `
+            <h3 id="history-compare-title" class="history-compare-title">${this._escapeHtml(title)}</h3>
+            <div class="history-compare-summary">${this._escapeHtml(summary)}</div>
+            <div class="history-compare-columns">
+                <div class="history-compare-heading">${this._escapeHtml(snapshotHeading)}</div>
+                <div class="history-compare-heading">${this._escapeHtml(currentHeading)}</div>
+            </div>
+            <div class="history-compare-diff">${this._renderRows(toSideBySide(diff))}</div>
+            <div class="notification-dialog-actions">
+                <button class="notification-btn notification-btn-cancel history-compare-close">${this._escapeHtml(i18n.t('actions.close'))}</button>
+                ${restoreButton}
+            </div>
+        `;
+
+        this.modal.appendChild(dialog);
+        document.body.appendChild(this.modal);
+
+        dialog.querySelector('.history-compare-close').addEventListener('click', () => this._close('close'));
+        if (canRestore) {
+            dialog.querySelector('.history-compare-restore').addEventListener('click', () => this._close('restore'));
+        }
+
+        requestAnimationFrame(() => {
+            if (this.modal) {
+                this.modal.classList.add('show');
+                dialog.querySelector('.history-compare-close').focus();
+            }
+        });
+    }
+
+    /**
+     * Render side-by-side rows as HTML, collapsing long unchanged runs
+     * @param {Array<{left: Object|null, right: Object|null}>} rows
+     * @returns {string}
+     * @private
+     */
+    _renderRows(rows) {
+        const changed = rows.map(row => row.left !== row.right);
+        const html = [];
+        let skipped = 0;
+
+        const flushSkipped = () => {
+            if (skipped > 0) {
+                html.push(`<div class="history-compare-row history-compare-row--skipped">${this._escapeHtml(i18n.t('externalChange.unchangedLines', { count: skipped }))}</div>`);
+                skipped = 0;
+            }
+        };
+
+        rows.forEach((row, index) => {
+            const start = Math.max(0, index - CONTEXT_LINES);
+            const end = Math.min(rows.length, index + CONTEXT_LINES + 1);
+
+            if (!changed.slice(start, end).some(Boolean)) {
+                skipped++;
+                return;
+            }
+
+            flushSkipped();
+            html.push(`<div class="history-compare-row">${this._renderCell(row.left, 'oldLine')}${this._renderCell(row.right, 'newLine')}</div>`);
+        });
+        flushSkipped();
+
+        return html.join('');
+    }
+
+    /**
+     * Render one side of a row
+     * @param {Object|null} line - Diff line, null for an empty cell
+     * @param {'oldLine'|'newLine'} numberKey - Line number to show
+     * @returns {string}
+     * @private
+     */
+    _renderCell(line, numberKey) {
+        if (!line) {
+            return '<div class="history-compare-cell history-compare-cell--empty"></div>';
+        }
+
+        const typeClass = line.type === 'equal' ? '' : ` diff-line--${line.type}`;
+
+        return `<div class="history-compare-cell${typeClass}">` +
+            `<span class="history-compare-line-number">${line[numberKey]}</span>` +
+            `<span class="history-compare-text">${this._escapeHtml(line.text)}</span></div>`;
+    }
+
+    /**
+     * Handle keyboard input; Escape closes without restoring
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this._close('close');
+        }
+    }
+
+    /**
+     * Close the dialog and resolve with the chosen action
+     * @param {'restore'|'close'} choice
+     * @private
+     */
+    _close(choice) {
+        document.removeEventListener('keydown', this._handleKeyDown);
+
+        const modal = this.modal;
+
+        this.modal = null;
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => modal.remove(), 200);
+        }
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+
+            this.resolve = null;
+            resolve(choice);
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     * @private
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Destroy the dialog, closing it if still open
+     */
+    destroy() {
+        if (this.modal) {
+            this._close('close');
+        }
+    }
+}
+
+module.exports = HistoryCompareDialog;
@@ -352,6 +352,25 @@ const icons = {
         <path d="M9 17H7A5 5 0 0 1 7 7h2"/>
         <path d="M15 7h2a5 5 0 1 1 0 10h-2"/>
         <line x1="8" y1="12" x2="16" y2="12"/>
+    </svg>`,
+
+    properties: () => `<svg width="${ICON_SIZE}" height="${ICON_SIZE}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="${STROKE_WIDTH}" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/>
+        <line x1="7" y1="7" x2="7.01" y2="7"/>
+    </svg>`,
+
+    history: () => `<svg width="${ICON_SIZE}" height="${ICON_SIZE}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="${STROKE_WIDTH}" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M3 12a9 9 0 1 0 3-6.7L3 8"/>
+        <polyline points="3 3 3 8 8 8"/>
+        <polyline points="12 7 12 12 15 15"/>
+    </svg>`,
+
+    git: () => `<svg width="${ICON_SIZE}" height="${ICON_SIZE}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="${STROKE_WIDTH}" stroke-linecap="round" stroke-linejoin="round">
+        <circle cx="18" cy="18" r="3"/>
+        <circle cx="6" cy="6" r="3"/>
+        <circle cx="6" cy="18" r="3"/>
+        <path d="M18 15V9a3 3 0 0 0-3-3h-4"/>
+        <line x1="6" y1="9" x2="6" y2="15"/>
     </svg>`
 };
 
@@ -0,0 +1,188 @@
+/**
+ * Link Update Dialog
+ * Previews the link edits computed after a file or folder was renamed or
+ * moved, and asks whether to apply them.
+ */
+
+const i18n = require('../i18n/index.js');
+
+class LinkUpdateDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this._handleKeyDown = this._handleKeyDown.bind(this);
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} plan - Preview returned by planLinkUpdates
+     * @param {string} plan.newPath - New path of the renamed or moved item
+     * @param {number} plan.linkCount - Number of links to update
+     * @param {Array<{filePath: string, isOpen: boolean, edits: Array}>} plan.files - Edits grouped by file,
+     *   each edit being `{line, before, after}`
+     * @returns {Promise<boolean>} true to apply the edits
+     */
+    show(plan) {
+        // Only one dialog at a time; a pending one resolves as "skip"
+        if (this.modal) {
+            this._close(false);
+        }
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this._createModal(plan);
+            document.addEventListener('keydown', this._handleKeyDown);
+        });
+    }
+
+    /**
+     * Check whether the dialog is currently open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.modal !== null;
+    }
+
+    /**
+     * Build the dialog DOM
+     * @param {Object} plan
+     * @private
+     */
+    _createModal(plan) {
+        const message = i18n.t('linkUpdate.message', {
+            name: this._getFileName(plan.newPath),
+            links: plan.linkCount,
+            files: plan.files.length
+        });
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notification-modal';
+
+        const dialog = document.createElement('div');
+
+        dialog.className = 'notification-dialog notification-info link-update-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'link-update-title');
+
+        dialog.innerHTML = `
+            <h3 id="link-update-title" class="link-update-title">${this._escapeHtml(i18n.t('linkUpdate.title'))}</h3>
+            <div class="notification-dialog-message">${this._escapeHtml(message)}</div>
+            <div class="link-update-files">${plan.files.map(file => this._renderFile(file)).join('')}</div>
+            <div class="notification-dialog-actions">
+                <button class="notification-btn notification-btn-cancel link-update-skip">${this._escapeHtml(i18n.t('linkUpdate.skip'))}</button>
+                <button class="notification-btn notification-btn-confirm link-update-apply">${this._escapeHtml(i18n.t('linkUpdate.apply'))}</button>
+            </div>
+        `;
+
+        this.modal.appendChild(dialog);
+        document.body.appendChild(this.modal);
+
+        dialog.querySelector('.link-update-skip').addEventListener('click', () => this._close(false));
+        dialog.querySelector('.link-update-apply').addEventListener('click', () => this._close(true));
+
+        requestAnimationFrame(() => {
+            if (this.modal) {
+                this.modal.classList.add('show');
+                dialog.querySelector('.link-update-apply').focus();
+            }
+        });
+    }
+
+    /**
+     * Render the edits of one file
+     * @param {{filePath: string, isOpen: boolean, edits: Array}} file
+     * @returns {string}
+     * @private
+     */
+    _renderFile(file) {
+        const badge = file.isOpen
+            ? ` <span class="link-update-badge">${this._escapeHtml(i18n.t('linkUpdate.openInTab'))}</span>`
+            : '';
+        const edits = file.edits.map(edit => `
+            <div class="link-update-edit">
+                <span class="link-update-line">${this._escapeHtml(i18n.t('linkUpdate.line', { line: edit.line }))}</span>
+                <span class="diff-line diff-line--remove">${this._escapeHtml(edit.before)}</span>
+                <span class="link-update-arrow">→</span>
+                <span class="diff-line diff-line--add">${this._escapeHtml(edit.after)}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="link-update-file">
+                <div class="link-update-file-name" title="${this._escapeHtml(file.filePath)}">${this._escapeHtml(this._getFileName(file.filePath))}${badge}</div>
+                ${edits}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the last segment of a path
+     * @param {string} filePath
+     * @returns {string}
+     * @private
+     */
+    _getFileName(filePath) {
+        return filePath.split(/[/\\]/).pop();
+    }
+
+    /**
+     * Handle keyboard input; Escape skips the update
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this._close(false);
+        }
+    }
+
+    /**
+     * Close the dialog and resolve with the choice
+     * @param {boolean} apply
+     * @private
+     */
+    _close(apply) {
+        document.removeEventListener('keydown', this._handleKeyDown);
+
+        const modal = this.modal;
+
+        this.modal = null;
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => modal.remove(), 200);
+        }
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+
+            this.resolve = null;
+            resolve(apply);
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     * @private
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Destroy the dialog, skipping the update if still open
+     */
+    destroy() {
+        if (this.modal) {
+            this._close(false);
+        }
+    }
+}
+
+module.exports = LinkUpdateDialog;
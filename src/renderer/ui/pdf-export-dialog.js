@@ -0,0 +1,214 @@
+/**
+ * PDF Export Dialog
+ * Asks for the page setup of a PDF export: page size, orientation, margins,
+ * scale, header and footer templates and an optional table of contents.
+ */
+
+const i18n = require('../i18n/index.js');
+
+const PAGE_SIZES = ['auto', 'A4', 'Letter', 'Legal'];
+const MARGIN_SIDES = ['top', 'bottom', 'left', 'right'];
+
+class PdfExportDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this._handleKeyDown = this._handleKeyDown.bind(this);
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} options - Options to start from, e.g. the ones used last
+     * @returns {Promise<Object|null>} Chosen options, null if cancelled
+     */
+    show(options) {
+        // Only one dialog at a time; a pending one resolves as cancelled
+        if (this.modal) {
+            this._close(null);
+        }
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this._createModal(options);
+            document.addEventListener('keydown', this._handleKeyDown);
+        });
+    }
+
+    /**
+     * Check whether the dialog is currently open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.modal !== null;
+    }
+
+    /**
+     * Build the dialog DOM
+     * @param {Object} options
+     * @private
+     */
+    _createModal(options) {
+        const t = key => this._escapeHtml(i18n.t(key));
+        const sizes = PAGE_SIZES.map((size) => {
+            const label = size === 'auto' ? t('pdfExport.pageSizeAuto') : size;
+
+            return `<option value="${size}"${size === options.pageSize ? ' selected' : ''}>${label}</option>`;
+        });
+        const margins = MARGIN_SIDES.map(side => `
+            <label class="pdf-export-field">
+                <span>${t(`pdfExport.${side}`)}</span>
+                <input type="number" class="pdf-export-margin" data-side="${side}" min="0" max="3" step="0.05" value="${options.margins[side]}">
+            </label>
+        `);
+
+        this.modal = document.createElement('div');
+        this.modal.className = 'notification-modal';
+
+        const dialog = document.createElement('div');
+
+        dialog.className = 'notification-dialog notification-info pdf-export-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'pdf-export-title');
+
+        dialog.innerHTML = `
+            <h3 id="pdf-export-title" class="pdf-export-title">${t('pdfExport.title')}</h3>
+            <div class="pdf-export-row">
+                <label class="pdf-export-field">
+                    <span>${t('pdfExport.pageSize')}</span>
+                    <select class="pdf-export-page-size">${sizes.join('')}</select>
+                </label>
+                <label class="pdf-export-field">
+                    <span>${t('pdfExport.orientation')}</span>
+                    <select class="pdf-export-orientation">
+                        <option value="portrait"${options.landscape ? '' : ' selected'}>${t('pdfExport.portrait')}</option>
+                        <option value="landscape"${options.landscape ? ' selected' : ''}>${t('pdfExport.landscape')}</option>
+                    </select>
+                </label>
+                <label class="pdf-export-field">
+                    <span>${t('pdfExport.scale')}</span>
+                    <input type="number" class="pdf-export-scale" min="10" max="200" step="5" value="${Math.round(options.scale * 100)}">
+                </label>
+            </div>
+            <fieldset class="pdf-export-margins">
+                <legend>${t('pdfExport.margins')}</legend>
+                <div class="pdf-export-row">${margins.join('')}</div>
+            </fieldset>
+            <label class="pdf-export-field pdf-export-field--wide">
+                <span>${t('pdfExport.header')}</span>
+                <input type="text" class="pdf-export-header" value="${this._escapeHtml(options.headerTemplate)}" placeholder="{title}">
+            </label>
+            <label class="pdf-export-field pdf-export-field--wide">
+                <span>${t('pdfExport.footer')}</span>
+                <input type="text" class="pdf-export-footer" value="${this._escapeHtml(options.footerTemplate)}" placeholder="{page} / {pages}">
+            </label>
+            <p class="pdf-export-hint">${t('pdfExport.placeholdersHint')}</p>
+            <label class="pdf-export-checkbox">
+                <input type="checkbox" class="pdf-export-toc"${options.tableOfContents ? ' checked' : ''}>
+                ${t('pdfExport.tableOfContents')}
+            </label>
+            <p class="pdf-export-hint">${t('pdfExport.pageBreakHint')}</p>
+            <div class="notification-dialog-actions">
+                <button class="notification-btn notification-btn-cancel pdf-export-cancel">${t('actions.cancel')}</button>
+                <button class="notification-btn notification-btn-confirm pdf-export-confirm">${t('pdfExport.export')}</button>
+            </div>
+        `;
+
+        this.modal.appendChild(dialog);
+        document.body.appendChild(this.modal);
+
+        dialog.querySelector('.pdf-export-cancel').addEventListener('click', () => this._close(null));
+        dialog.querySelector('.pdf-export-confirm').addEventListener('click', () => this._close(this._readOptions(dialog)));
+
+        requestAnimationFrame(() => {
+            if (this.modal) {
+                this.modal.classList.add('show');
+                dialog.querySelector('.pdf-export-confirm').focus();
+            }
+        });
+    }
+
+    /**
+     * Read the chosen options from the form; the main process validates them
+     * @param {HTMLElement} dialog
+     * @returns {Object}
+     * @private
+     */
+    _readOptions(dialog) {
+        const margins = {};
+
+        dialog.querySelectorAll('.pdf-export-margin').forEach(input => {
+            margins[input.dataset.side] = parseFloat(input.value);
+        });
+
+        return {
+            pageSize: dialog.querySelector('.pdf-export-page-size').value,
+            landscape: dialog.querySelector('.pdf-export-orientation').value === 'landscape',
+            margins,
+            scale: parseFloat(dialog.querySelector('.pdf-export-scale').value) / 100,
+            headerTemplate: dialog.querySelector('.pdf-export-header').value,
+            footerTemplate: dialog.querySelector('.pdf-export-footer').value,
+            tableOfContents: dialog.querySelector('.pdf-export-toc').checked
+        };
+    }
+
+    /**
+     * Handle keyboard input; Escape cancels the export
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this._close(null);
+        }
+    }
+
+    /**
+     * Close the dialog and resolve with the chosen options
+     * @param {Object|null} options
+     * @private
+     */
+    _close(options) {
+        document.removeEventListener('keydown', this._handleKeyDown);
+
+        const modal = this.modal;
+
+        this.modal = null;
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => modal.remove(), 200);
+        }
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+
+            this.resolve = null;
+            resolve(options);
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     * @private
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Destroy the dialog, cancelling the export if still open
+     */
+    destroy() {
+        if (this.modal) {
+            this._close(null);
+        }
+    }
+}
+
+module.exports = PdfExportDialog;
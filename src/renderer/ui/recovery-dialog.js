@@ -0,0 +1,253 @@
+/**
+ * Recovery Dialog
+ * Lists the unsaved documents left by a session that did not end normally and
+ * lets the user pick the ones to recover, comparing each with its file on disk.
+ */
+
+const i18n = require('../i18n/index.js');
+const { diffLines, summarizeDiff } = require('../features/line-diff.js');
+
+// Unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+class RecoveryDialog {
+    constructor() {
+        this.modal = null;
+        this.resolve = null;
+        this._handleKeyDown = this._handleKeyDown.bind(this);
+    }
+
+    /**
+     * Show the dialog
+     * @param {Array<{tabId: string, filePath: string|null, title: string, content: string,
+     *     diskContent: string|null, lastModified: number}>} entries - Recovered buffers
+     * @returns {Promise<string[]|null>} Tab IDs of the buffers to recover (empty to discard all),
+     *     or null when the dialog was dismissed and the buffers are kept for later
+     */
+    show(entries) {
+        // Only one dialog at a time; a pending one resolves as dismissed
+        if (this.modal) {
+            this._close(null);
+        }
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this._createModal(entries);
+            document.addEventListener('keydown', this._handleKeyDown);
+        });
+    }
+
+    /**
+     * Check whether the dialog is currently open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.modal !== null;
+    }
+
+    /**
+     * Build the dialog DOM
+     * @param {Array<Object>} entries
+     * @private
+     */
+    _createModal(entries) {
+        this.modal = document.createElement('div');
+        this.modal.className = 'notification-modal';
+
+        const dialog = document.createElement('div');
+
+        dialog.className = 'notification-dialog notification-warning recovery-dialog';
+        dialog.setAttribute('role', 'alertdialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'recovery-title');
+
+        dialog.innerHTML = `
+            <div class="notification-dialog-icon">⚠</div>
+            <h3 id="recovery-title" class="recovery-title">${this._escapeHtml(i18n.t('recovery.title'))}</h3>
+            <div class="notification-dialog-message">${this._escapeHtml(i18n.t('recovery.message'))}</div>
+            <div class="recovery-list">${entries.map(entry => this._renderEntry(entry)).join('')}</div>
+            <div class="notification-dialog-actions">
+                <button class="notification-btn notification-btn-cancel recovery-discard">${this._escapeHtml(i18n.t('recovery.discard'))}</button>
+                <button class="notification-btn notification-btn-confirm recovery-recover">${this._escapeHtml(i18n.t('recovery.recover'))}</button>
+            </div>
+        `;
+
+        this.modal.appendChild(dialog);
+        document.body.appendChild(this.modal);
+
+        dialog.querySelectorAll('.recovery-toggle').forEach((button) => {
+            const diffContainer = button.closest('.recovery-item').querySelector('.recovery-diff');
+
+            button.addEventListener('click', () => {
+                diffContainer.hidden = !diffContainer.hidden;
+                button.textContent = diffContainer.hidden
+                    ? i18n.t('recovery.showChanges')
+                    : i18n.t('recovery.hideChanges');
+            });
+        });
+        dialog.querySelector('.recovery-discard').addEventListener('click', () => this._close([]));
+        dialog.querySelector('.recovery-recover').addEventListener('click', () => {
+            const selected = Array.from(dialog.querySelectorAll('.recovery-checkbox:checked'))
+                .map(checkbox => checkbox.dataset.tabId);
+
+            this._close(selected);
+        });
+
+        requestAnimationFrame(() => {
+            if (this.modal) {
+                this.modal.classList.add('show');
+                dialog.querySelector('.recovery-recover').focus();
+            }
+        });
+    }
+
+    /**
+     * Render one recovered buffer
+     * @param {Object} entry
+     * @returns {string}
+     * @private
+     */
+    _renderEntry(entry) {
+        const hasFile = entry.filePath && entry.diskContent !== null;
+        const diff = hasFile ? diffLines(entry.diskContent, entry.content) : null;
+        const edited = new Date(entry.lastModified).toLocaleString(i18n.getLocale(), {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+
+        return `
+            <div class="recovery-item">
+                <label class="recovery-item-header">
+                    <input type="checkbox" class="recovery-checkbox" data-tab-id="${this._escapeHtml(entry.tabId)}" checked>
+                    <span class="recovery-item-title">${this._escapeHtml(entry.title || i18n.t('recovery.untitled'))}</span>
+                    <span class="recovery-item-time">${this._escapeHtml(i18n.t('recovery.editedAt', { time: edited }))}</span>
+                </label>
+                <div class="recovery-item-path">${this._escapeHtml(entry.filePath || i18n.t('recovery.untitled'))}</div>
+                <div class="recovery-item-summary">${this._escapeHtml(this._describe(entry, diff))}</div>
+                ${diff ? `
+                <button class="recovery-toggle" type="button">${this._escapeHtml(i18n.t('recovery.showChanges'))}</button>
+                <pre class="recovery-diff" hidden>${this._renderDiff(diff)}</pre>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Describe how a recovered buffer differs from its file
+     * @param {Object} entry
+     * @param {Array|null} diff - Disk content against the recovered content
+     * @returns {string}
+     * @private
+     */
+    _describe(entry, diff) {
+        if (!entry.filePath) {
+            return i18n.t('recovery.untitledSummary', { count: entry.content.split('\n').length });
+        }
+        if (!diff) {
+            return i18n.t('recovery.missingFile');
+        }
+
+        const { added, removed } = summarizeDiff(diff);
+
+        return added === 0 && removed === 0
+            ? i18n.t('recovery.identical')
+            : i18n.t('recovery.summary', { added, removed });
+    }
+
+    /**
+     * Render diff lines as HTML, collapsing long unchanged runs
+     * @param {Array<{type: string, text: string}>} diff
+     * @returns {string}
+     * @private
+     */
+    _renderDiff(diff) {
+        const changed = diff.map(line => line.type !== 'equal');
+        const html = [];
+        let skipped = 0;
+
+        const flushSkipped = () => {
+            if (skipped > 0) {
+                html.push(`<div class="diff-line diff-line--skipped">${this._escapeHtml(i18n.t('externalChange.unchangedLines', { count: skipped }))}</div>`);
+                skipped = 0;
+            }
+        };
+
+        diff.forEach((line, index) => {
+            const start = Math.max(0, index - CONTEXT_LINES);
+            const end = Math.min(diff.length, index + CONTEXT_LINES + 1);
+
+            if (!changed.slice(start, end).some(Boolean)) {
+                skipped++;
+                return;
+            }
+
+            flushSkipped();
+
+            const marker = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+
+            html.push(`<div class="diff-line diff-line--${line.type}">${marker} ${this._escapeHtml(line.text)}</div>`);
+        });
+        flushSkipped();
+
+        return html.join('');
+    }
+
+    /**
+     * Handle keyboard input; Escape keeps the buffers for the next launch
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this._close(null);
+        }
+    }
+
+    /**
+     * Close the dialog and resolve with the selection
+     * @param {string[]|null} selection
+     * @private
+     */
+    _close(selection) {
+        document.removeEventListener('keydown', this._handleKeyDown);
+
+        const modal = this.modal;
+
+        this.modal = null;
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => modal.remove(), 200);
+        }
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+
+            this.resolve = null;
+            resolve(selection);
+        }
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text
+     * @returns {string}
+     * @private
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Destroy the dialog, closing it if still open
+     */
+    destroy() {
+        if (this.modal) {
+            this._close(null);
+        }
+    }
+}
+
+module.exports = RecoveryDialog;